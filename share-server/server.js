@@ -0,0 +1,806 @@
+#!/usr/bin/env node
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// SENTRY STUDIO REFERENCE SHARE SERVER
+// Self-hostable backend for clip sharing. Speaks the same protocol as the hosted
+// service, so pointing Settings > Clip Sharing at it keeps shared footage on your
+// own network. No dependencies - run with `node server.js` (Node 18+).
+// See README.md in this folder for configuration.
+// ============================================
+
+const config = {
+  port: Number(process.env.PORT) || 8787,
+  host: process.env.HOST || '0.0.0.0',
+  dataDir: path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data')),
+  // Address viewers use to reach this server (links are PUBLIC_URL/<code>)
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${Number(process.env.PORT) || 8787}`).replace(/\/+$/, ''),
+  // Path of the API the app talks to (app setting: PUBLIC_URL + API_PATH)
+  apiPath: `/${(process.env.API_PATH || 'share').replace(/^\/+|\/+$/g, '')}`,
+  defaultExpirationHours: Number(process.env.DEFAULT_EXPIRATION_HOURS) || 72,
+  minExpirationHours: Number(process.env.MIN_EXPIRATION_HOURS) || 0.5,
+  maxExpirationHours: Number(process.env.MAX_EXPIRATION_HOURS) || 168,
+  maxUploadBytes: (Number(process.env.MAX_UPLOAD_MB) || 1024) * 1024 * 1024,
+  // Chunk size for resumable uploads (the app uses what the server tells it)
+  chunkSize: (Number(process.env.CHUNK_SIZE_MB) || 8) * 1024 * 1024,
+  // Unfinished resumable uploads are dropped after this long without a chunk
+  uploadSessionTtlMs: (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 3600 * 1000,
+  // Reserved codes that never receive an upload are released after this long
+  reserveTtlMs: (Number(process.env.RESERVE_TTL_MINUTES) || 60) * 60 * 1000,
+  cleanupIntervalMs: (Number(process.env.CLEANUP_INTERVAL_MINUTES) || 10) * 60 * 1000
+};
+
+const clipsDir = path.join(config.dataDir, 'clips');
+const tmpDir = path.join(config.dataDir, 'tmp');
+const indexPath = path.join(config.dataDir, 'clips.json');
+const viewerPrefix = new URL(config.publicUrl).pathname.replace(/\/+$/, '');
+
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[A-Za-z0-9]{4,32}$/;
+const MAX_JSON_BYTES = 64 * 1024;
+const MAX_FIELD_BYTES = 1024;
+
+// ============================================
+// CLIP INDEX
+// code -> { status: 'reserved' | 'uploading' | 'ready', deleteTokenHash, createdAt, expiresAt, reservedUntil,
+//           fileSize, fileName, uploadId, received, sessionExpiresAt }
+// Clips published from a resumable upload keep their uploadId, so a retried finish finds them
+// ============================================
+
+let clips = {};
+
+function loadIndex() {
+  try {
+    clips = JSON.parse(fs.readFileSync(indexPath, 'utf-8')) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[SHARE-SERVER] Failed to read index, starting empty:', err.message);
+    clips = {};
+  }
+}
+
+function saveIndex() {
+  const tempPath = `${indexPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(clips, null, 2), 'utf-8');
+  fs.renameSync(tempPath, indexPath);
+}
+
+function clipPath(code) {
+  return path.join(clipsDir, `${code}.mp4`);
+}
+
+function partPath(uploadId) {
+  return path.join(tmpDir, `${uploadId}.part`);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokensMatch(token, hash) {
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(String(hash || ''), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function newCode() {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    if (!clips[code]) return code;
+  }
+  throw new Error('Could not allocate a share code');
+}
+
+function clampExpirationHours(value) {
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) return config.defaultExpirationHours;
+  return Math.min(config.maxExpirationHours, Math.max(config.minExpirationHours, hours));
+}
+
+function shareUrl(code) {
+  return `${config.publicUrl}/${code}`;
+}
+
+function isLive(clip, now = Date.now()) {
+  if (!clip) return false;
+  if (clip.status === 'reserved') return clip.reservedUntil > now;
+  if (clip.status === 'uploading') return clip.sessionExpiresAt > now;
+  return new Date(clip.expiresAt).getTime() > now;
+}
+
+/**
+ * Remove expired clips, stale reservations and leftover partial uploads
+ */
+function cleanupExpired() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [code, clip] of Object.entries(clips)) {
+    if (isLive(clip, now)) continue;
+    try { fs.unlinkSync(clip.status === 'uploading' ? partPath(clip.uploadId) : clipPath(code)); } catch { }
+    delete clips[code];
+    removed++;
+  }
+  if (removed) {
+    saveIndex();
+    console.log(`[SHARE-SERVER] Removed ${removed} expired clip(s)`);
+  }
+  // Leftovers from interrupted single-request uploads (live sessions keep their part files)
+  const sessionFiles = new Set(Object.values(clips).filter(c => c.status === 'uploading').map(c => `${c.uploadId}.part`));
+  for (const name of fs.readdirSync(tmpDir)) {
+    if (sessionFiles.has(name)) continue;
+    const filePath = path.join(tmpDir, name);
+    try {
+      if (now - fs.statSync(filePath).mtimeMs > config.reserveTtlMs) fs.unlinkSync(filePath);
+    } catch { }
+  }
+}
+
+// ============================================
+// HTTP HELPERS
+// ============================================
+
+function sendJson(res, statusCode, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+function sendError(res, statusCode, error) {
+  sendJson(res, statusCode, { success: false, error });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_JSON_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf-8')) : {});
+      } catch {
+        reject(Object.assign(new Error('Invalid JSON'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Stream a multipart/form-data body: text fields are collected, the file part is written to disk
+ * @param {http.IncomingMessage} req - Upload request
+ * @param {string} boundary - From the Content-Type header
+ * @param {string} fileField - Name of the file field
+ * @param {string} filePath - Where to write the file
+ * @returns {Promise<{fields: Object, file: {fileName: string, size: number}|null}>}
+ */
+function parseMultipart(req, boundary, fileField, filePath) {
+  return new Promise((resolve, reject) => {
+    // Prefixing CRLF lets the first boundary match the same delimiter as the others
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    let file = null;
+    let fileStream = null;
+    let buffer = Buffer.from('\r\n');
+    let state = 'boundary';
+    let part = null;
+    let received = 0;
+    let waitingForDrain = false;
+    let done = false;
+
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      req.resume();
+      if (fileStream) fileStream.destroy();
+      try { fs.unlinkSync(filePath); } catch { }
+      reject(err);
+    };
+
+    const writePartData = (data) => {
+      if (!data.length) return;
+      if (part.isFile) {
+        file.size += data.length;
+        if (!fileStream.write(data) && !waitingForDrain) {
+          waitingForDrain = true;
+          req.pause();
+          fileStream.once('drain', () => {
+            waitingForDrain = false;
+            req.resume();
+          });
+        }
+      } else {
+        part.value = Buffer.concat([part.value, data]);
+        if (part.value.length > MAX_FIELD_BYTES) throw Object.assign(new Error(`Field ${part.name} too large`), { statusCode: 400 });
+      }
+    };
+
+    const endPart = () => {
+      if (!part.isFile) fields[part.name] = part.value.toString('utf-8');
+      part = null;
+    };
+
+    const consume = () => {
+      while (true) {
+        if (state === 'boundary') {
+          const idx = buffer.indexOf(delimiter);
+          if (idx === -1) {
+            buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length));
+            return;
+          }
+          if (buffer.length < idx + delimiter.length + 2) return;
+          const after = buffer.subarray(idx + delimiter.length, idx + delimiter.length + 2).toString();
+          buffer = buffer.subarray(idx + delimiter.length + 2);
+          state = after === '--' ? 'end' : 'headers';
+        } else if (state === 'headers') {
+          const idx = buffer.indexOf('\r\n\r\n');
+          if (idx === -1) {
+            if (buffer.length > 16 * 1024) throw Object.assign(new Error('Malformed multipart body'), { statusCode: 400 });
+            return;
+          }
+          const headers = buffer.subarray(0, idx).toString('utf-8');
+          buffer = buffer.subarray(idx + 4);
+          const disposition = /content-disposition:[^\r\n]*/i.exec(headers)?.[0] || '';
+          const name = /\bname="([^"]*)"/i.exec(disposition)?.[1] || '';
+          const fileName = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+          const isFile = fileName !== undefined;
+          if (isFile) {
+            if (name !== fileField || file) throw Object.assign(new Error('Unexpected file field'), { statusCode: 400 });
+            file = { fileName: path.basename(fileName).slice(0, 200), size: 0 };
+            fileStream = fs.createWriteStream(filePath);
+            fileStream.on('error', fail);
+          }
+          part = { name, isFile, value: Buffer.alloc(0) };
+          state = 'body';
+        } else if (state === 'body') {
+          const idx = buffer.indexOf(delimiter);
+          if (idx === -1) {
+            // Keep enough bytes to match a delimiter split across chunks
+            const keep = delimiter.length - 1;
+            if (buffer.length > keep) {
+              writePartData(buffer.subarray(0, buffer.length - keep));
+              buffer = buffer.subarray(buffer.length - keep);
+            }
+            return;
+          }
+          writePartData(buffer.subarray(0, idx));
+          buffer = buffer.subarray(idx);
+          endPart();
+          state = 'boundary';
+        } else {
+          return;
+        }
+      }
+    };
+
+    req.on('data', (chunk) => {
+      if (done) return;
+      received += chunk.length;
+      if (received > config.maxUploadBytes + 64 * 1024) {
+        fail(Object.assign(new Error('File too large'), { statusCode: 413 }));
+        return;
+      }
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      try {
+        consume();
+      } catch (err) {
+        fail(err);
+      }
+    });
+
+    req.on('end', () => {
+      if (done) return;
+      if (state !== 'end') {
+        fail(Object.assign(new Error('Incomplete upload'), { statusCode: 400 }));
+        return;
+      }
+      done = true;
+      if (!fileStream) {
+        resolve({ fields, file });
+        return;
+      }
+      fileStream.end(() => resolve({ fields, file }));
+    });
+
+    req.on('error', fail);
+    req.on('close', () => {
+      if (!req.complete) fail(new Error('Upload aborted'));
+    });
+  });
+}
+
+/**
+ * MP4/MOV files start with an ftyp box
+ */
+function looksLikeMp4(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(8);
+    fs.readSync(fd, header, 0, 8, 0);
+    return header.toString('latin1', 4, 8) === 'ftyp';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ============================================
+// API ROUTES
+// ============================================
+
+function handleConfig(req, res) {
+  sendJson(res, 200, {
+    expirationHours: config.defaultExpirationHours,
+    minExpirationHours: config.minExpirationHours,
+    maxExpirationHours: config.maxExpirationHours,
+    maxUploadBytes: config.maxUploadBytes,
+    chunkSize: config.chunkSize,
+    viewerHost: new URL(config.publicUrl).host
+  });
+}
+
+async function handleReserve(req, res) {
+  const body = await readJsonBody(req);
+  const expirationHours = clampExpirationHours(body.expirationHours);
+  const code = newCode();
+  const now = Date.now();
+  clips[code] = {
+    status: 'reserved',
+    createdAt: new Date(now).toISOString(),
+    reservedUntil: now + config.reserveTtlMs,
+    expirationHours
+  };
+  saveIndex();
+  console.log(`[SHARE-SERVER] Reserved ${code}`);
+  sendJson(res, 200, { success: true, code, url: shareUrl(code), expirationHours });
+}
+
+/**
+ * The reserved code when it's still held, otherwise a new one
+ */
+function claimCode(reserveCode) {
+  const reserved = reserveCode && CODE_PATTERN.test(reserveCode) ? clips[reserveCode] : null;
+  if (reserved && reserved.status === 'reserved' && isLive(reserved)) return { code: reserveCode, reserved };
+  return { code: newCode(), reserved: null };
+}
+
+/**
+ * Move a completed upload into place and publish it under its code
+ * @returns {Object} Upload response for the app
+ */
+function publishClip(code, tempPath, { deleteToken, deleteTokenHash, expirationHours, fileSize, fileName, uploadId }) {
+  if (!looksLikeMp4(tempPath)) throw Object.assign(new Error('Only MP4 videos can be shared'), { statusCode: 415 });
+  const now = Date.now();
+  fs.renameSync(tempPath, clipPath(code));
+  clips[code] = {
+    status: 'ready',
+    deleteTokenHash,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expirationHours * 3600 * 1000).toISOString(),
+    fileSize,
+    fileName,
+    ...(uploadId ? { uploadId } : {})
+  };
+  saveIndex();
+  console.log(`[SHARE-SERVER] Stored ${code} (${(fileSize / 1048576).toFixed(1)} MB, ${expirationHours}h)`);
+  return {
+    success: true,
+    code,
+    url: shareUrl(code),
+    deleteToken,
+    expiresAt: clips[code].expiresAt,
+    fileSize
+  };
+}
+
+async function handleUpload(req, res) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+  if (!boundary) {
+    sendError(res, 400, 'Expected multipart/form-data');
+    return;
+  }
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength > config.maxUploadBytes + 64 * 1024) {
+    sendError(res, 413, `File too large (limit ${Math.round(config.maxUploadBytes / 1048576)} MB)`);
+    req.resume();
+    return;
+  }
+
+  const tempPath = path.join(tmpDir, `${crypto.randomBytes(12).toString('hex')}.part`);
+  const { fields, file } = await parseMultipart(req, boundary[1] || boundary[2], 'video', tempPath);
+
+  try {
+    if (!file || file.size === 0) throw Object.assign(new Error('No video uploaded'), { statusCode: 400 });
+    if (!fields.deleteToken || fields.deleteToken.length < 16) throw Object.assign(new Error('Missing delete token'), { statusCode: 400 });
+
+    const { code, reserved } = claimCode(fields.reserveCode);
+    sendJson(res, 200, publishClip(code, tempPath, {
+      deleteToken: fields.deleteToken,
+      deleteTokenHash: hashToken(fields.deleteToken),
+      expirationHours: clampExpirationHours(fields.expirationHours || reserved?.expirationHours),
+      fileSize: file.size,
+      fileName: file.fileName
+    }));
+  } catch (err) {
+    try { fs.unlinkSync(tempPath); } catch { }
+    throw err;
+  }
+}
+
+// ============================================
+// RESUMABLE UPLOADS
+// start -> chunk (offset + SHA-256, repeat) -> finish; status reports the offset to resume from
+// ============================================
+
+function findSession(uploadId) {
+  if (!/^[a-f0-9]{24}$/.test(String(uploadId))) return null;
+  const entry = Object.entries(clips).find(([, clip]) => clip.status === 'uploading' && clip.uploadId === uploadId);
+  if (!entry || !isLive(entry[1])) return null;
+  return { code: entry[0], session: entry[1] };
+}
+
+/**
+ * Clip already published by a finished session (the app retries finish and status when a response is lost)
+ */
+function findPublishedUpload(uploadId) {
+  if (!/^[a-f0-9]{24}$/.test(String(uploadId))) return null;
+  const entry = Object.entries(clips).find(([, clip]) => clip.status === 'ready' && clip.uploadId === uploadId);
+  if (!entry || !isLive(entry[1])) return null;
+  return { code: entry[0], clip: entry[1] };
+}
+
+async function handleUploadStart(req, res) {
+  const body = await readJsonBody(req);
+  const fileSize = Number(body.fileSize);
+  if (!Number.isInteger(fileSize) || fileSize <= 0) throw Object.assign(new Error('Missing file size'), { statusCode: 400 });
+  if (fileSize > config.maxUploadBytes) {
+    throw Object.assign(new Error(`File too large (limit ${Math.round(config.maxUploadBytes / 1048576)} MB)`), { statusCode: 413 });
+  }
+  if (typeof body.deleteToken !== 'string' || body.deleteToken.length < 16) throw Object.assign(new Error('Missing delete token'), { statusCode: 400 });
+
+  const { code, reserved } = claimCode(body.reserveCode);
+  const uploadId = crypto.randomBytes(12).toString('hex');
+  fs.writeFileSync(partPath(uploadId), Buffer.alloc(0));
+  const now = Date.now();
+  clips[code] = {
+    status: 'uploading',
+    uploadId,
+    deleteTokenHash: hashToken(body.deleteToken),
+    createdAt: new Date(now).toISOString(),
+    sessionExpiresAt: now + config.uploadSessionTtlMs,
+    expirationHours: clampExpirationHours(body.expirationHours || reserved?.expirationHours),
+    fileSize,
+    fileName: path.basename(String(body.fileName || `${code}.mp4`)).slice(0, 200),
+    received: 0
+  };
+  saveIndex();
+  console.log(`[SHARE-SERVER] Upload session ${uploadId} for ${code} (${(fileSize / 1048576).toFixed(1)} MB)`);
+  sendJson(res, 200, { success: true, uploadId, code, url: shareUrl(code), chunkSize: config.chunkSize, offset: 0 });
+}
+
+function handleUploadStatus(req, res, url) {
+  const uploadId = url.searchParams.get('id');
+  const published = findPublishedUpload(uploadId);
+  if (published) {
+    const { fileSize } = published.clip;
+    sendJson(res, 200, { success: true, code: published.code, offset: fileSize, fileSize, published: true });
+    return;
+  }
+  const found = findSession(uploadId);
+  if (!found) {
+    sendError(res, 404, 'Upload not found or expired');
+    return;
+  }
+  sendJson(res, 200, { success: true, code: found.code, offset: found.session.received, fileSize: found.session.fileSize });
+}
+
+// Sessions with a chunk being written (one at a time per session)
+const busySessions = new Set();
+
+async function handleUploadChunk(req, res, url) {
+  const found = findSession(url.searchParams.get('id'));
+  if (!found) {
+    sendError(res, 404, 'Upload not found or expired');
+    req.resume();
+    return;
+  }
+  const { session } = found;
+  const offset = Number(url.searchParams.get('offset'));
+  // A mismatched offset tells the client where to continue from
+  if (offset !== session.received || busySessions.has(session.uploadId)) {
+    sendJson(res, 409, { success: false, error: 'Offset mismatch', offset: session.received });
+    req.resume();
+    return;
+  }
+  const expected = String(req.headers['x-chunk-sha256'] || '').toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(expected)) {
+    sendError(res, 400, 'Missing chunk checksum');
+    req.resume();
+    return;
+  }
+
+  busySessions.add(session.uploadId);
+  try {
+    const chunks = [];
+    let size = 0;
+    await new Promise((resolve, reject) => {
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > config.chunkSize || offset + size > session.fileSize) {
+          reject(Object.assign(new Error('Chunk too large'), { statusCode: 413 }));
+          req.resume();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', resolve);
+      req.on('error', reject);
+      req.on('close', () => {
+        if (!req.complete) reject(new Error('Chunk upload aborted'));
+      });
+    });
+    const data = Buffer.concat(chunks);
+    if (data.length === 0) throw Object.assign(new Error('Empty chunk'), { statusCode: 400 });
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (actual !== expected) throw Object.assign(new Error('Chunk checksum mismatch'), { statusCode: 422 });
+
+    const fd = await fs.promises.open(partPath(session.uploadId), 'r+');
+    try {
+      await fd.write(data, 0, data.length, offset);
+      await fd.truncate(offset + data.length);
+    } finally {
+      await fd.close();
+    }
+    session.received = offset + data.length;
+    session.sessionExpiresAt = Date.now() + config.uploadSessionTtlMs;
+    saveIndex();
+    sendJson(res, 200, { success: true, offset: session.received });
+  } finally {
+    busySessions.delete(session.uploadId);
+  }
+}
+
+async function handleUploadFinish(req, res) {
+  const { id } = await readJsonBody(req);
+  const published = findPublishedUpload(id);
+  if (published) {
+    // Finish already went through; answer the retry the same way
+    const { code, clip } = published;
+    sendJson(res, 200, { success: true, code, url: shareUrl(code), expiresAt: clip.expiresAt, fileSize: clip.fileSize });
+    return;
+  }
+  const found = findSession(id);
+  if (!found) {
+    sendError(res, 404, 'Upload not found or expired');
+    return;
+  }
+  const { code, session } = found;
+  if (session.received !== session.fileSize) {
+    sendJson(res, 409, { success: false, error: 'Upload incomplete', offset: session.received });
+    return;
+  }
+  try {
+    sendJson(res, 200, publishClip(code, partPath(session.uploadId), {
+      deleteTokenHash: session.deleteTokenHash,
+      expirationHours: session.expirationHours,
+      fileSize: session.fileSize,
+      fileName: session.fileName,
+      uploadId: session.uploadId
+    }));
+  } catch (err) {
+    try { fs.unlinkSync(partPath(session.uploadId)); } catch { }
+    delete clips[code];
+    saveIndex();
+    throw err;
+  }
+}
+
+async function handleDelete(req, res) {
+  const { code, deleteToken } = await readJsonBody(req);
+  const clip = CODE_PATTERN.test(String(code)) ? clips[code] : null;
+  if (!clip || clip.status === 'reserved') {
+    sendError(res, 404, 'Clip not found');
+    return;
+  }
+  if (!tokensMatch(deleteToken, clip.deleteTokenHash)) {
+    sendError(res, 403, 'Invalid delete token');
+    return;
+  }
+  // Deleting an unfinished upload cancels it
+  try { fs.unlinkSync(clip.status === 'uploading' ? partPath(clip.uploadId) : clipPath(code)); } catch { }
+  delete clips[code];
+  saveIndex();
+  console.log(`[SHARE-SERVER] Deleted ${code}`);
+  sendJson(res, 200, { success: true });
+}
+
+async function handleCheckCodes(req, res) {
+  const { codes } = await readJsonBody(req);
+  const statuses = {};
+  for (const code of Array.isArray(codes) ? codes.slice(0, 500) : []) {
+    const clip = clips[code];
+    statuses[code] = clip?.status === 'ready' && isLive(clip) ? { expiresAt: clip.expiresAt } : { deleted: true };
+  }
+  sendJson(res, 200, { statuses });
+}
+
+// ============================================
+// VIEWER
+// ============================================
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center;
+    background: #111; color: #eee; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; }
+  main { width: min(1100px, 94vw); }
+  video { width: 100%; max-height: 80vh; background: #000; border-radius: 8px; }
+  .meta { display: flex; justify-content: space-between; gap: 12px; margin-top: 10px; color: #999; font-size: 14px; }
+  a { color: #6fa8ff; }
+</style>
+</head>
+<body><main>${content}</main></body>
+</html>`;
+}
+
+function handleViewer(res, code) {
+  const clip = clips[code];
+  if (clip?.status !== 'ready' || !isLive(clip)) {
+    res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderPage('Clip unavailable', '<h2>This clip has expired or was deleted.</h2>'));
+    return;
+  }
+  const videoUrl = `${viewerPrefix}/video/${code}`;
+  const content = `
+<video src="${videoUrl}" controls autoplay muted playsinline preload="metadata"></video>
+<div class="meta">
+  <span>${escapeHtml(clip.fileName || code)} · ${(clip.fileSize / 1048576).toFixed(1)} MB</span>
+  <span>Available until <time id="expires" datetime="${clip.expiresAt}">${clip.expiresAt}</time> · <a href="${videoUrl}?download=1">Download</a></span>
+</div>
+<script>
+  const el = document.getElementById('expires');
+  el.textContent = new Date(el.getAttribute('datetime')).toLocaleString();
+</script>`;
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(renderPage('Shared clip', content));
+}
+
+/**
+ * Serve a clip with Range support (seeking in the browser and the app's preview)
+ */
+function handleVideo(req, res, code, download) {
+  const clip = clips[code];
+  if (clip?.status !== 'ready' || !isLive(clip)) {
+    sendError(res, 404, 'Clip not found');
+    return;
+  }
+  const filePath = clipPath(code);
+  let size;
+  try {
+    size = fs.statSync(filePath).size;
+  } catch {
+    sendError(res, 404, 'Clip not found');
+    return;
+  }
+
+  const headers = {
+    'Content-Type': 'video/mp4',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, max-age=300'
+  };
+  if (download) headers['Content-Disposition'] = `attachment; filename="${(clip.fileName || `${code}.mp4`).replace(/["\\\r\n]/g, '_')}"`;
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (range && (range[1] || range[2])) {
+    let start = range[1] ? Number(range[1]) : size - Number(range[2]);
+    let end = range[1] && range[2] ? Number(range[2]) : size - 1;
+    start = Math.max(0, start);
+    end = Math.min(end, size - 1);
+    if (start > end) {
+      res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+      res.end();
+      return;
+    }
+    res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': end - start + 1 });
+    if (req.method === 'HEAD') { res.end(); return; }
+    fs.createReadStream(filePath, { start, end }).pipe(res);
+    return;
+  }
+  res.writeHead(200, { ...headers, 'Content-Length': size });
+  if (req.method === 'HEAD') { res.end(); return; }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+const apiRoutes = {
+  'GET /config': handleConfig,
+  'POST /reserve': handleReserve,
+  'POST /upload': handleUpload,
+  'POST /upload/start': handleUploadStart,
+  'GET /upload/status': handleUploadStatus,
+  'PUT /upload/chunk': handleUploadChunk,
+  'POST /upload/finish': handleUploadFinish,
+  'POST /delete': handleDelete,
+  'POST /check-codes': handleCheckCodes
+};
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+  if (pathname.startsWith(`${config.apiPath}/`)) {
+    const handler = apiRoutes[`${req.method} ${pathname.slice(config.apiPath.length)}`];
+    if (!handler) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    await handler(req, res, url);
+    return;
+  }
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && pathname.startsWith(`${viewerPrefix}/`)) {
+    const rest = pathname.slice(viewerPrefix.length + 1).split('/');
+    if (rest.length === 2 && rest[0] === 'video' && CODE_PATTERN.test(rest[1])) {
+      handleVideo(req, res, rest[1], url.searchParams.has('download'));
+      return;
+    }
+    if (rest.length === 1 && CODE_PATTERN.test(rest[0])) {
+      handleViewer(res, rest[0]);
+      return;
+    }
+  }
+
+  sendError(res, 404, 'Not found');
+}
+
+function start() {
+  fs.mkdirSync(clipsDir, { recursive: true });
+  fs.mkdirSync(tmpDir, { recursive: true });
+  loadIndex();
+  cleanupExpired();
+  setInterval(cleanupExpired, config.cleanupIntervalMs).unref();
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+      console.error(`[SHARE-SERVER] ${req.method} ${req.url} failed:`, err.message);
+      if (!res.headersSent) sendError(res, err.statusCode || 500, err.statusCode ? err.message : 'Internal server error');
+      else res.destroy();
+    });
+  });
+  // Large uploads over slow links can take a while
+  server.requestTimeout = 0;
+
+  server.listen(config.port, config.host, () => {
+    console.log(`[SHARE-SERVER] Listening on ${config.host}:${config.port}`);
+    console.log(`[SHARE-SERVER] App setting (Settings > Clip Sharing): ${new URL(config.publicUrl).origin}${config.apiPath}`);
+    console.log(`[SHARE-SERVER] Storing clips in ${config.dataDir}`);
+  });
+  return server;
+}
+
+if (require.main === module) start();
+
+module.exports = { start, parseMultipart, config };
@@ -2546,5 +2546,12 @@ module.exports = {
   writeCompactDashboardAss,
   writeDetailedDashboardAss,
   writeTeslaMobileDashboardAss,
-  writeMinimapAss
+  writeMinimapAss,
+  // Shared with the soft subtitle track (src/main/subtitleTrack.js) and telemetry export
+  getSeiValue,
+  getGearText,
+  getApText,
+  getSpeedUnit,
+  formatDisplayDate,
+  formatDisplayTime
 };
@@ -54,7 +54,23 @@ const { registerDiagnosticsStorageIpc } = require('./main/diagnostics');
 const { UPDATE_CONFIG, autoUpdater, getLatestVersionFromGitHub, registerAutoUpdateIpc, setupAutoUpdaterEvents } = require('./main/autoUpdate');
 const { findFFmpegPath, preCacheFFmpegPath, formatExportDuration, detectGpuHardware, detectGpuEncoder, detectHEVCEncoder, findVaapiDevice, getGpuEncoder, setGpuEncoder, getGpuEncoderHEVC, setGpuEncoderHEVC } = require('./main/ffmpeg');
 const { calculateMinimapSize, downloadStaticMapBackground, preRenderMinimap } = require('./main/minimap');
-const crypto = require('crypto');
+const { registerTelemetryExportIpc } = require('./main/telemetryExport');
+const { buildTelemetryCues, writeEmbeddedSubtitleInput, writeSubtitleSidecars } = require('./main/subtitleTrack');
+const { findStartLocation, writeChapterMetadata } = require('./main/mp4Metadata');
+const { parseCliArgs, runCliExport } = require('./main/cliExport');
+const { registerExportQueueIpc, startExportQueue } = require('./main/exportQueue');
+const { performHighlightReelExport, cancelHighlightReel } = require('./main/highlightReel');
+const { registerIndexCacheIpc } = require('./main/indexCache');
+const { registerBookmarksIpc } = require('./main/bookmarks');
+const { registerStillsIpc } = require('./main/stills');
+const { performEvidencePackageExport, cancelEvidencePackage, runCliVerify, registerEvidencePackageIpc } = require('./main/evidencePackage');
+const { performWebGalleryExport, cancelWebGallery } = require('./main/webGallery');
+const { registerClipIntegrityIpc } = require('./main/clipIntegrity');
+const { registerStorageManagerIpc } = require('./main/storageManager');
+const { registerIncidentReportIpc } = require('./main/incidentReport');
+const { registerExportPresetsIpc } = require('./main/exportPresets');
+const { DEFAULT_SHARE_SERVER, getShareServerUrl, shareEndpoint, registerShareEndpointIpc } = require('./main/shareEndpoint');
+const { uploadSharedClip, resumeSharedClipUpload } = require('./main/shareUpload');
 
 // ============================================
 // DIAGNOSTICS: Console capture (must be early to catch all logs)
@@ -101,6 +117,16 @@ function getUpdateBranch() {
   return settings.updateBranch || UPDATE_CONFIG.defaultBranch;
 }
 
+// Headless CLI mode (`sentry-studio export ...` / `sentry-studio verify ...`) - no window is created
+const cliOptions = parseCliArgs(process.argv, app.isPackaged);
+if (cliOptions) {
+  // Allow running on display-less Linux boxes
+  if (process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+    app.commandLine.appendSwitch('ozone-platform', 'headless');
+  }
+  app.dock?.hide();
+}
+
 // Active exports tracking
 const activeExports = {};
 const activeExportPaths = {}; // Track output paths for cleanup on cancel
@@ -235,7 +261,7 @@ async function applyBlurZonesToStreams({ blurZones, blurType, streams, streamTag
 
 // Video Export Implementation
 async function performVideoExport(event, exportId, exportData, ffmpegPath) {
-  const { segments, startTimeMs, endTimeMs, outputPath, cameras, mobileExport, quality, includeDashboard, seiData, layoutData, useMetric, dashboardStyle = 'standard', dashboardPosition = 'bottom-center', dashboardSize = 'medium', includeTimestamp = false, timestampPosition = 'bottom-center', timestampDateFormat = 'mdy', timestampTimeFormat = '12h', blurZones = [], blurType = 'solid', language = 'en', includeMinimap = false, minimapPosition = 'top-right', minimapSize = 'small', minimapRenderMode = 'ass', minimapDarkMode = false, mapPath = [], mirrorCameras = true, accelPedMode = 'iconbar', enableTimelapse = false, timelapseSpeed = 1 } = exportData;
+  const { segments, startTimeMs, endTimeMs, outputPath, cameras, mobileExport, quality, includeDashboard, seiData, layoutData, useMetric, dashboardStyle = 'standard', dashboardPosition = 'bottom-center', dashboardSize = 'medium', includeTimestamp = false, timestampPosition = 'bottom-center', timestampDateFormat = 'mdy', timestampTimeFormat = '12h', blurZones = [], blurType = 'solid', language = 'en', includeMinimap = false, minimapPosition = 'top-right', minimapSize = 'small', minimapRenderMode = 'ass', minimapDarkMode = false, mapPath = [], mirrorCameras = true, accelPedMode = 'iconbar', enableTimelapse = false, timelapseSpeed = 1, subtitleFormats = [], embedGpsTrack = false, embedChapters = false, chapters = [] } = exportData;
 
   console.log(`[EXPORT] Received exportData - includeMinimap: ${includeMinimap}, mapPath.length: ${mapPath?.length || 0}, minimapPosition: ${minimapPosition}, minimapSize: ${minimapSize}, renderMode: ${minimapRenderMode}`);
 
@@ -1038,6 +1064,52 @@ async function performVideoExport(event, exportId, exportData, ffmpegPath) {
       console.log(`[MINIMAP] Added Leaflet minimap input at index ${minimapInputIdx}: ${minimapTempPath}`);
     }
 
+    // Time-lapse factor the filter below actually applies (speed-ups drop whole frames);
+    // subtitle, GPS track and chapter times follow the output timeline
+    const timelapseFactor = enableTimelapse && timelapseSpeed !== 1
+      ? (timelapseSpeed < 1 ? timelapseSpeed : Math.round(timelapseSpeed))
+      : 1;
+
+    // Telemetry subtitle track: soft subtitles instead of pixels, so the picture stays unaltered.
+    let subtitleCues = [];
+    let subtitleInputIdx = -1;
+    if (subtitleFormats.length && seiData && seiData.length > 0) {
+      subtitleCues = buildTelemetryCues(seiData, startTimeMs, endTimeMs, {
+        segments,
+        useMetric,
+        dateFormat: timestampDateFormat,
+        timeFormat: timestampTimeFormat,
+        language,
+        speed: timelapseFactor
+      });
+      if (subtitleFormats.includes('embedded') && subtitleCues.length) {
+        const subtitlePath = await writeEmbeddedSubtitleInput(exportId, subtitleCues);
+        tempFiles.push(subtitlePath);
+        subtitleInputIdx = cmd.filter(arg => arg === '-i').length;
+        cmd.push('-i', subtitlePath);
+      }
+      console.log(`[SUBTITLES] ${subtitleCues.length} telemetry cues (${subtitleFormats.join(', ')})`);
+    }
+
+    // Start location atom (ISO 6709); the route itself is not embedded
+    let startLocation = null;
+    if (embedGpsTrack && seiData && seiData.length > 0) {
+      startLocation = findStartLocation(seiData, startTimeMs, endTimeMs);
+      console.log(startLocation ? `[METADATA] Start location ${startLocation}` : '[METADATA] No GPS fix in range - skipping start location');
+    }
+
+    // Chapter markers (clip boundaries, event triggers, disengagements)
+    let chapterInputIdx = -1;
+    if (embedChapters && chapters.length) {
+      const chapterPath = await writeChapterMetadata(exportId, chapters, startTimeMs, endTimeMs, timelapseFactor);
+      if (chapterPath) {
+        tempFiles.push(chapterPath);
+        chapterInputIdx = cmd.filter(arg => arg === '-i').length;
+        cmd.push('-f', 'ffmetadata', '-i', chapterPath);
+        console.log(`[METADATA] Chapter metadata: ${chapterPath}`);
+      }
+    }
+
     // Build overlay pipeline based on enabled features
     // Order: Base video -> Dashboard ASS -> Minimap ASS -> Leaflet Minimap overlay
 
@@ -1172,6 +1244,15 @@ async function performVideoExport(event, exportId, exportData, ffmpegPath) {
     cmd.push('-filter_complex', filters.join(';'));
     cmd.push('-map', '[out]');
 
+    // Embedded telemetry track (mov_text is the subtitle codec MP4 players understand)
+    if (subtitleInputIdx >= 0) {
+      cmd.push('-map', `${subtitleInputIdx}:s`, '-c:s', 'mov_text');
+      cmd.push('-metadata:s:s:0', 'language=eng', '-metadata:s:s:0', 'handler_name=Telemetry', '-metadata:s:s:0', 'title=Telemetry');
+    }
+    if (chapterInputIdx >= 0) cmd.push('-map_chapters', String(chapterInputIdx));
+    // ISO 6709 location atom (©xyz)
+    if (startLocation) cmd.push('-metadata', `location=${startLocation}`);
+
     // Time-lapse: remove audio (modified-speed audio is noise)
     if (enableTimelapse && timelapseSpeed !== 1) {
       cmd.push('-an');
@@ -1327,6 +1408,15 @@ async function performVideoExport(event, exportId, exportData, ffmpegPath) {
 
             console.log(`[EXPORT] ✅ Export completed in ${formattedDuration}`);
 
+            if (subtitleCues.length) {
+              try {
+                const sidecars = writeSubtitleSidecars(outputPath, subtitleCues, subtitleFormats);
+                if (sidecars.length) console.log(`[SUBTITLES] Wrote ${sidecars.join(', ')}`);
+              } catch (err) {
+                console.error('[SUBTITLES] Failed to write sidecar subtitles:', err);
+              }
+            }
+
             const sizeMB = (fs.statSync(outputPath).size / 1048576).toFixed(1);
             const warning = blurFailed ? { key: 'ui.export.blurZoneFailed' } : null;
             sendComplete(true, { key: 'ui.export.exportCompleteMB', params: { size: sizeMB } }, warning);
@@ -1427,7 +1517,33 @@ async function performVideoExport(event, exportId, exportData, ffmpegPath) {
   }
 }
 
+/**
+ * Run an export, routing highlight reels (exportData.highlightClips) to src/main/highlightReel.js,
+ * evidence packages (exportData.evidencePackage) to src/main/evidencePackage.js
+ * and web galleries (exportData.webGallery) to src/main/webGallery.js
+ */
+function runExport(event, exportId, exportData, ffmpegPath) {
+  if (exportData?.webGallery) {
+    return performWebGalleryExport(event, exportId, exportData, ffmpegPath, { performVideoExport });
+  }
+  if (exportData?.evidencePackage) {
+    return performEvidencePackageExport(event, exportId, exportData, ffmpegPath, { performVideoExport });
+  }
+  if (Array.isArray(exportData?.highlightClips)) {
+    return performHighlightReelExport(event, exportId, exportData, ffmpegPath, { performVideoExport });
+  }
+  return performVideoExport(event, exportId, exportData, ffmpegPath);
+}
+
 app.whenReady().then(async () => {
+  if (cliOptions) {
+    const exitCode = cliOptions.command === 'verify'
+      ? await runCliVerify(cliOptions)
+      : await runCliExport(cliOptions, { performVideoExport: runExport, findFFmpegPath });
+    app.exit(exitCode);
+    return;
+  }
+
   // Check for new packages after update (dev mode only)
   // This runs before window creation to ensure packages are installed
   const packageResult = await checkAndInstallPackages();
@@ -1453,6 +1569,9 @@ app.whenReady().then(async () => {
 
   createWindow();
 
+  // Resume queued exports restored from the last session
+  startExportQueue();
+
   // Pre-cache FFmpeg path in background after window is ready.
   // This eliminates the UI freeze on macOS when opening the export modal,
   // since findFFmpegPath uses spawnSync which blocks the main thread.
@@ -1631,7 +1750,7 @@ ipcMain.handle('export:start', async (event, exportId, exportData) => {
       throw new Error('FFmpeg not found. Please install FFmpeg or place it in the ffmpeg_bin directory.');
     }
 
-    const result = await performVideoExport(event, exportId, exportData, ffmpegPath);
+    const result = await runExport(event, exportId, exportData, ffmpegPath);
     return result;
   } catch (error) {
     console.error('Export failed:', error);
@@ -1649,7 +1768,16 @@ ipcMain.handle('export:start', async (event, exportId, exportData) => {
   }
 });
 
-ipcMain.handle('export:cancel', async (_event, exportId) => {
+/**
+ * Cancel an export by ID: flags it for the pre-render loops and kills its FFmpeg process
+ * @param {string} exportId - Export to cancel
+ */
+function cancelExportProcess(exportId) {
+  // Highlight reels, evidence packages and web galleries stop their current video export themselves
+  if (cancelHighlightReel(exportId, cancelExportProcess)) return true;
+  if (cancelEvidencePackage(exportId, cancelExportProcess)) return true;
+  if (cancelWebGallery(exportId, cancelExportProcess)) return true;
+
   // Mark as cancelled immediately so dashboard rendering loop can check it
   cancelledExports.add(exportId);
 
@@ -1670,21 +1798,23 @@ ipcMain.handle('export:cancel', async (_event, exportId) => {
   }
   // Even if process not found, mark as cancelled so it won't start
   return true;
-});
+}
+
+ipcMain.handle('export:cancel', async (_event, exportId) => cancelExportProcess(exportId));
 
 // ============================================
-// CLIP SHARING - Upload export to Sentry Studio server
+// CLIP SHARING - Upload export to the share server
+// (Sentry Studio's by default, or a self-hosted one - see src/main/shareEndpoint.js)
 // ============================================
-const CLIP_UPLOAD_URL = 'https://api.sentry-six.com/share/upload';
-const CLIP_DELETE_URL = 'https://api.sentry-six.com/share/delete';
-const CLIP_CONFIG_URL = 'https://api.sentry-six.com/share/config';
-
 let _shareConfigCache = null;
 
 ipcMain.handle('share:getConfig', async () => {
   if (_shareConfigCache) return _shareConfigCache;
+  // Where links point, shown in the export modal (the hosted service keeps its default text)
+  const serverUrl = getShareServerUrl();
+  const viewerHost = serverUrl === DEFAULT_SHARE_SERVER ? null : new URL(serverUrl).host;
   try {
-    const urlObj = new URL(CLIP_CONFIG_URL);
+    const urlObj = new URL(shareEndpoint('config', serverUrl));
     const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
     const result = await new Promise((resolve, reject) => {
       const req = httpModule.request({
@@ -1708,22 +1838,21 @@ ipcMain.handle('share:getConfig', async () => {
       _shareConfigCache = {
         expirationHours: result.expirationHours,
         minExpirationHours: result.minExpirationHours || 0.5,
-        maxExpirationHours: result.maxExpirationHours || 168
+        maxExpirationHours: result.maxExpirationHours || 168,
+        viewerHost: viewerHost && (result.viewerHost || viewerHost)
       };
       return _shareConfigCache;
     }
   } catch (err) {
     console.warn('[SHARE] Failed to fetch config:', err.message);
   }
-  return { expirationHours: 72, minExpirationHours: 0.5, maxExpirationHours: 168 };
+  return { expirationHours: 72, minExpirationHours: 0.5, maxExpirationHours: 168, viewerHost };
 });
 
-const CLIP_RESERVE_URL = 'https://api.sentry-six.com/share/reserve';
-
 ipcMain.handle('share:reserve', async (event, expirationHours) => {
   console.log('[SHARE] Reserving share code...');
   try {
-    const urlObj = new URL(CLIP_RESERVE_URL);
+    const urlObj = new URL(shareEndpoint('reserve'));
     const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
     const payload = JSON.stringify({ expirationHours: expirationHours || 72 });
 
@@ -1770,163 +1899,15 @@ ipcMain.handle('share:reserve', async (event, expirationHours) => {
 
 ipcMain.handle('share:upload', async (event, filePath, options) => {
   const reserveCode = options?.reserveCode;
-  const expirationHours = options?.expirationHours;
   console.log('[SHARE] Starting clip upload:', filePath, reserveCode ? `(reserved: ${reserveCode})` : '');
+  // Chunked and resumable when the server supports it (src/main/shareUpload.js)
+  return uploadSharedClip(filePath, options, progress => event.sender.send('share:progress', progress));
+});
 
-  try {
-    if (!fs.existsSync(filePath)) {
-      throw new Error('Export file not found');
-    }
-
-    const stat = fs.statSync(filePath);
-    const totalBytes = stat.size;
-
-    // Generate delete token client-side
-    const deleteToken = crypto.randomBytes(24).toString('hex');
-
-    // Build multipart form data manually to stream the file with progress tracking
-    const boundary = `----SentrySixUpload${Date.now()}${Math.random().toString(36).slice(2)}`;
-    const fileName = path.basename(filePath);
-
-    // Form data fields: deleteToken + optional reserveCode + optional expirationHours + video file
-    let formFieldsPart = `--${boundary}\r\n` +
-      `Content-Disposition: form-data; name="deleteToken"\r\n\r\n` +
-      `${deleteToken}\r\n`;
-
-    if (reserveCode) {
-      formFieldsPart += `--${boundary}\r\n` +
-        `Content-Disposition: form-data; name="reserveCode"\r\n\r\n` +
-        `${reserveCode}\r\n`;
-    }
-
-    if (expirationHours) {
-      formFieldsPart += `--${boundary}\r\n` +
-        `Content-Disposition: form-data; name="expirationHours"\r\n\r\n` +
-        `${expirationHours}\r\n`;
-    }
-
-    const formFieldsBuffer = Buffer.from(formFieldsPart);
-    const filePart = Buffer.from(
-      `--${boundary}\r\n` +
-      `Content-Disposition: form-data; name="video"; filename="${fileName}"\r\n` +
-      `Content-Type: video/mp4\r\n\r\n`
-    );
-    const footerPart = Buffer.from(`\r\n--${boundary}--\r\n`);
-    const contentLength = formFieldsBuffer.length + filePart.length + totalBytes + footerPart.length;
-
-    return new Promise((resolve, reject) => {
-      const urlObj = new URL(CLIP_UPLOAD_URL);
-      const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
-
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-        path: urlObj.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': contentLength
-        },
-        family: 0
-      };
-
-      const req = httpModule.request(options, (res) => {
-        let body = '';
-        res.on('data', chunk => body += chunk);
-        res.on('end', () => {
-          try {
-            const result = JSON.parse(body);
-            if (res.statusCode === 200 && result.success) {
-              console.log(`[SHARE] Upload complete: ${result.url}`);
-
-              // Auto-save to local shared clips list
-              try {
-                const settings = loadSettings();
-                const sharedClips = settings.sharedClips || [];
-                sharedClips.unshift({
-                  code: result.code,
-                  url: result.url,
-                  deleteToken: result.deleteToken || deleteToken,
-                  expiresAt: result.expiresAt,
-                  fileSize: result.fileSize,
-                  fileName,
-                  uploadedAt: new Date().toISOString()
-                });
-                // Keep max 50 entries
-                settings.sharedClips = sharedClips.slice(0, 50);
-                saveSettings(settings);
-              } catch (saveErr) {
-                console.error('[SHARE] Failed to save clip to settings:', saveErr.message);
-              }
-
-              event.sender.send('share:progress', { type: 'complete', ...result });
-              resolve(result);
-            } else {
-              const errorMsg = result.error || `Upload failed (HTTP ${res.statusCode})`;
-              console.error('[SHARE] Upload failed:', errorMsg);
-              event.sender.send('share:progress', { type: 'error', error: errorMsg });
-              reject(new Error(errorMsg));
-            }
-          } catch (parseErr) {
-            console.error('[SHARE] Response parse error:', body.slice(0, 200));
-            reject(new Error('Invalid server response'));
-          }
-        });
-      });
-
-      req.on('error', (err) => {
-        console.error('[SHARE] Upload network error:', err.message);
-        event.sender.send('share:progress', { type: 'error', error: err.message });
-        reject(err);
-      });
-
-      // Write form fields first, then file header
-      req.write(formFieldsBuffer);
-      req.write(filePart);
-
-      // Stream file with progress tracking
-      let bytesUploaded = 0;
-      let lastProgressPct = 0;
-      const fileStream = fs.createReadStream(filePath, { highWaterMark: 256 * 1024 }); // 256KB chunks
-
-      fileStream.on('data', (chunk) => {
-        req.write(chunk);
-        bytesUploaded += chunk.length;
-        const pct = Math.floor((bytesUploaded / totalBytes) * 100);
-        if (pct > lastProgressPct) {
-          lastProgressPct = pct;
-          event.sender.send('share:progress', {
-            type: 'progress',
-            percentage: pct,
-            bytesUploaded,
-            totalBytes
-          });
-        }
-      });
-
-      fileStream.on('end', () => {
-        req.write(footerPart);
-        req.end();
-        event.sender.send('share:progress', {
-          type: 'progress',
-          percentage: 100,
-          bytesUploaded: totalBytes,
-          totalBytes
-        });
-      });
-
-      fileStream.on('error', (err) => {
-        console.error('[SHARE] File read error:', err.message);
-        req.destroy();
-        reject(err);
-      });
-    });
-
-  } catch (err) {
-    console.error('[SHARE] Upload error:', err.message);
-    event.sender.send('share:progress', { type: 'error', error: err.message });
-    throw err;
-  }
+// Continue a paused chunked upload (after a network drop or an app restart)
+ipcMain.handle('share:resumeUpload', async (event, code) => {
+  console.log('[SHARE] Resuming upload:', code);
+  return resumeSharedClipUpload(code, progress => event.sender.send('share:progress', progress));
 });
 
 // Get list of shared clips from local settings
@@ -1947,48 +1928,26 @@ ipcMain.handle('share:syncClips', async () => {
     const clips = settings.sharedClips || [];
     if (clips.length === 0) return clips;
 
-    const codes = clips.map(c => c.code);
-    const payload = JSON.stringify({ codes });
-    const urlObj = new URL('https://api.sentry-six.com/share/check-codes');
-    const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
-
-    const result = await new Promise((resolve, reject) => {
-      const req = httpModule.request({
-        hostname: urlObj.hostname,
-        port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-        path: urlObj.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(payload)
-        },
-        family: 0
-      }, (res) => {
-        let body = '';
-        res.on('data', chunk => body += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(body));
-          } catch {
-            resolve(null);
-          }
-        });
-      });
-      req.on('error', () => resolve(null));
-      req.setTimeout(10000, () => { req.destroy(); resolve(null); });
-      req.write(payload);
-      req.end();
-    });
-
-    if (!result || !result.statuses) {
-      // Server unreachable, return local clips as-is
-      return clips;
+    // Ask each server about its own clips (clips from before the server was configurable have no server);
+    // paused uploads aren't live yet and stay as they are
+    const uploaded = clips.filter(c => !c.upload);
+    const servers = [...new Set(uploaded.map(c => c.server || DEFAULT_SHARE_SERVER))];
+    const statusesByServer = {};
+    for (const serverUrl of servers) {
+      const codes = uploaded.filter(c => (c.server || DEFAULT_SHARE_SERVER) === serverUrl).map(c => c.code);
+      statusesByServer[serverUrl] = await checkShareCodes(serverUrl, codes);
     }
 
     // Update local clips: remove deleted ones, update expiry times
     const updatedClips = [];
     for (const clip of clips) {
-      const status = result.statuses[clip.code];
+      const statuses = statusesByServer[clip.server || DEFAULT_SHARE_SERVER];
+      if (clip.upload || !statuses) {
+        // Server unreachable, keep the local entry as-is
+        updatedClips.push(clip);
+        continue;
+      }
+      const status = statuses[clip.code];
       if (!status || status.deleted) {
         console.log(`[SHARE] Removing clip ${clip.code} (deleted on server)`);
         continue;
@@ -2010,12 +1969,53 @@ ipcMain.handle('share:syncClips', async () => {
   }
 });
 
+/**
+ * Current status of shared clip codes on one server
+ * @returns {Promise<Object|null>} { code: { deleted?, expiresAt } }, or null when the server can't be reached
+ */
+async function checkShareCodes(serverUrl, codes) {
+  const payload = JSON.stringify({ codes });
+  const urlObj = new URL(shareEndpoint('check-codes', serverUrl));
+  const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
+
+  const result = await new Promise((resolve) => {
+    const req = httpModule.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+      path: urlObj.pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      family: 0
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch {
+          resolve(null);
+        }
+      });
+    });
+    req.on('error', () => resolve(null));
+    req.setTimeout(10000, () => { req.destroy(); resolve(null); });
+    req.write(payload);
+    req.end();
+  });
+
+  return result?.statuses || null;
+}
+
 // Delete a shared clip (sends delete request to server + removes from local settings)
 ipcMain.handle('share:deleteClip', async (_event, code, deleteToken) => {
   console.log('[SHARE] Deleting clip:', code);
 
   try {
-    const urlObj = new URL(CLIP_DELETE_URL);
+    const clip = (loadSettings().sharedClips || []).find(c => c.code === code);
+    const urlObj = new URL(shareEndpoint('delete', clip ? (clip.server || DEFAULT_SHARE_SERVER) : undefined));
     const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
     const payload = JSON.stringify({ code, deleteToken });
 
@@ -2407,3 +2407,40 @@ registerDiagnosticsStorageIpc(SUPPORT_SERVER_URL);
 // Support chat module (extracted to src/main/supportChat.js)
 registerSupportChatIpc();
 
+// Telemetry data export (CSV/GPX/KML)
+registerTelemetryExportIpc();
+
+// Library index cache (extracted to src/main/indexCache.js)
+registerIndexCacheIpc();
+
+// Bookmarks sidecar file (src/main/bookmarks.js)
+registerBookmarksIpc();
+
+// Still-frame PNG export (src/main/stills.js)
+registerStillsIpc();
+
+// Evidence package verification (src/main/evidencePackage.js)
+registerEvidencePackageIpc();
+
+// Library integrity scan and truncated clip repair (src/main/clipIntegrity.js)
+registerClipIntegrityIpc();
+
+// Storage usage breakdown and batch trash (src/main/storageManager.js)
+registerStorageManagerIpc();
+
+// Incident report HTML/PDF output (src/main/incidentReport.js)
+registerIncidentReportIpc();
+
+// Export preset file import/export (src/main/exportPresets.js)
+registerExportPresetsIpc();
+
+// Configurable clip sharing server (src/main/shareEndpoint.js)
+registerShareEndpointIpc(() => { _shareConfigCache = null; });
+
+// Export queue (extracted to src/main/exportQueue.js)
+registerExportQueueIpc({
+  getMainWindow: () => mainWindow,
+  performVideoExport: runExport,
+  findFFmpegPath,
+  cancelExportProcess
+});
@@ -0,0 +1,148 @@
+const { app, ipcMain } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// BOOKMARKS
+// Bookmarks and notes live in a sidecar file in the opened TeslaCam folder so
+// they survive re-indexing and travel with the drive when it's handed to
+// someone else. Positions are stored against the clip file's timestamp key
+// (not a collection offset), so they resolve in day, event and drive views.
+// Read-only folders (write-protected USB, network shares) fall back to a copy
+// in userData/bookmarks.
+// ============================================
+
+const SIDECAR_NAME = 'SentryStudio-bookmarks.json';
+const FORMAT_VERSION = 1;
+const MAX_BOOKMARKS = 5000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTE_LENGTH = 10000;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const localDir = path.join(app.getPath('userData'), 'bookmarks');
+
+function sidecarPath(rootPath) {
+  return path.join(rootPath, SIDECAR_NAME);
+}
+
+function localPath(rootPath) {
+  const resolved = path.resolve(rootPath);
+  const key = crypto.createHash('sha1')
+    .update(process.platform === 'win32' ? resolved.toLowerCase() : resolved)
+    .digest('hex')
+    .slice(0, 16);
+  return path.join(localDir, `${key}.json`);
+}
+
+function clampString(value, maxLength) {
+  return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+/**
+ * Keep only well-formed bookmarks (the sidecar may have been edited or written by another version)
+ */
+function sanitizeBookmark(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.id !== 'string' || !raw.id) return null;
+  if (typeof raw.clip !== 'string' || !/^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/.test(raw.clip)) return null;
+  const offsetSec = Number(raw.offsetSec);
+  return {
+    id: raw.id.slice(0, 64),
+    title: clampString(raw.title, MAX_TITLE_LENGTH),
+    note: clampString(raw.note, MAX_NOTE_LENGTH),
+    color: COLOR_PATTERN.test(raw.color) ? raw.color : '#3e9cbf',
+    clip: raw.clip,
+    tag: clampString(raw.tag, 32),
+    eventId: typeof raw.eventId === 'string' ? raw.eventId.slice(0, 64) : null,
+    offsetSec: Number.isFinite(offsetSec) ? Math.max(0, offsetSec) : 0,
+    epochMs: Number.isFinite(raw.epochMs) ? raw.epochMs : null,
+    createdAt: clampString(raw.createdAt, 40),
+    updatedAt: clampString(raw.updatedAt, 40)
+  };
+}
+
+function readBookmarkFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!Array.isArray(data?.bookmarks)) return null;
+  return data.bookmarks.map(sanitizeBookmark).filter(Boolean);
+}
+
+/**
+ * Write atomically (rename) so a pulled USB drive never leaves a half-written sidecar
+ */
+function writeBookmarkFile(filePath, bookmarks) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({
+    version: FORMAT_VERSION,
+    app: 'Sentry Studio',
+    savedAt: new Date().toISOString(),
+    bookmarks
+  }, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Load bookmarks for a folder: the sidecar if present, otherwise the local fallback copy
+ * @returns {{bookmarks: Array, location: 'folder'|'local'|null}}
+ */
+function loadBookmarks(rootPath) {
+  const fromFolder = readBookmarkFile(sidecarPath(rootPath));
+  if (fromFolder) return { bookmarks: fromFolder, location: 'folder' };
+  const fromLocal = readBookmarkFile(localPath(rootPath));
+  if (fromLocal) return { bookmarks: fromLocal, location: 'local' };
+  return { bookmarks: [], location: null };
+}
+
+/**
+ * Save bookmarks next to the clips, or locally when the folder can't be written
+ * @returns {{location: 'folder'|'local'}}
+ */
+function saveBookmarks(rootPath, bookmarks) {
+  const clean = (Array.isArray(bookmarks) ? bookmarks : [])
+    .slice(0, MAX_BOOKMARKS)
+    .map(sanitizeBookmark)
+    .filter(Boolean);
+
+  try {
+    writeBookmarkFile(sidecarPath(rootPath), clean);
+    // The folder copy is authoritative again; drop any stale fallback
+    fs.rmSync(localPath(rootPath), { force: true });
+    return { location: 'folder' };
+  } catch (err) {
+    if (!['EROFS', 'EACCES', 'EPERM'].includes(err.code)) throw err;
+    console.warn(`[BOOKMARKS] ${rootPath} is read-only (${err.code}), saving locally`);
+    fs.rmSync(`${sidecarPath(rootPath)}.tmp`, { force: true });
+    writeBookmarkFile(localPath(rootPath), clean);
+    return { location: 'local' };
+  }
+}
+
+/**
+ * Register bookmark IPC handlers
+ */
+function registerBookmarksIpc() {
+  ipcMain.handle('bookmarks:load', async (_event, rootPath) => {
+    try {
+      if (typeof rootPath !== 'string' || !rootPath) throw new Error('No folder open');
+      return { success: true, ...loadBookmarks(rootPath) };
+    } catch (err) {
+      console.error('[BOOKMARKS] Failed to load:', err.message);
+      return { success: false, error: err.message, bookmarks: [] };
+    }
+  });
+
+  ipcMain.handle('bookmarks:save', async (_event, rootPath, bookmarks) => {
+    try {
+      if (typeof rootPath !== 'string' || !rootPath) throw new Error('No folder open');
+      return { success: true, ...saveBookmarks(rootPath, bookmarks) };
+    } catch (err) {
+      console.error('[BOOKMARKS] Failed to save:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = { registerBookmarksIpc };
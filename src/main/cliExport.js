@@ -0,0 +1,500 @@
+const fs = require('fs');
+const path = require('path');
+const { indexTeslaCamFolder, buildCollections, parseTimestampKeyToEpochMs } = require('./teslaCamIndex');
+const { readSeiFromFile } = require('./seiReader');
+const { loadExportPresets, findExportPreset } = require('./exportPresets');
+const { SUBTITLE_FORMATS } = require('./subtitleTrack');
+const { probeDurationSec } = require('./ffmpeg');
+
+// ============================================
+// HEADLESS CLI EXPORT
+// `sentry-studio export --folder <TeslaCam> ...` runs performVideoExport without a window;
+// `sentry-studio verify <package.zip>` re-checks an evidence package (src/main/evidencePackage.js)
+// ============================================
+
+const CLI_CAMERAS = ['left_pillar', 'front', 'right_pillar', 'left_repeater', 'back', 'right_repeater'];
+const CLI_QUALITIES = ['mobile', 'medium', 'high', 'max'];
+const CLI_DASHBOARDS = ['none', 'compact', 'detailed', 'tesla-mobile'];
+
+const CLI_USAGE = `Usage: sentry-studio export --folder <path> [options]
+       sentry-studio verify <package.zip>
+
+Selection:
+  --folder <path>            TeslaCam folder (or any parent of RecentClips/SentryClips/SavedClips)
+  --event <id>               Event folder name (e.g. 2025-01-31_18-22-05), may be repeated
+  --type <saved|sentry|recent|all>
+                             Export every collection of this type (default: saved when no --event)
+  --date <YYYY-MM-DD>        Only collections from this day
+  --start <sec>              Range start, seconds from collection start (default 0)
+  --end <sec>                Range end, seconds from collection start (default: whole collection)
+  --list                     Print matching collections and exit
+
+Output:
+  --out <path>               Output .mp4/.zip (single collection) or directory (batch)
+  --evidence                 Write an evidence package (.zip): original clips, event.json,
+                             telemetry, the rendered video, a report and SHA-256 manifest
+  --preset <name>            Use an export preset saved in the app (cameras, layout, quality,
+                             overlays, timelapse); the options below override it
+  --cameras <list>           Comma-separated: front,back,left_repeater,right_repeater,left_pillar,right_pillar
+  --quality <q>              mobile | medium | high | max (default high)
+  --dashboard <style>        none | compact | detailed | tesla-mobile (default none)
+  --dashboard-position <p>   e.g. bottom-center, top-left (default bottom-center)
+  --dashboard-size <s>       small | medium | large | xlarge (default medium)
+  --timestamp                Burn in a date/time overlay (when no dashboard)
+  --minimap                  Burn in a GPS minimap
+  --metric                   Use km/h on the dashboard
+  --subtitles <list>         Telemetry as soft subtitles instead of pixels: srt,vtt (sidecar
+                             files next to the video) and/or embedded (MP4 subtitle track)
+  --gps-track                Embed the start location (ISO 6709 location atom)
+  --chapters                 Add MP4 chapters at each clip and the Sentry/Saved event trigger
+  --timelapse <speed>        Speed up the output (e.g. 8)
+  --language <code>          Dashboard language (default en)
+  --overwrite                Replace existing output files (default: skip)
+  --help                     Show this help
+`;
+
+/**
+ * Parse process.argv for a CLI command
+ * @param {Array<string>} argv - process.argv
+ * @param {boolean} isPackaged - app.isPackaged (dev runs have an extra "." argument)
+ * @returns {Object|null} Parsed options, or null when the app should start normally
+ */
+function parseCliArgs(argv, isPackaged) {
+  const args = argv.slice(isPackaged ? 1 : 2);
+  if (args[0] === 'verify') {
+    return { command: 'verify', package: args.slice(1).find(a => !a.startsWith('--')) || null };
+  }
+  if (args[0] !== 'export') return null;
+
+  const options = {
+    command: 'export',
+    events: [],
+    type: null,
+    date: null,
+    start: null,
+    end: null,
+    list: false,
+    out: null,
+    folder: null,
+    cameras: CLI_CAMERAS.slice(),
+    quality: 'high',
+    dashboard: 'none',
+    dashboardPosition: 'bottom-center',
+    dashboardSize: 'medium',
+    timestamp: false,
+    minimap: false,
+    metric: false,
+    timelapse: null,
+    subtitles: [],
+    gpsTrack: false,
+    chapters: false,
+    language: 'en',
+    overwrite: false,
+    evidence: false,
+    preset: null,
+    // Export options only a preset can set (the modal's Layout Lab, overlay placement, formats)
+    layoutData: null,
+    timestampPosition: 'bottom-center',
+    timestampDateFormat: 'ymd',
+    timestampTimeFormat: '24h',
+    minimapPosition: 'top-right',
+    minimapSize: 'small',
+    mirrorCameras: true,
+    blurType: 'trueBlur',
+    explicit: [],        // Flags given on the command line (they win over the preset)
+    help: false,
+    errors: []
+  };
+
+  const takeValue = (i, name) => {
+    const value = args[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      options.errors.push(`Missing value for ${name}`);
+      return null;
+    }
+    return value;
+  };
+  // Strict: "1m" or "abc" must fail rather than become NaN and be ignored
+  const numberValue = (raw, name) => {
+    if (raw === null) return null;
+    const n = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(n)) {
+      options.errors.push(`Invalid ${name}: ${raw} (expected a number)`);
+      return null;
+    }
+    return n;
+  };
+
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg, undefined];
+    const value = () => {
+      if (inline !== undefined) return inline;
+      const v = takeValue(i, flag);
+      if (v !== null) i++;
+      return v;
+    };
+    if (flag.startsWith('--')) options.explicit.push(flag);
+
+    switch (flag) {
+      case '--folder': options.folder = value(); break;
+      case '--event': { const v = value(); if (v) options.events.push(v); break; }
+      case '--type': options.type = value(); break;
+      case '--date': options.date = value(); break;
+      case '--start': options.start = numberValue(value(), flag); break;
+      case '--end': options.end = numberValue(value(), flag); break;
+      case '--list': options.list = true; break;
+      case '--out': options.out = value(); break;
+      case '--cameras': options.cameras = String(value() || '').split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--quality': options.quality = value(); break;
+      case '--dashboard': options.dashboard = value(); break;
+      case '--dashboard-position': options.dashboardPosition = value(); break;
+      case '--dashboard-size': options.dashboardSize = value(); break;
+      case '--timestamp': options.timestamp = true; break;
+      case '--minimap': options.minimap = true; break;
+      case '--metric': options.metric = true; break;
+      case '--timelapse': options.timelapse = numberValue(value(), flag); break;
+      case '--gps-track': options.gpsTrack = true; break;
+      case '--chapters': options.chapters = true; break;
+      case '--subtitles': options.subtitles = String(value() || '').split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--language': options.language = value(); break;
+      case '--overwrite': options.overwrite = true; break;
+      case '--evidence': options.evidence = true; break;
+      case '--preset': options.preset = value(); break;
+      case '--help': case '-h': options.help = true; break;
+      default:
+        // Chromium/Electron switches (e.g. --no-sandbox) can be appended by launchers
+        if (!arg.startsWith('--')) options.errors.push(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (options.help) return options;
+  if (!options.folder) options.errors.push('--folder is required');
+  if (!CLI_QUALITIES.includes(options.quality)) options.errors.push(`Invalid --quality: ${options.quality}`);
+  if (!CLI_DASHBOARDS.includes(options.dashboard)) options.errors.push(`Invalid --dashboard: ${options.dashboard}`);
+  const badCameras = options.cameras.filter(c => !CLI_CAMERAS.includes(c));
+  if (badCameras.length) options.errors.push(`Unknown camera(s): ${badCameras.join(', ')}`);
+  if (options.cameras.length === 0) options.errors.push('--cameras must list at least one camera');
+  if (options.type && !['saved', 'sentry', 'recent', 'all'].includes(options.type)) options.errors.push(`Invalid --type: ${options.type}`);
+  if (options.timelapse !== null && !(options.timelapse > 0)) options.errors.push('--timelapse must be a positive number');
+  const badSubtitles = options.subtitles.filter(f => !SUBTITLE_FORMATS.includes(f));
+  if (badSubtitles.length) options.errors.push(`Unknown subtitle format(s): ${badSubtitles.join(', ')}`);
+
+  return options;
+}
+
+/**
+ * Fill options from an export preset; flags given on the command line keep their values
+ * @param {Object} options - Parsed CLI options (modified)
+ * @param {Object} preset - From loadExportPresets
+ */
+function applyCliPreset(options, preset) {
+  const o = preset.options;
+  const given = (flag) => options.explicit.includes(flag);
+
+  if (o.cameras && !given('--cameras')) options.cameras = o.cameras.slice();
+  if (o.quality && !given('--quality')) options.quality = o.quality;
+  if (o.includeDashboard !== undefined && !given('--dashboard')) {
+    options.dashboard = o.includeDashboard ? (o.dashboardStyle || 'compact') : 'none';
+  }
+  const dashboardPosition = o.dashboardStyle === 'tesla-mobile' ? o.dashboardPositionTeslaMobile : o.dashboardPosition;
+  if (dashboardPosition && !given('--dashboard-position')) options.dashboardPosition = dashboardPosition;
+  if (o.dashboardSize && !given('--dashboard-size')) options.dashboardSize = o.dashboardSize;
+  if (o.includeTimestamp !== undefined && !given('--timestamp')) options.timestamp = o.includeTimestamp;
+  if (o.includeMinimap !== undefined && !given('--minimap')) options.minimap = o.includeMinimap;
+  if (o.useMetric !== undefined && !given('--metric')) options.metric = o.useMetric;
+  if (o.enableTimelapse !== undefined && !given('--timelapse')) {
+    options.timelapse = o.enableTimelapse && o.timelapseSpeed > 0 ? o.timelapseSpeed : null;
+  }
+  if (o.embedGpsTrack !== undefined && !given('--gps-track')) options.gpsTrack = o.embedGpsTrack;
+  if (o.embedChapters !== undefined && !given('--chapters')) options.chapters = o.embedChapters;
+  if (!given('--subtitles')) {
+    const subtitles = { srt: o.subtitleSrt, vtt: o.subtitleVtt, embedded: o.subtitleEmbedded };
+    if (Object.values(subtitles).some(v => v !== undefined)) {
+      options.subtitles = Object.keys(subtitles).filter(f => subtitles[f]);
+    }
+  }
+
+  // Only layouts for the exported cameras apply; the renderer drops the rest the same way
+  if (o.layoutData && options.cameras.every(c => o.layoutData.cameras[c])) options.layoutData = o.layoutData;
+  for (const key of ['timestampPosition', 'timestampDateFormat', 'timestampTimeFormat', 'minimapPosition', 'minimapSize', 'mirrorCameras', 'blurType']) {
+    if (o[key] !== undefined) options[key] = o[key];
+  }
+}
+
+/**
+ * Select the collections the user asked for
+ * @param {Array} collections - From buildCollections
+ * @param {Object} options - Parsed CLI options
+ * @returns {Array}
+ */
+function selectCollections(collections, options) {
+  let selected = collections;
+  if (options.events.length) {
+    selected = selected.filter(c => c.eventId && options.events.includes(c.eventId));
+  } else {
+    const type = options.type || 'saved';
+    if (type !== 'all') selected = selected.filter(c => c.id.startsWith(`${type}:`));
+  }
+  if (options.date) selected = selected.filter(c => c.day === options.date);
+  return selected;
+}
+
+/**
+ * Build the exportData object performVideoExport expects for one collection
+ * @returns {Promise<Object>}
+ */
+async function buildCliExportData(collection, options, outputPath, ffmpegPath) {
+  const segments = [];
+  let cumSec = 0;
+  for (let i = 0; i < collection.groups.length; i++) {
+    const group = collection.groups[i];
+    const files = {};
+    for (const camera of options.cameras) {
+      if (group.filesByCamera[camera]) files[camera] = group.filesByCamera[camera];
+    }
+    const probePath = group.filesByCamera.front || Object.values(group.filesByCamera)[0];
+    const durationSec = probePath ? probeDurationSec(ffmpegPath, probePath) : 60;
+    segments.push({
+      index: i,
+      durationSec,
+      startSec: cumSec,
+      files,
+      groupId: group.id,
+      timestamp: parseTimestampKeyToEpochMs(group.timestampKey)
+    });
+    cumSec += durationSec;
+  }
+
+  const startTimeMs = Math.max(0, (options.start || 0) * 1000);
+  const endTimeMs = Math.min(cumSec * 1000, options.end != null && options.end > 0 ? options.end * 1000 : Infinity);
+
+  const includeDashboard = options.dashboard !== 'none';
+  let seiData = [];
+  let mapPath = [];
+  if (includeDashboard || options.minimap || options.subtitles.length || options.gpsTrack) {
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      const segStartMs = seg.startSec * 1000;
+      if (segStartMs + seg.durationSec * 1000 <= startTimeMs || segStartMs >= endTimeMs) continue;
+      const group = collection.groups[i];
+      const seiPath = group.filesByCamera.front || Object.values(group.filesByCamera)[0];
+      try {
+        for (const frame of await readSeiFromFile(seiPath)) {
+          seiData.push({ timestampMs: segStartMs + frame.timestampMs, sei: frame.sei });
+          const lat = frame.sei.latitude_deg, lon = frame.sei.longitude_deg;
+          if (Number.isFinite(lat) && Number.isFinite(lon) && !(Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001)) {
+            mapPath.push([lat, lon]);
+          }
+        }
+      } catch (err) {
+        console.warn(`[CLI] Failed to read SEI from ${seiPath}: ${err.message}`);
+      }
+    }
+    if (includeDashboard && seiData.length === 0) console.warn('[CLI] No SEI telemetry found - exporting without dashboard');
+    if (options.minimap && mapPath.length === 0) console.warn('[CLI] No GPS data found - exporting without minimap');
+    if (options.subtitles.length && seiData.length === 0) console.warn('[CLI] No SEI telemetry found - exporting without subtitles');
+  }
+
+  return {
+    segments,
+    startTimeMs,
+    endTimeMs,
+    outputPath,
+    cameras: options.cameras,
+    quality: options.quality,
+    includeDashboard: includeDashboard && seiData.length > 0,
+    seiData,
+    layoutData: options.layoutData,
+    useMetric: options.metric,
+    dashboardStyle: includeDashboard ? options.dashboard : 'compact',
+    dashboardPosition: options.dashboardPosition,
+    dashboardSize: options.dashboardSize,
+    includeTimestamp: options.timestamp && !includeDashboard,
+    timestampPosition: options.timestampPosition,
+    timestampDateFormat: options.timestampDateFormat,
+    timestampTimeFormat: options.timestampTimeFormat,
+    blurZones: [],
+    blurType: options.blurType,
+    mirrorCameras: options.mirrorCameras,
+    language: options.language,
+    includeMinimap: options.minimap && mapPath.length > 0,
+    minimapPosition: options.minimapPosition,
+    minimapSize: options.minimapSize,
+    minimapRenderMode: 'ass', // Leaflet mode needs a BrowserWindow
+    mapPath,
+    enableTimelapse: options.timelapse !== null,
+    timelapseSpeed: options.timelapse || 1,
+    subtitleFormats: options.subtitles,
+    embedGpsTrack: options.gpsTrack,
+    embedChapters: options.chapters,
+    chapters: options.chapters ? buildCliChapters(collection, segments) : [],
+    evidencePackage: options.evidence ? buildCliEvidence(collection, segments, startTimeMs, endTimeMs) : undefined
+  };
+}
+
+/**
+ * Chapter markers in collection time: one per clip, plus the event.json trigger
+ * (the app adds FSD disengagements too, which need SentryUSB drive data)
+ */
+function buildCliChapters(collection, segments) {
+  const pad = n => String(n).padStart(2, '0');
+  const clock = epochMs => {
+    const d = new Date(epochMs);
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  };
+  const chapters = segments.map(seg => ({
+    timeMs: seg.startSec * 1000,
+    title: seg.timestamp ? `Clip ${clock(seg.timestamp)}` : `Clip ${seg.index + 1}`
+  }));
+
+  if (collection.eventJsonPath) {
+    try {
+      const event = JSON.parse(fs.readFileSync(collection.eventJsonPath, 'utf-8'));
+      const triggerMs = Date.parse(event.timestamp);
+      const seg = segments.find(s => s.timestamp && triggerMs >= s.timestamp && triggerMs < s.timestamp + s.durationSec * 1000);
+      if (seg) {
+        const label = collection.tag?.toLowerCase() === 'savedclips' ? 'Saved event' : 'Sentry event';
+        chapters.push({ timeMs: seg.startSec * 1000 + (triggerMs - seg.timestamp), title: `${label} ${clock(triggerMs)}` });
+      }
+    } catch (err) {
+      console.warn(`[CLI] Failed to read ${collection.eventJsonPath}: ${err.message}`);
+    }
+  }
+  return chapters.sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/**
+ * Source clips (every camera) and event.json for an evidence package of the range
+ */
+function buildCliEvidence(collection, segments, startTimeMs, endTimeMs) {
+  const clips = segments
+    .filter(seg => seg.startSec * 1000 < endTimeMs && (seg.startSec + seg.durationSec) * 1000 > startTimeMs)
+    .map(seg => {
+      const group = collection.groups[seg.index];
+      return {
+        index: seg.index,
+        timestampKey: group.timestampKey,
+        startSec: seg.startSec,
+        durationSec: seg.durationSec,
+        files: { ...group.filesByCamera }
+      };
+    });
+  return {
+    title: collection.id,
+    clips,
+    eventFiles: collection.eventJsonPath ? [{ eventId: collection.eventId, path: collection.eventJsonPath }] : []
+  };
+}
+
+/**
+ * Run the `export` CLI command
+ * @param {Object} options - From parseCliArgs
+ * @param {Object} deps - { performVideoExport, findFFmpegPath }
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCliExport(options, deps) {
+  const { performVideoExport, findFFmpegPath } = deps;
+  const print = (msg) => process.stdout.write(`${msg}\n`);
+
+  if (options.help) {
+    print(CLI_USAGE);
+    return 0;
+  }
+  if (options.errors.length) {
+    options.errors.forEach(e => process.stderr.write(`Error: ${e}\n`));
+    process.stderr.write(`\n${CLI_USAGE}`);
+    return 2;
+  }
+
+  if (options.preset) {
+    const presets = loadExportPresets();
+    const preset = findExportPreset(presets, options.preset);
+    if (!preset) {
+      process.stderr.write(`Error: export preset not found: ${options.preset}\n`);
+      if (presets.length) process.stderr.write(`Available presets: ${presets.map(p => `"${p.name}"`).join(', ')}\n`);
+      return 2;
+    }
+    applyCliPreset(options, preset);
+    print(`Using export preset "${preset.name}"`);
+  }
+
+  const folder = path.resolve(options.folder);
+  if (!fs.existsSync(folder)) {
+    process.stderr.write(`Error: folder not found: ${folder}\n`);
+    return 2;
+  }
+
+  print(`Indexing ${folder}...`);
+  const collections = selectCollections(buildCollections(indexTeslaCamFolder(folder)), options);
+  if (collections.length === 0) {
+    process.stderr.write('Error: no matching clips found\n');
+    return 1;
+  }
+
+  if (options.list) {
+    for (const c of collections) print(`${c.id}\t${c.groups.length} segment(s)`);
+    return 0;
+  }
+
+  const ffmpegPath = findFFmpegPath();
+  if (!ffmpegPath) {
+    process.stderr.write('Error: FFmpeg not found. Install FFmpeg or place it in the ffmpeg_bin directory.\n');
+    return 1;
+  }
+
+  // A single collection may target a file; batches always target a directory
+  const ext = options.evidence ? 'zip' : 'mp4';
+  const outIsFile = collections.length === 1 && options.out && options.out.toLowerCase().endsWith(`.${ext}`);
+  const outDir = path.resolve(outIsFile ? path.dirname(options.out) : (options.out || '.'));
+  fs.mkdirSync(outDir, { recursive: true });
+
+  let failed = 0;
+  for (let n = 0; n < collections.length; n++) {
+    const coll = collections[n];
+    const name = `tesla_${coll.tag}_${coll.eventId || coll.day}${options.evidence ? '_evidence' : ''}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+    const outputPath = outIsFile ? path.resolve(options.out) : path.join(outDir, `${name}.${ext}`);
+    const label = `[${n + 1}/${collections.length}] ${coll.id}`;
+
+    if (fs.existsSync(outputPath) && !options.overwrite) {
+      print(`${label}: ${outputPath} exists, skipping (use --overwrite)`);
+      continue;
+    }
+
+    print(`${label}: exporting to ${outputPath}`);
+    const exportId = `cli_${Date.now()}_${n}`;
+    let lastPct = -1;
+    let completeMessage = null;
+
+    // performVideoExport reports through event.sender.send; print it instead
+    const event = {
+      sender: {
+        send: (_channel, _id, progress) => {
+          if (progress.type === 'progress') {
+            const pct = Math.floor(progress.percentage || 0);
+            if (pct !== lastPct) {
+              lastPct = pct;
+              process.stdout.write(`\r${label}: ${pct}%   `);
+            }
+          } else if (progress.type === 'complete') {
+            completeMessage = progress;
+          }
+        }
+      }
+    };
+
+    try {
+      const exportData = await buildCliExportData(coll, options, outputPath, ffmpegPath);
+      await performVideoExport(event, exportId, exportData, ffmpegPath);
+      print(`\r${label}: done${completeMessage?.warning ? ' (with warnings)' : ''}        `);
+    } catch (err) {
+      failed++;
+      print(`\r${label}: FAILED - ${err.message}`);
+    }
+  }
+
+  print(`Finished: ${collections.length - failed} succeeded, ${failed} failed`);
+  return failed > 0 ? 1 : 0;
+}
+
+module.exports = { CLI_USAGE, parseCliArgs, runCliExport };
@@ -0,0 +1,451 @@
+const { ipcMain } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { indexTeslaCamFolderAsync, buildCollections, parseClipFilename, parseTimestampKeyToEpochMs } = require('./teslaCamIndex');
+const { loadDashcamMP4 } = require('./seiReader');
+
+// ============================================
+// CLIP INTEGRITY
+// Library scan for clips the player cannot open (empty, unreadable, cut off
+// without a moov box when the car lost power) and for clip groups missing a
+// camera. Truncated clips are rebuilt from their mdat H.264 stream with the
+// SPS/PPS and frame timing of a healthy clip from the same camera; the result
+// is written next to the original as <name>.repaired.mp4, which the library
+// index then loads in place of the broken file.
+// ============================================
+
+const BOX_HEADER_SIZE = 8;
+const MAX_TOP_LEVEL_BOXES = 64;
+// Healthy clips checked per camera when looking for a repair template
+const MAX_TEMPLATE_CANDIDATES = 10;
+const NAL_IDR = 5;
+const NAL_SLICE = 1;
+
+let activeScan = null;
+
+/**
+ * Read bytes at an offset (short read at EOF)
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * List top-level MP4 boxes without reading their payloads
+ * @param {FileHandle} handle - Open file
+ * @param {number} fileSize
+ * @returns {Promise<{boxes: Array<{type, offset, headerSize, size}>, truncated: boolean, invalid: boolean}>}
+ *   truncated: the last box runs past EOF; invalid: bytes that are not a box header
+ */
+async function readTopLevelBoxes(handle, fileSize) {
+  const boxes = [];
+  let pos = 0;
+  while (pos + BOX_HEADER_SIZE <= fileSize && boxes.length < MAX_TOP_LEVEL_BOXES) {
+    const header = await readAt(handle, pos, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = BOX_HEADER_SIZE;
+
+    if (size === 1) {
+      if (header.length < 16) return { boxes, truncated: true, invalid: false };
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    }
+    if (size === 0) size = fileSize - pos; // box runs to the end of the file (size not written yet)
+    if (size < headerSize || !/^[\x20-\x7e]{4}$/.test(type)) return { boxes, truncated: false, invalid: true };
+
+    boxes.push({ type, offset: pos, headerSize, size: Math.min(size, fileSize - pos) });
+    if (pos + size > fileSize) return { boxes, truncated: true, invalid: false };
+    pos += size;
+  }
+  return { boxes, truncated: false, invalid: false };
+}
+
+/**
+ * Read a clip's moov box and parse its video configuration
+ * @returns {Promise<{config: Object, stsd: Buffer}>} DashcamMP4 config and the raw stsd box (avc1 + avcC)
+ */
+async function readMoovConfig(handle, moovBox) {
+  const DashcamMP4 = loadDashcamMP4();
+  const moov = await readAt(handle, moovBox.offset, moovBox.size);
+  const buffer = moov.buffer.slice(moov.byteOffset, moov.byteOffset + moov.byteLength);
+  const mp4 = new DashcamMP4(buffer);
+  const config = mp4.getConfig();
+
+  const moovBody = mp4.findBox(0, buffer.byteLength, 'moov');
+  const trak = mp4.findBox(moovBody.start, moovBody.end, 'trak');
+  const mdia = mp4.findBox(trak.start, trak.end, 'mdia');
+  const minf = mp4.findBox(mdia.start, mdia.end, 'minf');
+  const stbl = mp4.findBox(minf.start, minf.end, 'stbl');
+  const stsd = mp4.findBox(stbl.start, stbl.end, 'stsd');
+  return { config, stsd: moov.subarray(stsd.start - BOX_HEADER_SIZE, stsd.end) };
+}
+
+/**
+ * Check one clip file
+ * @param {string} filePath
+ * @returns {Promise<{status: 'ok'|'empty'|'unreadable'|'truncated', detail: string, size: number, repairable: boolean}>}
+ */
+async function checkClipFile(filePath) {
+  let handle = null;
+  try {
+    const { size } = await fs.promises.stat(filePath);
+    if (size === 0) return { status: 'empty', detail: '', size, repairable: false };
+
+    handle = await fs.promises.open(filePath, 'r');
+    const { boxes, truncated, invalid } = await readTopLevelBoxes(handle, size);
+    if (boxes[0]?.type !== 'ftyp') {
+      return { status: 'unreadable', detail: 'Not an MP4 file', size, repairable: false };
+    }
+
+    const mdat = boxes.find(b => b.type === 'mdat');
+    const moov = boxes.find(b => b.type === 'moov');
+    const repairable = !!mdat && mdat.size > mdat.headerSize;
+    if (!moov || truncated || invalid) {
+      const detail = !moov ? 'Box "moov" not found' : 'File ends inside a box';
+      return { status: 'truncated', detail, size, repairable };
+    }
+
+    try {
+      const { config } = await readMoovConfig(handle, moov);
+      if (!config.durations.length) throw new Error('No frames');
+    } catch (err) {
+      return { status: 'unreadable', detail: err.message, size, repairable };
+    }
+    return { status: 'ok', detail: '', size, repairable: false };
+  } catch (err) {
+    return { status: 'unreadable', detail: err.code || err.message, size: 0, repairable: false };
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Scan a TeslaCam folder for broken clips and incomplete clip groups
+ * @param {string} rootPath - TeslaCam (or parent) folder
+ * @param {Function} onProgress - ({done, total}) after each checked file
+ * @param {{cancelled: boolean}} token - Set cancelled to stop early
+ * @returns {Promise<{groups: Array, checkedFiles: number, cancelled: boolean}>} Only groups with problems
+ */
+async function scanLibrary(rootPath, onProgress, token) {
+  const collections = buildCollections(await indexTeslaCamFolderAsync(rootPath));
+  const total = collections.reduce((sum, c) => sum + c.groups.reduce((n, g) => n + Object.keys(g.filesByCamera).length, 0), 0);
+  const groups = [];
+  let done = 0;
+
+  for (const coll of collections) {
+    // Tesla records every camera at once, so a camera seen anywhere in the event or day belongs in each group
+    const expected = new Set(coll.groups.flatMap(g => Object.keys(g.filesByCamera)));
+
+    for (const g of coll.groups) {
+      if (token.cancelled) return { groups, checkedFiles: done, cancelled: true };
+
+      const files = [];
+      for (const [camera, filePath] of Object.entries(g.filesByCamera)) {
+        const result = await checkClipFile(filePath);
+        if (result.status !== 'ok') files.push({ camera, path: filePath, ...result });
+        onProgress({ done: ++done, total });
+      }
+      const missingCameras = [...expected].filter(camera => !g.filesByCamera[camera]);
+
+      if (files.length || missingCameras.length) {
+        groups.push({
+          id: g.id,
+          collectionId: coll.id,
+          tag: g.tag,
+          eventId: g.eventId,
+          timestampKey: g.timestampKey,
+          files,
+          missingCameras
+        });
+      }
+    }
+  }
+  return { groups, checkedFiles: done, cancelled: false };
+}
+
+/**
+ * Find a healthy clip from the same camera to borrow SPS/PPS and frame timing from:
+ * the same folder first (nearest timestamp), then the parent folder (other events of the same kind)
+ * @param {string} filePath - Broken clip
+ * @param {string} camera
+ * @returns {Promise<{path: string, config: Object, stsd: Buffer}>}
+ */
+async function findTemplateClip(filePath, camera) {
+  const dir = path.dirname(filePath);
+  const target = path.basename(filePath);
+  const targetMs = parseTimestampKeyToEpochMs(parseClipFilename(target)?.timestampKey) || 0;
+  const candidates = [];
+
+  const listClips = async (folder) => {
+    const names = await fs.promises.readdir(folder).catch(() => []);
+    return names
+      .map(name => ({ name, parsed: parseClipFilename(name) }))
+      .filter(({ name, parsed }) => name !== target && parsed?.camera === camera)
+      .map(({ name, parsed }) => ({ name, distance: Math.abs((parseTimestampKeyToEpochMs(parsed.timestampKey) || 0) - targetMs) }))
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ name }) => path.join(folder, name));
+  };
+
+  candidates.push(...(await listClips(dir)));
+  const parent = path.dirname(dir);
+  for (const entry of await fs.promises.readdir(parent, { withFileTypes: true }).catch(() => [])) {
+    if (candidates.length >= MAX_TEMPLATE_CANDIDATES) break;
+    if (entry.isDirectory() && path.join(parent, entry.name) !== dir) {
+      candidates.push(...(await listClips(path.join(parent, entry.name))));
+    }
+  }
+
+  for (const candidate of candidates.slice(0, MAX_TEMPLATE_CANDIDATES)) {
+    let handle = null;
+    try {
+      handle = await fs.promises.open(candidate, 'r');
+      const { size } = await handle.stat();
+      const { boxes, truncated } = await readTopLevelBoxes(handle, size);
+      const moov = boxes.find(b => b.type === 'moov');
+      if (!moov || truncated) continue;
+      const { config, stsd } = await readMoovConfig(handle, moov);
+      if (config.durations.length) return { path: candidate, config, stsd };
+    } catch {
+      // not usable as a template, try the next one
+    } finally {
+      await handle?.close();
+    }
+  }
+  throw new Error(`No healthy ${camera} clip nearby to copy the video settings from`);
+}
+
+/**
+ * Split the mdat payload into samples (one per frame, with the SEI/parameter NALs in front of it)
+ * Stops at the first length that runs past the data or a byte that is not a NAL header,
+ * which is where the write was cut off. Leading frames before the first IDR are dropped.
+ * @returns {Promise<{start: number, sizes: Array<number>, syncSamples: Array<number>}>}
+ *   start: file offset of the first kept sample; syncSamples: 1-based IDR sample numbers
+ */
+async function readSamples(handle, mdatStart, mdatEnd) {
+  const sizes = [];
+  const syncSamples = [];
+  let start = -1;
+  let sampleStart = mdatStart;
+  let cursor = mdatStart;
+
+  while (cursor + 5 <= mdatEnd) {
+    const header = await readAt(handle, cursor, 5);
+    if (header.length < 5) break;
+    const len = header.readUInt32BE(0);
+    const nalHeader = header[4];
+    if (len < 1 || cursor + 4 + len > mdatEnd || (nalHeader & 0x80)) break;
+    const type = nalHeader & 0x1F;
+    cursor += 4 + len;
+
+    if (type !== NAL_IDR && type !== NAL_SLICE) continue;
+    if (start < 0) {
+      if (type !== NAL_IDR) { sampleStart = cursor; continue; } // cannot be decoded without a keyframe
+      start = sampleStart;
+    }
+    if (type === NAL_IDR) syncSamples.push(sizes.length + 1);
+    sizes.push(cursor - sampleStart);
+    sampleStart = cursor;
+  }
+  return { start, sizes, syncSamples };
+}
+
+/**
+ * MP4 box (size + type + payload)
+ */
+function box(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(BOX_HEADER_SIZE);
+  header.writeUInt32BE(BOX_HEADER_SIZE + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * MP4 full box (version + flags before the payload)
+ */
+function fullBox(type, version, flags, ...payloads) {
+  const vf = Buffer.alloc(4);
+  vf.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff), 0);
+  return box(type, vf, ...payloads);
+}
+
+function uint32s(...values) {
+  const buf = Buffer.alloc(values.length * 4);
+  values.forEach((v, i) => buf.writeUInt32BE(v >>> 0, i * 4));
+  return buf;
+}
+
+const UNITY_MATRIX = uint32s(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+
+/**
+ * Build a moov box for a single H.264 track stored as one chunk
+ * @param {Object} opts - { stsd, width, height, timescale, sampleDelta, sizes, syncSamples, chunkOffset }
+ */
+function buildMoov({ stsd, width, height, timescale, sampleDelta, sizes, syncSamples, chunkOffset }) {
+  const duration = sizes.length * sampleDelta;
+
+  const mvhd = fullBox('mvhd', 0, 0,
+    uint32s(0, 0, timescale, duration, 0x00010000),
+    Buffer.from([0x01, 0x00, 0, 0]), // volume 1.0, reserved
+    Buffer.alloc(8),
+    UNITY_MATRIX,
+    Buffer.alloc(24),
+    uint32s(2)); // next track ID
+  const tkhd = fullBox('tkhd', 0, 3, // enabled, in movie
+    uint32s(0, 0, 1, 0, duration),
+    Buffer.alloc(16), // reserved, layer, alternate group, volume, reserved
+    UNITY_MATRIX,
+    uint32s(width << 16, height << 16));
+  const mdhd = fullBox('mdhd', 0, 0,
+    uint32s(0, 0, timescale, duration),
+    Buffer.from([0x55, 0xc4, 0, 0])); // language "und"
+  const hdlr = fullBox('hdlr', 0, 0,
+    uint32s(0),
+    Buffer.from('vide', 'latin1'),
+    Buffer.alloc(12),
+    Buffer.from('VideoHandler\0', 'latin1'));
+  const vmhd = fullBox('vmhd', 0, 1, Buffer.alloc(8));
+  const dinf = box('dinf', fullBox('dref', 0, 0, uint32s(1), fullBox('url ', 0, 1)));
+
+  const stbl = box('stbl',
+    stsd,
+    fullBox('stts', 0, 0, uint32s(1, sizes.length, sampleDelta)),
+    fullBox('stss', 0, 0, uint32s(syncSamples.length, ...syncSamples)),
+    fullBox('stsc', 0, 0, uint32s(1, 1, sizes.length, 1)),
+    fullBox('stsz', 0, 0, uint32s(0, sizes.length, ...sizes)),
+    fullBox('stco', 0, 0, uint32s(1, chunkOffset)));
+
+  return box('moov', mvhd, box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', vmhd, dinf, stbl))));
+}
+
+/**
+ * Output path for a repaired clip: 2024-01-01_12-00-00-front.mp4 -> 2024-01-01_12-00-00-front.repaired.mp4
+ */
+function getRepairedPath(filePath) {
+  return filePath.replace(/\.mp4$/i, '.repaired.mp4');
+}
+
+/**
+ * Rebuild a playable MP4 from a truncated clip's mdat
+ * @param {string} filePath - Broken clip (left untouched)
+ * @returns {Promise<{outputPath: string, frames: number, durationSec: number, templatePath: string}>}
+ */
+async function repairClip(filePath) {
+  const parsed = parseClipFilename(path.basename(filePath));
+  if (!parsed || parsed.repaired) throw new Error('Not a Tesla camera clip');
+
+  const handle = await fs.promises.open(filePath, 'r');
+  let samples;
+  try {
+    const { size } = await handle.stat();
+    const { boxes } = await readTopLevelBoxes(handle, size);
+    const mdat = boxes.find(b => b.type === 'mdat');
+    if (!mdat) throw new Error('Box "mdat" not found');
+    samples = await readSamples(handle, mdat.offset + mdat.headerSize, mdat.offset + mdat.size);
+  } finally {
+    await handle.close();
+  }
+  if (!samples.sizes.length) throw new Error('No complete video frames left to recover');
+
+  const template = await findTemplateClip(filePath, parsed.camera);
+  const { config } = template;
+  const durations = [...config.durations].sort((a, b) => a - b);
+  const sampleDelta = Math.max(1, Math.round(durations[Math.floor(durations.length / 2)] * config.timescale / 1000));
+
+  const ftyp = box('ftyp', Buffer.from('isom', 'latin1'), uint32s(0x200), Buffer.from('isomiso2avc1mp41', 'latin1'));
+  const payloadSize = samples.sizes.reduce((sum, n) => sum + n, 0);
+  if (BOX_HEADER_SIZE + payloadSize > 0xffffffff) throw new Error('Clip too large to repair');
+  const mdatHeader = Buffer.alloc(BOX_HEADER_SIZE);
+  mdatHeader.writeUInt32BE(BOX_HEADER_SIZE + payloadSize, 0);
+  mdatHeader.write('mdat', 4, 'latin1');
+  const moov = buildMoov({
+    stsd: template.stsd,
+    width: config.width,
+    height: config.height,
+    timescale: config.timescale,
+    sampleDelta,
+    sizes: samples.sizes,
+    syncSamples: samples.syncSamples,
+    chunkOffset: ftyp.length + BOX_HEADER_SIZE
+  });
+
+  // Write under a temporary name so a half-written file is never picked up as the repaired clip
+  const outputPath = getRepairedPath(filePath);
+  const tempPath = `${outputPath}.part`;
+  try {
+    const out = fs.createWriteStream(tempPath);
+    const finished = new Promise((resolve, reject) => { out.on('finish', resolve); out.on('error', reject); });
+    out.write(Buffer.concat([ftyp, mdatHeader]));
+    const source = fs.createReadStream(filePath, { start: samples.start, end: samples.start + payloadSize - 1 });
+    await new Promise((resolve, reject) => {
+      source.on('error', reject);
+      source.on('end', resolve);
+      source.pipe(out, { end: false });
+    });
+    out.end(moov);
+    await finished;
+    await fs.promises.rename(tempPath, outputPath);
+  } catch (err) {
+    await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    throw err;
+  }
+
+  return {
+    outputPath,
+    frames: samples.sizes.length,
+    durationSec: samples.sizes.length * sampleDelta / config.timescale,
+    templatePath: template.path
+  };
+}
+
+/**
+ * Register library scan and clip repair IPC handlers
+ */
+function registerClipIntegrityIpc() {
+  ipcMain.handle('integrity:scan', async (event, rootPath) => {
+    if (activeScan) activeScan.cancelled = true;
+    const token = { cancelled: false };
+    activeScan = token;
+    try {
+      if (typeof rootPath !== 'string' || !rootPath) throw new Error('No folder');
+      console.log(`[INTEGRITY] Scanning ${rootPath}`);
+      let lastSent = 0;
+      const result = await scanLibrary(rootPath, ({ done, total }) => {
+        const now = Date.now();
+        if (done === total || now - lastSent > 200) {
+          lastSent = now;
+          if (!event.sender.isDestroyed()) event.sender.send('integrity:progress', { done, total });
+        }
+      }, token);
+      console.log(`[INTEGRITY] Checked ${result.checkedFiles} file(s), ${result.groups.length} group(s) with problems${result.cancelled ? ' (cancelled)' : ''}`);
+      return { success: true, ...result };
+    } catch (err) {
+      console.error('[INTEGRITY] Scan failed:', err.message);
+      return { success: false, error: err.message };
+    } finally {
+      if (activeScan === token) activeScan = null;
+    }
+  });
+
+  ipcMain.handle('integrity:cancelScan', () => {
+    if (activeScan) activeScan.cancelled = true;
+    return { success: true };
+  });
+
+  ipcMain.handle('integrity:repair', async (_event, filePath) => {
+    try {
+      if (typeof filePath !== 'string' || !filePath) throw new Error('No file');
+      const result = await repairClip(filePath);
+      console.log(`[INTEGRITY] Repaired ${filePath}: ${result.frames} frames (${result.durationSec.toFixed(1)}s), settings from ${path.basename(result.templatePath)}`);
+      return { success: true, ...result };
+    } catch (err) {
+      console.error(`[INTEGRITY] Repair failed for ${filePath}:`, err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = { checkClipFile, scanLibrary, repairClip, registerClipIntegrityIpc };
@@ -0,0 +1,575 @@
+const { app, ipcMain } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const JSZip = require('../renderer/vendor/jszip.min.js');
+const { readSeiFromFile } = require('./seiReader');
+const { normalizeSei, buildTelemetryCsv } = require('./telemetryExport');
+const { parseTimestampKeyToEpochMs } = require('./teslaCamIndex');
+const { formatBytes } = require('./ffmpeg');
+
+// ============================================
+// EVIDENCE PACKAGE
+// One zip for insurers and police: the untouched camera MP4s for the range,
+// event.json, decoded SEI telemetry, the rendered video, a human-readable
+// report and a SHA-256 manifest. The manifest uses the `sha256sum -c` format
+// so the package can be re-verified without this app; `verifyEvidencePackage`
+// does the same check straight from the zip.
+// ============================================
+
+const MANIFEST_NAME = 'SHA256SUMS';
+const REPORT_NAME = 'REPORT.txt';
+const MANIFEST_LINE = /^([0-9a-f]{64}) [ *](.+)$/;
+// Share of the progress bar spent rendering the video; the rest is telemetry, hashing and zipping
+const RENDER_PROGRESS_SHARE = 60;
+const HASH_PROGRESS_SHARE = 15;
+// JSZip writes no ZIP64 records, so the archive must stay under 4 GiB
+const MAX_ZIP_BYTES = 0xFFFFFFFF - 64 * 1024 * 1024;
+
+// exportId -> { cancelled, videoExportId, zipStream }
+const activePackages = new Map();
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * Local wall-clock time (clip timestamps are local to the car), e.g. 2025-01-03 14:22:05
+ */
+function formatLocal(epochMs, withMs = false) {
+  if (!Number.isFinite(epochMs)) return 'unknown';
+  const d = new Date(epochMs);
+  const base = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  return withMs ? `${base}.${pad(d.getMilliseconds(), 3)}` : base;
+}
+
+function formatOffset(ms) {
+  const total = Math.max(0, ms) / 1000;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = (total % 60).toFixed(3);
+  return `${h}:${pad(m)}:${s.padStart(6, '0')}`;
+}
+
+/**
+ * SHA-256 of a readable stream
+ * @returns {Promise<string>} Hex digest
+ */
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Decode the range's telemetry from each clip's front camera (or first available)
+ * @returns {Promise<Array<{epochMs, timestampMs, segment, clip, sei}>>} Same records as the telemetry exporter
+ */
+async function readRangeTelemetry(clips, startTimeMs, endTimeMs, pkg) {
+  const frames = [];
+  for (let i = 0; i < clips.length; i++) {
+    if (pkg.cancelled) throw new Error('Export cancelled');
+    const clip = clips[i];
+    const seiPath = clip.files.front || Object.values(clip.files)[0];
+    if (!seiPath) continue;
+    const clipStartMs = clip.startSec * 1000;
+    const clipEpochMs = parseTimestampKeyToEpochMs(clip.timestampKey);
+    try {
+      for (const frame of await readSeiFromFile(seiPath)) {
+        const timestampMs = clipStartMs + frame.timestampMs;
+        if (timestampMs < startTimeMs || timestampMs > endTimeMs) continue;
+        frames.push({
+          epochMs: clipEpochMs != null ? clipEpochMs + Math.round(frame.timestampMs) : null,
+          timestampMs,
+          segment: clip.index,
+          clip: clip.timestampKey,
+          sei: frame.sei
+        });
+      }
+    } catch (err) {
+      console.warn(`[EVIDENCE] Failed to read SEI from ${seiPath}: ${err.message}`);
+    }
+  }
+  return frames;
+}
+
+function readEventJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Human-readable report: what the package contains, where it came from and how to check it
+ */
+function buildReport({ packageName, exportData, evidence, entries, telemetry, events, createdAt }) {
+  const { startTimeMs, endTimeMs } = exportData;
+  const clips = evidence.clips;
+  const firstEpochMs = parseTimestampKeyToEpochMs(clips[0]?.timestampKey);
+  const collectionStartMs = (clips[0]?.startSec || 0) * 1000;
+  const rangeEpoch = ms => firstEpochMs != null ? firstEpochMs + (ms - collectionStartMs) : NaN;
+  const yesNo = value => value ? 'yes' : 'no';
+  const lines = [];
+  const push = (...l) => lines.push(...l);
+  const field = (label, value) => push(`  ${`${label}:`.padEnd(20)}${value}`);
+
+  push('SENTRY STUDIO EVIDENCE PACKAGE', '='.repeat(30), '');
+  field('Package', packageName);
+  field('Created', `${formatLocal(createdAt)} local (${new Date(createdAt).toISOString()})`);
+  field('Created with', `Sentry Studio ${app.getVersion()} (${process.platform} ${process.arch})`);
+  field('Computer', `${os.hostname()} (user ${os.userInfo().username})`);
+  if (evidence.title) field('Collection', evidence.title);
+  push('');
+
+  push('EXPORTED RANGE');
+  field('From', `${formatLocal(rangeEpoch(startTimeMs), true)} (+${formatOffset(startTimeMs)} into the collection)`);
+  field('To', `${formatLocal(rangeEpoch(endTimeMs), true)} (+${formatOffset(endTimeMs)})`);
+  field('Duration', `${((endTimeMs - startTimeMs) / 1000).toFixed(3)} s`);
+  push('');
+
+  if (events.length) {
+    push('EVENT');
+    for (const { name, data } of events) {
+      field('File', name);
+      if (!data) { field('Contents', 'unreadable'); continue; }
+      if (data.timestamp) field('Timestamp', data.timestamp);
+      if (data.reason) field('Reason', data.reason);
+      if (data.camera != null) field('Camera', String(data.camera));
+      if (data.city) field('City', data.city);
+      if (data.est_lat && data.est_lon) field('Location', `${data.est_lat}, ${data.est_lon}`);
+    }
+    push('');
+  }
+
+  push('SOURCE CLIPS (byte-for-byte copies of the car\'s recordings, in original/)');
+  for (const clip of clips) {
+    push(`  ${clip.timestampKey}  ${clip.durationSec.toFixed(1)} s  ${Object.keys(clip.files).join(', ')}`);
+  }
+  push('');
+
+  push('RENDERED VIDEO SETTINGS (video/ is a derivative for viewing, not original footage)');
+  field('Cameras', (exportData.cameras || []).join(', '));
+  field('Quality', exportData.quality || 'high');
+  field('Layout', exportData.layoutData ? 'custom' : 'grid');
+  field('Dashboard', exportData.includeDashboard ? `${exportData.dashboardStyle}, ${exportData.dashboardPosition}, ${exportData.dashboardSize}` : 'no');
+  field('Timestamp overlay', yesNo(exportData.includeTimestamp));
+  field('Minimap', yesNo(exportData.includeMinimap));
+  field('Mirrored cameras', yesNo(exportData.mirrorCameras !== false));
+  field('Blur zones', exportData.blurZones?.length ? `${exportData.blurZones.length} (${[...new Set(exportData.blurZones.map(z => z.camera))].join(', ')})` : 'none');
+  field('Time-lapse', exportData.enableTimelapse ? `${exportData.timelapseSpeed}x` : 'no');
+  field('Telemetry subtitles', exportData.subtitleFormats?.length ? exportData.subtitleFormats.join(', ') : 'no');
+  field('Start location', yesNo(exportData.embedGpsTrack));
+  field('Chapters', yesNo(exportData.embedChapters));
+  push('');
+
+  push('TELEMETRY (decoded from the SEI data embedded in the front camera clips)');
+  field('Frames', String(telemetry.frames));
+  field('Frames with GPS', String(telemetry.gpsFrames));
+  push('');
+
+  push('FILES');
+  for (const entry of entries) push(`  ${entry.sha256}  ${formatBytes(entry.size).padStart(10)}  ${entry.name}`);
+  push('');
+
+  push('VERIFYING THIS PACKAGE');
+  push(`  ${MANIFEST_NAME} lists the SHA-256 of every file above (and of this report). To check it:`);
+  push('  - Sentry Studio: Export > Evidence Package > Verify Package, or run');
+  push(`      sentry-studio verify "${packageName}"`);
+  push(`  - Any system: extract the zip and run  sha256sum -c ${MANIFEST_NAME}`);
+  push('  A file that was changed, replaced or removed will fail the check.');
+  push('');
+
+  push('CHAIN OF CUSTODY');
+  push(`  Package created by ${os.userInfo().username} on ${os.hostname()} at ${new Date(createdAt).toISOString()}.`);
+  push('  Record each transfer of this package below.');
+  push('');
+  push('  Date/time            | Released by          | Received by          | Purpose');
+  push(`  ${'-'.repeat(21)}|${'-'.repeat(22)}|${'-'.repeat(22)}|${'-'.repeat(20)}`);
+  for (let i = 0; i < 4; i++) push(`  ${' '.repeat(21)}|${' '.repeat(22)}|${' '.repeat(22)}|`);
+  push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Stream the entries into the zip (STORE for video, DEFLATE for text)
+ */
+function writeZip(outputPath, entries, pkg, onProgress) {
+  return new Promise((resolve, reject) => {
+    const zip = new JSZip();
+    for (const entry of entries) {
+      const options = { binary: true, compression: entry.compress ? 'DEFLATE' : 'STORE', date: entry.date };
+      zip.file(entry.name, entry.content != null ? entry.content : fs.createReadStream(entry.path), options);
+    }
+
+    const out = fs.createWriteStream(outputPath);
+    const zipStream = zip.generateNodeStream({ streamFiles: true }, (meta) => {
+      if (pkg.cancelled && pkg.zipStream) {
+        pkg.zipStream.unpipe(out);
+        pkg.zipStream = null;
+        out.destroy();
+        reject(new Error('Export cancelled'));
+        return;
+      }
+      onProgress(meta.percent / 100);
+    });
+    pkg.zipStream = zipStream;
+    zipStream.on('error', reject);
+    out.on('error', reject);
+    out.on('finish', () => {
+      pkg.zipStream = null;
+      resolve();
+    });
+    zipStream.pipe(out);
+  });
+}
+
+/**
+ * Export an evidence package. Takes the same exportData as performVideoExport plus
+ * `evidencePackage: {title, clips: [{index, timestampKey, startSec, durationSec, files: {camera: path}}], eventFiles: [{eventId, path}]}`
+ * (clips list every camera, not just the rendered ones), and reports through the same
+ * 'export:progress' messages as any export.
+ * @param {Object} event - IPC event (or any object with sender.send)
+ * @param {string} exportId - Export identifier
+ * @param {Object} exportData - Export settings with evidencePackage
+ * @param {string} ffmpegPath - FFmpeg binary
+ * @param {Object} deps - { performVideoExport }
+ */
+async function performEvidencePackageExport(event, exportId, exportData, ffmpegPath, deps) {
+  const { evidencePackage: evidence, outputPath } = exportData;
+  const pkg = { cancelled: false, videoExportId: null, zipStream: null };
+  activePackages.set(exportId, pkg);
+
+  const sendProgress = (percentage, message) => {
+    event.sender.send('export:progress', exportId, { type: 'progress', percentage, message });
+  };
+  const sendComplete = (success, message, warning = null) => {
+    event.sender.send('export:progress', exportId, { type: 'complete', success, message, outputPath, warning });
+  };
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence_package_'));
+  const startedAt = Date.now();
+  let renderFailure = null;
+  let warning = null;
+
+  try {
+    if (!evidence?.clips?.length) throw new Error('No clips in the export range');
+    const packageName = path.basename(outputPath);
+    const stem = path.basename(outputPath, path.extname(outputPath));
+    console.log(`[EVIDENCE] Building ${packageName} from ${evidence.clips.length} clip(s)`);
+
+    // 1. Rendered video, exactly as a normal export would produce it
+    const videoPath = path.join(workDir, `${stem}.mp4`);
+    const renderMessage = { key: 'ui.evidence.rendering' };
+    const renderEvent = {
+      sender: {
+        send: (_channel, _id, progress) => {
+          if (progress.type === 'progress') {
+            sendProgress(Math.round(progress.percentage * RENDER_PROGRESS_SHARE) / 100, renderMessage);
+          } else if (progress.type === 'complete') {
+            if (!progress.success) renderFailure = progress.message;
+            else if (progress.warning) warning = progress.warning;
+          } else {
+            event.sender.send('export:progress', exportId, progress);
+          }
+        }
+      }
+    };
+    pkg.videoExportId = `${exportId}_video`;
+    sendProgress(0, renderMessage);
+    await deps.performVideoExport(renderEvent, pkg.videoExportId, {
+      ...exportData,
+      evidencePackage: undefined,
+      highlightClips: undefined,
+      outputPath: videoPath
+    }, ffmpegPath);
+    pkg.videoExportId = null;
+    if (renderFailure) throw new Error('Video render failed');
+
+    // 2. Decoded telemetry for the range
+    if (pkg.cancelled) throw new Error('Export cancelled');
+    sendProgress(RENDER_PROGRESS_SHARE, { key: 'ui.evidence.telemetry' });
+    const frames = await readRangeTelemetry(evidence.clips, exportData.startTimeMs, exportData.endTimeMs, pkg);
+    const telemetry = { frames: frames.length, gpsFrames: frames.filter(f => normalizeSei(f.sei).hasGps).length };
+
+    // 3. Everything that goes in the zip
+    const entries = [];
+    const usedNames = new Set();
+    const addFile = (name, filePath, compress = false) => {
+      let unique = name;
+      for (let n = 2; usedNames.has(unique); n++) unique = name.replace(/(\.[^.]*)?$/, `_${n}$1`);
+      usedNames.add(unique);
+      const stat = fs.statSync(filePath);
+      entries.push({ name: unique, path: filePath, size: stat.size, date: stat.mtime, compress });
+    };
+    const addContent = (name, content, compress = true) => {
+      usedNames.add(name);
+      const buffer = Buffer.from(content, 'utf8');
+      entries.push({ name, content: buffer, size: buffer.length, date: new Date(startedAt), compress });
+    };
+
+    for (const clip of evidence.clips) {
+      for (const filePath of Object.values(clip.files)) {
+        if (fs.existsSync(filePath)) addFile(`original/${path.basename(filePath)}`, filePath);
+        else console.warn(`[EVIDENCE] Missing source clip ${filePath}`);
+      }
+    }
+    const events = [];
+    for (const eventFile of evidence.eventFiles || []) {
+      if (!fs.existsSync(eventFile.path)) continue;
+      const name = `event/${eventFile.eventId || 'event'}/event.json`;
+      addFile(name, eventFile.path, true);
+      events.push({ name, data: readEventJson(eventFile.path) });
+    }
+    if (frames.length) {
+      addContent('telemetry/telemetry.csv', buildTelemetryCsv(frames));
+      addContent('telemetry/telemetry.json', JSON.stringify(frames, null, 1));
+    }
+    addFile(`video/${stem}.mp4`, videoPath);
+    // Telemetry subtitle sidecars written next to the rendered video
+    for (const ext of ['srt', 'vtt']) {
+      const sidecarPath = path.join(workDir, `${stem}.${ext}`);
+      if (fs.existsSync(sidecarPath)) addFile(`video/${stem}.${ext}`, sidecarPath, true);
+    }
+
+    const totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+    if (totalBytes > MAX_ZIP_BYTES) {
+      throw new Error(`Package would be ${formatBytes(totalBytes)}; zip files are limited to 4 GB. Shorten the export range.`);
+    }
+
+    // 4. Hash every file, then the report, then write the manifest
+    for (let i = 0; i < entries.length; i++) {
+      if (pkg.cancelled) throw new Error('Export cancelled');
+      const entry = entries[i];
+      sendProgress(RENDER_PROGRESS_SHARE + Math.round((i / entries.length) * HASH_PROGRESS_SHARE), { key: 'ui.evidence.hashing', params: { current: i + 1, total: entries.length } });
+      entry.sha256 = entry.content
+        ? crypto.createHash('sha256').update(entry.content).digest('hex')
+        : await hashStream(fs.createReadStream(entry.path));
+    }
+
+    addContent(REPORT_NAME, buildReport({ packageName, exportData, evidence, entries, telemetry, events, createdAt: startedAt }));
+    const report = entries[entries.length - 1];
+    report.sha256 = crypto.createHash('sha256').update(report.content).digest('hex');
+    addContent(MANIFEST_NAME, entries.map(e => `${e.sha256}  ${e.name}`).join('\n') + '\n');
+
+    // Report and manifest first so they are the first thing anyone opening the zip sees
+    entries.unshift(...entries.splice(entries.length - 2, 2));
+
+    // 5. Zip it
+    const zipStart = RENDER_PROGRESS_SHARE + HASH_PROGRESS_SHARE;
+    let lastZipPct = -1;
+    await writeZip(outputPath, entries, pkg, (fraction) => {
+      const pct = Math.min(99, Math.round(zipStart + fraction * (100 - zipStart)));
+      if (pct === lastZipPct) return;
+      lastZipPct = pct;
+      sendProgress(pct, { key: 'ui.evidence.zipping' });
+    });
+
+    const sizeMB = (fs.statSync(outputPath).size / 1048576).toFixed(1);
+    console.log(`[EVIDENCE] ${packageName}: ${entries.length} files, ${sizeMB} MB in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    sendComplete(true, { key: 'ui.evidence.complete', params: { size: sizeMB, files: entries.length } }, warning);
+    return true;
+  } catch (err) {
+    console.error('[EVIDENCE] Evidence package failed:', err.message);
+    try { fs.unlinkSync(outputPath); } catch { }
+    if (pkg.cancelled) {
+      sendComplete(false, { key: 'ui.notifications.exportCancelled' });
+    } else {
+      sendComplete(false, renderFailure || `Export failed: ${err.message}`);
+    }
+    err._completeSent = true;
+    throw err;
+  } finally {
+    activePackages.delete(exportId);
+    try { fs.rmSync(workDir, { recursive: true, force: true }); } catch { }
+  }
+}
+
+/**
+ * Cancel a running evidence package
+ * @param {string} exportId - Package export ID
+ * @param {Function} cancelExportProcess - Cancels the video render if it is still running
+ * @returns {boolean} false when exportId is not an evidence package
+ */
+function cancelEvidencePackage(exportId, cancelExportProcess) {
+  const pkg = activePackages.get(exportId);
+  if (!pkg) return false;
+  pkg.cancelled = true;
+  if (pkg.videoExportId) cancelExportProcess(pkg.videoExportId);
+  return true;
+}
+
+// ============================================
+// VERIFY
+// Reads the zip's central directory and streams each entry through SHA-256,
+// so multi-GB packages are checked without loading them into memory.
+// ============================================
+
+/**
+ * List the entries of a zip file (no ZIP64)
+ * @returns {Promise<Array<{name, method, compressedSize, localOffset}>>}
+ */
+async function readZipEntries(handle, fileSize) {
+  const tailLength = Math.min(fileSize, 22 + 0xFFFF);
+  const tail = Buffer.alloc(tailLength);
+  await handle.read(tail, 0, tailLength, fileSize - tailLength);
+
+  let eocd = -1;
+  for (let i = tailLength - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip file');
+
+  const count = tail.readUInt16LE(eocd + 10);
+  const dirSize = tail.readUInt32LE(eocd + 12);
+  const dirOffset = tail.readUInt32LE(eocd + 16);
+  const dir = Buffer.alloc(dirSize);
+  await handle.read(dir, 0, dirSize, dirOffset);
+
+  const entries = [];
+  let p = 0;
+  for (let i = 0; i < count; i++) {
+    if (dir.readUInt32LE(p) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const nameLength = dir.readUInt16LE(p + 28);
+    const extraLength = dir.readUInt16LE(p + 30);
+    const commentLength = dir.readUInt16LE(p + 32);
+    entries.push({
+      name: dir.toString('utf8', p + 46, p + 46 + nameLength),
+      method: dir.readUInt16LE(p + 10),
+      compressedSize: dir.readUInt32LE(p + 20),
+      localOffset: dir.readUInt32LE(p + 42)
+    });
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Open a stream of an entry's uncompressed bytes
+ */
+async function openEntryStream(zipPath, handle, entry) {
+  const header = Buffer.alloc(30);
+  await handle.read(header, 0, 30, entry.localOffset);
+  if (header.readUInt32LE(0) !== 0x04034b50) throw new Error(`Corrupt zip entry ${entry.name}`);
+  const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  if (entry.compressedSize === 0) return Readable.from([]);
+  const raw = fs.createReadStream(zipPath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+  if (entry.method === 0) return raw;
+  if (entry.method === 8) {
+    const inflate = zlib.createInflateRaw();
+    raw.on('error', err => inflate.destroy(err));
+    return raw.pipe(inflate);
+  }
+  throw new Error(`Unsupported compression in ${entry.name}`);
+}
+
+/**
+ * Re-check an evidence package against its SHA256SUMS manifest
+ * @param {string} zipPath - Package path
+ * @param {Function} [onProgress] - (checked, total) => void
+ * @returns {Promise<{ok: boolean, files: Array<{name, status: 'ok'|'modified'|'missing'}>, unlisted: Array<string>}>}
+ */
+async function verifyEvidencePackage(zipPath, onProgress = null) {
+  const handle = await fs.promises.open(zipPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const entries = (await readZipEntries(handle, size)).filter(e => !e.name.endsWith('/'));
+    const byName = new Map(entries.map(e => [e.name, e]));
+
+    const manifestEntry = byName.get(MANIFEST_NAME);
+    if (!manifestEntry) throw new Error(`${MANIFEST_NAME} not found - not an evidence package`);
+    const chunks = [];
+    for await (const chunk of await openEntryStream(zipPath, handle, manifestEntry)) chunks.push(chunk);
+    const listed = Buffer.concat(chunks).toString('utf8').split(/\r?\n/)
+      .map(line => line.match(MANIFEST_LINE))
+      .filter(Boolean)
+      .map(m => ({ sha256: m[1], name: m[2] }));
+    if (!listed.length) throw new Error(`${MANIFEST_NAME} is empty`);
+
+    const files = [];
+    for (let i = 0; i < listed.length; i++) {
+      const { sha256, name } = listed[i];
+      onProgress?.(i, listed.length);
+      const entry = byName.get(name);
+      if (!entry) {
+        files.push({ name, status: 'missing' });
+        continue;
+      }
+      const actual = await hashStream(await openEntryStream(zipPath, handle, entry));
+      files.push({ name, status: actual === sha256 ? 'ok' : 'modified' });
+    }
+    onProgress?.(listed.length, listed.length);
+
+    const listedNames = new Set(listed.map(f => f.name));
+    const unlisted = entries.map(e => e.name).filter(name => name !== MANIFEST_NAME && !listedNames.has(name));
+    return { ok: files.every(f => f.status === 'ok') && unlisted.length === 0, files, unlisted };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Run the `verify` CLI command
+ * @param {Object} options - From parseCliArgs
+ * @returns {Promise<number>} Process exit code (0 = intact, 1 = failed check, 2 = usage error)
+ */
+async function runCliVerify(options) {
+  const print = (msg) => process.stdout.write(`${msg}\n`);
+  if (!options.package) {
+    process.stderr.write('Usage: sentry-studio verify <package.zip>\n');
+    return 2;
+  }
+
+  const zipPath = path.resolve(options.package);
+  try {
+    const result = await verifyEvidencePackage(zipPath);
+    for (const file of result.files) print(`${file.name}: ${file.status === 'ok' ? 'OK' : file.status.toUpperCase()}`);
+    for (const name of result.unlisted) print(`${name}: NOT IN MANIFEST`);
+    print(result.ok
+      ? `Verified: all ${result.files.length} files match ${MANIFEST_NAME}`
+      : `FAILED: ${result.files.filter(f => f.status !== 'ok').length + result.unlisted.length} problem(s) found`);
+    return result.ok ? 0 : 1;
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Register evidence package IPC handlers
+ */
+function registerEvidencePackageIpc() {
+  ipcMain.handle('evidence:verify', async (_event, zipPath) => {
+    try {
+      if (typeof zipPath !== 'string' || !zipPath) throw new Error('No package selected');
+      const result = await verifyEvidencePackage(zipPath);
+      console.log(`[EVIDENCE] Verified ${zipPath}: ${result.ok ? 'intact' : 'FAILED'}`);
+      return { success: true, ...result };
+    } catch (err) {
+      console.error('[EVIDENCE] Verify failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+// Zip streams are not tracked in main.js's activeExports, so stop them here
+app.on('before-quit', () => {
+  for (const pkg of activePackages.values()) pkg.cancelled = true;
+});
+
+module.exports = {
+  performEvidencePackageExport,
+  cancelEvidencePackage,
+  verifyEvidencePackage,
+  runCliVerify,
+  registerEvidencePackageIpc
+};
@@ -0,0 +1,182 @@
+const { ipcMain } = require('electron');
+const fs = require('fs');
+const { loadSettings } = require('./settings');
+
+// ============================================
+// EXPORT PRESETS
+// Named export option sets ("Insurance - all cameras max"). The renderer keeps them in
+// settings.json (key exportPresets); main validates them for the CLI (--preset) and
+// reads/writes the shareable JSON file.
+// ============================================
+
+const PRESET_FILE_FORMAT = 'sentry-studio-export-presets';
+const PRESET_FILE_VERSION = 1;
+
+const PRESET_CAMERAS = ['left_pillar', 'front', 'right_pillar', 'left_repeater', 'back', 'right_repeater'];
+const MAX_NAME_LENGTH = 80;
+
+// Option -> allowed values (array), or the type of a free value
+const PRESET_OPTION_TYPES = {
+  quality: ['mobile', 'medium', 'high', 'max'],
+  includeDashboard: 'boolean',
+  dashboardStyle: ['compact', 'detailed', 'tesla-mobile'],
+  dashboardPosition: 'string',
+  dashboardPositionTeslaMobile: 'string',
+  dashboardSize: ['small', 'medium', 'large', 'xlarge'],
+  useMetric: 'boolean',
+  includeTimestamp: 'boolean',
+  timestampPosition: 'string',
+  timestampDateFormat: ['mdy', 'dmy', 'ymd'],
+  timestampTimeFormat: ['12h', '24h'],
+  includeMinimap: 'boolean',
+  minimapPosition: 'string',
+  minimapSize: 'string',
+  minimapRenderMode: ['ass', 'leaflet'],
+  blurType: 'string',
+  mirrorCameras: 'boolean',
+  enableTimelapse: 'boolean',
+  timelapseSpeed: 'number',
+  subtitleSrt: 'boolean',
+  subtitleVtt: 'boolean',
+  subtitleEmbedded: 'boolean',
+  embedGpsTrack: 'boolean',
+  embedChapters: 'boolean'
+};
+
+/**
+ * Layout Lab card positions ({ cameras: { camera: { x, y, width, height } }, canvasWidth, canvasHeight })
+ */
+function normalizeLayoutData(layoutData) {
+  if (!layoutData || typeof layoutData !== 'object' || !layoutData.cameras) return null;
+  const cameras = {};
+  for (const [camera, rect] of Object.entries(layoutData.cameras)) {
+    if (!PRESET_CAMERAS.includes(camera) || !rect) continue;
+    const values = ['x', 'y', 'width', 'height'].map(k => Number(rect[k]));
+    if (values.some(v => !Number.isFinite(v))) continue;
+    const [x, y, width, height] = values;
+    cameras[camera] = { x, y, width, height };
+  }
+  if (Object.keys(cameras).length === 0) return null;
+  return {
+    cameras,
+    canvasWidth: Number(layoutData.canvasWidth) || 0,
+    canvasHeight: Number(layoutData.canvasHeight) || 0
+  };
+}
+
+/**
+ * Validate a preset from settings or an imported file; unknown or invalid options are dropped
+ * @param {Object} raw - Preset as saved by the renderer
+ * @returns {Object|null} { id, name, options } or null when unusable
+ */
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (!name) return null;
+
+  const source = raw.options && typeof raw.options === 'object' ? raw.options : {};
+  const options = {};
+  for (const [key, type] of Object.entries(PRESET_OPTION_TYPES)) {
+    const value = source[key];
+    if (value === undefined) continue;
+    if (Array.isArray(type) ? type.includes(value) : typeof value === type) options[key] = value;
+  }
+  if (Array.isArray(source.cameras)) {
+    const cameras = source.cameras.filter(c => PRESET_CAMERAS.includes(c));
+    if (cameras.length) options.cameras = [...new Set(cameras)];
+  }
+  const layoutData = normalizeLayoutData(source.layoutData);
+  if (layoutData) options.layoutData = layoutData;
+
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : `preset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    options
+  };
+}
+
+/**
+ * Saved presets from settings.json
+ * @returns {Array<Object>}
+ */
+function loadExportPresets() {
+  const saved = loadSettings().exportPresets;
+  return Array.isArray(saved) ? saved.map(normalizePreset).filter(Boolean) : [];
+}
+
+/**
+ * Find a preset by name (case-insensitive) or id
+ * @param {Array<Object>} presets - From loadExportPresets
+ * @param {string} nameOrId - Preset name or id
+ * @returns {Object|null}
+ */
+function findExportPreset(presets, nameOrId) {
+  const wanted = String(nameOrId || '').trim().toLowerCase();
+  return presets.find(p => p.id.toLowerCase() === wanted || p.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Read presets from a file written by writePresetFile (or a bare array of presets)
+ * @param {string} filePath - JSON file
+ * @returns {Array<Object>}
+ */
+function readPresetFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const list = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(list)) throw new Error('Not an export presets file');
+  if (!Array.isArray(data) && data.format && data.format !== PRESET_FILE_FORMAT) {
+    throw new Error(`Unsupported file format: ${data.format}`);
+  }
+  return list.map(normalizePreset).filter(Boolean);
+}
+
+/**
+ * Write presets to a shareable JSON file
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} presets - Presets to write
+ * @returns {number} Number of presets written
+ */
+function writePresetFile(filePath, presets) {
+  const list = (Array.isArray(presets) ? presets : []).map(normalizePreset).filter(Boolean);
+  const data = { format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets: list };
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  return list.length;
+}
+
+/**
+ * Register export preset IPC handlers
+ */
+function registerExportPresetsIpc() {
+  ipcMain.handle('exportPresets:import', async (_event, filePath) => {
+    try {
+      if (!filePath) throw new Error('No file selected');
+      const presets = readPresetFile(filePath);
+      if (presets.length === 0) throw new Error('No valid presets in file');
+      return { success: true, presets };
+    } catch (err) {
+      console.error('[PRESETS] Import failed:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('exportPresets:export', async (_event, filePath, presets) => {
+    try {
+      if (!filePath) throw new Error('No output path');
+      const count = writePresetFile(filePath, presets);
+      console.log(`[PRESETS] Wrote ${count} preset(s) to ${filePath}`);
+      return { success: true, count };
+    } catch (err) {
+      console.error('[PRESETS] Export failed:', err);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  normalizePreset,
+  loadExportPresets,
+  findExportPreset,
+  readPresetFile,
+  writePresetFile,
+  registerExportPresetsIpc
+};
@@ -0,0 +1,351 @@
+const { app, ipcMain } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// EXPORT QUEUE
+// Runs queued video exports one at a time and persists them to userData so
+// pending jobs survive an app restart. Job settings (which can carry a lot of
+// SEI data) live in one file per job; the index only holds job metadata.
+// ============================================
+
+const queueDir = path.join(app.getPath('userData'), 'export-queue');
+const queueIndexPath = path.join(queueDir, 'queue.json');
+
+// pending -> running -> done | failed; paused jobs are skipped until resumed
+const JOB_STATUSES = ['pending', 'running', 'paused', 'failed', 'done'];
+
+const PROGRESS_BROADCAST_MS = 500;
+
+let deps = null;
+let jobs = [];
+let queuePaused = false;
+let runningJob = null;     // { job, exportId }
+let shuttingDown = false;
+let lastProgressBroadcast = 0;
+const stopRequests = new Map(); // jobId -> 'paused' | 'removed'
+
+function ensureQueueDir() {
+  if (!fs.existsSync(queueDir)) {
+    fs.mkdirSync(queueDir, { recursive: true });
+  }
+}
+
+function jobDataPath(jobId) {
+  return path.join(queueDir, `${jobId}.json`);
+}
+
+function deleteJobData(jobId) {
+  try { fs.unlinkSync(jobDataPath(jobId)); } catch { }
+}
+
+/**
+ * Write the queue index (atomic rename so a crash never leaves a half-written file)
+ */
+function saveQueue() {
+  try {
+    ensureQueueDir();
+    const tmpPath = `${queueIndexPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, paused: queuePaused, jobs }, null, 2));
+    fs.renameSync(tmpPath, queueIndexPath);
+  } catch (err) {
+    console.error('[QUEUE] Failed to save queue:', err.message);
+  }
+}
+
+/**
+ * Load the queue index from disk. Jobs that were running when the app closed go back to pending.
+ */
+function loadQueue() {
+  try {
+    if (!fs.existsSync(queueIndexPath)) return;
+    const data = JSON.parse(fs.readFileSync(queueIndexPath, 'utf-8'));
+    queuePaused = !!data.paused;
+    jobs = (Array.isArray(data.jobs) ? data.jobs : [])
+      .filter(job => job?.id && JOB_STATUSES.includes(job.status))
+      .map(job => {
+        if (job.status === 'running') {
+          return { ...job, status: 'pending', progress: 0, message: null };
+        }
+        if (job.status !== 'done' && !fs.existsSync(jobDataPath(job.id))) {
+          return { ...job, status: 'failed', error: 'Export settings for this job are missing' };
+        }
+        return job;
+      });
+    console.log(`[QUEUE] Loaded ${jobs.length} job(s)`);
+  } catch (err) {
+    console.error('[QUEUE] Failed to load queue:', err.message);
+    jobs = [];
+  }
+}
+
+function getSnapshot() {
+  return { paused: queuePaused, jobs };
+}
+
+/**
+ * Push the current queue state to the renderer
+ */
+function broadcast() {
+  const win = deps?.getMainWindow?.();
+  if (win && !win.isDestroyed()) {
+    win.webContents.send('exportQueue:updated', getSnapshot());
+  }
+}
+
+function persistAndBroadcast() {
+  saveQueue();
+  broadcast();
+}
+
+function findJob(jobId) {
+  return jobs.find(j => j.id === jobId) || null;
+}
+
+/**
+ * Add a job to the end of the queue
+ * @param {{label: string, exportData: Object}} job - Export settings as built by the export modal or the web gallery
+ * @returns {Object} The new job
+ */
+function addJob({ label, exportData }) {
+  if (!exportData?.outputPath || (!Array.isArray(exportData.segments) && !exportData.webGallery)) {
+    throw new Error('Invalid export settings');
+  }
+
+  ensureQueueDir();
+  const id = `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  fs.writeFileSync(jobDataPath(id), JSON.stringify(exportData));
+
+  const job = {
+    id,
+    label: label || path.basename(exportData.outputPath),
+    outputPath: exportData.outputPath,
+    status: 'pending',
+    progress: 0,
+    message: null,
+    error: null,
+    attempts: 0,
+    createdAt: Date.now(),
+    finishedAt: null
+  };
+  jobs.push(job);
+  console.log(`[QUEUE] Added job ${id}: ${job.label}`);
+  persistAndBroadcast();
+  processQueue();
+  return job;
+}
+
+/**
+ * Start the next pending job if nothing is running and the queue is not paused
+ */
+function processQueue() {
+  if (!deps || runningJob || queuePaused || shuttingDown) return;
+  const next = jobs.find(j => j.status === 'pending');
+  if (next) runJob(next);
+}
+
+async function runJob(job) {
+  job.attempts = (job.attempts || 0) + 1;
+  const exportId = `${job.id}_${job.attempts}`;
+  runningJob = { job, exportId };
+  job.status = 'running';
+  job.progress = 0;
+  job.message = null;
+  job.error = null;
+  persistAndBroadcast();
+  console.log(`[QUEUE] Running job ${job.id} (attempt ${job.attempts})`);
+
+  let completeMessage = null;
+
+  // performVideoExport reports through event.sender.send; fold it into the job instead
+  const event = {
+    sender: {
+      send: (_channel, _id, progress) => {
+        if (progress.type === 'complete') {
+          completeMessage = progress;
+          return;
+        }
+        if (progress.type === 'progress') job.progress = progress.percentage;
+        job.message = progress.message;
+        const now = Date.now();
+        if (now - lastProgressBroadcast >= PROGRESS_BROADCAST_MS) {
+          lastProgressBroadcast = now;
+          broadcast();
+        }
+      }
+    }
+  };
+
+  try {
+    const ffmpegPath = deps.findFFmpegPath();
+    if (!ffmpegPath) {
+      throw new Error('FFmpeg not found. Please install FFmpeg or place it in the ffmpeg_bin directory.');
+    }
+    const exportData = JSON.parse(fs.readFileSync(jobDataPath(job.id), 'utf-8'));
+    await deps.performVideoExport(event, exportId, exportData, ffmpegPath);
+
+    job.status = 'done';
+    job.progress = 100;
+    job.message = completeMessage?.message || null;
+    job.warning = completeMessage?.warning || null;
+    job.finishedAt = Date.now();
+    deleteJobData(job.id);
+    console.log(`[QUEUE] Job ${job.id} done`);
+  } catch (err) {
+    // App is quitting: leave the job marked running on disk so it is requeued on next launch
+    if (shuttingDown) return;
+
+    const stopReason = stopRequests.get(job.id);
+    if (stopReason === 'paused') {
+      job.status = 'paused';
+      job.progress = 0;
+      job.message = null;
+      console.log(`[QUEUE] Job ${job.id} paused`);
+    } else if (stopReason === 'removed') {
+      jobs = jobs.filter(j => j.id !== job.id);
+      deleteJobData(job.id);
+      console.log(`[QUEUE] Job ${job.id} removed`);
+    } else {
+      job.status = 'failed';
+      job.error = completeMessage?.message || err.message;
+      job.finishedAt = Date.now();
+      console.error(`[QUEUE] Job ${job.id} failed:`, err.message);
+    }
+  } finally {
+    if (!shuttingDown) {
+      stopRequests.delete(job.id);
+      runningJob = null;
+      persistAndBroadcast();
+      processQueue();
+    }
+  }
+}
+
+/**
+ * Stop the running job's FFmpeg process; runJob settles its status from the stop reason
+ */
+function stopRunningJob(reason) {
+  stopRequests.set(runningJob.job.id, reason);
+  deps.cancelExportProcess(runningJob.exportId);
+}
+
+function pauseJob(jobId) {
+  const job = findJob(jobId);
+  if (!job) return false;
+  if (job.status === 'running') {
+    stopRunningJob('paused');
+    return true;
+  }
+  if (job.status !== 'pending') return false;
+  job.status = 'paused';
+  persistAndBroadcast();
+  return true;
+}
+
+function resumeJob(jobId) {
+  const job = findJob(jobId);
+  if (!job || job.status !== 'paused') return false;
+  job.status = 'pending';
+  persistAndBroadcast();
+  processQueue();
+  return true;
+}
+
+function retryJob(jobId) {
+  const job = findJob(jobId);
+  if (!job || job.status !== 'failed') return false;
+  if (!fs.existsSync(jobDataPath(job.id))) return false;
+  job.status = 'pending';
+  job.progress = 0;
+  job.message = null;
+  job.error = null;
+  job.finishedAt = null;
+  persistAndBroadcast();
+  processQueue();
+  return true;
+}
+
+function removeJob(jobId) {
+  const job = findJob(jobId);
+  if (!job) return false;
+  if (job.status === 'running') {
+    stopRunningJob('removed');
+    return true;
+  }
+  jobs = jobs.filter(j => j.id !== jobId);
+  deleteJobData(jobId);
+  persistAndBroadcast();
+  return true;
+}
+
+/**
+ * Move a job to a new position in the queue
+ * @param {string} jobId - Job to move
+ * @param {number} toIndex - Target index (clamped to the queue bounds)
+ */
+function moveJob(jobId, toIndex) {
+  const from = jobs.findIndex(j => j.id === jobId);
+  if (from < 0 || !Number.isFinite(toIndex)) return false;
+  const to = Math.max(0, Math.min(jobs.length - 1, Math.trunc(toIndex)));
+  if (to === from) return true;
+  const [job] = jobs.splice(from, 1);
+  jobs.splice(to, 0, job);
+  persistAndBroadcast();
+  return true;
+}
+
+/**
+ * Pause or resume the whole queue. Pausing lets the running job finish but starts no new ones.
+ */
+function setQueuePaused(paused) {
+  queuePaused = !!paused;
+  persistAndBroadcast();
+  processQueue();
+  return true;
+}
+
+function clearFinished() {
+  jobs = jobs.filter(j => j.status !== 'done');
+  persistAndBroadcast();
+  return true;
+}
+
+/**
+ * Start working through jobs restored from disk (call once the main window exists)
+ */
+function startExportQueue() {
+  processQueue();
+}
+
+/**
+ * Register export queue IPC handlers
+ * @param {Object} queueDeps - { getMainWindow, performVideoExport, findFFmpegPath, cancelExportProcess }
+ */
+function registerExportQueueIpc(queueDeps) {
+  deps = queueDeps;
+  loadQueue();
+
+  // Exports killed by before-quit must not be recorded as failures
+  app.on('before-quit', () => { shuttingDown = true; });
+
+  const wrap = (fn) => async (_event, ...args) => {
+    try {
+      return { success: !!fn(...args), ...getSnapshot() };
+    } catch (err) {
+      console.error('[QUEUE] Error:', err.message);
+      return { success: false, error: err.message, ...getSnapshot() };
+    }
+  };
+
+  ipcMain.handle('exportQueue:list', async () => getSnapshot());
+  ipcMain.handle('exportQueue:add', wrap(job => addJob(job)));
+  ipcMain.handle('exportQueue:pause', wrap(pauseJob));
+  ipcMain.handle('exportQueue:resume', wrap(resumeJob));
+  ipcMain.handle('exportQueue:retry', wrap(retryJob));
+  ipcMain.handle('exportQueue:remove', wrap(removeJob));
+  ipcMain.handle('exportQueue:move', wrap(moveJob));
+  ipcMain.handle('exportQueue:setPaused', wrap(setQueuePaused));
+  ipcMain.handle('exportQueue:clearFinished', wrap(clearFinished));
+}
+
+module.exports = { registerExportQueueIpc, startExportQueue };
@@ -180,6 +180,32 @@ function formatExportDuration(ms) {
   }
 }
 
+/**
+ * Format a byte count for logs and messages (KB, MB or GB)
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1073741824) return `${(bytes / 1073741824).toFixed(2)} GB`;
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Probe a clip's duration with FFmpeg (same "ffmpeg -i" probing used for resolution)
+ * @param {string} ffmpegPath - FFmpeg binary
+ * @param {string} filePath - Clip path
+ * @returns {number} Duration in seconds (60 if it cannot be read)
+ */
+function probeDurationSec(ffmpegPath, filePath) {
+  try {
+    const result = spawnSync(ffmpegPath, ['-i', filePath, '-hide_banner'], { timeout: 10000, windowsHide: true });
+    const m = (result.stderr || '').toString().match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (m) return (+m[1]) * 3600 + (+m[2]) * 60 + parseFloat(m[3]);
+  } catch { }
+  return 60;
+}
+
 /**
  * Detect actual GPU hardware model name (e.g., "NVIDIA GeForce RTX 4070 Super")
  * This is separate from encoder detection - shows the actual hardware.
@@ -466,6 +492,8 @@ module.exports = {
   findFFmpegPath,
   preCacheFFmpegPath,
   formatExportDuration,
+  formatBytes,
+  probeDurationSec,
   detectGpuHardware,
   detectGpuEncoder,
   detectHEVCEncoder,
@@ -0,0 +1,269 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn, spawnSync } = require('child_process');
+
+// ============================================
+// HIGHLIGHT REEL EXPORT
+// Renders each highlight window with performVideoExport (same layout, overlays
+// and blur zones as a normal export), then stitches them together with a
+// title card in front of each clip.
+// ============================================
+
+const TITLE_CARD_SEC = 3;
+const REEL_FPS = 36;
+// Share of the progress bar spent rendering clips; the rest is the final stitch
+const CLIPS_PROGRESS_SHARE = 85;
+const REEL_CRF = { mobile: 27, medium: 23, high: 20, max: 18 };
+
+// exportId -> { cancelled, clipExportId, proc, clips }
+const activeReels = new Map();
+
+/**
+ * Read a video's frame size from FFmpeg's stream info
+ * @returns {{width: number, height: number}|null}
+ */
+function probeVideoSize(ffmpegPath, filePath) {
+  const result = spawnSync(ffmpegPath, ['-i', filePath, '-hide_banner'], { timeout: 10000, windowsHide: true });
+  const match = (result.stderr || '').toString().match(/Video:.*?(\d{2,5})x(\d{2,5})/);
+  return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null;
+}
+
+/**
+ * Strip characters that ASS treats as override codes
+ */
+function escapeAssText(text) {
+  return String(text).replace(/\\/g, '/').replace(/\{/g, '(').replace(/\}/g, ')').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Write an ASS file for one title card: heading plus detail lines, centered, with a fade in/out
+ * @param {string} filePath - Destination .ass file
+ * @param {number} width - Video width
+ * @param {number} height - Video height
+ * @param {string[]} lines - First line is the heading
+ */
+function writeTitleCardAss(filePath, width, height, lines) {
+  const titleSize = Math.round(height * 0.075);
+  const detailSize = Math.round(height * 0.045);
+  const end = `0:00:${String(TITLE_CARD_SEC).padStart(2, '0')}.00`;
+  const cx = Math.round(width / 2);
+  const [heading = '', ...details] = lines;
+
+  const events = [
+    `Dialogue: 0,0:00:00.00,${end},Title,,0,0,0,,{\\pos(${cx},${Math.round(height * 0.42)})\\fad(300,300)}${escapeAssText(heading)}`,
+    ...details.map((line, i) =>
+      `Dialogue: 0,0:00:00.00,${end},Detail,,0,0,0,,{\\pos(${cx},${Math.round(height * (0.53 + i * 0.07))})\\fad(300,300)}${escapeAssText(line)}`)
+  ];
+
+  fs.writeFileSync(filePath, `[Script Info]
+Title: Highlight Reel Title Card
+ScriptType: v4.00+
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+PlayResX: ${width}
+PlayResY: ${height}
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Title,Segoe UI,${titleSize},&H00FFFFFF,&H00FFFFFF,&H00000000,&H00000000,-1,0,0,0,100,100,0,0,1,0,0,5,20,20,0,1
+Style: Detail,Segoe UI,${detailSize},&H00C8C8C8,&H00C8C8C8,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,0,0,5,20,20,0,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+${events.join('\n')}
+`);
+}
+
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:');
+}
+
+/**
+ * Concatenate title cards and rendered clips into the final reel (re-encodes, since
+ * clips may come from different encoders and title cards are generated here)
+ */
+function stitchReel({ ffmpegPath, reel, clipPaths, cardPaths, size, quality, outputPath, onProgress }) {
+  const { width, height } = size;
+  const args = ['-y', '-hide_banner'];
+  const filters = [];
+  const streams = [];
+
+  clipPaths.forEach((clipPath, i) => {
+    args.push('-f', 'lavfi', '-i', `color=c=black:s=${width}x${height}:r=${REEL_FPS}:d=${TITLE_CARD_SEC}`);
+    args.push('-i', clipPath);
+    filters.push(`[${i * 2}:v]ass='${escapeFilterPath(cardPaths[i])}',setsar=1,format=yuv420p[card${i}]`);
+    filters.push(`[${i * 2 + 1}:v]scale=${width}:${height},setsar=1,fps=${REEL_FPS},format=yuv420p[clip${i}]`);
+    streams.push(`[card${i}][clip${i}]`);
+  });
+  filters.push(`${streams.join('')}concat=n=${clipPaths.length * 2}:v=1:a=0[out]`);
+
+  const maxThreads = Math.max(1, Math.min(4, Math.floor(os.cpus().length / 2)));
+  args.push('-filter_complex', filters.join(';'), '-map', '[out]');
+  args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', String(REEL_CRF[quality] ?? REEL_CRF.high));
+  args.push('-threads', maxThreads.toString());
+  args.push('-pix_fmt', 'yuv420p', '-r', REEL_FPS.toString(), '-movflags', '+faststart', outputPath);
+
+  const totalSec = reel.clips.reduce((sum, c) => sum + TITLE_CARD_SEC + (c.endTimeMs - c.startTimeMs) / 1000, 0);
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'], windowsHide: true });
+    reel.proc = proc;
+    let stderr = '';
+
+    proc.stderr.on('data', (data) => {
+      const dataStr = data.toString();
+      stderr = (stderr + dataStr).slice(-100 * 1024);
+      const match = dataStr.match(/time=(\d+):(\d+):(\d+)\.(\d+)/);
+      if (match && totalSec > 0) {
+        const sec = +match[1] * 3600 + +match[2] * 60 + +match[3] + +match[4] / 100;
+        onProgress(Math.min(1, sec / totalSec));
+      }
+    });
+
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      reel.proc = null;
+      if (code === 0) return resolve();
+      console.error('[REEL] FFmpeg error:', stderr.slice(-500));
+      reject(new Error(reel.cancelled ? 'Export cancelled' : `Export failed with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Export a highlight reel. Takes the same exportData as performVideoExport plus
+ * `highlightClips: [{startTimeMs, endTimeMs, titleLines}]`, and reports through
+ * the same 'export:progress' messages so callers can treat it like any export.
+ * @param {Object} event - IPC event (or any object with sender.send)
+ * @param {string} exportId - Export identifier
+ * @param {Object} exportData - Export settings with highlightClips
+ * @param {string} ffmpegPath - FFmpeg binary
+ * @param {Object} deps - { performVideoExport }
+ */
+async function performHighlightReelExport(event, exportId, exportData, ffmpegPath, deps) {
+  const { highlightClips, outputPath, quality = 'high' } = exportData;
+  const reel = { cancelled: false, clipExportId: null, proc: null, clips: highlightClips };
+  activeReels.set(exportId, reel);
+
+  const sendProgress = (percentage, message) => {
+    event.sender.send('export:progress', exportId, { type: 'progress', percentage, message });
+  };
+  const sendComplete = (success, message, warning = null) => {
+    event.sender.send('export:progress', exportId, { type: 'complete', success, message, outputPath, warning });
+  };
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'highlight_reel_'));
+  const exportStartTime = Date.now();
+  let clipFailure = null;
+  let warning = null;
+
+  try {
+    if (!highlightClips?.length) throw new Error('No highlight clips to export');
+    console.log(`[REEL] Exporting ${highlightClips.length} highlight clip(s) to ${outputPath}`);
+
+    const clipPaths = [];
+    for (let i = 0; i < highlightClips.length; i++) {
+      if (reel.cancelled) throw new Error('Export cancelled');
+      const clip = highlightClips[i];
+      const clipPath = path.join(workDir, `clip_${i}.mp4`);
+      const clipShare = CLIPS_PROGRESS_SHARE / highlightClips.length;
+      const clipMessage = { key: 'ui.highlightReel.renderingClip', params: { current: i + 1, total: highlightClips.length } };
+
+      // Fold the clip's own progress into the reel's overall progress
+      const clipEvent = {
+        sender: {
+          send: (_channel, _id, progress) => {
+            if (progress.type === 'progress') {
+              const pct = Math.round((i * clipShare + (progress.percentage / 100) * clipShare) * 10) / 10;
+              sendProgress(pct, clipMessage);
+            } else if (progress.type === 'complete') {
+              if (!progress.success) clipFailure = progress.message;
+              else if (progress.warning) warning = progress.warning;
+            } else {
+              event.sender.send('export:progress', exportId, progress);
+            }
+          }
+        }
+      };
+
+      reel.clipExportId = `${exportId}_clip${i}`;
+      sendProgress(Math.round(i * clipShare), clipMessage);
+      await deps.performVideoExport(clipEvent, reel.clipExportId, {
+        ...exportData,
+        highlightClips: undefined,
+        startTimeMs: clip.startTimeMs,
+        endTimeMs: clip.endTimeMs,
+        outputPath: clipPath,
+        enableTimelapse: false
+      }, ffmpegPath);
+      reel.clipExportId = null;
+      clipPaths.push(clipPath);
+    }
+
+    if (reel.cancelled) throw new Error('Export cancelled');
+    sendProgress(CLIPS_PROGRESS_SHARE, { key: 'ui.highlightReel.stitching' });
+
+    const size = probeVideoSize(ffmpegPath, clipPaths[0]);
+    if (!size) throw new Error('Could not read the rendered clip size');
+    const cardPaths = highlightClips.map((clip, i) => {
+      const cardPath = path.join(workDir, `card_${i}.ass`);
+      writeTitleCardAss(cardPath, size.width, size.height, clip.titleLines || []);
+      return cardPath;
+    });
+
+    await stitchReel({
+      ffmpegPath, reel, clipPaths, cardPaths, size, quality, outputPath,
+      onProgress: (fraction) => {
+        const pct = Math.min(99, CLIPS_PROGRESS_SHARE + fraction * (100 - CLIPS_PROGRESS_SHARE));
+        sendProgress(Math.round(pct * 10) / 10, { key: 'ui.highlightReel.stitching' });
+      }
+    });
+
+    const sizeMB = (fs.statSync(outputPath).size / 1048576).toFixed(1);
+    console.log(`[REEL] Highlight reel completed in ${((Date.now() - exportStartTime) / 1000).toFixed(1)}s`);
+    sendComplete(true, { key: 'ui.export.exportCompleteMB', params: { size: sizeMB } }, warning);
+    return true;
+  } catch (err) {
+    console.error('[REEL] Highlight reel failed:', err.message);
+    try { fs.unlinkSync(outputPath); } catch { }
+    if (reel.cancelled) {
+      sendComplete(false, { key: 'ui.notifications.exportCancelled' });
+    } else {
+      sendComplete(false, clipFailure || `Export failed: ${err.message}`);
+    }
+    err._completeSent = true;
+    throw err;
+  } finally {
+    activeReels.delete(exportId);
+    try { fs.rmSync(workDir, { recursive: true, force: true }); } catch { }
+  }
+}
+
+/**
+ * Cancel a running highlight reel
+ * @param {string} exportId - Reel export ID
+ * @param {Function} cancelExportProcess - Cancels the clip export currently rendering
+ * @returns {boolean} false when exportId is not a highlight reel
+ */
+function cancelHighlightReel(exportId, cancelExportProcess) {
+  const reel = activeReels.get(exportId);
+  if (!reel) return false;
+  reel.cancelled = true;
+  if (reel.clipExportId) cancelExportProcess(reel.clipExportId);
+  if (reel.proc && !reel.proc.killed) reel.proc.kill('SIGTERM');
+  return true;
+}
+
+// Stitch processes are not tracked in main.js's activeExports, so stop them here
+app.on('before-quit', () => {
+  for (const reel of activeReels.values()) {
+    reel.cancelled = true;
+    if (reel.proc && !reel.proc.killed) {
+      try { reel.proc.kill('SIGKILL'); } catch { }
+    }
+  }
+});
+
+module.exports = { performHighlightReelExport, cancelHighlightReel };
@@ -0,0 +1,81 @@
+const { BrowserWindow, ipcMain } = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ============================================
+// INCIDENT REPORTS
+// The renderer builds a self-contained HTML report (stills, map and charts are inlined
+// as data URLs); main writes it as-is or prints it to PDF in a hidden window
+// ============================================
+
+const PDF_LOAD_TIMEOUT_MS = 30000;
+const PAGE_SIZES = ['A4', 'Letter'];
+
+/**
+ * Print an HTML document to PDF using a hidden, script-free window
+ * @param {string} html - Complete HTML document
+ * @param {string} pageSize - 'A4' or 'Letter'
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html, pageSize) {
+  // Load from a temp file: data: URLs for multi-MB documents hit Chromium's URL length limit
+  const tempPath = path.join(os.tmpdir(), `incident_report_${process.pid}_${Date.now()}.html`);
+  await fs.promises.writeFile(tempPath, html, 'utf8');
+
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      sandbox: true,
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Report load timeout')), PDF_LOAD_TIMEOUT_MS);
+      win.webContents.once('did-finish-load', () => { clearTimeout(timeout); resolve(); });
+      win.webContents.once('did-fail-load', (_e, _code, description) => { clearTimeout(timeout); reject(new Error(description)); });
+      win.loadFile(tempPath);
+    });
+
+    return await win.webContents.printToPDF({
+      pageSize,
+      printBackground: true,
+      margins: { marginType: 'default' }
+    });
+  } finally {
+    win.destroy();
+    fs.promises.unlink(tempPath).catch(() => {});
+  }
+}
+
+/**
+ * Register incident report IPC handlers
+ */
+function registerIncidentReportIpc() {
+  ipcMain.handle('report:save', async (_event, filePath, html, options = {}) => {
+    try {
+      if (typeof filePath !== 'string' || !filePath) throw new Error('No output path');
+      if (typeof html !== 'string' || !html) throw new Error('Empty report');
+
+      if (/\.pdf$/i.test(filePath)) {
+        const pageSize = PAGE_SIZES.includes(options.pageSize) ? options.pageSize : 'A4';
+        const pdf = await renderPdf(html, pageSize);
+        await fs.promises.writeFile(filePath, pdf);
+        console.log(`[REPORT] Saved PDF ${filePath} (${pdf.length} bytes, ${pageSize})`);
+      } else {
+        await fs.promises.writeFile(filePath, html, 'utf8');
+        console.log(`[REPORT] Saved HTML ${filePath} (${html.length} chars)`);
+      }
+      return { success: true, filePath };
+    } catch (err) {
+      console.error('[REPORT] Failed to save report:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = { registerIncidentReportIpc };
@@ -0,0 +1,528 @@
+const { app, ipcMain } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// LIBRARY INDEX CACHE
+// Remembers what a TeslaCam folder looked like last time it was opened so large
+// archives don't have to be re-probed on every launch. One cache file per root
+// folder in userData/index-cache:
+//   <hash>.json     - directory listings and per-file metadata (durations,
+//                     event.json, thumbnail layout), validated by size + mtime
+//   <hash>.gps.json - downsampled GPS paths, loaded only when asked for
+//   <hash>.thumbs/  - one JPEG strip of timeline thumbnails per clip
+// FAT32/exFAT (TeslaCam USB drives) don't reliably update a directory's mtime
+// when its files change, so each listing is re-verified once per folder open:
+// its names are re-read and its files' size + mtime compared. A changed listing
+// is re-read and its removed children are pruned, so new and deleted clips are
+// picked up without rescanning anything else. Per-frame dashboard telemetry is
+// not cached (too large); it is still decoded from the clip when it plays.
+// ============================================
+
+const cacheDir = path.join(app.getPath('userData'), 'index-cache');
+
+const CACHE_VERSION = 2;
+const SAVE_DELAY_MS = 2000;
+const MAX_GPS_POINTS = 600;
+
+// Only one root is open at a time (the folder shown in the clip browser)
+let active = null;   // { root, key, dirs, files, gps, verified, dirty, gpsDirty }
+let saveTimer = null;
+
+function ensureCacheDir() {
+  if (!fs.existsSync(cacheDir)) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+  }
+}
+
+function normalizeRoot(rootPath) {
+  const resolved = path.resolve(rootPath);
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+function cacheFilePath(key, suffix = '') {
+  return path.join(cacheDir, `${key}${suffix}.json`);
+}
+
+function thumbFilePath(filePath) {
+  const name = crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 20);
+  return path.join(cacheDir, `${active.key}.thumbs`, `${name}.jpg`);
+}
+
+function isInsideRoot(filePath) {
+  if (!active || typeof filePath !== 'string') return false;
+  const resolved = normalizeRoot(filePath);
+  return resolved === active.root || resolved.startsWith(active.root + path.sep);
+}
+
+function readJson(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return data?.version === CACHE_VERSION ? data : null;
+  } catch (err) {
+    console.warn('[INDEX] Ignoring unreadable cache file:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Write a cache file (atomic rename so a crash never leaves a half-written file)
+ */
+function writeJson(filePath, data) {
+  ensureCacheDir();
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Write pending changes for the open root to disk
+ */
+function flushCache() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!active) return;
+  try {
+    if (active.dirty) {
+      writeJson(cacheFilePath(active.key), {
+        version: CACHE_VERSION,
+        root: active.root,
+        savedAt: Date.now(),
+        dirs: active.dirs,
+        files: active.files
+      });
+      active.dirty = false;
+    }
+    if (active.gpsDirty && active.gps) {
+      writeJson(cacheFilePath(active.key, '.gps'), { version: CACHE_VERSION, paths: active.gps });
+      active.gpsDirty = false;
+    }
+  } catch (err) {
+    console.error('[INDEX] Failed to save cache:', err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushCache, SAVE_DELAY_MS);
+}
+
+function markDirty() {
+  active.dirty = true;
+  scheduleSave();
+}
+
+/**
+ * Open (or create) the cache for a root folder, flushing the previous one
+ * @param {string} rootPath - Folder the user opened
+ * @returns {{dirs: number, files: number}} How much was restored from disk
+ */
+function openCache(rootPath) {
+  const root = normalizeRoot(rootPath);
+  if (active?.root === root) {
+    // Reopened (or the drive was plugged in again): verify every listing once more
+    active.verified = new Set();
+    return { dirs: Object.keys(active.dirs).length, files: Object.keys(active.files).length };
+  }
+  flushCache();
+
+  const key = crypto.createHash('sha1').update(root).digest('hex').slice(0, 16);
+  const data = readJson(cacheFilePath(key));
+  active = {
+    root,
+    key,
+    dirs: data?.dirs || {},
+    files: data?.files || {},
+    gps: null,
+    verified: new Set(),   // listings checked against the disk since the folder was opened
+    dirty: false,
+    gpsDirty: false
+  };
+  const counts = { dirs: Object.keys(active.dirs).length, files: Object.keys(active.files).length };
+  console.log(`[INDEX] Opened cache for ${rootPath} (${counts.dirs} folder(s), ${counts.files} file(s))`);
+  return counts;
+}
+
+function loadGps() {
+  if (!active.gps) {
+    active.gps = readJson(cacheFilePath(active.key, '.gps'))?.paths || {};
+  }
+  return active.gps;
+}
+
+function statOrNull(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget a file's metadata and its thumbnail strip
+ */
+function dropFileEntry(filePath) {
+  if (active.files[filePath]?.meta?.thumbs) {
+    fs.rm(thumbFilePath(filePath), { force: true }, () => { });
+  }
+  delete active.files[filePath];
+}
+
+/**
+ * Forget everything cached at or below a path (a removed file or folder)
+ */
+function pruneBelow(targetPath) {
+  const prefix = targetPath + path.sep;
+  const matches = p => p === targetPath || p.startsWith(prefix);
+  for (const p of Object.keys(active.dirs)) if (matches(p)) delete active.dirs[p];
+  for (const p of Object.keys(active.files)) if (matches(p)) dropFileEntry(p);
+  if (active.gps) {
+    for (const p of Object.keys(active.gps)) if (matches(p)) { delete active.gps[p]; active.gpsDirty = true; }
+  }
+}
+
+/**
+ * Read a directory, with size + mtime for its files (the listing validation compares them)
+ */
+function listDirectory(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).map(entry => {
+    const item = { name: entry.name, isDirectory: entry.isDirectory(), isFile: entry.isFile() };
+    if (item.isFile) {
+      const stat = statOrNull(path.join(dirPath, entry.name));
+      item.size = stat?.size ?? -1;
+      item.mtimeMs = stat?.mtimeMs ?? -1;
+    }
+    return item;
+  });
+}
+
+/**
+ * Whether a cached listing still matches the disk: same names, and its files have the same size + mtime
+ */
+function listingMatches(dirPath, entries) {
+  const names = fs.readdirSync(dirPath);
+  if (names.length !== entries.length) return false;
+  const cachedNames = new Set(entries.map(e => e.name));
+  if (!names.every(name => cachedNames.has(name))) return false;
+  return entries.every(entry => {
+    if (!entry.isFile) return true;
+    const stat = statOrNull(path.join(dirPath, entry.name));
+    return !!stat && stat.size === entry.size && stat.mtimeMs === entry.mtimeMs;
+  });
+}
+
+function toDirEntries(dirPath, entries) {
+  return entries.map(entry => ({
+    name: entry.name,
+    isDirectory: entry.isDirectory,
+    isFile: entry.isFile,
+    path: path.join(dirPath, entry.name)
+  }));
+}
+
+/**
+ * List a directory, answering from the cache when it is unchanged (directory mtime, verified
+ * once per folder open against the names, sizes and mtimes of its entries)
+ * @param {string} dirPath - Directory to list
+ * @returns {Array<{name: string, isDirectory: boolean, isFile: boolean, path: string}>}
+ */
+function readDirCached(dirPath) {
+  const useCache = isInsideRoot(dirPath);
+  const stat = statOrNull(dirPath);
+  if (!stat) {
+    if (useCache && active.dirs[dirPath]) {
+      pruneBelow(dirPath);
+      markDirty();
+    }
+    return [];
+  }
+
+  const cached = useCache ? active.dirs[dirPath] : null;
+  if (cached && cached.mtimeMs === stat.mtimeMs &&
+      (active.verified.has(dirPath) || listingMatches(dirPath, cached.entries))) {
+    active.verified.add(dirPath);
+    return toDirEntries(dirPath, cached.entries);
+  }
+
+  const entries = listDirectory(dirPath);
+
+  if (useCache) {
+    // Incremental update: drop whatever disappeared since the last listing
+    if (cached) {
+      const current = new Set(entries.map(e => e.name));
+      for (const old of cached.entries) {
+        if (!current.has(old.name)) pruneBelow(path.join(dirPath, old.name));
+      }
+    }
+    active.dirs[dirPath] = { mtimeMs: stat.mtimeMs, entries };
+    active.verified.add(dirPath);
+    markDirty();
+  }
+  return toDirEntries(dirPath, entries);
+}
+
+/**
+ * Whether a file exists, using the cached listing of its parent directory
+ */
+function existsCached(filePath) {
+  if (!isInsideRoot(filePath)) return fs.existsSync(filePath);
+  const name = path.basename(filePath);
+  return readDirCached(path.dirname(filePath)).some(entry => entry.name === name);
+}
+
+/**
+ * Cached metadata for files that haven't changed since it was stored
+ * @param {string[]} filePaths - Files to look up
+ * @returns {Object} path -> metadata (durationSec, eventMeta, ...); stale entries are dropped
+ */
+function getFileMeta(filePaths) {
+  const result = {};
+  if (!Array.isArray(filePaths)) return result;
+  for (const filePath of filePaths) {
+    const entry = isInsideRoot(filePath) ? active.files[filePath] : null;
+    if (!entry) continue;
+    const stat = statOrNull(filePath);
+    if (stat && stat.size === entry.size && stat.mtimeMs === entry.mtimeMs) {
+      result[filePath] = entry.meta;
+    } else {
+      dropFileEntry(filePath);
+      markDirty();
+    }
+  }
+  return result;
+}
+
+/**
+ * Merge metadata into a file's cache entry (reset if the file changed)
+ * @param {string} filePath - File the metadata belongs to
+ * @param {Object} meta - Fields to store, e.g. { durationSec } or { eventMeta }
+ */
+function setFileMeta(filePath, meta) {
+  if (!isInsideRoot(filePath) || !meta || typeof meta !== 'object') return false;
+  const stat = statOrNull(filePath);
+  if (!stat) return false;
+  const existing = active.files[filePath];
+  const unchanged = existing && existing.size === stat.size && existing.mtimeMs === stat.mtimeMs;
+  if (existing && !unchanged) dropFileEntry(filePath);
+  active.files[filePath] = {
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    meta: { ...(unchanged ? existing.meta : {}), ...meta }
+  };
+  markDirty();
+  return true;
+}
+
+/**
+ * Keep at most MAX_GPS_POINTS evenly spaced points (always including the last one)
+ */
+function downsamplePath(points) {
+  if (points.length <= MAX_GPS_POINTS) return points;
+  const step = points.length / MAX_GPS_POINTS;
+  const out = [];
+  for (let i = 0; i < MAX_GPS_POINTS - 1; i++) out.push(points[Math.floor(i * step)]);
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+function getGpsPath(filePath) {
+  if (!isInsideRoot(filePath)) return null;
+  const entry = loadGps()[filePath];
+  if (!entry) return null;
+  const stat = statOrNull(filePath);
+  if (!stat || stat.size !== entry.size || stat.mtimeMs !== entry.mtimeMs) {
+    delete active.gps[filePath];
+    active.gpsDirty = true;
+    scheduleSave();
+    return null;
+  }
+  return entry.points;
+}
+
+/**
+ * Store the GPS path extracted from a clip's SEI data
+ * @param {string} filePath - Clip the path was extracted from
+ * @param {Array<{lat: number, lon: number, timestampMs?: number, autopilot?: string}>} points
+ */
+function setGpsPath(filePath, points) {
+  if (!isInsideRoot(filePath) || !Array.isArray(points)) return false;
+  const stat = statOrNull(filePath);
+  if (!stat) return false;
+  const clean = points
+    .filter(p => Number.isFinite(p?.lat) && Number.isFinite(p?.lon))
+    .map(p => ({ lat: p.lat, lon: p.lon, timestampMs: p.timestampMs, autopilot: p.autopilot }));
+  loadGps()[filePath] = { size: stat.size, mtimeMs: stat.mtimeMs, points: downsamplePath(clean) };
+  active.gpsDirty = true;
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Cached timeline thumbnails of a clip
+ * @param {string} filePath - Clip the thumbnails were grabbed from
+ * @returns {Object|null} Layout stored with setThumbnails plus `dataUrl` (JPEG strip, tiles left to right)
+ */
+function getThumbnails(filePath) {
+  const layout = getFileMeta([filePath])[filePath]?.thumbs;
+  if (!layout) return null;
+  try {
+    return { ...layout, dataUrl: `data:image/jpeg;base64,${fs.readFileSync(thumbFilePath(filePath)).toString('base64')}` };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a clip's timeline thumbnails
+ * @param {string} filePath - Clip the thumbnails were grabbed from
+ * @param {{intervalSec: number, firstOffsetSec: number, durationSec: number, tileWidth: number, tileHeight: number, count: number}} layout
+ * @param {string} dataUrl - JPEG strip of `count` tiles side by side
+ */
+function setThumbnails(filePath, layout, dataUrl) {
+  const prefix = 'data:image/jpeg;base64,';
+  if (!isInsideRoot(filePath) || typeof dataUrl !== 'string' || !dataUrl.startsWith(prefix)) return false;
+  const { intervalSec, firstOffsetSec, durationSec, tileWidth, tileHeight, count } = layout || {};
+  if (![intervalSec, firstOffsetSec, durationSec, tileWidth, tileHeight, count].every(Number.isFinite)) return false;
+  const thumbPath = thumbFilePath(filePath);
+  fs.mkdirSync(path.dirname(thumbPath), { recursive: true });
+  fs.writeFileSync(thumbPath, Buffer.from(dataUrl.slice(prefix.length), 'base64'));
+  return setFileMeta(filePath, { thumbs: { intervalSec, firstOffsetSec, durationSec, tileWidth, tileHeight, count } });
+}
+
+function folderSize(dir) {
+  let total = 0;
+  for (const name of fs.readdirSync(dir)) total += statOrNull(path.join(dir, name))?.size || 0;
+  return total;
+}
+
+/**
+ * Size of all cache files on disk plus counts for the open root
+ */
+function getCacheStats() {
+  let sizeBytes = 0;
+  let roots = 0;
+  try {
+    for (const name of fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : []) {
+      if (name.endsWith('.thumbs')) {
+        sizeBytes += folderSize(path.join(cacheDir, name));
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+      if (!name.endsWith('.gps.json')) roots++;
+      sizeBytes += statOrNull(path.join(cacheDir, name))?.size || 0;
+    }
+  } catch (err) {
+    console.warn('[INDEX] Failed to read cache folder:', err.message);
+  }
+  return {
+    sizeBytes,
+    roots,
+    dirs: active ? Object.keys(active.dirs).length : 0,
+    files: active ? Object.keys(active.files).length : 0
+  };
+}
+
+/**
+ * Delete every cache file; the open root starts over empty
+ */
+function clearCache() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (active) {
+    Object.assign(active, { dirs: {}, files: {}, gps: {}, dirty: false, gpsDirty: false });
+  }
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  console.log('[INDEX] Cache cleared');
+  return true;
+}
+
+/**
+ * Drop everything cached for one folder so its next scan starts from the disk
+ * @param {string} rootPath - Folder to rebuild
+ */
+function rebuildCache(rootPath) {
+  const root = normalizeRoot(rootPath);
+  const key = crypto.createHash('sha1').update(root).digest('hex').slice(0, 16);
+  if (active?.root === root) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    active = null;
+  }
+  for (const suffix of ['.json', '.gps.json', '.thumbs']) {
+    fs.rmSync(path.join(cacheDir, `${key}${suffix}`), { recursive: true, force: true });
+  }
+  console.log(`[INDEX] Cache dropped for ${rootPath}; rebuilding`);
+  return true;
+}
+
+/**
+ * Register library index cache IPC handlers
+ */
+function registerIndexCacheIpc() {
+  app.on('before-quit', flushCache);
+
+  ipcMain.handle('indexCache:open', async (_event, rootPath) => {
+    try {
+      return { success: true, ...openCache(rootPath) };
+    } catch (err) {
+      console.error('[INDEX] Failed to open cache:', err.message);
+      active = null;
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('indexCache:readDir', async (_event, dirPath) => {
+    try {
+      return readDirCached(dirPath);
+    } catch (err) {
+      console.error('Error reading directory:', err);
+      return [];
+    }
+  });
+
+  ipcMain.handle('indexCache:exists', async (_event, filePath) => {
+    try {
+      return existsCached(filePath);
+    } catch {
+      return false;
+    }
+  });
+
+  ipcMain.handle('indexCache:getFileMeta', async (_event, filePaths) => getFileMeta(filePaths));
+  ipcMain.handle('indexCache:setFileMeta', async (_event, filePath, meta) => setFileMeta(filePath, meta));
+  ipcMain.handle('indexCache:getGpsPath', async (_event, filePath) => getGpsPath(filePath));
+  ipcMain.handle('indexCache:setGpsPath', async (_event, filePath, points) => setGpsPath(filePath, points));
+  ipcMain.handle('indexCache:getThumbnails', async (_event, filePath) => getThumbnails(filePath));
+  ipcMain.handle('indexCache:setThumbnails', async (_event, filePath, layout, dataUrl) => {
+    try {
+      return setThumbnails(filePath, layout, dataUrl);
+    } catch (err) {
+      console.warn('[INDEX] Failed to store thumbnails:', err.message);
+      return false;
+    }
+  });
+  ipcMain.handle('indexCache:stats', async () => getCacheStats());
+
+  ipcMain.handle('indexCache:rebuild', async (_event, rootPath) => {
+    try {
+      if (typeof rootPath !== 'string' || !rootPath) throw new Error('No folder open');
+      return { success: rebuildCache(rootPath) };
+    } catch (err) {
+      console.error('[INDEX] Failed to rebuild cache:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('indexCache:clear', async () => {
+    try {
+      return { success: clearCache() };
+    } catch (err) {
+      console.error('[INDEX] Failed to clear cache:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = { registerIndexCacheIpc };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeSei } = require('./telemetryExport');
+const { findSeiAt } = require('./subtitleTrack');
+
+// ============================================
+// MP4 LOCATION & CHAPTER METADATA
+// Keeps location context in exported files: the start position as an ISO 6709
+// location atom (©xyz, read by Photos, Google Photos, exiftool...) and chapter
+// markers players like VLC show in their menu. Only the start location is
+// embedded: FFmpeg cannot write a QuickTime timed-metadata (mebx) location
+// track, and nothing reads GPS from a subtitle stream. The full route is
+// available from the telemetry export (GPX/KML).
+// ============================================
+
+/**
+ * ISO 6709 point as written to the MP4 location atom, e.g. "+37.4220-122.0841/"
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {string}
+ */
+function formatIso6709(lat, lon) {
+  const part = (value, intDigits) => {
+    const sign = value < 0 ? '-' : '+';
+    const [int, frac] = Math.abs(value).toFixed(4).split('.');
+    return `${sign}${int.padStart(intDigits, '0')}.${frac}`;
+  };
+  return `${part(lat, 2)}${part(lon, 3)}/`;
+}
+
+/**
+ * First GPS fix in the export range, for the location atom
+ * @param {Array} seiData - [{ timestampMs, sei }] sorted by timestampMs
+ * @param {number} startTimeMs - Export start (video time)
+ * @param {number} endTimeMs - Export end (video time)
+ * @returns {string|null} ISO 6709 point, or null when the range has no GPS fix
+ */
+function findStartLocation(seiData, startTimeMs, endTimeMs) {
+  if (!seiData?.length || !(endTimeMs > startTimeMs)) return null;
+  for (let t = startTimeMs; t < endTimeMs; t += 1000) {
+    const v = normalizeSei(findSeiAt(seiData, t));
+    if (v.hasGps) return formatIso6709(v.lat, v.lon);
+  }
+  return null;
+}
+
+/**
+ * Escape a value for an FFmpeg metadata file
+ */
+function escapeFfmetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, c => `\\${c}`);
+}
+
+/**
+ * FFmpeg metadata file with one chapter per marker, in output time
+ * @param {Array<{timeMs: number, title: string}>} chapters - Markers in collection time
+ * @param {number} startTimeMs - Export start (video time)
+ * @param {number} endTimeMs - Export end (video time)
+ * @param {number} speed - Time-lapse factor (1 for normal speed)
+ * @returns {string|null} File content, or null when no marker falls before the range end
+ */
+function buildChapterMetadata(chapters, startTimeMs, endTimeMs, speed = 1) {
+  const outputEnd = Math.round((endTimeMs - startTimeMs) / speed);
+  // A marker before the range (the clip the export starts in) names the opening chapter
+  const marks = (chapters || [])
+    .filter(c => Number.isFinite(c.timeMs) && c.timeMs < endTimeMs && c.title)
+    .map(c => ({ start: Math.round((Math.max(c.timeMs, startTimeMs) - startTimeMs) / speed), title: String(c.title) }))
+    .sort((a, b) => a.start - b.start)
+    .filter((c, i, list) => i === list.length - 1 || c.start < list[i + 1].start);
+  if (marks.length === 0) return null;
+  // Chapters must cover the file from the start
+  if (marks[0].start > 0) marks[0].start = 0;
+
+  const lines = [';FFMETADATA1'];
+  marks.forEach((mark, i) => {
+    const end = i + 1 < marks.length ? marks[i + 1].start : outputEnd;
+    lines.push('[CHAPTER]', 'TIMEBASE=1/1000', `START=${mark.start}`, `END=${end}`, `title=${escapeFfmetadata(mark.title)}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the chapter metadata file
+ * @returns {Promise<string|null>} Temp file path, or null when there are no chapters in range
+ */
+async function writeChapterMetadata(exportId, chapters, startTimeMs, endTimeMs, speed) {
+  const content = buildChapterMetadata(chapters, startTimeMs, endTimeMs, speed);
+  if (!content) return null;
+  const tempPath = path.join(os.tmpdir(), `chapters_${exportId}_${Date.now()}.txt`);
+  await fs.promises.writeFile(tempPath, content, 'utf8');
+  return tempPath;
+}
+
+module.exports = {
+  formatIso6709,
+  findStartLocation,
+  buildChapterMetadata,
+  writeChapterMetadata
+};
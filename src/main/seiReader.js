@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================
+// SEI READER (main process)
+// Reuses the renderer's DashcamMP4 parser so headless code paths decode
+// telemetry exactly like the player does.
+// ============================================
+
+const DASHCAM_PARSER_PATH = path.join(__dirname, '..', 'renderer', 'scripts', 'data', 'dashcam-mp4.js');
+const DASHCAM_PROTO_PATH = path.join(__dirname, '..', 'renderer', 'proto', 'dashcam.proto');
+
+let _DashcamMP4 = null;
+let _SeiMetadata = null;
+
+/**
+ * Load the DashcamMP4 class (lazy, cached)
+ * @returns {Function}
+ */
+function loadDashcamMP4() {
+  if (_DashcamMP4) return _DashcamMP4;
+
+  // dashcam-mp4.js is a browser script that registers itself on `window`
+  const source = fs.readFileSync(DASHCAM_PARSER_PATH, 'utf8');
+  const windowShim = {};
+  vm.runInThisContext(`(function (window) {\n${source}\n})`, { filename: DASHCAM_PARSER_PATH })(windowShim);
+  _DashcamMP4 = windowShim.DashcamMP4;
+  return _DashcamMP4;
+}
+
+/**
+ * Load DashcamMP4 and the SeiMetadata protobuf type (lazy, cached)
+ * @returns {{DashcamMP4: Function, SeiMetadata: Object}}
+ */
+function loadParser() {
+  if (_DashcamMP4 && _SeiMetadata) return { DashcamMP4: _DashcamMP4, SeiMetadata: _SeiMetadata };
+
+  loadDashcamMP4();
+  const protobuf = require('protobufjs');
+  const root = protobuf.parse(fs.readFileSync(DASHCAM_PROTO_PATH, 'utf8'), { keepCase: true }).root;
+  _SeiMetadata = root.lookupType('SeiMetadata');
+
+  return { DashcamMP4: _DashcamMP4, SeiMetadata: _SeiMetadata };
+}
+
+/**
+ * Decode per-frame SEI from a Tesla dashcam MP4
+ * @param {string} filePath - Path to the MP4
+ * @returns {Promise<Array<{timestampMs: number, sei: Object}>>} Frame-relative timestamps (ms from clip start)
+ */
+async function readSeiFromFile(filePath) {
+  const { DashcamMP4, SeiMetadata } = loadParser();
+  const data = await fs.promises.readFile(filePath);
+  const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  const frames = new DashcamMP4(buffer).parseFrames(SeiMetadata);
+  const result = [];
+  for (const frame of frames) {
+    if (frame.sei) result.push({ timestampMs: frame.timestamp, sei: frame.sei });
+  }
+  return result;
+}
+
+module.exports = { loadDashcamMP4, readSeiFromFile };
@@ -0,0 +1,93 @@
+const { ipcMain } = require('electron');
+const { loadSettings, saveSettings } = require('./settings');
+
+// ============================================
+// SHARE ENDPOINT
+// Base URL of the clip sharing API. Defaults to the hosted Sentry Studio service; set
+// shareServerUrl (Settings > Clip Sharing) or SENTRY_STUDIO_SHARE_SERVER to use a
+// self-hosted server speaking the same protocol (see share-server/ in the repo).
+// ============================================
+
+const DEFAULT_SHARE_SERVER = 'https://api.sentry-six.com/share';
+
+/**
+ * Validate and normalize a share server URL (no trailing slash, http/https only)
+ * @param {string} value - URL entered by the user
+ * @returns {string}
+ */
+function normalizeShareServerUrl(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) throw new Error('No server URL');
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    throw new Error('Invalid URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error('Server URL must start with http:// or https://');
+  }
+  if (url.search || url.hash) throw new Error('Server URL cannot contain a query or fragment');
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Share API base URL currently in use (settings override, then environment, then the hosted service)
+ * @returns {string}
+ */
+function getShareServerUrl() {
+  const candidates = [loadSettings().shareServerUrl, process.env.SENTRY_STUDIO_SHARE_SERVER];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return normalizeShareServerUrl(candidate);
+    } catch (err) {
+      console.warn(`[SHARE] Ignoring share server "${candidate}": ${err.message}`);
+    }
+  }
+  return DEFAULT_SHARE_SERVER;
+}
+
+/**
+ * Full URL of a share API route, e.g. shareEndpoint('upload')
+ * @param {string} route - Route name (config, reserve, upload, delete, check-codes)
+ * @param {string} [serverUrl] - Server the request is for (defaults to the current one)
+ * @returns {string}
+ */
+function shareEndpoint(route, serverUrl) {
+  return `${serverUrl || getShareServerUrl()}/${route}`;
+}
+
+/**
+ * Register share endpoint IPC handlers
+ * @param {Function} onChange - Called after the server changes (to drop cached config)
+ */
+function registerShareEndpointIpc(onChange) {
+  ipcMain.handle('share:getServer', async () => {
+    const url = getShareServerUrl();
+    return { url, isDefault: url === DEFAULT_SHARE_SERVER, defaultUrl: DEFAULT_SHARE_SERVER };
+  });
+
+  // Empty value resets to the hosted service
+  ipcMain.handle('share:setServer', async (_event, value) => {
+    try {
+      const url = value ? normalizeShareServerUrl(value) : null;
+      const settings = loadSettings();
+      settings.shareServerUrl = url && url !== DEFAULT_SHARE_SERVER ? url : null;
+      saveSettings(settings);
+      onChange?.();
+      console.log(`[SHARE] Share server set to ${url || DEFAULT_SHARE_SERVER}`);
+      return { success: true, url: url || DEFAULT_SHARE_SERVER };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_SHARE_SERVER,
+  normalizeShareServerUrl,
+  getShareServerUrl,
+  shareEndpoint,
+  registerShareEndpointIpc
+};
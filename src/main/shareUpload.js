@@ -0,0 +1,516 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadSettings, saveSettings } = require('./settings');
+const { getShareServerUrl, shareEndpoint } = require('./shareEndpoint');
+
+// ============================================
+// SHARED CLIP UPLOADS
+// Chunked, resumable uploads: the server opens an upload session, each chunk is sent
+// with its offset and SHA-256, and failed requests are retried with backoff. The
+// session is kept on the clip's entry in settings.sharedClips (the share:getClips
+// record) so a paused upload can resume after a network drop or an app restart.
+// Servers without the chunked API get the original single multipart POST.
+// ============================================
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const MAX_SHARED_CLIPS = 50;
+const WRITE_SLICE_BYTES = 256 * 1024;
+
+// Codes with an upload in progress (one upload per clip)
+const activeUploads = new Set();
+
+// ============================================
+// SHARED CLIP RECORDS (settings.sharedClips)
+// ============================================
+
+function findSharedClip(code) {
+  return (loadSettings().sharedClips || []).find(c => c.code === code) || null;
+}
+
+/**
+ * Merge changes into a shared clip entry (creating it at the top of the list)
+ */
+function updateSharedClip(code, changes) {
+  try {
+    const settings = loadSettings();
+    const clips = settings.sharedClips || [];
+    const index = clips.findIndex(c => c.code === code);
+    if (index === -1) clips.unshift({ code, ...changes });
+    else clips[index] = { ...clips[index], ...changes };
+    // Keep max 50 entries
+    settings.sharedClips = clips.slice(0, MAX_SHARED_CLIPS);
+    saveSettings(settings);
+  } catch (err) {
+    console.error('[SHARE] Failed to save clip to settings:', err.message);
+  }
+}
+
+function removeSharedClip(code) {
+  const settings = loadSettings();
+  settings.sharedClips = (settings.sharedClips || []).filter(c => c.code !== code);
+  saveSettings(settings);
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * JSON request to the share server
+ * @param {string} url - Endpoint URL (may include a query string)
+ * @param {Object} options - { method, json, body (Buffer), headers, timeoutMs, onWrite(bytesWritten) }
+ * @returns {Promise<Object>} Parsed response; rejects with err.statusCode / err.data for HTTP errors
+ */
+function requestJson(url, options = {}) {
+  const { method = 'GET', json, body, headers = {}, timeoutMs = 30000, onWrite } = options;
+  const urlObj = new URL(url);
+  const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
+  const payload = json !== undefined ? Buffer.from(JSON.stringify(json)) : body;
+
+  return new Promise((resolve, reject) => {
+    const req = httpModule.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method,
+      headers: {
+        ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(payload ? { 'Content-Length': payload.length } : {}),
+        ...headers
+      },
+      family: 0
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => text += chunk);
+      res.on('end', () => {
+        let data = null;
+        try { data = JSON.parse(text); } catch { /* handled below */ }
+        if (res.statusCode === 200 && data && data.success !== false) {
+          resolve(data);
+          return;
+        }
+        const err = new Error(data?.error || `Request failed (HTTP ${res.statusCode})`);
+        err.statusCode = res.statusCode;
+        err.data = data;
+        reject(err);
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('Request timed out')));
+
+    if (!payload) {
+      req.end();
+      return;
+    }
+    // Write in slices so large chunks report progress as they go
+    let written = 0;
+    const writeNext = () => {
+      while (written < payload.length) {
+        const slice = payload.subarray(written, written + WRITE_SLICE_BYTES);
+        written += slice.length;
+        onWrite?.(written);
+        if (!req.write(slice)) {
+          req.once('drain', writeNext);
+          return;
+        }
+      }
+      req.end();
+    };
+    writeNext();
+  });
+}
+
+/**
+ * Network errors, timeouts, 5xx, 408, 429, 422 (chunk checksum mismatch) and errors flagged
+ * `retryable` (a 409 while the session is busy) are worth retrying; other HTTP errors are final
+ */
+function isRetryable(err) {
+  if (!err.statusCode || err.retryable) return true;
+  return err.statusCode >= 500 || [408, 422, 429].includes(err.statusCode);
+}
+
+/**
+ * Run a request, retrying with exponential backoff (1s, 2s, 4s... capped at 30s, with jitter)
+ * @param {Function} fn - Returns a promise
+ * @param {Function} onRetry - Called with { attempt, maxAttempts, delayMs, error } before each wait
+ */
+async function withRetry(fn, onRetry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= MAX_ATTEMPTS) throw err;
+      const delayMs = Math.round(Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5)));
+      console.warn(`[SHARE] ${err.message} - retrying in ${delayMs}ms (attempt ${attempt}/${MAX_ATTEMPTS})`);
+      onRetry?.({ attempt, maxAttempts: MAX_ATTEMPTS, delayMs, error: err.message });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Ask the server whether a code is published. A finish or status 404 can mean the session
+ * was already finished (its response lost), not that the upload expired
+ * @returns {Promise<Object|null>} { expiresAt } when the clip is live; rejects if the server can't be reached
+ */
+async function checkPublished(code, server) {
+  const { statuses } = await requestJson(shareEndpoint('check-codes', server), {
+    method: 'POST',
+    json: { codes: [code] }
+  });
+  const status = statuses?.[code];
+  return status?.expiresAt ? status : null;
+}
+
+/**
+ * Save a finished upload on its shared clip entry and report it
+ */
+function completeUpload(record, result, send) {
+  console.log(`[SHARE] Upload complete: ${result.url}`);
+  updateSharedClip(record.code, {
+    code: result.code,
+    url: result.url,
+    deleteToken: result.deleteToken || record.deleteToken,
+    expiresAt: result.expiresAt,
+    fileSize: result.fileSize,
+    upload: undefined
+  });
+  send({ type: 'complete', ...result });
+  return result;
+}
+
+/**
+ * Upload response for a clip the server already published
+ */
+function publishedResult(record, published) {
+  return {
+    success: true,
+    code: record.code,
+    url: record.url,
+    deleteToken: record.deleteToken,
+    expiresAt: published.expiresAt,
+    fileSize: record.fileSize
+  };
+}
+
+// ============================================
+// CHUNKED UPLOAD
+// ============================================
+
+/**
+ * Send the file from the session's offset to the end, then finish the session
+ * @param {Object} record - Shared clip entry with an `upload` session
+ * @param {Function} send - Progress callback (share:progress payloads)
+ */
+async function runChunkedUpload(record, send) {
+  const { code, server, fileSize: totalBytes } = record;
+  const { id, filePath, chunkSize } = record.upload;
+  if (activeUploads.has(code)) throw new Error('This clip is already uploading');
+  activeUploads.add(code);
+
+  const onRetry = retry => send({ type: 'retrying', code, ...retry });
+  let lastProgressPct = -1;
+  const reportProgress = (bytesUploaded) => {
+    const pct = Math.floor((bytesUploaded / totalBytes) * 100);
+    if (pct <= lastProgressPct) return;
+    lastProgressPct = pct;
+    send({ type: 'progress', code, percentage: pct, bytesUploaded, totalBytes });
+  };
+
+  let file = null;
+  try {
+    file = await fs.promises.open(filePath, 'r');
+    let offset = record.upload.offset || 0;
+    reportProgress(offset);
+
+    while (offset < totalBytes) {
+      const chunkOffset = offset;
+      const chunk = Buffer.alloc(Math.min(chunkSize, totalBytes - chunkOffset));
+      await file.read(chunk, 0, chunk.length, chunkOffset);
+      const checksum = crypto.createHash('sha256').update(chunk).digest('hex');
+
+      const result = await withRetry(async () => {
+        try {
+          return await requestJson(`${shareEndpoint('upload/chunk', server)}?id=${encodeURIComponent(id)}&offset=${chunkOffset}`, {
+            method: 'PUT',
+            body: chunk,
+            headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': checksum },
+            timeoutMs: 120000,
+            onWrite: written => reportProgress(chunkOffset + written)
+          });
+        } catch (err) {
+          if (err.statusCode === 409 && Number.isFinite(err.data?.offset)) {
+            // The server is at a different offset (e.g. the chunk landed but the response was lost)
+            if (err.data.offset !== chunkOffset) return { offset: err.data.offset };
+            // Same offset: another request still holds the session, so back off before sending again
+            err.retryable = true;
+          }
+          throw err;
+        }
+      }, onRetry);
+
+      offset = result.offset;
+      updateSharedClip(code, { upload: { ...record.upload, offset } });
+      reportProgress(offset);
+    }
+
+    let result;
+    try {
+      result = await withRetry(() => requestJson(shareEndpoint('upload/finish', server), {
+        method: 'POST',
+        json: { id },
+        timeoutMs: 120000
+      }), onRetry);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+      const published = await checkPublished(code, server);
+      if (!published) throw err;
+      result = publishedResult(record, published);
+    }
+    return completeUpload(record, result, send);
+  } finally {
+    await file?.close();
+    activeUploads.delete(code);
+  }
+}
+
+// ============================================
+// SINGLE-REQUEST UPLOAD (servers without chunked uploads)
+// ============================================
+
+function uploadMultipart(filePath, serverUrl, options, deleteToken, send) {
+  const { reserveCode, expirationHours } = options;
+  const totalBytes = fs.statSync(filePath).size;
+
+  // Build multipart form data manually to stream the file with progress tracking
+  const boundary = `----SentrySixUpload${Date.now()}${Math.random().toString(36).slice(2)}`;
+  const fileName = path.basename(filePath);
+
+  // Form data fields: deleteToken + optional reserveCode + optional expirationHours + video file
+  let formFieldsPart = `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="deleteToken"\r\n\r\n` +
+    `${deleteToken}\r\n`;
+
+  if (reserveCode) {
+    formFieldsPart += `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="reserveCode"\r\n\r\n` +
+      `${reserveCode}\r\n`;
+  }
+
+  if (expirationHours) {
+    formFieldsPart += `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="expirationHours"\r\n\r\n` +
+      `${expirationHours}\r\n`;
+  }
+
+  const formFieldsBuffer = Buffer.from(formFieldsPart);
+  const filePart = Buffer.from(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="video"; filename="${fileName}"\r\n` +
+    `Content-Type: video/mp4\r\n\r\n`
+  );
+  const footerPart = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const contentLength = formFieldsBuffer.length + filePart.length + totalBytes + footerPart.length;
+
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(shareEndpoint('upload', serverUrl));
+    const httpModule = urlObj.protocol === 'https:' ? require('https') : require('http');
+
+    const req = httpModule.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+      path: urlObj.pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Content-Length': contentLength
+      },
+      family: 0
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        let result;
+        try {
+          result = JSON.parse(body);
+        } catch {
+          console.error('[SHARE] Response parse error:', body.slice(0, 200));
+          reject(new Error('Invalid server response'));
+          return;
+        }
+        if (res.statusCode === 200 && result.success) {
+          console.log(`[SHARE] Upload complete: ${result.url}`);
+          updateSharedClip(result.code, {
+            url: result.url,
+            deleteToken: result.deleteToken || deleteToken,
+            expiresAt: result.expiresAt,
+            fileSize: result.fileSize,
+            fileName,
+            server: serverUrl,
+            uploadedAt: new Date().toISOString()
+          });
+          send({ type: 'complete', ...result });
+          resolve(result);
+        } else {
+          reject(new Error(result.error || `Upload failed (HTTP ${res.statusCode})`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+
+    // Write form fields first, then file header
+    req.write(formFieldsBuffer);
+    req.write(filePart);
+
+    // Stream file with progress tracking
+    let bytesUploaded = 0;
+    let lastProgressPct = 0;
+    const fileStream = fs.createReadStream(filePath, { highWaterMark: 256 * 1024 }); // 256KB chunks
+
+    fileStream.on('data', (chunk) => {
+      req.write(chunk);
+      bytesUploaded += chunk.length;
+      const pct = Math.floor((bytesUploaded / totalBytes) * 100);
+      if (pct > lastProgressPct) {
+        lastProgressPct = pct;
+        send({ type: 'progress', percentage: pct, bytesUploaded, totalBytes });
+      }
+    });
+
+    fileStream.on('end', () => {
+      req.write(footerPart);
+      req.end();
+    });
+
+    fileStream.on('error', (err) => {
+      console.error('[SHARE] File read error:', err.message);
+      req.destroy();
+      reject(err);
+    });
+  });
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Upload an exported clip for sharing
+ * @param {string} filePath - Exported MP4
+ * @param {Object} options - { reserveCode, expirationHours }
+ * @param {Function} send - Progress callback (share:progress payloads)
+ * @returns {Promise<Object>} { code, url, deleteToken, expiresAt, fileSize }
+ */
+async function uploadSharedClip(filePath, options = {}, send) {
+  let pendingCode = null;
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error('Export file not found');
+    }
+    const stat = fs.statSync(filePath);
+    // Remembered with the clip so sync/delete/resume go to the server that holds it
+    const serverUrl = getShareServerUrl();
+    // Generate delete token client-side
+    const deleteToken = crypto.randomBytes(24).toString('hex');
+    const onRetry = retry => send({ type: 'retrying', ...retry });
+
+    let session;
+    try {
+      session = await withRetry(() => requestJson(shareEndpoint('upload/start', serverUrl), {
+        method: 'POST',
+        json: {
+          fileName: path.basename(filePath),
+          fileSize: stat.size,
+          deleteToken,
+          reserveCode: options.reserveCode || undefined,
+          expirationHours: options.expirationHours || undefined
+        }
+      }), onRetry);
+    } catch (err) {
+      if (err.statusCode !== 404 && err.statusCode !== 405) throw err;
+      console.log('[SHARE] Server has no chunked uploads, sending the file in one request');
+      return await uploadMultipart(filePath, serverUrl, options, deleteToken, send);
+    }
+
+    const record = {
+      code: session.code,
+      url: session.url,
+      deleteToken,
+      fileName: path.basename(filePath),
+      fileSize: stat.size,
+      server: serverUrl,
+      uploadedAt: new Date().toISOString(),
+      upload: {
+        id: session.uploadId,
+        filePath,
+        mtimeMs: stat.mtimeMs,
+        chunkSize: session.chunkSize || DEFAULT_CHUNK_SIZE,
+        offset: session.offset || 0
+      }
+    };
+    updateSharedClip(record.code, record);
+    pendingCode = record.code;
+    console.log(`[SHARE] Upload session ${session.uploadId} for ${record.code} (${record.upload.chunkSize} byte chunks)`);
+    return await runChunkedUpload(record, send);
+  } catch (err) {
+    console.error('[SHARE] Upload error:', err.message);
+    send({ type: 'error', error: err.message, code: pendingCode, resumable: Boolean(pendingCode) });
+    throw err;
+  }
+}
+
+/**
+ * Continue a paused upload from the offset the server has
+ * @param {string} code - Share code of the pending clip
+ * @param {Function} send - Progress callback (share:progress payloads)
+ * @returns {Promise<Object>} { code, url, deleteToken, expiresAt, fileSize }
+ */
+async function resumeSharedClipUpload(code, send) {
+  let resumable = true;
+  try {
+    const record = findSharedClip(code);
+    if (!record?.upload) throw new Error('No paused upload for this clip');
+
+    const { filePath, mtimeMs, id } = record.upload;
+    const stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    if (!stat || stat.size !== record.fileSize || stat.mtimeMs !== mtimeMs) {
+      resumable = false;
+      throw new Error('The exported file was moved or changed; export and share it again');
+    }
+
+    let status;
+    try {
+      status = await withRetry(() => requestJson(`${shareEndpoint('upload/status', record.server)}?id=${encodeURIComponent(id)}`),
+        retry => send({ type: 'retrying', code, ...retry }));
+    } catch (err) {
+      if (err.statusCode === 404) {
+        const published = await checkPublished(code, record.server);
+        if (published) {
+          console.log(`[SHARE] ${code} was already published`);
+          return completeUpload(record, publishedResult(record, published), send);
+        }
+        resumable = false;
+        removeSharedClip(code);
+        throw new Error('The upload expired on the server; share the clip again');
+      }
+      throw err;
+    }
+
+    console.log(`[SHARE] Resuming ${code} at ${status.offset} of ${record.fileSize} bytes`);
+    return await runChunkedUpload({ ...record, upload: { ...record.upload, offset: status.offset } }, send);
+  } catch (err) {
+    console.error('[SHARE] Resume error:', err.message);
+    send({ type: 'error', error: err.message, code, resumable });
+    throw err;
+  }
+}
+
+module.exports = {
+  uploadSharedClip,
+  resumeSharedClipUpload
+};
@@ -0,0 +1,76 @@
+const { ipcMain } = require('electron');
+const fs = require('fs');
+const zlib = require('zlib');
+
+// ============================================
+// STILLS
+// Full-resolution PNG stills from the player. The renderer draws the frame(s)
+// onto a canvas; main writes the file and records which clip and moment it
+// shows as iTXt chunks, so a still sent to an insurer stays traceable to its
+// source footage even without the caption.
+// ============================================
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Signature + IHDR (length, type, 13 data bytes, CRC); IHDR is always the first chunk
+const IHDR_END = 8 + 4 + 4 + 13 + 4;
+const MAX_TEXT_LENGTH = 2000;
+
+// Renderer metadata field -> registered PNG keyword
+const PNG_KEYWORDS = {
+  title: 'Title',
+  description: 'Description',
+  source: 'Source',
+  creationTime: 'Creation Time'
+};
+
+/**
+ * Build an uncompressed iTXt chunk (UTF-8, no language tag)
+ */
+function buildTextChunk(keyword, text) {
+  const type = Buffer.from('iTXt', 'latin1');
+  const data = Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    // keyword terminator, compression flag, compression method, empty language tag, empty translated keyword
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(text, 'utf8')
+  ]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(Buffer.concat([type, data])) >>> 0);
+  return Buffer.concat([length, type, data, crc]);
+}
+
+/**
+ * Insert text chunks right after IHDR
+ */
+function withMetadata(png, metadata = {}) {
+  const chunks = [buildTextChunk('Software', 'Sentry Studio')];
+  for (const [field, keyword] of Object.entries(PNG_KEYWORDS)) {
+    const value = metadata[field];
+    if (typeof value === 'string' && value) chunks.push(buildTextChunk(keyword, value.slice(0, MAX_TEXT_LENGTH)));
+  }
+  return Buffer.concat([png.subarray(0, IHDR_END), ...chunks, png.subarray(IHDR_END)]);
+}
+
+/**
+ * Register still export IPC handlers
+ */
+function registerStillsIpc() {
+  ipcMain.handle('stills:save', async (_event, filePath, bytes, metadata) => {
+    try {
+      if (typeof filePath !== 'string' || !filePath) throw new Error('No output path');
+      const png = Buffer.from(bytes || []);
+      if (png.length <= IHDR_END || !png.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG image');
+
+      await fs.promises.writeFile(filePath, withMetadata(png, metadata));
+      console.log(`[STILLS] Saved ${filePath} (${png.length} bytes)`);
+      return { success: true, filePath };
+    } catch (err) {
+      console.error('[STILLS] Failed to save still:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = { registerStillsIpc };
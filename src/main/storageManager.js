@@ -0,0 +1,151 @@
+const { ipcMain, shell } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { indexTeslaCamFolderAsync, buildCollections } = require('./teslaCamIndex');
+
+// ============================================
+// STORAGE MANAGER
+// Disk usage of the opened TeslaCam folder per collection (RecentClips day,
+// Sentry/Saved event) with per-camera sizes, and batch removal of what the
+// storage view selects or its retention rules preview. Everything goes to the
+// system trash, never a permanent delete, and only paths inside the opened
+// folder are accepted.
+// ============================================
+
+const TYPE_BY_TAG = {
+  recentclips: 'recent',
+  sentryclips: 'sentry',
+  savedclips: 'saved'
+};
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size;
+  } catch {
+    return 0; // removed since indexing
+  }
+}
+
+/**
+ * Measure the opened folder, one entry per collection
+ * @param {string} rootPath - TeslaCam (or parent) folder
+ * @param {Function} onProgress - ({done, total}) while sizing files
+ * @returns {Promise<Array<{id, type, tag, day, eventId, folderPath, bytes, files, assets}>>}
+ *   files: [{path, camera, timestampKey, size}]; assets: event.json/png/mp4 [{path, size}];
+ *   folderPath: the Sentry/Saved event folder (null for RecentClips and custom folders)
+ */
+async function scanStorage(rootPath, onProgress) {
+  const index = await indexTeslaCamFolderAsync(rootPath);
+  const collections = buildCollections(index);
+  const total = index.groups.reduce((n, g) => n + Object.keys(g.filesByCamera).length, 0);
+  let done = 0;
+
+  const entries = [];
+  for (const coll of collections) {
+    const type = TYPE_BY_TAG[coll.tag.toLowerCase()] || 'other';
+    const files = [];
+    for (const g of coll.groups) {
+      for (const [camera, filePath] of Object.entries(g.filesByCamera)) {
+        files.push({ path: filePath, camera, timestampKey: g.timestampKey, size: await fileSize(filePath) });
+        onProgress({ done: ++done, total });
+      }
+    }
+
+    let folderPath = null;
+    const assets = [];
+    if (coll.eventId && (type === 'sentry' || type === 'saved')) {
+      const dir = path.dirname(files[0].path);
+      if (path.basename(dir) === coll.eventId) folderPath = dir;
+      const eventAssets = index.eventAssetsByKey.get(`${coll.tag}/${coll.eventId}`) || {};
+      for (const assetPath of Object.values(eventAssets)) assets.push({ path: assetPath, size: await fileSize(assetPath) });
+    }
+
+    entries.push({
+      id: coll.id,
+      type,
+      tag: coll.tag,
+      day: coll.day,
+      eventId: coll.eventId,
+      folderPath,
+      bytes: files.reduce((n, f) => n + f.size, 0) + assets.reduce((n, a) => n + a.size, 0),
+      files,
+      assets
+    });
+  }
+  return entries;
+}
+
+/**
+ * True when target is rootPath itself or outside it
+ */
+function isOutside(rootPath, target) {
+  const rel = path.relative(path.resolve(rootPath), path.resolve(target));
+  return !rel || rel.startsWith('..') || path.isAbsolute(rel);
+}
+
+/**
+ * Move files and event folders to the system trash, one at a time
+ * @param {string} rootPath - Opened folder; every path must be inside it
+ * @param {Array<string>} paths
+ * @param {Function} onProgress - ({done, total})
+ * @returns {Promise<{trashed: Array<string>, failed: Array<{path: string, error: string}>}>}
+ */
+async function trashPaths(rootPath, paths, onProgress) {
+  const trashed = [];
+  const failed = [];
+  for (let i = 0; i < paths.length; i++) {
+    const target = paths[i];
+    try {
+      if (isOutside(rootPath, target)) throw new Error('Not inside the opened folder');
+      if (!fs.existsSync(target)) throw new Error('No longer exists');
+      await shell.trashItem(target);
+      trashed.push(target);
+    } catch (err) {
+      failed.push({ path: target, error: err.message });
+    }
+    onProgress({ done: i + 1, total: paths.length });
+  }
+  return { trashed, failed };
+}
+
+/**
+ * Register storage manager IPC handlers
+ */
+function registerStorageManagerIpc() {
+  ipcMain.handle('storage:scan', async (event, rootPath) => {
+    try {
+      if (typeof rootPath !== 'string' || !rootPath) throw new Error('No folder open');
+      let lastSent = 0;
+      const entries = await scanStorage(rootPath, ({ done, total }) => {
+        const now = Date.now();
+        if (done === total || now - lastSent > 200) {
+          lastSent = now;
+          if (!event.sender.isDestroyed()) event.sender.send('storage:progress', { phase: 'scan', done, total });
+        }
+      });
+      console.log(`[STORAGE] Measured ${rootPath}: ${entries.length} collection(s)`);
+      return { success: true, entries };
+    } catch (err) {
+      console.error('[STORAGE] Scan failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('storage:trash', async (event, rootPath, paths) => {
+    try {
+      if (typeof rootPath !== 'string' || !rootPath) throw new Error('No folder open');
+      if (!Array.isArray(paths) || !paths.every(p => typeof p === 'string' && p)) throw new Error('Invalid paths');
+      const result = await trashPaths(rootPath, paths, ({ done, total }) => {
+        if (!event.sender.isDestroyed()) event.sender.send('storage:progress', { phase: 'trash', done, total });
+      });
+      console.log(`[STORAGE] Moved ${result.trashed.length} item(s) to trash, ${result.failed.length} failed`);
+      for (const f of result.failed) console.warn(`[STORAGE] Could not trash ${f.path}: ${f.error}`);
+      return { success: true, ...result };
+    } catch (err) {
+      console.error('[STORAGE] Trash failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = { scanStorage, registerStorageManagerIpc };
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeSei } = require('./telemetryExport');
+const { getGearText, getApText, getSpeedUnit, formatDisplayDate, formatDisplayTime } = require('../assGenerator');
+
+// ============================================
+// TELEMETRY SUBTITLE TRACK
+// Soft subtitles (SRT / WebVTT sidecars and an embedded mov_text stream) with the
+// time, speed, gear, Autopilot state and GPS position once per second. Unlike the
+// ASS overlays nothing is burned into the picture, so viewers can toggle the data
+// and the video frames stay unaltered.
+// ============================================
+
+const MPS_TO_MPH = 2.23694;
+const MPS_TO_KMH = 3.6;
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'embedded'];
+const SIDECAR_FORMATS = ['srt', 'vtt'];
+
+/**
+ * Closest SEI frame to a video time (seiData is sorted by timestampMs)
+ * @param {Array} seiData - [{ timestampMs, sei }]
+ * @param {number} videoTimeMs - Time from the start of the collection
+ * @returns {Object|null} SEI message
+ */
+function findSeiAt(seiData, videoTimeMs) {
+  let lo = 0;
+  let hi = seiData.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (seiData[mid].timestampMs < videoTimeMs) lo = mid + 1;
+    else hi = mid;
+  }
+  const prev = seiData[lo - 1];
+  const best = prev && Math.abs(prev.timestampMs - videoTimeMs) < Math.abs(seiData[lo].timestampMs - videoTimeMs) ? prev : seiData[lo];
+  return best?.sei || null;
+}
+
+/**
+ * Wall-clock time for a video time, from the segment the time falls in
+ * @param {Array} segments - Export segments ({ timestamp, durationSec, startSec })
+ * @param {number} videoTimeMs - Time from the start of the collection
+ * @returns {number|null} Epoch ms
+ */
+function videoTimeToEpochMs(segments, videoTimeMs) {
+  for (const seg of segments || []) {
+    const segStart = (seg.startSec || 0) * 1000;
+    const segEnd = segStart + (seg.durationSec || 60) * 1000;
+    if (videoTimeMs >= segStart && videoTimeMs < segEnd) {
+      return seg.timestamp ? seg.timestamp + (videoTimeMs - segStart) : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * One cue per second of source video (per output second for time-lapse exports)
+ * @param {Array} seiData - [{ timestampMs, sei }] sorted by timestampMs
+ * @param {number} startTimeMs - Export start (video time)
+ * @param {number} endTimeMs - Export end (video time)
+ * @param {Object} options - { segments, useMetric, dateFormat, timeFormat, language, speed }
+ * @returns {Array<{start: number, end: number, lines: Array<string>}>} Cue times in output ms
+ */
+function buildTelemetryCues(seiData, startTimeMs, endTimeMs, options = {}) {
+  const { segments = [], useMetric = false, dateFormat = 'ymd', timeFormat = '24h', language = 'en', speed = 1 } = options;
+  if (!seiData?.length || !(endTimeMs > startTimeMs)) return [];
+
+  const stepMs = 1000 * Math.max(1, speed);
+  const cues = [];
+  for (let t = startTimeMs; t < endTimeMs; t += stepMs) {
+    const sei = findSeiAt(seiData, t);
+    if (!sei) continue;
+    const raw = (camel, snake) => Number(sei[camel] ?? sei[snake] ?? 0);
+    const v = normalizeSei(sei);
+
+    const lines = [];
+    const epochMs = videoTimeToEpochMs(segments, t);
+    if (epochMs) lines.push(`${formatDisplayDate(epochMs, dateFormat)} ${formatDisplayTime(epochMs, timeFormat)}`);
+    const speedValue = Math.round(v.speedMps * (useMetric ? MPS_TO_KMH : MPS_TO_MPH));
+    lines.push([
+      `${speedValue} ${getSpeedUnit(useMetric, language)}`,
+      getGearText(raw('gearState', 'gear_state'), language),
+      getApText(raw('autopilotState', 'autopilot_state'), language)
+    ].join(' · '));
+    if (v.hasGps) lines.push(`${v.lat.toFixed(6)}, ${v.lon.toFixed(6)}`);
+
+    cues.push({
+      start: Math.round((t - startTimeMs) / speed),
+      end: Math.round((Math.min(t + stepMs, endTimeMs) - startTimeMs) / speed),
+      lines
+    });
+  }
+  return cues;
+}
+
+/**
+ * Format ms as a subtitle timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT)
+ */
+function formatCueTime(ms, separator) {
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * @param {Array} cues - From buildTelemetryCues
+ * @returns {string} SRT document
+ */
+function buildSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+  ).join('\n');
+}
+
+/**
+ * @param {Array} cues - From buildTelemetryCues
+ * @returns {string} WebVTT document
+ */
+function buildWebVtt(cues) {
+  // "-->" can't appear in cue text; none of the telemetry lines contain it
+  return 'WEBVTT\n\n' + cues.map(cue =>
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.lines.join('\n')}\n`
+  ).join('\n');
+}
+
+/**
+ * Write the SRT used as the input for the embedded mov_text stream
+ * @param {string} exportId - Export ID for a unique filename
+ * @param {Array} cues - From buildTelemetryCues
+ * @returns {Promise<string>} Temp file path
+ */
+async function writeEmbeddedSubtitleInput(exportId, cues) {
+  const tempPath = path.join(os.tmpdir(), `telemetry_${exportId}_${Date.now()}.srt`);
+  await fs.promises.writeFile(tempPath, buildSrt(cues), 'utf8');
+  return tempPath;
+}
+
+/**
+ * Write SRT/WebVTT sidecars next to an exported video (same name, .srt / .vtt)
+ * @param {string} videoPath - Exported video
+ * @param {Array} cues - From buildTelemetryCues
+ * @param {Array<string>} formats - Requested subtitle formats
+ * @returns {Array<string>} Paths of the written files
+ */
+function writeSubtitleSidecars(videoPath, cues, formats) {
+  const stem = videoPath.replace(/\.[^./\\]*$/, '');
+  const written = [];
+  for (const format of formats.filter(f => SIDECAR_FORMATS.includes(f))) {
+    const filePath = `${stem}.${format}`;
+    fs.writeFileSync(filePath, format === 'srt' ? buildSrt(cues) : buildWebVtt(cues), 'utf8');
+    written.push(filePath);
+  }
+  return written;
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  SIDECAR_FORMATS,
+  findSeiAt,
+  buildTelemetryCues,
+  buildSrt,
+  buildWebVtt,
+  writeEmbeddedSubtitleInput,
+  writeSubtitleSidecars
+};
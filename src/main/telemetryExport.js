@@ -0,0 +1,294 @@
+const { ipcMain } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { getSeiValue } = require('../assGenerator');
+
+// ============================================
+// TELEMETRY DATA EXPORT (CSV / GPX / KML)
+// Writes decoded SEI frames to analysis-friendly formats without re-encoding video
+// ============================================
+
+const MPS_TO_MPH = 2.23694;
+const MPS_TO_KMH = 3.6;
+const GRAVITY = 9.81;
+
+const GEAR_LABELS = { 0: 'P', 1: 'D', 2: 'R', 3: 'N' };
+const AUTOPILOT_LABELS = { 0: 'NONE', 1: 'SELF_DRIVING', 2: 'AUTOSTEER', 3: 'TACC' };
+
+const TELEMETRY_FORMATS = ['csv', 'gpx', 'kml'];
+
+// Namespace of the per-point speed/course extension written to GPX
+const GPX_TPX_NS = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+
+const CSV_COLUMNS = [
+  'local_time', 'epoch_ms', 'offset_sec', 'segment', 'clip', 'frame_seq_no',
+  'speed_mps', 'speed_mph', 'speed_kmh', 'gear', 'steering_angle_deg',
+  'accelerator_pct', 'brake_applied', 'blinker_left', 'blinker_right', 'autopilot',
+  'latitude', 'longitude', 'heading_deg',
+  'accel_x_mps2', 'accel_y_mps2', 'accel_z_mps2', 'g_lateral', 'g_longitudinal'
+];
+
+/**
+ * Convert a protobuf numeric field to a plain number.
+ * uint64 fields (frame_seq_no) can arrive as a cloned Long ({ low, high }).
+ */
+function toNumber(value) {
+  if (value == null) return null;
+  if (typeof value === 'object' && 'low' in value && 'high' in value) {
+    return (value.high >>> 0) * 4294967296 + (value.low >>> 0);
+  }
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Normalize a raw SEI message into the flat field set used by every writer
+ * @param {Object} sei - SEI message (camelCase or snake_case)
+ * @returns {Object} Normalized telemetry values
+ */
+function normalizeSei(sei) {
+  const speedMps = toNumber(getSeiValue(sei, 'vehicleSpeedMps', 'vehicle_speed_mps')) ?? 0;
+  const gear = toNumber(getSeiValue(sei, 'gearState', 'gear_state'));
+  const apState = toNumber(getSeiValue(sei, 'autopilotState', 'autopilot_state'));
+  let accelPos = toNumber(getSeiValue(sei, 'acceleratorPedalPosition', 'accelerator_pedal_position')) ?? 0;
+  // Pedal position is reported as 0-1 on some firmware and 0-100 on others
+  if (accelPos <= 1) accelPos *= 100;
+
+  const lat = toNumber(getSeiValue(sei, 'latitudeDeg', 'latitude_deg'));
+  const lon = toNumber(getSeiValue(sei, 'longitudeDeg', 'longitude_deg'));
+  const hasGps = lat !== null && lon !== null && !(lat === 0 && lon === 0) &&
+    Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+  const accX = toNumber(getSeiValue(sei, 'linearAccelerationMps2X', 'linear_acceleration_mps2_x')) ?? 0;
+  const accY = toNumber(getSeiValue(sei, 'linearAccelerationMps2Y', 'linear_acceleration_mps2_y')) ?? 0;
+  const accZ = toNumber(getSeiValue(sei, 'linearAccelerationMps2Z', 'linear_acceleration_mps2_z')) ?? 0;
+
+  return {
+    frameSeqNo: toNumber(getSeiValue(sei, 'frameSeqNo', 'frame_seq_no')),
+    speedMps,
+    // proto3 omits default values, so a missing gear/autopilot field means PARK/NONE
+    gear: GEAR_LABELS[gear ?? 0] ?? '',
+    steeringAngle: toNumber(getSeiValue(sei, 'steeringWheelAngle', 'steering_wheel_angle')) ?? 0,
+    acceleratorPct: accelPos,
+    brakeApplied: !!getSeiValue(sei, 'brakeApplied', 'brake_applied'),
+    blinkerLeft: !!getSeiValue(sei, 'blinkerOnLeft', 'blinker_on_left'),
+    blinkerRight: !!getSeiValue(sei, 'blinkerOnRight', 'blinker_on_right'),
+    autopilot: AUTOPILOT_LABELS[apState] ?? 'NONE',
+    hasGps,
+    lat: hasGps ? lat : null,
+    lon: hasGps ? lon : null,
+    heading: toNumber(getSeiValue(sei, 'headingDeg', 'heading_deg')),
+    accX, accY, accZ
+  };
+}
+
+/**
+ * Format epoch ms as local wall-clock time (clip filenames are in vehicle local time)
+ * @param {number} epochMs - Epoch milliseconds
+ * @returns {string} "YYYY-MM-DD HH:MM:SS.mmm"
+ */
+function formatLocalTime(epochMs) {
+  if (!Number.isFinite(epochMs)) return '';
+  const d = new Date(epochMs);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+function csvEscape(value) {
+  const s = String(value ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function xmlEscape(value) {
+  return String(value ?? '').replace(/[<>&'"]/g, (c) => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  }[c]));
+}
+
+function round(value, digits) {
+  return value === null || value === undefined ? '' : Number(value.toFixed(digits));
+}
+
+/**
+ * Build a CSV document with one row per SEI frame
+ * @param {Array} frames - Array of { epochMs, timestampMs, segment, clip, sei }
+ * @returns {string} CSV content
+ */
+function buildTelemetryCsv(frames) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const frame of frames) {
+    const v = normalizeSei(frame.sei);
+    lines.push([
+      formatLocalTime(frame.epochMs),
+      Number.isFinite(frame.epochMs) ? Math.round(frame.epochMs) : '',
+      round(frame.timestampMs / 1000, 3),
+      frame.segment ?? '',
+      csvEscape(frame.clip),
+      v.frameSeqNo ?? '',
+      round(v.speedMps, 3),
+      round(v.speedMps * MPS_TO_MPH, 2),
+      round(v.speedMps * MPS_TO_KMH, 2),
+      v.gear,
+      round(v.steeringAngle, 1),
+      round(v.acceleratorPct, 1),
+      v.brakeApplied ? 1 : 0,
+      v.blinkerLeft ? 1 : 0,
+      v.blinkerRight ? 1 : 0,
+      v.autopilot,
+      round(v.lat, 7),
+      round(v.lon, 7),
+      round(v.heading, 1),
+      round(v.accX, 3),
+      round(v.accY, 3),
+      round(v.accZ, 3),
+      round(v.accX / GRAVITY, 3),
+      round(v.accY / GRAVITY, 3)
+    ].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a GPX 1.1 track from the GPS-bearing frames
+ * @param {Array} frames - Array of { epochMs, sei }
+ * @param {string} name - Track name
+ * @returns {string} GPX content
+ */
+function buildTelemetryGpx(frames, name) {
+  const points = [];
+  for (const frame of frames) {
+    const v = normalizeSei(frame.sei);
+    if (!v.hasGps) continue;
+    points.push(
+      `      <trkpt lat="${v.lat.toFixed(7)}" lon="${v.lon.toFixed(7)}">\n` +
+      (Number.isFinite(frame.epochMs) ? `        <time>${new Date(frame.epochMs).toISOString()}</time>\n` : '') +
+      // GPX 1.1 has no speed/course elements; Garmin's TrackPointExtension v2 is what most tools read
+      '        <extensions>\n' +
+      '          <gpxtpx:TrackPointExtension>\n' +
+      `            <gpxtpx:speed>${v.speedMps.toFixed(3)}</gpxtpx:speed>\n` +
+      (v.heading !== null ? `            <gpxtpx:course>${v.heading.toFixed(1)}</gpxtpx:course>\n` : '') +
+      '          </gpxtpx:TrackPointExtension>\n' +
+      '        </extensions>\n' +
+      '      </trkpt>'
+    );
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Sentry Studio" xmlns="http://www.topografix.com/GPX/1/1"\n' +
+    `     xmlns:gpxtpx="${GPX_TPX_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n` +
+    `     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd ${GPX_TPX_NS} http://www.garmin.com/xmlschemas/TrackPointExtensionv2.xsd">\n` +
+    `  <metadata><name>${xmlEscape(name)}</name></metadata>\n` +
+    '  <trk>\n' +
+    `    <name>${xmlEscape(name)}</name>\n` +
+    '    <trkseg>\n' +
+    points.join('\n') + (points.length ? '\n' : '') +
+    '    </trkseg>\n' +
+    '  </trk>\n' +
+    '</gpx>\n';
+}
+
+/**
+ * Build a KML document with a timestamped gx:Track and a plain LineString route
+ * @param {Array} frames - Array of { epochMs, sei }
+ * @param {string} name - Document name
+ * @returns {string} KML content
+ */
+function buildTelemetryKml(frames, name) {
+  const whens = [];
+  const trackCoords = [];
+  const coords = [];
+  for (const frame of frames) {
+    const v = normalizeSei(frame.sei);
+    if (!v.hasGps) continue;
+    const coord = `${v.lon.toFixed(7)} ${v.lat.toFixed(7)} 0`;
+    coords.push(coord);
+    // gx:Track needs one <when> per <gx:coord>, so only timed points go into it
+    if (Number.isFinite(frame.epochMs)) {
+      whens.push(`        <when>${new Date(frame.epochMs).toISOString()}</when>`);
+      trackCoords.push(coord);
+    }
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+    '  <Document>\n' +
+    `    <name>${xmlEscape(name)}</name>\n` +
+    '    <Style id="route"><LineStyle><color>ffff4800</color><width>4</width></LineStyle></Style>\n' +
+    '    <Placemark>\n' +
+    `      <name>${xmlEscape(name)}</name>\n` +
+    '      <styleUrl>#route</styleUrl>\n' +
+    '      <gx:Track>\n' +
+    whens.join('\n') + (whens.length ? '\n' : '') +
+    trackCoords.map(c => `        <gx:coord>${c}</gx:coord>`).join('\n') + (trackCoords.length ? '\n' : '') +
+    '      </gx:Track>\n' +
+    '    </Placemark>\n' +
+    '    <Placemark>\n' +
+    `      <name>${xmlEscape(name)} (route)</name>\n` +
+    '      <styleUrl>#route</styleUrl>\n' +
+    '      <LineString>\n' +
+    '        <tessellate>1</tessellate>\n' +
+    `        <coordinates>${coords.map(c => c.split(' ').join(',')).join(' ')}</coordinates>\n` +
+    '      </LineString>\n' +
+    '    </Placemark>\n' +
+    '  </Document>\n' +
+    '</kml>\n';
+}
+
+/**
+ * Write telemetry files next to each other using a shared base path
+ * @param {string} basePath - Output path (extension is replaced per format)
+ * @param {Array} frames - Array of { epochMs, timestampMs, segment, clip, sei }
+ * @param {Array<string>} formats - Any of 'csv', 'gpx', 'kml'
+ * @param {string} [name] - Track/document name for GPX and KML
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+async function writeTelemetryFiles(basePath, frames, formats, name) {
+  const dir = path.dirname(basePath);
+  const stem = path.basename(basePath, path.extname(basePath));
+  const title = name || stem;
+  const written = [];
+
+  for (const format of formats) {
+    if (!TELEMETRY_FORMATS.includes(format)) continue;
+    let content;
+    if (format === 'csv') content = buildTelemetryCsv(frames);
+    else if (format === 'gpx') content = buildTelemetryGpx(frames, title);
+    else content = buildTelemetryKml(frames, title);
+
+    const filePath = path.join(dir, `${stem}.${format}`);
+    await fs.promises.writeFile(filePath, content, 'utf8');
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+function registerTelemetryExportIpc() {
+  ipcMain.handle('telemetry:export', async (_event, outputPath, frames, options = {}) => {
+    try {
+      if (!outputPath) throw new Error('No output path');
+      if (!Array.isArray(frames) || frames.length === 0) throw new Error('No telemetry frames to export');
+      const formats = (options.formats || TELEMETRY_FORMATS).filter(f => TELEMETRY_FORMATS.includes(f));
+      if (formats.length === 0) throw new Error('No telemetry format selected');
+
+      const files = await writeTelemetryFiles(outputPath, frames, formats, options.name);
+      const gpsPoints = frames.filter(f => normalizeSei(f.sei).hasGps).length;
+      console.log(`[TELEMETRY] Wrote ${frames.length} frames (${gpsPoints} with GPS) to ${files.join(', ')}`);
+      return { success: true, files, frameCount: frames.length, gpsPoints };
+    } catch (err) {
+      console.error('[TELEMETRY] Export failed:', err);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  TELEMETRY_FORMATS,
+  normalizeSei,
+  buildTelemetryCsv,
+  buildTelemetryGpx,
+  buildTelemetryKml,
+  writeTelemetryFiles,
+  registerTelemetryExportIpc
+};
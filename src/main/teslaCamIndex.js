@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseTeslaCamPath, parseClipFilename, normalizeCamera, takesCameraSlot, parseTimestampKeyToEpochMs,
+  getEventId, getEventAssetKind, getCollectionKey
+} = require('../renderer/scripts/core/teslaCamPaths.mjs');
+
+// ============================================
+// TESLACAM FOLDER INDEX (main process)
+// Walks a folder on disk for the headless CLI export and for main-process
+// tools that work on files (web gallery, clip integrity, storage manager).
+// IPC handlers use indexTeslaCamFolderAsync so the walk doesn't block the
+// main process. Folder, event and filename rules come from the renderer's
+// core/teslaCamPaths.mjs, so both indexes always agree.
+// ============================================
+
+/**
+ * Record a clip for its camera; a repaired copy (clipIntegrity.js) replaces the broken original
+ * @param {Object} filesByCamera - camera -> file path
+ * @param {{camera: string, repaired: boolean}} parsed - From parseClipFilename
+ * @param {string} filePath
+ */
+function setCameraFile(filesByCamera, parsed, filePath) {
+  if (takesCameraSlot(parsed, filesByCamera[parsed.camera])) filesByCamera[parsed.camera] = filePath;
+}
+
+/**
+ * Recursively list files under a folder (skips unreadable directories)
+ * @param {string} dir - Directory to walk
+ * @param {Array<string>} out - Accumulator of absolute file paths
+ * @returns {Array<string>}
+ */
+function walkFiles(dir, out = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    console.warn(`[INDEX] Cannot read ${dir}: ${err.message}`);
+    return out;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walkFiles(full, out);
+    else if (entry.isFile()) out.push(full);
+  }
+  return out;
+}
+
+/**
+ * walkFiles without blocking the event loop (large cards hold thousands of clips)
+ * @param {string} dir - Directory to walk
+ * @param {Array<string>} out - Accumulator of absolute file paths
+ * @returns {Promise<Array<string>>}
+ */
+async function walkFilesAsync(dir, out = []) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    console.warn(`[INDEX] Cannot read ${dir}: ${err.message}`);
+    return out;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) await walkFilesAsync(full, out);
+    else if (entry.isFile()) out.push(full);
+  }
+  return out;
+}
+
+/**
+ * Group walked files into clip groups (one group per timestamp, files keyed by camera)
+ * @param {string} rootPath - TeslaCam (or parent) folder
+ * @param {Array<string>} filePaths - Absolute paths under rootPath
+ * @returns {{groups: Array, eventAssetsByKey: Map}}
+ */
+function indexFiles(rootPath, filePaths) {
+  const groups = new Map();
+  const eventAssetsByKey = new Map();
+  const rootName = path.basename(rootPath);
+
+  for (const filePath of filePaths) {
+    const relPath = `${rootName}/${path.relative(rootPath, filePath)}`;
+    const { tag, rest } = parseTeslaCamPath(relPath);
+    const filename = rest[rest.length - 1] || path.basename(filePath);
+
+    const assetKind = getEventAssetKind(tag, rest, filename);
+    if (assetKind) {
+      const key = `${tag}/${rest[0]}`;
+      if (!eventAssetsByKey.has(key)) eventAssetsByKey.set(key, {});
+      eventAssetsByKey.get(key)[`${assetKind}Path`] = filePath;
+      continue;
+    }
+
+    const parsed = parseClipFilename(filename);
+    if (!parsed) continue;
+
+    const eventId = getEventId(tag, rest);
+    const groupId = `${tag}/${eventId ? eventId + '/' : ''}${parsed.timestampKey}`;
+    if (!groups.has(groupId)) {
+      groups.set(groupId, {
+        id: groupId,
+        tag,
+        eventId,
+        timestampKey: parsed.timestampKey,
+        filesByCamera: {}
+      });
+    }
+    setCameraFile(groups.get(groupId).filesByCamera, parsed, filePath);
+  }
+
+  return { groups: Array.from(groups.values()), eventAssetsByKey };
+}
+
+/**
+ * Index a TeslaCam folder into clip groups (one group per timestamp, files keyed by camera)
+ * @param {string} rootPath - TeslaCam (or parent) folder
+ * @returns {{groups: Array, eventAssetsByKey: Map}}
+ */
+function indexTeslaCamFolder(rootPath) {
+  return indexFiles(rootPath, walkFiles(rootPath));
+}
+
+/**
+ * indexTeslaCamFolder for IPC handlers
+ * @param {string} rootPath - TeslaCam (or parent) folder
+ * @returns {Promise<{groups: Array, eventAssetsByKey: Map}>}
+ */
+async function indexTeslaCamFolderAsync(rootPath) {
+  return indexFiles(rootPath, await walkFilesAsync(rootPath));
+}
+
+/**
+ * Build exportable collections (one per Sentry/Saved event, one per RecentClips day)
+ * @param {{groups: Array, eventAssetsByKey: Map}} index - Result of indexTeslaCamFolder
+ * @returns {Array<{id: string, tag: string, eventId: string|null, day: string, groups: Array, eventJsonPath: string|null}>}
+ */
+function buildCollections(index) {
+  const byId = new Map();
+  for (const g of index.groups) {
+    const { id, day } = getCollectionKey(g);
+
+    if (!byId.has(id)) {
+      const assets = g.eventId ? index.eventAssetsByKey.get(`${g.tag}/${g.eventId}`) : null;
+      byId.set(id, { id, tag: g.tag, eventId: g.eventId, day, groups: [], eventJsonPath: assets?.jsonPath || null });
+    }
+    byId.get(id).groups.push(g);
+  }
+
+  const collections = Array.from(byId.values());
+  for (const coll of collections) {
+    coll.groups.sort((a, b) => a.timestampKey.localeCompare(b.timestampKey));
+  }
+  collections.sort((a, b) => a.id.localeCompare(b.id));
+  return collections;
+}
+
+module.exports = {
+  parseTeslaCamPath,
+  parseClipFilename,
+  setCameraFile,
+  normalizeCamera,
+  parseTimestampKeyToEpochMs,
+  indexTeslaCamFolder,
+  indexTeslaCamFolderAsync,
+  buildCollections
+};
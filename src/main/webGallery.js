@@ -0,0 +1,678 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseClipFilename, setCameraFile, parseTimestampKeyToEpochMs } = require('./teslaCamIndex');
+const { readSeiFromFile } = require('./seiReader');
+const { probeDurationSec, formatBytes } = require('./ffmpeg');
+
+// ============================================
+// WEB GALLERY EXPORT
+// Turns selected Sentry/Saved events into a folder that opens in any browser
+// without this app or a network: every camera rendered to its own MP4 with
+// performVideoExport, a thumbnail, the event.json, a route map and an
+// index.html with a synchronized multi-camera viewer.
+// ============================================
+
+const CAMERA_ORDER = ['left_pillar', 'front', 'right_pillar', 'left_repeater', 'back', 'right_repeater'];
+const CAMERA_LABELS = {
+  front: 'Front', back: 'Back', left_repeater: 'Left Repeater', right_repeater: 'Right Repeater',
+  left_pillar: 'Left Pillar', right_pillar: 'Right Pillar'
+};
+// Share of the progress bar spent rendering clips; the rest is thumbnails, maps and the page
+const RENDER_PROGRESS_SHARE = 95;
+const THUMB_WIDTH = 480;
+const MAX_ROUTE_POINTS = 400;
+const ROUTE_SIZE = { width: 640, height: 400, pad: 28 };
+
+// Text used in the generated page; the renderer sends translated labels
+const DEFAULT_LABELS = {
+  title: 'Sentry Studio Gallery',
+  events: '{count} event(s)',
+  created: 'Created {date}',
+  allEvents: 'All events',
+  previous: 'Previous event',
+  next: 'Next event',
+  play: 'Play / pause',
+  jumpToEvent: 'Jump to event',
+  sentry: 'Sentry',
+  saved: 'Saved',
+  type: 'Type',
+  date: 'Date',
+  reason: 'Reason',
+  location: 'Location',
+  coordinates: 'Coordinates',
+  camera: 'Trigger camera',
+  duration: 'Duration',
+  distance: 'Distance',
+  route: 'Route',
+  openMap: 'Open in OpenStreetMap',
+  eventJson: 'Download event.json',
+  noRoute: 'No GPS data in these clips'
+};
+
+// exportId -> { cancelled, clipExportId }
+const activeGalleries = new Map();
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function folderSize(dir) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    total += entry.isDirectory() ? folderSize(full) : fs.statSync(full).size;
+  }
+  return total;
+}
+
+/**
+ * Group an event folder's clips by timestamp, in the segment shape performVideoExport expects
+ * @param {string} folderPath - SentryClips/SavedClips event folder
+ * @param {Array<string>} cameras - Cameras to export
+ * @param {string} ffmpegPath - FFmpeg binary (for clip durations)
+ * @returns {Array<{index, durationSec, startSec, files, timestamp, telemetryPath}>}
+ */
+function readEventSegments(folderPath, cameras, ffmpegPath) {
+  const byKey = new Map();
+  for (const name of fs.readdirSync(folderPath)) {
+    const parsed = parseClipFilename(name);
+    if (!parsed) continue;
+    if (!byKey.has(parsed.timestampKey)) byKey.set(parsed.timestampKey, {});
+    setCameraFile(byKey.get(parsed.timestampKey), parsed, path.join(folderPath, name));
+  }
+
+  const segments = [];
+  let cumSec = 0;
+  for (const key of Array.from(byKey.keys()).sort()) {
+    const filesByCamera = byKey.get(key);
+    const files = {};
+    for (const camera of cameras) {
+      if (filesByCamera[camera]) files[camera] = filesByCamera[camera];
+    }
+    const telemetryPath = filesByCamera.front || Object.values(filesByCamera)[0];
+    const durationSec = probeDurationSec(ffmpegPath, telemetryPath);
+    segments.push({
+      index: segments.length,
+      durationSec,
+      startSec: cumSec,
+      files,
+      timestamp: parseTimestampKeyToEpochMs(key),
+      telemetryPath
+    });
+    cumSec += durationSec;
+  }
+  return segments;
+}
+
+/**
+ * Export range of an event: the whole event, or a window around the event.json trigger
+ * @param {Array} segments - From readEventSegments
+ * @param {number|null} triggerEpochMs - event.json timestamp
+ * @param {{beforeSec: number, afterSec: number}|null} trim - Window around the trigger
+ * @returns {{startTimeMs: number, endTimeMs: number, triggerMs: number|null}} Collection time
+ */
+function getEventRange(segments, triggerEpochMs, trim) {
+  const totalMs = segments.reduce((sum, seg) => sum + seg.durationSec * 1000, 0);
+  const seg = Number.isFinite(triggerEpochMs)
+    ? segments.find(s => s.timestamp != null && triggerEpochMs >= s.timestamp && triggerEpochMs < s.timestamp + s.durationSec * 1000)
+    : null;
+  const triggerMs = seg ? seg.startSec * 1000 + (triggerEpochMs - seg.timestamp) : null;
+
+  if (!trim || triggerMs == null) return { startTimeMs: 0, endTimeMs: totalMs, triggerMs };
+  return {
+    startTimeMs: Math.max(0, triggerMs - trim.beforeSec * 1000),
+    endTimeMs: Math.min(totalMs, triggerMs + trim.afterSec * 1000),
+    triggerMs
+  };
+}
+
+/**
+ * GPS points of the range from each segment's SEI telemetry
+ * @returns {Promise<Array<[number, number]>>} [lat, lon] pairs
+ */
+async function readRoute(segments, startTimeMs, endTimeMs, gallery) {
+  const points = [];
+  for (const seg of segments) {
+    if (gallery.cancelled) throw new Error('Export cancelled');
+    const segStartMs = seg.startSec * 1000;
+    if (segStartMs + seg.durationSec * 1000 <= startTimeMs || segStartMs >= endTimeMs) continue;
+    try {
+      for (const frame of await readSeiFromFile(seg.telemetryPath)) {
+        const timeMs = segStartMs + frame.timestampMs;
+        if (timeMs < startTimeMs || timeMs > endTimeMs) continue;
+        const lat = frame.sei.latitude_deg, lon = frame.sei.longitude_deg;
+        if (Number.isFinite(lat) && Number.isFinite(lon) && !(Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001)) {
+          points.push([lat, lon]);
+        }
+      }
+    } catch (err) {
+      console.warn(`[GALLERY] Failed to read SEI from ${seg.telemetryPath}: ${err.message}`);
+    }
+  }
+  return points;
+}
+
+function routeDistanceKm(points) {
+  const rad = Math.PI / 180;
+  let km = 0;
+  for (let i = 1; i < points.length; i++) {
+    const [lat1, lon1] = points[i - 1];
+    const [lat2, lon2] = points[i];
+    const a = Math.sin((lat2 - lat1) * rad / 2) ** 2
+      + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lon2 - lon1) * rad / 2) ** 2;
+    km += 12742 * Math.asin(Math.sqrt(a));
+  }
+  return km;
+}
+
+/**
+ * Route map as a standalone SVG (no map tiles, so it works offline): the track with start
+ * and end dots, plus the event.json location when known
+ * @param {Array<[number, number]>} points - Route [lat, lon]
+ * @param {[number, number]|null} marker - Event location
+ * @returns {string}
+ */
+function buildRouteSvg(points, marker) {
+  const step = Math.max(1, Math.ceil(points.length / MAX_ROUTE_POINTS));
+  const track = points.filter((_, i) => i % step === 0 || i === points.length - 1);
+  const all = marker ? [...track, marker] : track;
+
+  const { width, height, pad } = ROUTE_SIZE;
+  const lats = all.map(p => p[0]);
+  const kx = Math.cos(((Math.min(...lats) + Math.max(...lats)) / 2) * Math.PI / 180);
+  const xs = all.map(p => p[1] * kx);
+  const ys = all.map(p => -p[0]);
+  const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+  // Keep a stationary car (or a lone marker) from zooming in to nothing
+  const spanX = Math.max(Math.max(...xs) - Math.min(...xs), 0.002);
+  const spanY = Math.max(Math.max(...ys) - Math.min(...ys), 0.002);
+  const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY);
+  const project = ([lat, lon]) => [
+    (width / 2 + (lon * kx - centerX) * scale).toFixed(1),
+    (height / 2 + (-lat - centerY) * scale).toFixed(1)
+  ];
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" rx="10" fill="#161a22"/>`
+  ];
+  if (track.length >= 2) {
+    parts.push(`<polyline points="${track.map(p => project(p).join(',')).join(' ')}" fill="none" stroke="#3b82f6" stroke-width="4" stroke-linejoin="round" stroke-linecap="round"/>`);
+    const [sx, sy] = project(track[0]);
+    const [ex, ey] = project(track[track.length - 1]);
+    parts.push(`<circle cx="${sx}" cy="${sy}" r="6" fill="#22c55e" stroke="#fff" stroke-width="2"/>`);
+    parts.push(`<circle cx="${ex}" cy="${ey}" r="6" fill="#ef4444" stroke="#fff" stroke-width="2"/>`);
+  }
+  if (marker) {
+    const [mx, my] = project(marker);
+    parts.push(`<circle cx="${mx}" cy="${my}" r="8" fill="#f59e0b" stroke="#fff" stroke-width="2"/>`);
+  }
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Grab one frame of a rendered clip as a JPEG thumbnail
+ * @returns {boolean} Whether the thumbnail was written
+ */
+function writeThumbnail(ffmpegPath, videoPath, offsetSec, thumbPath) {
+  const result = spawnSync(ffmpegPath, [
+    '-y', '-hide_banner', '-ss', offsetSec.toFixed(2), '-i', videoPath,
+    '-frames:v', '1', '-vf', `scale=${THUMB_WIDTH}:-2`, '-q:v', '4', thumbPath
+  ], { timeout: 30000, windowsHide: true });
+  return result.status === 0 && fs.existsSync(thumbPath);
+}
+
+/**
+ * Render one event into events/<id>/ and describe it for the page
+ * @returns {Promise<Object>} Gallery entry
+ */
+async function exportGalleryEvent({ ev, id, eventDir, index, total, exportData, ffmpegPath, outputPath, gallery, deps, sendProgress, labels }) {
+  const cameras = CAMERA_ORDER.filter(c => (exportData.cameras || CAMERA_ORDER).includes(c));
+  const segments = readEventSegments(ev.folderPath, cameras, ffmpegPath);
+  if (!segments.length) throw new Error('No clips in the event folder');
+  const { startTimeMs, endTimeMs, triggerMs } = getEventRange(segments, ev.meta?.epochMs, exportData.webGallery.trim);
+  const eventCameras = cameras.filter(c => segments.some(seg => seg.files[c]));
+  if (!eventCameras.length) throw new Error('None of the selected cameras recorded this event');
+  fs.mkdirSync(eventDir, { recursive: true });
+
+  const eventShare = RENDER_PROGRESS_SHARE / total;
+  const cameraShare = eventShare / eventCameras.length;
+  const rendered = [];
+
+  for (let c = 0; c < eventCameras.length; c++) {
+    if (gallery.cancelled) throw new Error('Export cancelled');
+    const camera = eventCameras[c];
+    const cameraLabel = labels.cameras?.[camera] || CAMERA_LABELS[camera];
+    const message = { key: 'ui.webGallery.rendering', params: { current: index + 1, total, camera: cameraLabel } };
+    const base = index * eventShare + c * cameraShare;
+    let clipFailure = null;
+
+    // Fold the clip's own progress into the gallery's overall progress
+    const clipEvent = {
+      sender: {
+        send: (_channel, _id, progress) => {
+          if (progress.type === 'progress') {
+            sendProgress(Math.round((base + (progress.percentage / 100) * cameraShare) * 10) / 10, message);
+          } else if (progress.type === 'complete' && !progress.success) {
+            clipFailure = progress.message;
+          }
+        }
+      }
+    };
+
+    gallery.clipExportId = `${gallery.exportId}_${index}_${camera}`;
+    sendProgress(Math.round(base * 10) / 10, message);
+    try {
+      await deps.performVideoExport(clipEvent, gallery.clipExportId, {
+        ...exportData,
+        webGallery: undefined,
+        segments,
+        startTimeMs,
+        endTimeMs,
+        outputPath: path.join(eventDir, `${camera}.mp4`),
+        cameras: [camera],
+        layoutData: null,
+        includeDashboard: false,
+        seiData: [],
+        includeMinimap: false,
+        mapPath: [],
+        includeTimestamp: false,
+        blurZones: [],
+        enableTimelapse: false,
+        subtitleFormats: [],
+        embedGpsTrack: false,
+        embedChapters: false,
+        chapters: []
+      }, ffmpegPath);
+      rendered.push({ id: camera, label: cameraLabel, src: `events/${id}/${camera}.mp4` });
+    } catch (err) {
+      if (gallery.cancelled) throw err;
+      console.warn(`[GALLERY] ${id}: ${camera} failed: ${typeof clipFailure === 'string' ? clipFailure : err.message}`);
+    } finally {
+      gallery.clipExportId = null;
+    }
+  }
+  if (!rendered.length) throw new Error('No camera could be rendered');
+
+  // Thumbnail at the trigger (or a second in), from the front camera when there is one
+  const durationSec = (endTimeMs - startTimeMs) / 1000;
+  const triggerSec = triggerMs != null && triggerMs >= startTimeMs && triggerMs <= endTimeMs ? (triggerMs - startTimeMs) / 1000 : null;
+  const thumbSource = rendered.find(r => r.id === 'front') || rendered[0];
+  const thumbOffset = Math.max(0, Math.min(durationSec - 0.5, triggerSec ?? Math.min(1, durationSec / 2)));
+  const hasThumb = writeThumbnail(ffmpegPath, path.join(outputPath, thumbSource.src), thumbOffset, path.join(eventDir, 'thumb.jpg'));
+
+  const eventJsonPath = path.join(ev.folderPath, 'event.json');
+  const hasEventJson = fs.existsSync(eventJsonPath);
+  if (hasEventJson) fs.copyFileSync(eventJsonPath, path.join(eventDir, 'event.json'));
+
+  const meta = ev.meta || {};
+  const marker = Number.isFinite(meta.lat) && Number.isFinite(meta.lon) ? [meta.lat, meta.lon] : null;
+  const route = await readRoute(segments, startTimeMs, endTimeMs, gallery);
+  const hasRoute = route.length >= 2;
+  if (hasRoute) fs.writeFileSync(path.join(eventDir, 'route.svg'), buildRouteSvg(route, marker));
+  const distanceKm = hasRoute ? routeDistanceKm(route) : null;
+
+  const firstEpochMs = segments[0].timestamp;
+  return {
+    id,
+    type: ev.type,
+    eventId: ev.eventId,
+    epochMs: meta.epochMs ?? null,
+    startEpochMs: firstEpochMs != null ? firstEpochMs + startTimeMs : null,
+    reason: ev.reasonLabel || meta.reason || '',
+    street: meta.street || '',
+    city: meta.city || '',
+    lat: marker ? marker[0] : null,
+    lon: marker ? marker[1] : null,
+    camera: meta.camera ? (labels.cameras?.[meta.camera] || CAMERA_LABELS[meta.camera] || meta.camera) : '',
+    durationSec,
+    triggerSec,
+    distance: distanceKm == null ? ''
+      : exportData.useMetric ? `${distanceKm.toFixed(1)} km` : `${(distanceKm * 0.621371).toFixed(1)} mi`,
+    cameras: rendered,
+    thumb: hasThumb ? `events/${id}/thumb.jpg` : null,
+    route: hasRoute ? `events/${id}/route.svg` : null,
+    eventJson: hasEventJson ? `events/${id}/event.json` : null
+  };
+}
+
+/**
+ * The gallery page: event cards plus a viewer that keeps every camera of an event in sync
+ * (all data is inlined, since browsers block fetch() on file:// pages)
+ */
+function buildGalleryHtml({ title, labels, events, createdAt }) {
+  const data = JSON.stringify({ labels, events }).replace(/</g, '\\u003c');
+  const createdText = labels.created.replace('{date}', new Date(createdAt).toLocaleString());
+  const countText = labels.events.replace('{count}', events.length);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #0f1115; color: #e5e7eb; font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; }
+  a { color: #60a5fa; }
+  header { padding: 20px 24px 8px; }
+  h1 { margin: 0 0 4px; font-size: 22px; font-weight: 600; }
+  .muted { color: #9ca3af; }
+  #grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 16px; padding: 16px 24px 32px; }
+  .card { display: block; background: #181b22; border: 1px solid #262a33; border-radius: 10px; overflow: hidden; color: inherit; text-decoration: none; }
+  .card:hover, .card:focus { border-color: #3b82f6; outline: none; }
+  .thumb { position: relative; aspect-ratio: 16 / 10; background: #0b0d11; }
+  .thumb img { width: 100%; height: 100%; object-fit: cover; display: block; }
+  .badge { position: absolute; top: 8px; left: 8px; padding: 2px 8px; border-radius: 999px; font-size: 12px; font-weight: 600; color: #111; }
+  .badge.sentry { background: #ef4444; color: #fff; }
+  .badge.saved { background: #f59e0b; }
+  .card-body { padding: 10px 12px 12px; }
+  .card-title { font-weight: 600; }
+  .card-sub { color: #9ca3af; font-size: 13px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  #viewer { display: flex; flex-direction: column; height: 100vh; }
+  #viewer[hidden] { display: none; }
+  .viewer-bar { display: flex; align-items: center; gap: 12px; padding: 10px 16px; border-bottom: 1px solid #262a33; }
+  .viewer-title { flex: 1; font-weight: 600; }
+  button, select { background: #1f232b; color: inherit; border: 1px solid #333844; border-radius: 6px; padding: 5px 10px; font: inherit; cursor: pointer; }
+  button:hover { border-color: #3b82f6; }
+  .viewer-main { flex: 1; display: flex; min-height: 0; }
+  #cams { flex: 1; display: grid; gap: 4px; padding: 4px; align-content: center; grid-template-columns: repeat(var(--cols, 3), 1fr); min-width: 0; }
+  .cam { position: relative; background: #000; cursor: zoom-in; }
+  .cam video { width: 100%; display: block; }
+  .cam span { position: absolute; left: 6px; bottom: 6px; padding: 1px 6px; border-radius: 4px; background: rgba(0, 0, 0, .6); font-size: 12px; }
+  #cams.focused { grid-template-columns: 1fr; }
+  #cams.focused .cam { display: none; cursor: zoom-out; }
+  #cams.focused .cam.active { display: block; }
+  #cams.focused video { max-height: calc(100vh - 110px); object-fit: contain; }
+  .details { width: 320px; flex-shrink: 0; overflow-y: auto; padding: 12px 16px; border-left: 1px solid #262a33; }
+  .details dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 0 0 12px; }
+  .details dt { color: #9ca3af; }
+  .details dd { margin: 0; overflow-wrap: anywhere; }
+  .details img { width: 100%; border-radius: 8px; margin: 6px 0 10px; }
+  .controls { display: flex; align-items: center; gap: 10px; padding: 10px 16px; border-top: 1px solid #262a33; }
+  #seek { flex: 1; }
+  #time { font-variant-numeric: tabular-nums; min-width: 96px; text-align: right; }
+  @media (max-width: 800px) { .viewer-main { flex-direction: column; } .details { width: auto; border-left: 0; } #cams { --cols: 2 !important; } }
+</style>
+</head>
+<body>
+<div id="index">
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="muted">${escapeHtml(countText)} · ${escapeHtml(createdText)}</div>
+  </header>
+  <div id="grid"></div>
+</div>
+<section id="viewer" hidden>
+  <div class="viewer-bar">
+    <a href="#">&larr; ${escapeHtml(labels.allEvents)}</a>
+    <div class="viewer-title" id="viewerTitle"></div>
+    <button id="prevBtn" title="${escapeHtml(labels.previous)}">&lsaquo;</button>
+    <button id="nextBtn" title="${escapeHtml(labels.next)}">&rsaquo;</button>
+  </div>
+  <div class="viewer-main">
+    <div id="cams"></div>
+    <aside class="details" id="details"></aside>
+  </div>
+  <div class="controls">
+    <button id="playBtn" title="${escapeHtml(labels.play)}">&#9654;</button>
+    <input type="range" id="seek" min="0" max="1000" value="0">
+    <span id="time">0:00 / 0:00</span>
+    <select id="speed">
+      <option value="0.5">0.5&times;</option>
+      <option value="1" selected>1&times;</option>
+      <option value="2">2&times;</option>
+      <option value="4">4&times;</option>
+    </select>
+    <button id="triggerBtn">${escapeHtml(labels.jumpToEvent)}</button>
+  </div>
+</section>
+<script>
+var GALLERY = ${data};
+(function () {
+  var L = GALLERY.labels;
+  var events = GALLERY.events;
+  var $ = function (id) { return document.getElementById(id); };
+  var current = null, videos = [], master = null, syncTimer = null;
+
+  function esc(s) {
+    return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+  function when(ms) { return ms ? new Date(ms).toLocaleString() : ''; }
+  function clock(sec) {
+    sec = Math.max(0, Math.floor(sec || 0));
+    var m = Math.floor(sec / 60), s = sec % 60;
+    return m + ':' + (s < 10 ? '0' : '') + s;
+  }
+  function place(ev) { return [ev.street, ev.city].filter(Boolean).join(', '); }
+  function typeLabel(ev) { return ev.type === 'saved' ? L.saved : L.sentry; }
+
+  $('grid').innerHTML = events.map(function (ev) {
+    return '<a class="card" href="#' + esc(ev.id) + '"><div class="thumb">' +
+      (ev.thumb ? '<img loading="lazy" src="' + esc(ev.thumb) + '" alt="">' : '') +
+      '<span class="badge ' + esc(ev.type) + '">' + esc(typeLabel(ev)) + '</span></div>' +
+      '<div class="card-body"><div class="card-title">' + esc(when(ev.epochMs || ev.startEpochMs)) + '</div>' +
+      '<div class="card-sub">' + esc(ev.reason) + '</div>' +
+      '<div class="card-sub">' + esc(place(ev)) + '</div></div></a>';
+  }).join('');
+
+  function closeViewer() {
+    clearInterval(syncTimer);
+    videos.forEach(function (v) { v.pause(); v.removeAttribute('src'); v.load(); });
+    videos = []; master = null; current = null;
+    $('cams').innerHTML = '';
+    $('viewer').hidden = true;
+    $('index').hidden = false;
+  }
+
+  function syncAll(force) {
+    if (!master) return;
+    videos.forEach(function (v) {
+      if (v === master) return;
+      if (force || Math.abs(v.currentTime - master.currentTime) > 0.25) v.currentTime = master.currentTime;
+      if (master.paused !== v.paused) { if (master.paused) v.pause(); else v.play().catch(function () {}); }
+    });
+  }
+
+  function updateTime() {
+    var duration = master.duration || current.durationSec || 0;
+    $('seek').value = duration ? Math.round(master.currentTime / duration * 1000) : 0;
+    $('time').textContent = clock(master.currentTime) + ' / ' + clock(duration);
+    $('playBtn').innerHTML = master.paused ? '&#9654;' : '&#10074;&#10074;';
+  }
+
+  function seekTo(sec) {
+    videos.forEach(function (v) { v.currentTime = sec; });
+    updateTime();
+  }
+
+  function openViewer(ev) {
+    closeViewer();
+    current = ev;
+    $('index').hidden = true;
+    $('viewer').hidden = false;
+    $('viewerTitle').textContent = typeLabel(ev) + ' · ' + when(ev.epochMs || ev.startEpochMs) + (ev.reason ? ' · ' + ev.reason : '');
+    $('triggerBtn').hidden = ev.triggerSec == null;
+
+    var cams = $('cams');
+    cams.className = '';
+    cams.style.setProperty('--cols', ev.cameras.length <= 1 ? 1 : ev.cameras.length <= 4 ? 2 : 3);
+    cams.innerHTML = ev.cameras.map(function (cam) {
+      return '<div class="cam" data-cam="' + esc(cam.id) + '"><video preload="auto" muted playsinline src="' + esc(cam.src) + '"></video><span>' + esc(cam.label) + '</span></div>';
+    }).join('');
+    videos = Array.prototype.slice.call(cams.querySelectorAll('video'));
+    master = (cams.querySelector('[data-cam="front"] video')) || videos[0];
+    master.addEventListener('timeupdate', updateTime);
+    master.addEventListener('play', function () { syncAll(true); updateTime(); });
+    master.addEventListener('pause', function () { syncAll(true); updateTime(); });
+    master.addEventListener('loadedmetadata', function () {
+      if (ev.triggerSec != null) seekTo(Math.max(0, ev.triggerSec - 5));
+      updateTime();
+    });
+    master.addEventListener('ended', function () { videos.forEach(function (v) { v.pause(); }); });
+    videos.forEach(function (v) { v.playbackRate = parseFloat($('speed').value); });
+    syncTimer = setInterval(function () { syncAll(false); }, 500);
+
+    var rows = [
+      [L.type, typeLabel(ev)],
+      [L.date, when(ev.epochMs || ev.startEpochMs)],
+      [L.reason, ev.reason],
+      [L.location, place(ev)],
+      [L.coordinates, ev.lat != null ? ev.lat.toFixed(5) + ', ' + ev.lon.toFixed(5) : ''],
+      [L.camera, ev.camera],
+      [L.duration, clock(ev.durationSec)],
+      [L.distance, ev.distance]
+    ].filter(function (r) { return r[1]; });
+    var html = '<dl>' + rows.map(function (r) { return '<dt>' + esc(r[0]) + '</dt><dd>' + esc(r[1]) + '</dd>'; }).join('') + '</dl>';
+    html += '<div class="muted">' + esc(L.route) + '</div>';
+    html += ev.route ? '<img src="' + esc(ev.route) + '" alt="">' : '<p class="muted">' + esc(L.noRoute) + '</p>';
+    if (ev.lat != null) {
+      html += '<p><a target="_blank" rel="noopener" href="https://www.openstreetmap.org/?mlat=' + ev.lat + '&amp;mlon=' + ev.lon + '#map=16/' + ev.lat + '/' + ev.lon + '">' + esc(L.openMap) + '</a></p>';
+    }
+    if (ev.eventJson) html += '<p><a href="' + esc(ev.eventJson) + '" download>' + esc(L.eventJson) + '</a></p>';
+    $('details').innerHTML = html;
+  }
+
+  function route() {
+    var id = decodeURIComponent(location.hash.slice(1));
+    var ev = events.filter(function (e) { return e.id === id; })[0];
+    if (ev) openViewer(ev); else closeViewer();
+  }
+
+  function step(delta) {
+    if (!current) return;
+    var i = events.indexOf(current) + delta;
+    if (i >= 0 && i < events.length) location.hash = events[i].id;
+  }
+
+  // Buttons give focus back so Space and the arrow keys keep controlling playback
+  $('playBtn').onclick = function () { this.blur(); if (master) { if (master.paused) master.play(); else master.pause(); } };
+  $('seek').oninput = function () {
+    if (master) seekTo((master.duration || current.durationSec) * this.value / 1000);
+  };
+  $('speed').onchange = function () { var rate = parseFloat(this.value); videos.forEach(function (v) { v.playbackRate = rate; }); };
+  $('triggerBtn').onclick = function () { this.blur(); if (current && current.triggerSec != null) seekTo(Math.max(0, current.triggerSec - 5)); };
+  $('prevBtn').onclick = function () { this.blur(); step(-1); };
+  $('nextBtn').onclick = function () { this.blur(); step(1); };
+  $('cams').onclick = function (e) {
+    var cam = e.target.closest('.cam');
+    if (!cam) return;
+    var focused = this.classList.toggle('focused');
+    Array.prototype.forEach.call(this.children, function (c) { c.classList.toggle('active', focused && c === cam); });
+  };
+  document.addEventListener('keydown', function (e) {
+    if (!master || /^(INPUT|SELECT|BUTTON)$/.test(e.target.tagName)) return;
+    if (e.key === ' ') { e.preventDefault(); $('playBtn').click(); }
+    else if (e.key === 'ArrowLeft') seekTo(Math.max(0, master.currentTime - 5));
+    else if (e.key === 'ArrowRight') seekTo(master.currentTime + 5);
+    else if (e.key === 'Escape') location.hash = '';
+  });
+  window.addEventListener('hashchange', route);
+  route();
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a web gallery. Takes the usual export settings (cameras, quality, mirrorCameras, ...)
+ * plus `webGallery: {title, labels, trim, events: [{type, eventId, folderPath, reasonLabel, meta}]}`,
+ * with `outputPath` as the gallery folder, and reports through 'export:progress' like any export.
+ * @param {Object} event - IPC event (or any object with sender.send)
+ * @param {string} exportId - Export identifier
+ * @param {Object} exportData - Export settings with webGallery
+ * @param {string} ffmpegPath - FFmpeg binary
+ * @param {Object} deps - { performVideoExport }
+ */
+async function performWebGalleryExport(event, exportId, exportData, ffmpegPath, deps) {
+  const { webGallery, outputPath } = exportData;
+  const gallery = { exportId, cancelled: false, clipExportId: null };
+  activeGalleries.set(exportId, gallery);
+
+  const sendProgress = (percentage, message) => {
+    event.sender.send('export:progress', exportId, { type: 'progress', percentage, message });
+  };
+  const sendComplete = (success, message, warning = null) => {
+    event.sender.send('export:progress', exportId, { type: 'complete', success, message, outputPath, warning });
+  };
+
+  const createdFolder = !fs.existsSync(outputPath);
+  const startedAt = Date.now();
+
+  try {
+    const events = webGallery?.events || [];
+    if (!events.length) throw new Error('No events selected');
+    const labels = { ...DEFAULT_LABELS, ...webGallery.labels };
+    const title = webGallery.title || labels.title;
+    console.log(`[GALLERY] Exporting ${events.length} event(s) to ${outputPath}`);
+    fs.mkdirSync(path.join(outputPath, 'events'), { recursive: true });
+
+    const entries = [];
+    const skipped = [];
+    for (let i = 0; i < events.length; i++) {
+      if (gallery.cancelled) throw new Error('Export cancelled');
+      const ev = events[i];
+      const id = `${ev.type}_${ev.eventId}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+      const eventDir = path.join(outputPath, 'events', id);
+      try {
+        entries.push(await exportGalleryEvent({
+          ev, id, eventDir, index: i, total: events.length, exportData, ffmpegPath, outputPath, gallery, deps, sendProgress, labels
+        }));
+      } catch (err) {
+        if (gallery.cancelled) throw err;
+        console.warn(`[GALLERY] Skipping ${ev.type}/${ev.eventId}: ${err.message}`);
+        try { fs.rmSync(eventDir, { recursive: true, force: true }); } catch { }
+        skipped.push(ev.eventId);
+      }
+    }
+    if (!entries.length) throw new Error('None of the selected events could be exported');
+
+    sendProgress(RENDER_PROGRESS_SHARE, { key: 'ui.webGallery.writingPage' });
+    fs.writeFileSync(path.join(outputPath, 'index.html'), buildGalleryHtml({ title, labels, events: entries, createdAt: startedAt }), 'utf8');
+
+    const size = formatBytes(folderSize(outputPath));
+    console.log(`[GALLERY] ${entries.length} event(s), ${size} in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    const warning = skipped.length
+      ? { key: 'ui.webGallery.skipped', params: { count: skipped.length, events: skipped.join(', ') } }
+      : null;
+    sendComplete(true, { key: 'ui.webGallery.complete', params: { events: entries.length, size } }, warning);
+    return true;
+  } catch (err) {
+    console.error('[GALLERY] Web gallery failed:', err.message);
+    if (createdFolder) {
+      try { fs.rmSync(outputPath, { recursive: true, force: true }); } catch { }
+    }
+    if (gallery.cancelled) {
+      sendComplete(false, { key: 'ui.notifications.exportCancelled' });
+    } else {
+      sendComplete(false, `Export failed: ${err.message}`);
+    }
+    err._completeSent = true;
+    throw err;
+  } finally {
+    activeGalleries.delete(exportId);
+  }
+}
+
+/**
+ * Cancel a running web gallery export
+ * @param {string} exportId - Gallery export ID
+ * @param {Function} cancelExportProcess - Cancels the clip export currently rendering
+ * @returns {boolean} false when exportId is not a web gallery
+ */
+function cancelWebGallery(exportId, cancelExportProcess) {
+  const gallery = activeGalleries.get(exportId);
+  if (!gallery) return false;
+  gallery.cancelled = true;
+  if (gallery.clipExportId) cancelExportProcess(gallery.clipExportId);
+  return true;
+}
+
+module.exports = { performWebGalleryExport, cancelWebGallery };
@@ -19,20 +19,63 @@ contextBridge.exposeInMainWorld('electronAPI', {
   deleteFolder: (folderPath) => ipcRenderer.invoke('fs:deleteFolder', folderPath),
   deleteFolderWithReload: (folderPath, baseFolderPath) => ipcRenderer.invoke('fs:deleteFolderWithReload', folderPath, baseFolderPath),
   checkPendingDelete: () => ipcRenderer.invoke('fs:checkPendingDelete'),
+  scanStorage: (rootPath) => ipcRenderer.invoke('storage:scan', rootPath),
+  trashStorageItems: (rootPath, paths) => ipcRenderer.invoke('storage:trash', rootPath, paths),
+
+  // Library index cache
+  openIndexCache: (rootPath) => ipcRenderer.invoke('indexCache:open', rootPath),
+  readDirCached: (dirPath) => ipcRenderer.invoke('indexCache:readDir', dirPath),
+  existsCached: (filePath) => ipcRenderer.invoke('indexCache:exists', filePath),
+  getCachedFileMeta: (filePaths) => ipcRenderer.invoke('indexCache:getFileMeta', filePaths),
+  setCachedFileMeta: (filePath, meta) => ipcRenderer.invoke('indexCache:setFileMeta', filePath, meta),
+  getCachedGpsPath: (filePath) => ipcRenderer.invoke('indexCache:getGpsPath', filePath),
+  setCachedGpsPath: (filePath, points) => ipcRenderer.invoke('indexCache:setGpsPath', filePath, points),
+  getCachedThumbnails: (filePath) => ipcRenderer.invoke('indexCache:getThumbnails', filePath),
+  setCachedThumbnails: (filePath, layout, dataUrl) => ipcRenderer.invoke('indexCache:setThumbnails', filePath, layout, dataUrl),
+  getIndexCacheStats: () => ipcRenderer.invoke('indexCache:stats'),
+  clearIndexCache: () => ipcRenderer.invoke('indexCache:clear'),
+  rebuildIndexCache: (rootPath) => ipcRenderer.invoke('indexCache:rebuild', rootPath),
+
+  // Bookmarks (sidecar file in the opened folder)
+  loadBookmarks: (rootPath) => ipcRenderer.invoke('bookmarks:load', rootPath),
+  saveBookmarks: (rootPath, bookmarks) => ipcRenderer.invoke('bookmarks:save', rootPath, bookmarks),
   
   // Export operations
   saveFile: (options) => ipcRenderer.invoke('dialog:saveFile', options),
   startExport: (exportId, exportData) => ipcRenderer.invoke('export:start', exportId, exportData),
   cancelExport: (exportId) => ipcRenderer.invoke('export:cancel', exportId),
   checkFFmpeg: () => ipcRenderer.invoke('ffmpeg:check'),
+  exportTelemetry: (outputPath, frames, options) => ipcRenderer.invoke('telemetry:export', outputPath, frames, options),
+  saveStill: (filePath, bytes, metadata) => ipcRenderer.invoke('stills:save', filePath, bytes, metadata),
+  verifyEvidencePackage: (zipPath) => ipcRenderer.invoke('evidence:verify', zipPath),
+  scanClipIntegrity: (rootPath) => ipcRenderer.invoke('integrity:scan', rootPath),
+  cancelClipIntegrityScan: () => ipcRenderer.invoke('integrity:cancelScan'),
+  repairClip: (filePath) => ipcRenderer.invoke('integrity:repair', filePath),
+  saveIncidentReport: (filePath, html, options) => ipcRenderer.invoke('report:save', filePath, html, options),
+  importExportPresets: (filePath) => ipcRenderer.invoke('exportPresets:import', filePath),
+  exportExportPresets: (filePath, presets) => ipcRenderer.invoke('exportPresets:export', filePath, presets),
+
+  // Export queue
+  getExportQueue: () => ipcRenderer.invoke('exportQueue:list'),
+  addExportJob: (job) => ipcRenderer.invoke('exportQueue:add', job),
+  pauseExportJob: (jobId) => ipcRenderer.invoke('exportQueue:pause', jobId),
+  resumeExportJob: (jobId) => ipcRenderer.invoke('exportQueue:resume', jobId),
+  retryExportJob: (jobId) => ipcRenderer.invoke('exportQueue:retry', jobId),
+  removeExportJob: (jobId) => ipcRenderer.invoke('exportQueue:remove', jobId),
+  moveExportJob: (jobId, toIndex) => ipcRenderer.invoke('exportQueue:move', jobId, toIndex),
+  setExportQueuePaused: (paused) => ipcRenderer.invoke('exportQueue:setPaused', paused),
+  clearFinishedExportJobs: () => ipcRenderer.invoke('exportQueue:clearFinished'),
   
   // Clip sharing
   getShareConfig: () => ipcRenderer.invoke('share:getConfig'),
   reserveShareCode: (expirationHours) => ipcRenderer.invoke('share:reserve', expirationHours),
   uploadShareClip: (filePath, options) => ipcRenderer.invoke('share:upload', filePath, options),
+  resumeShareUpload: (code) => ipcRenderer.invoke('share:resumeUpload', code),
   getSharedClips: () => ipcRenderer.invoke('share:getClips'),
   syncSharedClips: () => ipcRenderer.invoke('share:syncClips'),
   deleteSharedClip: (code, deleteToken) => ipcRenderer.invoke('share:deleteClip', code, deleteToken),
+  getShareServer: () => ipcRenderer.invoke('share:getServer'),
+  setShareServer: (url) => ipcRenderer.invoke('share:setServer', url),
   
   // Update operations (using electron-updater)
   checkForUpdates: () => ipcRenderer.invoke('update:check'),
@@ -79,7 +122,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Event listeners
   on: (channel, callback) => {
-    const allowedChannels = ['export:progress', 'share:progress', 'update:available', 'update:progress', 'update:downloaded', 'update:forceManual'];
+    const allowedChannels = ['export:progress', 'exportQueue:updated', 'share:progress', 'integrity:progress', 'storage:progress', 'update:available', 'update:progress', 'update:downloaded', 'update:forceManual'];
     if (allowedChannels.includes(channel)) {
       const wrapper = (event, ...args) => callback(...args);
       listenerWrappers.set(callback, wrapper);
@@ -16,6 +16,23 @@ import {
     updateExportRangeDisplay, updateExportSizeEstimate, checkFFmpegAvailability,
     startExport, cancelExport, confirmCancelExport, clearExportMarkers, renderSharedClipsList
 } from './scripts/features/exportVideo.js';
+import { initTelemetryExport, startTelemetryExport } from './scripts/features/telemetryExport.js';
+import { initExportQueue } from './scripts/features/exportQueue.js';
+import { initIncidents, refreshIncidents, setIncidentsPanelVisible } from './scripts/features/incidents.js';
+import { initCollectionTelemetry, refreshCollectionTelemetry } from './scripts/features/collectionTelemetry.js';
+import { initTelemetryCharts, updateTelemetryChartsPlayhead, toggleTelemetryCharts } from './scripts/features/telemetryCharts.js';
+import { initTimelineStrip } from './scripts/features/timelineStrip.js';
+import { initSmartPlayback, updateSmartPlayback, toggleSmartPlayback } from './scripts/features/smartPlayback.js';
+import { initMotionActivity, refreshMotionActivity, updateMotionActivityPlayhead, jumpToMotion, toggleMotionSkipIdle } from './scripts/features/motionActivity.js';
+import { initHighlightReel } from './scripts/features/highlightReel.js';
+import { initEvidencePackage, verifyEvidencePackage } from './scripts/features/evidencePackage.js';
+import { initIncidentReport, updateIncidentReportButton } from './scripts/features/incidentReport.js';
+import { initLibraryMap } from './scripts/features/libraryMap.js';
+import { initWebGallery } from './scripts/features/webGallery.js';
+import { initClipHealth } from './scripts/features/clipHealth.js';
+import { initStorageManager } from './scripts/features/storageManager.js';
+import { initSearch, focusSearch, resetSearch } from './scripts/features/search.js';
+import { initBookmarks, loadFolderBookmarks, updateBookmarkMarkers, addBookmarkAtCurrentPosition } from './scripts/features/bookmarks.js';
 import { initAutoUpdate } from './scripts/features/autoUpdate.js';
 import { initWelcomeScreen, resetWelcomeScreen, showWelcomeScreen } from './scripts/features/welcomeScreen.js';
 import { zoomPanState, initZoomPan, resetZoomPan, applyZoomPan, applyMirrorTransforms } from './scripts/ui/zoomPan.js';
@@ -24,11 +41,14 @@ import { initWelcomeGuide, checkAndShowWelcomeGuide, resetWelcomeGuide, openWelc
 import { initDiagnostics, logDiagnosticEvent } from './scripts/ui/diagnostics.js';
 import { 
     initCameraRearrange, initCustomCameraOrder, getCustomCameraOrder,
-    resetCameraOrder, getEffectiveSlots, initCameraDragAndDrop, updateTileLabels, updateCompactDashboardPosition
+    resetCameraOrder, getEffectiveSlots, initCameraDragAndDrop, updateTileLabels, updateCompactDashboardPosition,
+    applyMultiLayoutGeometry
 } from './scripts/features/cameraRearrange.js';
+import { initMultiLayoutEditor, cycleMultiLayout } from './scripts/features/multiLayoutEditor.js';
 import { initDraggablePanels, resetPanelPosition } from './scripts/ui/draggablePanels.js';
 import { initEventMarkers, updateEventTimelineMarker, updateEventCameraHighlight } from './scripts/ui/eventMarkers.js';
 import { initSkipSeconds, skipSeconds } from './scripts/features/skipSeconds.js';
+import { initFrameStep, stepFrame, saveStill } from './scripts/features/frameStep.js';
 import { initMapVisualization, updateMapVisibility, updateMapMarker, clearMapMarker, getMapOrientation, setMapOrientation, getMapBearing } from './scripts/ui/mapVisualization.js';
 import { initDashboardVisibility, updateDashboardVisibility } from './scripts/ui/dashboardVisibility.js';
 import { hasValidGps, extractSeiFromEntry, findSeiAtTime } from './scripts/core/seiExtractor.js';
@@ -42,6 +62,9 @@ import {
 } from './scripts/core/clipBrowser.js';
 import { groupStoreDataIntoDrives, matchClipsTodrives } from './scripts/core/driveGrouper.js';
 import { initDriveBrowser, renderDriveList, setDriveTagFilter } from './scripts/core/driveBrowser.js';
+import {
+    openIndexCache, readDirCached, getCachedFileMeta, setCachedFileMeta, getCachedGpsPath, setCachedGpsPath, initIndexCacheSettings
+} from './scripts/core/indexCache.js';
 import { initI18n, t, onLanguageChange } from './scripts/lib/i18n.js';
 
 // State
@@ -81,6 +104,9 @@ const chooseFolderBtn = $('chooseFolderBtn');
 const clipsCollapseBtn = $('clipsCollapseBtn');
 // Drives panel elements
 const driveList = $('driveList');
+const incidentPanel = $('incidentPanel');
+const searchPanel = $('searchPanel');
+const bookmarkPanel = $('bookmarkPanel');
 const clipDriveTabBar = $('clipDriveTabBar');
 const drivesTabCount = $('drivesTabCount');
 const driveTagFilter = $('driveTagFilter');
@@ -1019,14 +1045,11 @@ let useMetric = false; // Will be loaded from settings
     updateDashboardVisibility();
     updateMapVisibility();
 
-    // Multi-cam layout preset - force six_default
-    multi.layoutId = 'six_default';
-    if (multiLayoutSelect) {
-        multiLayoutSelect.value = multi.layoutId;
-        multiLayoutSelect.onchange = () => {
-            setMultiLayout(multiLayoutSelect.value || DEFAULT_MULTI_LAYOUT);
-        };
-    }
+    // Multi-cam layout preset (custom layouts are added once the layout editor loads them)
+    const savedLayoutId = localStorage.getItem(MULTI_LAYOUT_KEY);
+    multi.layoutId = MULTI_LAYOUTS[savedLayoutId] ? savedLayoutId : DEFAULT_MULTI_LAYOUT;
+    if (multiLayoutSelect) multiLayoutSelect.value = multi.layoutId;
+    applyMultiLayoutGeometry();
 
 
     // Skip buttons (use configurable duration, default 15 seconds)
@@ -1081,6 +1104,18 @@ let useMetric = false; // Will be loaded from settings
     if (startExportBtn) {
         startExportBtn.onclick = (e) => { e.preventDefault(); startExport(); };
     }
+    const addToExportQueueBtn = $('addToExportQueueBtn');
+    if (addToExportQueueBtn) {
+        addToExportQueueBtn.onclick = (e) => { e.preventDefault(); startExport({ queue: true }); };
+    }
+    const exportTelemetryBtn = $('exportTelemetryBtn');
+    if (exportTelemetryBtn) {
+        exportTelemetryBtn.onclick = (e) => { e.preventDefault(); startTelemetryExport(); };
+    }
+    const verifyEvidenceBtn = $('verifyEvidenceBtn');
+    if (verifyEvidenceBtn) {
+        verifyEvidenceBtn.onclick = (e) => { e.preventDefault(); verifyEvidencePackage(); };
+    }
     // Close modal on backdrop click (minimize during export, close otherwise)
     if (exportModal) {
         exportModal.onclick = (e) => {
@@ -1226,10 +1261,10 @@ function setMultiLayout(layoutId) {
     localStorage.setItem(MULTI_LAYOUT_KEY, next);
     if (multiLayoutSelect) multiLayoutSelect.value = next;
 
-    // Set grid column mode for the layout
-    const layout = MULTI_LAYOUTS[next];
-    if (multiCamGrid && layout) {
-        multiCamGrid.setAttribute('data-columns', layout.columns || 3);
+    // Grid size, spans and floating tiles for the layout
+    applyMultiLayoutGeometry();
+    if (state.ui.multiFocusSlot && !MULTI_LAYOUTS[next].slots.some(s => s.slot === state.ui.multiFocusSlot)) {
+        clearMultiFocus();
     }
 
     if (multi.enabled && state.ui.nativeVideoMode && state.collection.active) {
@@ -1277,7 +1312,7 @@ initMapVisualization({
     getState: () => state
 });
 
-initDraggablePanels([dashboardVis, mapVis]);
+initDraggablePanels([dashboardVis, mapVis, $('telemetryChartsPanel')]);
 
 // Handle clip deletion - refresh the clip list
 // unloadOnly: if true, just unload the video without refreshing (used before delete to release file handles)
@@ -1289,6 +1324,9 @@ function handleClipDeleted(collectionId, folderPath, unloadOnly = false) {
         state.collection.active = null;
         pauseNative();
         resetDashboardAndMap();
+        refreshIncidents();
+        refreshCollectionTelemetry();
+        refreshMotionActivity();
         
         // Force release file handles by removing and recreating video elements
         // Chromium's video decoder holds file handles even after clearing src
@@ -1415,6 +1453,10 @@ function switchToClipsTab() {
     if (!clipList || !driveList || !clipDriveTabBar) return;
     clipList.style.display = '';
     driveList.style.display = 'none';
+    if (incidentPanel) incidentPanel.style.display = 'none';
+    if (searchPanel) searchPanel.style.display = 'none';
+    if (bookmarkPanel) bookmarkPanel.style.display = 'none';
+    setIncidentsPanelVisible(false);
     if (clipBrowserDayfilter) clipBrowserDayfilter.style.display = '';
     if (driveTagFilterRow) driveTagFilterRow.style.display = 'none';
     clipDriveTabBar.querySelectorAll('.clip-drive-tab').forEach(tab => {
@@ -1426,6 +1468,10 @@ function switchToDrivesTab() {
     if (!clipList || !driveList || !clipDriveTabBar) return;
     clipList.style.display = 'none';
     driveList.style.display = '';
+    if (incidentPanel) incidentPanel.style.display = 'none';
+    if (searchPanel) searchPanel.style.display = 'none';
+    if (bookmarkPanel) bookmarkPanel.style.display = 'none';
+    setIncidentsPanelVisible(false);
     if (clipBrowserDayfilter) clipBrowserDayfilter.style.display = 'none';
     if (driveTagFilterRow) driveTagFilterRow.style.display = '';
     clipDriveTabBar.querySelectorAll('.clip-drive-tab').forEach(tab => {
@@ -1434,12 +1480,61 @@ function switchToDrivesTab() {
     renderDriveList();
 }
 
+function switchToIncidentsTab() {
+    if (!clipList || !driveList || !incidentPanel || !clipDriveTabBar) return;
+    clipList.style.display = 'none';
+    driveList.style.display = 'none';
+    incidentPanel.style.display = '';
+    if (searchPanel) searchPanel.style.display = 'none';
+    if (bookmarkPanel) bookmarkPanel.style.display = 'none';
+    if (clipBrowserDayfilter) clipBrowserDayfilter.style.display = 'none';
+    if (driveTagFilterRow) driveTagFilterRow.style.display = 'none';
+    clipDriveTabBar.querySelectorAll('.clip-drive-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.panel === 'incidents');
+    });
+    setIncidentsPanelVisible(true);
+}
+
+function switchToSearchTab() {
+    if (!clipList || !driveList || !searchPanel || !clipDriveTabBar) return;
+    clipList.style.display = 'none';
+    driveList.style.display = 'none';
+    if (incidentPanel) incidentPanel.style.display = 'none';
+    searchPanel.style.display = '';
+    if (bookmarkPanel) bookmarkPanel.style.display = 'none';
+    setIncidentsPanelVisible(false);
+    if (clipBrowserDayfilter) clipBrowserDayfilter.style.display = 'none';
+    if (driveTagFilterRow) driveTagFilterRow.style.display = 'none';
+    clipDriveTabBar.querySelectorAll('.clip-drive-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.panel === 'search');
+    });
+    focusSearch();
+}
+
+function switchToBookmarksTab() {
+    if (!clipList || !driveList || !bookmarkPanel || !clipDriveTabBar) return;
+    clipList.style.display = 'none';
+    driveList.style.display = 'none';
+    if (incidentPanel) incidentPanel.style.display = 'none';
+    if (searchPanel) searchPanel.style.display = 'none';
+    bookmarkPanel.style.display = '';
+    setIncidentsPanelVisible(false);
+    if (clipBrowserDayfilter) clipBrowserDayfilter.style.display = 'none';
+    if (driveTagFilterRow) driveTagFilterRow.style.display = 'none';
+    clipDriveTabBar.querySelectorAll('.clip-drive-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.panel === 'bookmarks');
+    });
+}
+
 if (clipDriveTabBar) {
     clipDriveTabBar.addEventListener('click', (e) => {
         const tab = e.target.closest('.clip-drive-tab');
         if (!tab) return;
         if (tab.dataset.panel === 'clips') switchToClipsTab();
         else if (tab.dataset.panel === 'drives') switchToDrivesTab();
+        else if (tab.dataset.panel === 'incidents') switchToIncidentsTab();
+        else if (tab.dataset.panel === 'search') switchToSearchTab();
+        else if (tab.dataset.panel === 'bookmarks') switchToBookmarksTab();
     });
 }
 
@@ -1677,6 +1772,39 @@ initKeybindActions({
         const key = prev.dataset.groupid;
         if (key) selectDayCollection(key);
         prev.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    },
+    frameForward: () => {
+        stepFrame(1);
+    },
+    frameBackward: () => {
+        stepFrame(-1);
+    },
+    saveStill: () => {
+        saveStill();
+    },
+    toggleTelemetryCharts: () => {
+        toggleTelemetryCharts();
+    },
+    nextMotion: () => {
+        jumpToMotion(1);
+    },
+    prevMotion: () => {
+        jumpToMotion(-1);
+    },
+    toggleMotionSkipIdle: () => {
+        toggleMotionSkipIdle();
+    },
+    toggleSmartPlayback: () => {
+        toggleSmartPlayback();
+    },
+    nextMultiLayout: () => {
+        cycleMultiLayout(1);
+    },
+    prevMultiLayout: () => {
+        cycleMultiLayout(-1);
+    },
+    addBookmark: () => {
+        addBookmarkAtCurrentPosition();
     }
 });
 
@@ -2045,6 +2173,11 @@ async function traverseDirectoryElectron(dirPath) {
         dates: new Set(),
         dateHandles: new Map()
     };
+    resetSearch();
+    loadFolderBookmarks({ rootPath: dirPath });
+    
+    // Listings, durations and event.json metadata for this folder come from the index cache when unchanged
+    await openIndexCache(dirPath);
     
     // Check if the selected folder itself is a clip folder
     const isClipFolder = ['recentclips', 'sentryclips', 'savedclips'].includes(folderNameLower);
@@ -2066,7 +2199,7 @@ async function traverseDirectoryElectron(dirPath) {
         } else {
             // User selected a parent folder (e.g., TeslaCam, teslausb, or any custom name)
             // Scan for clip subfolders
-            const entries = await window.electronAPI.readDir(dirPath);
+            const entries = await readDirCached(dirPath);
             
             let foundClipFolders = false;
             for (const entry of entries) {
@@ -2137,7 +2270,7 @@ async function traverseDirectoryElectron(dirPath) {
 // Scan RecentClips using Electron fs
 async function scanRecentClipsElectron(dirPath) {
     try {
-        const entries = await window.electronAPI.readDir(dirPath);
+        const entries = await readDirCached(dirPath);
         
         for (const entry of entries) {
             if (entry.isDirectory) {
@@ -2171,7 +2304,7 @@ async function scanRecentClipsElectron(dirPath) {
 // Scan Sentry/Saved clips using Electron fs
 async function scanEventFolderElectron(dirPath, clipType) {
     try {
-        const entries = await window.electronAPI.readDir(dirPath);
+        const entries = await readDirCached(dirPath);
         
         for (const entry of entries) {
             if (!entry.isDirectory) continue;
@@ -2236,7 +2369,7 @@ function registerLooseDate(date, dirPath, subfolders = null) {
 // Also recurses into subfolders (1 level) to find event-style folders with Tesla-named clips
 async function scanLooseClipsElectron(dirPath) {
     try {
-        const entries = await window.electronAPI.readDir(dirPath);
+        const entries = await readDirCached(dirPath);
         let foundTeslaFiles = false;
         const subfolderPaths = []; // Track subfolders that contain Tesla clips
         
@@ -2253,7 +2386,7 @@ async function scanLooseClipsElectron(dirPath) {
                 // Recurse 1 level into subfolders to find Tesla-named clips
                 // This handles custom folders like "Honk/2025-01-15_10-30-00/2025-...-front.mp4"
                 try {
-                    const subEntries = await window.electronAPI.readDir(entry.path);
+                    const subEntries = await readDirCached(entry.path);
                     let hasClipsInSub = false;
                     for (const subEntry of subEntries) {
                         if (!subEntry.isFile) continue;
@@ -2296,7 +2429,7 @@ async function gatherFilesForDateElectron(date) {
     // RecentClips
     if (dateData.recent) {
         try {
-            const entries = await window.electronAPI.readDir(dateData.recent.path);
+            const entries = await readDirCached(dateData.recent.path);
             for (const entry of entries) {
                 if (!entry.isFile || !entry.name.endsWith('.mp4')) continue;
                 if (dateData.recent.isFlat && !entry.name.startsWith(date)) continue;
@@ -2315,7 +2448,7 @@ async function gatherFilesForDateElectron(date) {
     // SentryClips events
     for (const [eventId, eventEntry] of dateData.sentry.entries()) {
         try {
-            const entries = await window.electronAPI.readDir(eventEntry.path);
+            const entries = await readDirCached(eventEntry.path);
             for (const entry of entries) {
                 if (!entry.isFile) continue;
                 files.push({
@@ -2333,7 +2466,7 @@ async function gatherFilesForDateElectron(date) {
     // SavedClips events
     for (const [eventId, eventEntry] of dateData.saved.entries()) {
         try {
-            const entries = await window.electronAPI.readDir(eventEntry.path);
+            const entries = await readDirCached(eventEntry.path);
             for (const entry of entries) {
                 if (!entry.isFile) continue;
                 files.push({
@@ -2367,7 +2500,7 @@ async function gatherFilesForDateElectron(date) {
             });
         };
         try {
-            const entries = await window.electronAPI.readDir(dateData.loose.path);
+            const entries = await readDirCached(dateData.loose.path);
             for (const entry of entries) {
                 if (!entry.isFile) continue;
                 const nameLower = entry.name.toLowerCase();
@@ -2378,7 +2511,7 @@ async function gatherFilesForDateElectron(date) {
             for (const subPath of (dateData.loose.subfolders || [])) {
                 try {
                     const subFolderName = subPath.replace(/\\/g, '/').split('/').pop();
-                    const subEntries = await window.electronAPI.readDir(subPath);
+                    const subEntries = await readDirCached(subPath);
                     for (const subEntry of subEntries) {
                         if (!subEntry.isFile) continue;
                         const subNameLower = subEntry.name.toLowerCase();
@@ -2427,6 +2560,59 @@ async function loadDateContentElectron(date) {
     notify(t('ui.notifications.loadedFilesForDate', { count: files.length, date: formatDateDisplay(date) }), { type: 'success' });
 }
 
+/**
+ * Open a collection from anywhere in the library (library map, search results): load its date,
+ * select the collection and optionally seek to a position in it.
+ * @param {Object} target
+ * @param {string} target.date - YYYY-MM-DD
+ * @param {string} target.collectionKey - e.g. `sentry:${date}:${eventId}` or `recent:${date}`
+ * @param {number|null} [target.segment] - Segment to seek into; null keeps the default start (event anchor)
+ * @param {string} [target.clip] - Timestamp key of the clip to seek into (instead of a segment index)
+ * @param {number} [target.localSec=0] - Offset within the segment
+ */
+async function openCollectionAt({ date, collectionKey, segment = null, clip = null, localSec = 0 }) {
+    if (!folderStructure?.dateHandles?.has(date)) return;
+    if (dayFilter.value !== date || !library.dayData?.has(date)) {
+        dayFilter.value = date;
+        updateDayFilterMarker();
+        await loadDateContent(date);
+    }
+    if (!library.dayCollections?.has(collectionKey)) {
+        console.warn('[OPEN] Collection not found:', collectionKey);
+        return;
+    }
+    if (clip) {
+        const clipIdx = library.dayCollections.get(collectionKey).groups?.findIndex(g => g.timestampKey === clip) ?? -1;
+        if (clipIdx >= 0) segment = clipIdx;
+    }
+    selectDayCollection(collectionKey);
+    if (segment == null) return;
+
+    // selectDayCollection loads its first segment asynchronously; seek once it's in
+    const deadline = Date.now() + 10000;
+    while (nativeVideo.currentSegmentIdx < 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (state.collection.active?.id !== collectionKey) return;
+    const segmentStartSec = nativeVideo.cumulativeStarts[segment] ?? segment * 60;
+    await seekNativeDayCollectionBySec(segmentStartSec + localSec);
+}
+
+/**
+ * Day collections for any date in the library without loading it into the clip browser.
+ * Uses the loaded library when the date is already open.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Map<string, Object>>} collection key -> collection
+ */
+async function getCollectionsForDate(date) {
+    if (library.dayData?.has(date)) return library.dayCollections || new Map();
+    if (!window.electronAPI || !folderStructure?.dateHandles?.has(date)) return new Map();
+    const files = await gatherFilesForDateElectron(date);
+    if (files.length === 0) return new Map();
+    const built = await buildTeslaCamIndex(files, folderStructure?.root?.name);
+    return buildDayCollections(built.groups).collections;
+}
+
 function formatDateDisplay(dateStr) {
     try {
         const [year, month, day] = dateStr.split('-');
@@ -2467,6 +2653,8 @@ async function traverseDirectoryHandle(dirHandle) {
         // Store handles for event folders: Map<date, Map<clipType, handle[]>>
         dateHandles: new Map()
     };
+    resetSearch();
+    loadFolderBookmarks({ rootName: dirHandle.name });
 
     // Check if the selected folder itself is a clip folder
     const folderNameLower = dirHandle.name.toLowerCase();
@@ -2828,6 +3016,9 @@ function mergeIntoLibrary(built, date) {
 
     selection.selectedGroupId = null;
     state.collection.active = null;
+    refreshIncidents();
+    refreshCollectionTelemetry();
+    refreshMotionActivity();
     previews.cache.clear();
     previews.queue.length = 0;
     previews.inFlight = 0;
@@ -3032,6 +3223,9 @@ async function handleFolderFiles(fileList, directoryName = null) {
     // Reset selection + previews
     selection.selectedGroupId = null;
     state.collection.active = null;
+    refreshIncidents();
+    refreshCollectionTelemetry();
+    refreshMotionActivity();
     previews.cache.clear();
     previews.queue.length = 0;
     previews.inFlight = 0;
@@ -3186,11 +3380,7 @@ function selectDayCollection(dayKey) {
     }
     
     // Ensure layout is applied to grid
-    const layoutId = multi.layoutId || DEFAULT_MULTI_LAYOUT;
-    const layout = MULTI_LAYOUTS[layoutId];
-    if (multiCamGrid && layout) {
-        multiCamGrid.setAttribute('data-columns', layout.columns || 3);
-    }
+    applyMultiLayoutGeometry();
 
     // Initialize segment duration tracking with estimates, then probe actual durations
     const numSegs = coll.groups?.length || 0;
@@ -3213,7 +3403,12 @@ function selectDayCollection(dayKey) {
 
     // Update event timeline marker and camera highlight
     updateEventTimelineMarker();
+    updateBookmarkMarkers();
     updateEventCameraHighlight();
+    updateIncidentReportButton();
+    refreshIncidents();
+    refreshCollectionTelemetry();
+    refreshMotionActivity();
 
     // Calculate anchorMs from event metadata for Sentry/Saved clips
     let anchorMs = 0;
@@ -3265,8 +3460,12 @@ function selectDayCollection(dayKey) {
         const currentSec = cumStart + (vid?.currentTime || 0);
         updateTimeDisplayNew(Math.floor(currentSec), Math.floor(totalSec));
         
-        // Refresh event timeline marker with accurate durations
+        // Refresh event and incident timeline markers with accurate durations
         updateEventTimelineMarker();
+        updateBookmarkMarkers();
+        refreshIncidents();
+        refreshCollectionTelemetry();
+        refreshMotionActivity();
         
         console.log('Timeline updated with actual durations, total:', totalSec.toFixed(1) + 's');
     }).catch(err => {
@@ -3360,19 +3559,27 @@ function updateCameraSelect(group) {
 async function ingestSentryEventJson(eventAssetsByKey) {
     if (!eventAssetsByKey || eventAssetsByKey.size === 0) return;
     let needsRender = false;
+    const jsonPaths = [...eventAssetsByKey.values()]
+        .filter(assets => assets?.jsonFile?.isElectronFile && assets.jsonFile.path)
+        .map(assets => assets.jsonFile.path);
+    const cachedMeta = await getCachedFileMeta(jsonPaths);
     for (const [key, assets] of eventAssetsByKey.entries()) {
         if (!assets?.jsonFile) continue;
         try {
-            let text;
-            // Handle both browser File objects and Electron path objects
-            if (assets.jsonFile.isElectronFile && assets.jsonFile.path) {
-                // Electron file - read using fs
-                text = await window.electronAPI.readFile(assets.jsonFile.path);
-            } else {
-                // Browser File object
-                text = await assets.jsonFile.text();
+            let meta = cachedMeta.get(assets.jsonFile.path)?.eventMeta;
+            if (!meta) {
+                let text;
+                // Handle both browser File objects and Electron path objects
+                if (assets.jsonFile.isElectronFile && assets.jsonFile.path) {
+                    // Electron file - read using fs
+                    text = await window.electronAPI.readFile(assets.jsonFile.path);
+                } else {
+                    // Browser File object
+                    text = await assets.jsonFile.text();
+                }
+                meta = JSON.parse(text);
+                if (assets.jsonFile.isElectronFile) setCachedFileMeta(assets.jsonFile.path, { eventMeta: meta });
             }
-            const meta = JSON.parse(text);
             eventMetaByKey.set(key, meta);
             // Attach meta to all groups in the same Sentry event folder
             const [tag, eventId] = key.split('/');
@@ -3385,7 +3592,9 @@ async function ingestSentryEventJson(eventAssetsByKey) {
                 showEventJsonLocation(state.collection.active);
                 // Also refresh timeline marker and camera highlight
                 updateEventTimelineMarker();
+                updateBookmarkMarkers();
                 updateEventCameraHighlight();
+                updateIncidentReportButton();
                 
                 // Seek to 15 seconds before event time now that we have the metadata
                 if (meta?.timestamp) {
@@ -3907,6 +4116,34 @@ initSkipSeconds({
     showFrame
 });
 
+// Frame stepping and full-resolution stills
+initFrameStep({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    getProgressBar: () => progressBar,
+    getPlayer: () => player,
+    getCameraVideos,
+    getGridColumns: () => MULTI_LAYOUTS[multi.layoutId || DEFAULT_MULTI_LAYOUT]?.columns || 3,
+    getUseMetric: () => useMetric,
+    pause,
+    seekNativeDayCollectionBySec,
+    showCollectionAtMs,
+    showFrame
+});
+
+/**
+ * Cameras currently on screen, in grid order
+ * @returns {Array<{camera: string, video: HTMLVideoElement}>}
+ */
+function getCameraVideos() {
+    if (!multi.enabled) {
+        return [{ camera: selection.selectedCamera || 'front', video: videoMain }];
+    }
+    return getEffectiveSlots()
+        .map(({ slot, camera }) => ({ camera, video: videoBySlot[slot] }))
+        .filter(s => s.video);
+}
+
 // Native Video Playback System
 const nativeVideo = {
     master: null,           // Master video element (drives timeline)
@@ -3915,6 +4152,7 @@ const nativeVideo = {
     currentSegmentIdx: -1,
     syncInterval: null,
     seiData: [],            // Pre-extracted SEI: [{timestampMs, sei}, ...]
+    frameDurations: [],     // Master file's per-frame durations in ms (stts), for frame stepping
     mapPath: [],            // GPS path for map polyline
     segmentDurations: [],   // Actual duration of each segment in seconds
     cumulativeStarts: [],   // Cumulative start time of each segment in seconds
@@ -3952,12 +4190,24 @@ async function probeSegmentDurations(groups) {
         return null;
     };
     
+    // Prefer front camera for duration, fall back to any available camera
+    const probeEntries = groups.map(group => group.filesByCamera.get('front') ||
+                                             group.filesByCamera.values().next().value);
+    
+    // Durations of unchanged files come from the index cache
+    const electronPaths = probeEntries.map(entry => entry?.file?.isElectronFile ? entry.file.path : null);
+    const cachedMeta = await getCachedFileMeta(electronPaths.filter(Boolean));
+    let cachedCount = 0;
+    
     // Probe each segment's duration using a temporary video element
     for (let i = 0; i < groups.length; i++) {
-        const group = groups[i];
-        // Prefer front camera for duration, fall back to any available camera
-        const entry = group.filesByCamera.get('front') || 
-                      group.filesByCamera.values().next().value;
+        const entry = probeEntries[i];
+        const cachedDuration = cachedMeta.get(electronPaths[i])?.durationSec;
+        if (Number.isFinite(cachedDuration)) {
+            durations.push(cachedDuration);
+            cachedCount++;
+            continue;
+        }
         const urlData = getVideoUrl(entry);
         
         if (!urlData) {
@@ -4002,12 +4252,14 @@ async function probeSegmentDurations(groups) {
             });
             
             durations.push(duration);
+            setCachedFileMeta(electronPaths[i], { durationSec: duration });
         } catch (err) {
             console.warn('Failed to probe segment', i, ':', err.message, '- using 60s estimate');
             durations.push(60);
         }
     }
     
+    if (cachedCount) console.log(`[INDEX] ${cachedCount} of ${groups.length} durations from cache`);
     console.log('Probed durations:', durations.map(d => d.toFixed(1) + 's').join(', '));
     return durations;
 }
@@ -4143,6 +4395,9 @@ function onMasterTimeUpdate() {
             const pct = (currentSec / totalSec) * 100;
             progressBar.value = Math.min(100, pct);
         }
+        updateTelemetryChartsPlayhead(currentSec);
+        updateMotionActivityPlayhead(currentSec);
+        updateSmartPlayback(currentSec);
         return;
     }
     
@@ -4238,6 +4493,100 @@ function onMasterEnded() {
     updatePlayButton();
 }
 
+/**
+ * Draw the loaded clip's route on the map (autopilot-colored polyline, start/end dots) and fit to it
+ * @param {Array<{lat: number, lon: number, autopilot?: boolean}>} effectiveMapPath - Clip SEI path or the collection's drive route
+ */
+function showClipRoute(effectiveMapPath) {
+    nativeVideo.mapPath = effectiveMapPath;
+    if (effectiveMapPath?.length) {
+        window._lastMapPath = effectiveMapPath; // cache for re-center
+    }
+    // Draw route on map with autopilot-aware coloring
+    if (map && effectiveMapPath.length > 0) {
+        const mapPath = effectiveMapPath; // shadow for the block below
+        // Remove existing polylines
+        if (mapPolyline) {
+            if (Array.isArray(mapPolyline)) {
+                mapPolyline.forEach(p => p.remove());
+            } else {
+                mapPolyline.remove();
+            }
+        }
+        
+        // Colors match SentryUSB Web UI: green=FSD engaged, blue=manual
+        const AUTOPILOT_COLOR = '#22c55e';
+        const MANUAL_COLOR    = '#3b82f6';
+
+        // Build segments with consistent autopilot state
+        const segments = [];
+        let currentSegment = [];
+        let currentAutopilot = mapPath[0].autopilot;
+
+        for (const point of mapPath) {
+            if (point.autopilot !== currentAutopilot && currentSegment.length > 0) {
+                segments.push({ coords: currentSegment, autopilot: currentAutopilot });
+                currentSegment = [currentSegment[currentSegment.length - 1]]; // overlap for continuity
+                currentAutopilot = point.autopilot;
+            }
+            currentSegment.push([point.lat, point.lon]);
+        }
+        if (currentSegment.length > 0) {
+            segments.push({ coords: currentSegment, autopilot: currentAutopilot });
+        }
+
+        // Create polylines for each segment
+        const polylines = segments.map(seg => {
+            const color = seg.autopilot ? AUTOPILOT_COLOR : MANUAL_COLOR;
+            return L.polyline(seg.coords, { color, weight: 4, opacity: 1, smoothFactor: 0, noClip: true }).addTo(map);
+        });
+
+        mapPolyline = polylines;
+
+        // Draw FSD event markers if enabled (must come before start/end markers
+        // since refreshFsdEventMarkers clears fsdEventMarkers first)
+        refreshFsdEventMarkers();
+
+        // Start (green) and end (red) dot markers — match SentryUSB Web UI
+        const startCoord = [mapPath[0].lat, mapPath[0].lon];
+        const endCoord   = [mapPath[mapPath.length - 1].lat, mapPath[mapPath.length - 1].lon];
+        const dotIcon = (bg) => L.divIcon({
+            className: '',
+            html: `<div style="width:10px;height:10px;border-radius:50%;background:${bg};border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,0.5)"></div>`,
+            iconSize: [10, 10],
+            iconAnchor: [5, 5],
+        });
+        const startMarker = L.marker(startCoord, { icon: dotIcon('#22c55e') }).addTo(map);
+        const endMarker   = L.marker(endCoord,   { icon: dotIcon('#ef4444') }).addTo(map);
+        // Push into fsdEventMarkers so they're cleaned up on next drive selection
+        fsdEventMarkers.push(startMarker, endMarker);
+
+        // Re-run event-location snap now that mapPath is populated — the
+        // first call (from ingestSentryEventJson) may have happened before
+        // SEI extraction finished, leaving the pin at Tesla's raw est_lat/lon.
+        if (state.collection.active?.groups?.some(g => g.eventMeta)) {
+            showEventJsonLocation(state.collection.active, { recenter: false });
+        }
+
+        // Fit bounds to all points
+        const allCoords = mapPath.map(p => [p.lat, p.lon]);
+        const bounds = L.latLngBounds(allCoords);
+        window._lastMapBounds = bounds; // cache for recenter
+        map.invalidateSize();
+        map.fitBounds(bounds, { padding: [20, 20] });
+        // For long drive routes fitBounds can zoom far out; enforce a minimum zoom of 14.
+        if (map.getZoom() < 14) {
+            const mid = mapPath[Math.floor(mapPath.length / 2)];
+            map.setView([mid.lat, mid.lon], 15, { animate: false });
+        }
+
+        // Re-invalidate after layout settles so tiles render correctly
+        setTimeout(() => {
+            if (map) map.invalidateSize();
+        }, 1000);
+    }
+}
+
 // Load a segment using native video elements (fast, GPU-accelerated)
 async function loadNativeSegment(segIdx) {
     if (!state.collection.active) return;
@@ -4264,6 +4613,7 @@ async function loadNativeSegment(segIdx) {
     // Clear stale SEI data immediately to prevent old segment data from showing during transition
     stopTelemetryLoop();
     nativeVideo.seiData = [];
+    nativeVideo.frameDurations = [];
     nativeVideo.mapPath = [];
     nativeVideo.lastSeiTimeMs = -Infinity;
     nativeVideo.dashboardReset = false;
@@ -4322,6 +4672,13 @@ async function loadNativeSegment(segIdx) {
             }
         }
         
+        // Release slots the layout doesn't use (their tiles are hidden)
+        Object.entries(videoBySlot).forEach(([slot, vid]) => {
+            if (!vid || slotsArr.some(s => s.slot === slot) || !vid.getAttribute('src')) return;
+            vid.removeAttribute('src');
+            vid.load();
+        });
+        
         // Set master to front camera — fall back to first camera that has a file
         const masterCam = multi.masterCamera || 'front';
         let masterSlotDef = slotsArr.find(s => s.camera === masterCam);
@@ -4375,99 +4732,26 @@ async function loadNativeSegment(segIdx) {
     const masterCam = multi.masterCamera || 'front';
     const masterEntry = group.filesByCamera.get(masterCam) || group.filesByCamera.values().next().value;
     if (masterEntry && seiType) {
-        extractSeiFromEntry(masterEntry, seiType).then(({ seiData, mapPath }) => {
+        const masterPath = masterEntry.file?.isElectronFile ? masterEntry.file.path : null;
+        // If the active collection has a full drive route, use it for the map
+        // polyline instead of the per-clip SEI path so the entire route is visible.
+        const driveMapPath = state.collection.active?.driveMapPath;
+        // A route cached on an earlier visit draws the map right away. Per-frame SEI is
+        // still decoded below because the dashboard needs every frame, not just the route.
+        let routeFromCache = false;
+        if (masterPath && !(driveMapPath?.length > 0)) {
+            getCachedGpsPath(masterPath).then(points => {
+                if (!points?.length || nativeVideo.currentSegmentIdx !== segIdx || nativeVideo.mapPath?.length) return;
+                routeFromCache = true;
+                showClipRoute(points);
+            });
+        }
+        extractSeiFromEntry(masterEntry, seiType).then(({ seiData, mapPath, frameDurations }) => {
             nativeVideo.seiData = seiData;
-            // If the active collection has a full drive route, use it for the map
-            // polyline instead of the per-clip SEI path so the entire route is visible.
-            const driveMapPath = state.collection.active?.driveMapPath;
-            const effectiveMapPath = (driveMapPath?.length > 0) ? driveMapPath : mapPath;
-            nativeVideo.mapPath = effectiveMapPath;
-            if (effectiveMapPath?.length) {
-                window._lastMapPath = effectiveMapPath; // cache for re-center
-            }
-            // Draw route on map with autopilot-aware coloring
-            if (map && effectiveMapPath.length > 0) {
-                const mapPath = effectiveMapPath; // shadow for the block below
-                // Remove existing polylines
-                if (mapPolyline) {
-                    if (Array.isArray(mapPolyline)) {
-                        mapPolyline.forEach(p => p.remove());
-                    } else {
-                        mapPolyline.remove();
-                    }
-                }
-                
-                // Colors match SentryUSB Web UI: green=FSD engaged, blue=manual
-                const AUTOPILOT_COLOR = '#22c55e';
-                const MANUAL_COLOR    = '#3b82f6';
-
-                // Build segments with consistent autopilot state
-                const segments = [];
-                let currentSegment = [];
-                let currentAutopilot = mapPath[0].autopilot;
-
-                for (const point of mapPath) {
-                    if (point.autopilot !== currentAutopilot && currentSegment.length > 0) {
-                        segments.push({ coords: currentSegment, autopilot: currentAutopilot });
-                        currentSegment = [currentSegment[currentSegment.length - 1]]; // overlap for continuity
-                        currentAutopilot = point.autopilot;
-                    }
-                    currentSegment.push([point.lat, point.lon]);
-                }
-                if (currentSegment.length > 0) {
-                    segments.push({ coords: currentSegment, autopilot: currentAutopilot });
-                }
-
-                // Create polylines for each segment
-                const polylines = segments.map(seg => {
-                    const color = seg.autopilot ? AUTOPILOT_COLOR : MANUAL_COLOR;
-                    return L.polyline(seg.coords, { color, weight: 4, opacity: 1, smoothFactor: 0, noClip: true }).addTo(map);
-                });
-
-                mapPolyline = polylines;
-
-                // Draw FSD event markers if enabled (must come before start/end markers
-                // since refreshFsdEventMarkers clears fsdEventMarkers first)
-                refreshFsdEventMarkers();
-
-                // Start (green) and end (red) dot markers — match SentryUSB Web UI
-                const startCoord = [mapPath[0].lat, mapPath[0].lon];
-                const endCoord   = [mapPath[mapPath.length - 1].lat, mapPath[mapPath.length - 1].lon];
-                const dotIcon = (bg) => L.divIcon({
-                    className: '',
-                    html: `<div style="width:10px;height:10px;border-radius:50%;background:${bg};border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,0.5)"></div>`,
-                    iconSize: [10, 10],
-                    iconAnchor: [5, 5],
-                });
-                const startMarker = L.marker(startCoord, { icon: dotIcon('#22c55e') }).addTo(map);
-                const endMarker   = L.marker(endCoord,   { icon: dotIcon('#ef4444') }).addTo(map);
-                // Push into fsdEventMarkers so they're cleaned up on next drive selection
-                fsdEventMarkers.push(startMarker, endMarker);
-
-                // Re-run event-location snap now that mapPath is populated — the
-                // first call (from ingestSentryEventJson) may have happened before
-                // SEI extraction finished, leaving the pin at Tesla's raw est_lat/lon.
-                if (state.collection.active?.groups?.some(g => g.eventMeta)) {
-                    showEventJsonLocation(state.collection.active, { recenter: false });
-                }
-
-                // Fit bounds to all points
-                const allCoords = mapPath.map(p => [p.lat, p.lon]);
-                const bounds = L.latLngBounds(allCoords);
-                window._lastMapBounds = bounds; // cache for recenter
-                map.invalidateSize();
-                map.fitBounds(bounds, { padding: [20, 20] });
-                // For long drive routes fitBounds can zoom far out; enforce a minimum zoom of 14.
-                if (map.getZoom() < 14) {
-                    const mid = mapPath[Math.floor(mapPath.length / 2)];
-                    map.setView([mid.lat, mid.lon], 15, { animate: false });
-                }
-
-                // Re-invalidate after layout settles so tiles render correctly
-                setTimeout(() => {
-                    if (map) map.invalidateSize();
-                }, 1000);
-            }
+            nativeVideo.frameDurations = frameDurations || [];
+            if (routeFromCache) return;
+            if (masterPath) setCachedGpsPath(masterPath, mapPath);
+            showClipRoute((driveMapPath?.length > 0) ? driveMapPath : mapPath);
         }).catch(err => console.warn('SEI extraction failed:', err));
     }
     
@@ -4629,7 +4913,12 @@ function pauseNative() {
 function applyPlaybackRate(rate) {
     const playbackRate = parseFloat(rate) || 1;
     state.ui.playbackRate = playbackRate;
-    
+    setVideoPlaybackRate(playbackRate);
+    console.log('Playback rate set to:', playbackRate);
+}
+
+// Set the rate on the video elements only, leaving the user's chosen speed alone (smart playback overrides)
+function setVideoPlaybackRate(playbackRate) {
     // Apply to master video
     if (nativeVideo.master) {
         nativeVideo.master.playbackRate = playbackRate;
@@ -4650,8 +4939,6 @@ function applyPlaybackRate(rate) {
     // Update CSS variable for map marker transitions (faster at higher speeds)
     const transitionDuration = Math.max(0.03, 0.15 / playbackRate);
     document.documentElement.style.setProperty('--map-transition-duration', `${transitionDuration}s`);
-    
-    console.log('Playback rate set to:', playbackRate);
 }
 
 function seekNative(pct) {
@@ -4753,6 +5040,158 @@ initExportModule({
     getUseMetric: () => useMetric
 });
 
+initTelemetryExport({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo
+});
+
+initExportQueue();
+
+// Driving incident detection (timeline markers + clip browser Incidents tab)
+initIncidents({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    seekNativeDayCollectionBySec,
+    getUseMetric: () => useMetric
+});
+
+// Background telemetry scan of the active collection (shared by the charts panel and timeline strip)
+initCollectionTelemetry({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo
+});
+
+// Telemetry charts panel (whole-collection plots with a synced playhead)
+initTelemetryCharts({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    seekNativeDayCollectionBySec,
+    getUseMetric: () => useMetric
+});
+
+// Speed/Autopilot strip and thumbnail previews on the progress bar
+initTimelineStrip({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    getUseMetric: () => useMetric
+});
+
+// Motion analysis of Sentry/Saved events (activity strip, skip idle, moving-camera outlines)
+initMotionActivity({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    getEventMetaByKey: () => eventMetaByKey,
+    seekNativeDayCollectionBySec
+});
+
+// Smart playback for drives (skip/fast-forward parked stretches, 1x around brake and blinker use)
+initSmartPlayback({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    seekNativeDayCollectionBySec,
+    setVideoPlaybackRate
+});
+
+// Playback grid layouts: layout picker, custom layout editor
+initMultiLayoutEditor({
+    getMulti: () => multi,
+    setMultiLayout
+});
+
+// Highlight reel export (points of interest -> clip windows with title cards)
+initHighlightReel({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    getEventMetaByKey: () => eventMetaByKey
+});
+
+// Incident report (stills, map and telemetry chart) for Sentry/Saved events
+initIncidentReport({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    getEventMetaByKey: () => eventMetaByKey,
+    formatEventReason,
+    getUseMetric: () => useMetric
+});
+
+// Evidence package export (original clips + manifest) and package verification
+initEvidencePackage({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    getBaseFolderPath: () => baseFolderPath
+});
+
+// Library-wide map of event locations and drive routes
+initLibraryMap({
+    getState: () => state,
+    getFolderStructure: () => folderStructure,
+    getEventMetaByKey: () => eventMetaByKey,
+    getUseMetric: () => useMetric,
+    formatEventReason,
+    openEventCollection: event => openCollectionAt({ date: event.date, collectionKey: event.collectionKey }),
+    selectDriveCollection
+});
+
+// Offline web gallery export of selected Sentry/Saved events
+initWebGallery({
+    getFolderStructure: () => folderStructure,
+    getEventMetaByKey: () => eventMetaByKey,
+    getUseMetric: () => useMetric,
+    formatEventReason
+});
+
+// Library integrity scan and truncated clip repair
+initClipHealth({
+    getBaseFolderPath: () => baseFolderPath,
+    refreshLibrary: () => {
+        if (!baseFolderPath) return;
+        traverseDirectoryElectron(baseFolderPath).then(() => renderClipList()).catch(err => {
+            console.error('[CLIP HEALTH] Failed to refresh folder:', err);
+        });
+    }
+});
+
+// Storage usage breakdown, bulk removal and retention rules
+initStorageManager({
+    getBaseFolderPath: () => baseFolderPath,
+    releaseCollection: (collectionId) => handleClipDeleted(collectionId, null, true),
+    refreshLibrary: () => {
+        if (!baseFolderPath) return;
+        traverseDirectoryElectron(baseFolderPath).then(() => renderClipList()).catch(err => {
+            console.error('[STORAGE] Failed to refresh folder:', err);
+        });
+    }
+});
+
+// Bookmarks and notes (timeline markers + clip browser Bookmarks tab, saved in a folder sidecar file)
+initBookmarks({
+    getState: () => state,
+    getNativeVideo: () => nativeVideo,
+    seekNativeDayCollectionBySec,
+    openCollectionAt
+});
+
+// Clip browser Search tab (events, clips, drives and telemetry)
+initSearch({
+    getState: () => state,
+    getFolderStructure: () => folderStructure,
+    getEventMetaByKey: () => eventMetaByKey,
+    getUseMetric: () => useMetric,
+    formatEventReason,
+    getCollectionsForDate,
+    openCollectionAt,
+    selectDriveCollection
+});
+
+// Settings > Storage: library index cache
+initIndexCacheSettings({
+    getBaseFolderPath: () => baseFolderPath,
+    reloadLibrary: async () => {
+        await traverseDirectoryElectron(baseFolderPath);
+        renderClipList();
+    }
+});
+
 // Call updateExportButtonState initially
 setTimeout(updateExportButtonState, 500);
 
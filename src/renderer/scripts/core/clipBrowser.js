@@ -7,6 +7,11 @@ import { escapeHtml, cssEscape, filePathToUrl } from '../lib/utils.js';
 import { formatEventTime } from '../ui/clipListHelpers.js';
 import { t } from '../lib/i18n.js';
 import { notify } from '../ui/notifications.js';
+import { existsCached } from './indexCache.js';
+import { parseTimestampKeyToEpochMs } from './teslaCamPaths.mjs';
+
+// Timestamp parsing lives with the other TeslaCam path rules; re-exported for existing importers
+export { parseTimestampKeyToEpochMs };
 
 // Dependencies injected at init
 let getState = null;
@@ -319,16 +324,6 @@ export function buildDisplayItems(eventMetaByKey = new Map()) {
     return items;
 }
 
-/**
- * Parse timestamp key to epoch milliseconds (Tesla filenames are in vehicle local time).
- */
-export function parseTimestampKeyToEpochMs(timestampKey) {
-    const m = String(timestampKey || '').match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})$/);
-    if (!m) return null;
-    const [ , Y, Mo, D, h, mi, s ] = m;
-    return new Date(+Y, +Mo - 1, +D, +h, +mi, +s, 0).getTime();
-}
-
 /**
  * Show delete confirmation modal (Step 1)
  */
@@ -510,7 +505,8 @@ function attachThumbPreview(item, folderPath) {
         if (thumbExistsCache.has(thumbPath)) {
             if (!thumbExistsCache.get(thumbPath)) return; // known missing
         } else if (window.electronAPI?.exists) {
-            const exists = await window.electronAPI.exists(thumbPath);
+            // Answered from the cached folder listing when the folder hasn't changed
+            const exists = await existsCached(thumbPath);
             thumbExistsCache.set(thumbPath, exists);
             if (!exists) return;
         } else {
@@ -370,12 +370,12 @@ function buildDrive(id, routes, driveTags) {
     let totalDistanceKm = 0;
     let fsdDisengagements = 0;
     let accelPushCount = 0;
-    const fsdEvents = []; // { lat, lng, type: "disengagement"|"accel_push" }
+    const fsdEvents = []; // { lat, lng, timeMs, type: "disengagement"|"accel_push" }
 
     let prevEngaged = false;
     let prevLat = NaN, prevLng = NaN;
     let inAccelPress = false;
-    let accelPressLat = 0, accelPressLng = 0;
+    let accelPressLat = 0, accelPressLng = 0, accelPressTimeMs = 0;
 
     // Pending disengagement state for 2-second Park grace period
     let pendingDisengage = false;
@@ -475,7 +475,7 @@ function buildDrive(id, routes, driveTags) {
                 } else if (timeSince > 2000 || engaged) {
                     // 2-second window passed with no Park, or FSD re-engaged — real disengagement
                     fsdDisengagements++;
-                    fsdEvents.push({ lat: pendingDisengageLat, lng: pendingDisengageLng, type: 'disengagement' });
+                    fsdEvents.push({ lat: pendingDisengageLat, lng: pendingDisengageLng, timeMs: pendingDisengageTimeMs, type: 'disengagement' });
                     pendingDisengage = false;
                 }
             }
@@ -511,10 +511,11 @@ function buildDrive(id, routes, driveTags) {
                         inAccelPress = true;
                         accelPressLat = lat;
                         accelPressLng = lng;
+                        accelPressTimeMs = pointTimeMs;
                     }
                     if (inAccelPress && accelPct <= 0.0) {
                         accelPushCount++;
-                        fsdEvents.push({ lat: accelPressLat, lng: accelPressLng, type: 'accel_push' });
+                        fsdEvents.push({ lat: accelPressLat, lng: accelPressLng, timeMs: accelPressTimeMs, type: 'accel_push' });
                         inAccelPress = false;
                     }
                 } else {
@@ -534,7 +535,7 @@ function buildDrive(id, routes, driveTags) {
         const lastGear = lastGs && lastGs.length > 0 ? lastGs[lastGs.length - 1] : -1;
         if (lastGear !== GEAR_PARK) {
             fsdDisengagements++;
-            fsdEvents.push({ lat: pendingDisengageLat, lng: pendingDisengageLng, type: 'disengagement' });
+            fsdEvents.push({ lat: pendingDisengageLat, lng: pendingDisengageLng, timeMs: pendingDisengageTimeMs, type: 'disengagement' });
         }
     }
 
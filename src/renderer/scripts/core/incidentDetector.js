@@ -0,0 +1,178 @@
+/**
+ * Incident Detector
+ * Finds hard braking, hard acceleration, sharp cornering and possible impacts in SEI telemetry
+ */
+
+const GRAVITY = 9.81; // m/s² per G
+
+// Defaults in G; users override these in Settings > Incident Detection
+export const DEFAULT_INCIDENT_THRESHOLDS = {
+    hardBrakeG: 0.4,
+    hardAccelG: 0.35,
+    corneringG: 0.45,
+    impactG: 2.0
+};
+
+const SMOOTH_WINDOW_MS = 300;   // Moving average for driving events (rejects road-bump spikes)
+const MIN_MOVING_MPS = 2;       // Ignore driving events below ~7 km/h
+const MIN_DURATION_MS = 150;    // Shortest sustained driving event
+const MERGE_GAP_MS = 2000;      // Join runs of the same type closer than this
+const MAX_FRAME_GAP_MS = 1000;  // Larger gaps (missing segments) end a run
+
+/**
+ * Reduce an SEI frame record to the values the detector needs
+ * Axes match the G-force meter: X lateral, Y longitudinal (positive = accelerating)
+ * @param {{timestampMs: number, epochMs: number|null, segment: number, sei: Object}} frame - Record from extractCollectionSei
+ * @returns {{t: number, epochMs: number|null, segment: number, lat: number, lon: number, speed: number}}
+ */
+export function toIncidentSample(frame) {
+    const sei = frame.sei;
+    const accX = sei?.linear_acceleration_mps2_x ?? sei?.linearAccelerationMps2X ?? 0;
+    const accY = sei?.linear_acceleration_mps2_y ?? sei?.linearAccelerationMps2Y ?? 0;
+    const speed = sei?.vehicle_speed_mps ?? sei?.vehicleSpeedMps ?? 0;
+    return {
+        t: frame.timestampMs,
+        epochMs: frame.epochMs ?? null,
+        segment: frame.segment ?? 0,
+        lat: Number(accX) / GRAVITY || 0,
+        lon: Number(accY) / GRAVITY || 0,
+        speed: Number(speed) || 0
+    };
+}
+
+/**
+ * Centered moving average of lateral/longitudinal G over a time window
+ * @param {Array} samples - Sorted samples from toIncidentSample
+ * @returns {{lat: Float64Array, lon: Float64Array}}
+ */
+function smoothSamples(samples) {
+    const n = samples.length;
+    const lat = new Float64Array(n);
+    const lon = new Float64Array(n);
+    const half = SMOOTH_WINDOW_MS / 2;
+    let lo = 0, hi = 0, sumLat = 0, sumLon = 0;
+
+    for (let i = 0; i < n; i++) {
+        const t = samples[i].t;
+        while (hi < n && samples[hi].t <= t + half) {
+            sumLat += samples[hi].lat;
+            sumLon += samples[hi].lon;
+            hi++;
+        }
+        while (samples[lo].t < t - half) {
+            sumLat -= samples[lo].lat;
+            sumLon -= samples[lo].lon;
+            lo++;
+        }
+        const count = hi - lo;
+        lat[i] = sumLat / count;
+        lon[i] = sumLon / count;
+    }
+    return { lat, lon };
+}
+
+/**
+ * True when any frame gap between samples `from` and `to` exceeds MAX_FRAME_GAP_MS
+ */
+function hasFrameGap(samples, from, to) {
+    for (let i = from + 1; i <= to; i++) {
+        if (samples[i].t - samples[i - 1].t > MAX_FRAME_GAP_MS) return true;
+    }
+    return false;
+}
+
+/**
+ * Collect runs of consecutive samples whose metric is at or above a threshold
+ * @param {Array} samples - Sorted samples
+ * @param {Function} metric - (index) => value to compare, or null when the sample does not qualify
+ * @param {number} threshold
+ * @returns {Array<{start: number, end: number, peak: number, peakValue: number}>} Sample indices
+ */
+function findRuns(samples, metric, threshold) {
+    const runs = [];
+    let run = null;
+
+    for (let i = 0; i < samples.length; i++) {
+        const value = metric(i);
+        const gap = i > 0 ? samples[i].t - samples[i - 1].t : 0;
+        if (run && gap > MAX_FRAME_GAP_MS) {
+            runs.push(run);
+            run = null;
+        }
+        if (value == null || value < threshold) {
+            if (run) runs.push(run);
+            run = null;
+            continue;
+        }
+        if (!run) run = { start: i, end: i, peak: i, peakValue: value };
+        run.end = i;
+        if (value > run.peakValue) {
+            run.peak = i;
+            run.peakValue = value;
+        }
+    }
+    if (run) runs.push(run);
+
+    // Merge runs that are really one event with a dip below the threshold,
+    // but never across a missing segment
+    const merged = [];
+    for (const r of runs) {
+        const last = merged[merged.length - 1];
+        if (last && samples[r.start].t - samples[last.end].t <= MERGE_GAP_MS && !hasFrameGap(samples, last.end, r.start)) {
+            last.end = r.end;
+            if (r.peakValue > last.peakValue) {
+                last.peak = r.peak;
+                last.peakValue = r.peakValue;
+            }
+        } else {
+            merged.push({ ...r });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Detect driving incidents in a collection's telemetry
+ * @param {Array} samples - Samples from toIncidentSample, sorted by time
+ * @param {Object} [thresholds] - { hardBrakeG, hardAccelG, corneringG, impactG }
+ * @returns {Array<{type: string, startMs: number, endMs: number, peakMs: number, peakEpochMs: number|null, segment: number, peakG: number, speedMps: number}>}
+ *          Sorted by peak time; times are collection-relative ms, speedMps is the speed when the event began
+ */
+export function detectIncidents(samples, thresholds = DEFAULT_INCIDENT_THRESHOLDS) {
+    if (!samples?.length) return [];
+    const th = { ...DEFAULT_INCIDENT_THRESHOLDS, ...thresholds };
+    const smooth = smoothSamples(samples);
+    const moving = (i) => samples[i].speed >= MIN_MOVING_MPS;
+
+    const rules = [
+        { type: 'hardBrake', threshold: th.hardBrakeG, metric: i => moving(i) ? -smooth.lon[i] : null, sustained: true },
+        { type: 'hardAccel', threshold: th.hardAccelG, metric: i => moving(i) ? smooth.lon[i] : null, sustained: true },
+        { type: 'sharpTurn', threshold: th.corneringG, metric: i => moving(i) ? Math.abs(smooth.lat[i]) : null, sustained: true },
+        // Impacts are short spikes, so use the raw horizontal magnitude (also catches hits while parked)
+        { type: 'impact', threshold: th.impactG, metric: i => Math.hypot(samples[i].lat, samples[i].lon), sustained: false }
+    ];
+
+    const incidents = [];
+    for (const rule of rules) {
+        if (!(rule.threshold > 0)) continue;
+        for (const run of findRuns(samples, rule.metric, rule.threshold)) {
+            const startMs = samples[run.start].t;
+            const endMs = samples[run.end].t;
+            if (rule.sustained && endMs - startMs < MIN_DURATION_MS) continue;
+            const peak = samples[run.peak];
+            incidents.push({
+                type: rule.type,
+                startMs,
+                endMs,
+                peakMs: peak.t,
+                peakEpochMs: peak.epochMs,
+                segment: peak.segment,
+                peakG: Math.round(run.peakValue * 100) / 100,
+                speedMps: samples[run.start].speed
+            });
+        }
+    }
+
+    incidents.sort((a, b) => a.peakMs - b.peakMs);
+    return incidents;
+}
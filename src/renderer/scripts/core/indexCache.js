@@ -0,0 +1,184 @@
+/**
+ * Library Index Cache
+ * Renderer side of the on-disk folder cache (src/main/indexCache.js): cached directory listings,
+ * segment durations, event.json metadata, GPS paths and timeline thumbnails for the open TeslaCam folder.
+ * Every helper falls back to the plain fs API when the cache isn't available.
+ */
+
+import { t } from '../lib/i18n.js';
+import { notify } from '../ui/notifications.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+const hasCache = () => !!window.electronAPI?.openIndexCache;
+
+/**
+ * Open the cache for a root folder before traversing it
+ * @param {string} rootPath - Folder the user opened
+ */
+export async function openIndexCache(rootPath) {
+    if (!hasCache() || !rootPath) return;
+    const result = await window.electronAPI.openIndexCache(rootPath);
+    if (!result?.success) console.warn('[INDEX] Cache unavailable:', result?.error);
+}
+
+/**
+ * List a directory, served from the cache when it hasn't changed
+ * @param {string} dirPath
+ * @returns {Promise<Array<{name: string, isDirectory: boolean, isFile: boolean, path: string}>>}
+ */
+export function readDirCached(dirPath) {
+    return hasCache() ? window.electronAPI.readDirCached(dirPath) : window.electronAPI.readDir(dirPath);
+}
+
+/**
+ * Check whether a file exists using the cached listing of its folder
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+export function existsCached(filePath) {
+    return hasCache() ? window.electronAPI.existsCached(filePath) : window.electronAPI.exists(filePath);
+}
+
+/**
+ * Cached metadata for a batch of files (entries for changed files are left out)
+ * @param {string[]} filePaths
+ * @returns {Promise<Map<string, Object>>} path -> { durationSec?, eventMeta? }
+ */
+export async function getCachedFileMeta(filePaths) {
+    if (!hasCache() || !filePaths.length) return new Map();
+    try {
+        return new Map(Object.entries(await window.electronAPI.getCachedFileMeta(filePaths) || {}));
+    } catch (err) {
+        console.warn('[INDEX] Failed to read file metadata:', err);
+        return new Map();
+    }
+}
+
+/**
+ * Remember metadata for a file (fire and forget)
+ * @param {string} filePath
+ * @param {Object} meta - e.g. { durationSec } or { eventMeta }
+ */
+export function setCachedFileMeta(filePath, meta) {
+    if (!hasCache() || !filePath) return;
+    window.electronAPI.setCachedFileMeta(filePath, meta).catch(() => { });
+}
+
+/**
+ * GPS path previously extracted from a clip, or null
+ * @param {string} filePath
+ * @returns {Promise<Array<{lat: number, lon: number, timestampMs?: number, autopilot?: string}>|null>}
+ */
+export async function getCachedGpsPath(filePath) {
+    if (!hasCache() || !filePath) return null;
+    try {
+        return await window.electronAPI.getCachedGpsPath(filePath);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remember the GPS path extracted from a clip (fire and forget)
+ * @param {string} filePath
+ * @param {Array} points - mapPath from extractSeiFromEntry
+ */
+export function setCachedGpsPath(filePath, points) {
+    if (!hasCache() || !filePath || !points?.length) return;
+    window.electronAPI.setCachedGpsPath(filePath, points).catch(() => { });
+}
+
+/**
+ * Timeline thumbnails previously grabbed from a clip, or null
+ * @param {string} filePath
+ * @returns {Promise<{intervalSec: number, firstOffsetSec: number, tileWidth: number, tileHeight: number, count: number, dataUrl: string}|null>}
+ */
+export async function getCachedThumbnails(filePath) {
+    if (!hasCache() || !filePath) return null;
+    try {
+        return await window.electronAPI.getCachedThumbnails(filePath);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remember a clip's timeline thumbnails (fire and forget)
+ * @param {string} filePath
+ * @param {Object} layout - { intervalSec, firstOffsetSec, tileWidth, tileHeight, count }
+ * @param {string} dataUrl - JPEG strip of the tiles side by side
+ */
+export function setCachedThumbnails(filePath, layout, dataUrl) {
+    if (!hasCache() || !filePath || !layout?.count) return;
+    window.electronAPI.setCachedThumbnails(filePath, layout, dataUrl).catch(() => { });
+}
+
+function formatCacheSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Update the cache size line in Settings > Storage
+ */
+export async function refreshIndexCacheStatus() {
+    const statusEl = $('indexCacheStatus');
+    if (!statusEl || !hasCache()) return;
+    const stats = await window.electronAPI.getIndexCacheStats();
+    statusEl.textContent = stats?.roots
+        ? t('ui.settings.indexCacheStatus', { folders: stats.roots, size: formatCacheSize(stats.sizeBytes) })
+        : t('ui.settings.indexCacheEmpty');
+}
+
+/**
+ * Wire the Rebuild Index and Clear Cache buttons in Settings > Storage
+ * @param {Object} deps - { getBaseFolderPath, reloadLibrary }
+ */
+export function initIndexCacheSettings(deps = {}) {
+    const rebuildBtn = $('rebuildIndexCacheBtn');
+    const clearBtn = $('clearIndexCacheBtn');
+    if (!hasCache()) {
+        if (rebuildBtn) rebuildBtn.disabled = true;
+        if (clearBtn) clearBtn.disabled = true;
+        return;
+    }
+
+    if (rebuildBtn) {
+        rebuildBtn.onclick = async (e) => {
+            e.preventDefault();
+            rebuildBtn.blur();
+            const rootPath = deps.getBaseFolderPath?.();
+            if (!rootPath) {
+                notify(t('ui.settings.indexRebuildNeedsFolder'), { type: 'warn' });
+                return;
+            }
+            rebuildBtn.disabled = true;
+            try {
+                const result = await window.electronAPI.rebuildIndexCache(rootPath);
+                if (!result?.success) throw new Error(result?.error || '');
+                await deps.reloadLibrary?.();
+                notify(t('ui.settings.indexRebuilt'), { type: 'success' });
+            } catch (err) {
+                notify(t('ui.settings.indexRebuildFailed', { error: err.message }), { type: 'error' });
+            } finally {
+                rebuildBtn.disabled = false;
+                refreshIndexCacheStatus();
+            }
+        };
+    }
+
+    if (!clearBtn) return;
+    clearBtn.onclick = async (e) => {
+        e.preventDefault();
+        const result = await window.electronAPI.clearIndexCache();
+        if (result?.success) {
+            notify(t('ui.settings.indexCacheCleared'), { type: 'success' });
+        } else {
+            notify(t('ui.settings.indexCacheClearFailed', { error: result?.error || '' }), { type: 'error' });
+        }
+        refreshIndexCacheStatus();
+        clearBtn.blur();
+    };
+}
@@ -0,0 +1,128 @@
+/**
+ * Library Events
+ * Reads event.json for every Sentry/Saved event folder in the open library (not just the loaded date).
+ * Shared by the library map and search; results are kept until a different folder is opened.
+ */
+
+import { getCachedFileMeta, setCachedFileMeta } from './indexCache.js';
+import { parseTimestampKeyToEpochMs } from './clipBrowser.js';
+
+// Tesla event.json camera index -> camera name (same mapping as the event camera highlight)
+export const EVENT_CAMERA_NAMES = {
+    '0': 'front', '1': 'front', '2': 'front',
+    '3': 'left_pillar', '4': 'right_pillar',
+    '5': 'left_repeater', '6': 'right_repeater',
+    '7': 'back'
+};
+
+const cache = {
+    folderStructure: null,
+    events: [],
+    pending: null
+};
+
+function joinPath(dirPath, name) {
+    const sep = dirPath.includes('\\') ? '\\' : '/';
+    return dirPath.endsWith(sep) ? dirPath + name : dirPath + sep + name;
+}
+
+/**
+ * Read event.json from an event folder entry (Electron path object or directory handle)
+ * @returns {Promise<Object|null>}
+ */
+async function readEventJson(entry, cachedMeta) {
+    if (entry?.path) {
+        const jsonPath = joinPath(entry.path, 'event.json');
+        const cached = cachedMeta.get(jsonPath)?.eventMeta;
+        if (cached) return cached;
+        try {
+            const meta = JSON.parse(await window.electronAPI.readFile(jsonPath));
+            setCachedFileMeta(jsonPath, { eventMeta: meta });
+            return meta;
+        } catch {
+            return null; // no event.json (or unreadable)
+        }
+    }
+    if (entry?.getFileHandle) {
+        try {
+            const fileHandle = await entry.getFileHandle('event.json');
+            return JSON.parse(await (await fileHandle.getFile()).text());
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+function toLibraryEvent(type, date, eventId, meta) {
+    const lat = parseFloat(meta?.est_lat);
+    const lon = parseFloat(meta?.est_lon);
+    const hasLocation = Number.isFinite(lat) && Number.isFinite(lon) && (Math.abs(lat) >= 0.001 || Math.abs(lon) >= 0.001);
+    const parsed = Date.parse(meta?.timestamp);
+    return {
+        type,
+        date,
+        eventId,
+        collectionKey: `${type}:${date}:${eventId}`,
+        epochMs: Number.isFinite(parsed) ? parsed : parseTimestampKeyToEpochMs(eventId),
+        lat: hasLocation ? lat : null,
+        lon: hasLocation ? lon : null,
+        reason: meta?.reason || '',
+        street: meta?.street || '',
+        city: meta?.city || '',
+        camera: meta?.camera != null ? (EVENT_CAMERA_NAMES[String(meta.camera)] || '') : ''
+    };
+}
+
+async function readAllEvents(folderStructure, eventMetaByKey, onProgress) {
+    const folders = [];
+    for (const [date, dateData] of folderStructure?.dateHandles || []) {
+        for (const [eventId, entry] of dateData.sentry || []) folders.push({ type: 'sentry', date, eventId, entry });
+        for (const [eventId, entry] of dateData.saved || []) folders.push({ type: 'saved', date, eventId, entry });
+    }
+
+    const jsonPaths = folders.filter(f => f.entry?.path).map(f => joinPath(f.entry.path, 'event.json'));
+    const cachedMeta = await getCachedFileMeta(jsonPaths);
+
+    const events = [];
+    for (let i = 0; i < folders.length; i++) {
+        const { type, date, eventId, entry } = folders[i];
+        if (i % 25 === 0) {
+            onProgress?.(i, folders.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        const tag = type === 'sentry' ? 'SentryClips' : 'SavedClips';
+        const meta = eventMetaByKey?.get(`${tag}/${eventId}`) || await readEventJson(entry, cachedMeta);
+        // Folders without event.json still count (searchable by type/date), just without metadata
+        events.push(toLibraryEvent(type, date, eventId, meta));
+    }
+    onProgress?.(folders.length, folders.length);
+    console.log(`[LIBRARY] Read ${events.length} event folder(s)`);
+    return events;
+}
+
+/**
+ * All Sentry/Saved events in the library, read once per opened folder
+ * @param {Object} folderStructure - From the folder scan (dateHandles per date)
+ * @param {Object} [options]
+ * @param {Map} [options.eventMetaByKey] - Already-parsed event.json by `${tag}/${eventId}`
+ * @param {Function} [options.onProgress] - Called with (done, total) while reading
+ * @returns {Promise<Array<{type: string, date: string, eventId: string, collectionKey: string, epochMs: number|null,
+ *          lat: number|null, lon: number|null, reason: string, street: string, city: string, camera: string}>>}
+ */
+export async function getLibraryEvents(folderStructure, { eventMetaByKey, onProgress } = {}) {
+    if (!folderStructure) return [];
+    if (cache.folderStructure === folderStructure) {
+        return cache.pending || cache.events;
+    }
+    cache.folderStructure = folderStructure;
+    cache.events = [];
+    cache.pending = readAllEvents(folderStructure, eventMetaByKey, onProgress).then(events => {
+        if (cache.folderStructure === folderStructure) {
+            cache.events = events;
+            cache.pending = null;
+        }
+        return events;
+    });
+    return cache.pending;
+}
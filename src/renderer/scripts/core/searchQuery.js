@@ -0,0 +1,591 @@
+/**
+ * Search Query Language
+ * Parses clip browser search queries and evaluates them against events, drives, clip segments
+ * and telemetry frames.
+ *
+ *   honk "main st"                 free text (reason, city, street, type, drive tags, bookmark notes)
+ *   reason:honk city:austin         field:value (substring / keyword match)
+ *   speed > 70 mph  fsd>=50         comparisons = != > >= < <= (units optional)
+ *   date:2025-01-01..2025-01-31     date:-30d  date:2025-01  time:22:00..06:00
+ *   a OR b   -term   NOT term   ( ... )   terms are ANDed by default
+ *
+ * Evaluation is three-valued: a predicate that can't be decided at the current level
+ * (e.g. speed on an event before its telemetry is read) yields null, and the caller
+ * goes one level deeper (record -> segment -> frame) to decide it.
+ */
+
+const MPS_PER_MPH = 0.44704;
+const MPS_PER_KMH = 1 / 3.6;
+const KM_PER_MI = 1.609344;
+const GRAVITY = 9.81;
+
+const GEARS = { p: 0, park: 0, d: 1, drive: 1, r: 2, reverse: 2, n: 3, neutral: 3 };
+const AUTOPILOT_STATES = {
+    none: [0], off: [0], manual: [0],
+    on: [1, 2, 3], any: [1, 2, 3],
+    fsd: [1], self_driving: [1], selfdriving: [1],
+    autosteer: [2], tacc: [3]
+};
+const BOOLEAN_VALUES = { on: true, true: true, yes: true, '1': true, off: false, false: false, no: false, '0': false };
+const RECORD_TYPES = ['sentry', 'saved', 'recent', 'drive', 'event', 'clip', 'bookmark'];
+
+/**
+ * Field definitions: kind decides the evaluation level, parse normalizes the value
+ *   common    - known on every record (date/time/type)
+ *   event     - event.json metadata; false on drives and plain clips
+ *   drive     - SentryUSB drive stats; false on events and clips
+ *   telemetry - per-frame SEI values; unknown until frames are read
+ */
+const FIELDS = {
+    date: { kind: 'common', type: 'date' },
+    time: { kind: 'common', type: 'time' },
+    type: { kind: 'common', type: 'keyword', values: RECORD_TYPES },
+    reason: { kind: 'event', type: 'text' },
+    city: { kind: 'event', type: 'text' },
+    street: { kind: 'event', type: 'text' },
+    camera: { kind: 'event', type: 'camera' },
+    distance: { kind: 'drive', type: 'number', unit: 'distance' },
+    duration: { kind: 'drive', type: 'number', unit: 'duration' },
+    fsd: { kind: 'drive', type: 'number', unit: 'percent' },
+    disengagements: { kind: 'drive', type: 'number' },
+    pushes: { kind: 'drive', type: 'number' },
+    tag: { kind: 'drive', type: 'text' },
+    speed: { kind: 'telemetry', type: 'number', unit: 'speed' },
+    gear: { kind: 'telemetry', type: 'enum', values: GEARS },
+    autopilot: { kind: 'telemetry', type: 'enum', values: AUTOPILOT_STATES },
+    brake: { kind: 'telemetry', type: 'boolean' },
+    accel: { kind: 'telemetry', type: 'number', unit: 'percent' },
+    steering: { kind: 'telemetry', type: 'number', unit: 'angle' },
+    blinker: { kind: 'telemetry', type: 'enum', values: { left: 'left', right: 'right', any: 'any', on: 'any', off: 'off', none: 'off' } },
+    g: { kind: 'telemetry', type: 'number' }
+};
+
+const FIELD_ALIASES = {
+    when: 'date', day: 'date', hour: 'time', kind: 'type', cam: 'camera', place: 'city', road: 'street',
+    dist: 'distance', length: 'duration', fsdpercent: 'fsd', disengagement: 'disengagements', dis: 'disengagements',
+    accelpushes: 'pushes', push: 'pushes', tags: 'tag', mph: 'speed', kmh: 'speed', ap: 'autopilot',
+    braking: 'brake', throttle: 'accel', pedal: 'accel', steer: 'steering', signal: 'blinker', indicator: 'blinker'
+};
+
+const UNITS = {
+    speed: { mph: MPS_PER_MPH, kmh: MPS_PER_KMH, 'km/h': MPS_PER_KMH, kph: MPS_PER_KMH, mps: 1, 'm/s': 1 },
+    distance: { km: 1, mi: KM_PER_MI, miles: KM_PER_MI, m: 0.001 },
+    duration: { s: 1000, sec: 1000, min: 60_000, m: 60_000, h: 3_600_000, hr: 3_600_000 },
+    percent: { '%': 1 },
+    angle: { deg: 1, '°': 1 }
+};
+
+// Symbol comparators, longest first so ">=" isn't read as ">" ("field:value" is split separately)
+const COMPARATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+/**
+ * Error thrown for queries that can't be parsed; i18nKey/params describe it for the UI
+ */
+export class SearchQueryError extends Error {
+    constructor(message, i18nKey, params = {}) {
+        super(message);
+        this.name = 'SearchQueryError';
+        this.i18nKey = i18nKey;
+        this.params = params;
+    }
+}
+
+function resolveField(name) {
+    const lower = String(name || '').toLowerCase();
+    const key = FIELDS[lower] ? lower : FIELD_ALIASES[lower];
+    return key ? { key, def: FIELDS[key] } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a query into tokens: ( ) NOT OR, comparators, quoted strings and words.
+ * "field:value" words are split when the prefix is a known field, so times like 22:00 survive.
+ */
+function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+    const text = String(query || '');
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+            continue;
+        }
+        if (ch === '"') {
+            const end = text.indexOf('"', i + 1);
+            const value = end < 0 ? text.slice(i + 1) : text.slice(i + 1, end);
+            tokens.push({ type: 'string', value });
+            i = end < 0 ? text.length : end + 1;
+            continue;
+        }
+        const cmp = COMPARATORS.find(op => text.startsWith(op, i));
+        if (cmp) {
+            tokens.push({ type: 'cmp', value: cmp });
+            i += cmp.length;
+            continue;
+        }
+        // "-term" negates, but "-30d" is a value
+        const prev = text[i - 1];
+        if (ch === '-' && (i === 0 || /[\s(]/.test(prev)) && /[a-z("]/i.test(text[i + 1] || '')) {
+            tokens.push({ type: 'not' });
+            i++;
+            continue;
+        }
+
+        let end = i;
+        while (end < text.length && !/[\s()"<>=!]/.test(text[end])) end++;
+        if (end === i) {
+            // Lone "!" that isn't part of "!="
+            i++;
+            continue;
+        }
+        const word = text.slice(i, end);
+        i = end;
+
+        const colon = word.indexOf(':');
+        if (colon > 0 && resolveField(word.slice(0, colon))) {
+            tokens.push({ type: 'word', value: word.slice(0, colon) });
+            tokens.push({ type: 'cmp', value: ':' });
+            if (colon < word.length - 1) tokens.push({ type: 'word', value: word.slice(colon + 1) });
+            continue;
+        }
+        if (word === 'OR' || word === '|') tokens.push({ type: 'or' });
+        else if (word === 'AND' || word === '&') continue; // implicit
+        else if (word === 'NOT') tokens.push({ type: 'not' });
+        else tokens.push({ type: 'word', value: word });
+    }
+    return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Value parsing
+// ---------------------------------------------------------------------------
+
+function formatDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateStr, days) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return formatDate(new Date(y, m - 1, d + days));
+}
+
+/**
+ * One date expression -> inclusive { from, to } (YYYY-MM-DD strings)
+ */
+function parseDateBound(raw, now) {
+    const value = raw.toLowerCase();
+    const today = formatDate(now);
+    if (value === 'today') return { from: today, to: today };
+    if (value === 'yesterday') {
+        const day = addDays(today, -1);
+        return { from: day, to: day };
+    }
+    let m = value.match(/^-(\d+)([dwm])$/);
+    if (m) {
+        const days = Number(m[1]) * (m[2] === 'w' ? 7 : m[2] === 'm' ? 30 : 1);
+        return { from: addDays(today, -days), to: today };
+    }
+    m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (m) return { from: value, to: value };
+    m = value.match(/^(\d{4})-(\d{2})$/);
+    if (m) {
+        const last = new Date(Number(m[1]), Number(m[2]), 0).getDate();
+        return { from: `${value}-01`, to: `${value}-${String(last).padStart(2, '0')}` };
+    }
+    m = value.match(/^(\d{4})$/);
+    if (m) return { from: `${value}-01-01`, to: `${value}-12-31` };
+    return null;
+}
+
+function parseDateValue(cmp, raw, now) {
+    if (cmp === ':' || cmp === '=') {
+        const [a, b] = raw.split('..');
+        const start = parseDateBound(a, now);
+        const end = b != null ? parseDateBound(b, now) : start;
+        if (!start || !end) return null;
+        return { from: start.from, to: end.to };
+    }
+    const bound = parseDateBound(raw, now);
+    if (!bound) return null;
+    if (cmp === '>') return { from: addDays(bound.to, 1), to: '9999-12-31' };
+    if (cmp === '>=') return { from: bound.from, to: '9999-12-31' };
+    if (cmp === '<') return { from: '0000-01-01', to: addDays(bound.from, -1) };
+    if (cmp === '<=') return { from: '0000-01-01', to: bound.to };
+    if (cmp === '!=') return { ...bound, negate: true };
+    return null;
+}
+
+/**
+ * "22:00", "7:30pm", "14" -> [startMinute, endMinute] of the day (end inclusive)
+ */
+function parseTimeBound(raw) {
+    const m = raw.toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!m) return null;
+    let hour = Number(m[1]);
+    if (m[3] === 'pm' && hour < 12) hour += 12;
+    if (m[3] === 'am' && hour === 12) hour = 0;
+    if (hour > 23) return null;
+    if (m[2] != null) {
+        const minute = Number(m[2]);
+        if (minute > 59) return null;
+        return [hour * 60 + minute, hour * 60 + minute];
+    }
+    return [hour * 60, hour * 60 + 59];
+}
+
+function parseTimeValue(cmp, raw) {
+    if (cmp === ':' || cmp === '=') {
+        const [a, b] = raw.split('..');
+        const start = parseTimeBound(a);
+        const end = b != null ? parseTimeBound(b) : start;
+        if (!start || !end) return null;
+        return { from: start[0], to: end[1] };
+    }
+    const bound = parseTimeBound(raw);
+    if (!bound) return null;
+    if (cmp === '>') return { from: bound[1] + 1, to: 1439 };
+    if (cmp === '>=') return { from: bound[0], to: 1439 };
+    if (cmp === '<') return { from: 0, to: bound[0] - 1 };
+    if (cmp === '<=') return { from: 0, to: bound[1] };
+    if (cmp === '!=') return { from: bound[0], to: bound[1], negate: true };
+    return null;
+}
+
+/**
+ * Number with an optional unit -> value in the field's base unit
+ * (speed m/s, distance km, duration ms, percent, degrees)
+ */
+function parseNumberValue(def, raw, unitWord, useMetric) {
+    const m = String(raw).toLowerCase().match(/^(-?\d+(?:\.\d+)?)\s*([a-z/%°]*)$/);
+    if (!m) return null;
+    const number = Number(m[1]);
+    const unit = m[2] || (unitWord || '').toLowerCase();
+    const table = UNITS[def.unit];
+    if (!table) return unit ? null : number;
+    if (unit) {
+        const factor = table[unit];
+        return factor != null ? number * factor : null;
+    }
+    // Unit-less values follow the app's unit setting
+    if (def.unit === 'speed') return number * (useMetric ? MPS_PER_KMH : MPS_PER_MPH);
+    if (def.unit === 'distance') return useMetric ? number : number * KM_PER_MI;
+    if (def.unit === 'duration') return number * 60_000;
+    return number;
+}
+
+function isUnitWord(def, word) {
+    const table = UNITS[def?.unit];
+    return !!table && Object.prototype.hasOwnProperty.call(table, String(word).toLowerCase());
+}
+
+function parseFieldValue(field, cmp, raw, unitWord, options) {
+    const { def } = field;
+    const lower = String(raw).toLowerCase();
+    switch (def.type) {
+        case 'date': return parseDateValue(cmp, raw, options.now);
+        case 'time': return parseTimeValue(cmp, raw);
+        case 'number': return parseNumberValue(def, raw, unitWord, options.useMetric);
+        case 'boolean': return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, lower) ? BOOLEAN_VALUES[lower] : null;
+        case 'enum': return Object.prototype.hasOwnProperty.call(def.values, lower) ? def.values[lower] : null;
+        case 'keyword': return def.values.includes(lower) ? lower : null;
+        case 'camera': return lower.replace(/^rear$/, 'back').replace(/^(left|right)$/, '$1_');
+        default: return lower;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a search query
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {boolean} [options.useMetric] - Unit for speed/distance values without one
+ * @param {Date} [options.now] - Reference for relative dates (tests/reproducibility)
+ * @returns {Object|null} AST, or null for an empty query
+ * @throws {SearchQueryError}
+ */
+export function parseSearchQuery(query, options = {}) {
+    const opts = { useMetric: false, now: new Date(), ...options };
+    const tokens = tokenize(query);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    function parseOr() {
+        const items = [parseAnd()];
+        while (peek()?.type === 'or') {
+            next();
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { op: 'or', items };
+    }
+
+    function parseAnd() {
+        const items = [];
+        while (pos < tokens.length && peek().type !== ')' && peek().type !== 'or') {
+            items.push(parseUnary());
+        }
+        if (items.length === 0) {
+            throw new SearchQueryError('Empty expression', 'ui.search.errorEmptyGroup');
+        }
+        return items.length === 1 ? items[0] : { op: 'and', items };
+    }
+
+    function parseUnary() {
+        if (peek()?.type === 'not') {
+            next();
+            return { op: 'not', item: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (next()?.type !== ')') throw new SearchQueryError('Missing )', 'ui.search.errorParen');
+            return inner;
+        }
+        if (token.type === ')') throw new SearchQueryError('Unexpected )', 'ui.search.errorParen');
+        if (token.type === 'cmp') throw new SearchQueryError(`Unexpected ${token.value}`, 'ui.search.errorUnexpected', { token: token.value });
+
+        const field = token.type === 'word' ? resolveField(token.value) : null;
+        if (field && peek()?.type === 'cmp') {
+            const cmp = next().value;
+            const valueToken = next();
+            if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+                throw new SearchQueryError(`Missing value for ${token.value}`, 'ui.search.errorMissingValue', { field: token.value });
+            }
+            let unitWord = null;
+            if (field.def.type === 'number' && peek()?.type === 'word' && isUnitWord(field.def, peek().value)) {
+                unitWord = next().value;
+            }
+            const value = parseFieldValue(field, cmp, valueToken.value, unitWord, opts);
+            if (value == null) {
+                throw new SearchQueryError(`Invalid value for ${token.value}: ${valueToken.value}`, 'ui.search.errorInvalidValue', {
+                    field: token.value, value: valueToken.value
+                });
+            }
+            if ((field.def.type === 'text' || field.def.type === 'camera' || field.def.type === 'keyword' ||
+                field.def.type === 'enum' || field.def.type === 'boolean') && !['=', ':', '!='].includes(cmp)) {
+                throw new SearchQueryError(`${cmp} doesn't apply to ${token.value}`, 'ui.search.errorComparator', { field: token.value, cmp });
+            }
+            return { op: 'pred', field: field.key, kind: field.def.kind, cmp, value };
+        }
+
+        return { op: 'text', value: String(token.value).toLowerCase() };
+    }
+
+    if (tokens.length === 0) return null;
+    const ast = parseOr();
+    if (pos < tokens.length) throw new SearchQueryError('Unexpected )', 'ui.search.errorParen');
+    return ast;
+}
+
+/**
+ * Whether any predicate needs telemetry frames
+ */
+export function needsTelemetry(ast) {
+    if (!ast) return false;
+    if (ast.op === 'pred') return ast.kind === 'telemetry';
+    if (ast.op === 'not') return needsTelemetry(ast.item);
+    if (ast.items) return ast.items.some(needsTelemetry);
+    return false;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function compareNumber(actual, cmp, expected) {
+    if (!Number.isFinite(actual)) return false;
+    // "=" on measured values means "about" (within 5%) since they are rarely exact
+    const tolerance = Math.abs(expected) * 0.05;
+    switch (cmp) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '!=': return Math.abs(actual - expected) > tolerance;
+        default: return Math.abs(actual - expected) <= tolerance;
+    }
+}
+
+function applyNegation(result, cmp) {
+    return cmp === '!=' ? !result : result;
+}
+
+function minuteOfDay(epochMs) {
+    const d = new Date(epochMs);
+    return d.getHours() * 60 + d.getMinutes();
+}
+
+function evaluateDate(pred, ctx) {
+    const date = Number.isFinite(ctx.epochMs) ? formatDate(new Date(ctx.epochMs)) : ctx.record.date;
+    if (!date) return null;
+    const inRange = date >= pred.value.from && date <= pred.value.to;
+    return pred.value.negate ? !inRange : inRange;
+}
+
+function evaluateTime(pred, ctx) {
+    if (!Number.isFinite(ctx.epochMs)) return null;
+    const minute = minuteOfDay(ctx.epochMs);
+    const { from, to } = pred.value;
+    // Ranges like 22:00..06:00 wrap past midnight
+    const inRange = from <= to ? (minute >= from && minute <= to) : (minute >= from || minute <= to);
+    return pred.value.negate ? !inRange : inRange;
+}
+
+function evaluateType(pred, record) {
+    const value = pred.value;
+    let match;
+    if (value === 'event') match = record.type === 'sentry' || record.type === 'saved';
+    else if (value === 'clip') match = record.kind === 'clip';
+    else match = record.type === value;
+    return applyNegation(match, pred.cmp);
+}
+
+function evaluateEventField(pred, record) {
+    if (record.kind !== 'event') return false;
+    if (pred.field === 'camera') {
+        const camera = record.camera || '';
+        const match = pred.value.endsWith('_') ? camera.startsWith(pred.value) : camera === pred.value;
+        return applyNegation(match, pred.cmp);
+    }
+    const haystack = pred.field === 'reason'
+        ? `${record.reason} ${record.reasonLabel || ''}`.toLowerCase().replace(/_/g, ' ')
+        : String(record[pred.field] || '').toLowerCase();
+    return applyNegation(haystack.includes(pred.value.replace(/_/g, ' ')), pred.cmp);
+}
+
+function evaluateDriveField(pred, record) {
+    if (record.kind !== 'drive') return false;
+    const drive = record.drive;
+    switch (pred.field) {
+        case 'distance': return compareNumber(drive.distanceKm, pred.cmp, pred.value);
+        case 'duration': return compareNumber(drive.durationMs, pred.cmp, pred.value);
+        case 'fsd': return compareNumber(drive.fsdPercent, pred.cmp, pred.value);
+        case 'disengagements': return compareNumber(drive.fsdDisengagements, pred.cmp, pred.value);
+        case 'pushes': return compareNumber(drive.accelPushCount, pred.cmp, pred.value);
+        case 'tag': {
+            const match = (drive.tags || []).some(tag => String(tag).toLowerCase().includes(pred.value));
+            return applyNegation(match, pred.cmp);
+        }
+        default: return false;
+    }
+}
+
+function evaluateTelemetry(pred, frame) {
+    switch (pred.field) {
+        case 'speed': return compareNumber(frame.speed, pred.cmp, pred.value);
+        case 'accel': return compareNumber(frame.accel, pred.cmp, pred.value);
+        case 'steering': return compareNumber(Math.abs(frame.steering), pred.cmp, Math.abs(pred.value));
+        case 'g': return compareNumber(frame.g, pred.cmp, pred.value);
+        case 'gear': return applyNegation(frame.gear === pred.value, pred.cmp);
+        case 'autopilot': return applyNegation(pred.value.includes(frame.autopilot), pred.cmp);
+        case 'brake': return applyNegation(frame.brake === pred.value, pred.cmp);
+        case 'blinker': {
+            const side = frame.blinkerLeft ? (frame.blinkerRight ? 'both' : 'left') : frame.blinkerRight ? 'right' : 'off';
+            let match;
+            if (pred.value === 'any') match = side !== 'off';
+            else if (pred.value === 'off') match = side === 'off';
+            else match = side === pred.value || side === 'both';
+            return applyNegation(match, pred.cmp);
+        }
+        default: return false;
+    }
+}
+
+function evaluateText(value, record) {
+    return (record.text || '').includes(value);
+}
+
+function evaluatePredicate(pred, ctx) {
+    const { record } = ctx;
+    switch (pred.kind) {
+        case 'common':
+            if (pred.field === 'date') return evaluateDate(pred, ctx);
+            if (pred.field === 'time') return evaluateTime(pred, ctx);
+            return evaluateType(pred, record);
+        case 'event': return evaluateEventField(pred, record);
+        case 'drive': return evaluateDriveField(pred, record);
+        case 'telemetry':
+            // Drives and bookmarks have no frames; events and clips decide this per frame
+            if (record.kind !== 'event' && record.kind !== 'clip') return false;
+            return ctx.frame ? evaluateTelemetry(pred, ctx.frame) : null;
+        default: return false;
+    }
+}
+
+/**
+ * Evaluate a query against a record, optionally narrowed to a segment or a telemetry frame
+ * @param {Object} ast - From parseSearchQuery
+ * @param {Object} ctx
+ * @param {Object} ctx.record - { kind: 'event'|'drive'|'clip'|'bookmark', type, date, text, ...fields }
+ * @param {number|null} [ctx.epochMs] - Wall-clock time of the record, segment or frame
+ * @param {Object} [ctx.frame] - From toSearchFrame
+ * @returns {boolean|null} null when telemetry (or time for whole-day clips) is still needed to decide
+ */
+export function evaluateSearch(ast, ctx) {
+    if (!ast) return true;
+    switch (ast.op) {
+        case 'and': {
+            let unknown = false;
+            for (const item of ast.items) {
+                const result = evaluateSearch(item, ctx);
+                if (result === false) return false;
+                if (result === null) unknown = true;
+            }
+            return unknown ? null : true;
+        }
+        case 'or': {
+            let unknown = false;
+            for (const item of ast.items) {
+                const result = evaluateSearch(item, ctx);
+                if (result === true) return true;
+                if (result === null) unknown = true;
+            }
+            return unknown ? null : false;
+        }
+        case 'not': {
+            const result = evaluateSearch(ast.item, ctx);
+            return result === null ? null : !result;
+        }
+        case 'text': return evaluateText(ast.value, ctx.record);
+        case 'pred': return evaluatePredicate(ast, ctx);
+        default: return false;
+    }
+}
+
+/**
+ * Reduce an SEI frame to the values search predicates read
+ * @param {Object} sei - Decoded SEI message (camelCase or snake_case)
+ * @returns {{speed: number, accel: number, steering: number, g: number, gear: number|null, autopilot: number, brake: boolean, blinkerLeft: boolean, blinkerRight: boolean}}
+ */
+export function toSearchFrame(sei) {
+    const get = (camel, snake) => sei?.[camel] ?? sei?.[snake];
+    const accelRaw = Number(get('acceleratorPedalPosition', 'accelerator_pedal_position')) || 0;
+    const accX = Number(get('linearAccelerationMps2X', 'linear_acceleration_mps2_x')) || 0;
+    const accY = Number(get('linearAccelerationMps2Y', 'linear_acceleration_mps2_y')) || 0;
+    const gear = get('gearState', 'gear_state');
+    return {
+        speed: Math.abs(Number(get('vehicleSpeedMps', 'vehicle_speed_mps')) || 0),
+        // SEI reports the pedal as 0-1 or 0-100 depending on firmware
+        accel: accelRaw > 1 ? Math.min(100, accelRaw) : accelRaw * 100,
+        steering: Number(get('steeringWheelAngle', 'steering_wheel_angle')) || 0,
+        g: Math.hypot(accX, accY) / GRAVITY,
+        gear: typeof gear === 'number' ? gear : null,
+        autopilot: Number(get('autopilotState', 'autopilot_state')) || 0,
+        brake: !!get('brakeApplied', 'brake_applied'),
+        blinkerLeft: !!get('blinkerOnLeft', 'blinker_on_left'),
+        blinkerRight: !!get('blinkerOnRight', 'blinker_on_right')
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * Segment Timeline
+ * Maps between wall-clock time (from clip timestamps) and positions on a collection's joined timeline
+ */
+
+import { parseTimestampKeyToEpochMs } from './clipBrowser.js';
+
+// Assumed clip length when a segment's duration is not known yet
+const SEGMENT_FALLBACK_MS = 60_000;
+
+/**
+ * Map each segment to its wall-clock start and position on the collection timeline
+ * @param {Array<Object>} groups - Clip groups of the collection
+ * @param {Object} [nativeVideo] - Player state (cumulativeStarts and segmentDurations, in seconds)
+ * @returns {Array<{epochMs: number|null, startMs: number, durationMs: number}>}
+ */
+export function getSegmentTimeline(groups, nativeVideo) {
+    const cumStarts = nativeVideo?.cumulativeStarts || [];
+    return (groups || []).map((group, i) => ({
+        epochMs: parseTimestampKeyToEpochMs(group.timestampKey),
+        startMs: (cumStarts[i] ?? i * 60) * 1000,
+        durationMs: (nativeVideo?.segmentDurations?.[i] || 60) * 1000
+    }));
+}
+
+/**
+ * Convert a wall-clock time to a collection-relative position
+ * @param {number} epochMs
+ * @param {Array<Object>} timeline - From getSegmentTimeline
+ * @param {{clamp?: boolean}} [options] - clamp: times in a gap or outside the clips snap to the nearest
+ *   earlier segment (start of the collection if none) instead of returning null
+ * @returns {number|null} Milliseconds on the collection timeline, or null if no segment covers it
+ */
+export function epochToCollectionMs(epochMs, timeline, { clamp = false } = {}) {
+    if (clamp) {
+        let position = 0;
+        for (const seg of timeline) {
+            if (seg.epochMs == null || seg.epochMs > epochMs) continue;
+            position = seg.startMs + Math.min(epochMs - seg.epochMs, seg.durationMs - 1);
+        }
+        return position;
+    }
+    for (const seg of timeline) {
+        if (seg.epochMs == null) continue;
+        const offset = epochMs - seg.epochMs;
+        if (offset >= 0 && offset < Math.max(seg.durationMs, SEGMENT_FALLBACK_MS)) {
+            return seg.startMs + Math.min(offset, seg.durationMs);
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert a collection-relative position back to wall-clock time
+ * @returns {number|null} Epoch ms, or null when segment timestamps are unknown
+ */
+export function collectionMsToEpoch(timeMs, timeline) {
+    for (let i = timeline.length - 1; i >= 0; i--) {
+        const seg = timeline[i];
+        if (timeMs >= seg.startMs && seg.epochMs != null) return seg.epochMs + (timeMs - seg.startMs);
+    }
+    return null;
+}
@@ -4,6 +4,7 @@
  */
 
 import { filePathToUrl } from '../lib/utils.js';
+import { parseTimestampKeyToEpochMs } from './clipBrowser.js';
 
 /**
  * Check if SEI data contains valid GPS coordinates
@@ -25,7 +26,7 @@ export function hasValidGps(sei) {
 /**
  * Extract SEI telemetry from an ArrayBuffer using DashcamMP4 parser
  * @param {ArrayBuffer} buffer - Video file buffer
- * @returns {Promise<{seiData: Array, mapPath: Array}>}
+ * @returns {Promise<{seiData: Array, mapPath: Array, frameDurations: Array}>} frameDurations are the stts per-frame durations in ms
  */
 async function extractSeiFromBuffer(buffer) {
     if (!window.DashcamMP4 || !window.DashcamHelpers) {
@@ -38,10 +39,12 @@ async function extractSeiFromBuffer(buffer) {
     
     const seiData = [];
     const mapPath = [];
+    const frameDurations = [];
     let runningMs = 0;
     
     for (const frame of frames) {
         runningMs += frame.duration;
+        frameDurations.push(frame.duration);
         if (frame.sei) {
             seiData.push({ timestampMs: runningMs, sei: frame.sei });
             if (hasValidGps(frame.sei)) {
@@ -54,7 +57,7 @@ async function extractSeiFromBuffer(buffer) {
         }
     }
     
-    return { seiData, mapPath };
+    return { seiData, mapPath, frameDurations };
 }
 
 /**
@@ -125,3 +128,89 @@ export function findSeiAtTime(seiData, timestampMs) {
     
     return closest?.sei || null;
 }
+
+/**
+ * Pick the entry used for telemetry: front camera first, then any available camera
+ * @param {Object} group - Clip group with filesByCamera map
+ * @returns {Object|null} Clip entry
+ */
+export function pickSeiEntry(group) {
+    let entry = group?.filesByCamera?.get('front');
+    if (!entry) {
+        const firstCamera = group?.filesByCamera?.keys().next().value;
+        entry = firstCamera ? group.filesByCamera.get(firstCamera) : null;
+    }
+    return entry || null;
+}
+
+/**
+ * Extract per-frame SEI for a time range of a collection, one segment at a time to keep RAM low
+ * @param {Array} groups - Collection clip groups (in playback order)
+ * @param {Object} options
+ * @param {Array<number>} options.cumulativeStarts - Segment start offsets in seconds
+ * @param {Array<number>} options.segmentDurations - Segment durations in seconds
+ * @param {number} [options.startMs=0] - Range start (collection-relative ms)
+ * @param {number} [options.endMs=Infinity] - Range end (collection-relative ms)
+ * @param {Function} [options.onProgress] - Called with (done, total) after each segment
+ * @param {Function} [options.isCancelled] - Returns true to abort early
+ * @param {Function} [options.mapFrame] - Maps each frame record to what is kept (null drops it); keeps RAM low on long collections
+ * @returns {Promise<Array<{timestampMs: number, epochMs: number|null, segment: number, clip: string, sei: Object}>>}
+ */
+export async function extractCollectionSei(groups, options = {}) {
+    const { cumulativeStarts = [], segmentDurations = [], startMs = 0, endMs = Infinity, onProgress, isCancelled, mapFrame } = options;
+    if (!window.DashcamMP4 || !window.DashcamHelpers) throw new Error('Dashcam parser not available');
+
+    const { SeiMetadata } = await window.DashcamHelpers.initProtobuf();
+
+    const inRange = [];
+    for (let i = 0; i < groups.length; i++) {
+        const segStartMs = (cumulativeStarts[i] || 0) * 1000;
+        const segEndMs = segStartMs + (segmentDurations[i] || 60) * 1000;
+        if (segEndMs > startMs && segStartMs < endMs) inRange.push(i);
+    }
+
+    const result = [];
+    for (let n = 0; n < inRange.length; n++) {
+        if (isCancelled?.()) break;
+        const i = inRange[n];
+        const group = groups[i];
+        const segStartMs = (cumulativeStarts[i] || 0) * 1000;
+        const clipEpochMs = parseTimestampKeyToEpochMs(group.timestampKey);
+        const entry = pickSeiEntry(group);
+
+        try {
+            let buffer = null;
+            if (entry?.file?.path) {
+                const response = await fetch(filePathToUrl(entry.file.path));
+                buffer = await response.arrayBuffer();
+            } else if (entry?.file instanceof File) {
+                buffer = await entry.file.arrayBuffer();
+            }
+
+            if (buffer) {
+                const frames = new window.DashcamMP4(buffer).parseFrames(SeiMetadata);
+                for (const frame of frames) {
+                    if (!frame.sei) continue;
+                    const timestampMs = segStartMs + frame.timestamp;
+                    if (timestampMs < startMs || timestampMs > endMs) continue;
+                    const record = {
+                        timestampMs,
+                        epochMs: clipEpochMs != null ? clipEpochMs + frame.timestamp : null,
+                        segment: i,
+                        clip: group.timestampKey || '',
+                        sei: frame.sei
+                    };
+                    const kept = mapFrame ? mapFrame(record) : record;
+                    if (kept != null) result.push(kept);
+                }
+                buffer = null;
+            }
+        } catch (err) {
+            console.warn(`Failed to extract SEI from segment ${i}:`, err);
+        }
+
+        onProgress?.(n + 1, inRange.length);
+    }
+
+    return result;
+}
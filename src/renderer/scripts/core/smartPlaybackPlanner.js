@@ -0,0 +1,72 @@
+/**
+ * Smart Playback Planner
+ * Finds parked stretches (gear P, not moving) to skip or fast-forward, and moments around brake
+ * or blinker use where playback should drop back to normal speed
+ */
+
+// Defaults; users override these in Settings > Smart Playback
+export const DEFAULT_SMART_PLAYBACK = {
+    parkedAction: 'skip',    // 'skip' jumps over parked stretches, 'fast' plays them at fastRate
+    minParkedSec: 15,        // Shorter stops play normally
+    fastRate: 8,
+    slowPadSec: 3            // 1x window around brake/blinker use (0 = off)
+};
+
+export const PARKED_ACTIONS = ['skip', 'fast'];
+
+const GEAR_PARK = 0;
+const STATIONARY_MPS = 0.2;
+const MAX_SAMPLE_GAP_SEC = 2;    // Larger gaps (missing SEI or clips) end a run
+const PARKED_EDGE_SEC = 1;       // Keep a moment of the stop and the pull-away at normal speed
+
+/**
+ * Merge sorted, possibly overlapping ranges
+ * @param {Array<{start: number, end: number}>} ranges
+ */
+function mergeRanges(ranges) {
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+        else merged.push({ ...range });
+    }
+    return merged;
+}
+
+/**
+ * Plan parked and attention ranges from compact telemetry samples
+ * @param {Array<{speed: number, gear: number|null, brake: number, blinker: number}>} samples - Sorted by time
+ * @param {Array<number>} times - Collection-relative seconds per sample
+ * @param {Object} options - DEFAULT_SMART_PLAYBACK shape
+ * @returns {{parked: Array<{start: number, end: number}>, attention: Array<{start: number, end: number}>}}
+ */
+export function planSmartPlayback(samples, times, options = DEFAULT_SMART_PLAYBACK) {
+    const parked = [];
+    const attention = [];
+    let runStart = null;
+    let runEnd = null;
+
+    const closeRun = () => {
+        if (runStart != null && runEnd - runStart >= options.minParkedSec) {
+            parked.push({ start: runStart + PARKED_EDGE_SEC, end: runEnd - PARKED_EDGE_SEC });
+        }
+        runStart = null;
+    };
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        const time = times[i];
+        const isParked = sample.gear === GEAR_PARK && sample.speed < STATIONARY_MPS;
+        if (runStart != null && (!isParked || time - runEnd > MAX_SAMPLE_GAP_SEC)) closeRun();
+        if (isParked) {
+            if (runStart == null) runStart = time;
+            runEnd = time;
+        }
+        if (options.slowPadSec > 0 && (sample.brake || sample.blinker) && sample.speed >= STATIONARY_MPS) {
+            attention.push({ start: time - options.slowPadSec, end: time + options.slowPadSec });
+        }
+    }
+    closeRun();
+
+    return { parked, attention: mergeRanges(attention) };
+}
@@ -5,7 +5,10 @@
 
 import { yieldToUI } from '../ui/loadingOverlay.js';
 import { t } from '../lib/i18n.js';
-import { parseTimestampKeyToEpochMs } from './clipBrowser.js';
+import {
+    parseTeslaCamPath, parseClipFilename, takesCameraSlot, parseTimestampKeyToEpochMs,
+    getEventId, getEventAssetKind, getCollectionKey
+} from './teslaCamPaths.mjs';
 
 export function getRootFolderNameFromWebkitRelativePath(relPath) {
     if (!relPath || typeof relPath !== 'string') return null;
@@ -28,62 +31,6 @@ export function getBestEffortRelPath(file, directoryName = null) {
     return directoryName ? `${directoryName}/${file.name}` : file.name;
 }
 
-export function parseTeslaCamPath(relPath) {
-    const norm = (relPath || '').replace(/\\/g, '/');
-    const parts = norm.split('/').filter(Boolean);
-
-    // Known clip folder names (case-insensitive)
-    const clipFolders = ['recentclips', 'sentryclips', 'savedclips'];
-    
-    // Find any known parent folder (TeslaCam, teslausb, or any folder containing clip subfolders)
-    // First, look for a clip folder directly in the path
-    const clipFolderIdx = parts.findIndex(p => clipFolders.includes(p.toLowerCase()));
-    if (clipFolderIdx >= 0) {
-        // Found a clip folder - use it as the tag
-        const tag = parts[clipFolderIdx];
-        const rest = parts.slice(clipFolderIdx + 1);
-        return { tag, rest };
-    }
-
-    // Legacy: Find "TeslaCam" or "teslausb" segment if present
-    const knownRoots = ['teslacam', 'teslausb'];
-    const rootIdx = parts.findIndex(p => knownRoots.includes(p.toLowerCase()));
-    if (rootIdx >= 0 && parts.length > rootIdx + 1) {
-        const tag = parts[rootIdx + 1];
-        const rest = parts.slice(rootIdx + 2);
-        return { tag, rest };
-    }
-
-    // No known root: best effort tag from first folder if any
-    if (parts.length >= 2) return { tag: parts[0], rest: parts.slice(1) };
-    return { tag: 'Unknown', rest: parts.slice(1) };
-}
-
-export function parseClipFilename(name) {
-    // Tesla naming: YYYY-MM-DD_HH-MM-SS-front.mp4
-    // Also seen in Sentry: same naming inside event folder; also "event.mp4" which we ignore.
-    const lower = name.toLowerCase();
-    if (!lower.endsWith('.mp4')) return null;
-    if (lower === 'event.mp4') return null;
-
-    const m = name.match(/^(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})-(.+)\.mp4$/i);
-    if (!m) return null;
-    const timestampKey = `${m[1]}_${m[2]}`;
-    const cameraRaw = m[3];
-    return { timestampKey, camera: normalizeCamera(cameraRaw) };
-}
-
-export function normalizeCamera(cameraRaw) {
-    const c = (cameraRaw || '').toLowerCase();
-    if (c === 'front') return 'front';
-    if (c === 'back') return 'back';
-    if (c === 'left_repeater' || c === 'left') return 'left_repeater';
-    if (c === 'right_repeater' || c === 'right') return 'right_repeater';
-    if (c === 'left_pillar') return 'left_pillar';
-    if (c === 'right_pillar') return 'right_pillar';
-    return c || 'unknown';
-}
-
 export function cameraLabel(camera) {
     if (camera === 'front') return t('ui.cameras.front');
     if (camera === 'back') return t('ui.cameras.back');
@@ -108,18 +55,13 @@ export async function buildTeslaCamIndex(files, directoryName = null, onProgress
         const relPath = getBestEffortRelPath(file, directoryName);
         const { tag, rest } = parseTeslaCamPath(relPath);
         const filename = rest[rest.length - 1] || file.name;
-        const lowerName = String(filename || '').toLowerCase();
 
         // Event assets (event.json / event.png / event.mp4) for SentryClips and SavedClips
-        const tagLowerAsset = tag.toLowerCase();
-        if ((tagLowerAsset === 'sentryclips' || tagLowerAsset === 'savedclips') && rest.length >= 2 && (lowerName === 'event.json' || lowerName === 'event.png' || lowerName === 'event.mp4')) {
-            const eventId = rest[0];
-            const key = `${tag}/${eventId}`;
+        const assetKind = getEventAssetKind(tag, rest, filename);
+        if (assetKind) {
+            const key = `${tag}/${rest[0]}`;
             if (!eventAssetsByKey.has(key)) eventAssetsByKey.set(key, {});
-            const entry = eventAssetsByKey.get(key);
-            if (lowerName === 'event.json') entry.jsonFile = file;
-            if (lowerName === 'event.png') entry.pngFile = file;
-            if (lowerName === 'event.mp4') entry.mp4File = file;
+            eventAssetsByKey.get(key)[`${assetKind}File`] = file;
             processed++;
             continue;
         }
@@ -134,11 +76,7 @@ export async function buildTeslaCamIndex(files, directoryName = null, onProgress
         // SentryClips/<eventId>/YYYY-...-front.mp4
         // SavedClips/<eventId>/YYYY-...-front.mp4
         // RecentClips/YYYY-...-front.mp4
-        let eventId = null;
-        const tagLower = tag.toLowerCase();
-        if ((tagLower === 'sentryclips' || tagLower === 'savedclips') && rest.length >= 2) {
-            eventId = rest[0];
-        }
+        const eventId = getEventId(tag, rest);
 
         const groupId = `${tag}/${eventId ? eventId + '/' : ''}${parsed.timestampKey}`;
         if (!groups.has(groupId)) {
@@ -156,7 +94,9 @@ export async function buildTeslaCamIndex(files, directoryName = null, onProgress
             });
         }
         const g = groups.get(groupId);
-        g.filesByCamera.set(parsed.camera, { file, relPath, tag, eventId, timestampKey: parsed.timestampKey, camera: parsed.camera });
+        if (takesCameraSlot(parsed, g.filesByCamera.get(parsed.camera))) {
+            g.filesByCamera.set(parsed.camera, { file, relPath, tag, eventId, timestampKey: parsed.timestampKey, camera: parsed.camera });
+        }
 
         // try to infer folder label from relPath root if possible
         if (!inferredRoot && relPath) inferredRoot = relPath.split('/')[0] || null;
@@ -198,10 +138,8 @@ export function buildDayCollections(groups) {
     const allDates = new Set();
 
     for (const g of groups) {
-        const key = String(g.timestampKey || '');
-        const day = key.split('_')[0] || 'Unknown';
-        const type = (g.tag || '').toLowerCase();
-        
+        const { type, day } = getCollectionKey(g);
+
         allDates.add(day);
         
         if (!byDay.has(day)) {
@@ -214,12 +152,12 @@ export function buildDayCollections(groups) {
         }
         const dayData = byDay.get(day);
         
-        if (type === 'recentclips') {
+        if (type === 'recent') {
             dayData.recent.push(g);
-        } else if (type === 'sentryclips' && g.eventId) {
+        } else if (type === 'sentry') {
             if (!dayData.sentry.has(g.eventId)) dayData.sentry.set(g.eventId, []);
             dayData.sentry.get(g.eventId).push(g);
-        } else if (type === 'savedclips' && g.eventId) {
+        } else if (type === 'saved') {
             if (!dayData.saved.has(g.eventId)) dayData.saved.set(g.eventId, []);
             dayData.saved.get(g.eventId).push(g);
         } else {
@@ -0,0 +1,127 @@
+/**
+ * TeslaCam Path Rules
+ * Folder, event and clip filename parsing shared by the renderer index (core/teslaCamIndex.js)
+ * and the main-process index (src/main/teslaCamIndex.js). No browser or Node imports, so the
+ * main process can require() it as-is.
+ */
+
+// Known clip folder names (case-insensitive)
+export const CLIP_FOLDERS = ['recentclips', 'sentryclips', 'savedclips'];
+
+// Legacy roots that hold clip folders directly
+export const KNOWN_ROOTS = ['teslacam', 'teslausb'];
+
+// Per-event files inside SentryClips/<eventId> and SavedClips/<eventId>
+export const EVENT_ASSETS = ['event.json', 'event.png', 'event.mp4'];
+
+export function parseTeslaCamPath(relPath) {
+    const norm = (relPath || '').replace(/\\/g, '/');
+    const parts = norm.split('/').filter(Boolean);
+
+    // Find any known parent folder (TeslaCam, teslausb, or any folder containing clip subfolders)
+    // First, look for a clip folder directly in the path
+    const clipFolderIdx = parts.findIndex(p => CLIP_FOLDERS.includes(p.toLowerCase()));
+    if (clipFolderIdx >= 0) {
+        // Found a clip folder - use it as the tag
+        return { tag: parts[clipFolderIdx], rest: parts.slice(clipFolderIdx + 1) };
+    }
+
+    // Legacy: Find "TeslaCam" or "teslausb" segment if present
+    const rootIdx = parts.findIndex(p => KNOWN_ROOTS.includes(p.toLowerCase()));
+    if (rootIdx >= 0 && parts.length > rootIdx + 1) {
+        return { tag: parts[rootIdx + 1], rest: parts.slice(rootIdx + 2) };
+    }
+
+    // No known root: best effort tag from first folder if any
+    if (parts.length >= 2) return { tag: parts[0], rest: parts.slice(1) };
+    return { tag: 'Unknown', rest: parts.slice(1) };
+}
+
+export function normalizeCamera(cameraRaw) {
+    const c = (cameraRaw || '').toLowerCase();
+    if (c === 'front') return 'front';
+    if (c === 'back') return 'back';
+    if (c === 'left_repeater' || c === 'left') return 'left_repeater';
+    if (c === 'right_repeater' || c === 'right') return 'right_repeater';
+    if (c === 'left_pillar') return 'left_pillar';
+    if (c === 'right_pillar') return 'right_pillar';
+    return c || 'unknown';
+}
+
+export function parseClipFilename(name) {
+    // Tesla naming: YYYY-MM-DD_HH-MM-SS-front.mp4
+    // Also seen in Sentry: same naming inside event folder; also "event.mp4" which we ignore.
+    // Clip Health repairs are written next to the original as YYYY-MM-DD_HH-MM-SS-front.repaired.mp4
+    const lower = String(name || '').toLowerCase();
+    if (!lower.endsWith('.mp4')) return null;
+    if (lower === 'event.mp4') return null;
+
+    const m = name.match(/^(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})-(.+?)(\.repaired)?\.mp4$/i);
+    if (!m) return null;
+    return { timestampKey: `${m[1]}_${m[2]}`, camera: normalizeCamera(m[3]), repaired: !!m[4] };
+}
+
+/**
+ * Whether a parsed clip should take its camera's slot in a group
+ * (a repaired copy replaces the broken original, whichever is listed first)
+ * @param {{repaired: boolean}} parsed - From parseClipFilename
+ * @param {*} existing - What the group already holds for that camera
+ */
+export function takesCameraSlot(parsed, existing) {
+    return parsed.repaired || !existing;
+}
+
+/**
+ * Parse timestamp key to epoch milliseconds (Tesla filenames are in vehicle local time).
+ */
+export function parseTimestampKeyToEpochMs(timestampKey) {
+    const m = String(timestampKey || '').match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const [, Y, Mo, D, h, mi, s] = m;
+    return new Date(+Y, +Mo - 1, +D, +h, +mi, +s, 0).getTime();
+}
+
+/**
+ * SentryClips and SavedClips keep one subfolder per event
+ */
+export function isEventTag(tag) {
+    const tagLower = String(tag || '').toLowerCase();
+    return tagLower === 'sentryclips' || tagLower === 'savedclips';
+}
+
+/**
+ * Event folder a file belongs to: SentryClips/<eventId>/... and SavedClips/<eventId>/...
+ * @param {string} tag - From parseTeslaCamPath
+ * @param {Array<string>} rest - Path parts below the tag
+ * @returns {string|null}
+ */
+export function getEventId(tag, rest) {
+    return isEventTag(tag) && rest.length >= 2 ? rest[0] : null;
+}
+
+/**
+ * Which event asset a file is (event.json / event.png / event.mp4 inside an event folder)
+ * @returns {'json'|'png'|'mp4'|null}
+ */
+export function getEventAssetKind(tag, rest, filename) {
+    const lowerName = String(filename || '').toLowerCase();
+    if (!getEventId(tag, rest) || !EVENT_ASSETS.includes(lowerName)) return null;
+    return lowerName.replace('event.', '');
+}
+
+/**
+ * Collection a clip group belongs to: one per Sentry/Saved event, one per RecentClips day,
+ * one per day for clips outside the standard folders
+ * @param {{tag: string, eventId: string|null, timestampKey: string}} group
+ * @returns {{id: string, type: 'recent'|'sentry'|'saved'|'custom', day: string}}
+ */
+export function getCollectionKey(group) {
+    const day = String(group.timestampKey || '').split('_')[0] || 'Unknown';
+    const tagLower = String(group.tag || '').toLowerCase();
+    let type = 'custom';
+    if (tagLower === 'recentclips') type = 'recent';
+    else if (tagLower === 'sentryclips' && group.eventId) type = 'sentry';
+    else if (tagLower === 'savedclips' && group.eventId) type = 'saved';
+    const id = type === 'sentry' || type === 'saved' ? `${type}:${day}:${group.eventId}` : `${type}:${day}`;
+    return { id, type, day };
+}
@@ -14,7 +14,7 @@ export const translations = {
             eventTypes: { manualSave: "Manual Save", honk: "Honk", objectDetected: "Object Detected", emergencyBraking: "Emergency Braking", accelerationDetected: "Acceleration Detected", collisionDetected: "Collision Detected" },
             map: { recenter: "Re-center map", hint: "Right-click drag to move" },
             playback: { play: "Play", pause: "Pause", skipBack: "Skip back 15 seconds", skipForward: "Skip forward 15 seconds", playbackSpeed: "Playback speed", setStartMarker: "Set export start point", setEndMarker: "Set export end point", exportVideo: "Export video", supportChat: "Support Chat", settings: "Settings", toggleDetails: "Toggle Details", lateralG: "Lateral G", longitudinalG: "Longitudinal G", heading: "Heading", openExportDetails: "Open export details" },
-            export: { title: "Export Video", start: "Start", end: "End", inPoint: "Start", outPoint: "End", duration: "Duration", layout: "Layout", quality: "Quality", overlays: "Overlays", timestamp: "Timestamp", dashboard: "Dashboard", cancel: "Cancel", exportBtn: "Export", preparing: "Preparing...", exporting: "Exporting...", compact: "Compact", detailed: "Detailed", teslaMobile: "Tesla Mobile", mobile: "Mobile", teslaMobilePositionDesc: "Top or bottom of clip", bottom: "Bottom", top: "Top", medium: "Medium", high: "High", maximum: "Maximum", timestampDesc: "Burn-in recording date and time", dashboardDesc: "Burn-in speed, gear, and telemetry", position: "Position", positionDesc: "Placement on video", style: "Style", styleDesc: "Dashboard visual style", size: "Size", sizeDesc: "Dashboard size", sizeSmall: "Small (25%)", sizeMedium: "Medium (35%)", sizeLarge: "Large (45%)", sizeXLarge: "X-Large (55%)", blurType: "Blur Method", blurTypeDesc: "Choose blur method based on speed vs quality", addBlurZone: "Add Blur Zone", addBlurZoneDesc: "Redact sensitive information before sharing", addZone: "Add Zone", bottomCenter: "Bottom Center", bottomLeft: "Bottom Left", bottomRight: "Bottom Right", topCenter: "Top Center", topLeft: "Top Left", topRight: "Top Right", blurSolid: "Solid (Fast)", blurTrue: "True Blur (Slow)", blurZoneEditor: "Blur Zone Editor", blurZoneCount: "{count} blur zone(s) configured", blurZoneInstructions: "Click and drag the corner handles to resize. Hover over edges to add new points. Click on points to create complex shapes.", saveZone: "Save Zone", dashboardGpuWarning: "Dashboard overlay requires GPU encoding. No compatible GPU detected.", dashboardPrerendered: "Dashboard is pre-rendered for optimal performance.", maxQualityWarning: "Maximum quality uses HEVC encoding if GPU available.", frontCamWarning: "Front camera will be scaled down to match other cameras.", minimap: "GPS Minimap", minimapDesc: "Show route and position on map", minimapNoGps: "No GPS data found in selected clips.", minimapPosition: "Position", minimapPositionDesc: "Corner placement", minimapSize: "Size", minimapSizeDesc: "Minimap size", minimapRenderMode: "Render Mode", minimapRenderModeDesc: "Speed vs quality", minimapStaticFast: "Static Map (Fast)", minimapLiveSlow: "Live Map (Slow)", shareClip: "Share Clip", shareClipNew: "NEW", generateShareableLink: "Generate Shareable Link", generateShareableLinkDesc: "Upload to Sentry Studio servers after export", shareClipInfo: "Your clip will be available for <strong>{hours}</strong> at clip.sentry-six.com", shareClipWarning: "Sharing is only available for exports under 5 minutes", minimapStaticDesc: "Static map: Downloads map tiles once, overlays route path and position marker. Fast export, requires internet.", minimapLiveDesc: "Live map: Renders each frame with Leaflet. Shows real-time map updates but much slower export.", renderingMinimap: "Rendering minimap...", minimapNoGpsDisabled: "No GPS data available for minimap overlay. Minimap will be disabled.", minimapGpsExtractFailed: "Failed to extract GPS data. Minimap will be disabled.", output: "Output", checkingFfmpeg: "Checking FFmpeg...", ffmpegReady: "FFmpeg ready", cpuOnly: "CPU only (no GPU encoder)", ffmpegRequiredMac: "FFmpeg required. Run in Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg not found. Place ffmpeg.exe in the ffmpeg_bin folder.", notAvailable: "Export not available (running in browser)", ffmpegError: "Error checking FFmpeg", blurZonesStatus: "{count} blur zone(s) - Dashboard overlay disabled", blurZonesWarning: "Warning: Blur zones configured for unselected cameras ({cameras}) will not be applied", minimizeHint: "You can minimize this window to continue watching footage. Export will continue in the background.", analyzingSegments: "Analyzing segments...", buildingExport: "Building export...", exportingWithEncoder: "Exporting with {encoder}...", exportingWithCpu: "Exporting with CPU...", exportingPercent: "Exporting... {percent}%", exportCompleteMB: "Export complete! ({size} MB)", exportFailedCode: "Export failed (code {code})", exportFailedNoSpace: "Export failed: Not enough disk space. Free up space on the destination drive and try again.", exportFailedPermission: "Export failed: Permission denied. Try saving to a different folder or check folder permissions.", exportFailedPathNotFound: "Export failed: Destination folder not found. The drive may have been disconnected. Please check the path and try again.", exportFailedReadOnly: "Export failed: The destination drive is read-only. Remove write protection or choose a different drive.", exportFailedInvalidPath: "Export failed: Invalid file path. Try a shorter path or remove special characters from the folder name.", exportFailedGpuMemory: "Export failed: GPU ran out of memory. Close other GPU-heavy applications or try a lower quality setting.", exportFailedGpuUnavailable: "Export failed: GPU encoder is no longer available. Try restarting the app or check your GPU drivers.", exportFailedGpuEncoderInit: "Export failed: Encoder could not start at this resolution. Try a lower quality setting.", exportFailedSourceLost: "Export failed: Source files became inaccessible during export. Check that the source drive is still connected.", blurZoneFailed: "Privacy blur zones failed to apply. Your exported video is NOT blurred. Please reinstall the app or contact support.", openFileLocation: "Would you like to open the file location?", layoutHint: "Drag to reposition \u2022 Cards snap to edges", privacy: "Privacy", blurZoneHint: "Redact license plates or sensitive info", timelapse: "Time-Lapse", enableTimelapse: "Enable Time-Lapse", enableTimelapseDesc: "Speed up footage for a condensed overview", timelapseSpeed: "Speed", timelapseSpeedDesc: "Playback speed multiplier", timelapseOverlayNote: "Dashboard, minimap, and timestamp overlays will be synced to the time-lapse speed. Audio is removed.", timelapseDuration: "Duration → Time-Lapse Duration", shareLinkExpiry: "Link expires in {hours}", restoreBannerText: "{count} previous privacy zone(s) found", restoreBannerRestore: "Restore", restoreBannerDismiss: "Dismiss", restoreBannerRestored: "Privacy zones restored" },
+            export: { title: "Export Video", start: "Start", end: "End", inPoint: "Start", outPoint: "End", duration: "Duration", layout: "Layout", quality: "Quality", overlays: "Overlays", timestamp: "Timestamp", dashboard: "Dashboard", cancel: "Cancel", exportBtn: "Export", preparing: "Preparing...", exporting: "Exporting...", compact: "Compact", detailed: "Detailed", teslaMobile: "Tesla Mobile", mobile: "Mobile", teslaMobilePositionDesc: "Top or bottom of clip", bottom: "Bottom", top: "Top", medium: "Medium", high: "High", maximum: "Maximum", timestampDesc: "Burn-in recording date and time", dashboardDesc: "Burn-in speed, gear, and telemetry", position: "Position", positionDesc: "Placement on video", style: "Style", styleDesc: "Dashboard visual style", size: "Size", sizeDesc: "Dashboard size", sizeSmall: "Small (25%)", sizeMedium: "Medium (35%)", sizeLarge: "Large (45%)", sizeXLarge: "X-Large (55%)", blurType: "Blur Method", blurTypeDesc: "Choose blur method based on speed vs quality", addBlurZone: "Add Blur Zone", addBlurZoneDesc: "Redact sensitive information before sharing", addZone: "Add Zone", bottomCenter: "Bottom Center", bottomLeft: "Bottom Left", bottomRight: "Bottom Right", topCenter: "Top Center", topLeft: "Top Left", topRight: "Top Right", blurSolid: "Solid (Fast)", blurTrue: "True Blur (Slow)", blurZoneEditor: "Blur Zone Editor", blurZoneCount: "{count} blur zone(s) configured", blurZoneInstructions: "Click and drag the corner handles to resize. Hover over edges to add new points. Click on points to create complex shapes.", saveZone: "Save Zone", dashboardGpuWarning: "Dashboard overlay requires GPU encoding. No compatible GPU detected.", dashboardPrerendered: "Dashboard is pre-rendered for optimal performance.", maxQualityWarning: "Maximum quality uses HEVC encoding if GPU available.", frontCamWarning: "Front camera will be scaled down to match other cameras.", minimap: "GPS Minimap", minimapDesc: "Show route and position on map", minimapNoGps: "No GPS data found in selected clips.", minimapPosition: "Position", minimapPositionDesc: "Corner placement", minimapSize: "Size", minimapSizeDesc: "Minimap size", minimapRenderMode: "Render Mode", minimapRenderModeDesc: "Speed vs quality", minimapStaticFast: "Static Map (Fast)", minimapLiveSlow: "Live Map (Slow)", shareClip: "Share Clip", shareClipNew: "NEW", generateShareableLink: "Generate Shareable Link", generateShareableLinkDesc: "Upload to Sentry Studio servers after export", shareClipInfo: "Your clip will be available for <strong>{hours}</strong> at clip.sentry-six.com", shareClipWarning: "Sharing is only available for exports under 5 minutes", minimapStaticDesc: "Static map: Downloads map tiles once, overlays route path and position marker. Fast export, requires internet.", minimapLiveDesc: "Live map: Renders each frame with Leaflet. Shows real-time map updates but much slower export.", renderingMinimap: "Rendering minimap...", minimapNoGpsDisabled: "No GPS data available for minimap overlay. Minimap will be disabled.", minimapGpsExtractFailed: "Failed to extract GPS data. Minimap will be disabled.", output: "Output", checkingFfmpeg: "Checking FFmpeg...", ffmpegReady: "FFmpeg ready", cpuOnly: "CPU only (no GPU encoder)", ffmpegRequiredMac: "FFmpeg required. Run in Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg not found. Place ffmpeg.exe in the ffmpeg_bin folder.", notAvailable: "Export not available (running in browser)", ffmpegError: "Error checking FFmpeg", blurZonesStatus: "{count} blur zone(s) - Dashboard overlay disabled", blurZonesWarning: "Warning: Blur zones configured for unselected cameras ({cameras}) will not be applied", minimizeHint: "You can minimize this window to continue watching footage. Export will continue in the background.", analyzingSegments: "Analyzing segments...", buildingExport: "Building export...", exportingWithEncoder: "Exporting with {encoder}...", exportingWithCpu: "Exporting with CPU...", exportingPercent: "Exporting... {percent}%", exportCompleteMB: "Export complete! ({size} MB)", exportFailedCode: "Export failed (code {code})", exportFailedNoSpace: "Export failed: Not enough disk space. Free up space on the destination drive and try again.", exportFailedPermission: "Export failed: Permission denied. Try saving to a different folder or check folder permissions.", exportFailedPathNotFound: "Export failed: Destination folder not found. The drive may have been disconnected. Please check the path and try again.", exportFailedReadOnly: "Export failed: The destination drive is read-only. Remove write protection or choose a different drive.", exportFailedInvalidPath: "Export failed: Invalid file path. Try a shorter path or remove special characters from the folder name.", exportFailedGpuMemory: "Export failed: GPU ran out of memory. Close other GPU-heavy applications or try a lower quality setting.", exportFailedGpuUnavailable: "Export failed: GPU encoder is no longer available. Try restarting the app or check your GPU drivers.", exportFailedGpuEncoderInit: "Export failed: Encoder could not start at this resolution. Try a lower quality setting.", exportFailedSourceLost: "Export failed: Source files became inaccessible during export. Check that the source drive is still connected.", blurZoneFailed: "Privacy blur zones failed to apply. Your exported video is NOT blurred. Please reinstall the app or contact support.", openFileLocation: "Would you like to open the file location?", layoutHint: "Drag to reposition \u2022 Cards snap to edges", privacy: "Privacy", blurZoneHint: "Redact license plates or sensitive info", timelapse: "Time-Lapse", enableTimelapse: "Enable Time-Lapse", enableTimelapseDesc: "Speed up footage for a condensed overview", timelapseSpeed: "Speed", timelapseSpeedDesc: "Playback speed multiplier", timelapseOverlayNote: "Dashboard, minimap, and timestamp overlays will be synced to the time-lapse speed. Audio is removed.", timelapseDuration: "Duration → Time-Lapse Duration", shareLinkExpiry: "Link expires in {hours}", restoreBannerText: "{count} previous privacy zone(s) found", restoreBannerRestore: "Restore", restoreBannerDismiss: "Dismiss", restoreBannerRestored: "Privacy zones restored", telemetryData: "Telemetry Data", telemetryDataDesc: "Per-frame speed, gear, pedals, steering, blinkers, Autopilot state, GPS and acceleration for the selected range. No video is re-encoded.", exportTelemetry: "Export Telemetry", telemetrySelectFormat: "Select at least one telemetry format", telemetryInProgress: "An export is already in progress", telemetryNoGps: "No GPS fix in this range — GPX/KML tracks will be empty", telemetryExported: "Exported {count} telemetry frames to {files} file(s)", telemetryExportFailed: "Telemetry export failed: {error}", subtitles: "Telemetry Subtitles", subtitleSidecar: "Sidecar file", subtitleEmbedded: "Embedded", subtitleEmbeddedDesc: "Track in the MP4", subtitlesDesc: "Time, speed, gear, Autopilot state and GPS position once per second as a subtitle track viewers can turn on and off. Nothing is burned into the video.", shareClipInfoServer: "Your clip will be available for <strong>{hours}</strong> at {host}" },
             settings: {
                 searchPlaceholder: "Search settings...", title: "Settings", general: "General", shortcuts: "Shortcuts", advanced: "Advanced",
                 displaySection: "Display", playbackOverlays: "Playback & Overlays", storageSection: "Storage", aboutUpdates: "About & Updates",
@@ -54,13 +54,40 @@ export const translations = {
                 checkForUpdates: "Check for Updates", checkForUpdatesDesc: "Manually check for new versions", checkNow: "Check Now", checking: "Checking...", upToDate: "Up to Date", checkFailed: "Check Failed", updateFound: "Update Found!",
                 eventHighlights: "Event Highlights", sentryCameraGlow: "Sentry Camera Glow", sentryCameraGlowDesc: "Red glow on triggered camera",
                 savedCameraGlow: "Saved Camera Glow", savedCameraGlowDesc: "Yellow glow on triggered camera",
-                cameraLayout: "Camera Layout", resetCameraOrder: "Reset Camera Order", resetCameraOrderDesc: "Restore default grid positions", reset: "Reset"
+                cameraLayout: "Camera Layout", resetCameraOrder: "Reset Camera Order", resetCameraOrderDesc: "Restore default grid positions", reset: "Reset",
+                indexCache: "Library Index Cache", indexCacheStatus: "{folders} folder(s) cached · {size}", indexCacheEmpty: "No folders cached yet", clearIndexCache: "Clear Cache", indexCacheCleared: "Index cache cleared. Folders will be rescanned the next time they are opened.", indexCacheClearFailed: "Failed to clear index cache: {error}", rebuildIndex: "Rebuild Index", indexRebuilt: "Index rebuilt from the drive.", indexRebuildFailed: "Failed to rebuild index: {error}", indexRebuildNeedsFolder: "Open a dashcam folder first to rebuild its index.",
+                addBookmark: "Add Bookmark",
+                frameForward: "Next Frame", frameBackward: "Previous Frame", saveStill: "Save Still",
+                toggleTelemetryCharts: "Toggle Telemetry Charts",
+                nextMotion: "Next Motion", prevMotion: "Previous Motion", toggleMotionSkipIdle: "Toggle Skip Idle",
+                toggleSmartPlayback: "Toggle Smart Playback",
+                nextMultiLayout: "Next Camera Layout", prevMultiLayout: "Previous Camera Layout",
+                sharingSection: "Clip Sharing", shareServer: "Share Server", shareServerSave: "Save", shareServerReset: "Default", shareServerDesc: "Leave empty to use the hosted Sentry Studio service, or enter the address of your own share server (share-server in the repository) to keep shared clips on your network.", shareServerInvalid: "Could not save share server", shareServerDefault: "Using the hosted Sentry Studio service", shareServerSaved: "Clips will be shared via {url}"
             },
             cameras: { front: "Front", back: "Back", leftPillar: "Left Pillar", rightPillar: "Right Pillar", leftRepeater: "Left Repeater", rightRepeater: "Right Repeater" },
             dashboard: { drive: "Drive", manual: "Manual", noData: "No Data", mph: "MPH", kmh: "KM/H", selfDriving: "Self Driving", autosteer: "Autosteer", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Load a collection first to set export markers", startMarkerSet: "Start marker set", endMarkerSet: "End marker set", exportComplete: "Export complete!", exportCancelled: "Export cancelled", exportFailed: "Export failed", foundDatesWithClips: "Found {count} dates with clips", loadedFilesForDate: "Loaded {count} files for {date}", noDataForDate: "No data for {date}", noClipsFoundForDate: "No clips found for {date}", noDashcamClipsFound: "No video clips found. Select a folder containing video files (.mp4, .avi, .mov, .mkv) or a Tesla dashcam folder with RecentClips, SentryClips, or SavedClips.", metadataParserNotReady: "Metadata parser not initialized yet—try again in a second.", noSupportedFilesFound: "No supported files found in that folder.", failedToLoadVideo: "Failed to load video: {error}", errorSelectingDay: "Error selecting day: {error}", failedToOpenFolder: "Failed to open folder: {error}", failedToInitMetadataParser: "Failed to initialize metadata parser. Make sure protobuf loads and you are not running via file://", capturingSnapshot: "Capturing snapshot...", couldNotFindVideoFile: "Could not find video file for {camera} camera", unsupportedFileType: "Unsupported file type for snapshot", failedToCaptureSnapshot: "Failed to capture snapshot: {error}", blurZoneMinPoints: "Please create a valid blur zone with at least 3 points", failedToGenerateMask: "Failed to generate mask image", failedToExtractMaskData: "Failed to extract mask image data", failedToGetCanvasDimensions: "Failed to get canvas dimensions", blurZoneSaved: "Blur zone saved successfully", failedToSaveBlurZone: "Failed to save blur zone: {error}", exportNotAvailable: "Export not available", exportRequiresFolder: "Export requires selecting a folder via the folder picker. Please re-select your dashcam folder.", selectAtLeastOneCamera: "Please select at least one camera", extractingTelemetry: "Extracting telemetry data...", noTelemetryData: "No telemetry data available for dashboard overlay. Dashboard will be disabled.", failedToExtractTelemetry: "Failed to extract telemetry data. Dashboard will be disabled.", noVideoFilesForExport: "No video files found for export. Please ensure the folder was selected correctly.", exportFailedWithError: "Export failed: {error}", onlyOneAttachment: "Only 1 attachment allowed per message", fileTooLarge: "File \"{filename}\" is too large (max 100MB)", enterMessageOrAttach: "Please enter a message or attach a file", supportTicketClosed: "Support ticket closed", newSupportMessages: "{count} new support message(s) received", cameraOrderReset: "Camera order reset to default", collectingDiagnostics: "Collecting diagnostic data...", uploadingDiagnostics: "Uploading diagnostics...", supportIdCopied: "Support ID: {supportId} - Copied to clipboard!", failedToUploadDiagnostics: "Failed to upload diagnostics: {error}", uploadFailed: "Upload failed: {error}", supportIdCopiedSimple: "Support ID copied to clipboard!", failedToCopy: "Failed to copy: {error}", failedToGenerateSupportId: "Failed to generate Support ID: {error}" },
             supportChat: { title: "Support Chat", needHelp: "Need Help?", welcomeDesc: "Start a support conversation with us. Describe your issue, bug, or feedback and we'll respond as soon as possible.", welcomeNote: "You can attach screenshots/videos and diagnostic data to help us understand your issue better.", diagnostics: "Diagnostics", attach: "Attach", placeholder: "Describe your issue or feedback...", privacyNote: "Data auto-deletes after 7 days", ticketClosed: "This ticket has been closed.", createNewTicket: "Create New Support Ticket", closeTicket: "Close Ticket", minimize: "Minimize", closePanel: "Close Panel", sendMessage: "Send message", includeDiagnostics: "Include diagnostic data", attachFiles: "Attach files", you: "You", support: "Support" },
-            sharedClips: { title: "My Shared Clips", emptyTitle: "No shared clips yet", emptyDesc: "Export a clip with sharing enabled to see it here", clickHint: "Select a clip to view details", copyLink: "Copy Link", open: "Open", delete: "Delete", deleteTitle: "Delete Shared Clip", deleteConfirm: "Are you sure you want to delete", deleteWarning: "This will permanently remove the clip from Sentry Studio servers. Anyone with the link will no longer be able to view or download it.", cancel: "Cancel", deleteClip: "Delete Clip" }
+            sharedClips: { title: "My Shared Clips", emptyTitle: "No shared clips yet", emptyDesc: "Export a clip with sharing enabled to see it here", clickHint: "Select a clip to view details", copyLink: "Copy Link", open: "Open", delete: "Delete", deleteTitle: "Delete Shared Clip", deleteConfirm: "Are you sure you want to delete", deleteWarning: "This will permanently remove the clip from Sentry Studio servers. Anyone with the link will no longer be able to view or download it.", cancel: "Cancel", deleteClip: "Delete Clip", resumeUpload: "Resume Upload" },
+            exportQueue: { title: "Export Queue", addToQueue: "Add to Queue", jobAdded: "Added to export queue: {name}", jobDone: "Queued export finished: {name}", jobFailed: "Queued export failed: {name} ({error})", actionFailed: "Export queue error: {error}", emptyTitle: "No queued exports", emptyDesc: "Use \"Add to Queue\" in the export window to line up several exports", pausedNote: "Queue is paused. The current export finishes, but no new jobs start until you resume.", clearFinished: "Clear Finished", pauseQueue: "Pause Queue", resumeQueue: "Resume Queue", moveUp: "Move up", moveDown: "Move down", pause: "Pause", resume: "Resume", retry: "Retry", remove: "Remove", showInFolder: "Show in folder", statusPending: "Waiting", statusRunning: "Exporting", statusPaused: "Paused", statusFailed: "Failed", statusDone: "Done" },
+            incidents: { tab: "Incidents", scan: "Scan", rescan: "Rescan", selectClip: "Open a clip to look for incidents", notScanned: "Not scanned yet", scanning: "Scanning telemetry ({done}/{total})", found: "{count} incident(s) found", scanFailed: "Incident scan failed: {error}", hardBrake: "Hard braking", hardAccel: "Hard acceleration", sharpTurn: "Sharp cornering", impact: "Possible impact", settingsTitle: "Incident Detection", resetThresholds: "Reset Thresholds" },
+            highlightReel: { title: "Highlight Reel", enable: "Create Highlight Reel", enableDesc: "Stitch short clips around key moments into one video", sourceEvents: "Sentry & Saved Events", sourceEventsDesc: "Moment the event was triggered", sourceDisengagements: "FSD Disengagements", sourceDisengagementsDesc: "From SentryUSB drive data", sourceAccelPushes: "Accelerator Pushes", sourceAccelPushesDesc: "Pedal presses while FSD was engaged", sourceBraking: "Hard Braking", sourceBrakingDesc: "Detected from telemetry", paddingBefore: "Before Each Moment", paddingBeforeDesc: "Footage kept before the trigger", paddingAfter: "After Each Moment", paddingAfterDesc: "Footage kept after the trigger", note: "Uses the whole loaded clip instead of the start/end markers. Each moment gets a title card with the date, time and location.", sentryEvent: "Sentry event", savedEvent: "Saved clip", disengagement: "FSD disengagement", accelPush: "Accelerator push", scanningTelemetry: "Scanning telemetry for hard braking…", nothingFound: "No highlights found for the selected sources", tooManyClips: "Found {count} highlights; only the first {max} will be included", renderingClip: "Rendering highlight {current} of {total}…", stitching: "Joining highlights and title cards…" },
+            libraryMap: { open: "Library Map", title: "Library Map", from: "From", to: "To", reason: "Reason", allReasons: "All reasons", drives: "Drives", fit: "Fit to Results", loading: "Reading event locations… {done}/{total}", summary: "{events} event(s) · {drives} drive(s)", noLocations: "Nothing with a location matches these filters", openClip: "Open Clip", openDrive: "Open Drive", noLibrary: "Open a dashcam folder or load SentryUSB drive data first", mapUnavailable: "Map library failed to load. Check your internet connection." },
+            search: { tab: "Search", placeholder: "e.g. reason:honk date:-30d", run: "Search", help: "Query syntax", helpEvents: "Events:", helpTime: "Time:", helpDrives: "Drives:", helpTelemetry: "Telemetry:", helpLogic: "Combine:", readingEvents: "Reading events… {done}/{total}", noLibrary: "Open a dashcam folder to search it", searching: "Searching…", indexingDate: "Indexing {date}…", scanningTelemetry: "Reading telemetry… {done}/{total} clips", found: "{count} result(s)", tooManyResults: "Showing the first {count} results — narrow the query to see more", scanLimited: "Telemetry was read for the {count} most recent matching clips only; add date: to search further back.", failed: "Search failed: {error}", drive: "Drive", sentryEvent: "Sentry event", savedEvent: "Saved clip", recentClips: "Recent clips", customClips: "Clips", errorEmptyGroup: "Expected a search term", errorParen: "Unbalanced parentheses", errorUnexpected: "Unexpected \"{token}\"", errorMissingValue: "Missing value after {field}", errorInvalidValue: "\"{value}\" isn't a valid value for {field}", errorComparator: "\"{cmp}\" can't be used with {field}; use : or !=" },
+            bookmarks: { tab: "Bookmarks", filter: "Filter bookmarks…", add: "Bookmark current moment", addTitle: "Add Bookmark", editTitle: "Edit Bookmark", titleLabel: "Title", titlePlaceholder: "What happened here?", noteLabel: "Notes", colorLabel: "Color", delete: "Delete", cancel: "Cancel", save: "Save", edit: "Edit", untitled: "Untitled bookmark", noFolder: "Open a dashcam folder to add bookmarks", empty: "No bookmarks yet. Use the bookmark button by the timeline to mark a moment.", count: "{count} bookmark(s)", filtered: "{count} of {total} bookmarks", saveFailed: "Couldn't save bookmarks: {error}", savedLocally: "This folder is read-only, so bookmarks are saved on this computer only" },
+            stills: { frameBack: "Previous frame", frameForward: "Next frame", saveStill: "Save still frame", title: "Save Still", sourceLabel: "Camera", wholeGrid: "All cameras (grid)", captionLabel: "Add telemetry caption (time, speed, gear, GPS)", hint: "Saved as a PNG at the cameras' native resolution.", cancel: "Cancel", save: "Save PNG", saveTitle: "Save Still Frame", autopilot: "Autopilot", noVideo: "Open a clip to save a still", noFrame: "The video frame isn't ready yet", saved: "Still saved: {file}", saveFailed: "Failed to save still: {error}" },
+            evidence: { title: "Evidence Package", enable: "Create Evidence Package", enableDesc: "Zip the original clips, event data and telemetry with the video", note: "Includes every camera's untouched clip for the marked range, a report with timestamps and export settings, and a SHA-256 manifest so anyone can check nothing was altered.", verify: "Verify Package...", verifying: "Checking files against SHA256SUMS...", verifyOk: "{name}: all {count} files match the manifest", verifyFailed: "{name}: verification FAILED - the package was changed", verifyError: "Could not verify package: {error}", statusModified: "modified", statusMissing: "missing", statusUnlisted: "not in manifest", noSourceFiles: "No source clips on disk for this range", notWithReel: "Evidence packages cover one continuous range - turn off Highlight Reel first", rendering: "Rendering video for evidence package...", telemetry: "Decoding telemetry...", hashing: "Hashing files ({current}/{total})...", zipping: "Writing zip...", complete: "Evidence package saved ({files} files, {size} MB)" },
+            incidentReport: { title: "Incident Report", generate: "Create incident report", saveTitle: "Save Incident Report", generating: "Building incident report…", saved: "Incident report saved: {file}", failed: "Could not create incident report: {error}", notAvailable: "Incident reports are available for Sentry and Saved events with an event.json", eventDetails: "Event details", eventType: "Event type", reason: "Reason", triggerTime: "Triggered at", triggerCamera: "Triggering camera", location: "Location", coordinates: "Coordinates", sourceFolder: "Source folder", recording: "Recording", clipCount: "{count} clips", keyFrames: "Key frames", trigger: "Trigger", noFrames: "No video frames could be read around the trigger", map: "Location map", mapOffline: "Map tiles could not be downloaded; the route and position are drawn without a background.", noGps: "No GPS position was recorded for this event", telemetry: "Vehicle telemetry ({seconds} s around the trigger)", noTelemetry: "No telemetry was recorded around the trigger (usual while parked)", atTrigger: "At the trigger", speed: "Speed", accelerator: "Accelerator", brake: "Brake", steering: "Steering angle", gear: "Gear", autopilot: "Driver assistance", applied: "Applied", released: "Released", footer: "Generated by Sentry Studio on {date} from the original TeslaCam recordings. Times are as recorded by the car." },
+            telemetryCharts: { title: "Telemetry Charts", toggle: "Telemetry charts", speed: "Speed", accelerator: "Accelerator", brake: "Brake", steering: "Steering", lateralG: "Lateral G", longitudinalG: "Longitudinal G", autopilot: "Autopilot", on: "On", off: "Off", dock: "Dock above controls", undock: "Float panel", resetZoom: "Show whole timeline", close: "Close", noCollection: "Select a clip to plot its telemetry", loading: "Reading telemetry… {done}/{total}", noData: "No telemetry in these clips", scanFailed: "Could not read telemetry: {error}" },
+            timelineStrip: { setting: "Timeline Strip", settingDesc: "Color under the progress bar", speed: "Speed", autopilot: "Autopilot", off: "Off", gapMinutes: "{count} min not recorded", gapSeconds: "{count} s not recorded" },
+            motion: { setting: "Motion Analysis", settingDesc: "Scan Sentry and Saved events for movement on every camera", skipIdleOff: "Skip idle periods", skipIdleOn: "Skipping idle periods (click to turn off)", skipIdleEnabled: "Skipping periods without motion", skipIdleDisabled: "Playing everything", analyzing: "Analyzing motion… {percent}%", analysisFailed: "Motion analysis failed: {error}", noNext: "No more motion after this point", noPrevious: "No motion before this point", skipped: "Skipped {seconds}s without motion" },
+            smartPlayback: { toggle: "Smart playback: skip parked stretches, 1x around brake/blinker", on: "Smart playback is on (click to turn off)", enabled: "Smart playback on", disabled: "Smart playback off", saved: "{time} of parked time skipped or fast-forwarded", settingsTitle: "Smart Playback", parkedAction: "Parked stretches", parkedActionDesc: "Gear in P and not moving", skip: "Skip", fastForward: "Fast-forward", minParked: "Shortest parked stretch", fastRate: "Fast-forward speed", slowPad: "1x around brake/blinker", off: "Off", reset: "Reset Smart Playback" },
+            multiLayouts: { title: "Camera layout", sixDefault: "Default (3×2)", quad: "2×2 (four cameras)", frontFocus: "Large front + 5", frontBack: "Front / Back", pip: "Picture-in-picture", builtIn: "Built-in", custom: "Custom", manage: "Manage", newLayout: "New layout…", editLayout: "Edit layout…", defaultName: "My layout {n}", switched: "Layout: {name}", saved: "Layout \"{name}\" saved", noCameras: "Add at least one camera to the layout", nameLabel: "Name", camerasLabel: "Cameras", editorHint: "Drag to move • Drag the corner to resize • Cards snap to edges", delete: "Delete", cancel: "Cancel", save: "Save" },
+            exportPresets: { label: "Preset", none: "No preset", empty: "No saved presets", save: "Save as preset", rename: "Rename preset", delete: "Delete preset", import: "Import presets", export: "Export presets to file", exportTitle: "Save export presets", fileType: "Export presets", namePlaceholder: "Preset name", confirm: "Save", cancel: "Cancel", saved: "Preset \"{name}\" saved", renamed: "Preset renamed to \"{name}\"", deleted: "Preset \"{name}\" deleted", applied: "Applied preset \"{name}\"", nameTaken: "A preset named \"{name}\" already exists", imported: "Imported {count} preset(s)", exported: "Exported {count} preset(s)", importFailed: "Could not import presets: {error}", exportFailed: "Could not export presets: {error}", camerasUnavailable: "Not in this clip: {cameras}" },
+            exportMetadata: { title: "File Metadata", gpsTrack: "Embed Start Location", gpsTrackDesc: "Where the export begins, for photo and map apps", chapters: "Add Chapters", chaptersDesc: "Markers at each clip, event trigger and FSD disengagement", clipChapter: "Clip {time}", clipChapterUntimed: "Clip" },
+            webGallery: { open: "Web Gallery", title: "Web Gallery", description: "Export the selected events as a folder that opens in any browser, without Sentry Studio or an internet connection. Copy it to a USB stick or a file share.", selectAll: "Select All", selectNone: "Select None", galleryTitle: "Title", defaultTitle: "Sentry Studio Gallery", cameras: "Cameras", trim: "Only export around the event trigger", before: "Seconds before", after: "Seconds after", cancel: "Cancel", export: "Export Gallery", noLibrary: "Open a dashcam folder with Sentry or Saved events first", noEvents: "No Sentry or Saved events in this folder", loading: "Reading events… {done}/{total}", noMatches: "No events match these filters", selectedCount: "{count} of {total} event(s) selected", noSelection: "Select at least one event", queued: "Web gallery with {count} event(s) added to the export queue: {name}", rendering: "Event {current}/{total}: rendering {camera}", writingPage: "Writing gallery page...", complete: "Gallery exported ({events} event(s), {size})", skipped: "{count} event(s) could not be exported: {events}", pageEvents: "{count} event(s)", pageCreated: "Created {date}", pageAllEvents: "All events", pagePrevious: "Previous event", pageNext: "Next event", pagePlay: "Play / pause", pageJumpToEvent: "Jump to event", pageType: "Type", pageDate: "Date", pageLocation: "Location", pageCoordinates: "Coordinates", pageCamera: "Trigger camera", pageDuration: "Duration", pageDistance: "Distance", pageRoute: "Route", pageOpenMap: "Open in OpenStreetMap", pageEventJson: "Download event.json", pageNoRoute: "No GPS data in these clips" },
+            clipHealth: { open: "Clip Health", title: "Clip Health", description: "Finds clips that are empty, unreadable or cut off because the car lost power, and clips with a camera missing. Repaired clips are saved next to the original as .repaired.mp4 and play in its place; the original is never changed.", scan: "Scan Again", repairAll: "Repair All", close: "Close", needsFolder: "Choose a dashcam folder with the folder button first (dropped folders can't be scanned)", reading: "Reading folder…", scanning: "Checking clips… {done}/{total}", summary: "{files} file(s) checked: {problems} problem(s) in {groups} clip group(s)", allGood: "{files} file(s) checked, no problems found", scanFailed: "Scan failed: {error}", statusEmpty: "Empty", statusUnreadable: "Unreadable", statusTruncated: "Truncated", missingCameras: "Missing cameras", repair: "Repair", repaired: "Repaired", repairing: "Repairing {current}/{total}…", repairFailed: "Repair failed: {error}", repairDone: "{repaired} clip(s) repaired, {failed} failed", showInFolder: "Show in folder" },
+            storage: { open: "Storage", title: "Storage", description: "See what is using space in this folder and free it up by day, event or retention rule. Nothing is removed without a preview, and everything goes to the system trash so it can still be restored.", needsFolder: "Open a dashcam folder first to see its storage.", reading: "Reading folder…", measuring: "Measuring {done} of {total} clips…", scanFailed: "Could not measure the folder: {error}", total: "{size} in {count} days and events", byType: "By type", byCamera: "By camera", byDay: "By day", other: "Other", tabUsage: "Usage", tabClips: "Clips", tabRules: "Retention Rules", selectAll: "Select All", selectNone: "Select None", cameraCount: "{count} cameras", selectedCount: "{count} selected · {size}", trashSelected: "Move Selected to Trash", rulesDescription: "Rules only run when you preview and confirm them. Events are kept or removed as a whole; recent clips keep just the bookmarked minutes.", ruleDelete: "Delete", ruleKeepCameras: "Keep only cameras", ruleOlderThan: "older than (days)", ruleExceptBookmarked: "unless bookmarked", ruleRemove: "Remove rule", noRules: "No retention rules yet.", addRule: "Add Rule", previewRules: "Preview", planSummary: "{files} files ({size}) from {count} days and events will be moved to the trash.", planEmpty: "Nothing matches; no files would be removed.", planWhole: "Everything", planCameras: "Cameras: {cameras}", back: "Back", confirmTrash: "Move to Trash", trashing: "Moving {done} of {total} to the trash…", trashDone: "Moved {count} items ({size}) to the trash.", trashPartial: "Moved {trashed} items to the trash; {failed} could not be moved ({error}).", trashFailed: "Could not move to the trash: {error}", close: "Close" }
         },
         welcome: {
             modalTitle: "Welcome to Sentry Studio",
@@ -99,7 +126,7 @@ export const translations = {
             eventTypes: { manualSave: "Guardado Manual", honk: "Bocina", objectDetected: "Objeto Detectado", emergencyBraking: "Frenado de Emergencia", accelerationDetected: "Aceleración Detectada", collisionDetected: "Colisión Detectada" },
             map: { recenter: "Recentrar mapa", hint: "Clic derecho y arrastrar para mover" },
             playback: { play: "Reproducir", pause: "Pausar", skipBack: "Retroceder 15 segundos", skipForward: "Avanzar 15 segundos", playbackSpeed: "Velocidad de reproducción", setStartMarker: "Establecer punto de inicio de exportación", setEndMarker: "Establecer punto de fin de exportación", exportVideo: "Exportar video", supportChat: "Chat de Soporte", settings: "Configuración", toggleDetails: "Alternar Detalles", lateralG: "G Lateral", longitudinalG: "G Longitudinal", heading: "Rumbo", openExportDetails: "Abrir detalles de exportación" },
-            export: { title: "Exportar Video", start: "Inicio", end: "Fin", inPoint: "Inicio", outPoint: "Fin", duration: "Duración", layout: "Diseño", quality: "Calidad", overlays: "Superposiciones", timestamp: "Marca de Tiempo", dashboard: "Tablero", cancel: "Cancelar", exportBtn: "Exportar", preparing: "Preparando...", exporting: "Exportando...", compact: "Compacto", detailed: "Detallado", teslaMobile: "Tesla Mobile", mobile: "Móvil", teslaMobilePositionDesc: "Arriba o abajo del clip", bottom: "Abajo", top: "Arriba", medium: "Medio", high: "Alto", maximum: "Máximo", timestampDesc: "Grabar fecha y hora de grabación", dashboardDesc: "Grabar velocidad, marcha y telemetría", position: "Posición", positionDesc: "Ubicación en el video", style: "Estilo", styleDesc: "Estilo visual del tablero", size: "Tamaño", sizeDesc: "Tamaño del tablero", sizeSmall: "Pequeño (25%)", sizeMedium: "Mediano (35%)", sizeLarge: "Grande (45%)", sizeXLarge: "Extra Grande (55%)", blurType: "Método de Desenfoque", blurTypeDesc: "Elija método según velocidad vs calidad", addBlurZone: "Agregar Zona de Desenfoque", addBlurZoneDesc: "Ocultar información sensible antes de compartir", addZone: "Agregar Zona", bottomCenter: "Centro Inferior", bottomLeft: "Inferior Izquierda", bottomRight: "Inferior Derecha", topCenter: "Centro Superior", topLeft: "Superior Izquierda", topRight: "Superior Derecha", blurSolid: "Sólido (Rápido)", blurTrue: "Desenfoque Real (Lento)", blurZoneEditor: "Editor de Zona de Desenfoque", blurZoneCount: "{count} zona(s) de desenfoque configurada(s)", blurZoneInstructions: "Haga clic y arrastre las esquinas para redimensionar. Pase sobre los bordes para agregar nuevos puntos. Haga clic en los puntos para crear formas complejas.", saveZone: "Guardar Zona", dashboardGpuWarning: "La superposición del tablero requiere codificación GPU. No se detectó GPU compatible.", dashboardPrerendered: "El tablero está pre-renderizado para un rendimiento óptimo.", maxQualityWarning: "La calidad máxima usa codificación HEVC si hay GPU disponible.", frontCamWarning: "La cámara frontal se reducirá para coincidir con otras cámaras.", minimap: "Minimapa GPS", minimapDesc: "Mostrar ruta y posición en el mapa", minimapNoGps: "No se encontraron datos GPS en los clips seleccionados.", minimapPosition: "Posición", minimapPositionDesc: "Ubicación en esquina", minimapSize: "Tamaño", minimapSizeDesc: "Tamaño del minimapa", minimapRenderMode: "Modo de Renderizado", minimapRenderModeDesc: "Velocidad vs calidad", minimapStaticFast: "Mapa Estático (Rápido)", minimapLiveSlow: "Mapa en Vivo (Lento)", shareClip: "Compartir Clip", shareClipNew: "NUEVO", generateShareableLink: "Generar Enlace para Compartir", generateShareableLinkDesc: "Subir a los servidores de Sentry Studio después de exportar", shareClipInfo: "Tu clip estará disponible durante <strong>{hours} horas</strong> en clip.sentry-six.com", shareClipWarning: "Compartir solo está disponible para exportaciones de menos de 5 minutos", minimapStaticDesc: "Mapa estático: Descarga los mosaicos del mapa una vez, superpone la ruta y el marcador de posición. Exportación rápida, requiere internet.", minimapLiveDesc: "Mapa en vivo: Renderiza cada fotograma con Leaflet. Muestra actualizaciones del mapa en tiempo real pero exportación mucho más lenta.", renderingMinimap: "Renderizando minimapa...", minimapNoGpsDisabled: "No hay datos GPS disponibles para la superposición del minimapa. El minimapa se desactivará.", minimapGpsExtractFailed: "Error al extraer datos GPS. El minimapa se desactivará.", output: "Salida", checkingFfmpeg: "Verificando FFmpeg...", ffmpegReady: "FFmpeg listo", cpuOnly: "Solo CPU (sin codificador GPU)", ffmpegRequiredMac: "Se requiere FFmpeg. Ejecute en Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg no encontrado. Coloque ffmpeg.exe en la carpeta ffmpeg_bin.", notAvailable: "Exportación no disponible (ejecutando en navegador)", ffmpegError: "Error al verificar FFmpeg", blurZonesStatus: "{count} zona(s) de desenfoque - Superposición del tablero deshabilitada", blurZonesWarning: "Advertencia: Las zonas de desenfoque configuradas para cámaras no seleccionadas ({cameras}) no se aplicarán", minimizeHint: "Puede minimizar esta ventana para continuar viendo grabaciones. La exportación continuará en segundo plano.", analyzingSegments: "Analizando segmentos...", buildingExport: "Construyendo exportación...", exportingWithEncoder: "Exportando con {encoder}...", exportingWithCpu: "Exportando con CPU...", exportingPercent: "Exportando... {percent}%", exportCompleteMB: "¡Exportación completa! ({size} MB)", exportFailedCode: "Exportación fallida (código {code})", exportFailedNoSpace: "Exportación fallida: No hay suficiente espacio en disco. Libere espacio en la unidad de destino e inténtelo de nuevo.", exportFailedPermission: "Exportación fallida: Permiso denegado. Intente guardar en otra carpeta o verifique los permisos.", exportFailedPathNotFound: "Exportación fallida: Carpeta de destino no encontrada. La unidad puede haberse desconectado. Verifique la ruta e inténtelo de nuevo.", exportFailedReadOnly: "Exportación fallida: La unidad de destino es de solo lectura. Quite la protección contra escritura o elija otra unidad.", exportFailedInvalidPath: "Exportación fallida: Ruta de archivo no válida. Intente una ruta más corta o elimine caracteres especiales del nombre de la carpeta.", exportFailedGpuMemory: "Exportación fallida: La GPU se quedó sin memoria. Cierre otras aplicaciones que usen la GPU o pruebe con una calidad menor.", exportFailedGpuUnavailable: "Exportación fallida: El codificador GPU ya no está disponible. Reinicie la aplicación o verifique los controladores de GPU.", exportFailedSourceLost: "Exportación fallida: Los archivos de origen se volvieron inaccesibles durante la exportación. Verifique que la unidad de origen siga conectada.", blurZoneFailed: "Las zonas de desenfoque de privacidad no se aplicaron. Su video exportado NO está desenfocado. Por favor reinstale la aplicación o contacte con soporte.", openFileLocation: "¿Desea abrir la ubicación del archivo?", layoutHint: "Arrastra para reposicionar • Las tarjetas se ajustan a los bordes", privacy: "Privacidad", blurZoneHint: "Ocultar placas o información sensible", timelapse: "Cámara Rápida", enableTimelapse: "Activar Cámara Rápida", enableTimelapseDesc: "Acelerar el metraje para una vista condensada", timelapseSpeed: "Velocidad", timelapseSpeedDesc: "Multiplicador de velocidad de reproducción", timelapseOverlayNote: "Las superposiciones del tablero, minimapa y marca de tiempo se sincronizarán con la velocidad de cámara rápida. El audio se elimina.", timelapseDuration: "Duración → Duración Cámara Rápida", shareLinkExpiry: "El enlace expira en {hours} horas", restoreBannerText: "{count} zona(s) de privacidad anterior(es) encontrada(s)", restoreBannerRestore: "Restaurar", restoreBannerDismiss: "Descartar", restoreBannerRestored: "Zonas de privacidad restauradas" },
+            export: { title: "Exportar Video", start: "Inicio", end: "Fin", inPoint: "Inicio", outPoint: "Fin", duration: "Duración", layout: "Diseño", quality: "Calidad", overlays: "Superposiciones", timestamp: "Marca de Tiempo", dashboard: "Tablero", cancel: "Cancelar", exportBtn: "Exportar", preparing: "Preparando...", exporting: "Exportando...", compact: "Compacto", detailed: "Detallado", teslaMobile: "Tesla Mobile", mobile: "Móvil", teslaMobilePositionDesc: "Arriba o abajo del clip", bottom: "Abajo", top: "Arriba", medium: "Medio", high: "Alto", maximum: "Máximo", timestampDesc: "Grabar fecha y hora de grabación", dashboardDesc: "Grabar velocidad, marcha y telemetría", position: "Posición", positionDesc: "Ubicación en el video", style: "Estilo", styleDesc: "Estilo visual del tablero", size: "Tamaño", sizeDesc: "Tamaño del tablero", sizeSmall: "Pequeño (25%)", sizeMedium: "Mediano (35%)", sizeLarge: "Grande (45%)", sizeXLarge: "Extra Grande (55%)", blurType: "Método de Desenfoque", blurTypeDesc: "Elija método según velocidad vs calidad", addBlurZone: "Agregar Zona de Desenfoque", addBlurZoneDesc: "Ocultar información sensible antes de compartir", addZone: "Agregar Zona", bottomCenter: "Centro Inferior", bottomLeft: "Inferior Izquierda", bottomRight: "Inferior Derecha", topCenter: "Centro Superior", topLeft: "Superior Izquierda", topRight: "Superior Derecha", blurSolid: "Sólido (Rápido)", blurTrue: "Desenfoque Real (Lento)", blurZoneEditor: "Editor de Zona de Desenfoque", blurZoneCount: "{count} zona(s) de desenfoque configurada(s)", blurZoneInstructions: "Haga clic y arrastre las esquinas para redimensionar. Pase sobre los bordes para agregar nuevos puntos. Haga clic en los puntos para crear formas complejas.", saveZone: "Guardar Zona", dashboardGpuWarning: "La superposición del tablero requiere codificación GPU. No se detectó GPU compatible.", dashboardPrerendered: "El tablero está pre-renderizado para un rendimiento óptimo.", maxQualityWarning: "La calidad máxima usa codificación HEVC si hay GPU disponible.", frontCamWarning: "La cámara frontal se reducirá para coincidir con otras cámaras.", minimap: "Minimapa GPS", minimapDesc: "Mostrar ruta y posición en el mapa", minimapNoGps: "No se encontraron datos GPS en los clips seleccionados.", minimapPosition: "Posición", minimapPositionDesc: "Ubicación en esquina", minimapSize: "Tamaño", minimapSizeDesc: "Tamaño del minimapa", minimapRenderMode: "Modo de Renderizado", minimapRenderModeDesc: "Velocidad vs calidad", minimapStaticFast: "Mapa Estático (Rápido)", minimapLiveSlow: "Mapa en Vivo (Lento)", shareClip: "Compartir Clip", shareClipNew: "NUEVO", generateShareableLink: "Generar Enlace para Compartir", generateShareableLinkDesc: "Subir a los servidores de Sentry Studio después de exportar", shareClipInfo: "Tu clip estará disponible durante <strong>{hours} horas</strong> en clip.sentry-six.com", shareClipWarning: "Compartir solo está disponible para exportaciones de menos de 5 minutos", minimapStaticDesc: "Mapa estático: Descarga los mosaicos del mapa una vez, superpone la ruta y el marcador de posición. Exportación rápida, requiere internet.", minimapLiveDesc: "Mapa en vivo: Renderiza cada fotograma con Leaflet. Muestra actualizaciones del mapa en tiempo real pero exportación mucho más lenta.", renderingMinimap: "Renderizando minimapa...", minimapNoGpsDisabled: "No hay datos GPS disponibles para la superposición del minimapa. El minimapa se desactivará.", minimapGpsExtractFailed: "Error al extraer datos GPS. El minimapa se desactivará.", output: "Salida", checkingFfmpeg: "Verificando FFmpeg...", ffmpegReady: "FFmpeg listo", cpuOnly: "Solo CPU (sin codificador GPU)", ffmpegRequiredMac: "Se requiere FFmpeg. Ejecute en Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg no encontrado. Coloque ffmpeg.exe en la carpeta ffmpeg_bin.", notAvailable: "Exportación no disponible (ejecutando en navegador)", ffmpegError: "Error al verificar FFmpeg", blurZonesStatus: "{count} zona(s) de desenfoque - Superposición del tablero deshabilitada", blurZonesWarning: "Advertencia: Las zonas de desenfoque configuradas para cámaras no seleccionadas ({cameras}) no se aplicarán", minimizeHint: "Puede minimizar esta ventana para continuar viendo grabaciones. La exportación continuará en segundo plano.", analyzingSegments: "Analizando segmentos...", buildingExport: "Construyendo exportación...", exportingWithEncoder: "Exportando con {encoder}...", exportingWithCpu: "Exportando con CPU...", exportingPercent: "Exportando... {percent}%", exportCompleteMB: "¡Exportación completa! ({size} MB)", exportFailedCode: "Exportación fallida (código {code})", exportFailedNoSpace: "Exportación fallida: No hay suficiente espacio en disco. Libere espacio en la unidad de destino e inténtelo de nuevo.", exportFailedPermission: "Exportación fallida: Permiso denegado. Intente guardar en otra carpeta o verifique los permisos.", exportFailedPathNotFound: "Exportación fallida: Carpeta de destino no encontrada. La unidad puede haberse desconectado. Verifique la ruta e inténtelo de nuevo.", exportFailedReadOnly: "Exportación fallida: La unidad de destino es de solo lectura. Quite la protección contra escritura o elija otra unidad.", exportFailedInvalidPath: "Exportación fallida: Ruta de archivo no válida. Intente una ruta más corta o elimine caracteres especiales del nombre de la carpeta.", exportFailedGpuMemory: "Exportación fallida: La GPU se quedó sin memoria. Cierre otras aplicaciones que usen la GPU o pruebe con una calidad menor.", exportFailedGpuUnavailable: "Exportación fallida: El codificador GPU ya no está disponible. Reinicie la aplicación o verifique los controladores de GPU.", exportFailedSourceLost: "Exportación fallida: Los archivos de origen se volvieron inaccesibles durante la exportación. Verifique que la unidad de origen siga conectada.", blurZoneFailed: "Las zonas de desenfoque de privacidad no se aplicaron. Su video exportado NO está desenfocado. Por favor reinstale la aplicación o contacte con soporte.", openFileLocation: "¿Desea abrir la ubicación del archivo?", layoutHint: "Arrastra para reposicionar • Las tarjetas se ajustan a los bordes", privacy: "Privacidad", blurZoneHint: "Ocultar placas o información sensible", timelapse: "Cámara Rápida", enableTimelapse: "Activar Cámara Rápida", enableTimelapseDesc: "Acelerar el metraje para una vista condensada", timelapseSpeed: "Velocidad", timelapseSpeedDesc: "Multiplicador de velocidad de reproducción", timelapseOverlayNote: "Las superposiciones del tablero, minimapa y marca de tiempo se sincronizarán con la velocidad de cámara rápida. El audio se elimina.", timelapseDuration: "Duración → Duración Cámara Rápida", shareLinkExpiry: "El enlace expira en {hours} horas", restoreBannerText: "{count} zona(s) de privacidad anterior(es) encontrada(s)", restoreBannerRestore: "Restaurar", restoreBannerDismiss: "Descartar", restoreBannerRestored: "Zonas de privacidad restauradas", telemetryData: "Datos de Telemetría", telemetryDataDesc: "Velocidad, marcha, pedales, dirección, intermitentes, estado del Autopilot, GPS y aceleración por fotograma para el rango seleccionado. No se vuelve a codificar el vídeo.", exportTelemetry: "Exportar Telemetría", telemetrySelectFormat: "Selecciona al menos un formato de telemetría", telemetryInProgress: "Ya hay una exportación en curso", telemetryNoGps: "Sin señal GPS en este rango: las pistas GPX/KML estarán vacías", telemetryExported: "Se exportaron {count} fotogramas de telemetría a {files} archivo(s)", telemetryExportFailed: "Error al exportar la telemetría: {error}", subtitles: "Subtítulos de Telemetría", subtitleSidecar: "Archivo aparte", subtitleEmbedded: "Integrados", subtitleEmbeddedDesc: "Pista en el MP4", subtitlesDesc: "Hora, velocidad, marcha, estado del Autopilot y posición GPS una vez por segundo como pista de subtítulos que se puede activar y desactivar. No se graba nada en el vídeo.", shareClipInfoServer: "Tu clip estará disponible durante <strong>{hours}</strong> en {host}" },
             settings: {
                 searchPlaceholder: "Buscar configuración...", title: "Configuración", general: "General", shortcuts: "Atajos", advanced: "Avanzado",
                 displaySection: "Pantalla", playbackOverlays: "Reproducción y Superposiciones", storageSection: "Almacenamiento", aboutUpdates: "Acerca de y Actualizaciones",
@@ -140,13 +167,40 @@ export const translations = {
                 checkForUpdates: "Buscar Actualizaciones", checkForUpdatesDesc: "Buscar nuevas versiones manualmente", checkNow: "Buscar Ahora", checking: "Buscando...", upToDate: "Actualizado", checkFailed: "Búsqueda Fallida", updateFound: "¡Actualización Encontrada!",
                 eventHighlights: "Resaltados de Eventos", sentryCameraGlow: "Brillo de Cámara Sentry", sentryCameraGlowDesc: "Brillo rojo en cámara activada",
                 savedCameraGlow: "Brillo de Cámara Guardada", savedCameraGlowDesc: "Brillo amarillo en cámara activada",
-                cameraLayout: "Diseño de Cámara", resetCameraOrder: "Restablecer Orden de Cámaras", resetCameraOrderDesc: "Restaurar posiciones predeterminadas", reset: "Restablecer"
+                cameraLayout: "Diseño de Cámara", resetCameraOrder: "Restablecer Orden de Cámaras", resetCameraOrderDesc: "Restaurar posiciones predeterminadas", reset: "Restablecer",
+                indexCache: "Caché del índice de la biblioteca", indexCacheStatus: "{folders} carpeta(s) en caché · {size}", indexCacheEmpty: "Aún no hay carpetas en caché", clearIndexCache: "Borrar caché", indexCacheCleared: "Caché del índice borrada. Las carpetas se volverán a escanear la próxima vez que se abran.", indexCacheClearFailed: "No se pudo borrar la caché del índice: {error}", rebuildIndex: "Reconstruir índice", indexRebuilt: "Índice reconstruido desde la unidad.", indexRebuildFailed: "No se pudo reconstruir el índice: {error}", indexRebuildNeedsFolder: "Abre primero una carpeta de dashcam para reconstruir su índice.",
+                addBookmark: "Añadir marcador",
+                frameForward: "Fotograma siguiente", frameBackward: "Fotograma anterior", saveStill: "Guardar fotograma",
+                toggleTelemetryCharts: "Mostrar/ocultar gráficos de telemetría",
+                nextMotion: "Siguiente movimiento", prevMotion: "Movimiento anterior", toggleMotionSkipIdle: "Activar/desactivar omitir inactividad",
+                toggleSmartPlayback: "Activar/desactivar reproducción inteligente",
+                nextMultiLayout: "Siguiente diseño de cámaras", prevMultiLayout: "Diseño de cámaras anterior",
+                sharingSection: "Compartir Clips", shareServer: "Servidor para compartir", shareServerSave: "Guardar", shareServerReset: "Predeterminado", shareServerDesc: "Déjalo vacío para usar el servicio alojado de Sentry Studio, o introduce la dirección de tu propio servidor (share-server en el repositorio) para mantener los clips compartidos en tu red.", shareServerInvalid: "No se pudo guardar el servidor", shareServerDefault: "Usando el servicio alojado de Sentry Studio", shareServerSaved: "Los clips se compartirán mediante {url}"
             },
             cameras: { front: "Frontal", back: "Trasera", leftPillar: "Pilar Izquierdo", rightPillar: "Pilar Derecho", leftRepeater: "Repetidor Izquierdo", rightRepeater: "Repetidor Derecho" },
             dashboard: { drive: "Conducir", manual: "Manual", noData: "Sin Datos", mph: "MPH", kmh: "KM/H", selfDriving: "Conducción Autónoma", autosteer: "Dirección Automática", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Cargue una colección primero para establecer marcadores de exportación", startMarkerSet: "Marcador de inicio establecido", endMarkerSet: "Marcador de fin establecido", exportComplete: "¡Exportación completa!", exportCancelled: "Exportación cancelada", exportFailed: "Exportación fallida", foundDatesWithClips: "Se encontraron {count} fechas con clips", loadedFilesForDate: "Cargados {count} archivos para {date}", noDataForDate: "Sin datos para {date}", noClipsFoundForDate: "No se encontraron clips para {date}", noDashcamClipsFound: "No se encontraron clips de video. Seleccione una carpeta con archivos de video (.mp4, .avi, .mov, .mkv) o una carpeta de dashcam Tesla con RecentClips, SentryClips o SavedClips.", metadataParserNotReady: "Analizador de metadatos aún no inicializado—inténtelo de nuevo en un segundo.", noSupportedFilesFound: "No se encontraron archivos compatibles en esa carpeta.", failedToLoadVideo: "Error al cargar video: {error}", errorSelectingDay: "Error al seleccionar día: {error}", failedToOpenFolder: "Error al abrir carpeta: {error}", failedToInitMetadataParser: "Error al inicializar el analizador de metadatos. Asegúrese de que protobuf se carga y que no está ejecutando a través de file://", capturingSnapshot: "Capturando instantánea...", couldNotFindVideoFile: "No se pudo encontrar el archivo de video para la cámara {camera}", unsupportedFileType: "Tipo de archivo no compatible para la instantánea", failedToCaptureSnapshot: "Error al capturar instantánea: {error}", blurZoneMinPoints: "Por favor, cree una zona de desenfoque válida con al menos 3 puntos", failedToGenerateMask: "Error al generar imagen de máscara", failedToExtractMaskData: "Error al extraer datos de imagen de máscara", failedToGetCanvasDimensions: "Error al obtener dimensiones del lienzo", blurZoneSaved: "Zona de desenfoque guardada correctamente", failedToSaveBlurZone: "Error al guardar zona de desenfoque: {error}", exportNotAvailable: "Exportación no disponible", exportRequiresFolder: "La exportación requiere seleccionar una carpeta mediante el selector. Por favor, vuelva a seleccionar su carpeta de dashcam.", selectAtLeastOneCamera: "Por favor, seleccione al menos una cámara", extractingTelemetry: "Extrayendo datos de telemetría...", noTelemetryData: "No hay datos de telemetría disponibles para la superposición del tablero. El tablero se deshabilitará.", failedToExtractTelemetry: "Error al extraer datos de telemetría. El tablero se deshabilitará.", noVideoFilesForExport: "No se encontraron archivos de video para exportar. Asegúrese de que la carpeta se seleccionó correctamente.", exportFailedWithError: "Exportación fallida: {error}", onlyOneAttachment: "Solo se permite 1 archivo adjunto por mensaje", fileTooLarge: "El archivo \"{filename}\" es demasiado grande (máx. 100MB)", enterMessageOrAttach: "Por favor, ingrese un mensaje o adjunte un archivo", supportTicketClosed: "Ticket de soporte cerrado", newSupportMessages: "{count} nuevo(s) mensaje(s) de soporte recibido(s)", cameraOrderReset: "Orden de cámaras restablecido a predeterminado", collectingDiagnostics: "Recopilando datos de diagnóstico...", uploadingDiagnostics: "Subiendo diagnósticos...", supportIdCopied: "ID de Soporte: {supportId} - ¡Copiado al portapapeles!", failedToUploadDiagnostics: "Error al subir diagnósticos: {error}", uploadFailed: "Error de carga: {error}", supportIdCopiedSimple: "¡ID de Soporte copiado al portapapeles!", failedToCopy: "Error al copiar: {error}", failedToGenerateSupportId: "Error al generar ID de Soporte: {error}" },
             supportChat: { title: "Chat de Soporte", needHelp: "¿Necesita Ayuda?", welcomeDesc: "Inicie una conversación de soporte con nosotros. Describa su problema, error o comentario y le responderemos lo antes posible.", welcomeNote: "Puede adjuntar capturas de pantalla/videos y datos de diagnóstico para ayudarnos a entender mejor su problema.", diagnostics: "Diagnósticos", attach: "Adjuntar", placeholder: "Describa su problema o comentario...", privacyNote: "Los datos se eliminan automáticamente después de 7 días", ticketClosed: "Este ticket ha sido cerrado.", createNewTicket: "Crear Nuevo Ticket de Soporte", closeTicket: "Cerrar Ticket", minimize: "Minimizar", closePanel: "Cerrar Panel", sendMessage: "Enviar mensaje", includeDiagnostics: "Incluir datos de diagnóstico", attachFiles: "Adjuntar archivos", you: "Tú", support: "Soporte" },
-            sharedClips: { title: "Mis Clips Compartidos", emptyTitle: "No hay clips compartidos aún", emptyDesc: "Exporta un clip con el uso compartido habilitado para verlo aquí", clickHint: "Selecciona un clip para ver detalles", copyLink: "Copiar Enlace", open: "Abrir", delete: "Eliminar", deleteTitle: "Eliminar Clip Compartido", deleteConfirm: "¿Estás seguro de que deseas eliminar", deleteWarning: "Esto eliminará permanentemente el clip de los servidores de Sentry Studio. Cualquiera con el enlace ya no podrá verlo ni descargarlo.", cancel: "Cancelar", deleteClip: "Eliminar Clip" }
+            sharedClips: { title: "Mis Clips Compartidos", emptyTitle: "No hay clips compartidos aún", emptyDesc: "Exporta un clip con el uso compartido habilitado para verlo aquí", clickHint: "Selecciona un clip para ver detalles", copyLink: "Copiar Enlace", open: "Abrir", delete: "Eliminar", deleteTitle: "Eliminar Clip Compartido", deleteConfirm: "¿Estás seguro de que deseas eliminar", deleteWarning: "Esto eliminará permanentemente el clip de los servidores de Sentry Studio. Cualquiera con el enlace ya no podrá verlo ni descargarlo.", cancel: "Cancelar", deleteClip: "Eliminar Clip", resumeUpload: "Reanudar subida" },
+            exportQueue: { title: "Cola de exportación", addToQueue: "Añadir a la cola", jobAdded: "Añadido a la cola de exportación: {name}", jobDone: "Exportación en cola completada: {name}", jobFailed: "Falló la exportación en cola: {name} ({error})", actionFailed: "Error de la cola de exportación: {error}", emptyTitle: "No hay exportaciones en cola", emptyDesc: "Usa \"Añadir a la cola\" en la ventana de exportación para preparar varias exportaciones", pausedNote: "La cola está en pausa. La exportación actual termina, pero no se iniciarán nuevos trabajos hasta reanudar.", clearFinished: "Borrar finalizadas", pauseQueue: "Pausar cola", resumeQueue: "Reanudar cola", moveUp: "Subir", moveDown: "Bajar", pause: "Pausar", resume: "Reanudar", retry: "Reintentar", remove: "Quitar", showInFolder: "Mostrar en carpeta", statusPending: "En espera", statusRunning: "Exportando", statusPaused: "En pausa", statusFailed: "Falló", statusDone: "Completado" },
+            incidents: { tab: "Incidentes", scan: "Analizar", rescan: "Volver a analizar", selectClip: "Abre un clip para buscar incidentes", notScanned: "Aún no analizado", scanning: "Analizando telemetría ({done}/{total})", found: "{count} incidente(s) encontrado(s)", scanFailed: "Falló el análisis de incidentes: {error}", hardBrake: "Frenada brusca", hardAccel: "Aceleración brusca", sharpTurn: "Curva brusca", impact: "Posible impacto", settingsTitle: "Detección de incidentes", resetThresholds: "Restablecer umbrales" },
+            highlightReel: { title: "Resumen de momentos", enable: "Crear resumen de momentos", enableDesc: "Une clips cortos de los momentos clave en un solo vídeo", sourceEvents: "Eventos Sentry y guardados", sourceEventsDesc: "Momento en que se activó el evento", sourceDisengagements: "Desconexiones de FSD", sourceDisengagementsDesc: "De los datos de viaje de SentryUSB", sourceAccelPushes: "Pisadas del acelerador", sourceAccelPushesDesc: "Pisadas del pedal con FSD activado", sourceBraking: "Frenadas bruscas", sourceBrakingDesc: "Detectadas a partir de la telemetría", paddingBefore: "Antes de cada momento", paddingBeforeDesc: "Metraje conservado antes del disparo", paddingAfter: "Después de cada momento", paddingAfterDesc: "Metraje conservado después del disparo", note: "Usa todo el clip cargado en lugar de los marcadores de inicio/fin. Cada momento tiene una tarjeta de título con la fecha, la hora y la ubicación.", sentryEvent: "Evento Sentry", savedEvent: "Clip guardado", disengagement: "Desconexión de FSD", accelPush: "Pisada del acelerador", scanningTelemetry: "Analizando la telemetría en busca de frenadas bruscas…", nothingFound: "No se encontraron momentos para las fuentes seleccionadas", tooManyClips: "Se encontraron {count} momentos; solo se incluirán los primeros {max}", renderingClip: "Renderizando momento {current} de {total}…", stitching: "Uniendo momentos y tarjetas de título…" },
+            libraryMap: { open: "Mapa de la biblioteca", title: "Mapa de la biblioteca", from: "Desde", to: "Hasta", reason: "Motivo", allReasons: "Todos los motivos", drives: "Trayectos", fit: "Ajustar a resultados", loading: "Leyendo ubicaciones de eventos… {done}/{total}", summary: "{events} evento(s) · {drives} trayecto(s)", noLocations: "Nada con ubicación coincide con estos filtros", openClip: "Abrir clip", openDrive: "Abrir trayecto", noLibrary: "Primero abra una carpeta de dashcam o cargue los datos de trayectos de SentryUSB", mapUnavailable: "No se pudo cargar la biblioteca de mapas. Compruebe su conexión a Internet." },
+            search: { tab: "Buscar", placeholder: "p. ej. reason:honk date:-30d", run: "Buscar", help: "Sintaxis de consulta", helpEvents: "Eventos:", helpTime: "Fecha y hora:", helpDrives: "Trayectos:", helpTelemetry: "Telemetría:", helpLogic: "Combinar:", readingEvents: "Leyendo eventos… {done}/{total}", noLibrary: "Abre una carpeta de dashcam para buscar en ella", searching: "Buscando…", indexingDate: "Indexando {date}…", scanningTelemetry: "Leyendo telemetría… {done}/{total} clips", found: "{count} resultado(s)", tooManyResults: "Mostrando los primeros {count} resultados: acota la consulta para ver más", scanLimited: "Solo se leyó la telemetría de los {count} clips coincidentes más recientes; añade date: para buscar más atrás.", failed: "La búsqueda falló: {error}", drive: "Trayecto", sentryEvent: "Evento de Centinela", savedEvent: "Clip guardado", recentClips: "Clips recientes", customClips: "Clips", errorEmptyGroup: "Se esperaba un término de búsqueda", errorParen: "Paréntesis desequilibrados", errorUnexpected: "\"{token}\" inesperado", errorMissingValue: "Falta un valor después de {field}", errorInvalidValue: "\"{value}\" no es un valor válido para {field}", errorComparator: "\"{cmp}\" no se puede usar con {field}; usa : o !=" },
+            bookmarks: { tab: "Marcadores", filter: "Filtrar marcadores…", add: "Añadir marcador en este momento", addTitle: "Añadir marcador", editTitle: "Editar marcador", titleLabel: "Título", titlePlaceholder: "¿Qué pasó aquí?", noteLabel: "Notas", colorLabel: "Color", delete: "Eliminar", cancel: "Cancelar", save: "Guardar", edit: "Editar", untitled: "Marcador sin título", noFolder: "Abre una carpeta de dashcam para añadir marcadores", empty: "Aún no hay marcadores. Usa el botón de marcador junto a la línea de tiempo para marcar un momento.", count: "{count} marcador(es)", filtered: "{count} de {total} marcadores", saveFailed: "No se pudieron guardar los marcadores: {error}", savedLocally: "Esta carpeta es de solo lectura, así que los marcadores se guardan solo en este equipo" },
+            stills: { frameBack: "Fotograma anterior", frameForward: "Fotograma siguiente", saveStill: "Guardar fotograma", title: "Guardar fotograma", sourceLabel: "Cámara", wholeGrid: "Todas las cámaras (cuadrícula)", captionLabel: "Añadir leyenda de telemetría (hora, velocidad, marcha, GPS)", hint: "Se guarda como PNG a la resolución nativa de las cámaras.", cancel: "Cancelar", save: "Guardar PNG", saveTitle: "Guardar fotograma", autopilot: "Autopilot", noVideo: "Abre un clip para guardar un fotograma", noFrame: "El fotograma aún no está listo", saved: "Fotograma guardado: {file}", saveFailed: "No se pudo guardar el fotograma: {error}" },
+            evidence: { title: "Paquete de pruebas", enable: "Crear paquete de pruebas", enableDesc: "Comprime los clips originales, los datos del evento y la telemetría junto con el video", note: "Incluye el clip sin modificar de cada cámara para el rango marcado, un informe con marcas de tiempo y ajustes de exportación, y un manifiesto SHA-256 para que cualquiera pueda comprobar que nada se alteró.", verify: "Verificar paquete...", verifying: "Comprobando archivos con SHA256SUMS...", verifyOk: "{name}: los {count} archivos coinciden con el manifiesto", verifyFailed: "{name}: la verificación FALLÓ - el paquete fue modificado", verifyError: "No se pudo verificar el paquete: {error}", statusModified: "modificado", statusMissing: "falta", statusUnlisted: "no está en el manifiesto", noSourceFiles: "No hay clips de origen en el disco para este rango", notWithReel: "Los paquetes de pruebas cubren un único rango continuo; desactiva primero el resumen de momentos", rendering: "Renderizando video para el paquete de pruebas...", telemetry: "Decodificando telemetría...", hashing: "Calculando hashes ({current}/{total})...", zipping: "Escribiendo zip...", complete: "Paquete de pruebas guardado ({files} archivos, {size} MB)" },
+            incidentReport: { title: "Informe del incidente", generate: "Crear informe del incidente", saveTitle: "Guardar informe del incidente", generating: "Generando el informe del incidente…", saved: "Informe del incidente guardado: {file}", failed: "No se pudo crear el informe del incidente: {error}", notAvailable: "Los informes de incidentes están disponibles para eventos Sentry y guardados con event.json", eventDetails: "Detalles del evento", eventType: "Tipo de evento", reason: "Motivo", triggerTime: "Activado a las", triggerCamera: "Cámara que lo activó", location: "Ubicación", coordinates: "Coordenadas", sourceFolder: "Carpeta de origen", recording: "Grabación", clipCount: "{count} clips", keyFrames: "Fotogramas clave", trigger: "Activación", noFrames: "No se pudieron leer fotogramas alrededor de la activación", map: "Mapa de ubicación", mapOffline: "No se pudieron descargar los mosaicos del mapa; la ruta y la posición se dibujan sin fondo.", noGps: "No se registró posición GPS para este evento", telemetry: "Telemetría del vehículo ({seconds} s alrededor de la activación)", noTelemetry: "No se registró telemetría alrededor de la activación (habitual estando estacionado)", atTrigger: "En el momento de la activación", speed: "Velocidad", accelerator: "Acelerador", brake: "Freno", steering: "Ángulo de dirección", gear: "Marcha", autopilot: "Asistencia a la conducción", applied: "Pisado", released: "Suelto", footer: "Generado por Sentry Studio el {date} a partir de las grabaciones originales de TeslaCam. Las horas son las registradas por el vehículo." },
+            telemetryCharts: { title: "Gráficos de telemetría", toggle: "Gráficos de telemetría", speed: "Velocidad", accelerator: "Acelerador", brake: "Freno", steering: "Dirección", lateralG: "G lateral", longitudinalG: "G longitudinal", autopilot: "Autopilot", on: "Sí", off: "No", dock: "Anclar sobre los controles", undock: "Panel flotante", resetZoom: "Mostrar toda la línea de tiempo", close: "Cerrar", noCollection: "Selecciona un clip para ver su telemetría", loading: "Leyendo telemetría… {done}/{total}", noData: "No hay telemetría en estos clips", scanFailed: "No se pudo leer la telemetría: {error}" },
+            timelineStrip: { setting: "Franja de la línea de tiempo", settingDesc: "Color bajo la barra de progreso", speed: "Velocidad", autopilot: "Autopilot", off: "Desactivado", gapMinutes: "{count} min sin grabar", gapSeconds: "{count} s sin grabar" },
+            motion: { setting: "Análisis de movimiento", settingDesc: "Buscar movimiento en todas las cámaras de los eventos Sentry y guardados", skipIdleOff: "Omitir periodos sin actividad", skipIdleOn: "Omitiendo periodos sin actividad (clic para desactivar)", skipIdleEnabled: "Se omitirán los periodos sin movimiento", skipIdleDisabled: "Reproduciendo todo", analyzing: "Analizando movimiento… {percent}%", analysisFailed: "Error en el análisis de movimiento: {error}", noNext: "No hay más movimiento después de este punto", noPrevious: "No hay movimiento antes de este punto", skipped: "Se omitieron {seconds} s sin movimiento" },
+            smartPlayback: { toggle: "Reproducción inteligente: omitir tramos aparcado, 1x al frenar/intermitente", on: "Reproducción inteligente activada (clic para desactivar)", enabled: "Reproducción inteligente activada", disabled: "Reproducción inteligente desactivada", saved: "{time} de tiempo aparcado omitido o acelerado", settingsTitle: "Reproducción inteligente", parkedAction: "Tramos aparcado", parkedActionDesc: "Marcha en P y sin moverse", skip: "Omitir", fastForward: "Avance rápido", minParked: "Tramo aparcado mínimo", fastRate: "Velocidad de avance rápido", slowPad: "1x al frenar/intermitente", off: "Desactivado", reset: "Restablecer reproducción inteligente" },
+            multiLayouts: { title: "Diseño de cámaras", sixDefault: "Predeterminado (3×2)", quad: "2×2 (cuatro cámaras)", frontFocus: "Frontal grande + 5", frontBack: "Frontal / Trasera", pip: "Imagen en imagen", builtIn: "Integrados", custom: "Personalizados", manage: "Gestionar", newLayout: "Nuevo diseño…", editLayout: "Editar diseño…", defaultName: "Mi diseño {n}", switched: "Diseño: {name}", saved: "Diseño \"{name}\" guardado", noCameras: "Añade al menos una cámara al diseño", nameLabel: "Nombre", camerasLabel: "Cámaras", editorHint: "Arrastra para mover • Arrastra la esquina para redimensionar • Las tarjetas se ajustan a los bordes", delete: "Eliminar", cancel: "Cancelar", save: "Guardar" },
+            exportPresets: { label: "Preajuste", none: "Sin preajuste", empty: "No hay preajustes guardados", save: "Guardar como preajuste", rename: "Renombrar preajuste", delete: "Eliminar preajuste", import: "Importar preajustes", export: "Exportar preajustes a un archivo", exportTitle: "Guardar preajustes de exportación", fileType: "Preajustes de exportación", namePlaceholder: "Nombre del preajuste", confirm: "Guardar", cancel: "Cancelar", saved: "Preajuste \"{name}\" guardado", renamed: "Preajuste renombrado a \"{name}\"", deleted: "Preajuste \"{name}\" eliminado", applied: "Preajuste \"{name}\" aplicado", nameTaken: "Ya existe un preajuste llamado \"{name}\"", imported: "{count} preajuste(s) importado(s)", exported: "{count} preajuste(s) exportado(s)", importFailed: "No se pudieron importar los preajustes: {error}", exportFailed: "No se pudieron exportar los preajustes: {error}", camerasUnavailable: "No están en este clip: {cameras}" },
+            exportMetadata: { title: "Metadatos del Archivo", gpsTrack: "Incluir Ubicación Inicial", gpsTrackDesc: "Dónde empieza la exportación, para apps de fotos y mapas", chapters: "Añadir Capítulos", chaptersDesc: "Marcas en cada clip, activación de evento y desconexión de FSD", clipChapter: "Clip {time}", clipChapterUntimed: "Clip" },
+            webGallery: { open: "Galería web", title: "Galería web", description: "Exporta los eventos seleccionados como una carpeta que se abre en cualquier navegador, sin Sentry Studio ni conexión a internet. Cópiala a una memoria USB o a una carpeta compartida.", selectAll: "Seleccionar todo", selectNone: "No seleccionar nada", galleryTitle: "Título", defaultTitle: "Galería de Sentry Studio", cameras: "Cámaras", trim: "Exportar solo alrededor del momento del evento", before: "Segundos antes", after: "Segundos después", cancel: "Cancelar", export: "Exportar galería", noLibrary: "Primero abre una carpeta de dashcam con eventos Sentry o guardados", noEvents: "No hay eventos Sentry ni guardados en esta carpeta", loading: "Leyendo eventos… {done}/{total}", noMatches: "Ningún evento coincide con estos filtros", selectedCount: "{count} de {total} evento(s) seleccionados", noSelection: "Selecciona al menos un evento", queued: "Galería web con {count} evento(s) añadida a la cola de exportación: {name}", rendering: "Evento {current}/{total}: renderizando {camera}", writingPage: "Escribiendo la página de la galería...", complete: "Galería exportada ({events} evento(s), {size})", skipped: "No se pudieron exportar {count} evento(s): {events}", pageEvents: "{count} evento(s)", pageCreated: "Creada el {date}", pageAllEvents: "Todos los eventos", pagePrevious: "Evento anterior", pageNext: "Evento siguiente", pagePlay: "Reproducir / pausar", pageJumpToEvent: "Ir al evento", pageType: "Tipo", pageDate: "Fecha", pageLocation: "Ubicación", pageCoordinates: "Coordenadas", pageCamera: "Cámara que detectó", pageDuration: "Duración", pageDistance: "Distancia", pageRoute: "Ruta", pageOpenMap: "Abrir en OpenStreetMap", pageEventJson: "Descargar event.json", pageNoRoute: "No hay datos GPS en estos clips" },
+            clipHealth: { open: "Estado de los clips", title: "Estado de los clips", description: "Busca clips vacíos, ilegibles o cortados porque el coche se quedó sin corriente, y clips a los que les falta una cámara. Los clips reparados se guardan junto al original como .repaired.mp4 y se reproducen en su lugar; el original nunca se modifica.", scan: "Volver a analizar", repairAll: "Reparar todo", close: "Cerrar", needsFolder: "Primero elige una carpeta de dashcam con el botón de carpeta (las carpetas arrastradas no se pueden analizar)", reading: "Leyendo la carpeta…", scanning: "Comprobando clips… {done}/{total}", summary: "{files} archivo(s) comprobados: {problems} problema(s) en {groups} grupo(s) de clips", allGood: "{files} archivo(s) comprobados, sin problemas", scanFailed: "Error al analizar: {error}", statusEmpty: "Vacío", statusUnreadable: "Ilegible", statusTruncated: "Cortado", missingCameras: "Faltan cámaras", repair: "Reparar", repaired: "Reparado", repairing: "Reparando {current}/{total}…", repairFailed: "Error al reparar: {error}", repairDone: "{repaired} clip(s) reparados, {failed} con error", showInFolder: "Mostrar en la carpeta" },
+            storage: { open: "Almacenamiento", title: "Almacenamiento", description: "Consulta qué ocupa espacio en esta carpeta y libéralo por día, evento o regla de retención. Nada se elimina sin una vista previa y todo va a la papelera del sistema, por lo que aún se puede restaurar.", needsFolder: "Abre primero una carpeta de dashcam para ver su almacenamiento.", reading: "Leyendo carpeta…", measuring: "Midiendo {done} de {total} clips…", scanFailed: "No se pudo medir la carpeta: {error}", total: "{size} en {count} días y eventos", byType: "Por tipo", byCamera: "Por cámara", byDay: "Por día", other: "Otros", tabUsage: "Uso", tabClips: "Clips", tabRules: "Reglas de retención", selectAll: "Seleccionar todo", selectNone: "No seleccionar nada", cameraCount: "{count} cámaras", selectedCount: "{count} seleccionados · {size}", trashSelected: "Mover selección a la papelera", rulesDescription: "Las reglas solo se aplican cuando las previsualizas y confirmas. Los eventos se conservan o eliminan completos; de los clips recientes solo se conservan los minutos con marcador.", ruleDelete: "Eliminar", ruleKeepCameras: "Conservar solo cámaras", ruleOlderThan: "más antiguos que (días)", ruleExceptBookmarked: "salvo con marcador", ruleRemove: "Quitar regla", noRules: "Aún no hay reglas de retención.", addRule: "Añadir regla", previewRules: "Vista previa", planSummary: "{files} archivos ({size}) de {count} días y eventos se moverán a la papelera.", planEmpty: "Nada coincide; no se eliminaría ningún archivo.", planWhole: "Todo", planCameras: "Cámaras: {cameras}", back: "Atrás", confirmTrash: "Mover a la papelera", trashing: "Moviendo {done} de {total} a la papelera…", trashDone: "Se movieron {count} elementos ({size}) a la papelera.", trashPartial: "Se movieron {trashed} elementos a la papelera; {failed} no se pudieron mover ({error}).", trashFailed: "No se pudo mover a la papelera: {error}", close: "Cerrar" }
         },
         welcome: {
             modalTitle: "Bienvenido a Sentry Studio",
@@ -185,13 +239,32 @@ export const translations = {
             eventTypes: { manualSave: "Enregistrement Manuel", honk: "Klaxon", objectDetected: "Objet Détecté", emergencyBraking: "Freinage d'Urgence", accelerationDetected: "Accélération Détectée", collisionDetected: "Collision Détectée" },
             map: { recenter: "Recentrer la carte", hint: "Clic droit et glisser pour déplacer" },
             playback: { play: "Lecture", pause: "Pause", skipBack: "Reculer de 15 secondes", skipForward: "Avancer de 15 secondes", playbackSpeed: "Vitesse de lecture", setStartMarker: "Définir le point de départ d'exportation", setEndMarker: "Définir le point de fin d'exportation", exportVideo: "Exporter la vidéo", supportChat: "Chat de Support", settings: "Paramètres", toggleDetails: "Afficher/Masquer les Détails", lateralG: "G Latéral", longitudinalG: "G Longitudinal", heading: "Cap", openExportDetails: "Ouvrir les détails d'exportation" },
-            export: { title: "Exporter la Vidéo", start: "Début", end: "Fin", inPoint: "Début", outPoint: "Fin", duration: "Durée", layout: "Disposition", quality: "Qualité", overlays: "Superpositions", timestamp: "Horodatage", dashboard: "Tableau de Bord", cancel: "Annuler", exportBtn: "Exporter", preparing: "Préparation...", exporting: "Exportation...", compact: "Compact", detailed: "Détaillé", teslaMobile: "Tesla Mobile", mobile: "Mobile", teslaMobilePositionDesc: "Haut ou bas du clip", bottom: "Bas", top: "Haut", medium: "Moyen", high: "Élevé", maximum: "Maximum", timestampDesc: "Graver la date et l'heure d'enregistrement", dashboardDesc: "Graver la vitesse, le rapport et la télémétrie", position: "Position", positionDesc: "Placement sur la vidéo", style: "Style", styleDesc: "Style visuel du tableau de bord", size: "Taille", sizeDesc: "Taille du tableau de bord", sizeSmall: "Petit (25%)", sizeMedium: "Moyen (35%)", sizeLarge: "Grand (45%)", sizeXLarge: "Très Grand (55%)", blurType: "Méthode de Flou", blurTypeDesc: "Choisir la méthode selon vitesse vs qualité", addBlurZone: "Ajouter une Zone de Flou", addBlurZoneDesc: "Masquer les informations sensibles avant le partage", addZone: "Ajouter une Zone", bottomCenter: "Bas Centre", bottomLeft: "Bas Gauche", bottomRight: "Bas Droite", topCenter: "Haut Centre", topLeft: "Haut Gauche", topRight: "Haut Droite", blurSolid: "Solide (Rapide)", blurTrue: "Vrai Flou (Lent)", blurZoneEditor: "Éditeur de Zone de Flou", blurZoneCount: "{count} zone(s) de flou configurée(s)", blurZoneInstructions: "Cliquez et faites glisser les poignées d'angle pour redimensionner. Survolez les bords pour ajouter de nouveaux points. Cliquez sur les points pour créer des formes complexes.", saveZone: "Enregistrer la Zone", dashboardGpuWarning: "La superposition du tableau de bord nécessite un encodage GPU. Aucun GPU compatible détecté.", dashboardPrerendered: "Le tableau de bord est pré-rendu pour des performances optimales.", maxQualityWarning: "La qualité maximale utilise l'encodage HEVC si GPU disponible.", frontCamWarning: "La caméra avant sera réduite pour correspondre aux autres caméras.", minimap: "Mini-carte GPS", minimapDesc: "Afficher l'itinéraire et la position sur la carte", minimapNoGps: "Aucune donnée GPS trouvée dans les clips sélectionnés.", minimapPosition: "Position", minimapPositionDesc: "Placement dans le coin", minimapSize: "Taille", minimapSizeDesc: "Taille de la mini-carte", minimapRenderMode: "Mode de Rendu", minimapRenderModeDesc: "Vitesse vs qualité", minimapStaticFast: "Carte Statique (Rapide)", minimapLiveSlow: "Carte en Direct (Lent)", shareClip: "Partager le Clip", shareClipNew: "NOUVEAU", generateShareableLink: "Générer un Lien de Partage", generateShareableLinkDesc: "Télécharger sur les serveurs Sentry Studio après l'exportation", shareClipInfo: "Votre clip sera disponible pendant <strong>{hours} heures</strong> sur clip.sentry-six.com", shareClipWarning: "Le partage n'est disponible que pour les exportations de moins de 5 minutes", minimapStaticDesc: "Carte statique : Télécharge les tuiles de carte une fois, superpose le chemin et le marqueur de position. Exportation rapide, nécessite internet.", minimapLiveDesc: "Carte en direct : Rend chaque image avec Leaflet. Affiche les mises à jour de carte en temps réel mais exportation beaucoup plus lente.", renderingMinimap: "Rendu de la mini-carte...", minimapNoGpsDisabled: "Aucune donnée GPS disponible pour la superposition de mini-carte. La mini-carte sera désactivée.", minimapGpsExtractFailed: "Échec de l'extraction des données GPS. La mini-carte sera désactivée.", output: "Sortie", checkingFfmpeg: "Vérification de FFmpeg...", ffmpegReady: "FFmpeg prêt", cpuOnly: "CPU uniquement (pas d'encodeur GPU)", ffmpegRequiredMac: "FFmpeg requis. Exécutez dans le Terminal : brew install ffmpeg", ffmpegRequiredWin: "FFmpeg introuvable. Placez ffmpeg.exe dans le dossier ffmpeg_bin.", notAvailable: "Exportation non disponible (exécution dans le navigateur)", ffmpegError: "Erreur lors de la vérification de FFmpeg", blurZonesStatus: "{count} zone(s) de flou - Superposition du tableau de bord désactivée", blurZonesWarning: "Avertissement : Les zones de flou configurées pour les caméras non sélectionnées ({cameras}) ne seront pas appliquées", minimizeHint: "Vous pouvez minimiser cette fenêtre pour continuer à regarder les images. L'exportation continuera en arrière-plan.", analyzingSegments: "Analyse des segments...", buildingExport: "Construction de l'exportation...", exportingWithEncoder: "Exportation avec {encoder}...", exportingWithCpu: "Exportation avec CPU...", exportingPercent: "Exportation... {percent}%", exportCompleteMB: "Exportation terminée ! ({size} Mo)", exportFailedCode: "Échec de l'exportation (code {code})", exportFailedNoSpace: "Échec de l'exportation: Espace disque insuffisant. Libérez de l'espace sur le lecteur de destination et réessayez.", exportFailedPermission: "Échec de l'exportation: Permission refusée. Essayez d'enregistrer dans un autre dossier ou vérifiez les permissions.", exportFailedPathNotFound: "Échec de l'exportation: Dossier de destination introuvable. Le lecteur a peut-être été déconnecté. Vérifiez le chemin et réessayez.", exportFailedReadOnly: "Échec de l'exportation: Le lecteur de destination est en lecture seule. Retirez la protection en écriture ou choisissez un autre lecteur.", exportFailedInvalidPath: "Échec de l'exportation: Chemin de fichier non valide. Essayez un chemin plus court ou supprimez les caractères spéciaux du nom du dossier.", exportFailedGpuMemory: "Échec de l'exportation: La GPU est à court de mémoire. Fermez les autres applications gourmandes en GPU ou essayez une qualité inférieure.", exportFailedGpuUnavailable: "Échec de l'exportation: L'encodeur GPU n'est plus disponible. Redémarrez l'application ou vérifiez vos pilotes GPU.", exportFailedSourceLost: "Échec de l'exportation: Les fichiers sources sont devenus inaccessibles pendant l'exportation. Vérifiez que le lecteur source est toujours connecté.", blurZoneFailed: "Les zones de flou de confidentialité n'ont pas pu être appliquées. Votre vidéo exportée N'EST PAS floutée. Veuillez réinstaller l'application ou contacter le support.", openFileLocation: "Voulez-vous ouvrir l'emplacement du fichier ?", layoutHint: "Glisser pour repositionner • Les cartes s'alignent aux bords", privacy: "Confidentialité", blurZoneHint: "Masquer les plaques ou informations sensibles", timelapse: "Accéléré", enableTimelapse: "Activer l'Accéléré", enableTimelapseDesc: "Accélérer les images pour un aperçu condensé", timelapseSpeed: "Vitesse", timelapseSpeedDesc: "Multiplicateur de vitesse de lecture", timelapseOverlayNote: "Les superpositions du tableau de bord, de la minicarte et de l'horodatage seront synchronisées avec la vitesse accélérée. L'audio est supprimé.", timelapseDuration: "Durée → Durée Accéléré", shareLinkExpiry: "Le lien expire dans {hours} heures", restoreBannerText: "{count} zone(s) de confidentialité précédente(s) trouvée(s)", restoreBannerRestore: "Restaurer", restoreBannerDismiss: "Ignorer", restoreBannerRestored: "Zones de confidentialité restaurées" },
-            settings: { searchPlaceholder: "Rechercher les paramètres...", title: "Paramètres", general: "Général", shortcuts: "Raccourcis", advanced: "Avancé", displaySection: "Affichage", playbackOverlays: "Lecture et Superpositions", storageSection: "Stockage", aboutUpdates: "À Propos et Mises à Jour", appVersion: "Version de l'App", systemSecurity: "Système et Sécurité", secFeature: "Fonction", secStatus: "Statut", secDescription: "Description", footagePrivacy: "Confidentialité Vidéo", localOnly: "Local Uniquement", footagePrivacyDesc: "Les clips dashcam ne quittent jamais votre stockage local.", updateReporting: "Rapport de Mise à Jour", statusActive: "Actif", updateReportingDesc: "Au démarrage, l'app contacte notre API pour les vérifications de sécurité et de version.", deviceHash: "Hash de l'Appareil", hashedSha256: "Haché (SHA-256)", deviceHashDesc: "Un ID sécurisé et salé pour prévenir le spam API.", learnMore: "En Savoir Plus", hideDetails: "Masquer les Détails", architecture: "Architecture", dashboardStyle: "Style du Tableau de Bord", language: "Langue", languageDesc: "Langue d'affichage de l'application", layout: "Disposition", classicSidebar: "Barre Latérale Classique", classicSidebarDesc: "Barre latérale ancrée qui ne chevauche pas la vidéo", overlays: "Superpositions", dashboard: "Tableau de Bord", dashboardDesc: "Afficher la vitesse, le rapport et les données de télémétrie", gpsMap: "Carte GPS", gpsMapDesc: "Afficher la carte d'itinéraire avec la position du véhicule", theme: "Thème", themeDark: "Sombre", themeLight: "Clair", mapStyle: "Style de Carte", mapStyleLight: "Clair", mapStyleDark: "Sombre", dashboardLayout: "Disposition du Tableau de Bord", dashboardLayoutDesc: "Style par défaut ou compact", default: "Par Défaut", acceleratorDisplay: "Affichage de l'Accélérateur", acceleratorDisplayDesc: "Style de visualisation de la pédale", solidColor: "Couleur Unie (On/Off)", iconBar: "Barre d'Icônes (Remplissage)", sideBar: "Barre Latérale", fixedToFrontCamera: "Fixé à la Caméra Avant", fixedToFrontCameraDesc: "Garder le tableau de bord compact sur la caméra avant", mirrorCameras: "Miroir des Caméras", mirrorCamerasDesc: "Miroir des caméras arrière et répéteurs (comme vu dans les rétroviseurs)", glassBlur: "Flou de Verre", glassBlurDesc: "Intensité du flou de superposition", metricUnits: "Unités Métriques", metricUnitsDesc: "Utiliser les kilomètres par heure (KM/H)", dateFormat: "Format de Date", dateFormatDesc: "Format d'affichage des dates", globalSetting: "Paramètre global", mdyFormat: "MM/JJ/AAAA (US)", dmyFormat: "JJ/MM/AAAA (International)", ymdFormat: "AAAA-MM-JJ (ISO)", timeFormat: "Format d'Heure", timeFormatDesc: "Horloge 12 ou 24 heures", time12h: "12 heures (AM/PM)", time24h: "24 heures", defaultFolder: "Dossier Dashcam par Défaut", defaultFolderDesc: "Charger automatiquement ce dossier au démarrage", noFolderSet: "Aucun dossier défini", browse: "Parcourir", clear: "Effacer", about: "À Propos", version: "Version", viewChangelog: "Voir le Journal des Modifications", support: "Support", supportDesc: "Vous avez des problèmes ? Utilisez le bouton Chat de Support dans la barre de lecture.", openSupportChat: "Ouvrir le Chat de Support", done: "Terminé", keyboardShortcuts: "Raccourcis Clavier", keyboardShortcutsDesc: "Cliquez sur un champ et appuyez sur n'importe quelle touche", playPause: "Lecture / Pause", skipForward: "Avancer", skipBackward: "Reculer", skipDuration: "Durée du Saut", toggleDashboard: "Afficher/Masquer le Tableau de Bord", toggleMap: "Afficher/Masquer la Carte", toggleMphKmh: "Basculer MPH / KMH", toggleClipsPanel: "Afficher/Masquer le Panneau de Clips", setExportMarkerIn: "Marqueur de Début d'Exportation", setExportMarkerOut: "Marqueur de Fin d'Exportation", nextClip: "Clip Suivant", prevClip: "Clip Précédent", second: "seconde", seconds: "secondes", updates: "Mises à Jour", disableAutoUpdate: "Désactiver la Mise à Jour Automatique", disableAutoUpdateDesc: "Ne pas vérifier les mises à jour au lancement", updateBranch: "Branche de Mise à Jour", updateBranchDesc: "Main pour stable, Dev-SEI pour bêta", mainStable: "Main (Stable)", devSeiBeta: "Dev-SEI (Bêta)", checkForUpdates: "Vérifier les Mises à Jour", checkForUpdatesDesc: "Vérifier manuellement les nouvelles versions", checkNow: "Vérifier Maintenant", checking: "Vérification...", upToDate: "À Jour", checkFailed: "Échec de la Vérification", updateFound: "Mise à Jour Trouvée !", eventHighlights: "Surbrillances d'Événements", sentryCameraGlow: "Lueur de Caméra Sentry", sentryCameraGlowDesc: "Lueur rouge sur la caméra déclenchée", savedCameraGlow: "Lueur de Caméra Sauvegardée", savedCameraGlowDesc: "Lueur jaune sur la caméra déclenchée", cameraLayout: "Disposition des Caméras", resetCameraOrder: "Réinitialiser l'Ordre des Caméras", resetCameraOrderDesc: "Restaurer les positions par défaut de la grille", reset: "Réinitialiser" },
+            export: { title: "Exporter la Vidéo", start: "Début", end: "Fin", inPoint: "Début", outPoint: "Fin", duration: "Durée", layout: "Disposition", quality: "Qualité", overlays: "Superpositions", timestamp: "Horodatage", dashboard: "Tableau de Bord", cancel: "Annuler", exportBtn: "Exporter", preparing: "Préparation...", exporting: "Exportation...", compact: "Compact", detailed: "Détaillé", teslaMobile: "Tesla Mobile", mobile: "Mobile", teslaMobilePositionDesc: "Haut ou bas du clip", bottom: "Bas", top: "Haut", medium: "Moyen", high: "Élevé", maximum: "Maximum", timestampDesc: "Graver la date et l'heure d'enregistrement", dashboardDesc: "Graver la vitesse, le rapport et la télémétrie", position: "Position", positionDesc: "Placement sur la vidéo", style: "Style", styleDesc: "Style visuel du tableau de bord", size: "Taille", sizeDesc: "Taille du tableau de bord", sizeSmall: "Petit (25%)", sizeMedium: "Moyen (35%)", sizeLarge: "Grand (45%)", sizeXLarge: "Très Grand (55%)", blurType: "Méthode de Flou", blurTypeDesc: "Choisir la méthode selon vitesse vs qualité", addBlurZone: "Ajouter une Zone de Flou", addBlurZoneDesc: "Masquer les informations sensibles avant le partage", addZone: "Ajouter une Zone", bottomCenter: "Bas Centre", bottomLeft: "Bas Gauche", bottomRight: "Bas Droite", topCenter: "Haut Centre", topLeft: "Haut Gauche", topRight: "Haut Droite", blurSolid: "Solide (Rapide)", blurTrue: "Vrai Flou (Lent)", blurZoneEditor: "Éditeur de Zone de Flou", blurZoneCount: "{count} zone(s) de flou configurée(s)", blurZoneInstructions: "Cliquez et faites glisser les poignées d'angle pour redimensionner. Survolez les bords pour ajouter de nouveaux points. Cliquez sur les points pour créer des formes complexes.", saveZone: "Enregistrer la Zone", dashboardGpuWarning: "La superposition du tableau de bord nécessite un encodage GPU. Aucun GPU compatible détecté.", dashboardPrerendered: "Le tableau de bord est pré-rendu pour des performances optimales.", maxQualityWarning: "La qualité maximale utilise l'encodage HEVC si GPU disponible.", frontCamWarning: "La caméra avant sera réduite pour correspondre aux autres caméras.", minimap: "Mini-carte GPS", minimapDesc: "Afficher l'itinéraire et la position sur la carte", minimapNoGps: "Aucune donnée GPS trouvée dans les clips sélectionnés.", minimapPosition: "Position", minimapPositionDesc: "Placement dans le coin", minimapSize: "Taille", minimapSizeDesc: "Taille de la mini-carte", minimapRenderMode: "Mode de Rendu", minimapRenderModeDesc: "Vitesse vs qualité", minimapStaticFast: "Carte Statique (Rapide)", minimapLiveSlow: "Carte en Direct (Lent)", shareClip: "Partager le Clip", shareClipNew: "NOUVEAU", generateShareableLink: "Générer un Lien de Partage", generateShareableLinkDesc: "Télécharger sur les serveurs Sentry Studio après l'exportation", shareClipInfo: "Votre clip sera disponible pendant <strong>{hours} heures</strong> sur clip.sentry-six.com", shareClipWarning: "Le partage n'est disponible que pour les exportations de moins de 5 minutes", minimapStaticDesc: "Carte statique : Télécharge les tuiles de carte une fois, superpose le chemin et le marqueur de position. Exportation rapide, nécessite internet.", minimapLiveDesc: "Carte en direct : Rend chaque image avec Leaflet. Affiche les mises à jour de carte en temps réel mais exportation beaucoup plus lente.", renderingMinimap: "Rendu de la mini-carte...", minimapNoGpsDisabled: "Aucune donnée GPS disponible pour la superposition de mini-carte. La mini-carte sera désactivée.", minimapGpsExtractFailed: "Échec de l'extraction des données GPS. La mini-carte sera désactivée.", output: "Sortie", checkingFfmpeg: "Vérification de FFmpeg...", ffmpegReady: "FFmpeg prêt", cpuOnly: "CPU uniquement (pas d'encodeur GPU)", ffmpegRequiredMac: "FFmpeg requis. Exécutez dans le Terminal : brew install ffmpeg", ffmpegRequiredWin: "FFmpeg introuvable. Placez ffmpeg.exe dans le dossier ffmpeg_bin.", notAvailable: "Exportation non disponible (exécution dans le navigateur)", ffmpegError: "Erreur lors de la vérification de FFmpeg", blurZonesStatus: "{count} zone(s) de flou - Superposition du tableau de bord désactivée", blurZonesWarning: "Avertissement : Les zones de flou configurées pour les caméras non sélectionnées ({cameras}) ne seront pas appliquées", minimizeHint: "Vous pouvez minimiser cette fenêtre pour continuer à regarder les images. L'exportation continuera en arrière-plan.", analyzingSegments: "Analyse des segments...", buildingExport: "Construction de l'exportation...", exportingWithEncoder: "Exportation avec {encoder}...", exportingWithCpu: "Exportation avec CPU...", exportingPercent: "Exportation... {percent}%", exportCompleteMB: "Exportation terminée ! ({size} Mo)", exportFailedCode: "Échec de l'exportation (code {code})", exportFailedNoSpace: "Échec de l'exportation: Espace disque insuffisant. Libérez de l'espace sur le lecteur de destination et réessayez.", exportFailedPermission: "Échec de l'exportation: Permission refusée. Essayez d'enregistrer dans un autre dossier ou vérifiez les permissions.", exportFailedPathNotFound: "Échec de l'exportation: Dossier de destination introuvable. Le lecteur a peut-être été déconnecté. Vérifiez le chemin et réessayez.", exportFailedReadOnly: "Échec de l'exportation: Le lecteur de destination est en lecture seule. Retirez la protection en écriture ou choisissez un autre lecteur.", exportFailedInvalidPath: "Échec de l'exportation: Chemin de fichier non valide. Essayez un chemin plus court ou supprimez les caractères spéciaux du nom du dossier.", exportFailedGpuMemory: "Échec de l'exportation: La GPU est à court de mémoire. Fermez les autres applications gourmandes en GPU ou essayez une qualité inférieure.", exportFailedGpuUnavailable: "Échec de l'exportation: L'encodeur GPU n'est plus disponible. Redémarrez l'application ou vérifiez vos pilotes GPU.", exportFailedSourceLost: "Échec de l'exportation: Les fichiers sources sont devenus inaccessibles pendant l'exportation. Vérifiez que le lecteur source est toujours connecté.", blurZoneFailed: "Les zones de flou de confidentialité n'ont pas pu être appliquées. Votre vidéo exportée N'EST PAS floutée. Veuillez réinstaller l'application ou contacter le support.", openFileLocation: "Voulez-vous ouvrir l'emplacement du fichier ?", layoutHint: "Glisser pour repositionner • Les cartes s'alignent aux bords", privacy: "Confidentialité", blurZoneHint: "Masquer les plaques ou informations sensibles", timelapse: "Accéléré", enableTimelapse: "Activer l'Accéléré", enableTimelapseDesc: "Accélérer les images pour un aperçu condensé", timelapseSpeed: "Vitesse", timelapseSpeedDesc: "Multiplicateur de vitesse de lecture", timelapseOverlayNote: "Les superpositions du tableau de bord, de la minicarte et de l'horodatage seront synchronisées avec la vitesse accélérée. L'audio est supprimé.", timelapseDuration: "Durée → Durée Accéléré", shareLinkExpiry: "Le lien expire dans {hours} heures", restoreBannerText: "{count} zone(s) de confidentialité précédente(s) trouvée(s)", restoreBannerRestore: "Restaurer", restoreBannerDismiss: "Ignorer", restoreBannerRestored: "Zones de confidentialité restaurées", telemetryData: "Données de Télémétrie", telemetryDataDesc: "Vitesse, rapport, pédales, direction, clignotants, état de l'Autopilot, GPS et accélération image par image pour la plage sélectionnée. Aucune vidéo n'est réencodée.", exportTelemetry: "Exporter la Télémétrie", telemetrySelectFormat: "Sélectionnez au moins un format de télémétrie", telemetryInProgress: "Une exportation est déjà en cours", telemetryNoGps: "Aucun signal GPS sur cette plage — les traces GPX/KML seront vides", telemetryExported: "{count} images de télémétrie exportées dans {files} fichier(s)", telemetryExportFailed: "Échec de l'exportation de la télémétrie : {error}", subtitles: "Sous-titres de Télémétrie", subtitleSidecar: "Fichier séparé", subtitleEmbedded: "Intégrés", subtitleEmbeddedDesc: "Piste dans le MP4", subtitlesDesc: "Heure, vitesse, rapport, état de l'Autopilot et position GPS chaque seconde dans une piste de sous-titres que l'on peut activer ou masquer. Rien n'est incrusté dans la vidéo.", shareClipInfoServer: "Votre clip sera disponible pendant <strong>{hours}</strong> sur {host}" },
+            settings: { searchPlaceholder: "Rechercher les paramètres...", title: "Paramètres", general: "Général", shortcuts: "Raccourcis", advanced: "Avancé", displaySection: "Affichage", playbackOverlays: "Lecture et Superpositions", storageSection: "Stockage", aboutUpdates: "À Propos et Mises à Jour", appVersion: "Version de l'App", systemSecurity: "Système et Sécurité", secFeature: "Fonction", secStatus: "Statut", secDescription: "Description", footagePrivacy: "Confidentialité Vidéo", localOnly: "Local Uniquement", footagePrivacyDesc: "Les clips dashcam ne quittent jamais votre stockage local.", updateReporting: "Rapport de Mise à Jour", statusActive: "Actif", updateReportingDesc: "Au démarrage, l'app contacte notre API pour les vérifications de sécurité et de version.", deviceHash: "Hash de l'Appareil", hashedSha256: "Haché (SHA-256)", deviceHashDesc: "Un ID sécurisé et salé pour prévenir le spam API.", learnMore: "En Savoir Plus", hideDetails: "Masquer les Détails", architecture: "Architecture", dashboardStyle: "Style du Tableau de Bord", language: "Langue", languageDesc: "Langue d'affichage de l'application", layout: "Disposition", classicSidebar: "Barre Latérale Classique", classicSidebarDesc: "Barre latérale ancrée qui ne chevauche pas la vidéo", overlays: "Superpositions", dashboard: "Tableau de Bord", dashboardDesc: "Afficher la vitesse, le rapport et les données de télémétrie", gpsMap: "Carte GPS", gpsMapDesc: "Afficher la carte d'itinéraire avec la position du véhicule", theme: "Thème", themeDark: "Sombre", themeLight: "Clair", mapStyle: "Style de Carte", mapStyleLight: "Clair", mapStyleDark: "Sombre", dashboardLayout: "Disposition du Tableau de Bord", dashboardLayoutDesc: "Style par défaut ou compact", default: "Par Défaut", acceleratorDisplay: "Affichage de l'Accélérateur", acceleratorDisplayDesc: "Style de visualisation de la pédale", solidColor: "Couleur Unie (On/Off)", iconBar: "Barre d'Icônes (Remplissage)", sideBar: "Barre Latérale", fixedToFrontCamera: "Fixé à la Caméra Avant", fixedToFrontCameraDesc: "Garder le tableau de bord compact sur la caméra avant", mirrorCameras: "Miroir des Caméras", mirrorCamerasDesc: "Miroir des caméras arrière et répéteurs (comme vu dans les rétroviseurs)", glassBlur: "Flou de Verre", glassBlurDesc: "Intensité du flou de superposition", metricUnits: "Unités Métriques", metricUnitsDesc: "Utiliser les kilomètres par heure (KM/H)", dateFormat: "Format de Date", dateFormatDesc: "Format d'affichage des dates", globalSetting: "Paramètre global", mdyFormat: "MM/JJ/AAAA (US)", dmyFormat: "JJ/MM/AAAA (International)", ymdFormat: "AAAA-MM-JJ (ISO)", timeFormat: "Format d'Heure", timeFormatDesc: "Horloge 12 ou 24 heures", time12h: "12 heures (AM/PM)", time24h: "24 heures", defaultFolder: "Dossier Dashcam par Défaut", defaultFolderDesc: "Charger automatiquement ce dossier au démarrage", noFolderSet: "Aucun dossier défini", browse: "Parcourir", clear: "Effacer", about: "À Propos", version: "Version", viewChangelog: "Voir le Journal des Modifications", support: "Support", supportDesc: "Vous avez des problèmes ? Utilisez le bouton Chat de Support dans la barre de lecture.", openSupportChat: "Ouvrir le Chat de Support", done: "Terminé", keyboardShortcuts: "Raccourcis Clavier", keyboardShortcutsDesc: "Cliquez sur un champ et appuyez sur n'importe quelle touche", playPause: "Lecture / Pause", skipForward: "Avancer", skipBackward: "Reculer", skipDuration: "Durée du Saut", toggleDashboard: "Afficher/Masquer le Tableau de Bord", toggleMap: "Afficher/Masquer la Carte", toggleMphKmh: "Basculer MPH / KMH", toggleClipsPanel: "Afficher/Masquer le Panneau de Clips", setExportMarkerIn: "Marqueur de Début d'Exportation", setExportMarkerOut: "Marqueur de Fin d'Exportation", nextClip: "Clip Suivant", prevClip: "Clip Précédent", second: "seconde", seconds: "secondes", updates: "Mises à Jour", disableAutoUpdate: "Désactiver la Mise à Jour Automatique", disableAutoUpdateDesc: "Ne pas vérifier les mises à jour au lancement", updateBranch: "Branche de Mise à Jour", updateBranchDesc: "Main pour stable, Dev-SEI pour bêta", mainStable: "Main (Stable)", devSeiBeta: "Dev-SEI (Bêta)", checkForUpdates: "Vérifier les Mises à Jour", checkForUpdatesDesc: "Vérifier manuellement les nouvelles versions", checkNow: "Vérifier Maintenant", checking: "Vérification...", upToDate: "À Jour", checkFailed: "Échec de la Vérification", updateFound: "Mise à Jour Trouvée !", eventHighlights: "Surbrillances d'Événements", sentryCameraGlow: "Lueur de Caméra Sentry", sentryCameraGlowDesc: "Lueur rouge sur la caméra déclenchée", savedCameraGlow: "Lueur de Caméra Sauvegardée", savedCameraGlowDesc: "Lueur jaune sur la caméra déclenchée", cameraLayout: "Disposition des Caméras", resetCameraOrder: "Réinitialiser l'Ordre des Caméras", resetCameraOrderDesc: "Restaurer les positions par défaut de la grille", reset: "Réinitialiser", indexCache: "Cache d'index de la bibliothèque", indexCacheStatus: "{folders} dossier(s) en cache · {size}", indexCacheEmpty: "Aucun dossier en cache pour l'instant", clearIndexCache: "Vider le cache", indexCacheCleared: "Cache d'index vidé. Les dossiers seront réanalysés à leur prochaine ouverture.", indexCacheClearFailed: "Impossible de vider le cache d'index : {error}", rebuildIndex: "Reconstruire l'index", indexRebuilt: "Index reconstruit à partir du disque.", indexRebuildFailed: "Impossible de reconstruire l'index : {error}", indexRebuildNeedsFolder: "Ouvrez d'abord un dossier dashcam pour reconstruire son index.", addBookmark: "Ajouter un signet", frameForward: "Image suivante", frameBackward: "Image précédente", saveStill: "Enregistrer l'image fixe", toggleTelemetryCharts: "Afficher/masquer les graphiques", nextMotion: "Mouvement suivant", prevMotion: "Mouvement précédent", toggleMotionSkipIdle: "Activer/désactiver le saut des périodes calmes", toggleSmartPlayback: "Activer/désactiver la lecture intelligente", nextMultiLayout: "Disposition suivante", prevMultiLayout: "Disposition précédente", sharingSection: "Partage de Clips", shareServer: "Serveur de partage", shareServerSave: "Enregistrer", shareServerReset: "Par défaut", shareServerDesc: "Laissez vide pour utiliser le service hébergé de Sentry Studio, ou saisissez l'adresse de votre propre serveur (share-server dans le dépôt) pour garder les clips partagés sur votre réseau.", shareServerInvalid: "Impossible d'enregistrer le serveur", shareServerDefault: "Utilisation du service hébergé de Sentry Studio", shareServerSaved: "Les clips seront partagés via {url}" },
             cameras: { front: "Avant", back: "Arrière", leftPillar: "Pilier Gauche", rightPillar: "Pilier Droit", leftRepeater: "Répéteur Gauche", rightRepeater: "Répéteur Droit" },
             dashboard: { drive: "Conduite", manual: "Manuel", noData: "Pas de Données", mph: "MPH", kmh: "KM/H", selfDriving: "Conduite Autonome", autosteer: "Direction Automatique", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Chargez d'abord une collection pour définir les marqueurs d'exportation", startMarkerSet: "Marqueur de début défini", endMarkerSet: "Marqueur de fin défini", exportComplete: "Exportation terminée !", exportCancelled: "Exportation annulée", exportFailed: "Échec de l'exportation", foundDatesWithClips: "{count} dates avec clips trouvées", loadedFilesForDate: "{count} fichiers chargés pour {date}", noDataForDate: "Pas de données pour {date}", noClipsFoundForDate: "Aucun clip trouvé pour {date}", noDashcamClipsFound: "Aucun clip vidéo trouvé. Sélectionnez un dossier contenant des fichiers vidéo (.mp4, .avi, .mov, .mkv) ou un dossier dashcam Tesla avec RecentClips, SentryClips ou SavedClips.", metadataParserNotReady: "Analyseur de métadonnées pas encore initialisé—réessayez dans une seconde.", noSupportedFilesFound: "Aucun fichier pris en charge trouvé dans ce dossier.", failedToLoadVideo: "Échec du chargement de la vidéo : {error}", errorSelectingDay: "Erreur lors de la sélection du jour : {error}", failedToOpenFolder: "Échec de l'ouverture du dossier : {error}", failedToInitMetadataParser: "Échec de l'initialisation de l'analyseur de métadonnées. Assurez-vous que protobuf se charge et que vous n'exécutez pas via file://", capturingSnapshot: "Capture d'écran en cours...", couldNotFindVideoFile: "Impossible de trouver le fichier vidéo pour la caméra {camera}", unsupportedFileType: "Type de fichier non pris en charge pour la capture", failedToCaptureSnapshot: "Échec de la capture d'écran : {error}", blurZoneMinPoints: "Veuillez créer une zone de flou valide avec au moins 3 points", failedToGenerateMask: "Échec de la génération de l'image de masque", failedToExtractMaskData: "Échec de l'extraction des données de l'image de masque", failedToGetCanvasDimensions: "Échec de l'obtention des dimensions du canvas", blurZoneSaved: "Zone de flou enregistrée avec succès", failedToSaveBlurZone: "Échec de l'enregistrement de la zone de flou : {error}", exportNotAvailable: "Exportation non disponible", exportRequiresFolder: "L'exportation nécessite de sélectionner un dossier via le sélecteur de dossiers. Veuillez resélectionner votre dossier dashcam.", selectAtLeastOneCamera: "Veuillez sélectionner au moins une caméra", extractingTelemetry: "Extraction des données de télémétrie...", noTelemetryData: "Aucune donnée de télémétrie disponible pour la superposition du tableau de bord", failedToExtractTelemetry: "Échec de l'extraction de la télémétrie. La superposition du tableau de bord sera désactivée.", noVideoFilesForExport: "Aucun fichier vidéo trouvé pour l'exportation. Veuillez vous assurer que le dossier a été sélectionné correctement.", exportFailedWithError: "Exportation échouée : {error}", onlyOneAttachment: "Seulement 1 pièce jointe autorisée par message", fileTooLarge: "Le fichier \"{filename}\" est trop volumineux (max 100 Mo)", enterMessageOrAttach: "Veuillez saisir un message ou joindre un fichier", supportTicketClosed: "Ticket de support fermé", newSupportMessages: "{count} nouveau(x) message(s) de support reçu(s)", cameraOrderReset: "Ordre des caméras réinitialisé par défaut", collectingDiagnostics: "Collecte des données de diagnostic...", uploadingDiagnostics: "Téléchargement des diagnostics...", supportIdCopied: "ID de support : {supportId} - Copié dans le presse-papiers !", failedToUploadDiagnostics: "Échec du téléchargement des diagnostics : {error}", uploadFailed: "Échec du téléchargement : {error}", supportIdCopiedSimple: "ID de support copié dans le presse-papiers !", failedToCopy: "Échec de la copie : {error}", failedToGenerateSupportId: "Échec de la génération de l'ID de support : {error}" },
             supportChat: { title: "Chat de Support", needHelp: "Besoin d'Aide ?", welcomeDesc: "Démarrez une conversation de support avec nous. Décrivez votre problème, bug ou commentaire et nous vous répondrons dès que possible.", welcomeNote: "Vous pouvez joindre des captures d'écran/vidéos et des données de diagnostic pour nous aider à mieux comprendre votre problème.", diagnostics: "Diagnostics", attach: "Joindre", placeholder: "Décrivez votre problème ou commentaire...", privacyNote: "Les données sont automatiquement supprimées après 7 jours", ticketClosed: "Ce ticket a été fermé.", createNewTicket: "Créer un Nouveau Ticket de Support", closeTicket: "Fermer le Ticket", minimize: "Minimiser", closePanel: "Fermer le Panneau", sendMessage: "Envoyer le message", includeDiagnostics: "Inclure les données de diagnostic", attachFiles: "Joindre des fichiers", you: "Vous", support: "Support" },
-            sharedClips: { title: "Mes Clips Partagés", emptyTitle: "Pas encore de clips partagés", emptyDesc: "Exportez un clip avec le partage activé pour le voir ici", clickHint: "Sélectionnez un clip pour voir les détails", copyLink: "Copier le Lien", open: "Ouvrir", delete: "Supprimer", deleteTitle: "Supprimer le Clip Partagé", deleteConfirm: "Êtes-vous sûr de vouloir supprimer", deleteWarning: "Cela supprimera définitivement le clip des serveurs Sentry Studio. Toute personne ayant le lien ne pourra plus le voir ni le télécharger.", cancel: "Annuler", deleteClip: "Supprimer le Clip" }
+            sharedClips: { title: "Mes Clips Partagés", emptyTitle: "Pas encore de clips partagés", emptyDesc: "Exportez un clip avec le partage activé pour le voir ici", clickHint: "Sélectionnez un clip pour voir les détails", copyLink: "Copier le Lien", open: "Ouvrir", delete: "Supprimer", deleteTitle: "Supprimer le Clip Partagé", deleteConfirm: "Êtes-vous sûr de vouloir supprimer", deleteWarning: "Cela supprimera définitivement le clip des serveurs Sentry Studio. Toute personne ayant le lien ne pourra plus le voir ni le télécharger.", cancel: "Annuler", deleteClip: "Supprimer le Clip", resumeUpload: "Reprendre l'envoi" },
+            exportQueue: { title: "File d'exportation", addToQueue: "Ajouter à la file", jobAdded: "Ajouté à la file d'exportation : {name}", jobDone: "Exportation en file terminée : {name}", jobFailed: "Échec de l'exportation en file : {name} ({error})", actionFailed: "Erreur de la file d'exportation : {error}", emptyTitle: "Aucune exportation en file", emptyDesc: "Utilisez « Ajouter à la file » dans la fenêtre d'exportation pour enchaîner plusieurs exportations", pausedNote: "La file est en pause. L'exportation en cours se termine, mais aucune nouvelle tâche ne démarre avant la reprise.", clearFinished: "Effacer les terminées", pauseQueue: "Suspendre la file", resumeQueue: "Reprendre la file", moveUp: "Monter", moveDown: "Descendre", pause: "Suspendre", resume: "Reprendre", retry: "Réessayer", remove: "Retirer", showInFolder: "Afficher dans le dossier", statusPending: "En attente", statusRunning: "Exportation", statusPaused: "En pause", statusFailed: "Échec", statusDone: "Terminé" },
+            incidents: { tab: "Incidents", scan: "Analyser", rescan: "Réanalyser", selectClip: "Ouvrez un clip pour rechercher des incidents", notScanned: "Pas encore analysé", scanning: "Analyse de la télémétrie ({done}/{total})", found: "{count} incident(s) trouvé(s)", scanFailed: "Échec de l'analyse des incidents : {error}", hardBrake: "Freinage brusque", hardAccel: "Accélération brusque", sharpTurn: "Virage serré", impact: "Impact possible", settingsTitle: "Détection d'incidents", resetThresholds: "Réinitialiser les seuils" },
+            highlightReel: { title: "Compilation des temps forts", enable: "Créer une compilation", enableDesc: "Assemble de courts extraits autour des moments clés en une seule vidéo", sourceEvents: "Événements Sentinelle et enregistrés", sourceEventsDesc: "Moment où l'événement s'est déclenché", sourceDisengagements: "Désengagements FSD", sourceDisengagementsDesc: "Depuis les données de trajet SentryUSB", sourceAccelPushes: "Appuis sur l'accélérateur", sourceAccelPushesDesc: "Appuis sur la pédale pendant que le FSD était actif", sourceBraking: "Freinages brusques", sourceBrakingDesc: "Détectés à partir de la télémétrie", paddingBefore: "Avant chaque moment", paddingBeforeDesc: "Séquence conservée avant le déclenchement", paddingAfter: "Après chaque moment", paddingAfterDesc: "Séquence conservée après le déclenchement", note: "Utilise tout le clip chargé au lieu des marqueurs de début/fin. Chaque moment reçoit un carton avec la date, l'heure et le lieu.", sentryEvent: "Événement Sentinelle", savedEvent: "Clip enregistré", disengagement: "Désengagement FSD", accelPush: "Appui sur l'accélérateur", scanningTelemetry: "Analyse de la télémétrie pour les freinages brusques…", nothingFound: "Aucun temps fort trouvé pour les sources sélectionnées", tooManyClips: "{count} temps forts trouvés ; seuls les {max} premiers seront inclus", renderingClip: "Rendu du temps fort {current} sur {total}…", stitching: "Assemblage des temps forts et des cartons…" },
+            libraryMap: { open: "Carte de la bibliothèque", title: "Carte de la bibliothèque", from: "Du", to: "Au", reason: "Motif", allReasons: "Tous les motifs", drives: "Trajets", fit: "Ajuster aux résultats", loading: "Lecture des emplacements des événements… {done}/{total}", summary: "{events} événement(s) · {drives} trajet(s)", noLocations: "Aucun élément localisé ne correspond à ces filtres", openClip: "Ouvrir le clip", openDrive: "Ouvrir le trajet", noLibrary: "Ouvrez d'abord un dossier dashcam ou chargez les données de trajets SentryUSB", mapUnavailable: "Impossible de charger la bibliothèque de cartes. Vérifiez votre connexion Internet." },
+            search: { tab: "Recherche", placeholder: "ex. reason:honk date:-30d", run: "Rechercher", help: "Syntaxe des requêtes", helpEvents: "Événements :", helpTime: "Date et heure :", helpDrives: "Trajets :", helpTelemetry: "Télémétrie :", helpLogic: "Combiner :", readingEvents: "Lecture des événements… {done}/{total}", noLibrary: "Ouvrez un dossier dashcam pour y effectuer une recherche", searching: "Recherche…", indexingDate: "Indexation du {date}…", scanningTelemetry: "Lecture de la télémétrie… {done}/{total} clips", found: "{count} résultat(s)", tooManyResults: "Affichage des {count} premiers résultats — affinez la requête pour en voir plus", scanLimited: "La télémétrie n'a été lue que pour les {count} clips correspondants les plus récents ; ajoutez date: pour remonter plus loin.", failed: "Échec de la recherche : {error}", drive: "Trajet", sentryEvent: "Événement Sentinelle", savedEvent: "Clip enregistré", recentClips: "Clips récents", customClips: "Clips", errorEmptyGroup: "Terme de recherche attendu", errorParen: "Parenthèses non équilibrées", errorUnexpected: "« {token} » inattendu", errorMissingValue: "Valeur manquante après {field}", errorInvalidValue: "« {value} » n'est pas une valeur valide pour {field}", errorComparator: "« {cmp} » ne peut pas être utilisé avec {field} ; utilisez : ou !=" },
+            bookmarks: { tab: "Signets", filter: "Filtrer les signets…", add: "Ajouter un signet à cet instant", addTitle: "Ajouter un signet", editTitle: "Modifier le signet", titleLabel: "Titre", titlePlaceholder: "Que s'est-il passé ici ?", noteLabel: "Notes", colorLabel: "Couleur", delete: "Supprimer", cancel: "Annuler", save: "Enregistrer", edit: "Modifier", untitled: "Signet sans titre", noFolder: "Ouvrez un dossier dashcam pour ajouter des signets", empty: "Aucun signet pour l'instant. Utilisez le bouton signet près de la chronologie pour marquer un instant.", count: "{count} signet(s)", filtered: "{count} signets sur {total}", saveFailed: "Impossible d'enregistrer les signets : {error}", savedLocally: "Ce dossier est en lecture seule : les signets sont enregistrés uniquement sur cet ordinateur" },
+            stills: { frameBack: "Image précédente", frameForward: "Image suivante", saveStill: "Enregistrer l'image fixe", title: "Enregistrer une image fixe", sourceLabel: "Caméra", wholeGrid: "Toutes les caméras (grille)", captionLabel: "Ajouter une légende de télémétrie (heure, vitesse, rapport, GPS)", hint: "Enregistrée en PNG à la résolution native des caméras.", cancel: "Annuler", save: "Enregistrer le PNG", saveTitle: "Enregistrer l'image fixe", autopilot: "Autopilot", noVideo: "Ouvrez un clip pour enregistrer une image fixe", noFrame: "L'image vidéo n'est pas encore prête", saved: "Image fixe enregistrée : {file}", saveFailed: "Échec de l'enregistrement de l'image fixe : {error}" },
+            evidence: { title: "Dossier de preuves", enable: "Créer un dossier de preuves", enableDesc: "Regroupe les clips d'origine, les données de l'événement et la télémétrie avec la vidéo dans un zip", note: "Contient le clip intact de chaque caméra pour la plage marquée, un rapport avec les horodatages et les réglages d'export, et un manifeste SHA-256 permettant à chacun de vérifier que rien n'a été modifié.", verify: "Vérifier un dossier...", verifying: "Vérification des fichiers avec SHA256SUMS...", verifyOk: "{name} : les {count} fichiers correspondent au manifeste", verifyFailed: "{name} : échec de la vérification - le dossier a été modifié", verifyError: "Impossible de vérifier le dossier : {error}", statusModified: "modifié", statusMissing: "manquant", statusUnlisted: "absent du manifeste", noSourceFiles: "Aucun clip source sur le disque pour cette plage", notWithReel: "Un dossier de preuves couvre une seule plage continue - désactivez d'abord le montage des temps forts", rendering: "Rendu de la vidéo du dossier de preuves...", telemetry: "Décodage de la télémétrie...", hashing: "Calcul des empreintes ({current}/{total})...", zipping: "Écriture du zip...", complete: "Dossier de preuves enregistré ({files} fichiers, {size} Mo)" },
+            incidentReport: { title: "Rapport d'incident", generate: "Créer un rapport d'incident", saveTitle: "Enregistrer le rapport d'incident", generating: "Création du rapport d'incident…", saved: "Rapport d'incident enregistré : {file}", failed: "Impossible de créer le rapport d'incident : {error}", notAvailable: "Les rapports d'incident sont disponibles pour les événements Sentry et enregistrés ayant un event.json", eventDetails: "Détails de l'événement", eventType: "Type d'événement", reason: "Motif", triggerTime: "Déclenché à", triggerCamera: "Caméra déclenchante", location: "Lieu", coordinates: "Coordonnées", sourceFolder: "Dossier source", recording: "Enregistrement", clipCount: "{count} clips", keyFrames: "Images clés", trigger: "Déclenchement", noFrames: "Aucune image n'a pu être lue autour du déclenchement", map: "Carte de localisation", mapOffline: "Les tuiles de carte n'ont pas pu être téléchargées ; le trajet et la position sont tracés sans fond.", noGps: "Aucune position GPS n'a été enregistrée pour cet événement", telemetry: "Télémétrie du véhicule ({seconds} s autour du déclenchement)", noTelemetry: "Aucune télémétrie enregistrée autour du déclenchement (habituel à l'arrêt)", atTrigger: "Au déclenchement", speed: "Vitesse", accelerator: "Accélérateur", brake: "Frein", steering: "Angle de braquage", gear: "Rapport", autopilot: "Aide à la conduite", applied: "Actionné", released: "Relâché", footer: "Généré par Sentry Studio le {date} à partir des enregistrements TeslaCam d'origine. Les heures sont celles enregistrées par le véhicule." },
+            telemetryCharts: { title: "Graphiques de télémétrie", toggle: "Graphiques de télémétrie", speed: "Vitesse", accelerator: "Accélérateur", brake: "Frein", steering: "Direction", lateralG: "G latéral", longitudinalG: "G longitudinal", autopilot: "Autopilot", on: "Oui", off: "Non", dock: "Ancrer au-dessus des commandes", undock: "Panneau flottant", resetZoom: "Afficher toute la chronologie", close: "Fermer", noCollection: "Sélectionnez un clip pour tracer sa télémétrie", loading: "Lecture de la télémétrie… {done}/{total}", noData: "Aucune télémétrie dans ces clips", scanFailed: "Impossible de lire la télémétrie : {error}" },
+            timelineStrip: { setting: "Bande de la chronologie", settingDesc: "Couleur sous la barre de progression", speed: "Vitesse", autopilot: "Autopilot", off: "Désactivé", gapMinutes: "{count} min non enregistrées", gapSeconds: "{count} s non enregistrées" },
+            motion: { setting: "Analyse du mouvement", settingDesc: "Rechercher du mouvement sur chaque caméra des événements Sentinelle et enregistrés", skipIdleOff: "Ignorer les périodes sans activité", skipIdleOn: "Périodes sans activité ignorées (cliquer pour désactiver)", skipIdleEnabled: "Les périodes sans mouvement seront ignorées", skipIdleDisabled: "Lecture intégrale", analyzing: "Analyse du mouvement… {percent} %", analysisFailed: "Échec de l'analyse du mouvement : {error}", noNext: "Plus de mouvement après ce point", noPrevious: "Aucun mouvement avant ce point", skipped: "{seconds} s sans mouvement ignorées" },
+            smartPlayback: { toggle: "Lecture intelligente : ignorer les arrêts en P, 1x autour des freinages/clignotants", on: "Lecture intelligente activée (cliquer pour désactiver)", enabled: "Lecture intelligente activée", disabled: "Lecture intelligente désactivée", saved: "{time} d'arrêt ignorées ou accélérées", settingsTitle: "Lecture intelligente", parkedAction: "Arrêts en stationnement", parkedActionDesc: "Rapport sur P et à l'arrêt", skip: "Ignorer", fastForward: "Avance rapide", minParked: "Arrêt minimal", fastRate: "Vitesse d'avance rapide", slowPad: "1x autour freinage/clignotant", off: "Désactivé", reset: "Réinitialiser la lecture intelligente" },
+            multiLayouts: { title: "Disposition des caméras", sixDefault: "Par défaut (3×2)", quad: "2×2 (quatre caméras)", frontFocus: "Avant en grand + 5", frontBack: "Avant / Arrière", pip: "Image dans l'image", builtIn: "Intégrées", custom: "Personnalisées", manage: "Gérer", newLayout: "Nouvelle disposition…", editLayout: "Modifier la disposition…", defaultName: "Ma disposition {n}", switched: "Disposition : {name}", saved: "Disposition « {name} » enregistrée", noCameras: "Ajoutez au moins une caméra à la disposition", nameLabel: "Nom", camerasLabel: "Caméras", editorHint: "Glisser pour déplacer • Glisser le coin pour redimensionner • Les cartes s'aimantent aux bords", delete: "Supprimer", cancel: "Annuler", save: "Enregistrer" },
+            exportPresets: { label: "Préréglage", none: "Aucun préréglage", empty: "Aucun préréglage enregistré", save: "Enregistrer comme préréglage", rename: "Renommer le préréglage", delete: "Supprimer le préréglage", import: "Importer des préréglages", export: "Exporter les préréglages vers un fichier", exportTitle: "Enregistrer les préréglages d'export", fileType: "Préréglages d'export", namePlaceholder: "Nom du préréglage", confirm: "Enregistrer", cancel: "Annuler", saved: "Préréglage « {name} » enregistré", renamed: "Préréglage renommé en « {name} »", deleted: "Préréglage « {name} » supprimé", applied: "Préréglage « {name} » appliqué", nameTaken: "Un préréglage nommé « {name} » existe déjà", imported: "{count} préréglage(s) importé(s)", exported: "{count} préréglage(s) exporté(s)", importFailed: "Impossible d'importer les préréglages : {error}", exportFailed: "Impossible d'exporter les préréglages : {error}", camerasUnavailable: "Absentes de ce clip : {cameras}" },
+            exportMetadata: { title: "Métadonnées du Fichier", gpsTrack: "Intégrer le Lieu de Départ", gpsTrackDesc: "Où commence l'export, pour les apps photo et cartes", chapters: "Ajouter des Chapitres", chaptersDesc: "Repères à chaque clip, déclenchement d'événement et désengagement FSD", clipChapter: "Clip {time}", clipChapterUntimed: "Clip" },
+            webGallery: { open: "Galerie web", title: "Galerie web", description: "Exporte les événements sélectionnés dans un dossier qui s'ouvre dans n'importe quel navigateur, sans Sentry Studio ni connexion internet. Copiez-le sur une clé USB ou un partage réseau.", selectAll: "Tout sélectionner", selectNone: "Tout désélectionner", galleryTitle: "Titre", defaultTitle: "Galerie Sentry Studio", cameras: "Caméras", trim: "Exporter uniquement autour du déclenchement", before: "Secondes avant", after: "Secondes après", cancel: "Annuler", export: "Exporter la galerie", noLibrary: "Ouvrez d'abord un dossier dashcam contenant des événements Sentry ou enregistrés", noEvents: "Aucun événement Sentry ou enregistré dans ce dossier", loading: "Lecture des événements… {done}/{total}", noMatches: "Aucun événement ne correspond à ces filtres", selectedCount: "{count} sur {total} événement(s) sélectionné(s)", noSelection: "Sélectionnez au moins un événement", queued: "Galerie web de {count} événement(s) ajoutée à la file d'export : {name}", rendering: "Événement {current}/{total} : rendu {camera}", writingPage: "Écriture de la page de la galerie...", complete: "Galerie exportée ({events} événement(s), {size})", skipped: "{count} événement(s) n'ont pas pu être exportés : {events}", pageEvents: "{count} événement(s)", pageCreated: "Créée le {date}", pageAllEvents: "Tous les événements", pagePrevious: "Événement précédent", pageNext: "Événement suivant", pagePlay: "Lecture / pause", pageJumpToEvent: "Aller à l'événement", pageType: "Type", pageDate: "Date", pageLocation: "Lieu", pageCoordinates: "Coordonnées", pageCamera: "Caméra déclencheuse", pageDuration: "Durée", pageDistance: "Distance", pageRoute: "Trajet", pageOpenMap: "Ouvrir dans OpenStreetMap", pageEventJson: "Télécharger event.json", pageNoRoute: "Aucune donnée GPS dans ces clips" },
+            clipHealth: { open: "Santé des clips", title: "Santé des clips", description: "Détecte les clips vides, illisibles ou coupés lorsque la voiture a perdu l'alimentation, ainsi que les clips où il manque une caméra. Les clips réparés sont enregistrés à côté de l'original en .repaired.mp4 et lus à sa place ; l'original n'est jamais modifié.", scan: "Analyser à nouveau", repairAll: "Tout réparer", close: "Fermer", needsFolder: "Choisissez d'abord un dossier dashcam avec le bouton dossier (les dossiers glissés ne peuvent pas être analysés)", reading: "Lecture du dossier…", scanning: "Vérification des clips… {done}/{total}", summary: "{files} fichier(s) vérifié(s) : {problems} problème(s) dans {groups} groupe(s) de clips", allGood: "{files} fichier(s) vérifié(s), aucun problème", scanFailed: "Échec de l'analyse : {error}", statusEmpty: "Vide", statusUnreadable: "Illisible", statusTruncated: "Tronqué", missingCameras: "Caméras manquantes", repair: "Réparer", repaired: "Réparé", repairing: "Réparation {current}/{total}…", repairFailed: "Échec de la réparation : {error}", repairDone: "{repaired} clip(s) réparé(s), {failed} échec(s)", showInFolder: "Afficher dans le dossier" },
+            storage: { open: "Stockage", title: "Stockage", description: "Voyez ce qui occupe de l'espace dans ce dossier et libérez-le par jour, événement ou règle de conservation. Rien n'est supprimé sans aperçu, et tout part dans la corbeille du système pour pouvoir être restauré.", needsFolder: "Ouvrez d'abord un dossier dashcam pour voir son stockage.", reading: "Lecture du dossier…", measuring: "Mesure de {done} clips sur {total}…", scanFailed: "Impossible de mesurer le dossier : {error}", total: "{size} dans {count} jours et événements", byType: "Par type", byCamera: "Par caméra", byDay: "Par jour", other: "Autres", tabUsage: "Utilisation", tabClips: "Clips", tabRules: "Règles de conservation", selectAll: "Tout sélectionner", selectNone: "Tout désélectionner", cameraCount: "{count} caméras", selectedCount: "{count} sélectionnés · {size}", trashSelected: "Mettre la sélection à la corbeille", rulesDescription: "Les règles ne s'appliquent que lorsque vous les prévisualisez et confirmez. Les événements sont conservés ou supprimés en entier ; pour les clips récents, seules les minutes marquées d'un signet sont gardées.", ruleDelete: "Supprimer", ruleKeepCameras: "Garder seulement les caméras", ruleOlderThan: "plus anciens que (jours)", ruleExceptBookmarked: "sauf avec signet", ruleRemove: "Retirer la règle", noRules: "Aucune règle de conservation pour l'instant.", addRule: "Ajouter une règle", previewRules: "Aperçu", planSummary: "{files} fichiers ({size}) de {count} jours et événements seront mis à la corbeille.", planEmpty: "Rien ne correspond ; aucun fichier ne serait supprimé.", planWhole: "Tout", planCameras: "Caméras : {cameras}", back: "Retour", confirmTrash: "Mettre à la corbeille", trashing: "Mise à la corbeille {done} sur {total}…", trashDone: "{count} éléments ({size}) mis à la corbeille.", trashPartial: "{trashed} éléments mis à la corbeille ; {failed} n'ont pas pu l'être ({error}).", trashFailed: "Impossible de mettre à la corbeille : {error}", close: "Fermer" }
         },
         welcome: {
             modalTitle: "Bienvenue dans Sentry Studio",
@@ -230,13 +303,32 @@ export const translations = {
             eventTypes: { manualSave: "Manuelles Speichern", honk: "Hupe", objectDetected: "Objekt Erkannt", emergencyBraking: "Notbremsung", accelerationDetected: "Beschleunigung Erkannt", collisionDetected: "Kollision Erkannt" },
             map: { recenter: "Karte zentrieren", hint: "Rechtsklick ziehen zum Bewegen" },
             playback: { play: "Abspielen", pause: "Pause", skipBack: "15 Sekunden zurück", skipForward: "15 Sekunden vor", playbackSpeed: "Wiedergabegeschwindigkeit", setStartMarker: "Exportstartpunkt festlegen", setEndMarker: "Exportendpunkt festlegen", exportVideo: "Video exportieren", supportChat: "Support-Chat", settings: "Einstellungen", toggleDetails: "Details umschalten", lateralG: "Seitliche G", longitudinalG: "Längs-G", heading: "Kurs", openExportDetails: "Exportdetails öffnen" },
-            export: { title: "Video Exportieren", start: "Start", end: "Ende", inPoint: "Start", outPoint: "Ende", duration: "Dauer", layout: "Layout", quality: "Qualität", overlays: "Überlagerungen", timestamp: "Zeitstempel", dashboard: "Armaturenbrett", cancel: "Abbrechen", exportBtn: "Exportieren", preparing: "Vorbereitung...", exporting: "Exportieren...", compact: "Kompakt", detailed: "Detailliert", teslaMobile: "Tesla Mobile", mobile: "Mobil", teslaMobilePositionDesc: "Oben oder unten am Clip", bottom: "Unten", top: "Oben", medium: "Mittel", high: "Hoch", maximum: "Maximum", timestampDesc: "Aufnahmedatum und -zeit einbrennen", dashboardDesc: "Geschwindigkeit, Gang und Telemetrie einbrennen", position: "Position", positionDesc: "Platzierung im Video", style: "Stil", styleDesc: "Visueller Stil des Dashboards", size: "Größe", sizeDesc: "Dashboard-Größe", sizeSmall: "Klein (25%)", sizeMedium: "Mittel (35%)", sizeLarge: "Groß (45%)", sizeXLarge: "Sehr Groß (55%)", blurType: "Unschärfemethode", blurTypeDesc: "Methode nach Geschwindigkeit vs Qualität wählen", addBlurZone: "Unschärfezone hinzufügen", addBlurZoneDesc: "Sensible Informationen vor dem Teilen verbergen", addZone: "Zone hinzufügen", bottomCenter: "Unten Mitte", bottomLeft: "Unten Links", bottomRight: "Unten Rechts", topCenter: "Oben Mitte", topLeft: "Oben Links", topRight: "Oben Rechts", blurSolid: "Fest (Schnell)", blurTrue: "Echte Unschärfe (Langsam)", blurZoneEditor: "Unschärfezone-Editor", blurZoneCount: "{count} Unschärfezone(n) konfiguriert", blurZoneInstructions: "Klicken und ziehen Sie die Eckgriffe zum Ändern der Größe. Fahren Sie über Kanten, um neue Punkte hinzuzufügen. Klicken Sie auf Punkte, um komplexe Formen zu erstellen.", saveZone: "Zone Speichern", dashboardGpuWarning: "Dashboard-Überlagerung erfordert GPU-Kodierung. Keine kompatible GPU erkannt.", dashboardPrerendered: "Dashboard ist für optimale Leistung vorgerendert.", maxQualityWarning: "Maximale Qualität verwendet HEVC-Kodierung, wenn GPU verfügbar.", frontCamWarning: "Frontkamera wird verkleinert, um anderen Kameras zu entsprechen.", minimap: "GPS-Minikarte", minimapDesc: "Route und Position auf der Karte anzeigen", minimapNoGps: "Keine GPS-Daten in den ausgewählten Clips gefunden.", minimapPosition: "Position", minimapPositionDesc: "Eckplatzierung", minimapSize: "Größe", minimapSizeDesc: "Minikartengröße", minimapRenderMode: "Render-Modus", minimapRenderModeDesc: "Geschwindigkeit vs Qualität", minimapStaticFast: "Statische Karte (Schnell)", minimapLiveSlow: "Live-Karte (Langsam)", shareClip: "Clip Teilen", shareClipNew: "NEU", generateShareableLink: "Teilbaren Link Erstellen", generateShareableLinkDesc: "Nach dem Export auf Sentry Studio Server hochladen", shareClipInfo: "Ihr Clip ist <strong>{hours} Stunden</strong> auf clip.sentry-six.com verfügbar", shareClipWarning: "Teilen ist nur für Exporte unter 5 Minuten verfügbar", minimapStaticDesc: "Statische Karte: Lädt Kartenkacheln einmal herunter, überlagert Routenpfad und Positionsmarker. Schneller Export, erfordert Internet.", minimapLiveDesc: "Live-Karte: Rendert jeden Frame mit Leaflet. Zeigt Echtzeit-Kartenaktualisierungen, aber viel langsamerer Export.", renderingMinimap: "Minikarte wird gerendert...", minimapNoGpsDisabled: "Keine GPS-Daten für Minikarten-Overlay verfügbar. Minikarte wird deaktiviert.", minimapGpsExtractFailed: "GPS-Daten konnten nicht extrahiert werden. Minikarte wird deaktiviert.", output: "Ausgabe", checkingFfmpeg: "FFmpeg wird überprüft...", ffmpegReady: "FFmpeg bereit", cpuOnly: "Nur CPU (kein GPU-Encoder)", ffmpegRequiredMac: "FFmpeg erforderlich. Im Terminal ausführen: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg nicht gefunden. Legen Sie ffmpeg.exe im Ordner ffmpeg_bin ab.", notAvailable: "Export nicht verfügbar (läuft im Browser)", ffmpegError: "Fehler beim Überprüfen von FFmpeg", blurZonesStatus: "{count} Unschärfezone(n) - Dashboard-Überlagerung deaktiviert", blurZonesWarning: "Warnung: Für nicht ausgewählte Kameras konfigurierte Unschärfezonen ({cameras}) werden nicht angewendet", minimizeHint: "Sie können dieses Fenster minimieren, um weiter Aufnahmen anzusehen. Der Export wird im Hintergrund fortgesetzt.", analyzingSegments: "Segmente werden analysiert...", buildingExport: "Export wird erstellt...", exportingWithEncoder: "Exportieren mit {encoder}...", exportingWithCpu: "Exportieren mit CPU...", exportingPercent: "Exportieren... {percent}%", exportCompleteMB: "Export abgeschlossen! ({size} MB)", exportFailedCode: "Export fehlgeschlagen (Code {code})", exportFailedNoSpace: "Export fehlgeschlagen: Nicht genügend Speicherplatz. Bitte Speicherplatz auf dem Ziellaufwerk freigeben und erneut versuchen.", exportFailedPermission: "Export fehlgeschlagen: Zugriff verweigert. Versuchen Sie einen anderen Ordner oder überprüfen Sie die Berechtigungen.", exportFailedPathNotFound: "Export fehlgeschlagen: Zielordner nicht gefunden. Das Laufwerk wurde möglicherweise getrennt. Überprüfen Sie den Pfad und versuchen Sie es erneut.", exportFailedReadOnly: "Export fehlgeschlagen: Das Ziellaufwerk ist schreibgeschützt. Entfernen Sie den Schreibschutz oder wählen Sie ein anderes Laufwerk.", exportFailedInvalidPath: "Export fehlgeschlagen: Ungültiger Dateipfad. Versuchen Sie einen kürzeren Pfad oder entfernen Sie Sonderzeichen aus dem Ordnernamen.", exportFailedGpuMemory: "Export fehlgeschlagen: GPU-Speicher erschöpft. Schließen Sie andere GPU-intensive Anwendungen oder wählen Sie eine niedrigere Qualität.", exportFailedGpuUnavailable: "Export fehlgeschlagen: GPU-Encoder nicht mehr verfügbar. Starten Sie die App neu oder überprüfen Sie Ihre GPU-Treiber.", exportFailedSourceLost: "Export fehlgeschlagen: Quelldateien wurden während des Exports unzugänglich. Überprüfen Sie, ob das Quelllaufwerk noch verbunden ist.", blurZoneFailed: "Datenschutz-Unschärfezonen konnten nicht angewendet werden. Ihr exportiertes Video ist NICHT unscharf. Bitte installieren Sie die App neu oder kontaktieren Sie den Support.", openFileLocation: "Möchten Sie den Dateispeicherort öffnen?", layoutHint: "Ziehen zum Neupositionieren • Karten rasten an Kanten ein", privacy: "Datenschutz", blurZoneHint: "Kennzeichen oder sensible Infos unkenntlich machen", timelapse: "Zeitraffer", enableTimelapse: "Zeitraffer aktivieren", enableTimelapseDesc: "Aufnahmen für eine komprimierte Übersicht beschleunigen", timelapseSpeed: "Geschwindigkeit", timelapseSpeedDesc: "Wiedergabegeschwindigkeits-Multiplikator", timelapseOverlayNote: "Dashboard-, Minikarten- und Zeitstempel-Overlays werden mit der Zeitraffergeschwindigkeit synchronisiert. Audio wird entfernt.", timelapseDuration: "Dauer → Zeitraffer-Dauer", shareLinkExpiry: "Link läuft in {hours} Stunden ab", restoreBannerText: "{count} vorherige Datenschutzzone(n) gefunden", restoreBannerRestore: "Wiederherstellen", restoreBannerDismiss: "Verwerfen", restoreBannerRestored: "Datenschutzzonen wiederhergestellt" },
-            settings: { searchPlaceholder: "Einstellungen suchen...", title: "Einstellungen", general: "Allgemein", shortcuts: "Tastenkombinationen", advanced: "Erweitert", displaySection: "Anzeige", playbackOverlays: "Wiedergabe und Überlagerungen", storageSection: "Speicher", aboutUpdates: "Über und Updates", appVersion: "App-Version", systemSecurity: "System & Sicherheit", secFeature: "Funktion", secStatus: "Status", secDescription: "Beschreibung", footagePrivacy: "Video-Datenschutz", localOnly: "Nur Lokal", footagePrivacyDesc: "Dashcam-Clips verlassen nie Ihren lokalen Speicher.", updateReporting: "Update-Bericht", statusActive: "Aktiv", updateReportingDesc: "Beim Start kontaktiert die App unsere API für Sicherheits- und Versionsprüfungen.", deviceHash: "Geräte-Hash", hashedSha256: "Gehasht (SHA-256)", deviceHashDesc: "Eine sichere, gesalzene ID zur Vermeidung von API-Spam.", learnMore: "Mehr Erfahren", hideDetails: "Details Ausblenden", architecture: "Architektur", dashboardStyle: "Dashboard-Stil", language: "Sprache", languageDesc: "Anzeigesprache der Anwendung", layout: "Layout", classicSidebar: "Klassische Seitenleiste", classicSidebarDesc: "Angedockte Seitenleiste, die das Video nicht überlappt", overlays: "Überlagerungen", dashboard: "Armaturenbrett", dashboardDesc: "Geschwindigkeit, Gang und Telemetriedaten anzeigen", gpsMap: "GPS-Karte", gpsMapDesc: "Routenkarte mit Fahrzeugposition anzeigen", theme: "Design", themeDark: "Dunkel", themeLight: "Hell", mapStyle: "Kartenstil", mapStyleLight: "Hell", mapStyleDark: "Dunkel", dashboardLayout: "Dashboard-Layout", dashboardLayoutDesc: "Standard- oder Kompaktstil", default: "Standard", acceleratorDisplay: "Gaspedal-Anzeige", acceleratorDisplayDesc: "Pedal-Visualisierungsstil", solidColor: "Volltonfarbe (Ein/Aus)", iconBar: "Symbolleiste (Füllung)", sideBar: "Seitenleiste", fixedToFrontCamera: "An Frontkamera fixiert", fixedToFrontCameraDesc: "Kompaktes Dashboard an Frontkamera halten", mirrorCameras: "Kameras spiegeln", mirrorCamerasDesc: "Rück- und Repeater-Kameras spiegeln (wie in Spiegeln gesehen)", glassBlur: "Glasunschärfe", glassBlurDesc: "Überlagerungsunschärfe-Intensität", metricUnits: "Metrische Einheiten", metricUnitsDesc: "Kilometer pro Stunde verwenden (KM/H)", dateFormat: "Datumsformat", dateFormatDesc: "Anzeigeformat für Daten", globalSetting: "Globale Einstellung", mdyFormat: "MM/TT/JJJJ (USA)", dmyFormat: "TT/MM/JJJJ (International)", ymdFormat: "JJJJ-MM-TT (ISO)", timeFormat: "Zeitformat", timeFormatDesc: "12- oder 24-Stunden-Uhr", time12h: "12-Stunden (AM/PM)", time24h: "24-Stunden", defaultFolder: "Standard-Dashcam-Ordner", defaultFolderDesc: "Diesen Ordner beim Start automatisch laden", noFolderSet: "Kein Ordner festgelegt", browse: "Durchsuchen", clear: "Löschen", about: "Über", version: "Version", viewChangelog: "Änderungsprotokoll anzeigen", support: "Support", supportDesc: "Haben Sie Probleme? Verwenden Sie die Support-Chat-Schaltfläche in der Wiedergabeleiste.", openSupportChat: "Support-Chat öffnen", done: "Fertig", keyboardShortcuts: "Tastenkombinationen", keyboardShortcutsDesc: "Klicken Sie auf ein Feld und drücken Sie eine Taste", playPause: "Abspielen / Pause", skipForward: "Vorwärts springen", skipBackward: "Rückwärts springen", skipDuration: "Sprungdauer", toggleDashboard: "Dashboard umschalten", toggleMap: "Karte umschalten", toggleMphKmh: "MPH / KMH umschalten", toggleClipsPanel: "Clips-Panel umschalten", setExportMarkerIn: "Export-Startmarker", setExportMarkerOut: "Export-Endmarker", nextClip: "Nächster Clip", prevClip: "Vorheriger Clip", second: "Sekunde", seconds: "Sekunden", updates: "Updates", disableAutoUpdate: "Auto-Update deaktivieren", disableAutoUpdateDesc: "Beim Start nicht nach Updates suchen", updateBranch: "Update-Zweig", updateBranchDesc: "Main für stabil, Dev-SEI für Beta", mainStable: "Main (Stabil)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Nach Updates suchen", checkForUpdatesDesc: "Manuell nach neuen Versionen suchen", checkNow: "Jetzt prüfen", checking: "Wird geprüft...", upToDate: "Aktuell", checkFailed: "Prüfung fehlgeschlagen", updateFound: "Update gefunden!", eventHighlights: "Ereignis-Hervorhebungen", sentryCameraGlow: "Sentry-Kamera-Leuchten", sentryCameraGlowDesc: "Rotes Leuchten bei ausgelöster Kamera", savedCameraGlow: "Gespeicherte Kamera-Leuchten", savedCameraGlowDesc: "Gelbes Leuchten bei ausgelöster Kamera", cameraLayout: "Kamera-Layout", resetCameraOrder: "Kamera-Reihenfolge zurücksetzen", resetCameraOrderDesc: "Standard-Rasterpositionen wiederherstellen", reset: "Zurücksetzen" },
+            export: { title: "Video Exportieren", start: "Start", end: "Ende", inPoint: "Start", outPoint: "Ende", duration: "Dauer", layout: "Layout", quality: "Qualität", overlays: "Überlagerungen", timestamp: "Zeitstempel", dashboard: "Armaturenbrett", cancel: "Abbrechen", exportBtn: "Exportieren", preparing: "Vorbereitung...", exporting: "Exportieren...", compact: "Kompakt", detailed: "Detailliert", teslaMobile: "Tesla Mobile", mobile: "Mobil", teslaMobilePositionDesc: "Oben oder unten am Clip", bottom: "Unten", top: "Oben", medium: "Mittel", high: "Hoch", maximum: "Maximum", timestampDesc: "Aufnahmedatum und -zeit einbrennen", dashboardDesc: "Geschwindigkeit, Gang und Telemetrie einbrennen", position: "Position", positionDesc: "Platzierung im Video", style: "Stil", styleDesc: "Visueller Stil des Dashboards", size: "Größe", sizeDesc: "Dashboard-Größe", sizeSmall: "Klein (25%)", sizeMedium: "Mittel (35%)", sizeLarge: "Groß (45%)", sizeXLarge: "Sehr Groß (55%)", blurType: "Unschärfemethode", blurTypeDesc: "Methode nach Geschwindigkeit vs Qualität wählen", addBlurZone: "Unschärfezone hinzufügen", addBlurZoneDesc: "Sensible Informationen vor dem Teilen verbergen", addZone: "Zone hinzufügen", bottomCenter: "Unten Mitte", bottomLeft: "Unten Links", bottomRight: "Unten Rechts", topCenter: "Oben Mitte", topLeft: "Oben Links", topRight: "Oben Rechts", blurSolid: "Fest (Schnell)", blurTrue: "Echte Unschärfe (Langsam)", blurZoneEditor: "Unschärfezone-Editor", blurZoneCount: "{count} Unschärfezone(n) konfiguriert", blurZoneInstructions: "Klicken und ziehen Sie die Eckgriffe zum Ändern der Größe. Fahren Sie über Kanten, um neue Punkte hinzuzufügen. Klicken Sie auf Punkte, um komplexe Formen zu erstellen.", saveZone: "Zone Speichern", dashboardGpuWarning: "Dashboard-Überlagerung erfordert GPU-Kodierung. Keine kompatible GPU erkannt.", dashboardPrerendered: "Dashboard ist für optimale Leistung vorgerendert.", maxQualityWarning: "Maximale Qualität verwendet HEVC-Kodierung, wenn GPU verfügbar.", frontCamWarning: "Frontkamera wird verkleinert, um anderen Kameras zu entsprechen.", minimap: "GPS-Minikarte", minimapDesc: "Route und Position auf der Karte anzeigen", minimapNoGps: "Keine GPS-Daten in den ausgewählten Clips gefunden.", minimapPosition: "Position", minimapPositionDesc: "Eckplatzierung", minimapSize: "Größe", minimapSizeDesc: "Minikartengröße", minimapRenderMode: "Render-Modus", minimapRenderModeDesc: "Geschwindigkeit vs Qualität", minimapStaticFast: "Statische Karte (Schnell)", minimapLiveSlow: "Live-Karte (Langsam)", shareClip: "Clip Teilen", shareClipNew: "NEU", generateShareableLink: "Teilbaren Link Erstellen", generateShareableLinkDesc: "Nach dem Export auf Sentry Studio Server hochladen", shareClipInfo: "Ihr Clip ist <strong>{hours} Stunden</strong> auf clip.sentry-six.com verfügbar", shareClipWarning: "Teilen ist nur für Exporte unter 5 Minuten verfügbar", minimapStaticDesc: "Statische Karte: Lädt Kartenkacheln einmal herunter, überlagert Routenpfad und Positionsmarker. Schneller Export, erfordert Internet.", minimapLiveDesc: "Live-Karte: Rendert jeden Frame mit Leaflet. Zeigt Echtzeit-Kartenaktualisierungen, aber viel langsamerer Export.", renderingMinimap: "Minikarte wird gerendert...", minimapNoGpsDisabled: "Keine GPS-Daten für Minikarten-Overlay verfügbar. Minikarte wird deaktiviert.", minimapGpsExtractFailed: "GPS-Daten konnten nicht extrahiert werden. Minikarte wird deaktiviert.", output: "Ausgabe", checkingFfmpeg: "FFmpeg wird überprüft...", ffmpegReady: "FFmpeg bereit", cpuOnly: "Nur CPU (kein GPU-Encoder)", ffmpegRequiredMac: "FFmpeg erforderlich. Im Terminal ausführen: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg nicht gefunden. Legen Sie ffmpeg.exe im Ordner ffmpeg_bin ab.", notAvailable: "Export nicht verfügbar (läuft im Browser)", ffmpegError: "Fehler beim Überprüfen von FFmpeg", blurZonesStatus: "{count} Unschärfezone(n) - Dashboard-Überlagerung deaktiviert", blurZonesWarning: "Warnung: Für nicht ausgewählte Kameras konfigurierte Unschärfezonen ({cameras}) werden nicht angewendet", minimizeHint: "Sie können dieses Fenster minimieren, um weiter Aufnahmen anzusehen. Der Export wird im Hintergrund fortgesetzt.", analyzingSegments: "Segmente werden analysiert...", buildingExport: "Export wird erstellt...", exportingWithEncoder: "Exportieren mit {encoder}...", exportingWithCpu: "Exportieren mit CPU...", exportingPercent: "Exportieren... {percent}%", exportCompleteMB: "Export abgeschlossen! ({size} MB)", exportFailedCode: "Export fehlgeschlagen (Code {code})", exportFailedNoSpace: "Export fehlgeschlagen: Nicht genügend Speicherplatz. Bitte Speicherplatz auf dem Ziellaufwerk freigeben und erneut versuchen.", exportFailedPermission: "Export fehlgeschlagen: Zugriff verweigert. Versuchen Sie einen anderen Ordner oder überprüfen Sie die Berechtigungen.", exportFailedPathNotFound: "Export fehlgeschlagen: Zielordner nicht gefunden. Das Laufwerk wurde möglicherweise getrennt. Überprüfen Sie den Pfad und versuchen Sie es erneut.", exportFailedReadOnly: "Export fehlgeschlagen: Das Ziellaufwerk ist schreibgeschützt. Entfernen Sie den Schreibschutz oder wählen Sie ein anderes Laufwerk.", exportFailedInvalidPath: "Export fehlgeschlagen: Ungültiger Dateipfad. Versuchen Sie einen kürzeren Pfad oder entfernen Sie Sonderzeichen aus dem Ordnernamen.", exportFailedGpuMemory: "Export fehlgeschlagen: GPU-Speicher erschöpft. Schließen Sie andere GPU-intensive Anwendungen oder wählen Sie eine niedrigere Qualität.", exportFailedGpuUnavailable: "Export fehlgeschlagen: GPU-Encoder nicht mehr verfügbar. Starten Sie die App neu oder überprüfen Sie Ihre GPU-Treiber.", exportFailedSourceLost: "Export fehlgeschlagen: Quelldateien wurden während des Exports unzugänglich. Überprüfen Sie, ob das Quelllaufwerk noch verbunden ist.", blurZoneFailed: "Datenschutz-Unschärfezonen konnten nicht angewendet werden. Ihr exportiertes Video ist NICHT unscharf. Bitte installieren Sie die App neu oder kontaktieren Sie den Support.", openFileLocation: "Möchten Sie den Dateispeicherort öffnen?", layoutHint: "Ziehen zum Neupositionieren • Karten rasten an Kanten ein", privacy: "Datenschutz", blurZoneHint: "Kennzeichen oder sensible Infos unkenntlich machen", timelapse: "Zeitraffer", enableTimelapse: "Zeitraffer aktivieren", enableTimelapseDesc: "Aufnahmen für eine komprimierte Übersicht beschleunigen", timelapseSpeed: "Geschwindigkeit", timelapseSpeedDesc: "Wiedergabegeschwindigkeits-Multiplikator", timelapseOverlayNote: "Dashboard-, Minikarten- und Zeitstempel-Overlays werden mit der Zeitraffergeschwindigkeit synchronisiert. Audio wird entfernt.", timelapseDuration: "Dauer → Zeitraffer-Dauer", shareLinkExpiry: "Link läuft in {hours} Stunden ab", restoreBannerText: "{count} vorherige Datenschutzzone(n) gefunden", restoreBannerRestore: "Wiederherstellen", restoreBannerDismiss: "Verwerfen", restoreBannerRestored: "Datenschutzzonen wiederhergestellt", telemetryData: "Telemetriedaten", telemetryDataDesc: "Geschwindigkeit, Gang, Pedale, Lenkung, Blinker, Autopilot-Status, GPS und Beschleunigung pro Frame für den gewählten Bereich. Es wird kein Video neu kodiert.", exportTelemetry: "Telemetrie exportieren", telemetrySelectFormat: "Wähle mindestens ein Telemetrieformat", telemetryInProgress: "Ein Export läuft bereits", telemetryNoGps: "Kein GPS-Signal in diesem Bereich – GPX/KML-Tracks sind leer", telemetryExported: "{count} Telemetrie-Frames in {files} Datei(en) exportiert", telemetryExportFailed: "Telemetrie-Export fehlgeschlagen: {error}", subtitles: "Telemetrie-Untertitel", subtitleSidecar: "Begleitdatei", subtitleEmbedded: "Eingebettet", subtitleEmbeddedDesc: "Spur im MP4", subtitlesDesc: "Uhrzeit, Geschwindigkeit, Gang, Autopilot-Status und GPS-Position einmal pro Sekunde als Untertitelspur, die sich ein- und ausblenden lässt. Nichts wird ins Video eingebrannt.", shareClipInfoServer: "Ihr Clip ist <strong>{hours}</strong> auf {host} verfügbar" },
+            settings: { searchPlaceholder: "Einstellungen suchen...", title: "Einstellungen", general: "Allgemein", shortcuts: "Tastenkombinationen", advanced: "Erweitert", displaySection: "Anzeige", playbackOverlays: "Wiedergabe und Überlagerungen", storageSection: "Speicher", aboutUpdates: "Über und Updates", appVersion: "App-Version", systemSecurity: "System & Sicherheit", secFeature: "Funktion", secStatus: "Status", secDescription: "Beschreibung", footagePrivacy: "Video-Datenschutz", localOnly: "Nur Lokal", footagePrivacyDesc: "Dashcam-Clips verlassen nie Ihren lokalen Speicher.", updateReporting: "Update-Bericht", statusActive: "Aktiv", updateReportingDesc: "Beim Start kontaktiert die App unsere API für Sicherheits- und Versionsprüfungen.", deviceHash: "Geräte-Hash", hashedSha256: "Gehasht (SHA-256)", deviceHashDesc: "Eine sichere, gesalzene ID zur Vermeidung von API-Spam.", learnMore: "Mehr Erfahren", hideDetails: "Details Ausblenden", architecture: "Architektur", dashboardStyle: "Dashboard-Stil", language: "Sprache", languageDesc: "Anzeigesprache der Anwendung", layout: "Layout", classicSidebar: "Klassische Seitenleiste", classicSidebarDesc: "Angedockte Seitenleiste, die das Video nicht überlappt", overlays: "Überlagerungen", dashboard: "Armaturenbrett", dashboardDesc: "Geschwindigkeit, Gang und Telemetriedaten anzeigen", gpsMap: "GPS-Karte", gpsMapDesc: "Routenkarte mit Fahrzeugposition anzeigen", theme: "Design", themeDark: "Dunkel", themeLight: "Hell", mapStyle: "Kartenstil", mapStyleLight: "Hell", mapStyleDark: "Dunkel", dashboardLayout: "Dashboard-Layout", dashboardLayoutDesc: "Standard- oder Kompaktstil", default: "Standard", acceleratorDisplay: "Gaspedal-Anzeige", acceleratorDisplayDesc: "Pedal-Visualisierungsstil", solidColor: "Volltonfarbe (Ein/Aus)", iconBar: "Symbolleiste (Füllung)", sideBar: "Seitenleiste", fixedToFrontCamera: "An Frontkamera fixiert", fixedToFrontCameraDesc: "Kompaktes Dashboard an Frontkamera halten", mirrorCameras: "Kameras spiegeln", mirrorCamerasDesc: "Rück- und Repeater-Kameras spiegeln (wie in Spiegeln gesehen)", glassBlur: "Glasunschärfe", glassBlurDesc: "Überlagerungsunschärfe-Intensität", metricUnits: "Metrische Einheiten", metricUnitsDesc: "Kilometer pro Stunde verwenden (KM/H)", dateFormat: "Datumsformat", dateFormatDesc: "Anzeigeformat für Daten", globalSetting: "Globale Einstellung", mdyFormat: "MM/TT/JJJJ (USA)", dmyFormat: "TT/MM/JJJJ (International)", ymdFormat: "JJJJ-MM-TT (ISO)", timeFormat: "Zeitformat", timeFormatDesc: "12- oder 24-Stunden-Uhr", time12h: "12-Stunden (AM/PM)", time24h: "24-Stunden", defaultFolder: "Standard-Dashcam-Ordner", defaultFolderDesc: "Diesen Ordner beim Start automatisch laden", noFolderSet: "Kein Ordner festgelegt", browse: "Durchsuchen", clear: "Löschen", about: "Über", version: "Version", viewChangelog: "Änderungsprotokoll anzeigen", support: "Support", supportDesc: "Haben Sie Probleme? Verwenden Sie die Support-Chat-Schaltfläche in der Wiedergabeleiste.", openSupportChat: "Support-Chat öffnen", done: "Fertig", keyboardShortcuts: "Tastenkombinationen", keyboardShortcutsDesc: "Klicken Sie auf ein Feld und drücken Sie eine Taste", playPause: "Abspielen / Pause", skipForward: "Vorwärts springen", skipBackward: "Rückwärts springen", skipDuration: "Sprungdauer", toggleDashboard: "Dashboard umschalten", toggleMap: "Karte umschalten", toggleMphKmh: "MPH / KMH umschalten", toggleClipsPanel: "Clips-Panel umschalten", setExportMarkerIn: "Export-Startmarker", setExportMarkerOut: "Export-Endmarker", nextClip: "Nächster Clip", prevClip: "Vorheriger Clip", second: "Sekunde", seconds: "Sekunden", updates: "Updates", disableAutoUpdate: "Auto-Update deaktivieren", disableAutoUpdateDesc: "Beim Start nicht nach Updates suchen", updateBranch: "Update-Zweig", updateBranchDesc: "Main für stabil, Dev-SEI für Beta", mainStable: "Main (Stabil)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Nach Updates suchen", checkForUpdatesDesc: "Manuell nach neuen Versionen suchen", checkNow: "Jetzt prüfen", checking: "Wird geprüft...", upToDate: "Aktuell", checkFailed: "Prüfung fehlgeschlagen", updateFound: "Update gefunden!", eventHighlights: "Ereignis-Hervorhebungen", sentryCameraGlow: "Sentry-Kamera-Leuchten", sentryCameraGlowDesc: "Rotes Leuchten bei ausgelöster Kamera", savedCameraGlow: "Gespeicherte Kamera-Leuchten", savedCameraGlowDesc: "Gelbes Leuchten bei ausgelöster Kamera", cameraLayout: "Kamera-Layout", resetCameraOrder: "Kamera-Reihenfolge zurücksetzen", resetCameraOrderDesc: "Standard-Rasterpositionen wiederherstellen", reset: "Zurücksetzen", indexCache: "Bibliotheks-Index-Cache", indexCacheStatus: "{folders} Ordner zwischengespeichert · {size}", indexCacheEmpty: "Noch keine Ordner zwischengespeichert", clearIndexCache: "Cache leeren", indexCacheCleared: "Index-Cache geleert. Ordner werden beim nächsten Öffnen neu eingelesen.", indexCacheClearFailed: "Index-Cache konnte nicht geleert werden: {error}", rebuildIndex: "Index neu aufbauen", indexRebuilt: "Index vom Laufwerk neu aufgebaut.", indexRebuildFailed: "Index konnte nicht neu aufgebaut werden: {error}", indexRebuildNeedsFolder: "Öffnen Sie zuerst einen Dashcam-Ordner, um seinen Index neu aufzubauen.", addBookmark: "Lesezeichen hinzufügen", frameForward: "Nächstes Bild", frameBackward: "Vorheriges Bild", saveStill: "Standbild speichern", toggleTelemetryCharts: "Telemetrie-Diagramme ein/aus", nextMotion: "Nächste Bewegung", prevMotion: "Vorherige Bewegung", toggleMotionSkipIdle: "Ruhephasen überspringen ein/aus", toggleSmartPlayback: "Intelligente Wiedergabe ein/aus", nextMultiLayout: "Nächstes Kameralayout", prevMultiLayout: "Vorheriges Kameralayout", sharingSection: "Clip-Freigabe", shareServer: "Freigabe-Server", shareServerSave: "Speichern", shareServerReset: "Standard", shareServerDesc: "Leer lassen, um den gehosteten Sentry-Studio-Dienst zu nutzen, oder die Adresse eines eigenen Servers (share-server im Repository) eingeben, damit geteilte Clips im eigenen Netzwerk bleiben.", shareServerInvalid: "Server konnte nicht gespeichert werden", shareServerDefault: "Gehosteter Sentry-Studio-Dienst wird verwendet", shareServerSaved: "Clips werden über {url} geteilt" },
             cameras: { front: "Vorne", back: "Hinten", leftPillar: "Linke Säule", rightPillar: "Rechte Säule", leftRepeater: "Linker Repeater", rightRepeater: "Rechter Repeater" },
             dashboard: { drive: "Fahren", manual: "Manuell", noData: "Keine Daten", mph: "MPH", kmh: "KM/H", selfDriving: "Autonomes Fahren", autosteer: "Automatische Lenkung", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Laden Sie zuerst eine Sammlung, um Exportmarker festzulegen", startMarkerSet: "Startmarker gesetzt", endMarkerSet: "Endmarker gesetzt", exportComplete: "Export abgeschlossen!", exportCancelled: "Export abgebrochen", exportFailed: "Export fehlgeschlagen", foundDatesWithClips: "{count} Daten mit Clips gefunden", loadedFilesForDate: "{count} Dateien für {date} geladen", noDataForDate: "Keine Daten für {date}", noClipsFoundForDate: "Keine Clips für {date} gefunden", noDashcamClipsFound: "Keine Videoclips gefunden. Wählen Sie einen Ordner mit Videodateien (.mp4, .avi, .mov, .mkv) oder einen Tesla-Dashcam-Ordner mit RecentClips, SentryClips oder SavedClips.", metadataParserNotReady: "Metadaten-Parser noch nicht initialisiert—versuchen Sie es in einer Sekunde erneut.", noSupportedFilesFound: "Keine unterstützten Dateien in diesem Ordner gefunden.", failedToLoadVideo: "Fehler beim Laden des Videos: {error}", errorSelectingDay: "Fehler beim Auswählen des Tages: {error}", failedToOpenFolder: "Fehler beim Öffnen des Ordners: {error}", failedToInitMetadataParser: "Fehler beim Initialisieren des Metadaten-Parsers. Stellen Sie sicher, dass protobuf geladen wird und Sie nicht über file:// ausführen", capturingSnapshot: "Schnappschuss wird aufgenommen...", couldNotFindVideoFile: "Videodatei für {camera}-Kamera konnte nicht gefunden werden", unsupportedFileType: "Nicht unterstützter Dateityp für Schnappschuss", failedToCaptureSnapshot: "Fehler beim Aufnehmen des Schnappschusses: {error}", blurZoneMinPoints: "Bitte erstellen Sie eine gültige Unschärfezone mit mindestens 3 Punkten", failedToGenerateMask: "Fehler beim Generieren des Maskenbildes", failedToExtractMaskData: "Fehler beim Extrahieren der Maskenbilddaten", failedToGetCanvasDimensions: "Fehler beim Abrufen der Canvas-Dimensionen", blurZoneSaved: "Unschärfezone erfolgreich gespeichert", failedToSaveBlurZone: "Fehler beim Speichern der Unschärfezone: {error}", exportNotAvailable: "Export nicht verfügbar", exportRequiresFolder: "Export erfordert die Auswahl eines Ordners über den Ordnerwähler. Bitte wählen Sie Ihren Dashcam-Ordner erneut aus.", selectAtLeastOneCamera: "Bitte wählen Sie mindestens eine Kamera aus", extractingTelemetry: "Telemetriedaten werden extrahiert...", noTelemetryData: "Keine Telemetriedaten für die Dashboard-Überlagerung verfügbar. Das Dashboard wird deaktiviert.", failedToExtractTelemetry: "Fehler beim Extrahieren der Telemetriedaten. Das Dashboard wird deaktiviert.", noVideoFilesForExport: "Keine Videodateien für den Export gefunden. Stellen Sie sicher, dass der Ordner korrekt ausgewählt wurde.", exportFailedWithError: "Export fehlgeschlagen: {error}", onlyOneAttachment: "Nur 1 Anhang pro Nachricht erlaubt", fileTooLarge: "Datei \"{filename}\" ist zu groß (max. 100MB)", enterMessageOrAttach: "Bitte geben Sie eine Nachricht ein oder fügen Sie eine Datei an", supportTicketClosed: "Support-Ticket geschlossen", newSupportMessages: "{count} neue Support-Nachricht(en) erhalten", cameraOrderReset: "Kamerareihenfolge auf Standard zurückgesetzt", collectingDiagnostics: "Diagnosedaten werden gesammelt...", uploadingDiagnostics: "Diagnosen werden hochgeladen...", supportIdCopied: "Support-ID: {supportId} - In die Zwischenablage kopiert!", failedToUploadDiagnostics: "Fehler beim Hochladen der Diagnosen: {error}", uploadFailed: "Hochladen fehlgeschlagen: {error}", supportIdCopiedSimple: "Support-ID in die Zwischenablage kopiert!", failedToCopy: "Fehler beim Kopieren: {error}", failedToGenerateSupportId: "Fehler beim Generieren der Support-ID: {error}" },
             supportChat: { title: "Support-Chat", needHelp: "Brauchen Sie Hilfe?", welcomeDesc: "Starten Sie ein Support-Gespräch mit uns. Beschreiben Sie Ihr Problem, Ihren Fehler oder Ihr Feedback und wir werden so schnell wie möglich antworten.", welcomeNote: "Sie können Screenshots/Videos und Diagnosedaten anhängen, um uns zu helfen, Ihr Problem besser zu verstehen.", diagnostics: "Diagnose", attach: "Anhängen", placeholder: "Beschreiben Sie Ihr Problem oder Feedback...", privacyNote: "Daten werden nach 7 Tagen automatisch gelöscht", ticketClosed: "Dieses Ticket wurde geschlossen.", createNewTicket: "Neues Support-Ticket erstellen", closeTicket: "Ticket schließen", minimize: "Minimieren", closePanel: "Panel schließen", sendMessage: "Nachricht senden", includeDiagnostics: "Diagnosedaten einschließen", attachFiles: "Dateien anhängen", you: "Sie", support: "Support" },
-            sharedClips: { title: "Meine Geteilten Clips", emptyTitle: "Noch keine geteilten Clips", emptyDesc: "Exportieren Sie einen Clip mit aktivierter Freigabe, um ihn hier zu sehen", clickHint: "Wählen Sie einen Clip aus, um Details anzuzeigen", copyLink: "Link Kopieren", open: "Öffnen", delete: "Löschen", deleteTitle: "Geteilten Clip Löschen", deleteConfirm: "Möchten Sie wirklich löschen", deleteWarning: "Dies entfernt den Clip dauerhaft von den Sentry Studio Servern. Jeder mit dem Link kann ihn nicht mehr ansehen oder herunterladen.", cancel: "Abbrechen", deleteClip: "Clip Löschen" }
+            sharedClips: { title: "Meine Geteilten Clips", emptyTitle: "Noch keine geteilten Clips", emptyDesc: "Exportieren Sie einen Clip mit aktivierter Freigabe, um ihn hier zu sehen", clickHint: "Wählen Sie einen Clip aus, um Details anzuzeigen", copyLink: "Link Kopieren", open: "Öffnen", delete: "Löschen", deleteTitle: "Geteilten Clip Löschen", deleteConfirm: "Möchten Sie wirklich löschen", deleteWarning: "Dies entfernt den Clip dauerhaft von den Sentry Studio Servern. Jeder mit dem Link kann ihn nicht mehr ansehen oder herunterladen.", cancel: "Abbrechen", deleteClip: "Clip Löschen", resumeUpload: "Upload fortsetzen" },
+            exportQueue: { title: "Export-Warteschlange", addToQueue: "Zur Warteschlange", jobAdded: "Zur Export-Warteschlange hinzugefügt: {name}", jobDone: "Export aus der Warteschlange abgeschlossen: {name}", jobFailed: "Export aus der Warteschlange fehlgeschlagen: {name} ({error})", actionFailed: "Fehler in der Export-Warteschlange: {error}", emptyTitle: "Keine Exporte in der Warteschlange", emptyDesc: "Mit „Zur Warteschlange“ im Exportfenster mehrere Exporte nacheinander einplanen", pausedNote: "Die Warteschlange ist pausiert. Der aktuelle Export wird beendet, neue Aufträge starten erst nach dem Fortsetzen.", clearFinished: "Abgeschlossene entfernen", pauseQueue: "Warteschlange pausieren", resumeQueue: "Warteschlange fortsetzen", moveUp: "Nach oben", moveDown: "Nach unten", pause: "Pausieren", resume: "Fortsetzen", retry: "Erneut versuchen", remove: "Entfernen", showInFolder: "Im Ordner anzeigen", statusPending: "Wartend", statusRunning: "Exportiert", statusPaused: "Pausiert", statusFailed: "Fehlgeschlagen", statusDone: "Fertig" },
+            incidents: { tab: "Vorfälle", scan: "Analysieren", rescan: "Neu analysieren", selectClip: "Öffnen Sie einen Clip, um nach Vorfällen zu suchen", notScanned: "Noch nicht analysiert", scanning: "Telemetrie wird analysiert ({done}/{total})", found: "{count} Vorfall/Vorfälle gefunden", scanFailed: "Vorfallanalyse fehlgeschlagen: {error}", hardBrake: "Starkes Bremsen", hardAccel: "Starkes Beschleunigen", sharpTurn: "Scharfe Kurvenfahrt", impact: "Möglicher Aufprall", settingsTitle: "Vorfallerkennung", resetThresholds: "Schwellenwerte zurücksetzen" },
+            highlightReel: { title: "Highlight-Video", enable: "Highlight-Video erstellen", enableDesc: "Kurze Clips rund um wichtige Momente zu einem Video zusammenfügen", sourceEvents: "Wächter- & gespeicherte Ereignisse", sourceEventsDesc: "Zeitpunkt, an dem das Ereignis ausgelöst wurde", sourceDisengagements: "FSD-Deaktivierungen", sourceDisengagementsDesc: "Aus SentryUSB-Fahrtdaten", sourceAccelPushes: "Gaspedal-Eingriffe", sourceAccelPushesDesc: "Pedaldruck bei aktivem FSD", sourceBraking: "Starkes Bremsen", sourceBrakingDesc: "Aus der Telemetrie erkannt", paddingBefore: "Vor jedem Moment", paddingBeforeDesc: "Aufnahme vor dem Auslöser", paddingAfter: "Nach jedem Moment", paddingAfterDesc: "Aufnahme nach dem Auslöser", note: "Verwendet den gesamten geladenen Clip statt der Start-/Endmarker. Jeder Moment erhält eine Titelkarte mit Datum, Uhrzeit und Ort.", sentryEvent: "Wächter-Ereignis", savedEvent: "Gespeicherter Clip", disengagement: "FSD-Deaktivierung", accelPush: "Gaspedal-Eingriff", scanningTelemetry: "Telemetrie wird nach starkem Bremsen durchsucht…", nothingFound: "Keine Highlights für die gewählten Quellen gefunden", tooManyClips: "{count} Highlights gefunden; nur die ersten {max} werden verwendet", renderingClip: "Highlight {current} von {total} wird gerendert…", stitching: "Highlights und Titelkarten werden zusammengefügt…" },
+            libraryMap: { open: "Bibliothekskarte", title: "Bibliothekskarte", from: "Von", to: "Bis", reason: "Grund", allReasons: "Alle Gründe", drives: "Fahrten", fit: "Auf Ergebnisse zoomen", loading: "Ereignisorte werden gelesen… {done}/{total}", summary: "{events} Ereignis(se) · {drives} Fahrt(en)", noLocations: "Nichts mit Standort entspricht diesen Filtern", openClip: "Clip öffnen", openDrive: "Fahrt öffnen", noLibrary: "Öffnen Sie zuerst einen Dashcam-Ordner oder laden Sie SentryUSB-Fahrtdaten", mapUnavailable: "Kartenbibliothek konnte nicht geladen werden. Prüfen Sie Ihre Internetverbindung." },
+            search: { tab: "Suche", placeholder: "z. B. reason:honk date:-30d", run: "Suchen", help: "Abfragesyntax", helpEvents: "Ereignisse:", helpTime: "Zeit:", helpDrives: "Fahrten:", helpTelemetry: "Telemetrie:", helpLogic: "Kombinieren:", readingEvents: "Ereignisse werden gelesen… {done}/{total}", noLibrary: "Öffnen Sie einen Dashcam-Ordner, um ihn zu durchsuchen", searching: "Suche läuft…", indexingDate: "{date} wird indiziert…", scanningTelemetry: "Telemetrie wird gelesen… {done}/{total} Clips", found: "{count} Ergebnis(se)", tooManyResults: "Die ersten {count} Ergebnisse werden angezeigt – grenzen Sie die Abfrage ein, um mehr zu sehen", scanLimited: "Telemetrie wurde nur für die {count} neuesten passenden Clips gelesen; fügen Sie date: hinzu, um weiter zurück zu suchen.", failed: "Suche fehlgeschlagen: {error}", drive: "Fahrt", sentryEvent: "Wächter-Ereignis", savedEvent: "Gespeicherter Clip", recentClips: "Letzte Clips", customClips: "Clips", errorEmptyGroup: "Suchbegriff erwartet", errorParen: "Klammern sind nicht ausgeglichen", errorUnexpected: "Unerwartetes „{token}“", errorMissingValue: "Wert nach {field} fehlt", errorInvalidValue: "„{value}“ ist kein gültiger Wert für {field}", errorComparator: "„{cmp}“ kann nicht mit {field} verwendet werden; verwenden Sie : oder !=" },
+            bookmarks: { tab: "Lesezeichen", filter: "Lesezeichen filtern…", add: "Lesezeichen an dieser Stelle setzen", addTitle: "Lesezeichen hinzufügen", editTitle: "Lesezeichen bearbeiten", titleLabel: "Titel", titlePlaceholder: "Was ist hier passiert?", noteLabel: "Notizen", colorLabel: "Farbe", delete: "Löschen", cancel: "Abbrechen", save: "Speichern", edit: "Bearbeiten", untitled: "Unbenanntes Lesezeichen", noFolder: "Öffnen Sie einen Dashcam-Ordner, um Lesezeichen hinzuzufügen", empty: "Noch keine Lesezeichen. Markieren Sie einen Moment mit der Lesezeichen-Schaltfläche neben der Zeitleiste.", count: "{count} Lesezeichen", filtered: "{count} von {total} Lesezeichen", saveFailed: "Lesezeichen konnten nicht gespeichert werden: {error}", savedLocally: "Dieser Ordner ist schreibgeschützt, daher werden Lesezeichen nur auf diesem Computer gespeichert" },
+            stills: { frameBack: "Vorheriges Bild", frameForward: "Nächstes Bild", saveStill: "Standbild speichern", title: "Standbild speichern", sourceLabel: "Kamera", wholeGrid: "Alle Kameras (Raster)", captionLabel: "Telemetrie-Beschriftung hinzufügen (Zeit, Geschwindigkeit, Gang, GPS)", hint: "Wird als PNG in der nativen Auflösung der Kameras gespeichert.", cancel: "Abbrechen", save: "PNG speichern", saveTitle: "Standbild speichern", autopilot: "Autopilot", noVideo: "Öffne einen Clip, um ein Standbild zu speichern", noFrame: "Das Videobild ist noch nicht bereit", saved: "Standbild gespeichert: {file}", saveFailed: "Standbild konnte nicht gespeichert werden: {error}" },
+            evidence: { title: "Beweispaket", enable: "Beweispaket erstellen", enableDesc: "Originalclips, Ereignisdaten und Telemetrie zusammen mit dem Video zippen", note: "Enthält den unveränderten Clip jeder Kamera für den markierten Bereich, einen Bericht mit Zeitstempeln und Exporteinstellungen sowie ein SHA-256-Manifest, mit dem jeder prüfen kann, dass nichts verändert wurde.", verify: "Paket prüfen...", verifying: "Dateien werden mit SHA256SUMS abgeglichen...", verifyOk: "{name}: alle {count} Dateien stimmen mit dem Manifest überein", verifyFailed: "{name}: Prüfung FEHLGESCHLAGEN - das Paket wurde verändert", verifyError: "Paket konnte nicht geprüft werden: {error}", statusModified: "verändert", statusMissing: "fehlt", statusUnlisted: "nicht im Manifest", noSourceFiles: "Keine Quellclips auf dem Datenträger für diesen Bereich", notWithReel: "Beweispakete umfassen einen durchgehenden Bereich - zuerst das Highlight-Video deaktivieren", rendering: "Video für das Beweispaket wird gerendert...", telemetry: "Telemetrie wird dekodiert...", hashing: "Prüfsummen werden berechnet ({current}/{total})...", zipping: "Zip wird geschrieben...", complete: "Beweispaket gespeichert ({files} Dateien, {size} MB)" },
+            incidentReport: { title: "Vorfallbericht", generate: "Vorfallbericht erstellen", saveTitle: "Vorfallbericht speichern", generating: "Vorfallbericht wird erstellt…", saved: "Vorfallbericht gespeichert: {file}", failed: "Vorfallbericht konnte nicht erstellt werden: {error}", notAvailable: "Vorfallberichte gibt es für Sentry- und gespeicherte Ereignisse mit event.json", eventDetails: "Ereignisdetails", eventType: "Ereignistyp", reason: "Auslöser", triggerTime: "Ausgelöst um", triggerCamera: "Auslösende Kamera", location: "Ort", coordinates: "Koordinaten", sourceFolder: "Quellordner", recording: "Aufnahme", clipCount: "{count} Clips", keyFrames: "Schlüsselbilder", trigger: "Auslösung", noFrames: "Um die Auslösung konnten keine Videobilder gelesen werden", map: "Lagekarte", mapOffline: "Kartenkacheln konnten nicht geladen werden; Route und Position werden ohne Hintergrund gezeichnet.", noGps: "Für dieses Ereignis wurde keine GPS-Position aufgezeichnet", telemetry: "Fahrzeugtelemetrie ({seconds} s um die Auslösung)", noTelemetry: "Um die Auslösung wurde keine Telemetrie aufgezeichnet (im geparkten Zustand üblich)", atTrigger: "Zum Auslösezeitpunkt", speed: "Geschwindigkeit", accelerator: "Fahrpedal", brake: "Bremse", steering: "Lenkwinkel", gear: "Gang", autopilot: "Fahrassistenz", applied: "Betätigt", released: "Gelöst", footer: "Erstellt von Sentry Studio am {date} aus den originalen TeslaCam-Aufnahmen. Zeiten wie vom Fahrzeug aufgezeichnet." },
+            telemetryCharts: { title: "Telemetrie-Diagramme", toggle: "Telemetrie-Diagramme", speed: "Geschwindigkeit", accelerator: "Fahrpedal", brake: "Bremse", steering: "Lenkung", lateralG: "Quer-G", longitudinalG: "Längs-G", autopilot: "Autopilot", on: "Ein", off: "Aus", dock: "Über der Steuerleiste andocken", undock: "Als schwebendes Fenster", resetZoom: "Gesamte Zeitleiste anzeigen", close: "Schließen", noCollection: "Clip auswählen, um seine Telemetrie anzuzeigen", loading: "Telemetrie wird gelesen… {done}/{total}", noData: "Keine Telemetrie in diesen Clips", scanFailed: "Telemetrie konnte nicht gelesen werden: {error}" },
+            timelineStrip: { setting: "Zeitleisten-Streifen", settingDesc: "Farbe unter der Fortschrittsleiste", speed: "Geschwindigkeit", autopilot: "Autopilot", off: "Aus", gapMinutes: "{count} Min. nicht aufgezeichnet", gapSeconds: "{count} s nicht aufgezeichnet" },
+            motion: { setting: "Bewegungsanalyse", settingDesc: "Wächter- und gespeicherte Ereignisse auf Bewegung in jeder Kamera prüfen", skipIdleOff: "Ruhephasen überspringen", skipIdleOn: "Ruhephasen werden übersprungen (zum Ausschalten klicken)", skipIdleEnabled: "Phasen ohne Bewegung werden übersprungen", skipIdleDisabled: "Alles wird abgespielt", analyzing: "Bewegung wird analysiert… {percent} %", analysisFailed: "Bewegungsanalyse fehlgeschlagen: {error}", noNext: "Danach keine Bewegung mehr", noPrevious: "Davor keine Bewegung", skipped: "{seconds} s ohne Bewegung übersprungen" },
+            smartPlayback: { toggle: "Intelligente Wiedergabe: Parkphasen überspringen, 1x bei Bremse/Blinker", on: "Intelligente Wiedergabe ist an (zum Ausschalten klicken)", enabled: "Intelligente Wiedergabe an", disabled: "Intelligente Wiedergabe aus", saved: "{time} Parkzeit übersprungen oder vorgespult", settingsTitle: "Intelligente Wiedergabe", parkedAction: "Parkphasen", parkedActionDesc: "Gang auf P und Stillstand", skip: "Überspringen", fastForward: "Vorspulen", minParked: "Kürzeste Parkphase", fastRate: "Vorspulgeschwindigkeit", slowPad: "1x bei Bremse/Blinker", off: "Aus", reset: "Intelligente Wiedergabe zurücksetzen" },
+            multiLayouts: { title: "Kameralayout", sixDefault: "Standard (3×2)", quad: "2×2 (vier Kameras)", frontFocus: "Große Front + 5", frontBack: "Vorne / Hinten", pip: "Bild-in-Bild", builtIn: "Integriert", custom: "Eigene", manage: "Verwalten", newLayout: "Neues Layout…", editLayout: "Layout bearbeiten…", defaultName: "Mein Layout {n}", switched: "Layout: {name}", saved: "Layout „{name}“ gespeichert", noCameras: "Mindestens eine Kamera zum Layout hinzufügen", nameLabel: "Name", camerasLabel: "Kameras", editorHint: "Ziehen zum Verschieben • Ecke ziehen zum Skalieren • Karten rasten an Kanten ein", delete: "Löschen", cancel: "Abbrechen", save: "Speichern" },
+            exportPresets: { label: "Vorlage", none: "Keine Vorlage", empty: "Keine gespeicherten Vorlagen", save: "Als Vorlage speichern", rename: "Vorlage umbenennen", delete: "Vorlage löschen", import: "Vorlagen importieren", export: "Vorlagen in Datei exportieren", exportTitle: "Exportvorlagen speichern", fileType: "Exportvorlagen", namePlaceholder: "Name der Vorlage", confirm: "Speichern", cancel: "Abbrechen", saved: "Vorlage „{name}“ gespeichert", renamed: "Vorlage in „{name}“ umbenannt", deleted: "Vorlage „{name}“ gelöscht", applied: "Vorlage „{name}“ angewendet", nameTaken: "Eine Vorlage namens „{name}“ existiert bereits", imported: "{count} Vorlage(n) importiert", exported: "{count} Vorlage(n) exportiert", importFailed: "Vorlagen konnten nicht importiert werden: {error}", exportFailed: "Vorlagen konnten nicht exportiert werden: {error}", camerasUnavailable: "Nicht in diesem Clip: {cameras}" },
+            exportMetadata: { title: "Datei-Metadaten", gpsTrack: "Startort einbetten", gpsTrackDesc: "Wo der Export beginnt, für Foto- und Karten-Apps", chapters: "Kapitel hinzufügen", chaptersDesc: "Marken an jedem Clip, Ereignisauslöser und FSD-Abschaltung", clipChapter: "Clip {time}", clipChapterUntimed: "Clip" },
+            webGallery: { open: "Web-Galerie", title: "Web-Galerie", description: "Exportiert die ausgewählten Ereignisse als Ordner, der sich in jedem Browser öffnen lässt – ohne Sentry Studio und ohne Internetverbindung. Auf einen USB-Stick oder eine Netzwerkfreigabe kopieren.", selectAll: "Alle auswählen", selectNone: "Auswahl aufheben", galleryTitle: "Titel", defaultTitle: "Sentry Studio Galerie", cameras: "Kameras", trim: "Nur um den Auslösezeitpunkt exportieren", before: "Sekunden davor", after: "Sekunden danach", cancel: "Abbrechen", export: "Galerie exportieren", noLibrary: "Öffne zuerst einen Dashcam-Ordner mit Sentry- oder gespeicherten Ereignissen", noEvents: "Keine Sentry- oder gespeicherten Ereignisse in diesem Ordner", loading: "Ereignisse werden gelesen… {done}/{total}", noMatches: "Keine Ereignisse passen zu diesen Filtern", selectedCount: "{count} von {total} Ereignis(sen) ausgewählt", noSelection: "Wähle mindestens ein Ereignis aus", queued: "Web-Galerie mit {count} Ereignis(sen) zur Exportwarteschlange hinzugefügt: {name}", rendering: "Ereignis {current}/{total}: {camera} wird gerendert", writingPage: "Galerieseite wird geschrieben...", complete: "Galerie exportiert ({events} Ereignis(se), {size})", skipped: "{count} Ereignis(se) konnten nicht exportiert werden: {events}", pageEvents: "{count} Ereignis(se)", pageCreated: "Erstellt am {date}", pageAllEvents: "Alle Ereignisse", pagePrevious: "Vorheriges Ereignis", pageNext: "Nächstes Ereignis", pagePlay: "Wiedergabe / Pause", pageJumpToEvent: "Zum Ereignis springen", pageType: "Typ", pageDate: "Datum", pageLocation: "Ort", pageCoordinates: "Koordinaten", pageCamera: "Auslösende Kamera", pageDuration: "Dauer", pageDistance: "Strecke", pageRoute: "Route", pageOpenMap: "In OpenStreetMap öffnen", pageEventJson: "event.json herunterladen", pageNoRoute: "Keine GPS-Daten in diesen Clips" },
+            clipHealth: { open: "Clip-Zustand", title: "Clip-Zustand", description: "Findet Clips, die leer, unlesbar oder durch einen Stromausfall im Auto abgeschnitten sind, sowie Clips, denen eine Kamera fehlt. Reparierte Clips werden neben dem Original als .repaired.mp4 gespeichert und stattdessen abgespielt; das Original bleibt unverändert.", scan: "Erneut prüfen", repairAll: "Alle reparieren", close: "Schließen", needsFolder: "Wähle zuerst über die Ordner-Schaltfläche einen Dashcam-Ordner (hineingezogene Ordner können nicht geprüft werden)", reading: "Ordner wird gelesen…", scanning: "Clips werden geprüft… {done}/{total}", summary: "{files} Datei(en) geprüft: {problems} Problem(e) in {groups} Clip-Gruppe(n)", allGood: "{files} Datei(en) geprüft, keine Probleme gefunden", scanFailed: "Prüfung fehlgeschlagen: {error}", statusEmpty: "Leer", statusUnreadable: "Unlesbar", statusTruncated: "Abgeschnitten", missingCameras: "Fehlende Kameras", repair: "Reparieren", repaired: "Repariert", repairing: "Reparatur {current}/{total}…", repairFailed: "Reparatur fehlgeschlagen: {error}", repairDone: "{repaired} Clip(s) repariert, {failed} fehlgeschlagen", showInFolder: "Im Ordner anzeigen" },
+            storage: { open: "Speicher", title: "Speicher", description: "Sehen Sie, was in diesem Ordner Platz belegt, und geben Sie ihn nach Tag, Ereignis oder Aufbewahrungsregel frei. Nichts wird ohne Vorschau entfernt, und alles landet im Papierkorb des Systems, sodass es wiederhergestellt werden kann.", needsFolder: "Öffnen Sie zuerst einen Dashcam-Ordner, um seinen Speicher zu sehen.", reading: "Ordner wird gelesen…", measuring: "{done} von {total} Clips werden gemessen…", scanFailed: "Ordner konnte nicht gemessen werden: {error}", total: "{size} in {count} Tagen und Ereignissen", byType: "Nach Typ", byCamera: "Nach Kamera", byDay: "Nach Tag", other: "Sonstige", tabUsage: "Belegung", tabClips: "Clips", tabRules: "Aufbewahrungsregeln", selectAll: "Alle auswählen", selectNone: "Auswahl aufheben", cameraCount: "{count} Kameras", selectedCount: "{count} ausgewählt · {size}", trashSelected: "Auswahl in den Papierkorb", rulesDescription: "Regeln werden nur ausgeführt, wenn Sie sie in der Vorschau bestätigen. Ereignisse bleiben als Ganzes erhalten oder werden entfernt; bei aktuellen Clips bleiben nur die Minuten mit Lesezeichen.", ruleDelete: "Löschen", ruleKeepCameras: "Nur Kameras behalten", ruleOlderThan: "älter als (Tage)", ruleExceptBookmarked: "außer mit Lesezeichen", ruleRemove: "Regel entfernen", noRules: "Noch keine Aufbewahrungsregeln.", addRule: "Regel hinzufügen", previewRules: "Vorschau", planSummary: "{files} Dateien ({size}) aus {count} Tagen und Ereignissen werden in den Papierkorb verschoben.", planEmpty: "Nichts passt; es würden keine Dateien entfernt.", planWhole: "Alles", planCameras: "Kameras: {cameras}", back: "Zurück", confirmTrash: "In den Papierkorb", trashing: "{done} von {total} werden in den Papierkorb verschoben…", trashDone: "{count} Elemente ({size}) in den Papierkorb verschoben.", trashPartial: "{trashed} Elemente in den Papierkorb verschoben; {failed} nicht möglich ({error}).", trashFailed: "Verschieben in den Papierkorb fehlgeschlagen: {error}", close: "Schließen" }
         },
         welcome: {
             modalTitle: "Willkommen bei Sentry Studio",
@@ -275,13 +367,32 @@ export const translations = {
             eventTypes: { manualSave: "手动保存", honk: "鸣笛", objectDetected: "检测到物体", emergencyBraking: "紧急制动", accelerationDetected: "检测到加速", collisionDetected: "检测到碰撞" },
             map: { recenter: "重新居中地图", hint: "右键拖动以移动" },
             playback: { play: "播放", pause: "暂停", skipBack: "后退15秒", skipForward: "前进15秒", playbackSpeed: "播放速度", setStartMarker: "设置导出起点", setEndMarker: "设置导出终点", exportVideo: "导出视频", supportChat: "支持聊天", settings: "设置", toggleDetails: "切换详情", lateralG: "横向G", longitudinalG: "纵向G", heading: "航向", openExportDetails: "打开导出详情" },
-            export: { title: "导出视频", start: "开始", end: "结束", inPoint: "开始", outPoint: "结束", duration: "时长", layout: "布局", quality: "质量", overlays: "叠加层", timestamp: "时间戳", dashboard: "仪表板", cancel: "取消", exportBtn: "导出", preparing: "准备中...", exporting: "导出中...", compact: "紧凑", detailed: "详细", teslaMobile: "Tesla Mobile", mobile: "移动", teslaMobilePositionDesc: "剪辑顶部或底部", bottom: "底部", top: "顶部", medium: "中等", high: "高", maximum: "最大", timestampDesc: "刻录日期和时间", dashboardDesc: "刻录速度、档位和遥测数据", position: "位置", positionDesc: "视频中的位置", style: "样式", styleDesc: "仪表板视觉样式", size: "大小", sizeDesc: "仪表板大小", sizeSmall: "小 (25%)", sizeMedium: "中 (35%)", sizeLarge: "大 (45%)", sizeXLarge: "特大 (55%)", blurType: "模糊方法", blurTypeDesc: "根据速度与质量选择模糊方法", addBlurZone: "添加模糊区域", addBlurZoneDesc: "分享前隐藏敏感信息", addZone: "添加区域", bottomCenter: "底部居中", bottomLeft: "左下", bottomRight: "右下", topCenter: "顶部居中", topLeft: "左上", topRight: "右上", blurSolid: "纯色 (快速)", blurTrue: "真实模糊 (慢速)", blurZoneEditor: "模糊区域编辑器", blurZoneCount: "已配置 {count} 个模糊区域", blurZoneInstructions: "点击并拖动角落手柄调整大小。悬停在边缘上添加新点。点击点创建复杂形状。", saveZone: "保存区域", dashboardGpuWarning: "仪表板叠加层需要GPU编码。未检测到兼容的GPU。", dashboardPrerendered: "仪表板已预渲染以获得最佳性能。", maxQualityWarning: "最高质量使用HEVC编码（如果GPU可用）。", frontCamWarning: "前置摄像头将缩小以匹配其他摄像头。", minimap: "GPS小地图", minimapDesc: "在地图上显示路线和位置", minimapNoGps: "所选片段中未找到GPS数据。", minimapPosition: "位置", minimapPositionDesc: "角落位置", minimapSize: "大小", minimapSizeDesc: "小地图大小", minimapRenderMode: "渲染模式", minimapRenderModeDesc: "速度与质量", minimapStaticFast: "静态地图（快速）", minimapLiveSlow: "实时地图（慢速）", shareClip: "分享片段", shareClipNew: "新", generateShareableLink: "生成分享链接", generateShareableLinkDesc: "导出后上传到 Sentry Studio 服务器", shareClipInfo: "您的片段将在 clip.sentry-six.com 上可用 <strong>{hours} 小时</strong>", shareClipWarning: "分享仅适用于 5 分钟以内的导出", minimapStaticDesc: "静态地图：一次性下载地图瓦片，叠加路线路径和位置标记。导出快速，需要互联网。", minimapLiveDesc: "实时地图：使用Leaflet渲染每一帧。显示实时地图更新，但导出速度慢得多。", renderingMinimap: "正在渲染小地图...", minimapNoGpsDisabled: "没有可用于小地图叠加的GPS数据。小地图将被禁用。", minimapGpsExtractFailed: "提取GPS数据失败。小地图将被禁用。", output: "输出", checkingFfmpeg: "正在检查FFmpeg...", ffmpegReady: "FFmpeg就绪", cpuOnly: "仅CPU（无GPU编码器）", ffmpegRequiredMac: "需要FFmpeg。在终端运行：brew install ffmpeg", ffmpegRequiredWin: "未找到FFmpeg。将ffmpeg.exe放入ffmpeg_bin文件夹。", notAvailable: "导出不可用（在浏览器中运行）", ffmpegError: "检查FFmpeg时出错", blurZonesStatus: "{count}个模糊区域 - 仪表板叠加层已禁用", blurZonesWarning: "警告：为未选择的摄像头配置的模糊区域（{cameras}）将不会应用", minimizeHint: "您可以最小化此窗口继续观看录像。导出将在后台继续。", analyzingSegments: "正在分析片段...", buildingExport: "正在构建导出...", exportingWithEncoder: "使用 {encoder} 导出...", exportingWithCpu: "使用 CPU 导出...", exportingPercent: "导出中... {percent}%", exportCompleteMB: "导出完成！({size} MB)", exportFailedCode: "导出失败（代码 {code}）", exportFailedNoSpace: "导出失败：磁盘空间不足。请释放目标驱动器的空间后重试。", exportFailedPermission: "导出失败：权限被拒绝。请尝试保存到其他文件夹或检查文件夹权限。", exportFailedPathNotFound: "导出失败：找不到目标文件夹。驱动器可能已断开连接。请检查路径后重试。", exportFailedReadOnly: "导出失败：目标驱动器为只读。请移除写保护或选择其他驱动器。", exportFailedInvalidPath: "导出失败：文件路径无效。请尝试使用较短的路径或移除文件夹名称中的特殊字符。", exportFailedGpuMemory: "导出失败：GPU内存不足。请关闭其他占用GPU的应用程序或尝试降低画质。", exportFailedGpuUnavailable: "导出失败：GPU编码器不再可用。请重启应用程序或检查GPU驱动程序。", exportFailedSourceLost: "导出失败：导出过程中源文件变得不可访问。请检查源驱动器是否仍然连接。", blurZoneFailed: "隐私模糊区域未能应用。您导出的视频未进行模糊处理。请重新安装应用程序或联系支持。", openFileLocation: "您想打开文件位置吗？", layoutHint: "拖动重新定位 • 卡片对齐到边缘", privacy: "隐私", blurZoneHint: "遮盖车牌或敏感信息", timelapse: "延时摄影", enableTimelapse: "启用延时摄影", enableTimelapseDesc: "加速画面以获得压缩概览", timelapseSpeed: "速度", timelapseSpeedDesc: "播放速度倍率", timelapseOverlayNote: "仪表盘、小地图和时间戳叠加层将与延时速度同步。音频将被移除。", timelapseDuration: "时长 → 延时时长", shareLinkExpiry: "链接将在 {hours} 小时后过期", restoreBannerText: "发现 {count} 个之前的隐私区域", restoreBannerRestore: "恢复", restoreBannerDismiss: "忽略", restoreBannerRestored: "隐私区域已恢复" },
-            settings: { searchPlaceholder: "搜索设置...", title: "设置", general: "常规", shortcuts: "快捷键", advanced: "高级", displaySection: "显示", playbackOverlays: "播放和叠加", storageSection: "存储", aboutUpdates: "关于和更新", appVersion: "应用版本", systemSecurity: "系统与安全", secFeature: "功能", secStatus: "状态", secDescription: "说明", footagePrivacy: "视频隐私", localOnly: "仅本地", footagePrivacyDesc: "行车记录仪片段永远不会离开您的本地存储。", updateReporting: "更新报告", statusActive: "活跃", updateReportingDesc: "启动时应用会联系我们的API进行安全和版本检查。", deviceHash: "设备哈希", hashedSha256: "哈希 (SHA-256)", deviceHashDesc: "一个安全的加盐ID，用于防止API滥用。", learnMore: "了解更多", hideDetails: "隐藏详情", architecture: "架构", dashboardStyle: "仪表盘样式", language: "语言", languageDesc: "应用程序显示语言", layout: "布局", classicSidebar: "经典侧边栏", classicSidebarDesc: "停靠的侧边栏不会遮挡视频", overlays: "叠加层", dashboard: "仪表板", dashboardDesc: "显示速度、档位和遥测数据", gpsMap: "GPS地图", gpsMapDesc: "显示带有车辆位置的路线地图", theme: "主题", themeDark: "深色", themeLight: "浅色", mapStyle: "地图样式", mapStyleLight: "浅色", mapStyleDark: "深色", dashboardLayout: "仪表板布局", dashboardLayoutDesc: "默认或紧凑样式", default: "默认", acceleratorDisplay: "油门显示", acceleratorDisplayDesc: "踏板可视化样式", solidColor: "纯色 (开/关)", iconBar: "图标栏 (填充)", sideBar: "侧边栏", fixedToFrontCamera: "固定到前置摄像头", fixedToFrontCameraDesc: "将紧凑仪表板保持在前置摄像头上", mirrorCameras: "镜像摄像头", mirrorCamerasDesc: "镜像后置和侧面摄像头（如后视镜所见）", glassBlur: "玻璃模糊", glassBlurDesc: "叠加层模糊强度", metricUnits: "公制单位", metricUnitsDesc: "使用公里每小时 (KM/H)", dateFormat: "日期格式", dateFormatDesc: "日期显示格式", globalSetting: "全局设置", mdyFormat: "MM/DD/YYYY (美国)", dmyFormat: "DD/MM/YYYY (国际)", ymdFormat: "YYYY-MM-DD (ISO)", timeFormat: "时间格式", timeFormatDesc: "12小时或24小时制", time12h: "12小时 (AM/PM)", time24h: "24小时", defaultFolder: "默认行车记录仪文件夹", defaultFolderDesc: "启动时自动加载此文件夹", noFolderSet: "未设置文件夹", browse: "浏览", clear: "清除", about: "关于", version: "版本", viewChangelog: "查看更新日志", support: "支持", supportDesc: "遇到问题？使用播放栏中的支持聊天按钮。", openSupportChat: "打开支持聊天", done: "完成", keyboardShortcuts: "键盘快捷键", keyboardShortcutsDesc: "点击字段并按任意键", playPause: "播放 / 暂停", skipForward: "快进", skipBackward: "快退", skipDuration: "跳跃时长", toggleDashboard: "切换仪表板", toggleMap: "切换地图", toggleMphKmh: "切换 MPH / KMH", toggleClipsPanel: "切换片段面板", setExportMarkerIn: "导出起点标记", setExportMarkerOut: "导出终点标记", nextClip: "下一个片段", prevClip: "上一个片段", second: "秒", seconds: "秒", updates: "更新", disableAutoUpdate: "禁用自动更新", disableAutoUpdateDesc: "启动时不检查更新", updateBranch: "更新分支", updateBranchDesc: "Main为稳定版，Dev-SEI为测试版", mainStable: "Main (稳定版)", devSeiBeta: "Dev-SEI (测试版)", checkForUpdates: "检查更新", checkForUpdatesDesc: "手动检查新版本", checkNow: "立即检查", checking: "检查中...", upToDate: "已是最新", checkFailed: "检查失败", updateFound: "发现更新!", eventHighlights: "事件高亮", sentryCameraGlow: "Sentry摄像头发光", sentryCameraGlowDesc: "触发摄像头红色发光", savedCameraGlow: "已保存摄像头发光", savedCameraGlowDesc: "触发摄像头黄色发光", cameraLayout: "摄像头布局", resetCameraOrder: "重置摄像头顺序", resetCameraOrderDesc: "恢复默认网格位置", reset: "重置" },
+            export: { title: "导出视频", start: "开始", end: "结束", inPoint: "开始", outPoint: "结束", duration: "时长", layout: "布局", quality: "质量", overlays: "叠加层", timestamp: "时间戳", dashboard: "仪表板", cancel: "取消", exportBtn: "导出", preparing: "准备中...", exporting: "导出中...", compact: "紧凑", detailed: "详细", teslaMobile: "Tesla Mobile", mobile: "移动", teslaMobilePositionDesc: "剪辑顶部或底部", bottom: "底部", top: "顶部", medium: "中等", high: "高", maximum: "最大", timestampDesc: "刻录日期和时间", dashboardDesc: "刻录速度、档位和遥测数据", position: "位置", positionDesc: "视频中的位置", style: "样式", styleDesc: "仪表板视觉样式", size: "大小", sizeDesc: "仪表板大小", sizeSmall: "小 (25%)", sizeMedium: "中 (35%)", sizeLarge: "大 (45%)", sizeXLarge: "特大 (55%)", blurType: "模糊方法", blurTypeDesc: "根据速度与质量选择模糊方法", addBlurZone: "添加模糊区域", addBlurZoneDesc: "分享前隐藏敏感信息", addZone: "添加区域", bottomCenter: "底部居中", bottomLeft: "左下", bottomRight: "右下", topCenter: "顶部居中", topLeft: "左上", topRight: "右上", blurSolid: "纯色 (快速)", blurTrue: "真实模糊 (慢速)", blurZoneEditor: "模糊区域编辑器", blurZoneCount: "已配置 {count} 个模糊区域", blurZoneInstructions: "点击并拖动角落手柄调整大小。悬停在边缘上添加新点。点击点创建复杂形状。", saveZone: "保存区域", dashboardGpuWarning: "仪表板叠加层需要GPU编码。未检测到兼容的GPU。", dashboardPrerendered: "仪表板已预渲染以获得最佳性能。", maxQualityWarning: "最高质量使用HEVC编码（如果GPU可用）。", frontCamWarning: "前置摄像头将缩小以匹配其他摄像头。", minimap: "GPS小地图", minimapDesc: "在地图上显示路线和位置", minimapNoGps: "所选片段中未找到GPS数据。", minimapPosition: "位置", minimapPositionDesc: "角落位置", minimapSize: "大小", minimapSizeDesc: "小地图大小", minimapRenderMode: "渲染模式", minimapRenderModeDesc: "速度与质量", minimapStaticFast: "静态地图（快速）", minimapLiveSlow: "实时地图（慢速）", shareClip: "分享片段", shareClipNew: "新", generateShareableLink: "生成分享链接", generateShareableLinkDesc: "导出后上传到 Sentry Studio 服务器", shareClipInfo: "您的片段将在 clip.sentry-six.com 上可用 <strong>{hours} 小时</strong>", shareClipWarning: "分享仅适用于 5 分钟以内的导出", minimapStaticDesc: "静态地图：一次性下载地图瓦片，叠加路线路径和位置标记。导出快速，需要互联网。", minimapLiveDesc: "实时地图：使用Leaflet渲染每一帧。显示实时地图更新，但导出速度慢得多。", renderingMinimap: "正在渲染小地图...", minimapNoGpsDisabled: "没有可用于小地图叠加的GPS数据。小地图将被禁用。", minimapGpsExtractFailed: "提取GPS数据失败。小地图将被禁用。", output: "输出", checkingFfmpeg: "正在检查FFmpeg...", ffmpegReady: "FFmpeg就绪", cpuOnly: "仅CPU（无GPU编码器）", ffmpegRequiredMac: "需要FFmpeg。在终端运行：brew install ffmpeg", ffmpegRequiredWin: "未找到FFmpeg。将ffmpeg.exe放入ffmpeg_bin文件夹。", notAvailable: "导出不可用（在浏览器中运行）", ffmpegError: "检查FFmpeg时出错", blurZonesStatus: "{count}个模糊区域 - 仪表板叠加层已禁用", blurZonesWarning: "警告：为未选择的摄像头配置的模糊区域（{cameras}）将不会应用", minimizeHint: "您可以最小化此窗口继续观看录像。导出将在后台继续。", analyzingSegments: "正在分析片段...", buildingExport: "正在构建导出...", exportingWithEncoder: "使用 {encoder} 导出...", exportingWithCpu: "使用 CPU 导出...", exportingPercent: "导出中... {percent}%", exportCompleteMB: "导出完成！({size} MB)", exportFailedCode: "导出失败（代码 {code}）", exportFailedNoSpace: "导出失败：磁盘空间不足。请释放目标驱动器的空间后重试。", exportFailedPermission: "导出失败：权限被拒绝。请尝试保存到其他文件夹或检查文件夹权限。", exportFailedPathNotFound: "导出失败：找不到目标文件夹。驱动器可能已断开连接。请检查路径后重试。", exportFailedReadOnly: "导出失败：目标驱动器为只读。请移除写保护或选择其他驱动器。", exportFailedInvalidPath: "导出失败：文件路径无效。请尝试使用较短的路径或移除文件夹名称中的特殊字符。", exportFailedGpuMemory: "导出失败：GPU内存不足。请关闭其他占用GPU的应用程序或尝试降低画质。", exportFailedGpuUnavailable: "导出失败：GPU编码器不再可用。请重启应用程序或检查GPU驱动程序。", exportFailedSourceLost: "导出失败：导出过程中源文件变得不可访问。请检查源驱动器是否仍然连接。", blurZoneFailed: "隐私模糊区域未能应用。您导出的视频未进行模糊处理。请重新安装应用程序或联系支持。", openFileLocation: "您想打开文件位置吗？", layoutHint: "拖动重新定位 • 卡片对齐到边缘", privacy: "隐私", blurZoneHint: "遮盖车牌或敏感信息", timelapse: "延时摄影", enableTimelapse: "启用延时摄影", enableTimelapseDesc: "加速画面以获得压缩概览", timelapseSpeed: "速度", timelapseSpeedDesc: "播放速度倍率", timelapseOverlayNote: "仪表盘、小地图和时间戳叠加层将与延时速度同步。音频将被移除。", timelapseDuration: "时长 → 延时时长", shareLinkExpiry: "链接将在 {hours} 小时后过期", restoreBannerText: "发现 {count} 个之前的隐私区域", restoreBannerRestore: "恢复", restoreBannerDismiss: "忽略", restoreBannerRestored: "隐私区域已恢复", telemetryData: "遥测数据", telemetryDataDesc: "所选范围内逐帧的速度、挡位、踏板、转向、转向灯、Autopilot 状态、GPS 和加速度。不会重新编码视频。", exportTelemetry: "导出遥测数据", telemetrySelectFormat: "请至少选择一种遥测格式", telemetryInProgress: "已有导出正在进行", telemetryNoGps: "此范围内没有 GPS 定位 — GPX/KML 轨迹将为空", telemetryExported: "已将 {count} 帧遥测数据导出到 {files} 个文件", telemetryExportFailed: "遥测导出失败：{error}", subtitles: "遥测字幕", subtitleSidecar: "外挂文件", subtitleEmbedded: "内嵌", subtitleEmbeddedDesc: "MP4 中的字幕轨", subtitlesDesc: "每秒一次的时间、速度、档位、Autopilot 状态和 GPS 位置，作为可开关的字幕轨。不会烧录到视频画面中。", shareClipInfoServer: "您的片段将在 {host} 上保留 <strong>{hours}</strong>" },
+            settings: { searchPlaceholder: "搜索设置...", title: "设置", general: "常规", shortcuts: "快捷键", advanced: "高级", displaySection: "显示", playbackOverlays: "播放和叠加", storageSection: "存储", aboutUpdates: "关于和更新", appVersion: "应用版本", systemSecurity: "系统与安全", secFeature: "功能", secStatus: "状态", secDescription: "说明", footagePrivacy: "视频隐私", localOnly: "仅本地", footagePrivacyDesc: "行车记录仪片段永远不会离开您的本地存储。", updateReporting: "更新报告", statusActive: "活跃", updateReportingDesc: "启动时应用会联系我们的API进行安全和版本检查。", deviceHash: "设备哈希", hashedSha256: "哈希 (SHA-256)", deviceHashDesc: "一个安全的加盐ID，用于防止API滥用。", learnMore: "了解更多", hideDetails: "隐藏详情", architecture: "架构", dashboardStyle: "仪表盘样式", language: "语言", languageDesc: "应用程序显示语言", layout: "布局", classicSidebar: "经典侧边栏", classicSidebarDesc: "停靠的侧边栏不会遮挡视频", overlays: "叠加层", dashboard: "仪表板", dashboardDesc: "显示速度、档位和遥测数据", gpsMap: "GPS地图", gpsMapDesc: "显示带有车辆位置的路线地图", theme: "主题", themeDark: "深色", themeLight: "浅色", mapStyle: "地图样式", mapStyleLight: "浅色", mapStyleDark: "深色", dashboardLayout: "仪表板布局", dashboardLayoutDesc: "默认或紧凑样式", default: "默认", acceleratorDisplay: "油门显示", acceleratorDisplayDesc: "踏板可视化样式", solidColor: "纯色 (开/关)", iconBar: "图标栏 (填充)", sideBar: "侧边栏", fixedToFrontCamera: "固定到前置摄像头", fixedToFrontCameraDesc: "将紧凑仪表板保持在前置摄像头上", mirrorCameras: "镜像摄像头", mirrorCamerasDesc: "镜像后置和侧面摄像头（如后视镜所见）", glassBlur: "玻璃模糊", glassBlurDesc: "叠加层模糊强度", metricUnits: "公制单位", metricUnitsDesc: "使用公里每小时 (KM/H)", dateFormat: "日期格式", dateFormatDesc: "日期显示格式", globalSetting: "全局设置", mdyFormat: "MM/DD/YYYY (美国)", dmyFormat: "DD/MM/YYYY (国际)", ymdFormat: "YYYY-MM-DD (ISO)", timeFormat: "时间格式", timeFormatDesc: "12小时或24小时制", time12h: "12小时 (AM/PM)", time24h: "24小时", defaultFolder: "默认行车记录仪文件夹", defaultFolderDesc: "启动时自动加载此文件夹", noFolderSet: "未设置文件夹", browse: "浏览", clear: "清除", about: "关于", version: "版本", viewChangelog: "查看更新日志", support: "支持", supportDesc: "遇到问题？使用播放栏中的支持聊天按钮。", openSupportChat: "打开支持聊天", done: "完成", keyboardShortcuts: "键盘快捷键", keyboardShortcutsDesc: "点击字段并按任意键", playPause: "播放 / 暂停", skipForward: "快进", skipBackward: "快退", skipDuration: "跳跃时长", toggleDashboard: "切换仪表板", toggleMap: "切换地图", toggleMphKmh: "切换 MPH / KMH", toggleClipsPanel: "切换片段面板", setExportMarkerIn: "导出起点标记", setExportMarkerOut: "导出终点标记", nextClip: "下一个片段", prevClip: "上一个片段", second: "秒", seconds: "秒", updates: "更新", disableAutoUpdate: "禁用自动更新", disableAutoUpdateDesc: "启动时不检查更新", updateBranch: "更新分支", updateBranchDesc: "Main为稳定版，Dev-SEI为测试版", mainStable: "Main (稳定版)", devSeiBeta: "Dev-SEI (测试版)", checkForUpdates: "检查更新", checkForUpdatesDesc: "手动检查新版本", checkNow: "立即检查", checking: "检查中...", upToDate: "已是最新", checkFailed: "检查失败", updateFound: "发现更新!", eventHighlights: "事件高亮", sentryCameraGlow: "Sentry摄像头发光", sentryCameraGlowDesc: "触发摄像头红色发光", savedCameraGlow: "已保存摄像头发光", savedCameraGlowDesc: "触发摄像头黄色发光", cameraLayout: "摄像头布局", resetCameraOrder: "重置摄像头顺序", resetCameraOrderDesc: "恢复默认网格位置", reset: "重置", indexCache: "媒体库索引缓存", indexCacheStatus: "已缓存 {folders} 个文件夹 · {size}", indexCacheEmpty: "尚未缓存任何文件夹", clearIndexCache: "清除缓存", indexCacheCleared: "索引缓存已清除。下次打开文件夹时将重新扫描。", indexCacheClearFailed: "清除索引缓存失败：{error}", rebuildIndex: "重建索引", indexRebuilt: "已从驱动器重建索引。", indexRebuildFailed: "重建索引失败：{error}", indexRebuildNeedsFolder: "请先打开行车记录仪文件夹以重建其索引。", addBookmark: "添加书签", frameForward: "下一帧", frameBackward: "上一帧", saveStill: "保存静帧", toggleTelemetryCharts: "切换遥测图表", nextMotion: "下一处运动", prevMotion: "上一处运动", toggleMotionSkipIdle: "切换跳过静止时段", toggleSmartPlayback: "切换智能播放", nextMultiLayout: "下一个摄像头布局", prevMultiLayout: "上一个摄像头布局", sharingSection: "片段分享", shareServer: "分享服务器", shareServerSave: "保存", shareServerReset: "默认", shareServerDesc: "留空则使用 Sentry Studio 托管服务；或输入自建分享服务器（仓库中的 share-server）的地址，使分享的片段留在您的网络内。", shareServerInvalid: "无法保存分享服务器", shareServerDefault: "正在使用 Sentry Studio 托管服务", shareServerSaved: "片段将通过 {url} 分享" },
             cameras: { front: "前", back: "后", leftPillar: "左柱", rightPillar: "右柱", leftRepeater: "左侧", rightRepeater: "右侧" },
             dashboard: { drive: "行驶", manual: "手动", noData: "无数据", mph: "MPH", kmh: "KM/H", selfDriving: "自动驾驶", autosteer: "自动转向", tacc: "TACC" },
             notifications: { loadCollectionFirst: "請先加載集合以設置導出標記", startMarkerSet: "起點標記已設置", endMarkerSet: "終點標記已設置", exportComplete: "導出完成！", exportCancelled: "導出已取消", exportFailed: "導出失敗", foundDatesWithClips: "找到 {count} 个日期的片段", loadedFilesForDate: "已加载 {count} 个文件用于 {date}", noDataForDate: "没有 {date} 的数据", noClipsFoundForDate: "未找到 {date} 的片段", noDashcamClipsFound: "未找到视频片段。选择包含视频文件（.mp4、.avi、.mov、.mkv）的文件夹，或包含 RecentClips、SentryClips 或 SavedClips 的 Tesla 行车记录仪文件夹。", metadataParserNotReady: "元数据解析器尚未初始化——请稍后再试。", noSupportedFilesFound: "该文件夹中未找到支持的文件。", failedToLoadVideo: "加载视频失败：{error}", errorSelectingDay: "选择日期时出错：{error}", failedToOpenFolder: "打开文件夹失败：{error}", failedToInitMetadataParser: "初始化元数据解析器失败。确保 protobuf 加载且未通过 file:// 运行", capturingSnapshot: "正在捕获快照...", couldNotFindVideoFile: "找不到{camera}摄像头的视频文件", unsupportedFileType: "不支持的快照文件类型", failedToCaptureSnapshot: "捕获快照失败：{error}", blurZoneMinPoints: "请创建至少有3个点的有效模糊区域", failedToGenerateMask: "生成蒙版图像失败", failedToExtractMaskData: "提取蒙版图像数据失败", failedToGetCanvasDimensions: "获取画布尺寸失败", blurZoneSaved: "模糊区域保存成功", failedToSaveBlurZone: "保存模糊区域失败：{error}", exportNotAvailable: "导出不可用", exportRequiresFolder: "导出需要通过文件夹选择器选择文件夹。请重新选择您的行车记录仪文件夹。", selectAtLeastOneCamera: "请至少选择一个摄像头", extractingTelemetry: "正在提取遥测数据...", noTelemetryData: "没有可用于仪表板叠加层的遥测数据。仪表板将被禁用。", failedToExtractTelemetry: "提取遥测数据失败。仪表板将被禁用。", noVideoFilesForExport: "未找到用于导出的视频文件。请确保正确选择了文件夹。", exportFailedWithError: "导出失败：{error}", onlyOneAttachment: "每条消息只允许1个附件", fileTooLarge: "文件\"{filename}\"太大（最大100MB）", enterMessageOrAttach: "请输入消息或附加文件", supportTicketClosed: "支持工单已关闭", newSupportMessages: "收到{count}条新支持消息", cameraOrderReset: "摄像头顺序已重置为默认", collectingDiagnostics: "正在收集诊断数据...", uploadingDiagnostics: "正在上传诊断数据...", supportIdCopied: "支持ID：{supportId} - 已复制到剪贴板！", failedToUploadDiagnostics: "上传诊断数据失败：{error}", uploadFailed: "上传失败：{error}", supportIdCopiedSimple: "支持ID已复制到剪贴板！", failedToCopy: "复制失败：{error}", failedToGenerateSupportId: "生成支持ID失败：{error}" },
             supportChat: { title: "支持聊天", needHelp: "需要帮助？", welcomeDesc: "与我们开始支持对话。描述您的问题、错误或反馈，我们会尽快回复。", welcomeNote: "您可以附加截图/视频和诊断数据，帮助我们更好地了解您的问题。", diagnostics: "诊断", attach: "附加", placeholder: "描述您的问题或反馈...", privacyNote: "数据将在7天后自动删除", ticketClosed: "此工单已关闭。", createNewTicket: "创建新支持工单", closeTicket: "关闭工单", minimize: "最小化", closePanel: "关闭面板", sendMessage: "发送消息", includeDiagnostics: "包含诊断数据", attachFiles: "附加文件", you: "您", support: "支持" },
-            sharedClips: { title: "我的共享片段", emptyTitle: "还没有共享片段", emptyDesc: "启用共享导出片段后可在此查看", clickHint: "选择一个片段查看详情", copyLink: "复制链接", open: "打开", delete: "删除", deleteTitle: "删除共享片段", deleteConfirm: "您确定要删除", deleteWarning: "这将从 Sentry Studio 服务器永久删除该片段。任何拥有链接的人将无法再查看或下载。", cancel: "取消", deleteClip: "删除片段" }
+            sharedClips: { title: "我的共享片段", emptyTitle: "还没有共享片段", emptyDesc: "启用共享导出片段后可在此查看", clickHint: "选择一个片段查看详情", copyLink: "复制链接", open: "打开", delete: "删除", deleteTitle: "删除共享片段", deleteConfirm: "您确定要删除", deleteWarning: "这将从 Sentry Studio 服务器永久删除该片段。任何拥有链接的人将无法再查看或下载。", cancel: "取消", deleteClip: "删除片段", resumeUpload: "继续上传" },
+            exportQueue: { title: "导出队列", addToQueue: "加入队列", jobAdded: "已加入导出队列：{name}", jobDone: "队列导出已完成：{name}", jobFailed: "队列导出失败：{name}（{error}）", actionFailed: "导出队列错误：{error}", emptyTitle: "队列中没有导出任务", emptyDesc: "在导出窗口中使用“加入队列”来排队多个导出任务", pausedNote: "队列已暂停。当前导出会完成，但在恢复之前不会开始新任务。", clearFinished: "清除已完成", pauseQueue: "暂停队列", resumeQueue: "恢复队列", moveUp: "上移", moveDown: "下移", pause: "暂停", resume: "恢复", retry: "重试", remove: "移除", showInFolder: "在文件夹中显示", statusPending: "等待中", statusRunning: "导出中", statusPaused: "已暂停", statusFailed: "失败", statusDone: "已完成" },
+            incidents: { tab: "事件", scan: "扫描", rescan: "重新扫描", selectClip: "打开一个片段以查找事件", notScanned: "尚未扫描", scanning: "正在扫描遥测数据（{done}/{total}）", found: "发现 {count} 个事件", scanFailed: "事件扫描失败：{error}", hardBrake: "急刹车", hardAccel: "急加速", sharpTurn: "急转弯", impact: "可能碰撞", settingsTitle: "事件检测", resetThresholds: "重置阈值" },
+            highlightReel: { title: "精彩集锦", enable: "创建精彩集锦", enableDesc: "将关键时刻前后的短片段拼接成一个视频", sourceEvents: "哨兵和已保存事件", sourceEventsDesc: "事件触发的时刻", sourceDisengagements: "FSD 脱离", sourceDisengagementsDesc: "来自 SentryUSB 行程数据", sourceAccelPushes: "踩油门", sourceAccelPushesDesc: "FSD 启用时踩下踏板", sourceBraking: "急刹车", sourceBrakingDesc: "根据遥测数据检测", paddingBefore: "每个时刻之前", paddingBeforeDesc: "保留触发前的画面", paddingAfter: "每个时刻之后", paddingAfterDesc: "保留触发后的画面", note: "使用整个已加载的片段，而非起止标记。每个时刻前都有显示日期、时间和地点的标题卡。", sentryEvent: "哨兵事件", savedEvent: "已保存片段", disengagement: "FSD 脱离", accelPush: "踩油门", scanningTelemetry: "正在扫描遥测数据中的急刹车…", nothingFound: "所选来源中未找到精彩时刻", tooManyClips: "找到 {count} 个精彩时刻，仅包含前 {max} 个", renderingClip: "正在渲染第 {current}/{total} 个精彩片段…", stitching: "正在拼接精彩片段和标题卡…" },
+            libraryMap: { open: "媒体库地图", title: "媒体库地图", from: "从", to: "至", reason: "原因", allReasons: "所有原因", drives: "行程", fit: "缩放至结果", loading: "正在读取事件位置… {done}/{total}", summary: "{events} 个事件 · {drives} 个行程", noLocations: "没有符合这些筛选条件且带位置的内容", openClip: "打开片段", openDrive: "打开行程", noLibrary: "请先打开行车记录仪文件夹或加载 SentryUSB 行程数据", mapUnavailable: "地图库加载失败。请检查网络连接。" },
+            search: { tab: "搜索", placeholder: "例如 reason:honk date:-30d", run: "搜索", help: "查询语法", helpEvents: "事件：", helpTime: "时间：", helpDrives: "行程：", helpTelemetry: "遥测：", helpLogic: "组合：", readingEvents: "正在读取事件… {done}/{total}", noLibrary: "请先打开行车记录仪文件夹再搜索", searching: "正在搜索…", indexingDate: "正在索引 {date}…", scanningTelemetry: "正在读取遥测… {done}/{total} 个片段", found: "{count} 个结果", tooManyResults: "仅显示前 {count} 个结果，请缩小查询范围以查看更多", scanLimited: "仅读取了最近 {count} 个匹配片段的遥测；添加 date: 以搜索更早的内容。", failed: "搜索失败：{error}", drive: "行程", sentryEvent: "哨兵模式事件", savedEvent: "已保存片段", recentClips: "最近片段", customClips: "片段", errorEmptyGroup: "缺少搜索词", errorParen: "括号不匹配", errorUnexpected: "意外的“{token}”", errorMissingValue: "{field} 后缺少值", errorInvalidValue: "“{value}” 不是 {field} 的有效值", errorComparator: "“{cmp}” 不能用于 {field}；请使用 : 或 !=" },
+            bookmarks: { tab: "书签", filter: "筛选书签…", add: "为当前时刻添加书签", addTitle: "添加书签", editTitle: "编辑书签", titleLabel: "标题", titlePlaceholder: "这里发生了什么？", noteLabel: "备注", colorLabel: "颜色", delete: "删除", cancel: "取消", save: "保存", edit: "编辑", untitled: "未命名书签", noFolder: "请先打开行车记录仪文件夹再添加书签", empty: "还没有书签。使用时间轴旁的书签按钮标记某个时刻。", count: "{count} 个书签", filtered: "{total} 个书签中的 {count} 个", saveFailed: "无法保存书签：{error}", savedLocally: "此文件夹为只读，书签仅保存在本机" },
+            stills: { frameBack: "上一帧", frameForward: "下一帧", saveStill: "保存静帧", title: "保存静帧", sourceLabel: "摄像头", wholeGrid: "所有摄像头（网格）", captionLabel: "添加遥测说明（时间、速度、挡位、GPS）", hint: "以摄像头原始分辨率保存为 PNG。", cancel: "取消", save: "保存 PNG", saveTitle: "保存静帧", autopilot: "Autopilot", noVideo: "请先打开一个片段再保存静帧", noFrame: "视频帧尚未就绪", saved: "静帧已保存：{file}", saveFailed: "保存静帧失败：{error}" },
+            evidence: { title: "证据包", enable: "创建证据包", enableDesc: "将原始片段、事件数据和遥测数据与视频一起打包为 zip", note: "包含所选范围内每个摄像头未经改动的片段、一份带有时间戳和导出设置的报告，以及一份 SHA-256 清单，任何人都可以据此确认内容未被修改。", verify: "验证证据包...", verifying: "正在根据 SHA256SUMS 校验文件...", verifyOk: "{name}：全部 {count} 个文件与清单一致", verifyFailed: "{name}：验证失败 - 证据包已被修改", verifyError: "无法验证证据包：{error}", statusModified: "已修改", statusMissing: "缺失", statusUnlisted: "不在清单中", noSourceFiles: "此范围内磁盘上没有源片段", notWithReel: "证据包只涵盖一段连续范围，请先关闭精彩集锦", rendering: "正在为证据包渲染视频...", telemetry: "正在解码遥测数据...", hashing: "正在计算哈希 ({current}/{total})...", zipping: "正在写入 zip...", complete: "证据包已保存（{files} 个文件，{size} MB）" },
+            incidentReport: { title: "事件报告", generate: "生成事件报告", saveTitle: "保存事件报告", generating: "正在生成事件报告…", saved: "事件报告已保存：{file}", failed: "无法生成事件报告：{error}", notAvailable: "事件报告仅适用于带有 event.json 的哨兵和已保存事件", eventDetails: "事件详情", eventType: "事件类型", reason: "原因", triggerTime: "触发时间", triggerCamera: "触发摄像头", location: "位置", coordinates: "坐标", sourceFolder: "源文件夹", recording: "录制", clipCount: "{count} 个片段", keyFrames: "关键帧", trigger: "触发", noFrames: "无法读取触发前后的视频帧", map: "位置地图", mapOffline: "无法下载地图图块；路线和位置在无背景的情况下绘制。", noGps: "此事件未记录 GPS 位置", telemetry: "车辆遥测（触发前后 {seconds} 秒）", noTelemetry: "触发前后未记录遥测数据（驻车时通常如此）", atTrigger: "触发时", speed: "速度", accelerator: "油门", brake: "刹车", steering: "方向盘转角", gear: "档位", autopilot: "驾驶辅助", applied: "已踩下", released: "未踩下", footer: "由 Sentry Studio 于 {date} 根据原始 TeslaCam 录像生成。时间为车辆记录的时间。" },
+            telemetryCharts: { title: "遥测图表", toggle: "遥测图表", speed: "速度", accelerator: "加速踏板", brake: "制动", steering: "转向", lateralG: "横向 G", longitudinalG: "纵向 G", autopilot: "Autopilot", on: "开", off: "关", dock: "停靠在控制栏上方", undock: "浮动面板", resetZoom: "显示完整时间轴", close: "关闭", noCollection: "选择一个片段以绘制其遥测数据", loading: "正在读取遥测… {done}/{total}", noData: "这些片段中没有遥测数据", scanFailed: "无法读取遥测：{error}" },
+            timelineStrip: { setting: "时间轴色带", settingDesc: "进度条下方的颜色", speed: "速度", autopilot: "Autopilot", off: "关闭", gapMinutes: "{count} 分钟未录制", gapSeconds: "{count} 秒未录制" },
+            motion: { setting: "运动分析", settingDesc: "扫描哨兵和已保存事件中每个摄像头的运动", skipIdleOff: "跳过静止时段", skipIdleOn: "正在跳过静止时段（点击关闭）", skipIdleEnabled: "将跳过无运动的时段", skipIdleDisabled: "播放全部内容", analyzing: "正在分析运动… {percent}%", analysisFailed: "运动分析失败：{error}", noNext: "此后没有更多运动", noPrevious: "此前没有运动", skipped: "已跳过 {seconds} 秒无运动片段" },
+            smartPlayback: { toggle: "智能播放：跳过驻车时段，刹车/转向灯附近恢复 1x", on: "智能播放已开启（点击关闭）", enabled: "智能播放已开启", disabled: "智能播放已关闭", saved: "已跳过或快进 {time} 的驻车时间", settingsTitle: "智能播放", parkedAction: "驻车时段", parkedActionDesc: "挡位为 P 且静止", skip: "跳过", fastForward: "快进", minParked: "最短驻车时段", fastRate: "快进速度", slowPad: "刹车/转向灯附近 1x", off: "关闭", reset: "重置智能播放" },
+            multiLayouts: { title: "摄像头布局", sixDefault: "默认 (3×2)", quad: "2×2（四摄像头）", frontFocus: "大前视 + 5", frontBack: "前 / 后", pip: "画中画", builtIn: "内置", custom: "自定义", manage: "管理", newLayout: "新建布局…", editLayout: "编辑布局…", defaultName: "我的布局 {n}", switched: "布局：{name}", saved: "布局“{name}”已保存", noCameras: "请至少向布局添加一个摄像头", nameLabel: "名称", camerasLabel: "摄像头", editorHint: "拖动以移动 • 拖动角落以调整大小 • 卡片会吸附到边缘", delete: "删除", cancel: "取消", save: "保存" },
+            exportPresets: { label: "预设", none: "无预设", empty: "没有已保存的预设", save: "保存为预设", rename: "重命名预设", delete: "删除预设", import: "导入预设", export: "导出预设到文件", exportTitle: "保存导出预设", fileType: "导出预设", namePlaceholder: "预设名称", confirm: "保存", cancel: "取消", saved: "预设“{name}”已保存", renamed: "预设已重命名为“{name}”", deleted: "预设“{name}”已删除", applied: "已应用预设“{name}”", nameTaken: "已存在名为“{name}”的预设", imported: "已导入 {count} 个预设", exported: "已导出 {count} 个预设", importFailed: "无法导入预设：{error}", exportFailed: "无法导出预设：{error}", camerasUnavailable: "此片段中没有：{cameras}" },
+            exportMetadata: { title: "文件元数据", gpsTrack: "嵌入起点位置", gpsTrackDesc: "导出开始处的位置，供照片和地图应用使用", chapters: "添加章节", chaptersDesc: "在每个片段、事件触发和 FSD 脱离处添加标记", clipChapter: "片段 {time}", clipChapterUntimed: "片段" },
+            webGallery: { open: "网页图库", title: "网页图库", description: "将所选事件导出为一个文件夹，可在任意浏览器中打开，无需 Sentry Studio 或网络连接。可复制到 U 盘或共享文件夹。", selectAll: "全选", selectNone: "全不选", galleryTitle: "标题", defaultTitle: "Sentry Studio 图库", cameras: "摄像头", trim: "仅导出事件触发前后的片段", before: "之前秒数", after: "之后秒数", cancel: "取消", export: "导出图库", noLibrary: "请先打开包含哨兵或已保存事件的行车记录仪文件夹", noEvents: "此文件夹中没有哨兵或已保存事件", loading: "正在读取事件… {done}/{total}", noMatches: "没有符合筛选条件的事件", selectedCount: "已选择 {count}/{total} 个事件", noSelection: "请至少选择一个事件", queued: "包含 {count} 个事件的网页图库已加入导出队列：{name}", rendering: "事件 {current}/{total}：正在渲染{camera}", writingPage: "正在生成图库页面...", complete: "图库已导出（{events} 个事件，{size}）", skipped: "{count} 个事件无法导出：{events}", pageEvents: "{count} 个事件", pageCreated: "创建于 {date}", pageAllEvents: "所有事件", pagePrevious: "上一个事件", pageNext: "下一个事件", pagePlay: "播放 / 暂停", pageJumpToEvent: "跳到事件时刻", pageType: "类型", pageDate: "日期", pageLocation: "位置", pageCoordinates: "坐标", pageCamera: "触发摄像头", pageDuration: "时长", pageDistance: "距离", pageRoute: "路线", pageOpenMap: "在 OpenStreetMap 中打开", pageEventJson: "下载 event.json", pageNoRoute: "这些片段中没有 GPS 数据" },
+            clipHealth: { open: "片段健康检查", title: "片段健康检查", description: "查找为空、无法读取或因车辆断电而被截断的片段，以及缺少摄像头的片段。修复后的片段以 .repaired.mp4 保存在原文件旁，并替代原文件播放；原文件不会被修改。", scan: "重新扫描", repairAll: "全部修复", close: "关闭", needsFolder: "请先用文件夹按钮选择行车记录仪文件夹（拖入的文件夹无法扫描）", reading: "正在读取文件夹…", scanning: "正在检查片段… {done}/{total}", summary: "已检查 {files} 个文件：{groups} 个片段组中有 {problems} 个问题", allGood: "已检查 {files} 个文件，未发现问题", scanFailed: "扫描失败：{error}", statusEmpty: "空文件", statusUnreadable: "无法读取", statusTruncated: "已截断", missingCameras: "缺少摄像头", repair: "修复", repaired: "已修复", repairing: "正在修复 {current}/{total}…", repairFailed: "修复失败：{error}", repairDone: "已修复 {repaired} 个片段，{failed} 个失败", showInFolder: "在文件夹中显示" },
+            storage: { open: "存储", title: "存储", description: "查看此文件夹中占用空间的内容，并按天、事件或保留规则释放空间。所有删除都会先预览，并移至系统回收站，仍可恢复。", needsFolder: "请先打开行车记录仪文件夹以查看其存储。", reading: "正在读取文件夹…", measuring: "正在统计 {done}/{total} 个片段…", scanFailed: "无法统计文件夹：{error}", total: "{count} 个日期和事件共 {size}", byType: "按类型", byCamera: "按摄像头", byDay: "按日期", other: "其他", tabUsage: "占用", tabClips: "片段", tabRules: "保留规则", selectAll: "全选", selectNone: "全不选", cameraCount: "{count} 个摄像头", selectedCount: "已选 {count} 项 · {size}", trashSelected: "将所选移至回收站", rulesDescription: "规则仅在预览并确认后执行。事件整体保留或删除；最近片段仅保留带书签的分钟。", ruleDelete: "删除", ruleKeepCameras: "仅保留摄像头", ruleOlderThan: "早于（天）", ruleExceptBookmarked: "有书签的除外", ruleRemove: "移除规则", noRules: "暂无保留规则。", addRule: "添加规则", previewRules: "预览", planSummary: "来自 {count} 个日期和事件的 {files} 个文件（{size}）将被移至回收站。", planEmpty: "没有匹配项；不会删除任何文件。", planWhole: "全部", planCameras: "摄像头：{cameras}", back: "返回", confirmTrash: "移至回收站", trashing: "正在移至回收站 {done}/{total}…", trashDone: "已将 {count} 项（{size}）移至回收站。", trashPartial: "已将 {trashed} 项移至回收站；{failed} 项无法移动（{error}）。", trashFailed: "无法移至回收站：{error}", close: "关闭" }
         },
         welcome: {
             modalTitle: "欢迎使用 Sentry Studio",
@@ -320,13 +431,32 @@ export const translations = {
             eventTypes: { manualSave: "手動保存", honk: "ホーン", objectDetected: "物体検出", emergencyBraking: "緊急ブレーキ", accelerationDetected: "加速検出", collisionDetected: "衝突検出" },
             map: { recenter: "マップを再センタリング", hint: "右クリックドラッグで移動" },
             playback: { play: "再生", pause: "一時停止", skipBack: "15秒戻る", skipForward: "15秒進む", playbackSpeed: "再生速度", setStartMarker: "エクスポート開始点を設定", setEndMarker: "エクスポート終了点を設定", exportVideo: "ビデオをエクスポート", supportChat: "サポートチャット", settings: "設定", toggleDetails: "詳細を切り替え", lateralG: "横方向G", longitudinalG: "縦方向G", heading: "方位", openExportDetails: "エクスポート詳細を開く" },
-            export: { title: "ビデオをエクスポート", start: "開始", end: "終了", inPoint: "開始", outPoint: "終了", duration: "期間", layout: "レイアウト", quality: "品質", overlays: "オーバーレイ", timestamp: "タイムスタンプ", dashboard: "ダッシュボード", cancel: "キャンセル", exportBtn: "エクスポート", preparing: "準備中...", exporting: "エクスポート中...", compact: "コンパクト", detailed: "詳細", teslaMobile: "Tesla Mobile", mobile: "モバイル", teslaMobilePositionDesc: "クリップの上部または下部", bottom: "下", top: "上", medium: "中", high: "高", maximum: "最大", timestampDesc: "録画日時を焼き付け", dashboardDesc: "速度、ギア、テレメトリを焼き付け", position: "位置", positionDesc: "ビデオ上の配置", style: "スタイル", styleDesc: "ダッシュボードの視覚スタイル", size: "サイズ", sizeDesc: "ダッシュボードのサイズ", sizeSmall: "小 (25%)", sizeMedium: "中 (35%)", sizeLarge: "大 (45%)", sizeXLarge: "特大 (55%)", blurType: "ぼかし方法", blurTypeDesc: "速度と品質に応じて方法を選択", addBlurZone: "ぼかしゾーンを追加", addBlurZoneDesc: "共有前に機密情報を隠す", addZone: "ゾーンを追加", bottomCenter: "下中央", bottomLeft: "左下", bottomRight: "右下", topCenter: "上中央", topLeft: "左上", topRight: "右上", blurSolid: "ソリッド (高速)", blurTrue: "真のぼかし (低速)", blurZoneEditor: "ぼかしゾーンエディター", blurZoneCount: "{count} 個のぼかしゾーンが設定済み", blurZoneInstructions: "角のハンドルをクリックしてドラッグしてサイズを変更します。エッジにカーソルを合わせて新しいポイントを追加します。ポイントをクリックして複雑な形状を作成します。", saveZone: "ゾーンを保存", dashboardGpuWarning: "ダッシュボードオーバーレイにはGPUエンコードが必要です。互換性のあるGPUが検出されませんでした。", dashboardPrerendered: "ダッシュボードは最適なパフォーマンスのために事前レンダリングされています。", maxQualityWarning: "最高品質はGPUが利用可能な場合HEVCエンコードを使用します。", frontCamWarning: "フロントカメラは他のカメラに合わせて縮小されます。", minimap: "GPSミニマップ", minimapDesc: "マップ上にルートと位置を表示", minimapNoGps: "選択したクリップにGPSデータが見つかりません。", minimapPosition: "位置", minimapPositionDesc: "コーナー配置", minimapSize: "サイズ", minimapSizeDesc: "ミニマップサイズ", minimapRenderMode: "レンダーモード", minimapRenderModeDesc: "速度と品質", minimapStaticFast: "静的マップ（高速）", minimapLiveSlow: "ライブマップ（低速）", shareClip: "クリップを共有", shareClipNew: "新規", generateShareableLink: "共有リンクを生成", generateShareableLinkDesc: "エクスポート後に Sentry Studio サーバーにアップロード", shareClipInfo: "クリップは clip.sentry-six.com で <strong>{hours} 時間</strong>利用可能です", shareClipWarning: "共有は 5 分未満のエクスポートのみ利用可能です", minimapStaticDesc: "静的マップ：マップタイルを一度ダウンロードし、ルートパスと位置マーカーをオーバーレイします。高速エクスポート、インターネットが必要です。", minimapLiveDesc: "ライブマップ：Leafletで各フレームをレンダリングします。リアルタイムのマップ更新を表示しますが、エクスポートは非常に遅くなります。", renderingMinimap: "ミニマップをレンダリング中...", minimapNoGpsDisabled: "ミニマップオーバーレイに使用できるGPSデータがありません。ミニマップは無効になります。", minimapGpsExtractFailed: "GPSデータの抽出に失敗しました。ミニマップは無効になります。", output: "出力", checkingFfmpeg: "FFmpegを確認中...", ffmpegReady: "FFmpeg準備完了", cpuOnly: "CPUのみ（GPUエンコーダーなし）", ffmpegRequiredMac: "FFmpegが必要です。ターミナルで実行: brew install ffmpeg", ffmpegRequiredWin: "FFmpegが見つかりません。ffmpeg_binフォルダにffmpeg.exeを配置してください。", notAvailable: "エクスポートは利用できません（ブラウザで実行中）", ffmpegError: "FFmpegの確認中にエラー", blurZonesStatus: "{count}個のぼかしゾーン - ダッシュボードオーバーレイ無効", blurZonesWarning: "警告: 選択されていないカメラ（{cameras}）に設定されたぼかしゾーンは適用されません", minimizeHint: "このウィンドウを最小化して映像の視聴を続けることができます。エクスポートはバックグラウンドで継続されます。", analyzingSegments: "セグメントを分析中...", buildingExport: "エクスポートを構築中...", exportingWithEncoder: "{encoder} でエクスポート中...", exportingWithCpu: "CPU でエクスポート中...", exportingPercent: "エクスポート中... {percent}%", exportCompleteMB: "エクスポート完了！({size} MB)", exportFailedCode: "エクスポート失敗（コード {code}）", exportFailedNoSpace: "エクスポート失敗：ディスク容量が不足しています。保存先ドライブの空き容量を確保してから再試行してください。", exportFailedPermission: "エクスポート失敗：アクセスが拒否されました。別のフォルダに保存するか、フォルダの権限を確認してください。", exportFailedPathNotFound: "エクスポート失敗：保存先フォルダが見つかりません。ドライブが切断された可能性があります。パスを確認して再試行してください。", exportFailedReadOnly: "エクスポート失敗：保存先ドライブは読み取り専用です。書き込み保護を解除するか、別のドライブを選択してください。", exportFailedInvalidPath: "エクスポート失敗：無効なファイルパスです。短いパスを試すか、フォルダ名から特殊文字を削除してください。", exportFailedGpuMemory: "エクスポート失敗：GPUメモリが不足しています。他のGPU負荷の高いアプリを閉じるか、低い画質設定を試してください。", exportFailedGpuUnavailable: "エクスポート失敗：GPUエンコーダーが利用できません。アプリを再起動するか、GPUドライバーを確認してください。", exportFailedSourceLost: "エクスポート失敗：エクスポート中にソースファイルにアクセスできなくなりました。ソースドライブがまだ接続されているか確認してください。", blurZoneFailed: "プライバシーぼかしゾーンの適用に失敗しました。エクスポートされた動画はぼかし処理されていません。アプリを再インストールするか、サポートにお問い合わせください。", openFileLocation: "ファイルの場所を開きますか？", layoutHint: "ドラッグして再配置 • カードは端にスナップ", privacy: "プライバシー", blurZoneHint: "ナンバープレートや機密情報をぼかす", timelapse: "タイムラプス", enableTimelapse: "タイムラプスを有効にする", enableTimelapseDesc: "映像を高速化して圧縮された概要を表示", timelapseSpeed: "速度", timelapseSpeedDesc: "再生速度の倍率", timelapseOverlayNote: "ダッシュボード、ミニマップ、タイムスタンプのオーバーレイはタイムラプス速度に同期されます。音声は削除されます。", timelapseDuration: "期間 → タイムラプス期間", shareLinkExpiry: "リンクは {hours} 時間後に期限切れ", restoreBannerText: "{count} 件の以前のプライバシーゾーンが見つかりました", restoreBannerRestore: "復元", restoreBannerDismiss: "閉じる", restoreBannerRestored: "プライバシーゾーンが復元されました" },
-            settings: { searchPlaceholder: "設定を検索...", title: "設定", general: "一般", shortcuts: "ショートカット", advanced: "詳細", displaySection: "表示", playbackOverlays: "再生とオーバーレイ", storageSection: "ストレージ", aboutUpdates: "情報とアップデート", appVersion: "アプリバージョン", systemSecurity: "システムとセキュリティ", secFeature: "機能", secStatus: "ステータス", secDescription: "説明", footagePrivacy: "映像プライバシー", localOnly: "ローカルのみ", footagePrivacyDesc: "ダッシュカムのクリップはローカルストレージから出ることはありません。", updateReporting: "アップデート報告", statusActive: "アクティブ", updateReportingDesc: "起動時にアプリがAPIにセキュリティとバージョンチェックを行います。", deviceHash: "デバイスハッシュ", hashedSha256: "ハッシュ (SHA-256)", deviceHashDesc: "APIスパムを防ぐための安全なソルト付きID。", learnMore: "詳細を見る", hideDetails: "詳細を隠す", architecture: "アーキテクチャ", dashboardStyle: "ダッシュボードスタイル", language: "言語", languageDesc: "アプリケーション表示言語", layout: "レイアウト", classicSidebar: "クラシックサイドバー", classicSidebarDesc: "ビデオに重ならないドッキングされたサイドバー", overlays: "オーバーレイ", dashboard: "ダッシュボード", dashboardDesc: "速度、ギア、テレメトリデータを表示", gpsMap: "GPSマップ", gpsMapDesc: "車両位置付きルートマップを表示", theme: "テーマ", themeDark: "ダーク", themeLight: "ライト", mapStyle: "マップスタイル", mapStyleLight: "ライト", mapStyleDark: "ダーク", dashboardLayout: "ダッシュボードレイアウト", dashboardLayoutDesc: "デフォルトまたはコンパクトスタイル", default: "デフォルト", acceleratorDisplay: "アクセル表示", acceleratorDisplayDesc: "ペダル視覚化スタイル", solidColor: "ソリッドカラー (オン/オフ)", iconBar: "アイコンバー (塗りつぶし)", sideBar: "サイドバー", fixedToFrontCamera: "フロントカメラに固定", fixedToFrontCameraDesc: "コンパクトダッシュボードをフロントカメラに保持", mirrorCameras: "カメラを反転", mirrorCamerasDesc: "バックカメラとリピーターカメラを反転（ミラーで見るように）", glassBlur: "ガラスぼかし", glassBlurDesc: "オーバーレイぼかし強度", metricUnits: "メートル単位", metricUnitsDesc: "キロメートル毎時を使用 (KM/H)", dateFormat: "日付形式", dateFormatDesc: "日付の表示形式", globalSetting: "グローバル設定", mdyFormat: "MM/DD/YYYY (米国)", dmyFormat: "DD/MM/YYYY (国際)", ymdFormat: "YYYY-MM-DD (ISO)", timeFormat: "時刻形式", timeFormatDesc: "12時間または24時間表示", time12h: "12時間 (AM/PM)", time24h: "24時間", defaultFolder: "デフォルトドライブレコーダーフォルダ", defaultFolderDesc: "起動時にこのフォルダを自動読み込み", noFolderSet: "フォルダが設定されていません", browse: "参照", clear: "クリア", about: "について", version: "バージョン", viewChangelog: "変更履歴を表示", support: "サポート", supportDesc: "問題がありますか？再生バーのサポートチャットボタンを使用してください。", openSupportChat: "サポートチャットを開く", done: "完了", keyboardShortcuts: "キーボードショートカット", keyboardShortcutsDesc: "フィールドをクリックしてキーを押す", playPause: "再生 / 一時停止", skipForward: "前にスキップ", skipBackward: "後ろにスキップ", skipDuration: "スキップ時間", toggleDashboard: "ダッシュボード切替", toggleMap: "マップ切替", toggleMphKmh: "MPH / KMH 切替", toggleClipsPanel: "クリップパネル切替", setExportMarkerIn: "エクスポート開始マーカー", setExportMarkerOut: "エクスポート終了マーカー", nextClip: "次のクリップ", prevClip: "前のクリップ", second: "秒", seconds: "秒", updates: "アップデート", disableAutoUpdate: "自動更新を無効化", disableAutoUpdateDesc: "起動時に更新を確認しない", updateBranch: "更新ブランチ", updateBranchDesc: "Mainは安定版、Dev-SEIはベータ版", mainStable: "Main (安定版)", devSeiBeta: "Dev-SEI (ベータ)", checkForUpdates: "更新を確認", checkForUpdatesDesc: "手動で新しいバージョンを確認", checkNow: "今すぐ確認", checking: "確認中...", upToDate: "最新です", checkFailed: "確認失敗", updateFound: "更新が見つかりました!", eventHighlights: "イベントハイライト", sentryCameraGlow: "Sentryカメラ発光", sentryCameraGlowDesc: "トリガーされたカメラに赤い発光", savedCameraGlow: "保存カメラ発光", savedCameraGlowDesc: "トリガーされたカメラに黄色い発光", cameraLayout: "カメラレイアウト", resetCameraOrder: "カメラ順序をリセット", resetCameraOrderDesc: "デフォルトのグリッド位置に戻す", reset: "リセット" },
+            export: { title: "ビデオをエクスポート", start: "開始", end: "終了", inPoint: "開始", outPoint: "終了", duration: "期間", layout: "レイアウト", quality: "品質", overlays: "オーバーレイ", timestamp: "タイムスタンプ", dashboard: "ダッシュボード", cancel: "キャンセル", exportBtn: "エクスポート", preparing: "準備中...", exporting: "エクスポート中...", compact: "コンパクト", detailed: "詳細", teslaMobile: "Tesla Mobile", mobile: "モバイル", teslaMobilePositionDesc: "クリップの上部または下部", bottom: "下", top: "上", medium: "中", high: "高", maximum: "最大", timestampDesc: "録画日時を焼き付け", dashboardDesc: "速度、ギア、テレメトリを焼き付け", position: "位置", positionDesc: "ビデオ上の配置", style: "スタイル", styleDesc: "ダッシュボードの視覚スタイル", size: "サイズ", sizeDesc: "ダッシュボードのサイズ", sizeSmall: "小 (25%)", sizeMedium: "中 (35%)", sizeLarge: "大 (45%)", sizeXLarge: "特大 (55%)", blurType: "ぼかし方法", blurTypeDesc: "速度と品質に応じて方法を選択", addBlurZone: "ぼかしゾーンを追加", addBlurZoneDesc: "共有前に機密情報を隠す", addZone: "ゾーンを追加", bottomCenter: "下中央", bottomLeft: "左下", bottomRight: "右下", topCenter: "上中央", topLeft: "左上", topRight: "右上", blurSolid: "ソリッド (高速)", blurTrue: "真のぼかし (低速)", blurZoneEditor: "ぼかしゾーンエディター", blurZoneCount: "{count} 個のぼかしゾーンが設定済み", blurZoneInstructions: "角のハンドルをクリックしてドラッグしてサイズを変更します。エッジにカーソルを合わせて新しいポイントを追加します。ポイントをクリックして複雑な形状を作成します。", saveZone: "ゾーンを保存", dashboardGpuWarning: "ダッシュボードオーバーレイにはGPUエンコードが必要です。互換性のあるGPUが検出されませんでした。", dashboardPrerendered: "ダッシュボードは最適なパフォーマンスのために事前レンダリングされています。", maxQualityWarning: "最高品質はGPUが利用可能な場合HEVCエンコードを使用します。", frontCamWarning: "フロントカメラは他のカメラに合わせて縮小されます。", minimap: "GPSミニマップ", minimapDesc: "マップ上にルートと位置を表示", minimapNoGps: "選択したクリップにGPSデータが見つかりません。", minimapPosition: "位置", minimapPositionDesc: "コーナー配置", minimapSize: "サイズ", minimapSizeDesc: "ミニマップサイズ", minimapRenderMode: "レンダーモード", minimapRenderModeDesc: "速度と品質", minimapStaticFast: "静的マップ（高速）", minimapLiveSlow: "ライブマップ（低速）", shareClip: "クリップを共有", shareClipNew: "新規", generateShareableLink: "共有リンクを生成", generateShareableLinkDesc: "エクスポート後に Sentry Studio サーバーにアップロード", shareClipInfo: "クリップは clip.sentry-six.com で <strong>{hours} 時間</strong>利用可能です", shareClipWarning: "共有は 5 分未満のエクスポートのみ利用可能です", minimapStaticDesc: "静的マップ：マップタイルを一度ダウンロードし、ルートパスと位置マーカーをオーバーレイします。高速エクスポート、インターネットが必要です。", minimapLiveDesc: "ライブマップ：Leafletで各フレームをレンダリングします。リアルタイムのマップ更新を表示しますが、エクスポートは非常に遅くなります。", renderingMinimap: "ミニマップをレンダリング中...", minimapNoGpsDisabled: "ミニマップオーバーレイに使用できるGPSデータがありません。ミニマップは無効になります。", minimapGpsExtractFailed: "GPSデータの抽出に失敗しました。ミニマップは無効になります。", output: "出力", checkingFfmpeg: "FFmpegを確認中...", ffmpegReady: "FFmpeg準備完了", cpuOnly: "CPUのみ（GPUエンコーダーなし）", ffmpegRequiredMac: "FFmpegが必要です。ターミナルで実行: brew install ffmpeg", ffmpegRequiredWin: "FFmpegが見つかりません。ffmpeg_binフォルダにffmpeg.exeを配置してください。", notAvailable: "エクスポートは利用できません（ブラウザで実行中）", ffmpegError: "FFmpegの確認中にエラー", blurZonesStatus: "{count}個のぼかしゾーン - ダッシュボードオーバーレイ無効", blurZonesWarning: "警告: 選択されていないカメラ（{cameras}）に設定されたぼかしゾーンは適用されません", minimizeHint: "このウィンドウを最小化して映像の視聴を続けることができます。エクスポートはバックグラウンドで継続されます。", analyzingSegments: "セグメントを分析中...", buildingExport: "エクスポートを構築中...", exportingWithEncoder: "{encoder} でエクスポート中...", exportingWithCpu: "CPU でエクスポート中...", exportingPercent: "エクスポート中... {percent}%", exportCompleteMB: "エクスポート完了！({size} MB)", exportFailedCode: "エクスポート失敗（コード {code}）", exportFailedNoSpace: "エクスポート失敗：ディスク容量が不足しています。保存先ドライブの空き容量を確保してから再試行してください。", exportFailedPermission: "エクスポート失敗：アクセスが拒否されました。別のフォルダに保存するか、フォルダの権限を確認してください。", exportFailedPathNotFound: "エクスポート失敗：保存先フォルダが見つかりません。ドライブが切断された可能性があります。パスを確認して再試行してください。", exportFailedReadOnly: "エクスポート失敗：保存先ドライブは読み取り専用です。書き込み保護を解除するか、別のドライブを選択してください。", exportFailedInvalidPath: "エクスポート失敗：無効なファイルパスです。短いパスを試すか、フォルダ名から特殊文字を削除してください。", exportFailedGpuMemory: "エクスポート失敗：GPUメモリが不足しています。他のGPU負荷の高いアプリを閉じるか、低い画質設定を試してください。", exportFailedGpuUnavailable: "エクスポート失敗：GPUエンコーダーが利用できません。アプリを再起動するか、GPUドライバーを確認してください。", exportFailedSourceLost: "エクスポート失敗：エクスポート中にソースファイルにアクセスできなくなりました。ソースドライブがまだ接続されているか確認してください。", blurZoneFailed: "プライバシーぼかしゾーンの適用に失敗しました。エクスポートされた動画はぼかし処理されていません。アプリを再インストールするか、サポートにお問い合わせください。", openFileLocation: "ファイルの場所を開きますか？", layoutHint: "ドラッグして再配置 • カードは端にスナップ", privacy: "プライバシー", blurZoneHint: "ナンバープレートや機密情報をぼかす", timelapse: "タイムラプス", enableTimelapse: "タイムラプスを有効にする", enableTimelapseDesc: "映像を高速化して圧縮された概要を表示", timelapseSpeed: "速度", timelapseSpeedDesc: "再生速度の倍率", timelapseOverlayNote: "ダッシュボード、ミニマップ、タイムスタンプのオーバーレイはタイムラプス速度に同期されます。音声は削除されます。", timelapseDuration: "期間 → タイムラプス期間", shareLinkExpiry: "リンクは {hours} 時間後に期限切れ", restoreBannerText: "{count} 件の以前のプライバシーゾーンが見つかりました", restoreBannerRestore: "復元", restoreBannerDismiss: "閉じる", restoreBannerRestored: "プライバシーゾーンが復元されました", telemetryData: "テレメトリデータ", telemetryDataDesc: "選択範囲のフレームごとの速度、ギア、ペダル、ステアリング、ウインカー、オートパイロット状態、GPS、加速度。動画は再エンコードされません。", exportTelemetry: "テレメトリをエクスポート", telemetrySelectFormat: "テレメトリ形式を1つ以上選択してください", telemetryInProgress: "すでにエクスポートが進行中です", telemetryNoGps: "この範囲にGPS測位がありません — GPX/KMLトラックは空になります", telemetryExported: "{count} フレームのテレメトリを {files} 個のファイルにエクスポートしました", telemetryExportFailed: "テレメトリのエクスポートに失敗しました: {error}", subtitles: "テレメトリー字幕", subtitleSidecar: "別ファイル", subtitleEmbedded: "埋め込み", subtitleEmbeddedDesc: "MP4 内のトラック", subtitlesDesc: "時刻・速度・ギア・Autopilot 状態・GPS 位置を毎秒、オン/オフ可能な字幕トラックとして出力します。映像には焼き込まれません。", shareClipInfoServer: "クリップは {host} で <strong>{hours}</strong> 利用可能です" },
+            settings: { searchPlaceholder: "設定を検索...", title: "設定", general: "一般", shortcuts: "ショートカット", advanced: "詳細", displaySection: "表示", playbackOverlays: "再生とオーバーレイ", storageSection: "ストレージ", aboutUpdates: "情報とアップデート", appVersion: "アプリバージョン", systemSecurity: "システムとセキュリティ", secFeature: "機能", secStatus: "ステータス", secDescription: "説明", footagePrivacy: "映像プライバシー", localOnly: "ローカルのみ", footagePrivacyDesc: "ダッシュカムのクリップはローカルストレージから出ることはありません。", updateReporting: "アップデート報告", statusActive: "アクティブ", updateReportingDesc: "起動時にアプリがAPIにセキュリティとバージョンチェックを行います。", deviceHash: "デバイスハッシュ", hashedSha256: "ハッシュ (SHA-256)", deviceHashDesc: "APIスパムを防ぐための安全なソルト付きID。", learnMore: "詳細を見る", hideDetails: "詳細を隠す", architecture: "アーキテクチャ", dashboardStyle: "ダッシュボードスタイル", language: "言語", languageDesc: "アプリケーション表示言語", layout: "レイアウト", classicSidebar: "クラシックサイドバー", classicSidebarDesc: "ビデオに重ならないドッキングされたサイドバー", overlays: "オーバーレイ", dashboard: "ダッシュボード", dashboardDesc: "速度、ギア、テレメトリデータを表示", gpsMap: "GPSマップ", gpsMapDesc: "車両位置付きルートマップを表示", theme: "テーマ", themeDark: "ダーク", themeLight: "ライト", mapStyle: "マップスタイル", mapStyleLight: "ライト", mapStyleDark: "ダーク", dashboardLayout: "ダッシュボードレイアウト", dashboardLayoutDesc: "デフォルトまたはコンパクトスタイル", default: "デフォルト", acceleratorDisplay: "アクセル表示", acceleratorDisplayDesc: "ペダル視覚化スタイル", solidColor: "ソリッドカラー (オン/オフ)", iconBar: "アイコンバー (塗りつぶし)", sideBar: "サイドバー", fixedToFrontCamera: "フロントカメラに固定", fixedToFrontCameraDesc: "コンパクトダッシュボードをフロントカメラに保持", mirrorCameras: "カメラを反転", mirrorCamerasDesc: "バックカメラとリピーターカメラを反転（ミラーで見るように）", glassBlur: "ガラスぼかし", glassBlurDesc: "オーバーレイぼかし強度", metricUnits: "メートル単位", metricUnitsDesc: "キロメートル毎時を使用 (KM/H)", dateFormat: "日付形式", dateFormatDesc: "日付の表示形式", globalSetting: "グローバル設定", mdyFormat: "MM/DD/YYYY (米国)", dmyFormat: "DD/MM/YYYY (国際)", ymdFormat: "YYYY-MM-DD (ISO)", timeFormat: "時刻形式", timeFormatDesc: "12時間または24時間表示", time12h: "12時間 (AM/PM)", time24h: "24時間", defaultFolder: "デフォルトドライブレコーダーフォルダ", defaultFolderDesc: "起動時にこのフォルダを自動読み込み", noFolderSet: "フォルダが設定されていません", browse: "参照", clear: "クリア", about: "について", version: "バージョン", viewChangelog: "変更履歴を表示", support: "サポート", supportDesc: "問題がありますか？再生バーのサポートチャットボタンを使用してください。", openSupportChat: "サポートチャットを開く", done: "完了", keyboardShortcuts: "キーボードショートカット", keyboardShortcutsDesc: "フィールドをクリックしてキーを押す", playPause: "再生 / 一時停止", skipForward: "前にスキップ", skipBackward: "後ろにスキップ", skipDuration: "スキップ時間", toggleDashboard: "ダッシュボード切替", toggleMap: "マップ切替", toggleMphKmh: "MPH / KMH 切替", toggleClipsPanel: "クリップパネル切替", setExportMarkerIn: "エクスポート開始マーカー", setExportMarkerOut: "エクスポート終了マーカー", nextClip: "次のクリップ", prevClip: "前のクリップ", second: "秒", seconds: "秒", updates: "アップデート", disableAutoUpdate: "自動更新を無効化", disableAutoUpdateDesc: "起動時に更新を確認しない", updateBranch: "更新ブランチ", updateBranchDesc: "Mainは安定版、Dev-SEIはベータ版", mainStable: "Main (安定版)", devSeiBeta: "Dev-SEI (ベータ)", checkForUpdates: "更新を確認", checkForUpdatesDesc: "手動で新しいバージョンを確認", checkNow: "今すぐ確認", checking: "確認中...", upToDate: "最新です", checkFailed: "確認失敗", updateFound: "更新が見つかりました!", eventHighlights: "イベントハイライト", sentryCameraGlow: "Sentryカメラ発光", sentryCameraGlowDesc: "トリガーされたカメラに赤い発光", savedCameraGlow: "保存カメラ発光", savedCameraGlowDesc: "トリガーされたカメラに黄色い発光", cameraLayout: "カメラレイアウト", resetCameraOrder: "カメラ順序をリセット", resetCameraOrderDesc: "デフォルトのグリッド位置に戻す", reset: "リセット", indexCache: "ライブラリインデックスキャッシュ", indexCacheStatus: "{folders} 個のフォルダをキャッシュ済み · {size}", indexCacheEmpty: "キャッシュされたフォルダはまだありません", clearIndexCache: "キャッシュを消去", indexCacheCleared: "インデックスキャッシュを消去しました。次回フォルダを開くときに再スキャンされます。", indexCacheClearFailed: "インデックスキャッシュを消去できませんでした: {error}", rebuildIndex: "インデックスを再構築", indexRebuilt: "ドライブからインデックスを再構築しました。", indexRebuildFailed: "インデックスを再構築できませんでした: {error}", indexRebuildNeedsFolder: "インデックスを再構築するには、まずドライブレコーダーのフォルダを開いてください。", addBookmark: "ブックマークを追加", frameForward: "次のフレーム", frameBackward: "前のフレーム", saveStill: "静止画を保存", toggleTelemetryCharts: "テレメトリーチャートの切替", nextMotion: "次の動き", prevMotion: "前の動き", toggleMotionSkipIdle: "静止区間スキップの切替", toggleSmartPlayback: "スマート再生の切替", nextMultiLayout: "次のカメラレイアウト", prevMultiLayout: "前のカメラレイアウト", sharingSection: "クリップ共有", shareServer: "共有サーバー", shareServerSave: "保存", shareServerReset: "デフォルト", shareServerDesc: "空欄にすると Sentry Studio のホスト型サービスを使用します。独自の共有サーバー（リポジトリの share-server）のアドレスを入力すると、共有クリップを自社ネットワーク内に保持できます。", shareServerInvalid: "共有サーバーを保存できませんでした", shareServerDefault: "Sentry Studio のホスト型サービスを使用中", shareServerSaved: "クリップは {url} で共有されます" },
             cameras: { front: "前", back: "後", leftPillar: "左柱", rightPillar: "右柱", leftRepeater: "左側", rightRepeater: "右側" },
             dashboard: { drive: "走行", manual: "手動", noData: "データなし", mph: "MPH", kmh: "KM/H", selfDriving: "自動運転", autosteer: "オートステア", tacc: "TACC" },
             notifications: { loadCollectionFirst: "エクスポートマーカーを設定するには、まずコレクションを読み込んでください", startMarkerSet: "開始マーカーが設定されました", endMarkerSet: "終了マーカーが設定されました", exportComplete: "エクスポート完了！", exportCancelled: "エクスポートがキャンセルされました", exportFailed: "エクスポート失敗", foundDatesWithClips: "{count} 件の日付にクリップが見つかりました", loadedFilesForDate: "{date} の {count} ファイルを読み込みました", noDataForDate: "{date} のデータがありません", noClipsFoundForDate: "{date} のクリップが見つかりません", noDashcamClipsFound: "ビデオクリップが見つかりません。ビデオファイル（.mp4、.avi、.mov、.mkv）を含むフォルダ、または RecentClips、SentryClips、SavedClips を含む Tesla ドライブレコーダーフォルダを選択してください。", metadataParserNotReady: "メタデータパーサーがまだ初期化されていません—1秒後に再試行してください。", noSupportedFilesFound: "そのフォルダにサポートされているファイルが見つかりません。", failedToLoadVideo: "ビデオの読み込みに失敗しました：{error}", errorSelectingDay: "日の選択エラー：{error}", failedToOpenFolder: "フォルダを開けませんでした：{error}", failedToInitMetadataParser: "メタデータパーサーの初期化に失敗しました。protobuf が読み込まれ、file:// 経由で実行していないことを確認してください", capturingSnapshot: "スナップショットをキャプチャ中...", couldNotFindVideoFile: "{camera}カメラのビデオファイルが見つかりませんでした", unsupportedFileType: "スナップショット用にサポートされていないファイルタイプ", failedToCaptureSnapshot: "スナップショットのキャプチャに失敗しました：{error}", blurZoneMinPoints: "少なくとも3つのポイントを持つ有効なぼかしゾーンを作成してください", failedToGenerateMask: "マスク画像の生成に失敗しました", failedToExtractMaskData: "マスク画像データの抽出に失敗しました", failedToGetCanvasDimensions: "キャンバスの寸法の取得に失敗しました", blurZoneSaved: "ぼかしゾーンが正常に保存されました", failedToSaveBlurZone: "ぼかしゾーンの保存に失敗しました：{error}", exportNotAvailable: "エクスポートは利用できません", exportRequiresFolder: "エクスポートにはフォルダーピッカーでフォルダを選択する必要があります。ダッシュカムフォルダを再選択してください。", selectAtLeastOneCamera: "少なくとも1つのカメラを選択してください", extractingTelemetry: "テレメトリデータを抽出中...", noTelemetryData: "ダッシュボードオーバーレイ用のテレメトリデータがありません。ダッシュボードは無効になります。", failedToExtractTelemetry: "テレメトリデータの抽出に失敗しました。ダッシュボードは無効になります。", noVideoFilesForExport: "エクスポート用のビデオファイルが見つかりません。フォルダが正しく選択されていることを確認してください。", exportFailedWithError: "エクスポート失敗：{error}", onlyOneAttachment: "1メッセージにつき添付ファイルは1つのみ許可されています", fileTooLarge: "ファイル\"{filename}\"が大きすぎます（最大100MB）", enterMessageOrAttach: "メッセージを入力するかファイルを添付してください", supportTicketClosed: "サポートチケットがクローズされました", newSupportMessages: "{count}件の新しいサポートメッセージを受信しました", cameraOrderReset: "カメラの順序がデフォルトにリセットされました", collectingDiagnostics: "診断データを収集中...", uploadingDiagnostics: "診断をアップロード中...", supportIdCopied: "サポートID：{supportId} - クリップボードにコピーされました！", failedToUploadDiagnostics: "診断のアップロードに失敗しました：{error}", uploadFailed: "アップロード失敗：{error}", supportIdCopiedSimple: "サポートIDがクリップボードにコピーされました！", failedToCopy: "コピーに失敗しました：{error}", failedToGenerateSupportId: "サポートIDの生成に失敗しました：{error}" },
             supportChat: { title: "サポートチャット", needHelp: "お困りですか？", welcomeDesc: "サポートの会話を始めましょう。問題、バグ、またはフィードバックを説明してください。できるだけ早く対応いたします。", welcomeNote: "スクリーンショット/動画と診断データを添付して、問題をより理解するのに役立てることができます。", diagnostics: "診断", attach: "添付", placeholder: "問題やフィードバックを説明してください...", privacyNote: "データは7日後に自動削除されます", ticketClosed: "このチケットは閉じられました。", createNewTicket: "新しいサポートチケットを作成", closeTicket: "チケットを閉じる", minimize: "最小化", closePanel: "パネルを閉じる", sendMessage: "メッセージを送信", includeDiagnostics: "診断データを含める", attachFiles: "ファイルを添付", you: "あなた", support: "サポート" },
-            sharedClips: { title: "共有クリップ", emptyTitle: "共有クリップはまだありません", emptyDesc: "共有を有効にしてクリップをエクスポートすると、ここに表示されます", clickHint: "クリップを選択して詳細を表示", copyLink: "リンクをコピー", open: "開く", delete: "削除", deleteTitle: "共有クリップを削除", deleteConfirm: "本当に削除しますか", deleteWarning: "Sentry Studio サーバーからクリップが完全に削除されます。リンクを持つ人は閲覧やダウンロードができなくなります。", cancel: "キャンセル", deleteClip: "クリップを削除" }
+            sharedClips: { title: "共有クリップ", emptyTitle: "共有クリップはまだありません", emptyDesc: "共有を有効にしてクリップをエクスポートすると、ここに表示されます", clickHint: "クリップを選択して詳細を表示", copyLink: "リンクをコピー", open: "開く", delete: "削除", deleteTitle: "共有クリップを削除", deleteConfirm: "本当に削除しますか", deleteWarning: "Sentry Studio サーバーからクリップが完全に削除されます。リンクを持つ人は閲覧やダウンロードができなくなります。", cancel: "キャンセル", deleteClip: "クリップを削除", resumeUpload: "アップロードを再開" },
+            exportQueue: { title: "エクスポートキュー", addToQueue: "キューに追加", jobAdded: "エクスポートキューに追加しました: {name}", jobDone: "キューのエクスポートが完了しました: {name}", jobFailed: "キューのエクスポートに失敗しました: {name} ({error})", actionFailed: "エクスポートキューのエラー: {error}", emptyTitle: "キューにエクスポートはありません", emptyDesc: "エクスポート画面の「キューに追加」で複数のエクスポートを並べられます", pausedNote: "キューは一時停止中です。現在のエクスポートは完了しますが、再開するまで新しいジョブは開始されません。", clearFinished: "完了分を消去", pauseQueue: "キューを一時停止", resumeQueue: "キューを再開", moveUp: "上へ移動", moveDown: "下へ移動", pause: "一時停止", resume: "再開", retry: "再試行", remove: "削除", showInFolder: "フォルダーに表示", statusPending: "待機中", statusRunning: "エクスポート中", statusPaused: "一時停止中", statusFailed: "失敗", statusDone: "完了" },
+            incidents: { tab: "インシデント", scan: "スキャン", rescan: "再スキャン", selectClip: "クリップを開いてインシデントを検索", notScanned: "未スキャン", scanning: "テレメトリをスキャン中 ({done}/{total})", found: "{count} 件のインシデントが見つかりました", scanFailed: "インシデントのスキャンに失敗しました: {error}", hardBrake: "急ブレーキ", hardAccel: "急加速", sharpTurn: "急旋回", impact: "衝突の可能性", settingsTitle: "インシデント検出", resetThresholds: "しきい値をリセット" },
+            highlightReel: { title: "ハイライト動画", enable: "ハイライト動画を作成", enableDesc: "重要な瞬間の短いクリップを1本の動画にまとめます", sourceEvents: "セントリー・保存イベント", sourceEventsDesc: "イベントが発生した瞬間", sourceDisengagements: "FSD 解除", sourceDisengagementsDesc: "SentryUSB の走行データから", sourceAccelPushes: "アクセル操作", sourceAccelPushesDesc: "FSD 作動中のペダル操作", sourceBraking: "急ブレーキ", sourceBrakingDesc: "テレメトリから検出", paddingBefore: "各瞬間の前", paddingBeforeDesc: "トリガー前に残す映像", paddingAfter: "各瞬間の後", paddingAfterDesc: "トリガー後に残す映像", note: "開始/終了マーカーではなく読み込んだクリップ全体を使用します。各瞬間に日付・時刻・場所のタイトルカードが付きます。", sentryEvent: "セントリーイベント", savedEvent: "保存クリップ", disengagement: "FSD 解除", accelPush: "アクセル操作", scanningTelemetry: "テレメトリから急ブレーキを検索中…", nothingFound: "選択したソースにハイライトが見つかりません", tooManyClips: "{count} 件のハイライトが見つかりました。最初の {max} 件のみ含めます", renderingClip: "ハイライト {current}/{total} をレンダリング中…", stitching: "ハイライトとタイトルカードを結合中…" },
+            libraryMap: { open: "ライブラリマップ", title: "ライブラリマップ", from: "開始", to: "終了", reason: "理由", allReasons: "すべての理由", drives: "ドライブ", fit: "結果に合わせる", loading: "イベントの位置を読み込み中… {done}/{total}", summary: "{events} 件のイベント · {drives} 件のドライブ", noLocations: "条件に一致する位置情報付きの項目はありません", openClip: "クリップを開く", openDrive: "ドライブを開く", noLibrary: "先にドライブレコーダーのフォルダを開くか、SentryUSB のドライブデータを読み込んでください", mapUnavailable: "地図ライブラリを読み込めませんでした。インターネット接続を確認してください。" },
+            search: { tab: "検索", placeholder: "例: reason:honk date:-30d", run: "検索", help: "クエリ構文", helpEvents: "イベント:", helpTime: "日時:", helpDrives: "ドライブ:", helpTelemetry: "テレメトリ:", helpLogic: "組み合わせ:", readingEvents: "イベントを読み込み中… {done}/{total}", noLibrary: "検索するにはドライブレコーダーのフォルダーを開いてください", searching: "検索中…", indexingDate: "{date} をインデックス作成中…", scanningTelemetry: "テレメトリを読み込み中… {done}/{total} クリップ", found: "{count} 件の結果", tooManyResults: "最初の {count} 件を表示しています。条件を絞り込むと他の結果も表示されます", scanLimited: "テレメトリは一致した最新 {count} クリップのみ読み込みました。さらに遡るには date: を追加してください。", failed: "検索に失敗しました: {error}", drive: "ドライブ", sentryEvent: "セントリーイベント", savedEvent: "保存済みクリップ", recentClips: "最近のクリップ", customClips: "クリップ", errorEmptyGroup: "検索語が必要です", errorParen: "括弧の対応が取れていません", errorUnexpected: "予期しない「{token}」", errorMissingValue: "{field} の後に値がありません", errorInvalidValue: "「{value}」は {field} の有効な値ではありません", errorComparator: "「{cmp}」は {field} には使えません。: または != を使ってください" },
+            bookmarks: { tab: "ブックマーク", filter: "ブックマークを絞り込み…", add: "現在の位置をブックマーク", addTitle: "ブックマークを追加", editTitle: "ブックマークを編集", titleLabel: "タイトル", titlePlaceholder: "ここで何が起きましたか？", noteLabel: "メモ", colorLabel: "色", delete: "削除", cancel: "キャンセル", save: "保存", edit: "編集", untitled: "無題のブックマーク", noFolder: "ブックマークを追加するにはドライブレコーダーのフォルダーを開いてください", empty: "ブックマークはまだありません。タイムライン横のブックマークボタンで位置を記録できます。", count: "ブックマーク {count} 件", filtered: "{total} 件中 {count} 件", saveFailed: "ブックマークを保存できませんでした: {error}", savedLocally: "このフォルダーは読み取り専用のため、ブックマークはこのコンピューターにのみ保存されます" },
+            stills: { frameBack: "前のフレーム", frameForward: "次のフレーム", saveStill: "静止画を保存", title: "静止画を保存", sourceLabel: "カメラ", wholeGrid: "全カメラ（グリッド）", captionLabel: "テレメトリのキャプションを追加（時刻、速度、ギア、GPS）", hint: "カメラのネイティブ解像度で PNG として保存されます。", cancel: "キャンセル", save: "PNG を保存", saveTitle: "静止画を保存", autopilot: "Autopilot", noVideo: "静止画を保存するにはクリップを開いてください", noFrame: "映像フレームの準備ができていません", saved: "静止画を保存しました: {file}", saveFailed: "静止画の保存に失敗しました: {error}" },
+            evidence: { title: "証拠パッケージ", enable: "証拠パッケージを作成", enableDesc: "元のクリップ、イベントデータ、テレメトリを動画と一緒に zip にまとめます", note: "マークした範囲の全カメラの未加工クリップ、タイムスタンプとエクスポート設定を記したレポート、改ざんがないことを誰でも確認できる SHA-256 マニフェストが含まれます。", verify: "パッケージを検証...", verifying: "SHA256SUMS と照合しています...", verifyOk: "{name}: {count} 個のファイルすべてがマニフェストと一致しました", verifyFailed: "{name}: 検証に失敗しました - パッケージが変更されています", verifyError: "パッケージを検証できませんでした: {error}", statusModified: "変更あり", statusMissing: "欠落", statusUnlisted: "マニフェストにない", noSourceFiles: "この範囲の元クリップがディスク上にありません", notWithReel: "証拠パッケージは連続した1つの範囲のみ対象です。先にハイライトリールをオフにしてください", rendering: "証拠パッケージ用の動画をレンダリング中...", telemetry: "テレメトリをデコード中...", hashing: "ハッシュを計算中 ({current}/{total})...", zipping: "zip を書き込み中...", complete: "証拠パッケージを保存しました（{files} ファイル、{size} MB）" },
+            incidentReport: { title: "インシデントレポート", generate: "インシデントレポートを作成", saveTitle: "インシデントレポートを保存", generating: "インシデントレポートを作成中…", saved: "インシデントレポートを保存しました: {file}", failed: "インシデントレポートを作成できませんでした: {error}", notAvailable: "インシデントレポートは event.json のある Sentry/保存イベントで利用できます", eventDetails: "イベントの詳細", eventType: "イベントの種類", reason: "理由", triggerTime: "トリガー時刻", triggerCamera: "トリガーしたカメラ", location: "場所", coordinates: "座標", sourceFolder: "元フォルダ", recording: "録画", clipCount: "{count} クリップ", keyFrames: "キーフレーム", trigger: "トリガー", noFrames: "トリガー前後のフレームを読み取れませんでした", map: "位置マップ", mapOffline: "地図タイルをダウンロードできなかったため、ルートと位置を背景なしで描画しています。", noGps: "このイベントには GPS 位置が記録されていません", telemetry: "車両テレメトリ（トリガー前後 {seconds} 秒）", noTelemetry: "トリガー前後のテレメトリは記録されていません（駐車中は通常です）", atTrigger: "トリガー時点", speed: "速度", accelerator: "アクセル", brake: "ブレーキ", steering: "ステアリング角度", gear: "ギア", autopilot: "運転支援", applied: "作動中", released: "解除", footer: "{date} に Sentry Studio が元の TeslaCam 録画から作成しました。時刻は車両が記録したものです。" },
+            telemetryCharts: { title: "テレメトリーチャート", toggle: "テレメトリーチャート", speed: "速度", accelerator: "アクセル", brake: "ブレーキ", steering: "ステアリング", lateralG: "横G", longitudinalG: "前後G", autopilot: "オートパイロット", on: "オン", off: "オフ", dock: "コントロールの上にドッキング", undock: "フローティング表示", resetZoom: "タイムライン全体を表示", close: "閉じる", noCollection: "クリップを選択するとテレメトリーを表示します", loading: "テレメトリーを読み込み中… {done}/{total}", noData: "これらのクリップにはテレメトリーがありません", scanFailed: "テレメトリーを読み込めませんでした: {error}" },
+            timelineStrip: { setting: "タイムラインストリップ", settingDesc: "プログレスバー下の色", speed: "速度", autopilot: "オートパイロット", off: "オフ", gapMinutes: "{count} 分間 未録画", gapSeconds: "{count} 秒間 未録画" },
+            motion: { setting: "動き検出", settingDesc: "Sentry・保存イベントの全カメラで動きを検出", skipIdleOff: "動きのない区間をスキップ", skipIdleOn: "動きのない区間をスキップ中（クリックでオフ）", skipIdleEnabled: "動きのない区間をスキップします", skipIdleDisabled: "すべて再生します", analyzing: "動きを解析中… {percent}%", analysisFailed: "動きの解析に失敗しました: {error}", noNext: "この後に動きはありません", noPrevious: "この前に動きはありません", skipped: "動きのない {seconds} 秒をスキップしました" },
+            smartPlayback: { toggle: "スマート再生：駐車区間をスキップ、ブレーキ/ウインカー付近は1x", on: "スマート再生オン（クリックでオフ）", enabled: "スマート再生オン", disabled: "スマート再生オフ", saved: "駐車時間 {time} をスキップまたは早送りしました", settingsTitle: "スマート再生", parkedAction: "駐車区間", parkedActionDesc: "ギアがPで停止中", skip: "スキップ", fastForward: "早送り", minParked: "最短の駐車区間", fastRate: "早送り速度", slowPad: "ブレーキ/ウインカー付近は1x", off: "オフ", reset: "スマート再生をリセット" },
+            multiLayouts: { title: "カメラレイアウト", sixDefault: "デフォルト (3×2)", quad: "2×2（4カメラ）", frontFocus: "前方大 + 5", frontBack: "前方 / 後方", pip: "ピクチャー・イン・ピクチャー", builtIn: "組み込み", custom: "カスタム", manage: "管理", newLayout: "新しいレイアウト…", editLayout: "レイアウトを編集…", defaultName: "マイレイアウト {n}", switched: "レイアウト：{name}", saved: "レイアウト「{name}」を保存しました", noCameras: "レイアウトにカメラを1台以上追加してください", nameLabel: "名前", camerasLabel: "カメラ", editorHint: "ドラッグで移動 • 角をドラッグでサイズ変更 • カードは端にスナップ", delete: "削除", cancel: "キャンセル", save: "保存" },
+            exportPresets: { label: "プリセット", none: "プリセットなし", empty: "保存済みのプリセットはありません", save: "プリセットとして保存", rename: "プリセット名を変更", delete: "プリセットを削除", import: "プリセットをインポート", export: "プリセットをファイルに書き出す", exportTitle: "書き出しプリセットを保存", fileType: "書き出しプリセット", namePlaceholder: "プリセット名", confirm: "保存", cancel: "キャンセル", saved: "プリセット「{name}」を保存しました", renamed: "プリセット名を「{name}」に変更しました", deleted: "プリセット「{name}」を削除しました", applied: "プリセット「{name}」を適用しました", nameTaken: "「{name}」という名前のプリセットは既に存在します", imported: "{count} 件のプリセットをインポートしました", exported: "{count} 件のプリセットを書き出しました", importFailed: "プリセットをインポートできませんでした: {error}", exportFailed: "プリセットを書き出せませんでした: {error}", camerasUnavailable: "このクリップにはありません: {cameras}" },
+            exportMetadata: { title: "ファイルのメタデータ", gpsTrack: "開始地点を埋め込む", gpsTrackDesc: "書き出し開始位置（写真・地図アプリ向け）", chapters: "チャプターを追加", chaptersDesc: "各クリップ、イベント発生、FSD 解除の位置にマーカー", clipChapter: "クリップ {time}", clipChapterUntimed: "クリップ" },
+            webGallery: { open: "Webギャラリー", title: "Webギャラリー", description: "選択したイベントを、Sentry Studio やインターネット接続なしで任意のブラウザで開けるフォルダとして書き出します。USB メモリや共有フォルダにコピーできます。", selectAll: "すべて選択", selectNone: "選択解除", galleryTitle: "タイトル", defaultTitle: "Sentry Studio ギャラリー", cameras: "カメラ", trim: "イベント発生時刻の前後のみ書き出す", before: "前の秒数", after: "後の秒数", cancel: "キャンセル", export: "ギャラリーを書き出す", noLibrary: "先に Sentry または保存済みイベントを含むドライブレコーダーのフォルダを開いてください", noEvents: "このフォルダには Sentry または保存済みイベントがありません", loading: "イベントを読み込み中… {done}/{total}", noMatches: "条件に一致するイベントはありません", selectedCount: "{total} 件中 {count} 件のイベントを選択", noSelection: "イベントを 1 件以上選択してください", queued: "{count} 件のイベントの Webギャラリーを書き出しキューに追加しました: {name}", rendering: "イベント {current}/{total}: {camera} をレンダリング中", writingPage: "ギャラリーページを作成中...", complete: "ギャラリーを書き出しました（{events} 件、{size}）", skipped: "{count} 件のイベントを書き出せませんでした: {events}", pageEvents: "{count} 件のイベント", pageCreated: "作成日時 {date}", pageAllEvents: "すべてのイベント", pagePrevious: "前のイベント", pageNext: "次のイベント", pagePlay: "再生 / 一時停止", pageJumpToEvent: "イベントへ移動", pageType: "種類", pageDate: "日時", pageLocation: "場所", pageCoordinates: "座標", pageCamera: "検知カメラ", pageDuration: "長さ", pageDistance: "距離", pageRoute: "ルート", pageOpenMap: "OpenStreetMap で開く", pageEventJson: "event.json をダウンロード", pageNoRoute: "このクリップには GPS データがありません" },
+            clipHealth: { open: "クリップの状態", title: "クリップの状態", description: "空のクリップ、読み込めないクリップ、車の電源が切れて途中で切れたクリップ、カメラが欠けているクリップを検出します。修復したクリップは元のファイルの隣に .repaired.mp4 として保存され、代わりに再生されます。元のファイルは変更されません。", scan: "再スキャン", repairAll: "すべて修復", close: "閉じる", needsFolder: "先にフォルダボタンでドライブレコーダーのフォルダを選択してください（ドロップしたフォルダはスキャンできません）", reading: "フォルダを読み込み中…", scanning: "クリップを確認中… {done}/{total}", summary: "{files} 個のファイルを確認: {groups} 個のクリップグループに {problems} 件の問題", allGood: "{files} 個のファイルを確認しました。問題はありません", scanFailed: "スキャンに失敗しました: {error}", statusEmpty: "空", statusUnreadable: "読み込み不可", statusTruncated: "途中で切れている", missingCameras: "欠けているカメラ", repair: "修復", repaired: "修復済み", repairing: "修復中 {current}/{total}…", repairFailed: "修復に失敗しました: {error}", repairDone: "{repaired} 件のクリップを修復、{failed} 件失敗", showInFolder: "フォルダに表示" },
+            storage: { open: "ストレージ", title: "ストレージ", description: "このフォルダで容量を使っているものを確認し、日付・イベント・保持ルールごとに空き容量を増やします。プレビューなしに削除されることはなく、すべてシステムのゴミ箱に移動されるため復元できます。", needsFolder: "ストレージを表示するには、まずドライブレコーダーのフォルダを開いてください。", reading: "フォルダを読み込み中…", measuring: "{total} 件中 {done} 件のクリップを計測中…", scanFailed: "フォルダを計測できませんでした: {error}", total: "{count} 件の日付とイベントで {size}", byType: "種類別", byCamera: "カメラ別", byDay: "日付別", other: "その他", tabUsage: "使用量", tabClips: "クリップ", tabRules: "保持ルール", selectAll: "すべて選択", selectNone: "選択解除", cameraCount: "カメラ {count} 台", selectedCount: "{count} 件選択 · {size}", trashSelected: "選択項目をゴミ箱へ移動", rulesDescription: "ルールはプレビューして確定したときにのみ実行されます。イベントは丸ごと保持または削除され、最近のクリップはブックマークのある分だけが残ります。", ruleDelete: "削除", ruleKeepCameras: "カメラのみ保持", ruleOlderThan: "経過日数", ruleExceptBookmarked: "ブックマーク済みは除く", ruleRemove: "ルールを削除", noRules: "保持ルールはまだありません。", addRule: "ルールを追加", previewRules: "プレビュー", planSummary: "{count} 件の日付とイベントから {files} 個のファイル（{size}）がゴミ箱に移動されます。", planEmpty: "該当するものはなく、削除されるファイルはありません。", planWhole: "すべて", planCameras: "カメラ: {cameras}", back: "戻る", confirmTrash: "ゴミ箱へ移動", trashing: "{total} 件中 {done} 件をゴミ箱へ移動中…", trashDone: "{count} 件（{size}）をゴミ箱に移動しました。", trashPartial: "{trashed} 件をゴミ箱に移動しました。{failed} 件は移動できませんでした（{error}）。", trashFailed: "ゴミ箱に移動できませんでした: {error}", close: "閉じる" }
         },
         welcome: {
             modalTitle: "Sentry Studio へようこそ",
@@ -365,13 +495,32 @@ export const translations = {
             eventTypes: { manualSave: "수동 저장", honk: "경적", objectDetected: "물체 감지", emergencyBraking: "비상 제동", accelerationDetected: "가속 감지", collisionDetected: "충돌 감지" },
             map: { recenter: "지도 재중앙", hint: "우클릭 드래그하여 이동" },
             playback: { play: "재생", pause: "일시정지", skipBack: "15초 뒤로", skipForward: "15초 앞으로", playbackSpeed: "재생 속도", setStartMarker: "내보내기 시작점 설정", setEndMarker: "내보내기 종료점 설정", exportVideo: "비디오 내보내기", supportChat: "지원 채팅", settings: "설정", toggleDetails: "세부정보 전환", lateralG: "횡방향 G", longitudinalG: "종방향 G", heading: "방향", openExportDetails: "내보내기 세부정보 열기" },
-            export: { title: "비디오 내보내기", start: "시작", end: "종료", inPoint: "시작", outPoint: "종료", duration: "기간", layout: "레이아웃", quality: "품질", overlays: "오버레이", timestamp: "타임스탬프", dashboard: "대시보드", cancel: "취소", exportBtn: "내보내기", preparing: "준비 중...", exporting: "내보내는 중...", compact: "컴팩트", detailed: "상세", teslaMobile: "Tesla Mobile", mobile: "모바일", teslaMobilePositionDesc: "클립 상단 또는 하단", bottom: "하단", top: "상단", medium: "중간", high: "높음", maximum: "최대", timestampDesc: "녹화 날짜 및 시간 기록", dashboardDesc: "속도, 기어, 원격 측정 기록", position: "위치", positionDesc: "비디오에서의 배치", style: "스타일", styleDesc: "대시보드 시각적 스타일", size: "크기", sizeDesc: "대시보드 크기", sizeSmall: "소 (25%)", sizeMedium: "중 (35%)", sizeLarge: "대 (45%)", sizeXLarge: "특대 (55%)", blurType: "흐림 방법", blurTypeDesc: "속도와 품질에 따라 방법 선택", addBlurZone: "흐림 영역 추가", addBlurZoneDesc: "공유 전 민감한 정보 숨기기", addZone: "영역 추가", bottomCenter: "하단 중앙", bottomLeft: "하단 왼쪽", bottomRight: "하단 오른쪽", topCenter: "상단 중앙", topLeft: "상단 왼쪽", topRight: "상단 오른쪽", blurSolid: "단색 (빠름)", blurTrue: "진정한 흐림 (느림)", blurZoneEditor: "흐림 영역 편집기", blurZoneCount: "{count}개의 흐림 영역 구성됨", blurZoneInstructions: "모서리 핸들을 클릭하고 드래그하여 크기를 조정합니다. 가장자리 위로 마우스를 올려 새 점을 추가합니다. 점을 클릭하여 복잡한 모양을 만듭니다.", saveZone: "영역 저장", dashboardGpuWarning: "대시보드 오버레이에는 GPU 인코딩이 필요합니다. 호환되는 GPU가 감지되지 않았습니다.", dashboardPrerendered: "대시보드는 최적의 성능을 위해 사전 렌더링됩니다.", maxQualityWarning: "최대 품질은 GPU가 사용 가능한 경우 HEVC 인코딩을 사용합니다.", minimap: "GPS 미니맵", minimapDesc: "지도에 경로와 위치 표시", minimapNoGps: "선택한 클립에서 GPS 데이터를 찾을 수 없습니다.", minimapPosition: "위치", minimapPositionDesc: "모서리 배치", minimapSize: "크기", minimapSizeDesc: "미니맵 크기", minimapRenderMode: "렌더 모드", minimapRenderModeDesc: "속도 vs 품질", minimapStaticFast: "정적 지도 (빠름)", minimapLiveSlow: "실시간 지도 (느림)", shareClip: "클립 공유", shareClipNew: "새로운", generateShareableLink: "공유 링크 생성", generateShareableLinkDesc: "내보내기 후 Sentry Studio 서버에 업로드", shareClipInfo: "클립은 clip.sentry-six.com에서 <strong>{hours}시간</strong> 동안 이용 가능합니다", shareClipWarning: "공유는 5분 미만의 내보내기에만 사용 가능합니다", minimapStaticDesc: "정적 지도: 지도 타일을 한 번 다운로드하고 경로 경로와 위치 마커를 오버레이합니다. 빠른 내보내기, 인터넷 필요.", minimapLiveDesc: "실시간 지도: Leaflet으로 각 프레임을 렌더링합니다. 실시간 지도 업데이트를 표시하지만 내보내기가 훨씬 느립니다.", renderingMinimap: "미니맵 렌더링 중...", minimapNoGpsDisabled: "미니맵 오버레이에 사용할 수 있는 GPS 데이터가 없습니다. 미니맵이 비활성화됩니다.", minimapGpsExtractFailed: "GPS 데이터 추출에 실패했습니다. 미니맵이 비활성화됩니다.", frontCamWarning: "전면 카메라는 다른 카메라에 맞게 축소됩니다.", output: "출력", checkingFfmpeg: "FFmpeg 확인 중...", ffmpegReady: "FFmpeg 준비됨", cpuOnly: "CPU만 (GPU 인코더 없음)", ffmpegRequiredMac: "FFmpeg가 필요합니다. 터미널에서 실행: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg를 찾을 수 없습니다. ffmpeg_bin 폴더에 ffmpeg.exe를 넣으세요.", notAvailable: "내보내기를 사용할 수 없습니다 (브라우저에서 실행 중)", ffmpegError: "FFmpeg 확인 중 오류", blurZonesStatus: "{count}개 흐림 영역 - 대시보드 오버레이 비활성화됨", blurZonesWarning: "경고: 선택되지 않은 카메라({cameras})에 구성된 흐림 영역은 적용되지 않습니다", minimizeHint: "이 창을 최소화하여 영상을 계속 볼 수 있습니다. 내보내기는 백그라운드에서 계속됩니다.", analyzingSegments: "세그먼트 분석 중...", buildingExport: "내보내기 구성 중...", exportingWithEncoder: "{encoder}로 내보내기 중...", exportingWithCpu: "CPU로 내보내기 중...", exportingPercent: "내보내기 중... {percent}%", exportCompleteMB: "내보내기 완료! ({size} MB)", exportFailedCode: "내보내기 실패 (코드 {code})", exportFailedNoSpace: "내보내기 실패: 디스크 공간이 부족합니다. 대상 드라이브의 공간을 확보한 후 다시 시도하세요.", exportFailedPermission: "내보내기 실패: 권한이 거부되었습니다. 다른 폴더에 저장하거나 폴더 권한을 확인하세요.", exportFailedPathNotFound: "내보내기 실패: 대상 폴더를 찾을 수 없습니다. 드라이브가 분리되었을 수 있습니다. 경로를 확인하고 다시 시도하세요.", exportFailedReadOnly: "내보내기 실패: 대상 드라이브가 읽기 전용입니다. 쓰기 보호를 해제하거나 다른 드라이브를 선택하세요.", exportFailedInvalidPath: "내보내기 실패: 잘못된 파일 경로입니다. 짧은 경로를 사용하거나 폴더 이름에서 특수 문자를 제거하세요.", exportFailedGpuMemory: "내보내기 실패: GPU 메모리가 부족합니다. GPU를 많이 사용하는 다른 앱을 닫거나 낮은 화질을 시도하세요.", exportFailedGpuUnavailable: "내보내기 실패: GPU 인코더를 더 이상 사용할 수 없습니다. 앱을 다시 시작하거나 GPU 드라이버를 확인하세요.", exportFailedSourceLost: "내보내기 실패: 내보내기 중 소스 파일에 접근할 수 없게 되었습니다. 소스 드라이브가 여전히 연결되어 있는지 확인하세요.", blurZoneFailed: "개인정보 보호 흐림 영역을 적용하지 못했습니다. 내보낸 비디오에 흐림 처리가 되지 않았습니다. 앱을 다시 설치하거나 지원팀에 문의하세요.", openFileLocation: "파일 위치를 열겠습니까?", layoutHint: "드래그하여 재배치 • 카드가 가장자리에 맞춤", privacy: "개인정보", blurZoneHint: "번호판 또는 민감한 정보 가리기", timelapse: "타임랩스", enableTimelapse: "타임랩스 활성화", enableTimelapseDesc: "압축된 개요를 위해 영상 속도 높이기", timelapseSpeed: "속도", timelapseSpeedDesc: "재생 속도 배율", timelapseOverlayNote: "대시보드, 미니맵 및 타임스탬프 오버레이가 타임랩스 속도에 동기화됩니다. 오디오는 제거됩니다.", timelapseDuration: "기간 → 타임랩스 기간", shareLinkExpiry: "링크가 {hours}시간 후 만료됩니다", restoreBannerText: "이전 개인정보 보호 영역 {count}개 발견", restoreBannerRestore: "복원", restoreBannerDismiss: "무시", restoreBannerRestored: "개인정보 보호 영역이 복원되었습니다" },
-            settings: { searchPlaceholder: "설정 검색...", title: "설정", general: "일반", shortcuts: "단축키", advanced: "고급", displaySection: "디스플레이", playbackOverlays: "재생 및 오버레이", storageSection: "저장소", aboutUpdates: "정보 및 업데이트", appVersion: "앱 버전", systemSecurity: "시스템 및 보안", secFeature: "기능", secStatus: "상태", secDescription: "설명", footagePrivacy: "영상 개인정보", localOnly: "로컬 전용", footagePrivacyDesc: "대시캠 클립은 로컬 저장소를 벗어나지 않습니다.", updateReporting: "업데이트 보고", statusActive: "활성", updateReportingDesc: "시작 시 앱이 보안 및 버전 확인을 위해 API에 연결합니다.", deviceHash: "장치 해시", hashedSha256: "해시 (SHA-256)", deviceHashDesc: "API 스팸을 방지하기 위한 안전한 솔트 ID.", learnMore: "자세히 보기", hideDetails: "세부정보 숨기기", architecture: "아키텍처", dashboardStyle: "대시보드 스타일", language: "언어", languageDesc: "애플리케이션 표시 언어", layout: "레이아웃", classicSidebar: "클래식 사이드바", classicSidebarDesc: "비디오와 겹치지 않는 도킹된 사이드바", overlays: "오버레이", dashboard: "대시보드", dashboardDesc: "속도, 기어 및 원격 측정 데이터 표시", gpsMap: "GPS 지도", gpsMapDesc: "차량 위치가 있는 경로 지도 표시", theme: "테마", themeDark: "어두운", themeLight: "밝은", mapStyle: "지도 스타일", mapStyleLight: "밝은", mapStyleDark: "어두운", dashboardLayout: "대시보드 레이아웃", dashboardLayoutDesc: "기본 또는 컴팩트 스타일", default: "기본", acceleratorDisplay: "가속기 표시", acceleratorDisplayDesc: "페달 시각화 스타일", solidColor: "단색 (켜기/끄기)", iconBar: "아이콘 바 (채우기)", sideBar: "사이드 바", fixedToFrontCamera: "전면 카메라에 고정", fixedToFrontCameraDesc: "컴팩트 대시보드를 전면 카메라에 유지", mirrorCameras: "카메라 미러링", mirrorCamerasDesc: "후방 및 리피터 카메라 미러링 (거울에서 보는 것처럼)", glassBlur: "유리 흐림", glassBlurDesc: "오버레이 흐림 강도", metricUnits: "미터법 단위", metricUnitsDesc: "시속 킬로미터 사용 (KM/H)", dateFormat: "날짜 형식", dateFormatDesc: "날짜 표시 형식", globalSetting: "전역 설정", mdyFormat: "MM/DD/YYYY (미국)", dmyFormat: "DD/MM/YYYY (국제)", ymdFormat: "YYYY-MM-DD (ISO)", timeFormat: "시간 형식", timeFormatDesc: "12시간 또는 24시간 시계", time12h: "12시간 (AM/PM)", time24h: "24시간", defaultFolder: "기본 대시캠 폴더", defaultFolderDesc: "시작 시 이 폴더 자동 로드", noFolderSet: "폴더가 설정되지 않음", browse: "찾아보기", clear: "지우기", about: "정보", version: "버전", viewChangelog: "변경 로그 보기", support: "지원", supportDesc: "문제가 있으신가요? 재생 표시줄의 지원 채팅 버튼을 사용하세요.", openSupportChat: "지원 채팅 열기", done: "완료", keyboardShortcuts: "키보드 단축키", keyboardShortcutsDesc: "필드를 클릭하고 키를 누르세요", playPause: "재생 / 일시정지", skipForward: "앞으로 건너뛰기", skipBackward: "뒤로 건너뛰기", skipDuration: "건너뛰기 시간", toggleDashboard: "대시보드 전환", toggleMap: "지도 전환", toggleMphKmh: "MPH / KMH 전환", toggleClipsPanel: "클립 패널 전환", setExportMarkerIn: "내보내기 시작점 설정", setExportMarkerOut: "내보내기 종료점 설정", nextClip: "다음 클립", prevClip: "이전 클립", second: "초", seconds: "초", updates: "업데이트", disableAutoUpdate: "자동 업데이트 비활성화", disableAutoUpdateDesc: "시작 시 업데이트 확인 안 함", updateBranch: "업데이트 브랜치", updateBranchDesc: "Main은 안정 버전, Dev-SEI는 베타", mainStable: "Main (안정)", devSeiBeta: "Dev-SEI (베타)", checkForUpdates: "업데이트 확인", checkForUpdatesDesc: "수동으로 새 버전 확인", checkNow: "지금 확인", checking: "확인 중...", upToDate: "최신 버전", checkFailed: "확인 실패", updateFound: "업데이트 발견!", eventHighlights: "이벤트 하이라이트", sentryCameraGlow: "Sentry 카메라 발광", sentryCameraGlowDesc: "트리거된 카메라에 빨간색 발광", savedCameraGlow: "저장된 카메라 발광", savedCameraGlowDesc: "트리거된 카메라에 노란색 발광", cameraLayout: "카메라 레이아웃", resetCameraOrder: "카메라 순서 재설정", resetCameraOrderDesc: "기본 그리드 위치 복원", reset: "재설정" },
+            export: { title: "비디오 내보내기", start: "시작", end: "종료", inPoint: "시작", outPoint: "종료", duration: "기간", layout: "레이아웃", quality: "품질", overlays: "오버레이", timestamp: "타임스탬프", dashboard: "대시보드", cancel: "취소", exportBtn: "내보내기", preparing: "준비 중...", exporting: "내보내는 중...", compact: "컴팩트", detailed: "상세", teslaMobile: "Tesla Mobile", mobile: "모바일", teslaMobilePositionDesc: "클립 상단 또는 하단", bottom: "하단", top: "상단", medium: "중간", high: "높음", maximum: "최대", timestampDesc: "녹화 날짜 및 시간 기록", dashboardDesc: "속도, 기어, 원격 측정 기록", position: "위치", positionDesc: "비디오에서의 배치", style: "스타일", styleDesc: "대시보드 시각적 스타일", size: "크기", sizeDesc: "대시보드 크기", sizeSmall: "소 (25%)", sizeMedium: "중 (35%)", sizeLarge: "대 (45%)", sizeXLarge: "특대 (55%)", blurType: "흐림 방법", blurTypeDesc: "속도와 품질에 따라 방법 선택", addBlurZone: "흐림 영역 추가", addBlurZoneDesc: "공유 전 민감한 정보 숨기기", addZone: "영역 추가", bottomCenter: "하단 중앙", bottomLeft: "하단 왼쪽", bottomRight: "하단 오른쪽", topCenter: "상단 중앙", topLeft: "상단 왼쪽", topRight: "상단 오른쪽", blurSolid: "단색 (빠름)", blurTrue: "진정한 흐림 (느림)", blurZoneEditor: "흐림 영역 편집기", blurZoneCount: "{count}개의 흐림 영역 구성됨", blurZoneInstructions: "모서리 핸들을 클릭하고 드래그하여 크기를 조정합니다. 가장자리 위로 마우스를 올려 새 점을 추가합니다. 점을 클릭하여 복잡한 모양을 만듭니다.", saveZone: "영역 저장", dashboardGpuWarning: "대시보드 오버레이에는 GPU 인코딩이 필요합니다. 호환되는 GPU가 감지되지 않았습니다.", dashboardPrerendered: "대시보드는 최적의 성능을 위해 사전 렌더링됩니다.", maxQualityWarning: "최대 품질은 GPU가 사용 가능한 경우 HEVC 인코딩을 사용합니다.", minimap: "GPS 미니맵", minimapDesc: "지도에 경로와 위치 표시", minimapNoGps: "선택한 클립에서 GPS 데이터를 찾을 수 없습니다.", minimapPosition: "위치", minimapPositionDesc: "모서리 배치", minimapSize: "크기", minimapSizeDesc: "미니맵 크기", minimapRenderMode: "렌더 모드", minimapRenderModeDesc: "속도 vs 품질", minimapStaticFast: "정적 지도 (빠름)", minimapLiveSlow: "실시간 지도 (느림)", shareClip: "클립 공유", shareClipNew: "새로운", generateShareableLink: "공유 링크 생성", generateShareableLinkDesc: "내보내기 후 Sentry Studio 서버에 업로드", shareClipInfo: "클립은 clip.sentry-six.com에서 <strong>{hours}시간</strong> 동안 이용 가능합니다", shareClipWarning: "공유는 5분 미만의 내보내기에만 사용 가능합니다", minimapStaticDesc: "정적 지도: 지도 타일을 한 번 다운로드하고 경로 경로와 위치 마커를 오버레이합니다. 빠른 내보내기, 인터넷 필요.", minimapLiveDesc: "실시간 지도: Leaflet으로 각 프레임을 렌더링합니다. 실시간 지도 업데이트를 표시하지만 내보내기가 훨씬 느립니다.", renderingMinimap: "미니맵 렌더링 중...", minimapNoGpsDisabled: "미니맵 오버레이에 사용할 수 있는 GPS 데이터가 없습니다. 미니맵이 비활성화됩니다.", minimapGpsExtractFailed: "GPS 데이터 추출에 실패했습니다. 미니맵이 비활성화됩니다.", frontCamWarning: "전면 카메라는 다른 카메라에 맞게 축소됩니다.", output: "출력", checkingFfmpeg: "FFmpeg 확인 중...", ffmpegReady: "FFmpeg 준비됨", cpuOnly: "CPU만 (GPU 인코더 없음)", ffmpegRequiredMac: "FFmpeg가 필요합니다. 터미널에서 실행: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg를 찾을 수 없습니다. ffmpeg_bin 폴더에 ffmpeg.exe를 넣으세요.", notAvailable: "내보내기를 사용할 수 없습니다 (브라우저에서 실행 중)", ffmpegError: "FFmpeg 확인 중 오류", blurZonesStatus: "{count}개 흐림 영역 - 대시보드 오버레이 비활성화됨", blurZonesWarning: "경고: 선택되지 않은 카메라({cameras})에 구성된 흐림 영역은 적용되지 않습니다", minimizeHint: "이 창을 최소화하여 영상을 계속 볼 수 있습니다. 내보내기는 백그라운드에서 계속됩니다.", analyzingSegments: "세그먼트 분석 중...", buildingExport: "내보내기 구성 중...", exportingWithEncoder: "{encoder}로 내보내기 중...", exportingWithCpu: "CPU로 내보내기 중...", exportingPercent: "내보내기 중... {percent}%", exportCompleteMB: "내보내기 완료! ({size} MB)", exportFailedCode: "내보내기 실패 (코드 {code})", exportFailedNoSpace: "내보내기 실패: 디스크 공간이 부족합니다. 대상 드라이브의 공간을 확보한 후 다시 시도하세요.", exportFailedPermission: "내보내기 실패: 권한이 거부되었습니다. 다른 폴더에 저장하거나 폴더 권한을 확인하세요.", exportFailedPathNotFound: "내보내기 실패: 대상 폴더를 찾을 수 없습니다. 드라이브가 분리되었을 수 있습니다. 경로를 확인하고 다시 시도하세요.", exportFailedReadOnly: "내보내기 실패: 대상 드라이브가 읽기 전용입니다. 쓰기 보호를 해제하거나 다른 드라이브를 선택하세요.", exportFailedInvalidPath: "내보내기 실패: 잘못된 파일 경로입니다. 짧은 경로를 사용하거나 폴더 이름에서 특수 문자를 제거하세요.", exportFailedGpuMemory: "내보내기 실패: GPU 메모리가 부족합니다. GPU를 많이 사용하는 다른 앱을 닫거나 낮은 화질을 시도하세요.", exportFailedGpuUnavailable: "내보내기 실패: GPU 인코더를 더 이상 사용할 수 없습니다. 앱을 다시 시작하거나 GPU 드라이버를 확인하세요.", exportFailedSourceLost: "내보내기 실패: 내보내기 중 소스 파일에 접근할 수 없게 되었습니다. 소스 드라이브가 여전히 연결되어 있는지 확인하세요.", blurZoneFailed: "개인정보 보호 흐림 영역을 적용하지 못했습니다. 내보낸 비디오에 흐림 처리가 되지 않았습니다. 앱을 다시 설치하거나 지원팀에 문의하세요.", openFileLocation: "파일 위치를 열겠습니까?", layoutHint: "드래그하여 재배치 • 카드가 가장자리에 맞춤", privacy: "개인정보", blurZoneHint: "번호판 또는 민감한 정보 가리기", timelapse: "타임랩스", enableTimelapse: "타임랩스 활성화", enableTimelapseDesc: "압축된 개요를 위해 영상 속도 높이기", timelapseSpeed: "속도", timelapseSpeedDesc: "재생 속도 배율", timelapseOverlayNote: "대시보드, 미니맵 및 타임스탬프 오버레이가 타임랩스 속도에 동기화됩니다. 오디오는 제거됩니다.", timelapseDuration: "기간 → 타임랩스 기간", shareLinkExpiry: "링크가 {hours}시간 후 만료됩니다", restoreBannerText: "이전 개인정보 보호 영역 {count}개 발견", restoreBannerRestore: "복원", restoreBannerDismiss: "무시", restoreBannerRestored: "개인정보 보호 영역이 복원되었습니다", telemetryData: "텔레메트리 데이터", telemetryDataDesc: "선택한 구간의 프레임별 속도, 기어, 페달, 조향, 방향지시등, 오토파일럿 상태, GPS 및 가속도. 영상은 다시 인코딩되지 않습니다.", exportTelemetry: "텔레메트리 내보내기", telemetrySelectFormat: "텔레메트리 형식을 하나 이상 선택하세요", telemetryInProgress: "이미 내보내기가 진행 중입니다", telemetryNoGps: "이 구간에 GPS 신호가 없습니다 — GPX/KML 트랙이 비어 있습니다", telemetryExported: "텔레메트리 {count}개 프레임을 {files}개 파일로 내보냈습니다", telemetryExportFailed: "텔레메트리 내보내기 실패: {error}", subtitles: "텔레메트리 자막", subtitleSidecar: "별도 파일", subtitleEmbedded: "내장", subtitleEmbeddedDesc: "MP4 내 트랙", subtitlesDesc: "시간, 속도, 기어, Autopilot 상태, GPS 위치를 초당 한 번 켜고 끌 수 있는 자막 트랙으로 저장합니다. 영상에는 새겨지지 않습니다.", shareClipInfoServer: "클립은 {host}에서 <strong>{hours}</strong> 동안 제공됩니다" },
+            settings: { searchPlaceholder: "설정 검색...", title: "설정", general: "일반", shortcuts: "단축키", advanced: "고급", displaySection: "디스플레이", playbackOverlays: "재생 및 오버레이", storageSection: "저장소", aboutUpdates: "정보 및 업데이트", appVersion: "앱 버전", systemSecurity: "시스템 및 보안", secFeature: "기능", secStatus: "상태", secDescription: "설명", footagePrivacy: "영상 개인정보", localOnly: "로컬 전용", footagePrivacyDesc: "대시캠 클립은 로컬 저장소를 벗어나지 않습니다.", updateReporting: "업데이트 보고", statusActive: "활성", updateReportingDesc: "시작 시 앱이 보안 및 버전 확인을 위해 API에 연결합니다.", deviceHash: "장치 해시", hashedSha256: "해시 (SHA-256)", deviceHashDesc: "API 스팸을 방지하기 위한 안전한 솔트 ID.", learnMore: "자세히 보기", hideDetails: "세부정보 숨기기", architecture: "아키텍처", dashboardStyle: "대시보드 스타일", language: "언어", languageDesc: "애플리케이션 표시 언어", layout: "레이아웃", classicSidebar: "클래식 사이드바", classicSidebarDesc: "비디오와 겹치지 않는 도킹된 사이드바", overlays: "오버레이", dashboard: "대시보드", dashboardDesc: "속도, 기어 및 원격 측정 데이터 표시", gpsMap: "GPS 지도", gpsMapDesc: "차량 위치가 있는 경로 지도 표시", theme: "테마", themeDark: "어두운", themeLight: "밝은", mapStyle: "지도 스타일", mapStyleLight: "밝은", mapStyleDark: "어두운", dashboardLayout: "대시보드 레이아웃", dashboardLayoutDesc: "기본 또는 컴팩트 스타일", default: "기본", acceleratorDisplay: "가속기 표시", acceleratorDisplayDesc: "페달 시각화 스타일", solidColor: "단색 (켜기/끄기)", iconBar: "아이콘 바 (채우기)", sideBar: "사이드 바", fixedToFrontCamera: "전면 카메라에 고정", fixedToFrontCameraDesc: "컴팩트 대시보드를 전면 카메라에 유지", mirrorCameras: "카메라 미러링", mirrorCamerasDesc: "후방 및 리피터 카메라 미러링 (거울에서 보는 것처럼)", glassBlur: "유리 흐림", glassBlurDesc: "오버레이 흐림 강도", metricUnits: "미터법 단위", metricUnitsDesc: "시속 킬로미터 사용 (KM/H)", dateFormat: "날짜 형식", dateFormatDesc: "날짜 표시 형식", globalSetting: "전역 설정", mdyFormat: "MM/DD/YYYY (미국)", dmyFormat: "DD/MM/YYYY (국제)", ymdFormat: "YYYY-MM-DD (ISO)", timeFormat: "시간 형식", timeFormatDesc: "12시간 또는 24시간 시계", time12h: "12시간 (AM/PM)", time24h: "24시간", defaultFolder: "기본 대시캠 폴더", defaultFolderDesc: "시작 시 이 폴더 자동 로드", noFolderSet: "폴더가 설정되지 않음", browse: "찾아보기", clear: "지우기", about: "정보", version: "버전", viewChangelog: "변경 로그 보기", support: "지원", supportDesc: "문제가 있으신가요? 재생 표시줄의 지원 채팅 버튼을 사용하세요.", openSupportChat: "지원 채팅 열기", done: "완료", keyboardShortcuts: "키보드 단축키", keyboardShortcutsDesc: "필드를 클릭하고 키를 누르세요", playPause: "재생 / 일시정지", skipForward: "앞으로 건너뛰기", skipBackward: "뒤로 건너뛰기", skipDuration: "건너뛰기 시간", toggleDashboard: "대시보드 전환", toggleMap: "지도 전환", toggleMphKmh: "MPH / KMH 전환", toggleClipsPanel: "클립 패널 전환", setExportMarkerIn: "내보내기 시작점 설정", setExportMarkerOut: "내보내기 종료점 설정", nextClip: "다음 클립", prevClip: "이전 클립", second: "초", seconds: "초", updates: "업데이트", disableAutoUpdate: "자동 업데이트 비활성화", disableAutoUpdateDesc: "시작 시 업데이트 확인 안 함", updateBranch: "업데이트 브랜치", updateBranchDesc: "Main은 안정 버전, Dev-SEI는 베타", mainStable: "Main (안정)", devSeiBeta: "Dev-SEI (베타)", checkForUpdates: "업데이트 확인", checkForUpdatesDesc: "수동으로 새 버전 확인", checkNow: "지금 확인", checking: "확인 중...", upToDate: "최신 버전", checkFailed: "확인 실패", updateFound: "업데이트 발견!", eventHighlights: "이벤트 하이라이트", sentryCameraGlow: "Sentry 카메라 발광", sentryCameraGlowDesc: "트리거된 카메라에 빨간색 발광", savedCameraGlow: "저장된 카메라 발광", savedCameraGlowDesc: "트리거된 카메라에 노란색 발광", cameraLayout: "카메라 레이아웃", resetCameraOrder: "카메라 순서 재설정", resetCameraOrderDesc: "기본 그리드 위치 복원", reset: "재설정", indexCache: "라이브러리 인덱스 캐시", indexCacheStatus: "{folders}개 폴더 캐시됨 · {size}", indexCacheEmpty: "아직 캐시된 폴더가 없습니다", clearIndexCache: "캐시 지우기", indexCacheCleared: "인덱스 캐시를 지웠습니다. 다음에 폴더를 열 때 다시 검색합니다.", indexCacheClearFailed: "인덱스 캐시를 지우지 못했습니다: {error}", rebuildIndex: "인덱스 다시 만들기", indexRebuilt: "드라이브에서 인덱스를 다시 만들었습니다.", indexRebuildFailed: "인덱스를 다시 만들지 못했습니다: {error}", indexRebuildNeedsFolder: "인덱스를 다시 만들려면 먼저 블랙박스 폴더를 여세요.", addBookmark: "북마크 추가", frameForward: "다음 프레임", frameBackward: "이전 프레임", saveStill: "정지 화면 저장", toggleTelemetryCharts: "텔레메트리 차트 전환", nextMotion: "다음 움직임", prevMotion: "이전 움직임", toggleMotionSkipIdle: "정지 구간 건너뛰기 전환", toggleSmartPlayback: "스마트 재생 전환", nextMultiLayout: "다음 카메라 레이아웃", prevMultiLayout: "이전 카메라 레이아웃", sharingSection: "클립 공유", shareServer: "공유 서버", shareServerSave: "저장", shareServerReset: "기본값", shareServerDesc: "비워 두면 Sentry Studio 호스팅 서비스를 사용합니다. 자체 공유 서버(저장소의 share-server) 주소를 입력하면 공유 클립을 내부 네트워크에 보관할 수 있습니다.", shareServerInvalid: "공유 서버를 저장할 수 없습니다", shareServerDefault: "Sentry Studio 호스팅 서비스 사용 중", shareServerSaved: "클립이 {url}을(를) 통해 공유됩니다" },
             cameras: { front: "전면", back: "후면", leftPillar: "왼쪽 기둥", rightPillar: "오른쪽 기둥", leftRepeater: "왼쪽 리피터", rightRepeater: "오른쪽 리피터" },
             dashboard: { drive: "주행", manual: "수동", noData: "데이터 없음", mph: "MPH", kmh: "KM/H", selfDriving: "자율 주행", autosteer: "자동 조향", tacc: "TACC", inPoint: "시작", outPoint: "종료" },
             notifications: { loadCollectionFirst: "내보내기 마커를 설정하려면 먼저 컴렉션을 로드하세요", startMarkerSet: "시작 마커 설정됨", endMarkerSet: "종료 마커 설정됨", exportComplete: "내보내기 완료!", exportCancelled: "내보내기 취소됨", exportFailed: "내보내기 실패", foundDatesWithClips: "클립이 있는 {count}개 날짜를 찾았습니다", loadedFilesForDate: "{date}에 대해 {count}개 파일 로드됨", noDataForDate: "{date}에 대한 데이터 없음", noClipsFoundForDate: "{date}에 대한 클립을 찾을 수 없음", noDashcamClipsFound: "비디오 클립을 찾을 수 없습니다. 비디오 파일(.mp4, .avi, .mov, .mkv)이 포함된 폴더 또는 RecentClips, SentryClips, SavedClips가 포함된 Tesla 대시캠 폴더를 선택하세요.", metadataParserNotReady: "메타데이터 파서가 아직 초기화되지 않았습니다—1초 후에 다시 시도하세요.", noSupportedFilesFound: "해당 폴더에서 지원되는 파일을 찾을 수 없습니다.", failedToLoadVideo: "비디오 로드 실패: {error}", errorSelectingDay: "날짜 선택 오류: {error}", failedToOpenFolder: "폴더 열기 실패: {error}", failedToInitMetadataParser: "메타데이터 파서 초기화 실패. protobuf가 로드되고 file://를 통해 실행하지 않는지 확인하세요", capturingSnapshot: "스냅샷 캡처 중...", couldNotFindVideoFile: "{camera} 카메라의 비디오 파일을 찾을 수 없습니다", unsupportedFileType: "스냅샷용으로 지원되지 않는 파일 유형", failedToCaptureSnapshot: "스냅샷 캡처 실패: {error}", blurZoneMinPoints: "최소 3개의 포인트가 있는 유효한 흐림 영역을 생성해 주세요", failedToGenerateMask: "마스크 이미지 생성 실패", failedToExtractMaskData: "마스크 이미지 데이터 추출 실패", failedToGetCanvasDimensions: "캔버스 크기 가져오기 실패", blurZoneSaved: "흐림 영역이 성공적으로 저장되었습니다", failedToSaveBlurZone: "흐림 영역 저장 실패: {error}", exportNotAvailable: "내보내기를 사용할 수 없음", exportRequiresFolder: "내보내기를 하려면 폴더 선택기를 통해 폴더를 선택해야 합니다. 대시캠 폴더를 다시 선택해 주세요.", selectAtLeastOneCamera: "최소 하나의 카메라를 선택해 주세요", extractingTelemetry: "원격 측정 데이터 추출 중...", noTelemetryData: "대시보드 오버레이에 사용할 수 있는 원격 측정 데이터가 없습니다. 대시보드가 비활성화됩니다.", failedToExtractTelemetry: "원격 측정 데이터 추출 실패. 대시보드가 비활성화됩니다.", noVideoFilesForExport: "내보내기용 비디오 파일을 찾을 수 없습니다. 폴더가 올바르게 선택되었는지 확인하세요.", exportFailedWithError: "내보내기 실패: {error}", onlyOneAttachment: "메시지당 첨부 파일은 1개만 허용됩니다", fileTooLarge: "파일 \"{filename}\"이(가) 너무 큽니다 (최대 100MB)", enterMessageOrAttach: "메시지를 입력하거나 파일을 첨부해 주세요", supportTicketClosed: "지원 티켓이 닫혔습니다", newSupportMessages: "{count}개의 새로운 지원 메시지를 받았습니다", cameraOrderReset: "카메라 순서가 기본값으로 재설정되었습니다", collectingDiagnostics: "진단 데이터 수집 중...", uploadingDiagnostics: "진단 업로드 중...", supportIdCopied: "지원 ID: {supportId} - 클립보드에 복사되었습니다!", failedToUploadDiagnostics: "진단 업로드 실패: {error}", uploadFailed: "업로드 실패: {error}", supportIdCopiedSimple: "지원 ID가 클립보드에 복사되었습니다!", failedToCopy: "복사 실패: {error}", failedToGenerateSupportId: "지원 ID 생성 실패: {error}" },
             supportChat: { title: "지원 채팅", needHelp: "도움이 필요하신가요?", welcomeDesc: "저희와 지원 대화를 시작하세요. 문제, 버그 또는 피드백을 설명해 주시면 가능한 빨리 응답하겠습니다.", welcomeNote: "스크린샷/동영상과 진단 데이터를 첨부하여 문제를 더 잘 이해하는 데 도움을 줄 수 있습니다.", diagnostics: "진단", attach: "첨부", placeholder: "문제나 피드백을 설명하세요...", privacyNote: "데이터는 7일 후 자동 삭제됩니다", ticketClosed: "이 티켓이 닫혔습니다.", createNewTicket: "새 지원 티켓 만들기", closeTicket: "티켓 닫기", minimize: "최소화", closePanel: "패널 닫기", sendMessage: "메시지 보내기", includeDiagnostics: "진단 데이터 포함", attachFiles: "파일 첨부", you: "나", support: "지원" },
-            sharedClips: { title: "내 공유 클립", emptyTitle: "공유된 클립이 없습니다", emptyDesc: "공유를 활성화하여 클립을 내보내면 여기에 표시됩니다", clickHint: "클립을 선택하여 세부정보 보기", copyLink: "링크 복사", open: "열기", delete: "삭제", deleteTitle: "공유 클립 삭제", deleteConfirm: "정말 삭제하시겠습니까", deleteWarning: "Sentry Studio 서버에서 클립이 영구적으로 삭제됩니다. 링크를 가진 사람은 더 이상 보거나 다운로드할 수 없습니다.", cancel: "취소", deleteClip: "클립 삭제" }
+            sharedClips: { title: "내 공유 클립", emptyTitle: "공유된 클립이 없습니다", emptyDesc: "공유를 활성화하여 클립을 내보내면 여기에 표시됩니다", clickHint: "클립을 선택하여 세부정보 보기", copyLink: "링크 복사", open: "열기", delete: "삭제", deleteTitle: "공유 클립 삭제", deleteConfirm: "정말 삭제하시겠습니까", deleteWarning: "Sentry Studio 서버에서 클립이 영구적으로 삭제됩니다. 링크를 가진 사람은 더 이상 보거나 다운로드할 수 없습니다.", cancel: "취소", deleteClip: "클립 삭제", resumeUpload: "업로드 재개" },
+            exportQueue: { title: "내보내기 대기열", addToQueue: "대기열에 추가", jobAdded: "내보내기 대기열에 추가됨: {name}", jobDone: "대기열 내보내기 완료: {name}", jobFailed: "대기열 내보내기 실패: {name} ({error})", actionFailed: "내보내기 대기열 오류: {error}", emptyTitle: "대기 중인 내보내기가 없습니다", emptyDesc: "내보내기 창에서 \"대기열에 추가\"를 사용해 여러 내보내기를 예약하세요", pausedNote: "대기열이 일시 중지되었습니다. 현재 내보내기는 완료되지만 재개할 때까지 새 작업은 시작되지 않습니다.", clearFinished: "완료 항목 지우기", pauseQueue: "대기열 일시 중지", resumeQueue: "대기열 재개", moveUp: "위로 이동", moveDown: "아래로 이동", pause: "일시 중지", resume: "재개", retry: "다시 시도", remove: "제거", showInFolder: "폴더에서 보기", statusPending: "대기 중", statusRunning: "내보내는 중", statusPaused: "일시 중지됨", statusFailed: "실패", statusDone: "완료" },
+            incidents: { tab: "사건", scan: "검사", rescan: "다시 검사", selectClip: "클립을 열어 사건을 찾으세요", notScanned: "아직 검사하지 않음", scanning: "텔레메트리 검사 중 ({done}/{total})", found: "사건 {count}건 발견", scanFailed: "사건 검사 실패: {error}", hardBrake: "급제동", hardAccel: "급가속", sharpTurn: "급회전", impact: "충격 가능성", settingsTitle: "사건 감지", resetThresholds: "임계값 초기화" },
+            highlightReel: { title: "하이라이트 영상", enable: "하이라이트 영상 만들기", enableDesc: "주요 순간의 짧은 클립을 하나의 영상으로 연결합니다", sourceEvents: "감시 및 저장 이벤트", sourceEventsDesc: "이벤트가 발생한 순간", sourceDisengagements: "FSD 해제", sourceDisengagementsDesc: "SentryUSB 주행 데이터에서", sourceAccelPushes: "가속 페달 개입", sourceAccelPushesDesc: "FSD 작동 중 페달 조작", sourceBraking: "급제동", sourceBrakingDesc: "텔레메트리로 감지", paddingBefore: "각 순간 이전", paddingBeforeDesc: "트리거 이전에 유지할 영상", paddingAfter: "각 순간 이후", paddingAfterDesc: "트리거 이후에 유지할 영상", note: "시작/종료 마커 대신 불러온 클립 전체를 사용합니다. 각 순간마다 날짜, 시간, 위치가 표시된 타이틀 카드가 추가됩니다.", sentryEvent: "감시 이벤트", savedEvent: "저장된 클립", disengagement: "FSD 해제", accelPush: "가속 페달 개입", scanningTelemetry: "텔레메트리에서 급제동을 찾는 중…", nothingFound: "선택한 소스에서 하이라이트를 찾지 못했습니다", tooManyClips: "하이라이트 {count}개를 찾았습니다. 처음 {max}개만 포함됩니다", renderingClip: "하이라이트 {current}/{total} 렌더링 중…", stitching: "하이라이트와 타이틀 카드를 합치는 중…" },
+            libraryMap: { open: "라이브러리 지도", title: "라이브러리 지도", from: "시작", to: "종료", reason: "사유", allReasons: "모든 사유", drives: "주행", fit: "결과에 맞추기", loading: "이벤트 위치 읽는 중… {done}/{total}", summary: "이벤트 {events}개 · 주행 {drives}개", noLocations: "이 필터와 일치하는 위치 정보가 없습니다", openClip: "클립 열기", openDrive: "주행 열기", noLibrary: "먼저 대시캠 폴더를 열거나 SentryUSB 주행 데이터를 불러오세요", mapUnavailable: "지도 라이브러리를 불러오지 못했습니다. 인터넷 연결을 확인하세요." },
+            search: { tab: "검색", placeholder: "예: reason:honk date:-30d", run: "검색", help: "쿼리 구문", helpEvents: "이벤트:", helpTime: "시간:", helpDrives: "주행:", helpTelemetry: "텔레메트리:", helpLogic: "조합:", readingEvents: "이벤트 읽는 중… {done}/{total}", noLibrary: "검색하려면 대시캠 폴더를 여세요", searching: "검색 중…", indexingDate: "{date} 인덱싱 중…", scanningTelemetry: "텔레메트리 읽는 중… {done}/{total}개 클립", found: "결과 {count}개", tooManyResults: "처음 {count}개 결과만 표시합니다. 더 보려면 검색 조건을 좁히세요", scanLimited: "일치하는 최근 클립 {count}개의 텔레메트리만 읽었습니다. 더 이전을 검색하려면 date:를 추가하세요.", failed: "검색 실패: {error}", drive: "주행", sentryEvent: "감시 모드 이벤트", savedEvent: "저장된 클립", recentClips: "최근 클립", customClips: "클립", errorEmptyGroup: "검색어가 필요합니다", errorParen: "괄호가 맞지 않습니다", errorUnexpected: "예상치 못한 \"{token}\"", errorMissingValue: "{field} 뒤에 값이 없습니다", errorInvalidValue: "\"{value}\"은(는) {field}에 유효한 값이 아닙니다", errorComparator: "\"{cmp}\"은(는) {field}에 사용할 수 없습니다. : 또는 !=를 사용하세요" },
+            bookmarks: { tab: "북마크", filter: "북마크 필터…", add: "현재 시점 북마크", addTitle: "북마크 추가", editTitle: "북마크 편집", titleLabel: "제목", titlePlaceholder: "여기서 무슨 일이 있었나요?", noteLabel: "메모", colorLabel: "색상", delete: "삭제", cancel: "취소", save: "저장", edit: "편집", untitled: "제목 없는 북마크", noFolder: "북마크를 추가하려면 대시캠 폴더를 여세요", empty: "아직 북마크가 없습니다. 타임라인 옆 북마크 버튼으로 순간을 표시하세요.", count: "북마크 {count}개", filtered: "북마크 {total}개 중 {count}개", saveFailed: "북마크를 저장할 수 없습니다: {error}", savedLocally: "이 폴더는 읽기 전용이므로 북마크가 이 컴퓨터에만 저장됩니다" },
+            stills: { frameBack: "이전 프레임", frameForward: "다음 프레임", saveStill: "정지 화면 저장", title: "정지 화면 저장", sourceLabel: "카메라", wholeGrid: "모든 카메라 (그리드)", captionLabel: "텔레메트리 캡션 추가 (시간, 속도, 기어, GPS)", hint: "카메라 원본 해상도의 PNG로 저장됩니다.", cancel: "취소", save: "PNG 저장", saveTitle: "정지 화면 저장", autopilot: "Autopilot", noVideo: "정지 화면을 저장하려면 클립을 여세요", noFrame: "비디오 프레임이 아직 준비되지 않았습니다", saved: "정지 화면 저장됨: {file}", saveFailed: "정지 화면 저장 실패: {error}" },
+            evidence: { title: "증거 패키지", enable: "증거 패키지 만들기", enableDesc: "원본 클립, 이벤트 데이터, 텔레메트리를 영상과 함께 zip으로 묶습니다", note: "표시한 구간의 모든 카메라 원본 클립, 타임스탬프와 내보내기 설정이 담긴 보고서, 누구나 변경 여부를 확인할 수 있는 SHA-256 목록이 포함됩니다.", verify: "패키지 검증...", verifying: "SHA256SUMS와 파일을 대조하는 중...", verifyOk: "{name}: {count}개 파일이 모두 목록과 일치합니다", verifyFailed: "{name}: 검증 실패 - 패키지가 변경되었습니다", verifyError: "패키지를 검증할 수 없습니다: {error}", statusModified: "변경됨", statusMissing: "없음", statusUnlisted: "목록에 없음", noSourceFiles: "이 구간의 원본 클립이 디스크에 없습니다", notWithReel: "증거 패키지는 하나의 연속 구간만 담습니다. 먼저 하이라이트 릴을 끄세요", rendering: "증거 패키지용 영상 렌더링 중...", telemetry: "텔레메트리 디코딩 중...", hashing: "해시 계산 중 ({current}/{total})...", zipping: "zip 작성 중...", complete: "증거 패키지 저장됨 ({files}개 파일, {size} MB)" },
+            incidentReport: { title: "사고 보고서", generate: "사고 보고서 만들기", saveTitle: "사고 보고서 저장", generating: "사고 보고서 만드는 중…", saved: "사고 보고서 저장됨: {file}", failed: "사고 보고서를 만들 수 없습니다: {error}", notAvailable: "사고 보고서는 event.json이 있는 감시 모드 및 저장된 이벤트에서 사용할 수 있습니다", eventDetails: "이벤트 세부 정보", eventType: "이벤트 유형", reason: "원인", triggerTime: "트리거 시각", triggerCamera: "트리거 카메라", location: "위치", coordinates: "좌표", sourceFolder: "원본 폴더", recording: "녹화", clipCount: "클립 {count}개", keyFrames: "주요 프레임", trigger: "트리거", noFrames: "트리거 전후의 영상 프레임을 읽을 수 없습니다", map: "위치 지도", mapOffline: "지도 타일을 받을 수 없어 경로와 위치를 배경 없이 표시합니다.", noGps: "이 이벤트에는 GPS 위치가 기록되지 않았습니다", telemetry: "차량 텔레메트리 (트리거 전후 {seconds}초)", noTelemetry: "트리거 전후에 텔레메트리가 기록되지 않았습니다 (주차 중에는 일반적임)", atTrigger: "트리거 시점", speed: "속도", accelerator: "가속 페달", brake: "브레이크", steering: "조향각", gear: "기어", autopilot: "운전 보조", applied: "밟음", released: "뗌", footer: "{date}에 Sentry Studio가 원본 TeslaCam 녹화로 생성했습니다. 시각은 차량이 기록한 시각입니다." },
+            telemetryCharts: { title: "텔레메트리 차트", toggle: "텔레메트리 차트", speed: "속도", accelerator: "가속 페달", brake: "브레이크", steering: "조향", lateralG: "횡 G", longitudinalG: "종 G", autopilot: "오토파일럿", on: "켬", off: "끔", dock: "컨트롤 위에 고정", undock: "떠 있는 패널로", resetZoom: "전체 타임라인 보기", close: "닫기", noCollection: "클립을 선택하면 텔레메트리를 표시합니다", loading: "텔레메트리 읽는 중… {done}/{total}", noData: "이 클립에는 텔레메트리가 없습니다", scanFailed: "텔레메트리를 읽을 수 없습니다: {error}" },
+            timelineStrip: { setting: "타임라인 띠", settingDesc: "진행 막대 아래 색상", speed: "속도", autopilot: "오토파일럿", off: "끔", gapMinutes: "{count}분 녹화 안 됨", gapSeconds: "{count}초 녹화 안 됨" },
+            motion: { setting: "움직임 분석", settingDesc: "Sentry 및 저장된 이벤트의 모든 카메라에서 움직임 검색", skipIdleOff: "움직임 없는 구간 건너뛰기", skipIdleOn: "움직임 없는 구간 건너뛰는 중 (클릭하여 끄기)", skipIdleEnabled: "움직임 없는 구간을 건너뜁니다", skipIdleDisabled: "전체 재생", analyzing: "움직임 분석 중… {percent}%", analysisFailed: "움직임 분석 실패: {error}", noNext: "이후에 더 이상 움직임이 없습니다", noPrevious: "이전에 움직임이 없습니다", skipped: "움직임 없는 {seconds}초를 건너뛰었습니다" },
+            smartPlayback: { toggle: "스마트 재생: 주차 구간 건너뛰기, 브레이크/방향지시등 주변은 1x", on: "스마트 재생 켜짐 (클릭하여 끄기)", enabled: "스마트 재생 켜짐", disabled: "스마트 재생 꺼짐", saved: "주차 시간 {time}을(를) 건너뛰거나 빨리 감았습니다", settingsTitle: "스마트 재생", parkedAction: "주차 구간", parkedActionDesc: "기어 P 및 정지 상태", skip: "건너뛰기", fastForward: "빨리 감기", minParked: "최소 주차 구간", fastRate: "빨리 감기 속도", slowPad: "브레이크/방향지시등 주변 1x", off: "끄기", reset: "스마트 재생 초기화" },
+            multiLayouts: { title: "카메라 레이아웃", sixDefault: "기본 (3×2)", quad: "2×2 (카메라 4대)", frontFocus: "큰 전방 + 5", frontBack: "전방 / 후방", pip: "화면 속 화면", builtIn: "기본 제공", custom: "사용자 지정", manage: "관리", newLayout: "새 레이아웃…", editLayout: "레이아웃 편집…", defaultName: "내 레이아웃 {n}", switched: "레이아웃: {name}", saved: "레이아웃 \"{name}\" 저장됨", noCameras: "레이아웃에 카메라를 하나 이상 추가하세요", nameLabel: "이름", camerasLabel: "카메라", editorHint: "드래그하여 이동 • 모서리를 드래그하여 크기 조절 • 카드가 가장자리에 맞춰짐", delete: "삭제", cancel: "취소", save: "저장" },
+            exportPresets: { label: "프리셋", none: "프리셋 없음", empty: "저장된 프리셋 없음", save: "프리셋으로 저장", rename: "프리셋 이름 변경", delete: "프리셋 삭제", import: "프리셋 가져오기", export: "프리셋을 파일로 내보내기", exportTitle: "내보내기 프리셋 저장", fileType: "내보내기 프리셋", namePlaceholder: "프리셋 이름", confirm: "저장", cancel: "취소", saved: "프리셋 \"{name}\" 저장됨", renamed: "프리셋 이름이 \"{name}\"(으)로 변경됨", deleted: "프리셋 \"{name}\" 삭제됨", applied: "프리셋 \"{name}\" 적용됨", nameTaken: "\"{name}\" 이름의 프리셋이 이미 있습니다", imported: "프리셋 {count}개를 가져왔습니다", exported: "프리셋 {count}개를 내보냈습니다", importFailed: "프리셋을 가져올 수 없습니다: {error}", exportFailed: "프리셋을 내보낼 수 없습니다: {error}", camerasUnavailable: "이 클립에 없음: {cameras}" },
+            exportMetadata: { title: "파일 메타데이터", gpsTrack: "시작 위치 포함", gpsTrackDesc: "내보내기가 시작되는 위치(사진 및 지도 앱용)", chapters: "챕터 추가", chaptersDesc: "각 클립, 이벤트 트리거, FSD 해제 지점에 마커", clipChapter: "클립 {time}", clipChapterUntimed: "클립" },
+            webGallery: { open: "웹 갤러리", title: "웹 갤러리", description: "선택한 이벤트를 Sentry Studio나 인터넷 연결 없이 모든 브라우저에서 열 수 있는 폴더로 내보냅니다. USB 드라이브나 공유 폴더에 복사하세요.", selectAll: "모두 선택", selectNone: "선택 해제", galleryTitle: "제목", defaultTitle: "Sentry Studio 갤러리", cameras: "카메라", trim: "이벤트 발생 시점 전후만 내보내기", before: "이전 초", after: "이후 초", cancel: "취소", export: "갤러리 내보내기", noLibrary: "먼저 Sentry 또는 저장된 이벤트가 있는 대시캠 폴더를 여세요", noEvents: "이 폴더에 Sentry 또는 저장된 이벤트가 없습니다", loading: "이벤트 읽는 중… {done}/{total}", noMatches: "필터와 일치하는 이벤트가 없습니다", selectedCount: "{total}개 중 {count}개 이벤트 선택됨", noSelection: "이벤트를 하나 이상 선택하세요", queued: "이벤트 {count}개의 웹 갤러리를 내보내기 대기열에 추가했습니다: {name}", rendering: "이벤트 {current}/{total}: {camera} 렌더링 중", writingPage: "갤러리 페이지 작성 중...", complete: "갤러리를 내보냈습니다 (이벤트 {events}개, {size})", skipped: "이벤트 {count}개를 내보내지 못했습니다: {events}", pageEvents: "이벤트 {count}개", pageCreated: "생성: {date}", pageAllEvents: "모든 이벤트", pagePrevious: "이전 이벤트", pageNext: "다음 이벤트", pagePlay: "재생 / 일시정지", pageJumpToEvent: "이벤트로 이동", pageType: "유형", pageDate: "날짜", pageLocation: "위치", pageCoordinates: "좌표", pageCamera: "감지 카메라", pageDuration: "길이", pageDistance: "거리", pageRoute: "경로", pageOpenMap: "OpenStreetMap에서 열기", pageEventJson: "event.json 다운로드", pageNoRoute: "이 클립에는 GPS 데이터가 없습니다" },
+            clipHealth: { open: "클립 상태", title: "클립 상태", description: "비어 있거나, 읽을 수 없거나, 차량 전원이 끊겨 잘린 클립과 카메라가 빠진 클립을 찾습니다. 복구된 클립은 원본 옆에 .repaired.mp4로 저장되어 대신 재생되며, 원본은 변경되지 않습니다.", scan: "다시 검사", repairAll: "모두 복구", close: "닫기", needsFolder: "먼저 폴더 버튼으로 대시캠 폴더를 선택하세요 (끌어다 놓은 폴더는 검사할 수 없습니다)", reading: "폴더 읽는 중…", scanning: "클립 확인 중… {done}/{total}", summary: "파일 {files}개 확인: 클립 그룹 {groups}개에서 문제 {problems}개", allGood: "파일 {files}개 확인, 문제 없음", scanFailed: "검사 실패: {error}", statusEmpty: "비어 있음", statusUnreadable: "읽을 수 없음", statusTruncated: "잘림", missingCameras: "누락된 카메라", repair: "복구", repaired: "복구됨", repairing: "복구 중 {current}/{total}…", repairFailed: "복구 실패: {error}", repairDone: "클립 {repaired}개 복구, {failed}개 실패", showInFolder: "폴더에서 보기" },
+            storage: { open: "저장 공간", title: "저장 공간", description: "이 폴더에서 공간을 차지하는 항목을 확인하고 날짜, 이벤트 또는 보존 규칙별로 공간을 확보합니다. 미리 보기 없이 삭제되지 않으며, 모든 항목은 시스템 휴지통으로 이동하므로 복원할 수 있습니다.", needsFolder: "저장 공간을 보려면 먼저 블랙박스 폴더를 여세요.", reading: "폴더 읽는 중…", measuring: "클립 {total}개 중 {done}개 측정 중…", scanFailed: "폴더를 측정할 수 없습니다: {error}", total: "{count}개 날짜 및 이벤트에 {size}", byType: "유형별", byCamera: "카메라별", byDay: "날짜별", other: "기타", tabUsage: "사용량", tabClips: "클립", tabRules: "보존 규칙", selectAll: "모두 선택", selectNone: "선택 해제", cameraCount: "카메라 {count}대", selectedCount: "{count}개 선택됨 · {size}", trashSelected: "선택 항목을 휴지통으로 이동", rulesDescription: "규칙은 미리 보기 후 확인할 때만 실행됩니다. 이벤트는 통째로 유지되거나 삭제되며, 최근 클립은 북마크된 분만 유지됩니다.", ruleDelete: "삭제", ruleKeepCameras: "카메라만 유지", ruleOlderThan: "경과 일수", ruleExceptBookmarked: "북마크된 항목 제외", ruleRemove: "규칙 제거", noRules: "보존 규칙이 아직 없습니다.", addRule: "규칙 추가", previewRules: "미리 보기", planSummary: "{count}개 날짜 및 이벤트의 파일 {files}개({size})가 휴지통으로 이동됩니다.", planEmpty: "일치하는 항목이 없어 삭제될 파일이 없습니다.", planWhole: "전체", planCameras: "카메라: {cameras}", back: "뒤로", confirmTrash: "휴지통으로 이동", trashing: "{total}개 중 {done}개를 휴지통으로 이동 중…", trashDone: "{count}개 항목({size})을 휴지통으로 이동했습니다.", trashPartial: "{trashed}개 항목을 휴지통으로 이동했습니다. {failed}개는 이동할 수 없습니다({error}).", trashFailed: "휴지통으로 이동할 수 없습니다: {error}", close: "닫기" }
         },
         welcome: {
             modalTitle: "Sentry Studio에 오신 것을 환영합니다",
@@ -410,13 +559,32 @@ export const translations = {
             eventTypes: { manualSave: "Salvamento Manual", honk: "Buzina", objectDetected: "Objeto Detectado", emergencyBraking: "Frenagem de Emergência", accelerationDetected: "Aceleração Detectada", collisionDetected: "Colisão Detectada" },
             map: { recenter: "Recentrar mapa", hint: "Clique direito e arraste para mover" },
             playback: { play: "Reproduzir", pause: "Pausar", skipBack: "Voltar 15 segundos", skipForward: "Avançar 15 segundos", playbackSpeed: "Velocidade de reprodução", setStartMarker: "Definir ponto inicial de exportação", setEndMarker: "Definir ponto final de exportação", exportVideo: "Exportar vídeo", supportChat: "Chat de Suporte", settings: "Configurações", toggleDetails: "Alternar Detalhes", lateralG: "G Lateral", longitudinalG: "G Longitudinal", heading: "Direção", openExportDetails: "Abrir detalhes de exportação" },
-            export: { title: "Exportar Vídeo", start: "Início", end: "Fim", inPoint: "Início", outPoint: "Fim", duration: "Duração", layout: "Layout", quality: "Qualidade", overlays: "Sobreposições", timestamp: "Carimbo de Tempo", dashboard: "Painel", cancel: "Cancelar", exportBtn: "Exportar", preparing: "Preparando...", exporting: "Exportando...", compact: "Compacto", detailed: "Detalhado", teslaMobile: "Tesla Mobile", mobile: "Móvel", teslaMobilePositionDesc: "Topo ou fundo do clipe", bottom: "Fundo", top: "Topo", medium: "Médio", high: "Alto", maximum: "Máximo", timestampDesc: "Gravar data e hora da gravação", dashboardDesc: "Gravar velocidade, marcha e telemetria", position: "Posição", positionDesc: "Posicionamento no vídeo", style: "Estilo", styleDesc: "Estilo visual do painel", size: "Tamanho", sizeDesc: "Tamanho do painel", sizeSmall: "Pequeno (25%)", sizeMedium: "Médio (35%)", sizeLarge: "Grande (45%)", sizeXLarge: "Extra Grande (55%)", blurType: "Método de Desfoque", blurTypeDesc: "Escolha método baseado em velocidade vs qualidade", addBlurZone: "Adicionar Zona de Desfoque", addBlurZoneDesc: "Ocultar informações sensíveis antes de compartilhar", addZone: "Adicionar Zona", bottomCenter: "Centro Inferior", bottomLeft: "Inferior Esquerdo", bottomRight: "Inferior Direito", topCenter: "Centro Superior", topLeft: "Superior Esquerdo", topRight: "Superior Direito", blurSolid: "Sólido (Rápido)", blurTrue: "Desfoque Real (Lento)", blurZoneEditor: "Editor de Zona de Desfoque", blurZoneCount: "{count} zona(s) de desfoque configurada(s)", blurZoneInstructions: "Clique e arraste as alças dos cantos para redimensionar. Passe o mouse sobre as bordas para adicionar novos pontos. Clique nos pontos para criar formas complexas.", saveZone: "Salvar Zona", dashboardGpuWarning: "A sobreposição do painel requer codificação GPU. Nenhuma GPU compatível detectada.", dashboardPrerendered: "O painel é pré-renderizado para desempenho ideal.", maxQualityWarning: "Qualidade máxima usa codificação HEVC se GPU disponível.", minimap: "Minimapa GPS", minimapDesc: "Mostrar rota e posição no mapa", minimapNoGps: "Nenhum dado GPS encontrado nos clipes selecionados.", minimapPosition: "Posição", minimapPositionDesc: "Posicionamento no canto", minimapSize: "Tamanho", minimapSizeDesc: "Tamanho do minimapa", minimapRenderMode: "Modo de Renderização", minimapRenderModeDesc: "Velocidade vs qualidade", minimapStaticFast: "Mapa Estático (Rápido)", minimapLiveSlow: "Mapa ao Vivo (Lento)", shareClip: "Compartilhar Clip", shareClipNew: "NOVO", generateShareableLink: "Gerar Link Compartilhável", generateShareableLinkDesc: "Enviar para os servidores Sentry Studio após exportar", shareClipInfo: "Seu clip estará disponível por <strong>{hours} horas</strong> em clip.sentry-six.com", shareClipWarning: "Compartilhamento disponível apenas para exportações com menos de 5 minutos", minimapStaticDesc: "Mapa estático: Baixa os tiles do mapa uma vez, sobrepõe o caminho da rota e marcador de posição. Exportação rápida, requer internet.", minimapLiveDesc: "Mapa ao vivo: Renderiza cada quadro com Leaflet. Mostra atualizações do mapa em tempo real, mas exportação muito mais lenta.", renderingMinimap: "Renderizando minimapa...", minimapNoGpsDisabled: "Nenhum dado GPS disponível para sobreposição do minimapa. O minimapa será desativado.", minimapGpsExtractFailed: "Falha ao extrair dados GPS. O minimapa será desativado.", frontCamWarning: "A câmera frontal será reduzida para corresponder às outras câmeras.", output: "Saída", checkingFfmpeg: "Verificando FFmpeg...", ffmpegReady: "FFmpeg pronto", cpuOnly: "Apenas CPU (sem codificador GPU)", ffmpegRequiredMac: "FFmpeg necessário. Execute no Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg não encontrado. Coloque ffmpeg.exe na pasta ffmpeg_bin.", notAvailable: "Exportação não disponível (executando no navegador)", ffmpegError: "Erro ao verificar FFmpeg", blurZonesStatus: "{count} zona(s) de desfoque - Sobreposição do painel desativada", blurZonesWarning: "Aviso: Zonas de desfoque configuradas para câmeras não selecionadas ({cameras}) não serão aplicadas", minimizeHint: "Você pode minimizar esta janela para continuar assistindo as gravações. A exportação continuará em segundo plano.", analyzingSegments: "Analisando segmentos...", buildingExport: "Construindo exportação...", exportingWithEncoder: "Exportando com {encoder}...", exportingWithCpu: "Exportando com CPU...", exportingPercent: "Exportando... {percent}%", exportCompleteMB: "Exportação concluída! ({size} MB)", exportFailedCode: "Exportação falhou (código {code})", exportFailedNoSpace: "Exportação falhou: Espaço em disco insuficiente. Libere espaço na unidade de destino e tente novamente.", exportFailedPermission: "Exportação falhou: Permissão negada. Tente salvar em outra pasta ou verifique as permissões da pasta.", exportFailedPathNotFound: "Exportação falhou: Pasta de destino não encontrada. A unidade pode ter sido desconectada. Verifique o caminho e tente novamente.", exportFailedReadOnly: "Exportação falhou: A unidade de destino é somente leitura. Remova a proteção contra gravação ou escolha outra unidade.", exportFailedInvalidPath: "Exportação falhou: Caminho de arquivo inválido. Tente um caminho mais curto ou remova caracteres especiais do nome da pasta.", exportFailedGpuMemory: "Exportação falhou: GPU ficou sem memória. Feche outros aplicativos que usam GPU ou tente uma qualidade menor.", exportFailedGpuUnavailable: "Exportação falhou: Codificador GPU não está mais disponível. Reinicie o aplicativo ou verifique os drivers da GPU.", exportFailedSourceLost: "Exportação falhou: Arquivos de origem ficaram inacessíveis durante a exportação. Verifique se a unidade de origem ainda está conectada.", blurZoneFailed: "As zonas de desfoque de privacidade não foram aplicadas. Seu vídeo exportado NÃO está desfocado. Por favor, reinstale o aplicativo ou entre em contato com o suporte.", openFileLocation: "Deseja abrir a localização do arquivo?", layoutHint: "Arrastar para reposicionar • Cartões se ajustam às bordas", privacy: "Privacidade", blurZoneHint: "Ocultar placas ou informações sensíveis", timelapse: "Câmera Rápida", enableTimelapse: "Ativar Câmera Rápida", enableTimelapseDesc: "Acelerar imagens para uma visão condensada", timelapseSpeed: "Velocidade", timelapseSpeedDesc: "Multiplicador de velocidade de reprodução", timelapseOverlayNote: "As sobreposições do painel, minimapa e carimbo de data/hora serão sincronizadas com a velocidade de câmera rápida. O áudio é removido.", timelapseDuration: "Duração → Duração Câmera Rápida", shareLinkExpiry: "O link expira em {hours} horas", restoreBannerText: "{count} zona(s) de privacidade anterior(es) encontrada(s)", restoreBannerRestore: "Restaurar", restoreBannerDismiss: "Dispensar", restoreBannerRestored: "Zonas de privacidade restauradas" },
-            settings: { searchPlaceholder: "Pesquisar configurações...", title: "Configurações", general: "Geral", shortcuts: "Atalhos", advanced: "Avançado", displaySection: "Exibição", playbackOverlays: "Reprodução e Sobreposições", storageSection: "Armazenamento", aboutUpdates: "Sobre e Atualizações", appVersion: "Versão do App", systemSecurity: "Sistema e Segurança", secFeature: "Recurso", secStatus: "Status", secDescription: "Descrição", footagePrivacy: "Privacidade de Vídeo", localOnly: "Apenas Local", footagePrivacyDesc: "Os clipes da dashcam nunca saem do seu armazenamento local.", updateReporting: "Relatório de Atualização", statusActive: "Ativo", updateReportingDesc: "Ao iniciar, o app consulta nossa API para verificações de segurança e versão.", deviceHash: "Hash do Dispositivo", hashedSha256: "Hash (SHA-256)", deviceHashDesc: "Um ID seguro e salteado para prevenir spam de API.", learnMore: "Saiba Mais", hideDetails: "Ocultar Detalhes", architecture: "Arquitetura", dashboardStyle: "Estilo do Painel", language: "Idioma", languageDesc: "Idioma de exibição do aplicativo", layout: "Layout", classicSidebar: "Barra Lateral Clássica", classicSidebarDesc: "Barra lateral ancorada que não sobrepõe o vídeo", overlays: "Sobreposições", dashboard: "Painel", dashboardDesc: "Mostrar velocidade, marcha e dados de telemetria", gpsMap: "Mapa GPS", gpsMapDesc: "Mostrar mapa de rota com posição do veículo", theme: "Tema", themeDark: "Escuro", themeLight: "Claro", mapStyle: "Estilo do Mapa", mapStyleLight: "Claro", mapStyleDark: "Escuro", dashboardLayout: "Layout do Painel", dashboardLayoutDesc: "Estilo padrão ou compacto", default: "Padrão", acceleratorDisplay: "Exibição do Acelerador", acceleratorDisplayDesc: "Estilo de visualização do pedal", solidColor: "Cor Sólida (Lig/Desl)", iconBar: "Barra de Ícones (Preenchimento)", sideBar: "Barra Lateral", fixedToFrontCamera: "Fixo na Câmera Frontal", fixedToFrontCameraDesc: "Manter painel compacto na câmera frontal", mirrorCameras: "Espelhar Câmeras", mirrorCamerasDesc: "Espelhar câmeras traseira e repetidoras (como visto nos espelhos)", glassBlur: "Desfoque de Vidro", glassBlurDesc: "Intensidade do desfoque de sobreposição", metricUnits: "Unidades Métricas", metricUnitsDesc: "Usar quilômetros por hora (KM/H)", dateFormat: "Formato de Data", dateFormatDesc: "Formato de exibição para datas", globalSetting: "Configuração global", mdyFormat: "MM/DD/AAAA (EUA)", dmyFormat: "DD/MM/AAAA (Internacional)", ymdFormat: "AAAA-MM-DD (ISO)", timeFormat: "Formato de Hora", timeFormatDesc: "Relógio de 12 ou 24 horas", time12h: "12 horas (AM/PM)", time24h: "24 horas", defaultFolder: "Pasta Dashcam Padrão", defaultFolderDesc: "Carregar automaticamente esta pasta na inicialização", noFolderSet: "Nenhuma pasta definida", browse: "Procurar", clear: "Limpar", about: "Sobre", version: "Versão", viewChangelog: "Ver Registro de Alterações", support: "Suporte", supportDesc: "Tendo problemas? Use o botão de Chat de Suporte na barra de reprodução.", openSupportChat: "Abrir Chat de Suporte", done: "Concluído", keyboardShortcuts: "Atalhos de Teclado", keyboardShortcutsDesc: "Clique em um campo e pressione qualquer tecla", playPause: "Reproduzir / Pausar", skipForward: "Avançar", skipBackward: "Retroceder", skipDuration: "Duração do Salto", toggleDashboard: "Alternar Painel", toggleMap: "Alternar Mapa", toggleMphKmh: "Alternar MPH / KMH", toggleClipsPanel: "Alternar Painel de Clipes", setExportMarkerIn: "Marcador de Exportação Início", setExportMarkerOut: "Marcador de Exportação Fim", nextClip: "Próximo Clipe", prevClip: "Clipe Anterior", second: "segundo", seconds: "segundos", updates: "Atualizações", disableAutoUpdate: "Desativar Atualização Automática", disableAutoUpdateDesc: "Não verificar atualizações ao iniciar", updateBranch: "Ramo de Atualização", updateBranchDesc: "Main para estável, Dev-SEI para beta", mainStable: "Main (Estável)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Verificar Atualizações", checkForUpdatesDesc: "Verificar manualmente novas versões", checkNow: "Verificar Agora", checking: "Verificando...", upToDate: "Atualizado", checkFailed: "Verificação Falhou", updateFound: "Atualização Encontrada!", eventHighlights: "Destaques de Eventos", sentryCameraGlow: "Brilho da Câmera Sentry", sentryCameraGlowDesc: "Brilho vermelho na câmera acionada", savedCameraGlow: "Brilho da Câmera Salva", savedCameraGlowDesc: "Brilho amarelo na câmera acionada", cameraLayout: "Layout da Câmera", resetCameraOrder: "Redefinir Ordem das Câmeras", resetCameraOrderDesc: "Restaurar posições padrão da grade", reset: "Redefinir" },
+            export: { title: "Exportar Vídeo", start: "Início", end: "Fim", inPoint: "Início", outPoint: "Fim", duration: "Duração", layout: "Layout", quality: "Qualidade", overlays: "Sobreposições", timestamp: "Carimbo de Tempo", dashboard: "Painel", cancel: "Cancelar", exportBtn: "Exportar", preparing: "Preparando...", exporting: "Exportando...", compact: "Compacto", detailed: "Detalhado", teslaMobile: "Tesla Mobile", mobile: "Móvel", teslaMobilePositionDesc: "Topo ou fundo do clipe", bottom: "Fundo", top: "Topo", medium: "Médio", high: "Alto", maximum: "Máximo", timestampDesc: "Gravar data e hora da gravação", dashboardDesc: "Gravar velocidade, marcha e telemetria", position: "Posição", positionDesc: "Posicionamento no vídeo", style: "Estilo", styleDesc: "Estilo visual do painel", size: "Tamanho", sizeDesc: "Tamanho do painel", sizeSmall: "Pequeno (25%)", sizeMedium: "Médio (35%)", sizeLarge: "Grande (45%)", sizeXLarge: "Extra Grande (55%)", blurType: "Método de Desfoque", blurTypeDesc: "Escolha método baseado em velocidade vs qualidade", addBlurZone: "Adicionar Zona de Desfoque", addBlurZoneDesc: "Ocultar informações sensíveis antes de compartilhar", addZone: "Adicionar Zona", bottomCenter: "Centro Inferior", bottomLeft: "Inferior Esquerdo", bottomRight: "Inferior Direito", topCenter: "Centro Superior", topLeft: "Superior Esquerdo", topRight: "Superior Direito", blurSolid: "Sólido (Rápido)", blurTrue: "Desfoque Real (Lento)", blurZoneEditor: "Editor de Zona de Desfoque", blurZoneCount: "{count} zona(s) de desfoque configurada(s)", blurZoneInstructions: "Clique e arraste as alças dos cantos para redimensionar. Passe o mouse sobre as bordas para adicionar novos pontos. Clique nos pontos para criar formas complexas.", saveZone: "Salvar Zona", dashboardGpuWarning: "A sobreposição do painel requer codificação GPU. Nenhuma GPU compatível detectada.", dashboardPrerendered: "O painel é pré-renderizado para desempenho ideal.", maxQualityWarning: "Qualidade máxima usa codificação HEVC se GPU disponível.", minimap: "Minimapa GPS", minimapDesc: "Mostrar rota e posição no mapa", minimapNoGps: "Nenhum dado GPS encontrado nos clipes selecionados.", minimapPosition: "Posição", minimapPositionDesc: "Posicionamento no canto", minimapSize: "Tamanho", minimapSizeDesc: "Tamanho do minimapa", minimapRenderMode: "Modo de Renderização", minimapRenderModeDesc: "Velocidade vs qualidade", minimapStaticFast: "Mapa Estático (Rápido)", minimapLiveSlow: "Mapa ao Vivo (Lento)", shareClip: "Compartilhar Clip", shareClipNew: "NOVO", generateShareableLink: "Gerar Link Compartilhável", generateShareableLinkDesc: "Enviar para os servidores Sentry Studio após exportar", shareClipInfo: "Seu clip estará disponível por <strong>{hours} horas</strong> em clip.sentry-six.com", shareClipWarning: "Compartilhamento disponível apenas para exportações com menos de 5 minutos", minimapStaticDesc: "Mapa estático: Baixa os tiles do mapa uma vez, sobrepõe o caminho da rota e marcador de posição. Exportação rápida, requer internet.", minimapLiveDesc: "Mapa ao vivo: Renderiza cada quadro com Leaflet. Mostra atualizações do mapa em tempo real, mas exportação muito mais lenta.", renderingMinimap: "Renderizando minimapa...", minimapNoGpsDisabled: "Nenhum dado GPS disponível para sobreposição do minimapa. O minimapa será desativado.", minimapGpsExtractFailed: "Falha ao extrair dados GPS. O minimapa será desativado.", frontCamWarning: "A câmera frontal será reduzida para corresponder às outras câmeras.", output: "Saída", checkingFfmpeg: "Verificando FFmpeg...", ffmpegReady: "FFmpeg pronto", cpuOnly: "Apenas CPU (sem codificador GPU)", ffmpegRequiredMac: "FFmpeg necessário. Execute no Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg não encontrado. Coloque ffmpeg.exe na pasta ffmpeg_bin.", notAvailable: "Exportação não disponível (executando no navegador)", ffmpegError: "Erro ao verificar FFmpeg", blurZonesStatus: "{count} zona(s) de desfoque - Sobreposição do painel desativada", blurZonesWarning: "Aviso: Zonas de desfoque configuradas para câmeras não selecionadas ({cameras}) não serão aplicadas", minimizeHint: "Você pode minimizar esta janela para continuar assistindo as gravações. A exportação continuará em segundo plano.", analyzingSegments: "Analisando segmentos...", buildingExport: "Construindo exportação...", exportingWithEncoder: "Exportando com {encoder}...", exportingWithCpu: "Exportando com CPU...", exportingPercent: "Exportando... {percent}%", exportCompleteMB: "Exportação concluída! ({size} MB)", exportFailedCode: "Exportação falhou (código {code})", exportFailedNoSpace: "Exportação falhou: Espaço em disco insuficiente. Libere espaço na unidade de destino e tente novamente.", exportFailedPermission: "Exportação falhou: Permissão negada. Tente salvar em outra pasta ou verifique as permissões da pasta.", exportFailedPathNotFound: "Exportação falhou: Pasta de destino não encontrada. A unidade pode ter sido desconectada. Verifique o caminho e tente novamente.", exportFailedReadOnly: "Exportação falhou: A unidade de destino é somente leitura. Remova a proteção contra gravação ou escolha outra unidade.", exportFailedInvalidPath: "Exportação falhou: Caminho de arquivo inválido. Tente um caminho mais curto ou remova caracteres especiais do nome da pasta.", exportFailedGpuMemory: "Exportação falhou: GPU ficou sem memória. Feche outros aplicativos que usam GPU ou tente uma qualidade menor.", exportFailedGpuUnavailable: "Exportação falhou: Codificador GPU não está mais disponível. Reinicie o aplicativo ou verifique os drivers da GPU.", exportFailedSourceLost: "Exportação falhou: Arquivos de origem ficaram inacessíveis durante a exportação. Verifique se a unidade de origem ainda está conectada.", blurZoneFailed: "As zonas de desfoque de privacidade não foram aplicadas. Seu vídeo exportado NÃO está desfocado. Por favor, reinstale o aplicativo ou entre em contato com o suporte.", openFileLocation: "Deseja abrir a localização do arquivo?", layoutHint: "Arrastar para reposicionar • Cartões se ajustam às bordas", privacy: "Privacidade", blurZoneHint: "Ocultar placas ou informações sensíveis", timelapse: "Câmera Rápida", enableTimelapse: "Ativar Câmera Rápida", enableTimelapseDesc: "Acelerar imagens para uma visão condensada", timelapseSpeed: "Velocidade", timelapseSpeedDesc: "Multiplicador de velocidade de reprodução", timelapseOverlayNote: "As sobreposições do painel, minimapa e carimbo de data/hora serão sincronizadas com a velocidade de câmera rápida. O áudio é removido.", timelapseDuration: "Duração → Duração Câmera Rápida", shareLinkExpiry: "O link expira em {hours} horas", restoreBannerText: "{count} zona(s) de privacidade anterior(es) encontrada(s)", restoreBannerRestore: "Restaurar", restoreBannerDismiss: "Dispensar", restoreBannerRestored: "Zonas de privacidade restauradas", telemetryData: "Dados de Telemetria", telemetryDataDesc: "Velocidade, marcha, pedais, direção, piscas, estado do Autopilot, GPS e aceleração por quadro para o intervalo selecionado. Nenhum vídeo é recodificado.", exportTelemetry: "Exportar Telemetria", telemetrySelectFormat: "Selecione pelo menos um formato de telemetria", telemetryInProgress: "Já existe uma exportação em andamento", telemetryNoGps: "Sem sinal GPS neste intervalo — as trilhas GPX/KML ficarão vazias", telemetryExported: "{count} quadros de telemetria exportados para {files} arquivo(s)", telemetryExportFailed: "Falha ao exportar telemetria: {error}", subtitles: "Legendas de Telemetria", subtitleSidecar: "Arquivo separado", subtitleEmbedded: "Incorporadas", subtitleEmbeddedDesc: "Faixa no MP4", subtitlesDesc: "Hora, velocidade, marcha, estado do Autopilot e posição GPS uma vez por segundo como faixa de legendas que pode ser ligada e desligada. Nada é gravado no vídeo.", shareClipInfoServer: "Seu clipe ficará disponível por <strong>{hours}</strong> em {host}" },
+            settings: { searchPlaceholder: "Pesquisar configurações...", title: "Configurações", general: "Geral", shortcuts: "Atalhos", advanced: "Avançado", displaySection: "Exibição", playbackOverlays: "Reprodução e Sobreposições", storageSection: "Armazenamento", aboutUpdates: "Sobre e Atualizações", appVersion: "Versão do App", systemSecurity: "Sistema e Segurança", secFeature: "Recurso", secStatus: "Status", secDescription: "Descrição", footagePrivacy: "Privacidade de Vídeo", localOnly: "Apenas Local", footagePrivacyDesc: "Os clipes da dashcam nunca saem do seu armazenamento local.", updateReporting: "Relatório de Atualização", statusActive: "Ativo", updateReportingDesc: "Ao iniciar, o app consulta nossa API para verificações de segurança e versão.", deviceHash: "Hash do Dispositivo", hashedSha256: "Hash (SHA-256)", deviceHashDesc: "Um ID seguro e salteado para prevenir spam de API.", learnMore: "Saiba Mais", hideDetails: "Ocultar Detalhes", architecture: "Arquitetura", dashboardStyle: "Estilo do Painel", language: "Idioma", languageDesc: "Idioma de exibição do aplicativo", layout: "Layout", classicSidebar: "Barra Lateral Clássica", classicSidebarDesc: "Barra lateral ancorada que não sobrepõe o vídeo", overlays: "Sobreposições", dashboard: "Painel", dashboardDesc: "Mostrar velocidade, marcha e dados de telemetria", gpsMap: "Mapa GPS", gpsMapDesc: "Mostrar mapa de rota com posição do veículo", theme: "Tema", themeDark: "Escuro", themeLight: "Claro", mapStyle: "Estilo do Mapa", mapStyleLight: "Claro", mapStyleDark: "Escuro", dashboardLayout: "Layout do Painel", dashboardLayoutDesc: "Estilo padrão ou compacto", default: "Padrão", acceleratorDisplay: "Exibição do Acelerador", acceleratorDisplayDesc: "Estilo de visualização do pedal", solidColor: "Cor Sólida (Lig/Desl)", iconBar: "Barra de Ícones (Preenchimento)", sideBar: "Barra Lateral", fixedToFrontCamera: "Fixo na Câmera Frontal", fixedToFrontCameraDesc: "Manter painel compacto na câmera frontal", mirrorCameras: "Espelhar Câmeras", mirrorCamerasDesc: "Espelhar câmeras traseira e repetidoras (como visto nos espelhos)", glassBlur: "Desfoque de Vidro", glassBlurDesc: "Intensidade do desfoque de sobreposição", metricUnits: "Unidades Métricas", metricUnitsDesc: "Usar quilômetros por hora (KM/H)", dateFormat: "Formato de Data", dateFormatDesc: "Formato de exibição para datas", globalSetting: "Configuração global", mdyFormat: "MM/DD/AAAA (EUA)", dmyFormat: "DD/MM/AAAA (Internacional)", ymdFormat: "AAAA-MM-DD (ISO)", timeFormat: "Formato de Hora", timeFormatDesc: "Relógio de 12 ou 24 horas", time12h: "12 horas (AM/PM)", time24h: "24 horas", defaultFolder: "Pasta Dashcam Padrão", defaultFolderDesc: "Carregar automaticamente esta pasta na inicialização", noFolderSet: "Nenhuma pasta definida", browse: "Procurar", clear: "Limpar", about: "Sobre", version: "Versão", viewChangelog: "Ver Registro de Alterações", support: "Suporte", supportDesc: "Tendo problemas? Use o botão de Chat de Suporte na barra de reprodução.", openSupportChat: "Abrir Chat de Suporte", done: "Concluído", keyboardShortcuts: "Atalhos de Teclado", keyboardShortcutsDesc: "Clique em um campo e pressione qualquer tecla", playPause: "Reproduzir / Pausar", skipForward: "Avançar", skipBackward: "Retroceder", skipDuration: "Duração do Salto", toggleDashboard: "Alternar Painel", toggleMap: "Alternar Mapa", toggleMphKmh: "Alternar MPH / KMH", toggleClipsPanel: "Alternar Painel de Clipes", setExportMarkerIn: "Marcador de Exportação Início", setExportMarkerOut: "Marcador de Exportação Fim", nextClip: "Próximo Clipe", prevClip: "Clipe Anterior", second: "segundo", seconds: "segundos", updates: "Atualizações", disableAutoUpdate: "Desativar Atualização Automática", disableAutoUpdateDesc: "Não verificar atualizações ao iniciar", updateBranch: "Ramo de Atualização", updateBranchDesc: "Main para estável, Dev-SEI para beta", mainStable: "Main (Estável)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Verificar Atualizações", checkForUpdatesDesc: "Verificar manualmente novas versões", checkNow: "Verificar Agora", checking: "Verificando...", upToDate: "Atualizado", checkFailed: "Verificação Falhou", updateFound: "Atualização Encontrada!", eventHighlights: "Destaques de Eventos", sentryCameraGlow: "Brilho da Câmera Sentry", sentryCameraGlowDesc: "Brilho vermelho na câmera acionada", savedCameraGlow: "Brilho da Câmera Salva", savedCameraGlowDesc: "Brilho amarelo na câmera acionada", cameraLayout: "Layout da Câmera", resetCameraOrder: "Redefinir Ordem das Câmeras", resetCameraOrderDesc: "Restaurar posições padrão da grade", reset: "Redefinir", indexCache: "Cache do índice da biblioteca", indexCacheStatus: "{folders} pasta(s) em cache · {size}", indexCacheEmpty: "Nenhuma pasta em cache ainda", clearIndexCache: "Limpar cache", indexCacheCleared: "Cache do índice limpo. As pastas serão verificadas novamente na próxima vez que forem abertas.", indexCacheClearFailed: "Falha ao limpar o cache do índice: {error}", rebuildIndex: "Reconstruir índice", indexRebuilt: "Índice reconstruído a partir da unidade.", indexRebuildFailed: "Falha ao reconstruir o índice: {error}", indexRebuildNeedsFolder: "Abra primeiro uma pasta da dashcam para reconstruir o índice.", addBookmark: "Adicionar marcador", frameForward: "Próximo quadro", frameBackward: "Quadro anterior", saveStill: "Salvar quadro", toggleTelemetryCharts: "Alternar gráficos de telemetria", nextMotion: "Próximo movimento", prevMotion: "Movimento anterior", toggleMotionSkipIdle: "Alternar pular inatividade", toggleSmartPlayback: "Alternar reprodução inteligente", nextMultiLayout: "Próximo layout de câmeras", prevMultiLayout: "Layout de câmeras anterior", sharingSection: "Compartilhamento de Clipes", shareServer: "Servidor de compartilhamento", shareServerSave: "Salvar", shareServerReset: "Padrão", shareServerDesc: "Deixe vazio para usar o serviço hospedado do Sentry Studio, ou informe o endereço do seu próprio servidor (share-server no repositório) para manter os clipes compartilhados na sua rede.", shareServerInvalid: "Não foi possível salvar o servidor", shareServerDefault: "Usando o serviço hospedado do Sentry Studio", shareServerSaved: "Os clipes serão compartilhados via {url}" },
             cameras: { front: "Frontal", back: "Traseira", leftPillar: "Pilar Esquerdo", rightPillar: "Pilar Direito", leftRepeater: "Repetidor Esquerdo", rightRepeater: "Repetidor Direito" },
             dashboard: { drive: "Conduzir", manual: "Manual", noData: "Sem Dados", mph: "MPH", kmh: "KM/H", selfDriving: "Condução Autônoma", autosteer: "Direção Automática", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Carregue uma coleção primeiro para definir marcadores de exportação", startMarkerSet: "Marcador de início definido", endMarkerSet: "Marcador de fim definido", exportComplete: "Exportação concluída!", exportCancelled: "Exportação cancelada", exportFailed: "Falha na exportação", foundDatesWithClips: "Encontradas {count} datas com clipes", loadedFilesForDate: "Carregados {count} arquivos para {date}", noDataForDate: "Sem dados para {date}", noClipsFoundForDate: "Nenhum clipe encontrado para {date}", noDashcamClipsFound: "Nenhum clipe de vídeo encontrado. Selecione uma pasta contendo arquivos de vídeo (.mp4, .avi, .mov, .mkv) ou uma pasta de dashcam Tesla com RecentClips, SentryClips ou SavedClips.", metadataParserNotReady: "Analisador de metadados ainda não inicializado—tente novamente em um segundo.", noSupportedFilesFound: "Nenhum arquivo suportado encontrado nessa pasta.", failedToLoadVideo: "Falha ao carregar vídeo: {error}", errorSelectingDay: "Erro ao selecionar dia: {error}", failedToOpenFolder: "Falha ao abrir pasta: {error}", failedToInitMetadataParser: "Falha ao inicializar analisador de metadados. Certifique-se de que o protobuf carrega e que você não está executando via file://", capturingSnapshot: "Capturando instantâneo...", couldNotFindVideoFile: "Não foi possível encontrar o arquivo de vídeo para a câmera {camera}", unsupportedFileType: "Tipo de arquivo não suportado para instantâneo", failedToCaptureSnapshot: "Falha ao capturar instantâneo: {error}", blurZoneMinPoints: "Por favor, crie uma zona de desfoque válida com pelo menos 3 pontos", failedToGenerateMask: "Falha ao gerar imagem de máscara", failedToExtractMaskData: "Falha ao extrair dados da imagem de máscara", failedToGetCanvasDimensions: "Falha ao obter dimensões do canvas", blurZoneSaved: "Zona de desfoque salva com sucesso", failedToSaveBlurZone: "Falha ao salvar zona de desfoque: {error}", exportNotAvailable: "Exportação não disponível", exportRequiresFolder: "A exportação requer a seleção de uma pasta através do seletor. Por favor, selecione novamente sua pasta de dashcam.", selectAtLeastOneCamera: "Por favor, selecione pelo menos uma câmera", extractingTelemetry: "Extraindo dados de telemetria...", noTelemetryData: "Nenhum dado de telemetria disponível para a sobreposição do painel. O painel será desabilitado.", failedToExtractTelemetry: "Falha ao extrair dados de telemetria. O painel será desabilitado.", noVideoFilesForExport: "Nenhum arquivo de vídeo encontrado para exportação. Certifique-se de que a pasta foi selecionada corretamente.", exportFailedWithError: "Falha na exportação: {error}", onlyOneAttachment: "Apenas 1 anexo permitido por mensagem", fileTooLarge: "O arquivo \"{filename}\" é muito grande (máx. 100MB)", enterMessageOrAttach: "Por favor, insira uma mensagem ou anexe um arquivo", supportTicketClosed: "Ticket de suporte fechado", newSupportMessages: "{count} nova(s) mensagem(ns) de suporte recebida(s)", cameraOrderReset: "Ordem das câmeras redefinida para o padrão", collectingDiagnostics: "Coletando dados de diagnóstico...", uploadingDiagnostics: "Enviando diagnósticos...", supportIdCopied: "ID de Suporte: {supportId} - Copiado para a área de transferência!", failedToUploadDiagnostics: "Falha ao enviar diagnósticos: {error}", uploadFailed: "Falha no envio: {error}", supportIdCopiedSimple: "ID de Suporte copiado para a área de transferência!", failedToCopy: "Falha ao copiar: {error}", failedToGenerateSupportId: "Falha ao gerar ID de Suporte: {error}" },
             supportChat: { title: "Chat de Suporte", needHelp: "Precisa de Ajuda?", welcomeDesc: "Inicie uma conversa de suporte conosco. Descreva seu problema, bug ou feedback e responderemos o mais rápido possível.", welcomeNote: "Você pode anexar capturas de tela/vídeos e dados de diagnóstico para nos ajudar a entender melhor seu problema.", diagnostics: "Diagnósticos", attach: "Anexar", placeholder: "Descreva seu problema ou feedback...", privacyNote: "Os dados são excluídos automaticamente após 7 dias", ticketClosed: "Este ticket foi fechado.", createNewTicket: "Criar Novo Ticket de Suporte", closeTicket: "Fechar Ticket", minimize: "Minimizar", closePanel: "Fechar Painel", sendMessage: "Enviar mensagem", includeDiagnostics: "Incluir dados de diagnóstico", attachFiles: "Anexar arquivos", you: "Você", support: "Suporte" },
-            sharedClips: { title: "Meus Clips Compartilhados", emptyTitle: "Nenhum clip compartilhado ainda", emptyDesc: "Exporte um clip com compartilhamento ativado para vê-lo aqui", clickHint: "Selecione um clip para ver detalhes", copyLink: "Copiar Link", open: "Abrir", delete: "Excluir", deleteTitle: "Excluir Clip Compartilhado", deleteConfirm: "Tem certeza de que deseja excluir", deleteWarning: "Isso removerá permanentemente o clip dos servidores Sentry Studio. Qualquer pessoa com o link não poderá mais visualizar ou baixar.", cancel: "Cancelar", deleteClip: "Excluir Clip" }
+            sharedClips: { title: "Meus Clips Compartilhados", emptyTitle: "Nenhum clip compartilhado ainda", emptyDesc: "Exporte um clip com compartilhamento ativado para vê-lo aqui", clickHint: "Selecione um clip para ver detalhes", copyLink: "Copiar Link", open: "Abrir", delete: "Excluir", deleteTitle: "Excluir Clip Compartilhado", deleteConfirm: "Tem certeza de que deseja excluir", deleteWarning: "Isso removerá permanentemente o clip dos servidores Sentry Studio. Qualquer pessoa com o link não poderá mais visualizar ou baixar.", cancel: "Cancelar", deleteClip: "Excluir Clip", resumeUpload: "Retomar envio" },
+            exportQueue: { title: "Fila de exportação", addToQueue: "Adicionar à fila", jobAdded: "Adicionado à fila de exportação: {name}", jobDone: "Exportação da fila concluída: {name}", jobFailed: "Falha na exportação da fila: {name} ({error})", actionFailed: "Erro na fila de exportação: {error}", emptyTitle: "Nenhuma exportação na fila", emptyDesc: "Use \"Adicionar à fila\" na janela de exportação para enfileirar várias exportações", pausedNote: "A fila está pausada. A exportação atual termina, mas nenhum novo trabalho começa até retomar.", clearFinished: "Limpar concluídas", pauseQueue: "Pausar fila", resumeQueue: "Retomar fila", moveUp: "Mover para cima", moveDown: "Mover para baixo", pause: "Pausar", resume: "Retomar", retry: "Tentar novamente", remove: "Remover", showInFolder: "Mostrar na pasta", statusPending: "Aguardando", statusRunning: "Exportando", statusPaused: "Pausado", statusFailed: "Falhou", statusDone: "Concluído" },
+            incidents: { tab: "Incidentes", scan: "Analisar", rescan: "Reanalisar", selectClip: "Abra um clipe para procurar incidentes", notScanned: "Ainda não analisado", scanning: "Analisando telemetria ({done}/{total})", found: "{count} incidente(s) encontrado(s)", scanFailed: "Falha na análise de incidentes: {error}", hardBrake: "Frenagem brusca", hardAccel: "Aceleração brusca", sharpTurn: "Curva brusca", impact: "Possível impacto", settingsTitle: "Detecção de incidentes", resetThresholds: "Redefinir limites" },
+            highlightReel: { title: "Resumo de destaques", enable: "Criar resumo de destaques", enableDesc: "Junta clipes curtos dos momentos-chave num único vídeo", sourceEvents: "Eventos Sentinela e guardados", sourceEventsDesc: "Momento em que o evento foi acionado", sourceDisengagements: "Desativações do FSD", sourceDisengagementsDesc: "Dos dados de viagem do SentryUSB", sourceAccelPushes: "Toques no acelerador", sourceAccelPushesDesc: "Pressões no pedal com o FSD ativo", sourceBraking: "Frenagens bruscas", sourceBrakingDesc: "Detetadas a partir da telemetria", paddingBefore: "Antes de cada momento", paddingBeforeDesc: "Filmagem mantida antes do gatilho", paddingAfter: "Depois de cada momento", paddingAfterDesc: "Filmagem mantida depois do gatilho", note: "Usa todo o clipe carregado em vez dos marcadores de início/fim. Cada momento recebe um cartão de título com data, hora e local.", sentryEvent: "Evento Sentinela", savedEvent: "Clipe guardado", disengagement: "Desativação do FSD", accelPush: "Toque no acelerador", scanningTelemetry: "A analisar a telemetria em busca de frenagens bruscas…", nothingFound: "Nenhum destaque encontrado nas fontes selecionadas", tooManyClips: "Encontrados {count} destaques; apenas os primeiros {max} serão incluídos", renderingClip: "A renderizar destaque {current} de {total}…", stitching: "A juntar destaques e cartões de título…" },
+            libraryMap: { open: "Mapa da biblioteca", title: "Mapa da biblioteca", from: "De", to: "Até", reason: "Motivo", allReasons: "Todos os motivos", drives: "Viagens", fit: "Ajustar aos resultados", loading: "Lendo locais dos eventos… {done}/{total}", summary: "{events} evento(s) · {drives} viagem(ns)", noLocations: "Nada com localização corresponde a estes filtros", openClip: "Abrir clipe", openDrive: "Abrir viagem", noLibrary: "Abra primeiro uma pasta da dashcam ou carregue os dados de viagens do SentryUSB", mapUnavailable: "Falha ao carregar a biblioteca de mapas. Verifique sua conexão com a internet." },
+            search: { tab: "Pesquisar", placeholder: "ex.: reason:honk date:-30d", run: "Pesquisar", help: "Sintaxe de consulta", helpEvents: "Eventos:", helpTime: "Data e hora:", helpDrives: "Viagens:", helpTelemetry: "Telemetria:", helpLogic: "Combinar:", readingEvents: "Lendo eventos… {done}/{total}", noLibrary: "Abra uma pasta da dashcam para pesquisar nela", searching: "Pesquisando…", indexingDate: "Indexando {date}…", scanningTelemetry: "Lendo telemetria… {done}/{total} clipes", found: "{count} resultado(s)", tooManyResults: "Mostrando os primeiros {count} resultados — refine a consulta para ver mais", scanLimited: "A telemetria foi lida apenas para os {count} clipes correspondentes mais recentes; adicione date: para pesquisar mais para trás.", failed: "Falha na pesquisa: {error}", drive: "Viagem", sentryEvent: "Evento do Sentinela", savedEvent: "Clipe salvo", recentClips: "Clipes recentes", customClips: "Clipes", errorEmptyGroup: "Era esperado um termo de pesquisa", errorParen: "Parênteses desbalanceados", errorUnexpected: "\"{token}\" inesperado", errorMissingValue: "Falta um valor após {field}", errorInvalidValue: "\"{value}\" não é um valor válido para {field}", errorComparator: "\"{cmp}\" não pode ser usado com {field}; use : ou !=" },
+            bookmarks: { tab: "Marcadores", filter: "Filtrar marcadores…", add: "Marcar o momento atual", addTitle: "Adicionar marcador", editTitle: "Editar marcador", titleLabel: "Título", titlePlaceholder: "O que aconteceu aqui?", noteLabel: "Notas", colorLabel: "Cor", delete: "Excluir", cancel: "Cancelar", save: "Salvar", edit: "Editar", untitled: "Marcador sem título", noFolder: "Abra uma pasta da dashcam para adicionar marcadores", empty: "Ainda não há marcadores. Use o botão de marcador ao lado da linha do tempo para marcar um momento.", count: "{count} marcador(es)", filtered: "{count} de {total} marcadores", saveFailed: "Não foi possível salvar os marcadores: {error}", savedLocally: "Esta pasta é somente leitura, então os marcadores são salvos apenas neste computador" },
+            stills: { frameBack: "Quadro anterior", frameForward: "Próximo quadro", saveStill: "Salvar quadro", title: "Salvar quadro", sourceLabel: "Câmera", wholeGrid: "Todas as câmeras (grade)", captionLabel: "Adicionar legenda de telemetria (hora, velocidade, marcha, GPS)", hint: "Salvo como PNG na resolução nativa das câmeras.", cancel: "Cancelar", save: "Salvar PNG", saveTitle: "Salvar quadro", autopilot: "Autopilot", noVideo: "Abra um clipe para salvar um quadro", noFrame: "O quadro do vídeo ainda não está pronto", saved: "Quadro salvo: {file}", saveFailed: "Falha ao salvar o quadro: {error}" },
+            evidence: { title: "Pacote de provas", enable: "Criar pacote de provas", enableDesc: "Compacta os clipes originais, os dados do evento e a telemetria junto com o vídeo", note: "Inclui o clipe intacto de cada câmera no intervalo marcado, um relatório com horários e configurações de exportação e um manifesto SHA-256 para que qualquer pessoa possa verificar que nada foi alterado.", verify: "Verificar pacote...", verifying: "Verificando arquivos com SHA256SUMS...", verifyOk: "{name}: todos os {count} arquivos conferem com o manifesto", verifyFailed: "{name}: verificação FALHOU - o pacote foi alterado", verifyError: "Não foi possível verificar o pacote: {error}", statusModified: "modificado", statusMissing: "ausente", statusUnlisted: "fora do manifesto", noSourceFiles: "Nenhum clipe de origem no disco para este intervalo", notWithReel: "Pacotes de provas cobrem um único intervalo contínuo - desative primeiro o Resumo de destaques", rendering: "Renderizando vídeo para o pacote de provas...", telemetry: "Decodificando telemetria...", hashing: "Calculando hashes ({current}/{total})...", zipping: "Gravando zip...", complete: "Pacote de provas salvo ({files} arquivos, {size} MB)" },
+            incidentReport: { title: "Relatório de incidente", generate: "Criar relatório de incidente", saveTitle: "Salvar relatório de incidente", generating: "Gerando relatório de incidente…", saved: "Relatório de incidente salvo: {file}", failed: "Não foi possível criar o relatório de incidente: {error}", notAvailable: "Relatórios de incidente estão disponíveis para eventos Sentry e salvos com event.json", eventDetails: "Detalhes do evento", eventType: "Tipo de evento", reason: "Motivo", triggerTime: "Acionado em", triggerCamera: "Câmera que acionou", location: "Local", coordinates: "Coordenadas", sourceFolder: "Pasta de origem", recording: "Gravação", clipCount: "{count} clipes", keyFrames: "Quadros-chave", trigger: "Acionamento", noFrames: "Não foi possível ler quadros de vídeo ao redor do acionamento", map: "Mapa de localização", mapOffline: "Não foi possível baixar os blocos do mapa; a rota e a posição são desenhadas sem fundo.", noGps: "Nenhuma posição GPS foi registrada para este evento", telemetry: "Telemetria do veículo ({seconds} s ao redor do acionamento)", noTelemetry: "Nenhuma telemetria foi registrada ao redor do acionamento (comum quando estacionado)", atTrigger: "No acionamento", speed: "Velocidade", accelerator: "Acelerador", brake: "Freio", steering: "Ângulo de direção", gear: "Marcha", autopilot: "Assistência ao condutor", applied: "Acionado", released: "Solto", footer: "Gerado pelo Sentry Studio em {date} a partir das gravações originais do TeslaCam. Os horários são os registrados pelo veículo." },
+            telemetryCharts: { title: "Gráficos de telemetria", toggle: "Gráficos de telemetria", speed: "Velocidade", accelerator: "Acelerador", brake: "Freio", steering: "Direção", lateralG: "G lateral", longitudinalG: "G longitudinal", autopilot: "Autopilot", on: "Sim", off: "Não", dock: "Fixar acima dos controles", undock: "Painel flutuante", resetZoom: "Mostrar toda a linha do tempo", close: "Fechar", noCollection: "Selecione um clipe para ver a telemetria", loading: "Lendo telemetria… {done}/{total}", noData: "Não há telemetria nestes clipes", scanFailed: "Não foi possível ler a telemetria: {error}" },
+            timelineStrip: { setting: "Faixa da linha do tempo", settingDesc: "Cor abaixo da barra de progresso", speed: "Velocidade", autopilot: "Autopilot", off: "Desativado", gapMinutes: "{count} min não gravados", gapSeconds: "{count} s não gravados" },
+            motion: { setting: "Análise de movimento", settingDesc: "Procurar movimento em todas as câmeras dos eventos Sentinela e salvos", skipIdleOff: "Pular períodos sem atividade", skipIdleOn: "Pulando períodos sem atividade (clique para desativar)", skipIdleEnabled: "Períodos sem movimento serão pulados", skipIdleDisabled: "Reproduzindo tudo", analyzing: "Analisando movimento… {percent}%", analysisFailed: "Falha na análise de movimento: {error}", noNext: "Não há mais movimento após este ponto", noPrevious: "Não há movimento antes deste ponto", skipped: "{seconds} s sem movimento pulados" },
+            smartPlayback: { toggle: "Reprodução inteligente: pular trechos estacionado, 1x perto de frenagem/pisca", on: "Reprodução inteligente ativada (clique para desativar)", enabled: "Reprodução inteligente ativada", disabled: "Reprodução inteligente desativada", saved: "{time} de tempo estacionado pulado ou acelerado", settingsTitle: "Reprodução inteligente", parkedAction: "Trechos estacionado", parkedActionDesc: "Marcha em P e parado", skip: "Pular", fastForward: "Avanço rápido", minParked: "Trecho estacionado mínimo", fastRate: "Velocidade de avanço rápido", slowPad: "1x perto de frenagem/pisca", off: "Desativado", reset: "Redefinir reprodução inteligente" },
+            multiLayouts: { title: "Layout das câmeras", sixDefault: "Padrão (3×2)", quad: "2×2 (quatro câmeras)", frontFocus: "Frontal grande + 5", frontBack: "Frontal / Traseira", pip: "Imagem em imagem", builtIn: "Integrados", custom: "Personalizados", manage: "Gerenciar", newLayout: "Novo layout…", editLayout: "Editar layout…", defaultName: "Meu layout {n}", switched: "Layout: {name}", saved: "Layout \"{name}\" salvo", noCameras: "Adicione pelo menos uma câmera ao layout", nameLabel: "Nome", camerasLabel: "Câmeras", editorHint: "Arraste para mover • Arraste o canto para redimensionar • Os cartões se encaixam nas bordas", delete: "Excluir", cancel: "Cancelar", save: "Salvar" },
+            exportPresets: { label: "Predefinição", none: "Sem predefinição", empty: "Nenhuma predefinição salva", save: "Salvar como predefinição", rename: "Renomear predefinição", delete: "Excluir predefinição", import: "Importar predefinições", export: "Exportar predefinições para arquivo", exportTitle: "Salvar predefinições de exportação", fileType: "Predefinições de exportação", namePlaceholder: "Nome da predefinição", confirm: "Salvar", cancel: "Cancelar", saved: "Predefinição \"{name}\" salva", renamed: "Predefinição renomeada para \"{name}\"", deleted: "Predefinição \"{name}\" excluída", applied: "Predefinição \"{name}\" aplicada", nameTaken: "Já existe uma predefinição chamada \"{name}\"", imported: "{count} predefinição(ões) importada(s)", exported: "{count} predefinição(ões) exportada(s)", importFailed: "Não foi possível importar as predefinições: {error}", exportFailed: "Não foi possível exportar as predefinições: {error}", camerasUnavailable: "Não estão neste clipe: {cameras}" },
+            exportMetadata: { title: "Metadados do Arquivo", gpsTrack: "Incorporar Local de Início", gpsTrackDesc: "Onde a exportação começa, para apps de fotos e mapas", chapters: "Adicionar Capítulos", chaptersDesc: "Marcadores em cada clipe, disparo de evento e desengate do FSD", clipChapter: "Clipe {time}", clipChapterUntimed: "Clipe" },
+            webGallery: { open: "Galeria web", title: "Galeria web", description: "Exporta os eventos selecionados como uma pasta que abre em qualquer navegador, sem o Sentry Studio nem ligação à internet. Copie-a para uma pen USB ou uma pasta partilhada.", selectAll: "Selecionar tudo", selectNone: "Desmarcar tudo", galleryTitle: "Título", defaultTitle: "Galeria Sentry Studio", cameras: "Câmaras", trim: "Exportar apenas em torno do momento do evento", before: "Segundos antes", after: "Segundos depois", cancel: "Cancelar", export: "Exportar galeria", noLibrary: "Abra primeiro uma pasta de dashcam com eventos Sentry ou guardados", noEvents: "Não há eventos Sentry nem guardados nesta pasta", loading: "A ler eventos… {done}/{total}", noMatches: "Nenhum evento corresponde a estes filtros", selectedCount: "{count} de {total} evento(s) selecionados", noSelection: "Selecione pelo menos um evento", queued: "Galeria web com {count} evento(s) adicionada à fila de exportação: {name}", rendering: "Evento {current}/{total}: a renderizar {camera}", writingPage: "A escrever a página da galeria...", complete: "Galeria exportada ({events} evento(s), {size})", skipped: "Não foi possível exportar {count} evento(s): {events}", pageEvents: "{count} evento(s)", pageCreated: "Criada em {date}", pageAllEvents: "Todos os eventos", pagePrevious: "Evento anterior", pageNext: "Evento seguinte", pagePlay: "Reproduzir / pausar", pageJumpToEvent: "Ir para o evento", pageType: "Tipo", pageDate: "Data", pageLocation: "Localização", pageCoordinates: "Coordenadas", pageCamera: "Câmara que detetou", pageDuration: "Duração", pageDistance: "Distância", pageRoute: "Percurso", pageOpenMap: "Abrir no OpenStreetMap", pageEventJson: "Transferir event.json", pageNoRoute: "Sem dados GPS nestes clips" },
+            clipHealth: { open: "Estado dos clips", title: "Estado dos clips", description: "Encontra clips vazios, ilegíveis ou cortados porque o carro perdeu energia, e clips a que falta uma câmara. Os clips reparados são guardados ao lado do original como .repaired.mp4 e reproduzidos em seu lugar; o original nunca é alterado.", scan: "Analisar novamente", repairAll: "Reparar tudo", close: "Fechar", needsFolder: "Escolha primeiro uma pasta de dashcam com o botão de pasta (pastas arrastadas não podem ser analisadas)", reading: "A ler a pasta…", scanning: "A verificar clips… {done}/{total}", summary: "{files} ficheiro(s) verificados: {problems} problema(s) em {groups} grupo(s) de clips", allGood: "{files} ficheiro(s) verificados, sem problemas", scanFailed: "Falha na análise: {error}", statusEmpty: "Vazio", statusUnreadable: "Ilegível", statusTruncated: "Cortado", missingCameras: "Câmaras em falta", repair: "Reparar", repaired: "Reparado", repairing: "A reparar {current}/{total}…", repairFailed: "Falha na reparação: {error}", repairDone: "{repaired} clip(s) reparados, {failed} falharam", showInFolder: "Mostrar na pasta" },
+            storage: { open: "Armazenamento", title: "Armazenamento", description: "Veja o que está ocupando espaço nesta pasta e libere-o por dia, evento ou regra de retenção. Nada é removido sem uma pré-visualização, e tudo vai para a lixeira do sistema, podendo ser restaurado.", needsFolder: "Abra primeiro uma pasta da dashcam para ver o armazenamento.", reading: "Lendo a pasta…", measuring: "Medindo {done} de {total} clipes…", scanFailed: "Não foi possível medir a pasta: {error}", total: "{size} em {count} dias e eventos", byType: "Por tipo", byCamera: "Por câmera", byDay: "Por dia", other: "Outros", tabUsage: "Uso", tabClips: "Clipes", tabRules: "Regras de retenção", selectAll: "Selecionar tudo", selectNone: "Desmarcar tudo", cameraCount: "{count} câmeras", selectedCount: "{count} selecionados · {size}", trashSelected: "Mover seleção para a lixeira", rulesDescription: "As regras só são aplicadas quando você as pré-visualiza e confirma. Eventos são mantidos ou removidos por inteiro; dos clipes recentes ficam apenas os minutos com marcador.", ruleDelete: "Excluir", ruleKeepCameras: "Manter só câmeras", ruleOlderThan: "mais antigos que (dias)", ruleExceptBookmarked: "exceto com marcador", ruleRemove: "Remover regra", noRules: "Nenhuma regra de retenção ainda.", addRule: "Adicionar regra", previewRules: "Pré-visualizar", planSummary: "{files} arquivos ({size}) de {count} dias e eventos serão movidos para a lixeira.", planEmpty: "Nada corresponde; nenhum arquivo seria removido.", planWhole: "Tudo", planCameras: "Câmeras: {cameras}", back: "Voltar", confirmTrash: "Mover para a lixeira", trashing: "Movendo {done} de {total} para a lixeira…", trashDone: "{count} itens ({size}) movidos para a lixeira.", trashPartial: "{trashed} itens movidos para a lixeira; {failed} não puderam ser movidos ({error}).", trashFailed: "Não foi possível mover para a lixeira: {error}", close: "Fechar" }
         },
         welcome: {
             modalTitle: "Bem-vindo ao Sentry Studio",
@@ -455,13 +623,32 @@ export const translations = {
             eventTypes: { manualSave: "Ручное Сохранение", honk: "Гудок", objectDetected: "Обнаружен Объект", emergencyBraking: "Экстренное Торможение", accelerationDetected: "Обнаружено Ускорение", collisionDetected: "Обнаружено Столкновение" },
             map: { recenter: "Перецентрировать карту", hint: "Правый клик и перетаскивание для перемещения" },
             playback: { play: "Воспроизведение", pause: "Пауза", skipBack: "Назад на 15 секунд", skipForward: "Вперед на 15 секунд", playbackSpeed: "Скорость воспроизведения", setStartMarker: "Установить начальную точку экспорта", setEndMarker: "Установить конечную точку экспорта", exportVideo: "Экспортировать видео", supportChat: "Чат Поддержки", settings: "Настройки", toggleDetails: "Показать/Скрыть Детали", lateralG: "Боковое G", longitudinalG: "Продольное G", heading: "Курс", openExportDetails: "Открыть детали экспорта" },
-            export: { title: "Экспорт Видео", start: "Начало", end: "Конец", inPoint: "Начало", outPoint: "Конец", duration: "Длительность", layout: "Макет", quality: "Качество", overlays: "Наложения", timestamp: "Временная Метка", dashboard: "Панель Приборов", cancel: "Отмена", exportBtn: "Экспорт", preparing: "Подготовка...", exporting: "Экспорт...", compact: "Компактный", detailed: "Подробный", teslaMobile: "Tesla Mobile", mobile: "Мобильный", teslaMobilePositionDesc: "Сверху или снизу клипа", bottom: "Снизу", top: "Сверху", medium: "Средний", high: "Высокий", maximum: "Максимальный", timestampDesc: "Записать дату и время записи", dashboardDesc: "Записать скорость, передачу и телеметрию", position: "Позиция", positionDesc: "Размещение на видео", style: "Стиль", styleDesc: "Визуальный стиль панели приборов", size: "Размер", sizeDesc: "Размер панели приборов", sizeSmall: "Маленький (25%)", sizeMedium: "Средний (35%)", sizeLarge: "Большой (45%)", sizeXLarge: "Очень Большой (55%)", blurType: "Метод Размытия", blurTypeDesc: "Выберите метод на основе скорости vs качества", addBlurZone: "Добавить Зону Размытия", addBlurZoneDesc: "Скрыть конфиденциальную информацию перед публикацией", addZone: "Добавить Зону", bottomCenter: "Низ Центр", bottomLeft: "Низ Слева", bottomRight: "Низ Справа", topCenter: "Верх Центр", topLeft: "Верх Слева", topRight: "Верх Справа", blurSolid: "Сплошной (Быстро)", blurTrue: "Настоящее Размытие (Медленно)", blurZoneEditor: "Редактор Зоны Размытия", blurZoneCount: "{count} зона(ы) размытия настроена(ы)", blurZoneInstructions: "Нажмите и перетащите угловые ручки для изменения размера. Наведите на края для добавления новых точек. Нажмите на точки для создания сложных форм.", saveZone: "Сохранить Зону", dashboardGpuWarning: "Наложение панели приборов требует GPU кодирования. Совместимый GPU не обнаружен.", dashboardPrerendered: "Панель приборов предварительно отрендерена для оптимальной производительности.", maxQualityWarning: "Максимальное качество использует HEVC кодирование при наличии GPU.", frontCamWarning: "Передняя камера будет уменьшена для соответствия другим камерам.", minimap: "GPS Мини-карта", minimapDesc: "Показать маршрут и позицию на карте", minimapNoGps: "GPS данные не найдены в выбранных клипах.", minimapPosition: "Позиция", minimapPositionDesc: "Размещение в углу", minimapSize: "Размер", minimapSizeDesc: "Размер мини-карты", minimapRenderMode: "Режим Рендеринга", minimapRenderModeDesc: "Скорость vs качество", minimapStaticFast: "Статическая Карта (Быстро)", minimapLiveSlow: "Живая Карта (Медленно)", shareClip: "Поделиться Клипом", shareClipNew: "НОВОЕ", generateShareableLink: "Создать Ссылку для Общего Доступа", generateShareableLinkDesc: "Загрузить на серверы Sentry Studio после экспорта", shareClipInfo: "Ваш клип будет доступен <strong>{hours} часов</strong> на clip.sentry-six.com", shareClipWarning: "Общий доступ доступен только для экспортов менее 5 минут", minimapStaticDesc: "Статическая карта: Загружает тайлы карты один раз, накладывает путь маршрута и маркер позиции. Быстрый экспорт, требуется интернет.", minimapLiveDesc: "Живая карта: Рендерит каждый кадр с Leaflet. Показывает обновления карты в реальном времени, но экспорт намного медленнее.", renderingMinimap: "Рендеринг мини-карты...", minimapNoGpsDisabled: "GPS данные недоступны для наложения мини-карты. Мини-карта будет отключена.", minimapGpsExtractFailed: "Не удалось извлечь GPS данные. Мини-карта будет отключена.", output: "Вывод", checkingFfmpeg: "Проверка FFmpeg...", ffmpegReady: "FFmpeg готов", cpuOnly: "Только CPU (нет GPU кодера)", ffmpegRequiredMac: "Требуется FFmpeg. Выполните в Терминале: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg не найден. Поместите ffmpeg.exe в папку ffmpeg_bin.", notAvailable: "Экспорт недоступен (запущено в браузере)", ffmpegError: "Ошибка при проверке FFmpeg", blurZonesStatus: "{count} зона(ы) размытия - Наложение панели приборов отключено", blurZonesWarning: "Предупреждение: Зоны размытия, настроенные для невыбранных камер ({cameras}), не будут применены", minimizeHint: "Вы можете свернуть это окно, чтобы продолжить просмотр записей. Экспорт продолжится в фоновом режиме.", analyzingSegments: "Анализ сегментов...", buildingExport: "Построение экспорта...", exportingWithEncoder: "Экспорт с {encoder}...", exportingWithCpu: "Экспорт с CPU...", exportingPercent: "Экспорт... {percent}%", exportCompleteMB: "Экспорт завершен! ({size} МБ)", exportFailedCode: "Ошибка экспорта (код {code})", exportFailedNoSpace: "Ошибка экспорта: Недостаточно места на диске. Освободите место на целевом диске и повторите попытку.", exportFailedPermission: "Ошибка экспорта: Доступ запрещён. Попробуйте сохранить в другую папку или проверьте разрешения.", exportFailedPathNotFound: "Ошибка экспорта: Папка назначения не найдена. Диск мог быть отключён. Проверьте путь и повторите попытку.", exportFailedReadOnly: "Ошибка экспорта: Диск назначения доступен только для чтения. Снимите защиту от записи или выберите другой диск.", exportFailedInvalidPath: "Ошибка экспорта: Недопустимый путь к файлу. Попробуйте более короткий путь или удалите специальные символы из имени папки.", exportFailedGpuMemory: "Ошибка экспорта: Недостаточно памяти GPU. Закройте другие приложения, использующие GPU, или выберите более низкое качество.", exportFailedGpuUnavailable: "Ошибка экспорта: Кодировщик GPU больше не доступен. Перезапустите приложение или проверьте драйверы GPU.", exportFailedSourceLost: "Ошибка экспорта: Исходные файлы стали недоступны во время экспорта. Проверьте, что исходный диск всё ещё подключён.", blurZoneFailed: "Зоны размытия конфиденциальности не удалось применить. Ваше экспортированное видео НЕ размыто. Пожалуйста, переустановите приложение или обратитесь в службу поддержки.", openFileLocation: "Хотите открыть расположение файла?", layoutHint: "Перетащите для перемещения • Карточки привязываются к краям", privacy: "Конфиденциальность", blurZoneHint: "Скрыть номерные знаки или конфиденциальную информацию", timelapse: "Таймлапс", enableTimelapse: "Включить Таймлапс", enableTimelapseDesc: "Ускорить видео для сжатого обзора", timelapseSpeed: "Скорость", timelapseSpeedDesc: "Множитель скорости воспроизведения", timelapseOverlayNote: "Наложения панели, мини-карты и временной метки будут синхронизированы со скоростью таймлапса. Аудио удаляется.", timelapseDuration: "Длительность → Таймлапс", shareLinkExpiry: "Ссылка истекает через {hours} часов", restoreBannerText: "Найдено {count} предыдущих зон конфиденциальности", restoreBannerRestore: "Восстановить", restoreBannerDismiss: "Отклонить", restoreBannerRestored: "Зоны конфиденциальности восстановлены" },
-            settings: { searchPlaceholder: "Поиск настроек...", title: "Настройки", general: "Общие", shortcuts: "Горячие Клавиши", advanced: "Расширенные", displaySection: "Отображение", playbackOverlays: "Воспроизведение и Наложения", storageSection: "Хранилище", aboutUpdates: "О Программе и Обновления", appVersion: "Версия приложения", systemSecurity: "Система и Безопасность", secFeature: "Функция", secStatus: "Статус", secDescription: "Описание", footagePrivacy: "Конфиденциальность Видео", localOnly: "Только Локально", footagePrivacyDesc: "Записи видеорегистратора никогда не покидают ваше локальное хранилище.", updateReporting: "Отчёт об Обновлениях", statusActive: "Активно", updateReportingDesc: "При запуске приложение обращается к API для проверки безопасности и версии.", deviceHash: "Хеш Устройства", hashedSha256: "Хешировано (SHA-256)", deviceHashDesc: "Безопасный солёный ID для предотвращения спама API.", learnMore: "Подробнее", hideDetails: "Скрыть Детали", architecture: "Архитектура", dashboardStyle: "Стиль Панели Приборов", language: "Язык", languageDesc: "Язык отображения приложения", layout: "Макет", classicSidebar: "Классическая Боковая Панель", classicSidebarDesc: "Закрепленная боковая панель, не перекрывающая видео", overlays: "Наложения", dashboard: "Панель Приборов", dashboardDesc: "Показать скорость, передачу и данные телеметрии", gpsMap: "GPS Карта", gpsMapDesc: "Показать карту маршрута с позицией автомобиля", theme: "Тема", themeDark: "Тёмная", themeLight: "Светлая", mapStyle: "Стиль Карты", mapStyleLight: "Светлый", mapStyleDark: "Тёмный", dashboardLayout: "Макет Панели Приборов", dashboardLayoutDesc: "Стандартный или компактный стиль", default: "По Умолчанию", acceleratorDisplay: "Отображение Акселератора", acceleratorDisplayDesc: "Стиль визуализации педали", solidColor: "Сплошной Цвет (Вкл/Выкл)", iconBar: "Панель Иконок (Заливка)", sideBar: "Боковая Панель", fixedToFrontCamera: "Привязано к Передней Камере", fixedToFrontCameraDesc: "Держать компактную панель на передней камере", mirrorCameras: "Зеркалирование Камер", mirrorCamerasDesc: "Зеркалирование задней и боковых камер (как в зеркалах)", glassBlur: "Стеклянное Размытие", glassBlurDesc: "Интенсивность размытия наложения", metricUnits: "Метрические Единицы", metricUnitsDesc: "Использовать километры в час (КМ/Ч)", dateFormat: "Формат Даты", dateFormatDesc: "Формат отображения дат", globalSetting: "Глобальная настройка", mdyFormat: "ММ/ДД/ГГГГ (США)", dmyFormat: "ДД/ММ/ГГГГ (Международный)", ymdFormat: "ГГГГ-ММ-ДД (ISO)", timeFormat: "Формат Времени", timeFormatDesc: "12 или 24 часовой формат", time12h: "12 часов (AM/PM)", time24h: "24 часа", defaultFolder: "Папка Видеорегистратора по Умолчанию", defaultFolderDesc: "Автоматически загружать эту папку при запуске", noFolderSet: "Папка не установлена", browse: "Обзор", clear: "Очистить", about: "О Программе", version: "Версия", viewChangelog: "Просмотреть Журнал Изменений", support: "Поддержка", supportDesc: "Возникли проблемы? Используйте кнопку Чат Поддержки в панели воспроизведения.", openSupportChat: "Открыть Чат Поддержки", done: "Готово", keyboardShortcuts: "Горячие Клавиши", keyboardShortcutsDesc: "Нажмите на поле и нажмите любую клавишу", playPause: "Воспроизведение / Пауза", skipForward: "Вперед", skipBackward: "Назад", skipDuration: "Длительность Пропуска", toggleDashboard: "Показать/Скрыть Панель Приборов", toggleMap: "Показать/Скрыть Карту", toggleMphKmh: "Переключить MPH / KMH", toggleClipsPanel: "Показать/Скрыть Панель Клипов", setExportMarkerIn: "Маркер Начала Экспорта", setExportMarkerOut: "Маркер Конца Экспорта", nextClip: "Следующий Клип", prevClip: "Предыдущий Клип", second: "секунда", seconds: "секунд", updates: "Обновления", disableAutoUpdate: "Отключить Автообновление", disableAutoUpdateDesc: "Не проверять обновления при запуске", updateBranch: "Ветка Обновлений", updateBranchDesc: "Main для стабильной, Dev-SEI для бета", mainStable: "Main (Стабильная)", devSeiBeta: "Dev-SEI (Бета)", checkForUpdates: "Проверить Обновления", checkForUpdatesDesc: "Вручную проверить новые версии", checkNow: "Проверить Сейчас", checking: "Проверка...", upToDate: "Актуальная Версия", checkFailed: "Ошибка Проверки", updateFound: "Найдено Обновление!", eventHighlights: "Подсветка Событий", sentryCameraGlow: "Свечение Камеры Sentry", sentryCameraGlowDesc: "Красное свечение на сработавшей камере", savedCameraGlow: "Свечение Сохраненной Камеры", savedCameraGlowDesc: "Желтое свечение на сработавшей камере", cameraLayout: "Расположение Камер", resetCameraOrder: "Сбросить Порядок Камер", resetCameraOrderDesc: "Восстановить позиции сетки по умолчанию", reset: "Сбросить" },
+            export: { title: "Экспорт Видео", start: "Начало", end: "Конец", inPoint: "Начало", outPoint: "Конец", duration: "Длительность", layout: "Макет", quality: "Качество", overlays: "Наложения", timestamp: "Временная Метка", dashboard: "Панель Приборов", cancel: "Отмена", exportBtn: "Экспорт", preparing: "Подготовка...", exporting: "Экспорт...", compact: "Компактный", detailed: "Подробный", teslaMobile: "Tesla Mobile", mobile: "Мобильный", teslaMobilePositionDesc: "Сверху или снизу клипа", bottom: "Снизу", top: "Сверху", medium: "Средний", high: "Высокий", maximum: "Максимальный", timestampDesc: "Записать дату и время записи", dashboardDesc: "Записать скорость, передачу и телеметрию", position: "Позиция", positionDesc: "Размещение на видео", style: "Стиль", styleDesc: "Визуальный стиль панели приборов", size: "Размер", sizeDesc: "Размер панели приборов", sizeSmall: "Маленький (25%)", sizeMedium: "Средний (35%)", sizeLarge: "Большой (45%)", sizeXLarge: "Очень Большой (55%)", blurType: "Метод Размытия", blurTypeDesc: "Выберите метод на основе скорости vs качества", addBlurZone: "Добавить Зону Размытия", addBlurZoneDesc: "Скрыть конфиденциальную информацию перед публикацией", addZone: "Добавить Зону", bottomCenter: "Низ Центр", bottomLeft: "Низ Слева", bottomRight: "Низ Справа", topCenter: "Верх Центр", topLeft: "Верх Слева", topRight: "Верх Справа", blurSolid: "Сплошной (Быстро)", blurTrue: "Настоящее Размытие (Медленно)", blurZoneEditor: "Редактор Зоны Размытия", blurZoneCount: "{count} зона(ы) размытия настроена(ы)", blurZoneInstructions: "Нажмите и перетащите угловые ручки для изменения размера. Наведите на края для добавления новых точек. Нажмите на точки для создания сложных форм.", saveZone: "Сохранить Зону", dashboardGpuWarning: "Наложение панели приборов требует GPU кодирования. Совместимый GPU не обнаружен.", dashboardPrerendered: "Панель приборов предварительно отрендерена для оптимальной производительности.", maxQualityWarning: "Максимальное качество использует HEVC кодирование при наличии GPU.", frontCamWarning: "Передняя камера будет уменьшена для соответствия другим камерам.", minimap: "GPS Мини-карта", minimapDesc: "Показать маршрут и позицию на карте", minimapNoGps: "GPS данные не найдены в выбранных клипах.", minimapPosition: "Позиция", minimapPositionDesc: "Размещение в углу", minimapSize: "Размер", minimapSizeDesc: "Размер мини-карты", minimapRenderMode: "Режим Рендеринга", minimapRenderModeDesc: "Скорость vs качество", minimapStaticFast: "Статическая Карта (Быстро)", minimapLiveSlow: "Живая Карта (Медленно)", shareClip: "Поделиться Клипом", shareClipNew: "НОВОЕ", generateShareableLink: "Создать Ссылку для Общего Доступа", generateShareableLinkDesc: "Загрузить на серверы Sentry Studio после экспорта", shareClipInfo: "Ваш клип будет доступен <strong>{hours} часов</strong> на clip.sentry-six.com", shareClipWarning: "Общий доступ доступен только для экспортов менее 5 минут", minimapStaticDesc: "Статическая карта: Загружает тайлы карты один раз, накладывает путь маршрута и маркер позиции. Быстрый экспорт, требуется интернет.", minimapLiveDesc: "Живая карта: Рендерит каждый кадр с Leaflet. Показывает обновления карты в реальном времени, но экспорт намного медленнее.", renderingMinimap: "Рендеринг мини-карты...", minimapNoGpsDisabled: "GPS данные недоступны для наложения мини-карты. Мини-карта будет отключена.", minimapGpsExtractFailed: "Не удалось извлечь GPS данные. Мини-карта будет отключена.", output: "Вывод", checkingFfmpeg: "Проверка FFmpeg...", ffmpegReady: "FFmpeg готов", cpuOnly: "Только CPU (нет GPU кодера)", ffmpegRequiredMac: "Требуется FFmpeg. Выполните в Терминале: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg не найден. Поместите ffmpeg.exe в папку ffmpeg_bin.", notAvailable: "Экспорт недоступен (запущено в браузере)", ffmpegError: "Ошибка при проверке FFmpeg", blurZonesStatus: "{count} зона(ы) размытия - Наложение панели приборов отключено", blurZonesWarning: "Предупреждение: Зоны размытия, настроенные для невыбранных камер ({cameras}), не будут применены", minimizeHint: "Вы можете свернуть это окно, чтобы продолжить просмотр записей. Экспорт продолжится в фоновом режиме.", analyzingSegments: "Анализ сегментов...", buildingExport: "Построение экспорта...", exportingWithEncoder: "Экспорт с {encoder}...", exportingWithCpu: "Экспорт с CPU...", exportingPercent: "Экспорт... {percent}%", exportCompleteMB: "Экспорт завершен! ({size} МБ)", exportFailedCode: "Ошибка экспорта (код {code})", exportFailedNoSpace: "Ошибка экспорта: Недостаточно места на диске. Освободите место на целевом диске и повторите попытку.", exportFailedPermission: "Ошибка экспорта: Доступ запрещён. Попробуйте сохранить в другую папку или проверьте разрешения.", exportFailedPathNotFound: "Ошибка экспорта: Папка назначения не найдена. Диск мог быть отключён. Проверьте путь и повторите попытку.", exportFailedReadOnly: "Ошибка экспорта: Диск назначения доступен только для чтения. Снимите защиту от записи или выберите другой диск.", exportFailedInvalidPath: "Ошибка экспорта: Недопустимый путь к файлу. Попробуйте более короткий путь или удалите специальные символы из имени папки.", exportFailedGpuMemory: "Ошибка экспорта: Недостаточно памяти GPU. Закройте другие приложения, использующие GPU, или выберите более низкое качество.", exportFailedGpuUnavailable: "Ошибка экспорта: Кодировщик GPU больше не доступен. Перезапустите приложение или проверьте драйверы GPU.", exportFailedSourceLost: "Ошибка экспорта: Исходные файлы стали недоступны во время экспорта. Проверьте, что исходный диск всё ещё подключён.", blurZoneFailed: "Зоны размытия конфиденциальности не удалось применить. Ваше экспортированное видео НЕ размыто. Пожалуйста, переустановите приложение или обратитесь в службу поддержки.", openFileLocation: "Хотите открыть расположение файла?", layoutHint: "Перетащите для перемещения • Карточки привязываются к краям", privacy: "Конфиденциальность", blurZoneHint: "Скрыть номерные знаки или конфиденциальную информацию", timelapse: "Таймлапс", enableTimelapse: "Включить Таймлапс", enableTimelapseDesc: "Ускорить видео для сжатого обзора", timelapseSpeed: "Скорость", timelapseSpeedDesc: "Множитель скорости воспроизведения", timelapseOverlayNote: "Наложения панели, мини-карты и временной метки будут синхронизированы со скоростью таймлапса. Аудио удаляется.", timelapseDuration: "Длительность → Таймлапс", shareLinkExpiry: "Ссылка истекает через {hours} часов", restoreBannerText: "Найдено {count} предыдущих зон конфиденциальности", restoreBannerRestore: "Восстановить", restoreBannerDismiss: "Отклонить", restoreBannerRestored: "Зоны конфиденциальности восстановлены", telemetryData: "Данные телеметрии", telemetryDataDesc: "Скорость, передача, педали, руль, поворотники, состояние Autopilot, GPS и ускорение для каждого кадра выбранного диапазона. Видео не перекодируется.", exportTelemetry: "Экспорт телеметрии", telemetrySelectFormat: "Выберите хотя бы один формат телеметрии", telemetryInProgress: "Экспорт уже выполняется", telemetryNoGps: "В этом диапазоне нет GPS — треки GPX/KML будут пустыми", telemetryExported: "Экспортировано кадров телеметрии: {count}, файлов: {files}", telemetryExportFailed: "Ошибка экспорта телеметрии: {error}", subtitles: "Субтитры телеметрии", subtitleSidecar: "Отдельный файл", subtitleEmbedded: "Встроенные", subtitleEmbeddedDesc: "Дорожка в MP4", subtitlesDesc: "Время, скорость, передача, состояние Autopilot и GPS-координаты раз в секунду в виде дорожки субтитров, которую можно включать и выключать. В изображение ничего не впечатывается.", shareClipInfoServer: "Клип будет доступен <strong>{hours}</strong> на {host}" },
+            settings: { searchPlaceholder: "Поиск настроек...", title: "Настройки", general: "Общие", shortcuts: "Горячие Клавиши", advanced: "Расширенные", displaySection: "Отображение", playbackOverlays: "Воспроизведение и Наложения", storageSection: "Хранилище", aboutUpdates: "О Программе и Обновления", appVersion: "Версия приложения", systemSecurity: "Система и Безопасность", secFeature: "Функция", secStatus: "Статус", secDescription: "Описание", footagePrivacy: "Конфиденциальность Видео", localOnly: "Только Локально", footagePrivacyDesc: "Записи видеорегистратора никогда не покидают ваше локальное хранилище.", updateReporting: "Отчёт об Обновлениях", statusActive: "Активно", updateReportingDesc: "При запуске приложение обращается к API для проверки безопасности и версии.", deviceHash: "Хеш Устройства", hashedSha256: "Хешировано (SHA-256)", deviceHashDesc: "Безопасный солёный ID для предотвращения спама API.", learnMore: "Подробнее", hideDetails: "Скрыть Детали", architecture: "Архитектура", dashboardStyle: "Стиль Панели Приборов", language: "Язык", languageDesc: "Язык отображения приложения", layout: "Макет", classicSidebar: "Классическая Боковая Панель", classicSidebarDesc: "Закрепленная боковая панель, не перекрывающая видео", overlays: "Наложения", dashboard: "Панель Приборов", dashboardDesc: "Показать скорость, передачу и данные телеметрии", gpsMap: "GPS Карта", gpsMapDesc: "Показать карту маршрута с позицией автомобиля", theme: "Тема", themeDark: "Тёмная", themeLight: "Светлая", mapStyle: "Стиль Карты", mapStyleLight: "Светлый", mapStyleDark: "Тёмный", dashboardLayout: "Макет Панели Приборов", dashboardLayoutDesc: "Стандартный или компактный стиль", default: "По Умолчанию", acceleratorDisplay: "Отображение Акселератора", acceleratorDisplayDesc: "Стиль визуализации педали", solidColor: "Сплошной Цвет (Вкл/Выкл)", iconBar: "Панель Иконок (Заливка)", sideBar: "Боковая Панель", fixedToFrontCamera: "Привязано к Передней Камере", fixedToFrontCameraDesc: "Держать компактную панель на передней камере", mirrorCameras: "Зеркалирование Камер", mirrorCamerasDesc: "Зеркалирование задней и боковых камер (как в зеркалах)", glassBlur: "Стеклянное Размытие", glassBlurDesc: "Интенсивность размытия наложения", metricUnits: "Метрические Единицы", metricUnitsDesc: "Использовать километры в час (КМ/Ч)", dateFormat: "Формат Даты", dateFormatDesc: "Формат отображения дат", globalSetting: "Глобальная настройка", mdyFormat: "ММ/ДД/ГГГГ (США)", dmyFormat: "ДД/ММ/ГГГГ (Международный)", ymdFormat: "ГГГГ-ММ-ДД (ISO)", timeFormat: "Формат Времени", timeFormatDesc: "12 или 24 часовой формат", time12h: "12 часов (AM/PM)", time24h: "24 часа", defaultFolder: "Папка Видеорегистратора по Умолчанию", defaultFolderDesc: "Автоматически загружать эту папку при запуске", noFolderSet: "Папка не установлена", browse: "Обзор", clear: "Очистить", about: "О Программе", version: "Версия", viewChangelog: "Просмотреть Журнал Изменений", support: "Поддержка", supportDesc: "Возникли проблемы? Используйте кнопку Чат Поддержки в панели воспроизведения.", openSupportChat: "Открыть Чат Поддержки", done: "Готово", keyboardShortcuts: "Горячие Клавиши", keyboardShortcutsDesc: "Нажмите на поле и нажмите любую клавишу", playPause: "Воспроизведение / Пауза", skipForward: "Вперед", skipBackward: "Назад", skipDuration: "Длительность Пропуска", toggleDashboard: "Показать/Скрыть Панель Приборов", toggleMap: "Показать/Скрыть Карту", toggleMphKmh: "Переключить MPH / KMH", toggleClipsPanel: "Показать/Скрыть Панель Клипов", setExportMarkerIn: "Маркер Начала Экспорта", setExportMarkerOut: "Маркер Конца Экспорта", nextClip: "Следующий Клип", prevClip: "Предыдущий Клип", second: "секунда", seconds: "секунд", updates: "Обновления", disableAutoUpdate: "Отключить Автообновление", disableAutoUpdateDesc: "Не проверять обновления при запуске", updateBranch: "Ветка Обновлений", updateBranchDesc: "Main для стабильной, Dev-SEI для бета", mainStable: "Main (Стабильная)", devSeiBeta: "Dev-SEI (Бета)", checkForUpdates: "Проверить Обновления", checkForUpdatesDesc: "Вручную проверить новые версии", checkNow: "Проверить Сейчас", checking: "Проверка...", upToDate: "Актуальная Версия", checkFailed: "Ошибка Проверки", updateFound: "Найдено Обновление!", eventHighlights: "Подсветка Событий", sentryCameraGlow: "Свечение Камеры Sentry", sentryCameraGlowDesc: "Красное свечение на сработавшей камере", savedCameraGlow: "Свечение Сохраненной Камеры", savedCameraGlowDesc: "Желтое свечение на сработавшей камере", cameraLayout: "Расположение Камер", resetCameraOrder: "Сбросить Порядок Камер", resetCameraOrderDesc: "Восстановить позиции сетки по умолчанию", reset: "Сбросить", indexCache: "Кэш индекса библиотеки", indexCacheStatus: "Папок в кэше: {folders} · {size}", indexCacheEmpty: "Папок в кэше пока нет", clearIndexCache: "Очистить кэш", indexCacheCleared: "Кэш индекса очищен. Папки будут просканированы заново при следующем открытии.", indexCacheClearFailed: "Не удалось очистить кэш индекса: {error}", rebuildIndex: "Перестроить индекс", indexRebuilt: "Индекс перестроен с диска.", indexRebuildFailed: "Не удалось перестроить индекс: {error}", indexRebuildNeedsFolder: "Сначала откройте папку видеорегистратора, чтобы перестроить её индекс.", addBookmark: "Добавить закладку", frameForward: "Следующий кадр", frameBackward: "Предыдущий кадр", saveStill: "Сохранить кадр", toggleTelemetryCharts: "Показать/скрыть графики", nextMotion: "Следующее движение", prevMotion: "Предыдущее движение", toggleMotionSkipIdle: "Вкл/выкл пропуск простоя", toggleSmartPlayback: "Вкл/выкл умное воспроизведение", nextMultiLayout: "Следующая раскладка камер", prevMultiLayout: "Предыдущая раскладка камер", sharingSection: "Обмен клипами", shareServer: "Сервер обмена", shareServerSave: "Сохранить", shareServerReset: "По умолчанию", shareServerDesc: "Оставьте пустым, чтобы использовать сервис Sentry Studio, или укажите адрес собственного сервера (share-server в репозитории), чтобы клипы оставались в вашей сети.", shareServerInvalid: "Не удалось сохранить сервер", shareServerDefault: "Используется сервис Sentry Studio", shareServerSaved: "Клипы будут публиковаться через {url}" },
             cameras: { front: "Передняя", back: "Задняя", leftPillar: "Левая Стойка", rightPillar: "Правая Стойка", leftRepeater: "Левый Повторитель", rightRepeater: "Правый Повторитель" },
             dashboard: { drive: "Движение", manual: "Ручной", noData: "Нет Данных", mph: "MPH", kmh: "КМ/Ч", selfDriving: "Автопилот", autosteer: "Автоуправление", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Сначала загрузите коллекцию для установки маркеров экспорта", startMarkerSet: "Начальный маркер установлен", endMarkerSet: "Конечный маркер установлен", exportComplete: "Экспорт завершен!", exportCancelled: "Экспорт отменен", exportFailed: "Ошибка экспорта", foundDatesWithClips: "Найдено {count} дат с клипами", loadedFilesForDate: "Загружено {count} файлов для {date}", noDataForDate: "Нет данных для {date}", noClipsFoundForDate: "Клипы не найдены для {date}", noDashcamClipsFound: "Видеоклипы не найдены. Выберите папку с видеофайлами (.mp4, .avi, .mov, .mkv) или папку видеорегистратора Tesla с RecentClips, SentryClips или SavedClips.", metadataParserNotReady: "Парсер метаданных еще не инициализирован—повторите через секунду.", noSupportedFilesFound: "Поддерживаемые файлы не найдены в этой папке.", failedToLoadVideo: "Не удалось загрузить видео: {error}", errorSelectingDay: "Ошибка выбора дня: {error}", failedToOpenFolder: "Не удалось открыть папку: {error}", failedToInitMetadataParser: "Не удалось инициализировать парсер метаданных. Убедитесь, что protobuf загружается и вы не запускаете через file://", capturingSnapshot: "Захват снимка...", couldNotFindVideoFile: "Не удалось найти видеофайл для камеры {camera}", unsupportedFileType: "Неподдерживаемый тип файла для снимка", failedToCaptureSnapshot: "Не удалось захватить снимок: {error}", blurZoneMinPoints: "Пожалуйста, создайте действительную зону размытия с минимум 3 точками", failedToGenerateMask: "Не удалось сгенерировать изображение маски", failedToExtractMaskData: "Не удалось извлечь данные изображения маски", failedToGetCanvasDimensions: "Не удалось получить размеры холста", blurZoneSaved: "Зона размытия успешно сохранена", failedToSaveBlurZone: "Не удалось сохранить зону размытия: {error}", exportNotAvailable: "Экспорт недоступен", exportRequiresFolder: "Для экспорта требуется выбрать папку через выбор папок. Пожалуйста, повторно выберите папку видеорегистратора.", selectAtLeastOneCamera: "Пожалуйста, выберите хотя бы одну камеру", extractingTelemetry: "Извлечение данных телеметрии...", noTelemetryData: "Данные телеметрии недоступны для наложения панели приборов", failedToExtractTelemetry: "Не удалось извлечь телеметрию. Наложение панели приборов будет отключено.", noVideoFilesForExport: "Нет видеофайлов для экспорта. Убедитесь, что папка выбрана правильно.", exportFailedWithError: "Ошибка экспорта: {error}", onlyOneAttachment: "Разрешено только 1 вложение на сообщение", fileTooLarge: "Файл \"{filename}\" слишком большой (макс. 100МБ)", enterMessageOrAttach: "Пожалуйста, введите сообщение или прикрепите файл", supportTicketClosed: "Тикет поддержки закрыт", newSupportMessages: "Получено {count} новых сообщений поддержки", cameraOrderReset: "Порядок камер сброшен до стандартного", collectingDiagnostics: "Сбор диагностических данных...", uploadingDiagnostics: "Загрузка диагностики...", supportIdCopied: "ID Поддержки: {supportId} - Скопировано в буфер обмена!", failedToUploadDiagnostics: "Не удалось загрузить диагностику: {error}", uploadFailed: "Загрузка не удалась: {error}", supportIdCopiedSimple: "ID Поддержки скопировано в буфер обмена!", failedToCopy: "Не удалось скопировать: {error}", failedToGenerateSupportId: "Не удалось сгенерировать ID Поддержки: {error}" },
             supportChat: { title: "Чат Поддержки", needHelp: "Нужна Помощь?", welcomeDesc: "Начните разговор с нашей поддержкой. Опишите вашу проблему, ошибку или отзыв, и мы ответим как можно скорее.", welcomeNote: "Вы можете прикрепить скриншоты/видео и диагностические данные, чтобы помочь нам лучше понять вашу проблему.", diagnostics: "Диагностика", attach: "Прикрепить", placeholder: "Опишите вашу проблему или отзыв...", privacyNote: "Данные автоматически удаляются через 7 дней", ticketClosed: "Этот тикет закрыт.", createNewTicket: "Создать Новый Тикет Поддержки", closeTicket: "Закрыть Тикет", minimize: "Свернуть", closePanel: "Закрыть Панель", sendMessage: "Отправить сообщение", includeDiagnostics: "Включить диагностические данные", attachFiles: "Прикрепить файлы", you: "Вы", support: "Поддержка" },
-            sharedClips: { title: "Мои Общие Клипы", emptyTitle: "Общих клипов пока нет", emptyDesc: "Экспортируйте клип с включённым общим доступом, чтобы увидеть его здесь", clickHint: "Выберите клип для просмотра деталей", copyLink: "Копировать Ссылку", open: "Открыть", delete: "Удалить", deleteTitle: "Удалить Общий Клип", deleteConfirm: "Вы уверены, что хотите удалить", deleteWarning: "Это навсегда удалит клип с серверов Sentry Studio. Любой, у кого есть ссылка, больше не сможет просмотреть или скачать его.", cancel: "Отмена", deleteClip: "Удалить Клип" }
+            sharedClips: { title: "Мои Общие Клипы", emptyTitle: "Общих клипов пока нет", emptyDesc: "Экспортируйте клип с включённым общим доступом, чтобы увидеть его здесь", clickHint: "Выберите клип для просмотра деталей", copyLink: "Копировать Ссылку", open: "Открыть", delete: "Удалить", deleteTitle: "Удалить Общий Клип", deleteConfirm: "Вы уверены, что хотите удалить", deleteWarning: "Это навсегда удалит клип с серверов Sentry Studio. Любой, у кого есть ссылка, больше не сможет просмотреть или скачать его.", cancel: "Отмена", deleteClip: "Удалить Клип", resumeUpload: "Продолжить загрузку" },
+            exportQueue: { title: "Очередь экспорта", addToQueue: "В очередь", jobAdded: "Добавлено в очередь экспорта: {name}", jobDone: "Экспорт из очереди завершён: {name}", jobFailed: "Ошибка экспорта из очереди: {name} ({error})", actionFailed: "Ошибка очереди экспорта: {error}", emptyTitle: "Очередь экспорта пуста", emptyDesc: "Нажмите «В очередь» в окне экспорта, чтобы поставить несколько экспортов подряд", pausedNote: "Очередь приостановлена. Текущий экспорт завершится, но новые задания не начнутся до возобновления.", clearFinished: "Убрать завершённые", pauseQueue: "Приостановить очередь", resumeQueue: "Возобновить очередь", moveUp: "Выше", moveDown: "Ниже", pause: "Пауза", resume: "Продолжить", retry: "Повторить", remove: "Удалить", showInFolder: "Показать в папке", statusPending: "Ожидает", statusRunning: "Экспорт", statusPaused: "Приостановлено", statusFailed: "Ошибка", statusDone: "Готово" },
+            incidents: { tab: "Инциденты", scan: "Анализ", rescan: "Повторить", selectClip: "Откройте клип для поиска инцидентов", notScanned: "Ещё не проанализировано", scanning: "Анализ телеметрии ({done}/{total})", found: "Найдено инцидентов: {count}", scanFailed: "Ошибка анализа инцидентов: {error}", hardBrake: "Резкое торможение", hardAccel: "Резкое ускорение", sharpTurn: "Резкий поворот", impact: "Возможный удар", settingsTitle: "Обнаружение инцидентов", resetThresholds: "Сбросить пороги" },
+            highlightReel: { title: "Нарезка моментов", enable: "Создать нарезку", enableDesc: "Объединить короткие фрагменты вокруг ключевых моментов в одно видео", sourceEvents: "События охраны и сохранённые", sourceEventsDesc: "Момент срабатывания события", sourceDisengagements: "Отключения FSD", sourceDisengagementsDesc: "Из данных поездок SentryUSB", sourceAccelPushes: "Нажатия акселератора", sourceAccelPushesDesc: "Нажатия педали при включённом FSD", sourceBraking: "Резкие торможения", sourceBrakingDesc: "Определяются по телеметрии", paddingBefore: "До каждого момента", paddingBeforeDesc: "Запись до срабатывания", paddingAfter: "После каждого момента", paddingAfterDesc: "Запись после срабатывания", note: "Используется весь загруженный клип, а не маркеры начала/конца. Перед каждым моментом показывается титр с датой, временем и местом.", sentryEvent: "Событие охраны", savedEvent: "Сохранённый клип", disengagement: "Отключение FSD", accelPush: "Нажатие акселератора", scanningTelemetry: "Поиск резких торможений в телеметрии…", nothingFound: "Для выбранных источников моменты не найдены", tooManyClips: "Найдено моментов: {count}; будут включены только первые {max}", renderingClip: "Рендеринг момента {current} из {total}…", stitching: "Объединение моментов и титров…" },
+            libraryMap: { open: "Карта библиотеки", title: "Карта библиотеки", from: "С", to: "По", reason: "Причина", allReasons: "Все причины", drives: "Поездки", fit: "Показать все результаты", loading: "Чтение мест событий… {done}/{total}", summary: "Событий: {events} · поездок: {drives}", noLocations: "Нет данных с координатами, подходящих под фильтры", openClip: "Открыть клип", openDrive: "Открыть поездку", noLibrary: "Сначала откройте папку видеорегистратора или загрузите данные поездок SentryUSB", mapUnavailable: "Не удалось загрузить библиотеку карт. Проверьте подключение к интернету." },
+            search: { tab: "Поиск", placeholder: "напр. reason:honk date:-30d", run: "Найти", help: "Синтаксис запросов", helpEvents: "События:", helpTime: "Время:", helpDrives: "Поездки:", helpTelemetry: "Телеметрия:", helpLogic: "Комбинации:", readingEvents: "Чтение событий… {done}/{total}", noLibrary: "Откройте папку видеорегистратора для поиска", searching: "Поиск…", indexingDate: "Индексация {date}…", scanningTelemetry: "Чтение телеметрии… {done}/{total} клипов", found: "Результатов: {count}", tooManyResults: "Показаны первые {count} результатов — уточните запрос, чтобы увидеть остальные", scanLimited: "Телеметрия прочитана только для {count} последних подходящих клипов; добавьте date:, чтобы искать раньше.", failed: "Ошибка поиска: {error}", drive: "Поездка", sentryEvent: "Событие Sentry", savedEvent: "Сохранённый клип", recentClips: "Недавние клипы", customClips: "Клипы", errorEmptyGroup: "Ожидался поисковый запрос", errorParen: "Несбалансированные скобки", errorUnexpected: "Неожиданный «{token}»", errorMissingValue: "Нет значения после {field}", errorInvalidValue: "«{value}» — недопустимое значение для {field}", errorComparator: "«{cmp}» нельзя использовать с {field}; используйте : или !=" },
+            bookmarks: { tab: "Закладки", filter: "Фильтр закладок…", add: "Добавить закладку на текущий момент", addTitle: "Добавить закладку", editTitle: "Изменить закладку", titleLabel: "Название", titlePlaceholder: "Что здесь произошло?", noteLabel: "Заметки", colorLabel: "Цвет", delete: "Удалить", cancel: "Отмена", save: "Сохранить", edit: "Изменить", untitled: "Закладка без названия", noFolder: "Откройте папку видеорегистратора, чтобы добавлять закладки", empty: "Закладок пока нет. Отметьте момент кнопкой закладки рядом со шкалой времени.", count: "Закладок: {count}", filtered: "{count} из {total} закладок", saveFailed: "Не удалось сохранить закладки: {error}", savedLocally: "Папка доступна только для чтения, поэтому закладки сохраняются только на этом компьютере" },
+            stills: { frameBack: "Предыдущий кадр", frameForward: "Следующий кадр", saveStill: "Сохранить кадр", title: "Сохранить кадр", sourceLabel: "Камера", wholeGrid: "Все камеры (сетка)", captionLabel: "Добавить подпись с телеметрией (время, скорость, передача, GPS)", hint: "Сохраняется в PNG в исходном разрешении камер.", cancel: "Отмена", save: "Сохранить PNG", saveTitle: "Сохранить кадр", autopilot: "Autopilot", noVideo: "Откройте клип, чтобы сохранить кадр", noFrame: "Кадр видео ещё не готов", saved: "Кадр сохранён: {file}", saveFailed: "Не удалось сохранить кадр: {error}" },
+            evidence: { title: "Пакет доказательств", enable: "Создать пакет доказательств", enableDesc: "Упаковать исходные клипы, данные события и телеметрию вместе с видео в zip", note: "Содержит нетронутые клипы всех камер за отмеченный отрезок, отчёт с отметками времени и настройками экспорта и манифест SHA-256, по которому любой может проверить, что ничего не изменено.", verify: "Проверить пакет...", verifying: "Сверка файлов с SHA256SUMS...", verifyOk: "{name}: все файлы ({count}) совпадают с манифестом", verifyFailed: "{name}: проверка НЕ ПРОЙДЕНА - пакет был изменён", verifyError: "Не удалось проверить пакет: {error}", statusModified: "изменён", statusMissing: "отсутствует", statusUnlisted: "нет в манифесте", noSourceFiles: "Для этого отрезка на диске нет исходных клипов", notWithReel: "Пакет доказательств охватывает один непрерывный отрезок - сначала отключите нарезку лучших моментов", rendering: "Рендеринг видео для пакета доказательств...", telemetry: "Декодирование телеметрии...", hashing: "Вычисление хешей ({current}/{total})...", zipping: "Запись zip...", complete: "Пакет доказательств сохранён ({files} файлов, {size} МБ)" },
+            incidentReport: { title: "Отчёт об инциденте", generate: "Создать отчёт об инциденте", saveTitle: "Сохранить отчёт об инциденте", generating: "Создание отчёта об инциденте…", saved: "Отчёт об инциденте сохранён: {file}", failed: "Не удалось создать отчёт об инциденте: {error}", notAvailable: "Отчёты доступны для событий Sentry и сохранённых событий с файлом event.json", eventDetails: "Сведения о событии", eventType: "Тип события", reason: "Причина", triggerTime: "Время срабатывания", triggerCamera: "Сработавшая камера", location: "Место", coordinates: "Координаты", sourceFolder: "Исходная папка", recording: "Запись", clipCount: "клипов: {count}", keyFrames: "Ключевые кадры", trigger: "Срабатывание", noFrames: "Не удалось прочитать кадры вокруг момента срабатывания", map: "Карта места", mapOffline: "Не удалось загрузить фрагменты карты; маршрут и положение показаны без подложки.", noGps: "Для этого события не записано положение GPS", telemetry: "Телеметрия автомобиля ({seconds} с вокруг срабатывания)", noTelemetry: "Телеметрия вокруг срабатывания не записана (обычно на стоянке)", atTrigger: "В момент срабатывания", speed: "Скорость", accelerator: "Педаль акселератора", brake: "Тормоз", steering: "Угол поворота руля", gear: "Передача", autopilot: "Помощь водителю", applied: "Нажат", released: "Отпущен", footer: "Создано Sentry Studio {date} по исходным записям TeslaCam. Время указано так, как его записал автомобиль." },
+            telemetryCharts: { title: "Графики телеметрии", toggle: "Графики телеметрии", speed: "Скорость", accelerator: "Акселератор", brake: "Тормоз", steering: "Руль", lateralG: "Боковое G", longitudinalG: "Продольное G", autopilot: "Автопилот", on: "Вкл", off: "Выкл", dock: "Закрепить над панелью управления", undock: "Открепить панель", resetZoom: "Показать всю шкалу", close: "Закрыть", noCollection: "Выберите клип, чтобы построить графики", loading: "Чтение телеметрии… {done}/{total}", noData: "В этих клипах нет телеметрии", scanFailed: "Не удалось прочитать телеметрию: {error}" },
+            timelineStrip: { setting: "Полоса на шкале времени", settingDesc: "Цвет под полосой прогресса", speed: "Скорость", autopilot: "Автопилот", off: "Выкл.", gapMinutes: "{count} мин не записано", gapSeconds: "{count} с не записано" },
+            motion: { setting: "Анализ движения", settingDesc: "Искать движение на всех камерах в событиях Sentry и сохранённых", skipIdleOff: "Пропускать периоды без движения", skipIdleOn: "Периоды без движения пропускаются (нажмите, чтобы выключить)", skipIdleEnabled: "Периоды без движения будут пропускаться", skipIdleDisabled: "Воспроизводится всё", analyzing: "Анализ движения… {percent}%", analysisFailed: "Не удалось проанализировать движение: {error}", noNext: "Дальше движения нет", noPrevious: "Раньше движения нет", skipped: "Пропущено {seconds} с без движения" },
+            smartPlayback: { toggle: "Умное воспроизведение: пропуск стоянок, 1x при торможении/поворотнике", on: "Умное воспроизведение включено (нажмите, чтобы выключить)", enabled: "Умное воспроизведение включено", disabled: "Умное воспроизведение выключено", saved: "Пропущено или промотано {time} стоянки", settingsTitle: "Умное воспроизведение", parkedAction: "Стоянки", parkedActionDesc: "Передача P, без движения", skip: "Пропускать", fastForward: "Перемотка", minParked: "Минимальная стоянка", fastRate: "Скорость перемотки", slowPad: "1x при торможении/поворотнике", off: "Выкл.", reset: "Сбросить умное воспроизведение" },
+            multiLayouts: { title: "Раскладка камер", sixDefault: "По умолчанию (3×2)", quad: "2×2 (четыре камеры)", frontFocus: "Большая передняя + 5", frontBack: "Передняя / Задняя", pip: "Картинка в картинке", builtIn: "Встроенные", custom: "Пользовательские", manage: "Управление", newLayout: "Новая раскладка…", editLayout: "Изменить раскладку…", defaultName: "Моя раскладка {n}", switched: "Раскладка: {name}", saved: "Раскладка «{name}» сохранена", noCameras: "Добавьте в раскладку хотя бы одну камеру", nameLabel: "Название", camerasLabel: "Камеры", editorHint: "Перетащите для перемещения • Потяните за угол для изменения размера • Карточки прилипают к краям", delete: "Удалить", cancel: "Отмена", save: "Сохранить" },
+            exportPresets: { label: "Пресет", none: "Без пресета", empty: "Нет сохранённых пресетов", save: "Сохранить как пресет", rename: "Переименовать пресет", delete: "Удалить пресет", import: "Импорт пресетов", export: "Экспорт пресетов в файл", exportTitle: "Сохранить пресеты экспорта", fileType: "Пресеты экспорта", namePlaceholder: "Название пресета", confirm: "Сохранить", cancel: "Отмена", saved: "Пресет «{name}» сохранён", renamed: "Пресет переименован в «{name}»", deleted: "Пресет «{name}» удалён", applied: "Применён пресет «{name}»", nameTaken: "Пресет «{name}» уже существует", imported: "Импортировано пресетов: {count}", exported: "Экспортировано пресетов: {count}", importFailed: "Не удалось импортировать пресеты: {error}", exportFailed: "Не удалось экспортировать пресеты: {error}", camerasUnavailable: "Нет в этом клипе: {cameras}" },
+            exportMetadata: { title: "Метаданные файла", gpsTrack: "Встроить начальную точку", gpsTrackDesc: "Где начинается экспорт, для фото- и картографических приложений", chapters: "Добавить главы", chaptersDesc: "Метки на каждом клипе, срабатывании события и отключении FSD", clipChapter: "Клип {time}", clipChapterUntimed: "Клип" },
+            webGallery: { open: "Веб-галерея", title: "Веб-галерея", description: "Экспортирует выбранные события в папку, которая открывается в любом браузере без Sentry Studio и без интернета. Скопируйте её на флешку или в общую папку.", selectAll: "Выбрать все", selectNone: "Снять выбор", galleryTitle: "Название", defaultTitle: "Галерея Sentry Studio", cameras: "Камеры", trim: "Экспортировать только вокруг момента события", before: "Секунд до", after: "Секунд после", cancel: "Отмена", export: "Экспортировать галерею", noLibrary: "Сначала откройте папку видеорегистратора с событиями Sentry или сохранёнными", noEvents: "В этой папке нет событий Sentry или сохранённых", loading: "Чтение событий… {done}/{total}", noMatches: "Нет событий, подходящих под фильтры", selectedCount: "Выбрано событий: {count} из {total}", noSelection: "Выберите хотя бы одно событие", queued: "Веб-галерея ({count} событий) добавлена в очередь экспорта: {name}", rendering: "Событие {current}/{total}: рендеринг {camera}", writingPage: "Создание страницы галереи...", complete: "Галерея экспортирована (событий: {events}, {size})", skipped: "Не удалось экспортировать событий: {count} ({events})", pageEvents: "Событий: {count}", pageCreated: "Создано {date}", pageAllEvents: "Все события", pagePrevious: "Предыдущее событие", pageNext: "Следующее событие", pagePlay: "Воспроизведение / пауза", pageJumpToEvent: "К событию", pageType: "Тип", pageDate: "Дата", pageLocation: "Место", pageCoordinates: "Координаты", pageCamera: "Камера-триггер", pageDuration: "Длительность", pageDistance: "Расстояние", pageRoute: "Маршрут", pageOpenMap: "Открыть в OpenStreetMap", pageEventJson: "Скачать event.json", pageNoRoute: "В этих клипах нет данных GPS" },
+            clipHealth: { open: "Проверка клипов", title: "Проверка клипов", description: "Находит пустые, нечитаемые или оборванные из-за отключения питания клипы, а также клипы без одной из камер. Восстановленные клипы сохраняются рядом с оригиналом как .repaired.mp4 и воспроизводятся вместо него; оригинал не изменяется.", scan: "Проверить снова", repairAll: "Восстановить все", close: "Закрыть", needsFolder: "Сначала выберите папку видеорегистратора кнопкой папки (перетащенные папки проверить нельзя)", reading: "Чтение папки…", scanning: "Проверка клипов… {done}/{total}", summary: "Проверено файлов: {files}. Проблем: {problems} в группах клипов: {groups}", allGood: "Проверено файлов: {files}, проблем не найдено", scanFailed: "Ошибка проверки: {error}", statusEmpty: "Пустой", statusUnreadable: "Не читается", statusTruncated: "Оборван", missingCameras: "Нет камер", repair: "Восстановить", repaired: "Восстановлен", repairing: "Восстановление {current}/{total}…", repairFailed: "Не удалось восстановить: {error}", repairDone: "Восстановлено клипов: {repaired}, ошибок: {failed}", showInFolder: "Показать в папке" },
+            storage: { open: "Хранилище", title: "Хранилище", description: "Смотрите, что занимает место в этой папке, и освобождайте его по дням, событиям или правилам хранения. Ничего не удаляется без предпросмотра, всё перемещается в корзину системы и может быть восстановлено.", needsFolder: "Сначала откройте папку видеорегистратора, чтобы увидеть её хранилище.", reading: "Чтение папки…", measuring: "Подсчёт {done} из {total} клипов…", scanFailed: "Не удалось подсчитать папку: {error}", total: "{size} в {count} днях и событиях", byType: "По типу", byCamera: "По камере", byDay: "По дням", other: "Другое", tabUsage: "Использование", tabClips: "Клипы", tabRules: "Правила хранения", selectAll: "Выбрать все", selectNone: "Снять выбор", cameraCount: "Камер: {count}", selectedCount: "Выбрано: {count} · {size}", trashSelected: "Переместить выбранное в корзину", rulesDescription: "Правила применяются только после предпросмотра и подтверждения. События сохраняются или удаляются целиком; из недавних клипов остаются только минуты с закладками.", ruleDelete: "Удалять", ruleKeepCameras: "Оставить только камеры", ruleOlderThan: "старше (дней)", ruleExceptBookmarked: "кроме закладок", ruleRemove: "Удалить правило", noRules: "Правил хранения пока нет.", addRule: "Добавить правило", previewRules: "Предпросмотр", planSummary: "{files} файлов ({size}) из {count} дней и событий будут перемещены в корзину.", planEmpty: "Ничего не подходит; файлы не будут удалены.", planWhole: "Целиком", planCameras: "Камеры: {cameras}", back: "Назад", confirmTrash: "В корзину", trashing: "Перемещение в корзину: {done} из {total}…", trashDone: "В корзину перемещено: {count} ({size}).", trashPartial: "В корзину перемещено: {trashed}; не удалось: {failed} ({error}).", trashFailed: "Не удалось переместить в корзину: {error}", close: "Закрыть" }
         },
         welcome: {
             modalTitle: "Добро пожаловать в Sentry Studio",
@@ -500,13 +687,32 @@ export const translations = {
             eventTypes: { manualSave: "Salvataggio Manuale", honk: "Clacson", objectDetected: "Oggetto Rilevato", emergencyBraking: "Frenata di Emergenza", accelerationDetected: "Accelerazione Rilevata", collisionDetected: "Collisione Rilevata" },
             map: { recenter: "Ricentra mappa", hint: "Clic destro e trascina per spostare" },
             playback: { play: "Riproduci", pause: "Pausa", skipBack: "Indietro di 15 secondi", skipForward: "Avanti di 15 secondi", playbackSpeed: "Velocità di riproduzione", setStartMarker: "Imposta punto iniziale esportazione", setEndMarker: "Imposta punto finale esportazione", exportVideo: "Esporta video", supportChat: "Chat di Supporto", settings: "Impostazioni", toggleDetails: "Attiva/Disattiva Dettagli", lateralG: "G Laterale", longitudinalG: "G Longitudinale", heading: "Direzione", openExportDetails: "Apri dettagli esportazione" },
-            export: { title: "Esporta Video", start: "Inizio", end: "Fine", inPoint: "Inizio", outPoint: "Fine", duration: "Durata", layout: "Layout", quality: "Qualità", overlays: "Sovrapposizioni", timestamp: "Timestamp", dashboard: "Cruscotto", cancel: "Annulla", exportBtn: "Esporta", preparing: "Preparazione...", exporting: "Esportazione...", compact: "Compatto", detailed: "Dettagliato", teslaMobile: "Tesla Mobile", mobile: "Mobile", teslaMobilePositionDesc: "Sopra o sotto il clip", bottom: "Sotto", top: "Sopra", medium: "Medio", high: "Alto", maximum: "Massimo", timestampDesc: "Registra data e ora di registrazione", dashboardDesc: "Registra velocità, marcia e telemetria", position: "Posizione", positionDesc: "Posizionamento sul video", style: "Stile", styleDesc: "Stile visivo del cruscotto", size: "Dimensione", sizeDesc: "Dimensione del cruscotto", sizeSmall: "Piccolo (25%)", sizeMedium: "Medio (35%)", sizeLarge: "Grande (45%)", sizeXLarge: "Extra Grande (55%)", blurType: "Metodo di Sfocatura", blurTypeDesc: "Scegli metodo in base a velocità vs qualità", addBlurZone: "Aggiungi Zona Sfocata", addBlurZoneDesc: "Nascondi informazioni sensibili prima della condivisione", addZone: "Aggiungi Zona", bottomCenter: "Centro Basso", bottomLeft: "Basso Sinistra", bottomRight: "Basso Destra", topCenter: "Centro Alto", topLeft: "Alto Sinistra", topRight: "Alto Destra", blurSolid: "Solido (Veloce)", blurTrue: "Sfocatura Vera (Lento)", blurZoneEditor: "Editor Zona Sfocata", blurZoneCount: "{count} zona/e di sfocatura configurata/e", blurZoneInstructions: "Clicca e trascina le maniglie degli angoli per ridimensionare. Passa sopra i bordi per aggiungere nuovi punti. Clicca sui punti per creare forme complesse.", saveZone: "Salva Zona", dashboardGpuWarning: "La sovrapposizione del cruscotto richiede la codifica GPU. Nessuna GPU compatibile rilevata.", dashboardPrerendered: "Il cruscotto è pre-renderizzato per prestazioni ottimali.", maxQualityWarning: "La qualità massima usa la codifica HEVC se GPU disponibile.", minimap: "Minimappa GPS", minimapDesc: "Mostra percorso e posizione sulla mappa", minimapNoGps: "Nessun dato GPS trovato nei clip selezionati.", minimapPosition: "Posizione", minimapPositionDesc: "Posizionamento angolo", minimapSize: "Dimensione", minimapSizeDesc: "Dimensione minimappa", minimapRenderMode: "Modalità Rendering", minimapRenderModeDesc: "Velocità vs qualità", minimapStaticFast: "Mappa Statica (Veloce)", minimapLiveSlow: "Mappa Live (Lenta)", shareClip: "Condividi Clip", shareClipNew: "NUOVO", generateShareableLink: "Genera Link Condivisibile", generateShareableLinkDesc: "Carica sui server Sentry Studio dopo l'esportazione", shareClipInfo: "Il tuo clip sarà disponibile per <strong>{hours} ore</strong> su clip.sentry-six.com", shareClipWarning: "La condivisione è disponibile solo per esportazioni inferiori a 5 minuti", minimapStaticDesc: "Mappa statica: Scarica i tile della mappa una volta, sovrappone il percorso e il marcatore di posizione. Esportazione veloce, richiede internet.", minimapLiveDesc: "Mappa live: Renderizza ogni frame con Leaflet. Mostra aggiornamenti mappa in tempo reale ma esportazione molto più lenta.", renderingMinimap: "Rendering minimappa...", minimapNoGpsDisabled: "Nessun dato GPS disponibile per la sovrapposizione minimappa. La minimappa sarà disabilitata.", minimapGpsExtractFailed: "Impossibile estrarre i dati GPS. La minimappa sarà disabilitata.", frontCamWarning: "La fotocamera anteriore sarà ridimensionata per corrispondere alle altre fotocamere.", output: "Output", checkingFfmpeg: "Verifica FFmpeg...", ffmpegReady: "FFmpeg pronto", cpuOnly: "Solo CPU (nessun encoder GPU)", ffmpegRequiredMac: "FFmpeg richiesto. Esegui nel Terminale: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg non trovato. Posiziona ffmpeg.exe nella cartella ffmpeg_bin.", notAvailable: "Esportazione non disponibile (in esecuzione nel browser)", ffmpegError: "Errore durante la verifica di FFmpeg", blurZonesStatus: "{count} zona/e sfocata/e - Sovrapposizione cruscotto disabilitata", blurZonesWarning: "Avviso: Le zone sfocate configurate per fotocamere non selezionate ({cameras}) non verranno applicate", minimizeHint: "Puoi minimizzare questa finestra per continuare a guardare le registrazioni. L'esportazione continuerà in background.", analyzingSegments: "Analisi dei segmenti...", buildingExport: "Costruzione esportazione...", exportingWithEncoder: "Esportazione con {encoder}...", exportingWithCpu: "Esportazione con CPU...", exportingPercent: "Esportazione... {percent}%", exportCompleteMB: "Esportazione completata! ({size} MB)", exportFailedCode: "Esportazione fallita (codice {code})", exportFailedNoSpace: "Esportazione fallita: Spazio su disco insufficiente. Liberare spazio sull'unità di destinazione e riprovare.", exportFailedPermission: "Esportazione fallita: Permesso negato. Provare a salvare in un'altra cartella o verificare i permessi.", exportFailedPathNotFound: "Esportazione fallita: Cartella di destinazione non trovata. L'unità potrebbe essere stata disconnessa. Verificare il percorso e riprovare.", exportFailedReadOnly: "Esportazione fallita: L'unità di destinazione è in sola lettura. Rimuovere la protezione da scrittura o scegliere un'altra unità.", exportFailedInvalidPath: "Esportazione fallita: Percorso file non valido. Provare un percorso più breve o rimuovere i caratteri speciali dal nome della cartella.", exportFailedGpuMemory: "Esportazione fallita: Memoria GPU esaurita. Chiudere altre applicazioni che usano la GPU o provare una qualità inferiore.", exportFailedGpuUnavailable: "Esportazione fallita: Codificatore GPU non più disponibile. Riavviare l'app o controllare i driver GPU.", exportFailedSourceLost: "Esportazione fallita: I file sorgente sono diventati inaccessibili durante l'esportazione. Verificare che l'unità sorgente sia ancora collegata.", blurZoneFailed: "Le zone di sfocatura per la privacy non sono state applicate. Il video esportato NON è sfocato. Reinstallare l'app o contattare l'assistenza.", openFileLocation: "Vuoi aprire la posizione del file?", layoutHint: "Trascina per riposizionare • Le schede si agganciano ai bordi", privacy: "Privacy", blurZoneHint: "Nascondere targhe o informazioni sensibili", timelapse: "Time-Lapse", enableTimelapse: "Abilita Time-Lapse", enableTimelapseDesc: "Accelera il filmato per una panoramica condensata", timelapseSpeed: "Velocità", timelapseSpeedDesc: "Moltiplicatore velocità di riproduzione", timelapseOverlayNote: "Le sovrapposizioni di cruscotto, minimappa e timestamp saranno sincronizzate con la velocità time-lapse. L'audio viene rimosso.", timelapseDuration: "Durata → Durata Time-Lapse", shareLinkExpiry: "Il link scade tra {hours} ore", restoreBannerText: "{count} zona/e di privacy precedente/i trovata/e", restoreBannerRestore: "Ripristina", restoreBannerDismiss: "Ignora", restoreBannerRestored: "Zone di privacy ripristinate" },
-            settings: { searchPlaceholder: "Cerca impostazioni...", title: "Impostazioni", general: "Generale", shortcuts: "Scorciatoie", advanced: "Avanzate", displaySection: "Visualizzazione", playbackOverlays: "Riproduzione e Sovrapposizioni", storageSection: "Archiviazione", aboutUpdates: "Informazioni e Aggiornamenti", appVersion: "Versione App", systemSecurity: "Sistema e Sicurezza", secFeature: "Funzione", secStatus: "Stato", secDescription: "Descrizione", footagePrivacy: "Privacy Video", localOnly: "Solo Locale", footagePrivacyDesc: "I clip della dashcam non lasciano mai il tuo archivio locale.", updateReporting: "Rapporto Aggiornamenti", statusActive: "Attivo", updateReportingDesc: "All'avvio l'app contatta la nostra API per controlli di sicurezza e versione.", deviceHash: "Hash Dispositivo", hashedSha256: "Hash (SHA-256)", deviceHashDesc: "Un ID sicuro e salato per prevenire spam API.", learnMore: "Scopri di Più", hideDetails: "Nascondi Dettagli", architecture: "Architettura", dashboardStyle: "Stile Cruscotto", language: "Lingua", languageDesc: "Lingua di visualizzazione dell'applicazione", layout: "Layout", classicSidebar: "Barra Laterale Classica", classicSidebarDesc: "Barra laterale ancorata che non sovrappone il video", overlays: "Sovrapposizioni", dashboard: "Cruscotto", dashboardDesc: "Mostra velocità, marcia e dati di telemetria", gpsMap: "Mappa GPS", gpsMapDesc: "Mostra mappa del percorso con posizione del veicolo", theme: "Tema", themeDark: "Scuro", themeLight: "Chiaro", mapStyle: "Stile Mappa", mapStyleLight: "Chiaro", mapStyleDark: "Scuro", dashboardLayout: "Layout Cruscotto", dashboardLayoutDesc: "Stile predefinito o compatto", default: "Predefinito", acceleratorDisplay: "Visualizzazione Acceleratore", acceleratorDisplayDesc: "Stile di visualizzazione del pedale", solidColor: "Colore Solido (On/Off)", iconBar: "Barra Icone (Riempimento)", sideBar: "Barra Laterale", fixedToFrontCamera: "Fisso alla Fotocamera Anteriore", fixedToFrontCameraDesc: "Mantieni cruscotto compatto sulla fotocamera anteriore", mirrorCameras: "Specchia Telecamere", mirrorCamerasDesc: "Specchia telecamere posteriore e ripetitori (come visto negli specchietti)", glassBlur: "Sfocatura Vetro", glassBlurDesc: "Intensità sfocatura sovrapposizione", metricUnits: "Unità Metriche", metricUnitsDesc: "Usa chilometri all'ora (KM/H)", dateFormat: "Formato Data", dateFormatDesc: "Formato di visualizzazione per le date", globalSetting: "Impostazione globale", mdyFormat: "MM/GG/AAAA (USA)", dmyFormat: "GG/MM/AAAA (Internazionale)", ymdFormat: "AAAA-MM-GG (ISO)", timeFormat: "Formato Ora", timeFormatDesc: "Orologio 12 o 24 ore", time12h: "12 ore (AM/PM)", time24h: "24 ore", defaultFolder: "Cartella Dashcam Predefinita", defaultFolderDesc: "Carica automaticamente questa cartella all'avvio", noFolderSet: "Nessuna cartella impostata", browse: "Sfoglia", clear: "Cancella", about: "Informazioni", version: "Versione", viewChangelog: "Visualizza Registro Modifiche", support: "Supporto", supportDesc: "Hai problemi? Usa il pulsante Chat di Supporto nella barra di riproduzione.", openSupportChat: "Apri Chat di Supporto", done: "Fatto", keyboardShortcuts: "Scorciatoie da Tastiera", keyboardShortcutsDesc: "Clicca su un campo e premi un tasto", playPause: "Riproduci / Pausa", skipForward: "Avanti", skipBackward: "Indietro", skipDuration: "Durata Salto", toggleDashboard: "Attiva/Disattiva Cruscotto", toggleMap: "Attiva/Disattiva Mappa", toggleMphKmh: "Attiva/Disattiva MPH / KMH", toggleClipsPanel: "Attiva/Disattiva Pannello Clip", setExportMarkerIn: "Marcatore Esportazione Inizio", setExportMarkerOut: "Marcatore Esportazione Fine", nextClip: "Clip Successivo", prevClip: "Clip Precedente", second: "secondo", seconds: "secondi", updates: "Aggiornamenti", disableAutoUpdate: "Disabilita Aggiornamento Automatico", disableAutoUpdateDesc: "Non verificare aggiornamenti all'avvio", updateBranch: "Ramo Aggiornamenti", updateBranchDesc: "Main per stabile, Dev-SEI per beta", mainStable: "Main (Stabile)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Verifica Aggiornamenti", checkForUpdatesDesc: "Verifica manualmente nuove versioni", checkNow: "Verifica Ora", checking: "Controllo...", upToDate: "Aggiornato", checkFailed: "Controllo Fallito", updateFound: "Aggiornamento Trovato!", eventHighlights: "Evidenziazioni Eventi", sentryCameraGlow: "Bagliore Telecamera Sentry", sentryCameraGlowDesc: "Bagliore rosso su telecamera attivata", savedCameraGlow: "Bagliore Telecamera Salvata", savedCameraGlowDesc: "Bagliore giallo su telecamera attivata", cameraLayout: "Layout Telecamere", resetCameraOrder: "Reimposta Ordine Telecamere", resetCameraOrderDesc: "Ripristina posizioni griglia predefinite", reset: "Reimposta" },
+            export: { title: "Esporta Video", start: "Inizio", end: "Fine", inPoint: "Inizio", outPoint: "Fine", duration: "Durata", layout: "Layout", quality: "Qualità", overlays: "Sovrapposizioni", timestamp: "Timestamp", dashboard: "Cruscotto", cancel: "Annulla", exportBtn: "Esporta", preparing: "Preparazione...", exporting: "Esportazione...", compact: "Compatto", detailed: "Dettagliato", teslaMobile: "Tesla Mobile", mobile: "Mobile", teslaMobilePositionDesc: "Sopra o sotto il clip", bottom: "Sotto", top: "Sopra", medium: "Medio", high: "Alto", maximum: "Massimo", timestampDesc: "Registra data e ora di registrazione", dashboardDesc: "Registra velocità, marcia e telemetria", position: "Posizione", positionDesc: "Posizionamento sul video", style: "Stile", styleDesc: "Stile visivo del cruscotto", size: "Dimensione", sizeDesc: "Dimensione del cruscotto", sizeSmall: "Piccolo (25%)", sizeMedium: "Medio (35%)", sizeLarge: "Grande (45%)", sizeXLarge: "Extra Grande (55%)", blurType: "Metodo di Sfocatura", blurTypeDesc: "Scegli metodo in base a velocità vs qualità", addBlurZone: "Aggiungi Zona Sfocata", addBlurZoneDesc: "Nascondi informazioni sensibili prima della condivisione", addZone: "Aggiungi Zona", bottomCenter: "Centro Basso", bottomLeft: "Basso Sinistra", bottomRight: "Basso Destra", topCenter: "Centro Alto", topLeft: "Alto Sinistra", topRight: "Alto Destra", blurSolid: "Solido (Veloce)", blurTrue: "Sfocatura Vera (Lento)", blurZoneEditor: "Editor Zona Sfocata", blurZoneCount: "{count} zona/e di sfocatura configurata/e", blurZoneInstructions: "Clicca e trascina le maniglie degli angoli per ridimensionare. Passa sopra i bordi per aggiungere nuovi punti. Clicca sui punti per creare forme complesse.", saveZone: "Salva Zona", dashboardGpuWarning: "La sovrapposizione del cruscotto richiede la codifica GPU. Nessuna GPU compatibile rilevata.", dashboardPrerendered: "Il cruscotto è pre-renderizzato per prestazioni ottimali.", maxQualityWarning: "La qualità massima usa la codifica HEVC se GPU disponibile.", minimap: "Minimappa GPS", minimapDesc: "Mostra percorso e posizione sulla mappa", minimapNoGps: "Nessun dato GPS trovato nei clip selezionati.", minimapPosition: "Posizione", minimapPositionDesc: "Posizionamento angolo", minimapSize: "Dimensione", minimapSizeDesc: "Dimensione minimappa", minimapRenderMode: "Modalità Rendering", minimapRenderModeDesc: "Velocità vs qualità", minimapStaticFast: "Mappa Statica (Veloce)", minimapLiveSlow: "Mappa Live (Lenta)", shareClip: "Condividi Clip", shareClipNew: "NUOVO", generateShareableLink: "Genera Link Condivisibile", generateShareableLinkDesc: "Carica sui server Sentry Studio dopo l'esportazione", shareClipInfo: "Il tuo clip sarà disponibile per <strong>{hours} ore</strong> su clip.sentry-six.com", shareClipWarning: "La condivisione è disponibile solo per esportazioni inferiori a 5 minuti", minimapStaticDesc: "Mappa statica: Scarica i tile della mappa una volta, sovrappone il percorso e il marcatore di posizione. Esportazione veloce, richiede internet.", minimapLiveDesc: "Mappa live: Renderizza ogni frame con Leaflet. Mostra aggiornamenti mappa in tempo reale ma esportazione molto più lenta.", renderingMinimap: "Rendering minimappa...", minimapNoGpsDisabled: "Nessun dato GPS disponibile per la sovrapposizione minimappa. La minimappa sarà disabilitata.", minimapGpsExtractFailed: "Impossibile estrarre i dati GPS. La minimappa sarà disabilitata.", frontCamWarning: "La fotocamera anteriore sarà ridimensionata per corrispondere alle altre fotocamere.", output: "Output", checkingFfmpeg: "Verifica FFmpeg...", ffmpegReady: "FFmpeg pronto", cpuOnly: "Solo CPU (nessun encoder GPU)", ffmpegRequiredMac: "FFmpeg richiesto. Esegui nel Terminale: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg non trovato. Posiziona ffmpeg.exe nella cartella ffmpeg_bin.", notAvailable: "Esportazione non disponibile (in esecuzione nel browser)", ffmpegError: "Errore durante la verifica di FFmpeg", blurZonesStatus: "{count} zona/e sfocata/e - Sovrapposizione cruscotto disabilitata", blurZonesWarning: "Avviso: Le zone sfocate configurate per fotocamere non selezionate ({cameras}) non verranno applicate", minimizeHint: "Puoi minimizzare questa finestra per continuare a guardare le registrazioni. L'esportazione continuerà in background.", analyzingSegments: "Analisi dei segmenti...", buildingExport: "Costruzione esportazione...", exportingWithEncoder: "Esportazione con {encoder}...", exportingWithCpu: "Esportazione con CPU...", exportingPercent: "Esportazione... {percent}%", exportCompleteMB: "Esportazione completata! ({size} MB)", exportFailedCode: "Esportazione fallita (codice {code})", exportFailedNoSpace: "Esportazione fallita: Spazio su disco insufficiente. Liberare spazio sull'unità di destinazione e riprovare.", exportFailedPermission: "Esportazione fallita: Permesso negato. Provare a salvare in un'altra cartella o verificare i permessi.", exportFailedPathNotFound: "Esportazione fallita: Cartella di destinazione non trovata. L'unità potrebbe essere stata disconnessa. Verificare il percorso e riprovare.", exportFailedReadOnly: "Esportazione fallita: L'unità di destinazione è in sola lettura. Rimuovere la protezione da scrittura o scegliere un'altra unità.", exportFailedInvalidPath: "Esportazione fallita: Percorso file non valido. Provare un percorso più breve o rimuovere i caratteri speciali dal nome della cartella.", exportFailedGpuMemory: "Esportazione fallita: Memoria GPU esaurita. Chiudere altre applicazioni che usano la GPU o provare una qualità inferiore.", exportFailedGpuUnavailable: "Esportazione fallita: Codificatore GPU non più disponibile. Riavviare l'app o controllare i driver GPU.", exportFailedSourceLost: "Esportazione fallita: I file sorgente sono diventati inaccessibili durante l'esportazione. Verificare che l'unità sorgente sia ancora collegata.", blurZoneFailed: "Le zone di sfocatura per la privacy non sono state applicate. Il video esportato NON è sfocato. Reinstallare l'app o contattare l'assistenza.", openFileLocation: "Vuoi aprire la posizione del file?", layoutHint: "Trascina per riposizionare • Le schede si agganciano ai bordi", privacy: "Privacy", blurZoneHint: "Nascondere targhe o informazioni sensibili", timelapse: "Time-Lapse", enableTimelapse: "Abilita Time-Lapse", enableTimelapseDesc: "Accelera il filmato per una panoramica condensata", timelapseSpeed: "Velocità", timelapseSpeedDesc: "Moltiplicatore velocità di riproduzione", timelapseOverlayNote: "Le sovrapposizioni di cruscotto, minimappa e timestamp saranno sincronizzate con la velocità time-lapse. L'audio viene rimosso.", timelapseDuration: "Durata → Durata Time-Lapse", shareLinkExpiry: "Il link scade tra {hours} ore", restoreBannerText: "{count} zona/e di privacy precedente/i trovata/e", restoreBannerRestore: "Ripristina", restoreBannerDismiss: "Ignora", restoreBannerRestored: "Zone di privacy ripristinate", telemetryData: "Dati Telemetria", telemetryDataDesc: "Velocità, marcia, pedali, sterzo, frecce, stato Autopilot, GPS e accelerazione per fotogramma nell'intervallo selezionato. Il video non viene ricodificato.", exportTelemetry: "Esporta Telemetria", telemetrySelectFormat: "Seleziona almeno un formato di telemetria", telemetryInProgress: "Un'esportazione è già in corso", telemetryNoGps: "Nessun segnale GPS in questo intervallo: le tracce GPX/KML saranno vuote", telemetryExported: "Esportati {count} fotogrammi di telemetria in {files} file", telemetryExportFailed: "Esportazione telemetria non riuscita: {error}", subtitles: "Sottotitoli Telemetria", subtitleSidecar: "File separato", subtitleEmbedded: "Incorporati", subtitleEmbeddedDesc: "Traccia nell'MP4", subtitlesDesc: "Ora, velocità, marcia, stato dell'Autopilot e posizione GPS una volta al secondo come traccia di sottotitoli attivabile e disattivabile. Nulla viene impresso nel video.", shareClipInfoServer: "La tua clip sarà disponibile per <strong>{hours}</strong> su {host}" },
+            settings: { searchPlaceholder: "Cerca impostazioni...", title: "Impostazioni", general: "Generale", shortcuts: "Scorciatoie", advanced: "Avanzate", displaySection: "Visualizzazione", playbackOverlays: "Riproduzione e Sovrapposizioni", storageSection: "Archiviazione", aboutUpdates: "Informazioni e Aggiornamenti", appVersion: "Versione App", systemSecurity: "Sistema e Sicurezza", secFeature: "Funzione", secStatus: "Stato", secDescription: "Descrizione", footagePrivacy: "Privacy Video", localOnly: "Solo Locale", footagePrivacyDesc: "I clip della dashcam non lasciano mai il tuo archivio locale.", updateReporting: "Rapporto Aggiornamenti", statusActive: "Attivo", updateReportingDesc: "All'avvio l'app contatta la nostra API per controlli di sicurezza e versione.", deviceHash: "Hash Dispositivo", hashedSha256: "Hash (SHA-256)", deviceHashDesc: "Un ID sicuro e salato per prevenire spam API.", learnMore: "Scopri di Più", hideDetails: "Nascondi Dettagli", architecture: "Architettura", dashboardStyle: "Stile Cruscotto", language: "Lingua", languageDesc: "Lingua di visualizzazione dell'applicazione", layout: "Layout", classicSidebar: "Barra Laterale Classica", classicSidebarDesc: "Barra laterale ancorata che non sovrappone il video", overlays: "Sovrapposizioni", dashboard: "Cruscotto", dashboardDesc: "Mostra velocità, marcia e dati di telemetria", gpsMap: "Mappa GPS", gpsMapDesc: "Mostra mappa del percorso con posizione del veicolo", theme: "Tema", themeDark: "Scuro", themeLight: "Chiaro", mapStyle: "Stile Mappa", mapStyleLight: "Chiaro", mapStyleDark: "Scuro", dashboardLayout: "Layout Cruscotto", dashboardLayoutDesc: "Stile predefinito o compatto", default: "Predefinito", acceleratorDisplay: "Visualizzazione Acceleratore", acceleratorDisplayDesc: "Stile di visualizzazione del pedale", solidColor: "Colore Solido (On/Off)", iconBar: "Barra Icone (Riempimento)", sideBar: "Barra Laterale", fixedToFrontCamera: "Fisso alla Fotocamera Anteriore", fixedToFrontCameraDesc: "Mantieni cruscotto compatto sulla fotocamera anteriore", mirrorCameras: "Specchia Telecamere", mirrorCamerasDesc: "Specchia telecamere posteriore e ripetitori (come visto negli specchietti)", glassBlur: "Sfocatura Vetro", glassBlurDesc: "Intensità sfocatura sovrapposizione", metricUnits: "Unità Metriche", metricUnitsDesc: "Usa chilometri all'ora (KM/H)", dateFormat: "Formato Data", dateFormatDesc: "Formato di visualizzazione per le date", globalSetting: "Impostazione globale", mdyFormat: "MM/GG/AAAA (USA)", dmyFormat: "GG/MM/AAAA (Internazionale)", ymdFormat: "AAAA-MM-GG (ISO)", timeFormat: "Formato Ora", timeFormatDesc: "Orologio 12 o 24 ore", time12h: "12 ore (AM/PM)", time24h: "24 ore", defaultFolder: "Cartella Dashcam Predefinita", defaultFolderDesc: "Carica automaticamente questa cartella all'avvio", noFolderSet: "Nessuna cartella impostata", browse: "Sfoglia", clear: "Cancella", about: "Informazioni", version: "Versione", viewChangelog: "Visualizza Registro Modifiche", support: "Supporto", supportDesc: "Hai problemi? Usa il pulsante Chat di Supporto nella barra di riproduzione.", openSupportChat: "Apri Chat di Supporto", done: "Fatto", keyboardShortcuts: "Scorciatoie da Tastiera", keyboardShortcutsDesc: "Clicca su un campo e premi un tasto", playPause: "Riproduci / Pausa", skipForward: "Avanti", skipBackward: "Indietro", skipDuration: "Durata Salto", toggleDashboard: "Attiva/Disattiva Cruscotto", toggleMap: "Attiva/Disattiva Mappa", toggleMphKmh: "Attiva/Disattiva MPH / KMH", toggleClipsPanel: "Attiva/Disattiva Pannello Clip", setExportMarkerIn: "Marcatore Esportazione Inizio", setExportMarkerOut: "Marcatore Esportazione Fine", nextClip: "Clip Successivo", prevClip: "Clip Precedente", second: "secondo", seconds: "secondi", updates: "Aggiornamenti", disableAutoUpdate: "Disabilita Aggiornamento Automatico", disableAutoUpdateDesc: "Non verificare aggiornamenti all'avvio", updateBranch: "Ramo Aggiornamenti", updateBranchDesc: "Main per stabile, Dev-SEI per beta", mainStable: "Main (Stabile)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Verifica Aggiornamenti", checkForUpdatesDesc: "Verifica manualmente nuove versioni", checkNow: "Verifica Ora", checking: "Controllo...", upToDate: "Aggiornato", checkFailed: "Controllo Fallito", updateFound: "Aggiornamento Trovato!", eventHighlights: "Evidenziazioni Eventi", sentryCameraGlow: "Bagliore Telecamera Sentry", sentryCameraGlowDesc: "Bagliore rosso su telecamera attivata", savedCameraGlow: "Bagliore Telecamera Salvata", savedCameraGlowDesc: "Bagliore giallo su telecamera attivata", cameraLayout: "Layout Telecamere", resetCameraOrder: "Reimposta Ordine Telecamere", resetCameraOrderDesc: "Ripristina posizioni griglia predefinite", reset: "Reimposta", indexCache: "Cache dell'indice della libreria", indexCacheStatus: "{folders} cartella/e in cache · {size}", indexCacheEmpty: "Nessuna cartella ancora in cache", clearIndexCache: "Svuota cache", indexCacheCleared: "Cache dell'indice svuotata. Le cartelle verranno analizzate di nuovo alla prossima apertura.", indexCacheClearFailed: "Impossibile svuotare la cache dell'indice: {error}", rebuildIndex: "Ricostruisci indice", indexRebuilt: "Indice ricostruito dall'unità.", indexRebuildFailed: "Impossibile ricostruire l'indice: {error}", indexRebuildNeedsFolder: "Apri prima una cartella dashcam per ricostruirne l'indice.", addBookmark: "Aggiungi segnalibro", frameForward: "Fotogramma successivo", frameBackward: "Fotogramma precedente", saveStill: "Salva fotogramma", toggleTelemetryCharts: "Mostra/nascondi grafici", nextMotion: "Movimento successivo", prevMotion: "Movimento precedente", toggleMotionSkipIdle: "Attiva/disattiva salto inattività", toggleSmartPlayback: "Attiva/disattiva riproduzione intelligente", nextMultiLayout: "Layout telecamere successivo", prevMultiLayout: "Layout telecamere precedente", sharingSection: "Condivisione Clip", shareServer: "Server di condivisione", shareServerSave: "Salva", shareServerReset: "Predefinito", shareServerDesc: "Lascia vuoto per usare il servizio ospitato di Sentry Studio, oppure inserisci l'indirizzo del tuo server (share-server nel repository) per mantenere le clip condivise nella tua rete.", shareServerInvalid: "Impossibile salvare il server", shareServerDefault: "In uso il servizio ospitato di Sentry Studio", shareServerSaved: "Le clip saranno condivise tramite {url}" },
             cameras: { front: "Anteriore", back: "Posteriore", leftPillar: "Montante Sinistro", rightPillar: "Montante Destro", leftRepeater: "Ripetitore Sinistro", rightRepeater: "Ripetitore Destro" },
             dashboard: { drive: "Guida", manual: "Manuale", noData: "Nessun Dato", mph: "MPH", kmh: "KM/H", selfDriving: "Guida Autonoma", autosteer: "Sterzo Automatico", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Carica prima una collezione per impostare i marcatori di esportazione", startMarkerSet: "Marcatore di inizio impostato", endMarkerSet: "Marcatore di fine impostato", exportComplete: "Esportazione completata!", exportCancelled: "Esportazione annullata", exportFailed: "Esportazione fallita", foundDatesWithClips: "Trovate {count} date con clip", loadedFilesForDate: "Caricati {count} file per {date}", noDataForDate: "Nessun dato per {date}", noClipsFoundForDate: "Nessun clip trovato per {date}", noDashcamClipsFound: "Nessun clip video trovato. Seleziona una cartella contenente file video (.mp4, .avi, .mov, .mkv) o una cartella dashcam Tesla con RecentClips, SentryClips o SavedClips.", metadataParserNotReady: "Parser dei metadati non ancora inizializzato—riprova tra un secondo.", noSupportedFilesFound: "Nessun file supportato trovato in quella cartella.", failedToLoadVideo: "Impossibile caricare il video: {error}", errorSelectingDay: "Errore nella selezione del giorno: {error}", failedToOpenFolder: "Impossibile aprire la cartella: {error}", failedToInitMetadataParser: "Impossibile inizializzare il parser dei metadati. Assicurati che protobuf si carichi e che non stai eseguendo tramite file://", capturingSnapshot: "Cattura screenshot in corso...", couldNotFindVideoFile: "Impossibile trovare il file video per la fotocamera {camera}", unsupportedFileType: "Tipo di file non supportato per lo screenshot", failedToCaptureSnapshot: "Impossibile catturare lo screenshot: {error}", blurZoneMinPoints: "Per favore, crea una zona di sfocatura valida con almeno 3 punti", failedToGenerateMask: "Impossibile generare l'immagine della maschera", failedToExtractMaskData: "Impossibile estrarre i dati dell'immagine della maschera", failedToGetCanvasDimensions: "Impossibile ottenere le dimensioni del canvas", blurZoneSaved: "Zona di sfocatura salvata con successo", failedToSaveBlurZone: "Impossibile salvare la zona di sfocatura: {error}", exportNotAvailable: "Esportazione non disponibile", exportRequiresFolder: "L'esportazione richiede la selezione di una cartella tramite il selettore. Per favore, seleziona nuovamente la cartella della dashcam.", selectAtLeastOneCamera: "Per favore, seleziona almeno una fotocamera", extractingTelemetry: "Estrazione dati di telemetria...", noTelemetryData: "Nessun dato di telemetria disponibile per la sovrapposizione del cruscotto. Il cruscotto sarà disabilitato.", failedToExtractTelemetry: "Impossibile estrarre i dati di telemetria. Il cruscotto sarà disabilitato.", noVideoFilesForExport: "Nessun file video trovato per l'esportazione. Assicurati che la cartella sia stata selezionata correttamente.", exportFailedWithError: "Esportazione fallita: {error}", onlyOneAttachment: "È consentito solo 1 allegato per messaggio", fileTooLarge: "Il file \"{filename}\" è troppo grande (max 100MB)", enterMessageOrAttach: "Per favore, inserisci un messaggio o allega un file", supportTicketClosed: "Ticket di supporto chiuso", newSupportMessages: "{count} nuovo/i messaggio/i di supporto ricevuto/i", cameraOrderReset: "Ordine delle fotocamere ripristinato ai valori predefiniti", collectingDiagnostics: "Raccolta dati diagnostici...", uploadingDiagnostics: "Caricamento diagnostica...", supportIdCopied: "ID Supporto: {supportId} - Copiato negli appunti!", failedToUploadDiagnostics: "Impossibile caricare la diagnostica: {error}", uploadFailed: "Caricamento fallito: {error}", supportIdCopiedSimple: "ID Supporto copiato negli appunti!", failedToCopy: "Impossibile copiare: {error}", failedToGenerateSupportId: "Impossibile generare l'ID Supporto: {error}" },
             supportChat: { title: "Chat di Supporto", needHelp: "Hai Bisogno di Aiuto?", welcomeDesc: "Inizia una conversazione di supporto con noi. Descrivi il tuo problema, bug o feedback e ti risponderemo il prima possibile.", welcomeNote: "Puoi allegare screenshot/video e dati diagnostici per aiutarci a capire meglio il tuo problema.", diagnostics: "Diagnostica", attach: "Allega", placeholder: "Descrivi il tuo problema o feedback...", privacyNote: "I dati vengono eliminati automaticamente dopo 7 giorni", ticketClosed: "Questo ticket è stato chiuso.", createNewTicket: "Crea Nuovo Ticket di Supporto", closeTicket: "Chiudi Ticket", minimize: "Minimizza", closePanel: "Chiudi Pannello", sendMessage: "Invia messaggio", includeDiagnostics: "Includi dati diagnostici", attachFiles: "Allega file", you: "Tu", support: "Supporto" },
-            sharedClips: { title: "I Miei Clip Condivisi", emptyTitle: "Nessun clip condiviso ancora", emptyDesc: "Esporta un clip con la condivisione abilitata per vederlo qui", clickHint: "Seleziona un clip per visualizzare i dettagli", copyLink: "Copia Link", open: "Apri", delete: "Elimina", deleteTitle: "Elimina Clip Condiviso", deleteConfirm: "Sei sicuro di voler eliminare", deleteWarning: "Questo rimuoverà permanentemente il clip dai server Sentry Studio. Chiunque abbia il link non potrà più visualizzarlo o scaricarlo.", cancel: "Annulla", deleteClip: "Elimina Clip" }
+            sharedClips: { title: "I Miei Clip Condivisi", emptyTitle: "Nessun clip condiviso ancora", emptyDesc: "Esporta un clip con la condivisione abilitata per vederlo qui", clickHint: "Seleziona un clip per visualizzare i dettagli", copyLink: "Copia Link", open: "Apri", delete: "Elimina", deleteTitle: "Elimina Clip Condiviso", deleteConfirm: "Sei sicuro di voler eliminare", deleteWarning: "Questo rimuoverà permanentemente il clip dai server Sentry Studio. Chiunque abbia il link non potrà più visualizzarlo o scaricarlo.", cancel: "Annulla", deleteClip: "Elimina Clip", resumeUpload: "Riprendi caricamento" },
+            exportQueue: { title: "Coda di esportazione", addToQueue: "Aggiungi alla coda", jobAdded: "Aggiunto alla coda di esportazione: {name}", jobDone: "Esportazione in coda completata: {name}", jobFailed: "Esportazione in coda non riuscita: {name} ({error})", actionFailed: "Errore della coda di esportazione: {error}", emptyTitle: "Nessuna esportazione in coda", emptyDesc: "Usa \"Aggiungi alla coda\" nella finestra di esportazione per mettere in fila più esportazioni", pausedNote: "La coda è in pausa. L'esportazione corrente termina, ma nessun nuovo lavoro parte finché non riprendi.", clearFinished: "Rimuovi completate", pauseQueue: "Metti in pausa la coda", resumeQueue: "Riprendi la coda", moveUp: "Sposta su", moveDown: "Sposta giù", pause: "Pausa", resume: "Riprendi", retry: "Riprova", remove: "Rimuovi", showInFolder: "Mostra nella cartella", statusPending: "In attesa", statusRunning: "Esportazione", statusPaused: "In pausa", statusFailed: "Non riuscita", statusDone: "Completata" },
+            incidents: { tab: "Incidenti", scan: "Analizza", rescan: "Rianalizza", selectClip: "Apri una clip per cercare incidenti", notScanned: "Non ancora analizzato", scanning: "Analisi della telemetria ({done}/{total})", found: "{count} incidente/i trovato/i", scanFailed: "Analisi degli incidenti non riuscita: {error}", hardBrake: "Frenata brusca", hardAccel: "Accelerazione brusca", sharpTurn: "Curva brusca", impact: "Possibile impatto", settingsTitle: "Rilevamento incidenti", resetThresholds: "Ripristina soglie" },
+            highlightReel: { title: "Video dei momenti salienti", enable: "Crea video dei momenti salienti", enableDesc: "Unisce brevi clip attorno ai momenti chiave in un unico video", sourceEvents: "Eventi Sentinella e salvati", sourceEventsDesc: "Momento in cui è scattato l'evento", sourceDisengagements: "Disinnesti FSD", sourceDisengagementsDesc: "Dai dati di guida SentryUSB", sourceAccelPushes: "Pressioni dell'acceleratore", sourceAccelPushesDesc: "Pressioni del pedale con FSD attivo", sourceBraking: "Frenate brusche", sourceBrakingDesc: "Rilevate dalla telemetria", paddingBefore: "Prima di ogni momento", paddingBeforeDesc: "Filmato mantenuto prima dell'evento", paddingAfter: "Dopo ogni momento", paddingAfterDesc: "Filmato mantenuto dopo l'evento", note: "Usa l'intera clip caricata invece dei marcatori di inizio/fine. Ogni momento ha una schermata titolo con data, ora e luogo.", sentryEvent: "Evento Sentinella", savedEvent: "Clip salvata", disengagement: "Disinnesto FSD", accelPush: "Pressione dell'acceleratore", scanningTelemetry: "Analisi della telemetria per le frenate brusche…", nothingFound: "Nessun momento saliente trovato per le fonti selezionate", tooManyClips: "Trovati {count} momenti; verranno inclusi solo i primi {max}", renderingClip: "Rendering del momento {current} di {total}…", stitching: "Unione dei momenti e delle schermate titolo…" },
+            libraryMap: { open: "Mappa della libreria", title: "Mappa della libreria", from: "Dal", to: "Al", reason: "Motivo", allReasons: "Tutti i motivi", drives: "Viaggi", fit: "Adatta ai risultati", loading: "Lettura delle posizioni degli eventi… {done}/{total}", summary: "{events} evento/i · {drives} viaggio/i", noLocations: "Nessun elemento con posizione corrisponde a questi filtri", openClip: "Apri clip", openDrive: "Apri viaggio", noLibrary: "Apri prima una cartella della dashcam o carica i dati dei viaggi SentryUSB", mapUnavailable: "Impossibile caricare la libreria delle mappe. Controlla la connessione a Internet." },
+            search: { tab: "Cerca", placeholder: "es. reason:honk date:-30d", run: "Cerca", help: "Sintassi delle query", helpEvents: "Eventi:", helpTime: "Data e ora:", helpDrives: "Viaggi:", helpTelemetry: "Telemetria:", helpLogic: "Combina:", readingEvents: "Lettura degli eventi… {done}/{total}", noLibrary: "Apri una cartella della dashcam per cercarvi", searching: "Ricerca in corso…", indexingDate: "Indicizzazione di {date}…", scanningTelemetry: "Lettura della telemetria… {done}/{total} clip", found: "{count} risultato/i", tooManyResults: "Mostrati i primi {count} risultati: restringi la query per vederne altri", scanLimited: "La telemetria è stata letta solo per le {count} clip corrispondenti più recenti; aggiungi date: per cercare più indietro.", failed: "Ricerca non riuscita: {error}", drive: "Viaggio", sentryEvent: "Evento Sentinella", savedEvent: "Clip salvata", recentClips: "Clip recenti", customClips: "Clip", errorEmptyGroup: "Atteso un termine di ricerca", errorParen: "Parentesi non bilanciate", errorUnexpected: "\"{token}\" inatteso", errorMissingValue: "Valore mancante dopo {field}", errorInvalidValue: "\"{value}\" non è un valore valido per {field}", errorComparator: "\"{cmp}\" non può essere usato con {field}; usa : o !=" },
+            bookmarks: { tab: "Segnalibri", filter: "Filtra segnalibri…", add: "Aggiungi segnalibro a questo momento", addTitle: "Aggiungi segnalibro", editTitle: "Modifica segnalibro", titleLabel: "Titolo", titlePlaceholder: "Cosa è successo qui?", noteLabel: "Note", colorLabel: "Colore", delete: "Elimina", cancel: "Annulla", save: "Salva", edit: "Modifica", untitled: "Segnalibro senza titolo", noFolder: "Apri una cartella della dashcam per aggiungere segnalibri", empty: "Nessun segnalibro. Usa il pulsante segnalibro accanto alla timeline per segnare un momento.", count: "{count} segnalibro/i", filtered: "{count} di {total} segnalibri", saveFailed: "Impossibile salvare i segnalibri: {error}", savedLocally: "Questa cartella è di sola lettura, quindi i segnalibri vengono salvati solo su questo computer" },
+            stills: { frameBack: "Fotogramma precedente", frameForward: "Fotogramma successivo", saveStill: "Salva fotogramma", title: "Salva fotogramma", sourceLabel: "Telecamera", wholeGrid: "Tutte le telecamere (griglia)", captionLabel: "Aggiungi didascalia telemetria (ora, velocità, marcia, GPS)", hint: "Salvato come PNG alla risoluzione nativa delle telecamere.", cancel: "Annulla", save: "Salva PNG", saveTitle: "Salva fotogramma", autopilot: "Autopilot", noVideo: "Apri una clip per salvare un fotogramma", noFrame: "Il fotogramma non è ancora pronto", saved: "Fotogramma salvato: {file}", saveFailed: "Impossibile salvare il fotogramma: {error}" },
+            evidence: { title: "Pacchetto prove", enable: "Crea pacchetto prove", enableDesc: "Comprimi clip originali, dati dell'evento e telemetria insieme al video", note: "Include la clip originale di ogni telecamera per l'intervallo segnato, un report con orari e impostazioni di esportazione e un manifest SHA-256 con cui chiunque può verificare che nulla sia stato alterato.", verify: "Verifica pacchetto...", verifying: "Verifica dei file con SHA256SUMS...", verifyOk: "{name}: tutti i {count} file corrispondono al manifest", verifyFailed: "{name}: verifica NON RIUSCITA - il pacchetto è stato modificato", verifyError: "Impossibile verificare il pacchetto: {error}", statusModified: "modificato", statusMissing: "mancante", statusUnlisted: "non nel manifest", noSourceFiles: "Nessuna clip sorgente su disco per questo intervallo", notWithReel: "I pacchetti prove coprono un solo intervallo continuo - disattiva prima la Highlight Reel", rendering: "Rendering del video per il pacchetto prove...", telemetry: "Decodifica della telemetria...", hashing: "Calcolo degli hash ({current}/{total})...", zipping: "Scrittura dello zip...", complete: "Pacchetto prove salvato ({files} file, {size} MB)" },
+            incidentReport: { title: "Rapporto sull'incidente", generate: "Crea rapporto sull'incidente", saveTitle: "Salva rapporto sull'incidente", generating: "Creazione del rapporto sull'incidente…", saved: "Rapporto sull'incidente salvato: {file}", failed: "Impossibile creare il rapporto sull'incidente: {error}", notAvailable: "I rapporti sono disponibili per gli eventi Sentry e salvati con un event.json", eventDetails: "Dettagli dell'evento", eventType: "Tipo di evento", reason: "Motivo", triggerTime: "Attivato alle", triggerCamera: "Telecamera di attivazione", location: "Luogo", coordinates: "Coordinate", sourceFolder: "Cartella di origine", recording: "Registrazione", clipCount: "{count} clip", keyFrames: "Fotogrammi chiave", trigger: "Attivazione", noFrames: "Impossibile leggere i fotogrammi attorno all'attivazione", map: "Mappa della posizione", mapOffline: "Impossibile scaricare le tessere della mappa; percorso e posizione sono disegnati senza sfondo.", noGps: "Nessuna posizione GPS registrata per questo evento", telemetry: "Telemetria del veicolo ({seconds} s attorno all'attivazione)", noTelemetry: "Nessuna telemetria registrata attorno all'attivazione (normale da parcheggiato)", atTrigger: "All'attivazione", speed: "Velocità", accelerator: "Acceleratore", brake: "Freno", steering: "Angolo di sterzata", gear: "Marcia", autopilot: "Assistenza alla guida", applied: "Premuto", released: "Rilasciato", footer: "Generato da Sentry Studio il {date} dalle registrazioni TeslaCam originali. Gli orari sono quelli registrati dal veicolo." },
+            telemetryCharts: { title: "Grafici telemetria", toggle: "Grafici telemetria", speed: "Velocità", accelerator: "Acceleratore", brake: "Freno", steering: "Sterzo", lateralG: "G laterale", longitudinalG: "G longitudinale", autopilot: "Autopilot", on: "Sì", off: "No", dock: "Aggancia sopra i controlli", undock: "Pannello mobile", resetZoom: "Mostra tutta la timeline", close: "Chiudi", noCollection: "Seleziona una clip per tracciarne la telemetria", loading: "Lettura telemetria… {done}/{total}", noData: "Nessuna telemetria in queste clip", scanFailed: "Impossibile leggere la telemetria: {error}" },
+            timelineStrip: { setting: "Striscia della timeline", settingDesc: "Colore sotto la barra di avanzamento", speed: "Velocità", autopilot: "Autopilot", off: "Disattivato", gapMinutes: "{count} min non registrati", gapSeconds: "{count} s non registrati" },
+            motion: { setting: "Analisi del movimento", settingDesc: "Cerca movimento su ogni telecamera negli eventi Sentinella e salvati", skipIdleOff: "Salta i periodi senza attività", skipIdleOn: "Periodi senza attività saltati (clic per disattivare)", skipIdleEnabled: "I periodi senza movimento verranno saltati", skipIdleDisabled: "Riproduzione completa", analyzing: "Analisi del movimento… {percent}%", analysisFailed: "Analisi del movimento non riuscita: {error}", noNext: "Nessun altro movimento dopo questo punto", noPrevious: "Nessun movimento prima di questo punto", skipped: "Saltati {seconds} s senza movimento" },
+            smartPlayback: { toggle: "Riproduzione intelligente: salta le soste in P, 1x vicino a frenate/frecce", on: "Riproduzione intelligente attiva (clic per disattivare)", enabled: "Riproduzione intelligente attiva", disabled: "Riproduzione intelligente disattivata", saved: "{time} di sosta saltati o accelerati", settingsTitle: "Riproduzione intelligente", parkedAction: "Soste in parcheggio", parkedActionDesc: "Marcia in P e veicolo fermo", skip: "Salta", fastForward: "Avanti veloce", minParked: "Sosta minima", fastRate: "Velocità avanti veloce", slowPad: "1x vicino a frenate/frecce", off: "Disattivato", reset: "Ripristina riproduzione intelligente" },
+            multiLayouts: { title: "Layout telecamere", sixDefault: "Predefinito (3×2)", quad: "2×2 (quattro telecamere)", frontFocus: "Anteriore grande + 5", frontBack: "Anteriore / Posteriore", pip: "Picture-in-picture", builtIn: "Predefiniti", custom: "Personalizzati", manage: "Gestisci", newLayout: "Nuovo layout…", editLayout: "Modifica layout…", defaultName: "Il mio layout {n}", switched: "Layout: {name}", saved: "Layout \"{name}\" salvato", noCameras: "Aggiungi almeno una telecamera al layout", nameLabel: "Nome", camerasLabel: "Telecamere", editorHint: "Trascina per spostare • Trascina l'angolo per ridimensionare • Le schede si agganciano ai bordi", delete: "Elimina", cancel: "Annulla", save: "Salva" },
+            exportPresets: { label: "Preset", none: "Nessun preset", empty: "Nessun preset salvato", save: "Salva come preset", rename: "Rinomina preset", delete: "Elimina preset", import: "Importa preset", export: "Esporta preset su file", exportTitle: "Salva preset di esportazione", fileType: "Preset di esportazione", namePlaceholder: "Nome del preset", confirm: "Salva", cancel: "Annulla", saved: "Preset \"{name}\" salvato", renamed: "Preset rinominato in \"{name}\"", deleted: "Preset \"{name}\" eliminato", applied: "Preset \"{name}\" applicato", nameTaken: "Esiste già un preset chiamato \"{name}\"", imported: "{count} preset importati", exported: "{count} preset esportati", importFailed: "Impossibile importare i preset: {error}", exportFailed: "Impossibile esportare i preset: {error}", camerasUnavailable: "Non presenti in questa clip: {cameras}" },
+            exportMetadata: { title: "Metadati del File", gpsTrack: "Incorpora Posizione di Partenza", gpsTrackDesc: "Dove inizia l'esportazione, per app di foto e mappe", chapters: "Aggiungi Capitoli", chaptersDesc: "Marcatori a ogni clip, attivazione evento e disinnesto FSD", clipChapter: "Clip {time}", clipChapterUntimed: "Clip" },
+            webGallery: { open: "Galleria web", title: "Galleria web", description: "Esporta gli eventi selezionati in una cartella che si apre in qualsiasi browser, senza Sentry Studio né connessione internet. Copiala su una chiavetta USB o in una cartella condivisa.", selectAll: "Seleziona tutto", selectNone: "Deseleziona tutto", galleryTitle: "Titolo", defaultTitle: "Galleria Sentry Studio", cameras: "Telecamere", trim: "Esporta solo intorno al momento dell'evento", before: "Secondi prima", after: "Secondi dopo", cancel: "Annulla", export: "Esporta galleria", noLibrary: "Apri prima una cartella dashcam con eventi Sentry o salvati", noEvents: "Nessun evento Sentry o salvato in questa cartella", loading: "Lettura eventi… {done}/{total}", noMatches: "Nessun evento corrisponde a questi filtri", selectedCount: "{count} di {total} eventi selezionati", noSelection: "Seleziona almeno un evento", queued: "Galleria web con {count} eventi aggiunta alla coda di esportazione: {name}", rendering: "Evento {current}/{total}: rendering {camera}", writingPage: "Scrittura della pagina della galleria...", complete: "Galleria esportata ({events} eventi, {size})", skipped: "Impossibile esportare {count} eventi: {events}", pageEvents: "{count} eventi", pageCreated: "Creata il {date}", pageAllEvents: "Tutti gli eventi", pagePrevious: "Evento precedente", pageNext: "Evento successivo", pagePlay: "Riproduci / pausa", pageJumpToEvent: "Vai all'evento", pageType: "Tipo", pageDate: "Data", pageLocation: "Luogo", pageCoordinates: "Coordinate", pageCamera: "Telecamera di attivazione", pageDuration: "Durata", pageDistance: "Distanza", pageRoute: "Percorso", pageOpenMap: "Apri in OpenStreetMap", pageEventJson: "Scarica event.json", pageNoRoute: "Nessun dato GPS in queste clip" },
+            clipHealth: { open: "Stato delle clip", title: "Stato delle clip", description: "Trova le clip vuote, illeggibili o interrotte perché l'auto ha perso alimentazione, e le clip a cui manca una telecamera. Le clip riparate vengono salvate accanto all'originale come .repaired.mp4 e riprodotte al suo posto; l'originale non viene mai modificato.", scan: "Ripeti analisi", repairAll: "Ripara tutto", close: "Chiudi", needsFolder: "Scegli prima una cartella dashcam con il pulsante cartella (le cartelle trascinate non possono essere analizzate)", reading: "Lettura della cartella…", scanning: "Controllo clip… {done}/{total}", summary: "{files} file controllati: {problems} problemi in {groups} gruppi di clip", allGood: "{files} file controllati, nessun problema", scanFailed: "Analisi non riuscita: {error}", statusEmpty: "Vuoto", statusUnreadable: "Illeggibile", statusTruncated: "Troncato", missingCameras: "Telecamere mancanti", repair: "Ripara", repaired: "Riparato", repairing: "Riparazione {current}/{total}…", repairFailed: "Riparazione non riuscita: {error}", repairDone: "{repaired} clip riparate, {failed} non riuscite", showInFolder: "Mostra nella cartella" },
+            storage: { open: "Spazio", title: "Spazio", description: "Scopri cosa occupa spazio in questa cartella e liberalo per giorno, evento o regola di conservazione. Nulla viene rimosso senza anteprima e tutto finisce nel cestino di sistema, quindi può essere ripristinato.", needsFolder: "Apri prima una cartella dashcam per vederne lo spazio.", reading: "Lettura della cartella…", measuring: "Misurazione di {done} clip su {total}…", scanFailed: "Impossibile misurare la cartella: {error}", total: "{size} in {count} giorni ed eventi", byType: "Per tipo", byCamera: "Per telecamera", byDay: "Per giorno", other: "Altro", tabUsage: "Utilizzo", tabClips: "Clip", tabRules: "Regole di conservazione", selectAll: "Seleziona tutto", selectNone: "Deseleziona tutto", cameraCount: "{count} telecamere", selectedCount: "{count} selezionati · {size}", trashSelected: "Sposta selezione nel cestino", rulesDescription: "Le regole vengono applicate solo quando le visualizzi in anteprima e le confermi. Gli eventi vengono conservati o rimossi per intero; delle clip recenti restano solo i minuti con segnalibro.", ruleDelete: "Elimina", ruleKeepCameras: "Conserva solo telecamere", ruleOlderThan: "più vecchi di (giorni)", ruleExceptBookmarked: "tranne con segnalibro", ruleRemove: "Rimuovi regola", noRules: "Nessuna regola di conservazione.", addRule: "Aggiungi regola", previewRules: "Anteprima", planSummary: "{files} file ({size}) da {count} giorni ed eventi verranno spostati nel cestino.", planEmpty: "Nessuna corrispondenza; non verrebbe rimosso alcun file.", planWhole: "Tutto", planCameras: "Telecamere: {cameras}", back: "Indietro", confirmTrash: "Sposta nel cestino", trashing: "Spostamento nel cestino {done} di {total}…", trashDone: "{count} elementi ({size}) spostati nel cestino.", trashPartial: "{trashed} elementi spostati nel cestino; {failed} non spostati ({error}).", trashFailed: "Impossibile spostare nel cestino: {error}", close: "Chiudi" }
         },
         welcome: {
             modalTitle: "Benvenuto in Sentry Studio",
@@ -545,13 +751,32 @@ export const translations = {
             eventTypes: { manualSave: "Handmatig Opslaan", honk: "Claxon", objectDetected: "Object Gedetecteerd", emergencyBraking: "Noodremming", accelerationDetected: "Versnelling Gedetecteerd", collisionDetected: "Botsing Gedetecteerd" },
             map: { recenter: "Kaart hercentreren", hint: "Rechtsklik slepen om te verplaatsen" },
             playback: { play: "Afspelen", pause: "Pauzeren", skipBack: "15 seconden terug", skipForward: "15 seconden vooruit", playbackSpeed: "Afspeelsnelheid", setStartMarker: "Startpunt export instellen", setEndMarker: "Eindpunt export instellen", exportVideo: "Video exporteren", supportChat: "Ondersteuningschat", settings: "Instellingen", toggleDetails: "Details wisselen", lateralG: "Laterale G", longitudinalG: "Longitudinale G", heading: "Koers", openExportDetails: "Exportdetails openen" },
-            export: { title: "Video Exporteren", start: "Start", end: "Einde", inPoint: "Start", outPoint: "Einde", duration: "Duur", layout: "Indeling", quality: "Kwaliteit", overlays: "Overlays", timestamp: "Tijdstempel", dashboard: "Dashboard", cancel: "Annuleren", exportBtn: "Exporteren", preparing: "Voorbereiden...", exporting: "Exporteren...", compact: "Compact", detailed: "Gedetailleerd", teslaMobile: "Tesla Mobile", mobile: "Mobiel", teslaMobilePositionDesc: "Boven of onder de clip", bottom: "Onder", top: "Boven", medium: "Gemiddeld", high: "Hoog", maximum: "Maximum", timestampDesc: "Opnamedatum en -tijd inbranden", dashboardDesc: "Snelheid, versnelling en telemetrie inbranden", position: "Positie", positionDesc: "Plaatsing op video", style: "Stijl", styleDesc: "Visuele stijl van dashboard", size: "Grootte", sizeDesc: "Dashboard-grootte", blurType: "Vervagingsmethode", blurTypeDesc: "Kies methode op basis van snelheid vs kwaliteit", addBlurZone: "Vervagingszone Toevoegen", addBlurZoneDesc: "Gevoelige informatie verbergen voor delen", addZone: "Zone Toevoegen", bottomCenter: "Onder Midden", bottomLeft: "Onder Links", bottomRight: "Onder Rechts", topCenter: "Boven Midden", topLeft: "Boven Links", topRight: "Boven Rechts", blurSolid: "Effen (Snel)", blurTrue: "Echte Vervaging (Langzaam)", blurZoneEditor: "Vervagingszone-editor", blurZoneCount: "{count} vervagingszone(s) geconfigureerd", blurZoneInstructions: "Klik en sleep de hoekgrepen om te vergroten/verkleinen. Beweeg over randen om nieuwe punten toe te voegen. Klik op punten om complexe vormen te maken.", saveZone: "Zone Opslaan", dashboardGpuWarning: "Dashboard-overlay vereist GPU-codering. Geen compatibele GPU gedetecteerd.", dashboardPrerendered: "Dashboard is vooraf gerenderd voor optimale prestaties.", maxQualityWarning: "Maximale kwaliteit gebruikt HEVC-codering indien GPU beschikbaar.", minimap: "GPS Minikaart", minimapDesc: "Toon route en positie op kaart", minimapNoGps: "Geen GPS-gegevens gevonden in geselecteerde clips.", minimapPosition: "Positie", minimapPositionDesc: "Hoekplaatsing", minimapSize: "Grootte", minimapSizeDesc: "Minikaart grootte", minimapRenderMode: "Rendermodus", minimapRenderModeDesc: "Snelheid vs kwaliteit", minimapStaticFast: "Statische Kaart (Snel)", minimapLiveSlow: "Live Kaart (Langzaam)", shareClip: "Clip Delen", shareClipNew: "NIEUW", generateShareableLink: "Deelbare Link Genereren", generateShareableLinkDesc: "Uploaden naar Sentry Studio servers na export", shareClipInfo: "Je clip is <strong>{hours} uur</strong> beschikbaar op clip.sentry-six.com", shareClipWarning: "Delen is alleen beschikbaar voor exports korter dan 5 minuten", minimapStaticDesc: "Statische kaart: Downloadt kaarttegels eenmalig, overlapt routepad en positiemarker. Snelle export, vereist internet.", minimapLiveDesc: "Live kaart: Rendert elk frame met Leaflet. Toont realtime kaartupdates maar veel langzamere export.", renderingMinimap: "Minikaart renderen...", minimapNoGpsDisabled: "Geen GPS-gegevens beschikbaar voor minikaart-overlay. Minikaart wordt uitgeschakeld.", minimapGpsExtractFailed: "GPS-gegevens extraheren mislukt. Minikaart wordt uitgeschakeld.", frontCamWarning: "Frontcamera wordt verkleind om overeen te komen met andere camera's.", output: "Uitvoer", checkingFfmpeg: "FFmpeg controleren...", ffmpegReady: "FFmpeg gereed", cpuOnly: "Alleen CPU (geen GPU-encoder)", ffmpegRequiredMac: "FFmpeg vereist. Voer uit in Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg niet gevonden. Plaats ffmpeg.exe in de map ffmpeg_bin.", notAvailable: "Export niet beschikbaar (draait in browser)", ffmpegError: "Fout bij controleren van FFmpeg", blurZonesStatus: "{count} vervagingszone(s) - Dashboard-overlay uitgeschakeld", blurZonesWarning: "Waarschuwing: Vervagingszones geconfigureerd voor niet-geselecteerde camera's ({cameras}) worden niet toegepast", sizeSmall: "Klein (25%)", sizeMedium: "Gemiddeld (35%)", sizeLarge: "Groot (45%)", sizeXLarge: "Extra Groot (55%)", minimizeHint: "U kunt dit venster minimaliseren om beeldmateriaal te blijven bekijken. De export wordt op de achtergrond voortgezet.", analyzingSegments: "Segmenten analyseren...", buildingExport: "Export opbouwen...", exportingWithEncoder: "Exporteren met {encoder}...", exportingWithCpu: "Exporteren met CPU...", exportingPercent: "Exporteren... {percent}%", exportCompleteMB: "Export voltooid! ({size} MB)", exportFailedCode: "Export mislukt (code {code})", exportFailedNoSpace: "Export mislukt: Onvoldoende schijfruimte. Maak ruimte vrij op de doelschijf en probeer het opnieuw.", exportFailedPermission: "Export mislukt: Toegang geweigerd. Probeer op te slaan in een andere map of controleer de mapmachtigingen.", exportFailedPathNotFound: "Export mislukt: Doelmap niet gevonden. Het station is mogelijk losgekoppeld. Controleer het pad en probeer het opnieuw.", exportFailedReadOnly: "Export mislukt: Het doelstation is alleen-lezen. Verwijder de schrijfbeveiliging of kies een ander station.", exportFailedInvalidPath: "Export mislukt: Ongeldig bestandspad. Probeer een korter pad of verwijder speciale tekens uit de mapnaam.", exportFailedGpuMemory: "Export mislukt: GPU-geheugen vol. Sluit andere GPU-intensieve applicaties of probeer een lagere kwaliteit.", exportFailedGpuUnavailable: "Export mislukt: GPU-encoder niet meer beschikbaar. Herstart de app of controleer uw GPU-stuurprogramma's.", exportFailedSourceLost: "Export mislukt: Bronbestanden werden ontoegankelijk tijdens het exporteren. Controleer of het bronstation nog is aangesloten.", blurZoneFailed: "Privacy-vervagingszones konden niet worden toegepast. Uw geëxporteerde video is NIET vervaagd. Installeer de app opnieuw of neem contact op met ondersteuning.", openFileLocation: "Wilt u de bestandslocatie openen?", layoutHint: "Sleep om te herpositioneren • Kaarten snappen naar randen", privacy: "Privacy", blurZoneHint: "Kentekenplaten of gevoelige info verbergen", timelapse: "Versneld", enableTimelapse: "Versneld inschakelen", enableTimelapseDesc: "Versnel beelden voor een compact overzicht", timelapseSpeed: "Snelheid", timelapseSpeedDesc: "Afspeelsnelheid vermenigvuldiger", timelapseOverlayNote: "Dashboard-, minikaart- en tijdstempel-overlays worden gesynchroniseerd met de versnelde snelheid. Audio wordt verwijderd.", timelapseDuration: "Duur → Versnelde Duur", shareLinkExpiry: "Link verloopt over {hours} uur", restoreBannerText: "{count} eerdere privacyzone(s) gevonden", restoreBannerRestore: "Herstellen", restoreBannerDismiss: "Negeren", restoreBannerRestored: "Privacyzones hersteld" },
-            settings: { searchPlaceholder: "Instellingen zoeken...", title: "Instellingen", general: "Algemeen", shortcuts: "Sneltoetsen", advanced: "Geavanceerd", displaySection: "Weergave", playbackOverlays: "Afspelen en Overlays", storageSection: "Opslag", aboutUpdates: "Over en Updates", appVersion: "App Versie", systemSecurity: "Systeem & Beveiliging", secFeature: "Functie", secStatus: "Status", secDescription: "Beschrijving", footagePrivacy: "Video Privacy", localOnly: "Alleen Lokaal", footagePrivacyDesc: "Dashcamclips verlaten nooit uw lokale opslag.", updateReporting: "Updaterapportage", statusActive: "Actief", updateReportingDesc: "Bij het opstarten contacteert de app onze API voor beveiligings- en versiecontroles.", deviceHash: "Apparaat Hash", hashedSha256: "Gehasht (SHA-256)", deviceHashDesc: "Een veilige, gezouten ID om API-spam te voorkomen.", learnMore: "Meer Informatie", hideDetails: "Details Verbergen", architecture: "Architectuur", dashboardStyle: "Dashboardstijl", language: "Taal", languageDesc: "Weergavetaal van de applicatie", layout: "Indeling", classicSidebar: "Klassieke Zijbalk", classicSidebarDesc: "Verankerde zijbalk die de video niet overlapt", overlays: "Overlays", dashboard: "Dashboard", dashboardDesc: "Snelheid, versnelling en telemetriegegevens weergeven", gpsMap: "GPS-Kaart", gpsMapDesc: "Routekaart met voertuigpositie weergeven", theme: "Thema", themeDark: "Donker", themeLight: "Licht", mapStyle: "Kaartstijl", mapStyleLight: "Licht", mapStyleDark: "Donker", dashboardLayout: "Dashboard-indeling", dashboardLayoutDesc: "Standaard of compacte stijl", default: "Standaard", acceleratorDisplay: "Gaspedaalweergave", acceleratorDisplayDesc: "Pedaalvisualisatiestijl", solidColor: "Effen Kleur (Aan/Uit)", iconBar: "Pictogrambalk (Vulling)", sideBar: "Zijbalk", fixedToFrontCamera: "Vast aan Frontcamera", fixedToFrontCameraDesc: "Compact dashboard op frontcamera houden", mirrorCameras: "Camera's Spiegelen", mirrorCamerasDesc: "Achter- en repeatercamera's spiegelen (zoals in spiegels gezien)", glassBlur: "Glasvervaging", glassBlurDesc: "Overlay-vervagingsintensiteit", metricUnits: "Metrische Eenheden", metricUnitsDesc: "Kilometers per uur gebruiken (KM/H)", dateFormat: "Datumnotatie", dateFormatDesc: "Weergaveformaat voor datums", globalSetting: "Globale instelling", mdyFormat: "MM/DD/JJJJ (VS)", dmyFormat: "DD/MM/JJJJ (Internationaal)", ymdFormat: "JJJJ-MM-DD (ISO)", timeFormat: "Tijdformaat", timeFormatDesc: "12-uurs of 24-uurs klok", time12h: "12-uurs (AM/PM)", time24h: "24-uurs", defaultFolder: "Standaard Dashcam-map", defaultFolderDesc: "Deze map automatisch laden bij opstarten", noFolderSet: "Geen map ingesteld", browse: "Bladeren", clear: "Wissen", about: "Over", version: "Versie", viewChangelog: "Wijzigingslogboek Bekijken", support: "Ondersteuning", supportDesc: "Problemen? Gebruik de knop Ondersteuningschat in de afspeelbalk.", openSupportChat: "Ondersteuningschat Openen", done: "Klaar", keyboardShortcuts: "Sneltoetsen", keyboardShortcutsDesc: "Klik op een veld en druk op een toets", playPause: "Afspelen / Pauzeren", skipForward: "Vooruit Springen", skipBackward: "Achteruit Springen", skipDuration: "Springduur", toggleDashboard: "Dashboard Wisselen", toggleMap: "Kaart Wisselen", toggleMphKmh: "MPH / KMH Wisselen", toggleClipsPanel: "Clips-paneel Wisselen", setExportMarkerIn: "Exportmarkering Start", setExportMarkerOut: "Exportmarkering Einde", nextClip: "Volgende Clip", prevClip: "Vorige Clip", second: "seconde", seconds: "seconden", updates: "Updates", disableAutoUpdate: "Auto-update Uitschakelen", disableAutoUpdateDesc: "Niet controleren op updates bij opstarten", updateBranch: "Update-tak", updateBranchDesc: "Main voor stabiel, Dev-SEI voor bèta", mainStable: "Main (Stabiel)", devSeiBeta: "Dev-SEI (Bèta)", checkForUpdates: "Controleren op Updates", checkForUpdatesDesc: "Handmatig controleren op nieuwe versies", checkNow: "Nu Controleren", checking: "Controleren...", upToDate: "Bijgewerkt", checkFailed: "Controle Mislukt", updateFound: "Update Gevonden!", eventHighlights: "Gebeurtenis Markeringen", sentryCameraGlow: "Sentry Camera Gloed", sentryCameraGlowDesc: "Rode gloed op geactiveerde camera", savedCameraGlow: "Opgeslagen Camera Gloed", savedCameraGlowDesc: "Gele gloed op geactiveerde camera", cameraLayout: "Camera-indeling", resetCameraOrder: "Camera-volgorde Resetten", resetCameraOrderDesc: "Standaard rasterposities herstellen", reset: "Resetten" },
+            export: { title: "Video Exporteren", start: "Start", end: "Einde", inPoint: "Start", outPoint: "Einde", duration: "Duur", layout: "Indeling", quality: "Kwaliteit", overlays: "Overlays", timestamp: "Tijdstempel", dashboard: "Dashboard", cancel: "Annuleren", exportBtn: "Exporteren", preparing: "Voorbereiden...", exporting: "Exporteren...", compact: "Compact", detailed: "Gedetailleerd", teslaMobile: "Tesla Mobile", mobile: "Mobiel", teslaMobilePositionDesc: "Boven of onder de clip", bottom: "Onder", top: "Boven", medium: "Gemiddeld", high: "Hoog", maximum: "Maximum", timestampDesc: "Opnamedatum en -tijd inbranden", dashboardDesc: "Snelheid, versnelling en telemetrie inbranden", position: "Positie", positionDesc: "Plaatsing op video", style: "Stijl", styleDesc: "Visuele stijl van dashboard", size: "Grootte", sizeDesc: "Dashboard-grootte", blurType: "Vervagingsmethode", blurTypeDesc: "Kies methode op basis van snelheid vs kwaliteit", addBlurZone: "Vervagingszone Toevoegen", addBlurZoneDesc: "Gevoelige informatie verbergen voor delen", addZone: "Zone Toevoegen", bottomCenter: "Onder Midden", bottomLeft: "Onder Links", bottomRight: "Onder Rechts", topCenter: "Boven Midden", topLeft: "Boven Links", topRight: "Boven Rechts", blurSolid: "Effen (Snel)", blurTrue: "Echte Vervaging (Langzaam)", blurZoneEditor: "Vervagingszone-editor", blurZoneCount: "{count} vervagingszone(s) geconfigureerd", blurZoneInstructions: "Klik en sleep de hoekgrepen om te vergroten/verkleinen. Beweeg over randen om nieuwe punten toe te voegen. Klik op punten om complexe vormen te maken.", saveZone: "Zone Opslaan", dashboardGpuWarning: "Dashboard-overlay vereist GPU-codering. Geen compatibele GPU gedetecteerd.", dashboardPrerendered: "Dashboard is vooraf gerenderd voor optimale prestaties.", maxQualityWarning: "Maximale kwaliteit gebruikt HEVC-codering indien GPU beschikbaar.", minimap: "GPS Minikaart", minimapDesc: "Toon route en positie op kaart", minimapNoGps: "Geen GPS-gegevens gevonden in geselecteerde clips.", minimapPosition: "Positie", minimapPositionDesc: "Hoekplaatsing", minimapSize: "Grootte", minimapSizeDesc: "Minikaart grootte", minimapRenderMode: "Rendermodus", minimapRenderModeDesc: "Snelheid vs kwaliteit", minimapStaticFast: "Statische Kaart (Snel)", minimapLiveSlow: "Live Kaart (Langzaam)", shareClip: "Clip Delen", shareClipNew: "NIEUW", generateShareableLink: "Deelbare Link Genereren", generateShareableLinkDesc: "Uploaden naar Sentry Studio servers na export", shareClipInfo: "Je clip is <strong>{hours} uur</strong> beschikbaar op clip.sentry-six.com", shareClipWarning: "Delen is alleen beschikbaar voor exports korter dan 5 minuten", minimapStaticDesc: "Statische kaart: Downloadt kaarttegels eenmalig, overlapt routepad en positiemarker. Snelle export, vereist internet.", minimapLiveDesc: "Live kaart: Rendert elk frame met Leaflet. Toont realtime kaartupdates maar veel langzamere export.", renderingMinimap: "Minikaart renderen...", minimapNoGpsDisabled: "Geen GPS-gegevens beschikbaar voor minikaart-overlay. Minikaart wordt uitgeschakeld.", minimapGpsExtractFailed: "GPS-gegevens extraheren mislukt. Minikaart wordt uitgeschakeld.", frontCamWarning: "Frontcamera wordt verkleind om overeen te komen met andere camera's.", output: "Uitvoer", checkingFfmpeg: "FFmpeg controleren...", ffmpegReady: "FFmpeg gereed", cpuOnly: "Alleen CPU (geen GPU-encoder)", ffmpegRequiredMac: "FFmpeg vereist. Voer uit in Terminal: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg niet gevonden. Plaats ffmpeg.exe in de map ffmpeg_bin.", notAvailable: "Export niet beschikbaar (draait in browser)", ffmpegError: "Fout bij controleren van FFmpeg", blurZonesStatus: "{count} vervagingszone(s) - Dashboard-overlay uitgeschakeld", blurZonesWarning: "Waarschuwing: Vervagingszones geconfigureerd voor niet-geselecteerde camera's ({cameras}) worden niet toegepast", sizeSmall: "Klein (25%)", sizeMedium: "Gemiddeld (35%)", sizeLarge: "Groot (45%)", sizeXLarge: "Extra Groot (55%)", minimizeHint: "U kunt dit venster minimaliseren om beeldmateriaal te blijven bekijken. De export wordt op de achtergrond voortgezet.", analyzingSegments: "Segmenten analyseren...", buildingExport: "Export opbouwen...", exportingWithEncoder: "Exporteren met {encoder}...", exportingWithCpu: "Exporteren met CPU...", exportingPercent: "Exporteren... {percent}%", exportCompleteMB: "Export voltooid! ({size} MB)", exportFailedCode: "Export mislukt (code {code})", exportFailedNoSpace: "Export mislukt: Onvoldoende schijfruimte. Maak ruimte vrij op de doelschijf en probeer het opnieuw.", exportFailedPermission: "Export mislukt: Toegang geweigerd. Probeer op te slaan in een andere map of controleer de mapmachtigingen.", exportFailedPathNotFound: "Export mislukt: Doelmap niet gevonden. Het station is mogelijk losgekoppeld. Controleer het pad en probeer het opnieuw.", exportFailedReadOnly: "Export mislukt: Het doelstation is alleen-lezen. Verwijder de schrijfbeveiliging of kies een ander station.", exportFailedInvalidPath: "Export mislukt: Ongeldig bestandspad. Probeer een korter pad of verwijder speciale tekens uit de mapnaam.", exportFailedGpuMemory: "Export mislukt: GPU-geheugen vol. Sluit andere GPU-intensieve applicaties of probeer een lagere kwaliteit.", exportFailedGpuUnavailable: "Export mislukt: GPU-encoder niet meer beschikbaar. Herstart de app of controleer uw GPU-stuurprogramma's.", exportFailedSourceLost: "Export mislukt: Bronbestanden werden ontoegankelijk tijdens het exporteren. Controleer of het bronstation nog is aangesloten.", blurZoneFailed: "Privacy-vervagingszones konden niet worden toegepast. Uw geëxporteerde video is NIET vervaagd. Installeer de app opnieuw of neem contact op met ondersteuning.", openFileLocation: "Wilt u de bestandslocatie openen?", layoutHint: "Sleep om te herpositioneren • Kaarten snappen naar randen", privacy: "Privacy", blurZoneHint: "Kentekenplaten of gevoelige info verbergen", timelapse: "Versneld", enableTimelapse: "Versneld inschakelen", enableTimelapseDesc: "Versnel beelden voor een compact overzicht", timelapseSpeed: "Snelheid", timelapseSpeedDesc: "Afspeelsnelheid vermenigvuldiger", timelapseOverlayNote: "Dashboard-, minikaart- en tijdstempel-overlays worden gesynchroniseerd met de versnelde snelheid. Audio wordt verwijderd.", timelapseDuration: "Duur → Versnelde Duur", shareLinkExpiry: "Link verloopt over {hours} uur", restoreBannerText: "{count} eerdere privacyzone(s) gevonden", restoreBannerRestore: "Herstellen", restoreBannerDismiss: "Negeren", restoreBannerRestored: "Privacyzones hersteld", telemetryData: "Telemetriegegevens", telemetryDataDesc: "Snelheid, versnelling, pedalen, stuur, richtingaanwijzers, Autopilot-status, GPS en acceleratie per frame voor het geselecteerde bereik. Er wordt geen video opnieuw gecodeerd.", exportTelemetry: "Telemetrie exporteren", telemetrySelectFormat: "Selecteer minstens één telemetrieformaat", telemetryInProgress: "Er loopt al een export", telemetryNoGps: "Geen GPS-fix in dit bereik — GPX/KML-tracks zijn leeg", telemetryExported: "{count} telemetrieframes geëxporteerd naar {files} bestand(en)", telemetryExportFailed: "Telemetrie-export mislukt: {error}", subtitles: "Telemetrie-ondertitels", subtitleSidecar: "Los bestand", subtitleEmbedded: "Ingesloten", subtitleEmbeddedDesc: "Spoor in de MP4", subtitlesDesc: "Tijd, snelheid, versnelling, Autopilot-status en GPS-positie eens per seconde als ondertitelspoor dat kijkers aan en uit kunnen zetten. Er wordt niets in het beeld gebrand.", shareClipInfoServer: "Je clip is <strong>{hours}</strong> beschikbaar op {host}" },
+            settings: { searchPlaceholder: "Instellingen zoeken...", title: "Instellingen", general: "Algemeen", shortcuts: "Sneltoetsen", advanced: "Geavanceerd", displaySection: "Weergave", playbackOverlays: "Afspelen en Overlays", storageSection: "Opslag", aboutUpdates: "Over en Updates", appVersion: "App Versie", systemSecurity: "Systeem & Beveiliging", secFeature: "Functie", secStatus: "Status", secDescription: "Beschrijving", footagePrivacy: "Video Privacy", localOnly: "Alleen Lokaal", footagePrivacyDesc: "Dashcamclips verlaten nooit uw lokale opslag.", updateReporting: "Updaterapportage", statusActive: "Actief", updateReportingDesc: "Bij het opstarten contacteert de app onze API voor beveiligings- en versiecontroles.", deviceHash: "Apparaat Hash", hashedSha256: "Gehasht (SHA-256)", deviceHashDesc: "Een veilige, gezouten ID om API-spam te voorkomen.", learnMore: "Meer Informatie", hideDetails: "Details Verbergen", architecture: "Architectuur", dashboardStyle: "Dashboardstijl", language: "Taal", languageDesc: "Weergavetaal van de applicatie", layout: "Indeling", classicSidebar: "Klassieke Zijbalk", classicSidebarDesc: "Verankerde zijbalk die de video niet overlapt", overlays: "Overlays", dashboard: "Dashboard", dashboardDesc: "Snelheid, versnelling en telemetriegegevens weergeven", gpsMap: "GPS-Kaart", gpsMapDesc: "Routekaart met voertuigpositie weergeven", theme: "Thema", themeDark: "Donker", themeLight: "Licht", mapStyle: "Kaartstijl", mapStyleLight: "Licht", mapStyleDark: "Donker", dashboardLayout: "Dashboard-indeling", dashboardLayoutDesc: "Standaard of compacte stijl", default: "Standaard", acceleratorDisplay: "Gaspedaalweergave", acceleratorDisplayDesc: "Pedaalvisualisatiestijl", solidColor: "Effen Kleur (Aan/Uit)", iconBar: "Pictogrambalk (Vulling)", sideBar: "Zijbalk", fixedToFrontCamera: "Vast aan Frontcamera", fixedToFrontCameraDesc: "Compact dashboard op frontcamera houden", mirrorCameras: "Camera's Spiegelen", mirrorCamerasDesc: "Achter- en repeatercamera's spiegelen (zoals in spiegels gezien)", glassBlur: "Glasvervaging", glassBlurDesc: "Overlay-vervagingsintensiteit", metricUnits: "Metrische Eenheden", metricUnitsDesc: "Kilometers per uur gebruiken (KM/H)", dateFormat: "Datumnotatie", dateFormatDesc: "Weergaveformaat voor datums", globalSetting: "Globale instelling", mdyFormat: "MM/DD/JJJJ (VS)", dmyFormat: "DD/MM/JJJJ (Internationaal)", ymdFormat: "JJJJ-MM-DD (ISO)", timeFormat: "Tijdformaat", timeFormatDesc: "12-uurs of 24-uurs klok", time12h: "12-uurs (AM/PM)", time24h: "24-uurs", defaultFolder: "Standaard Dashcam-map", defaultFolderDesc: "Deze map automatisch laden bij opstarten", noFolderSet: "Geen map ingesteld", browse: "Bladeren", clear: "Wissen", about: "Over", version: "Versie", viewChangelog: "Wijzigingslogboek Bekijken", support: "Ondersteuning", supportDesc: "Problemen? Gebruik de knop Ondersteuningschat in de afspeelbalk.", openSupportChat: "Ondersteuningschat Openen", done: "Klaar", keyboardShortcuts: "Sneltoetsen", keyboardShortcutsDesc: "Klik op een veld en druk op een toets", playPause: "Afspelen / Pauzeren", skipForward: "Vooruit Springen", skipBackward: "Achteruit Springen", skipDuration: "Springduur", toggleDashboard: "Dashboard Wisselen", toggleMap: "Kaart Wisselen", toggleMphKmh: "MPH / KMH Wisselen", toggleClipsPanel: "Clips-paneel Wisselen", setExportMarkerIn: "Exportmarkering Start", setExportMarkerOut: "Exportmarkering Einde", nextClip: "Volgende Clip", prevClip: "Vorige Clip", second: "seconde", seconds: "seconden", updates: "Updates", disableAutoUpdate: "Auto-update Uitschakelen", disableAutoUpdateDesc: "Niet controleren op updates bij opstarten", updateBranch: "Update-tak", updateBranchDesc: "Main voor stabiel, Dev-SEI voor bèta", mainStable: "Main (Stabiel)", devSeiBeta: "Dev-SEI (Bèta)", checkForUpdates: "Controleren op Updates", checkForUpdatesDesc: "Handmatig controleren op nieuwe versies", checkNow: "Nu Controleren", checking: "Controleren...", upToDate: "Bijgewerkt", checkFailed: "Controle Mislukt", updateFound: "Update Gevonden!", eventHighlights: "Gebeurtenis Markeringen", sentryCameraGlow: "Sentry Camera Gloed", sentryCameraGlowDesc: "Rode gloed op geactiveerde camera", savedCameraGlow: "Opgeslagen Camera Gloed", savedCameraGlowDesc: "Gele gloed op geactiveerde camera", cameraLayout: "Camera-indeling", resetCameraOrder: "Camera-volgorde Resetten", resetCameraOrderDesc: "Standaard rasterposities herstellen", reset: "Resetten", indexCache: "Bibliotheekindex-cache", indexCacheStatus: "{folders} map(pen) in cache · {size}", indexCacheEmpty: "Nog geen mappen in cache", clearIndexCache: "Cache wissen", indexCacheCleared: "Indexcache gewist. Mappen worden opnieuw gescand wanneer ze weer worden geopend.", indexCacheClearFailed: "Indexcache wissen mislukt: {error}", rebuildIndex: "Index opnieuw opbouwen", indexRebuilt: "Index opnieuw opgebouwd vanaf de schijf.", indexRebuildFailed: "Index opnieuw opbouwen mislukt: {error}", indexRebuildNeedsFolder: "Open eerst een dashcammap om de index opnieuw op te bouwen.", addBookmark: "Bladwijzer toevoegen", frameForward: "Volgend frame", frameBackward: "Vorig frame", saveStill: "Stilstaand beeld opslaan", toggleTelemetryCharts: "Telemetriegrafieken aan/uit", nextMotion: "Volgende beweging", prevMotion: "Vorige beweging", toggleMotionSkipIdle: "Stille periodes overslaan aan/uit", toggleSmartPlayback: "Slim afspelen aan/uit", nextMultiLayout: "Volgende camera-indeling", prevMultiLayout: "Vorige camera-indeling", sharingSection: "Clips delen", shareServer: "Deelserver", shareServerSave: "Opslaan", shareServerReset: "Standaard", shareServerDesc: "Laat leeg om de gehoste Sentry Studio-dienst te gebruiken, of voer het adres van je eigen deelserver in (share-server in de repository) om gedeelde clips binnen je netwerk te houden.", shareServerInvalid: "Kan deelserver niet opslaan", shareServerDefault: "Gehoste Sentry Studio-dienst in gebruik", shareServerSaved: "Clips worden gedeeld via {url}" },
             cameras: { front: "Voor", back: "Achter", leftPillar: "Linker Pilaar", rightPillar: "Rechter Pilaar", leftRepeater: "Linker Repeater", rightRepeater: "Rechter Repeater" },
             dashboard: { drive: "Rijden", manual: "Handmatig", noData: "Geen Gegevens", mph: "MPH", kmh: "KM/H", selfDriving: "Zelfrijdend", autosteer: "Automatisch Sturen", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Laad eerst een collectie om exportmarkeringen in te stellen", startMarkerSet: "Startmarkering ingesteld", endMarkerSet: "Eindmarkering ingesteld", exportComplete: "Export voltooid!", exportCancelled: "Export geannuleerd", exportFailed: "Export mislukt", foundDatesWithClips: "{count} datums met clips gevonden", loadedFilesForDate: "{count} bestanden geladen voor {date}", noDataForDate: "Geen gegevens voor {date}", noClipsFoundForDate: "Geen clips gevonden voor {date}", noDashcamClipsFound: "Geen videoclips gevonden. Selecteer een map met videobestanden (.mp4, .avi, .mov, .mkv) of een Tesla dashcam-map met RecentClips, SentryClips of SavedClips.", metadataParserNotReady: "Metadata-parser nog niet geïnitialiseerd—probeer het over een seconde opnieuw.", noSupportedFilesFound: "Geen ondersteunde bestanden gevonden in die map.", failedToLoadVideo: "Kan video niet laden: {error}", errorSelectingDay: "Fout bij selecteren dag: {error}", failedToOpenFolder: "Kan map niet openen: {error}", failedToInitMetadataParser: "Kan metadata-parser niet initialiseren. Zorg ervoor dat protobuf laadt en dat u niet via file:// uitvoert", capturingSnapshot: "Momentopname vastleggen...", couldNotFindVideoFile: "Kan videobestand voor {camera}-camera niet vinden", unsupportedFileType: "Niet-ondersteund bestandstype voor momentopname", failedToCaptureSnapshot: "Kan momentopname niet vastleggen: {error}", blurZoneMinPoints: "Maak een geldige vervagingszone met minimaal 3 punten", failedToGenerateMask: "Kan maskerafbeelding niet genereren", failedToExtractMaskData: "Kan maskerafbeeldingsgegevens niet extraheren", failedToGetCanvasDimensions: "Kan canvasafmetingen niet ophalen", blurZoneSaved: "Vervagingszone succesvol opgeslagen", failedToSaveBlurZone: "Kan vervagingszone niet opslaan: {error}", exportNotAvailable: "Export niet beschikbaar", exportRequiresFolder: "Export vereist het selecteren van een map via de mapkiezer. Selecteer uw dashcam-map opnieuw.", selectAtLeastOneCamera: "Selecteer minimaal één camera", extractingTelemetry: "Telemetriegegevens extraheren...", noTelemetryData: "Geen telemetriegegevens beschikbaar voor dashboard-overlay. Dashboard wordt uitgeschakeld.", failedToExtractTelemetry: "Kan telemetriegegevens niet extraheren. Dashboard wordt uitgeschakeld.", noVideoFilesForExport: "Geen videobestanden gevonden voor export. Zorg ervoor dat de map correct is geselecteerd.", exportFailedWithError: "Export mislukt: {error}", onlyOneAttachment: "Slechts 1 bijlage toegestaan per bericht", fileTooLarge: "Bestand \"{filename}\" is te groot (max. 100MB)", enterMessageOrAttach: "Voer een bericht in of voeg een bestand bij", supportTicketClosed: "Ondersteuningsticket gesloten", newSupportMessages: "{count} nieuwe ondersteuningsbericht(en) ontvangen", cameraOrderReset: "Cameravolgorde hersteld naar standaard", collectingDiagnostics: "Diagnostische gegevens verzamelen...", uploadingDiagnostics: "Diagnostiek uploaden...", supportIdCopied: "Ondersteunings-ID: {supportId} - Gekopieerd naar klembord!", failedToUploadDiagnostics: "Kan diagnostiek niet uploaden: {error}", uploadFailed: "Upload mislukt: {error}", supportIdCopiedSimple: "Ondersteunings-ID gekopieerd naar klembord!", failedToCopy: "Kan niet kopiëren: {error}", failedToGenerateSupportId: "Kan ondersteunings-ID niet genereren: {error}" },
             supportChat: { title: "Ondersteuningschat", needHelp: "Hulp Nodig?", welcomeDesc: "Start een ondersteuningsgesprek met ons. Beschrijf je probleem, bug of feedback en we reageren zo snel mogelijk.", welcomeNote: "Je kunt screenshots/video's en diagnostische gegevens bijvoegen om ons te helpen je probleem beter te begrijpen.", diagnostics: "Diagnostiek", attach: "Bijvoegen", placeholder: "Beschrijf je probleem of feedback...", privacyNote: "Gegevens worden na 7 dagen automatisch verwijderd", ticketClosed: "Dit ticket is gesloten.", createNewTicket: "Nieuw Ondersteuningsticket Maken", closeTicket: "Ticket Sluiten", minimize: "Minimaliseren", closePanel: "Paneel Sluiten", sendMessage: "Bericht verzenden", includeDiagnostics: "Diagnostische gegevens opnemen", attachFiles: "Bestanden bijvoegen", you: "Jij", support: "Ondersteuning" },
-            sharedClips: { title: "Mijn Gedeelde Clips", emptyTitle: "Nog geen gedeelde clips", emptyDesc: "Exporteer een clip met delen ingeschakeld om deze hier te zien", clickHint: "Selecteer een clip om details te bekijken", copyLink: "Link Kopiëren", open: "Openen", delete: "Verwijderen", deleteTitle: "Gedeelde Clip Verwijderen", deleteConfirm: "Weet je zeker dat je wilt verwijderen", deleteWarning: "Dit verwijdert de clip permanent van de Sentry Studio servers. Iedereen met de link kan deze niet meer bekijken of downloaden.", cancel: "Annuleren", deleteClip: "Clip Verwijderen" }
+            sharedClips: { title: "Mijn Gedeelde Clips", emptyTitle: "Nog geen gedeelde clips", emptyDesc: "Exporteer een clip met delen ingeschakeld om deze hier te zien", clickHint: "Selecteer een clip om details te bekijken", copyLink: "Link Kopiëren", open: "Openen", delete: "Verwijderen", deleteTitle: "Gedeelde Clip Verwijderen", deleteConfirm: "Weet je zeker dat je wilt verwijderen", deleteWarning: "Dit verwijdert de clip permanent van de Sentry Studio servers. Iedereen met de link kan deze niet meer bekijken of downloaden.", cancel: "Annuleren", deleteClip: "Clip Verwijderen", resumeUpload: "Upload hervatten" },
+            exportQueue: { title: "Exportwachtrij", addToQueue: "Aan wachtrij toevoegen", jobAdded: "Toegevoegd aan exportwachtrij: {name}", jobDone: "Export uit wachtrij voltooid: {name}", jobFailed: "Export uit wachtrij mislukt: {name} ({error})", actionFailed: "Fout in exportwachtrij: {error}", emptyTitle: "Geen exports in de wachtrij", emptyDesc: "Gebruik \"Aan wachtrij toevoegen\" in het exportvenster om meerdere exports klaar te zetten", pausedNote: "De wachtrij is gepauzeerd. De huidige export wordt afgerond, maar er starten geen nieuwe taken tot je hervat.", clearFinished: "Voltooide wissen", pauseQueue: "Wachtrij pauzeren", resumeQueue: "Wachtrij hervatten", moveUp: "Omhoog", moveDown: "Omlaag", pause: "Pauzeren", resume: "Hervatten", retry: "Opnieuw proberen", remove: "Verwijderen", showInFolder: "In map tonen", statusPending: "Wachtend", statusRunning: "Exporteren", statusPaused: "Gepauzeerd", statusFailed: "Mislukt", statusDone: "Klaar" },
+            incidents: { tab: "Incidenten", scan: "Scannen", rescan: "Opnieuw scannen", selectClip: "Open een clip om naar incidenten te zoeken", notScanned: "Nog niet gescand", scanning: "Telemetrie scannen ({done}/{total})", found: "{count} incident(en) gevonden", scanFailed: "Incidentscan mislukt: {error}", hardBrake: "Hard remmen", hardAccel: "Hard optrekken", sharpTurn: "Scherpe bocht", impact: "Mogelijke aanrijding", settingsTitle: "Incidentdetectie", resetThresholds: "Drempels resetten" },
+            highlightReel: { title: "Hoogtepuntenvideo", enable: "Hoogtepuntenvideo maken", enableDesc: "Voeg korte clips rond belangrijke momenten samen tot één video", sourceEvents: "Schildwacht- en opgeslagen gebeurtenissen", sourceEventsDesc: "Moment waarop de gebeurtenis werd geactiveerd", sourceDisengagements: "FSD-uitschakelingen", sourceDisengagementsDesc: "Uit SentryUSB-ritgegevens", sourceAccelPushes: "Gaspedaalingrepen", sourceAccelPushesDesc: "Pedaal ingedrukt terwijl FSD actief was", sourceBraking: "Hard remmen", sourceBrakingDesc: "Gedetecteerd uit telemetrie", paddingBefore: "Voor elk moment", paddingBeforeDesc: "Beelden vóór het moment", paddingAfter: "Na elk moment", paddingAfterDesc: "Beelden na het moment", note: "Gebruikt de hele geladen clip in plaats van de begin-/eindmarkeringen. Elk moment krijgt een titelkaart met datum, tijd en locatie.", sentryEvent: "Schildwachtgebeurtenis", savedEvent: "Opgeslagen clip", disengagement: "FSD-uitschakeling", accelPush: "Gaspedaalingreep", scanningTelemetry: "Telemetrie scannen op hard remmen…", nothingFound: "Geen hoogtepunten gevonden voor de gekozen bronnen", tooManyClips: "{count} hoogtepunten gevonden; alleen de eerste {max} worden opgenomen", renderingClip: "Hoogtepunt {current} van {total} renderen…", stitching: "Hoogtepunten en titelkaarten samenvoegen…" },
+            libraryMap: { open: "Bibliotheekkaart", title: "Bibliotheekkaart", from: "Van", to: "Tot", reason: "Reden", allReasons: "Alle redenen", drives: "Ritten", fit: "Inzoomen op resultaten", loading: "Locaties van gebeurtenissen lezen… {done}/{total}", summary: "{events} gebeurtenis(sen) · {drives} rit(ten)", noLocations: "Niets met een locatie komt overeen met deze filters", openClip: "Clip openen", openDrive: "Rit openen", noLibrary: "Open eerst een dashcammap of laad SentryUSB-ritgegevens", mapUnavailable: "Kaartbibliotheek kon niet worden geladen. Controleer je internetverbinding." },
+            search: { tab: "Zoeken", placeholder: "bijv. reason:honk date:-30d", run: "Zoeken", help: "Zoeksyntaxis", helpEvents: "Gebeurtenissen:", helpTime: "Tijd:", helpDrives: "Ritten:", helpTelemetry: "Telemetrie:", helpLogic: "Combineren:", readingEvents: "Gebeurtenissen lezen… {done}/{total}", noLibrary: "Open een dashcammap om erin te zoeken", searching: "Zoeken…", indexingDate: "{date} indexeren…", scanningTelemetry: "Telemetrie lezen… {done}/{total} clips", found: "{count} resultaat/resultaten", tooManyResults: "De eerste {count} resultaten worden getoond — verfijn de zoekopdracht voor meer", scanLimited: "Telemetrie is alleen gelezen voor de {count} meest recente overeenkomende clips; voeg date: toe om verder terug te zoeken.", failed: "Zoeken mislukt: {error}", drive: "Rit", sentryEvent: "Schildwacht-gebeurtenis", savedEvent: "Opgeslagen clip", recentClips: "Recente clips", customClips: "Clips", errorEmptyGroup: "Zoekterm verwacht", errorParen: "Haakjes komen niet overeen", errorUnexpected: "Onverwachte \"{token}\"", errorMissingValue: "Waarde ontbreekt na {field}", errorInvalidValue: "\"{value}\" is geen geldige waarde voor {field}", errorComparator: "\"{cmp}\" kan niet met {field} worden gebruikt; gebruik : of !=" },
+            bookmarks: { tab: "Bladwijzers", filter: "Bladwijzers filteren…", add: "Bladwijzer op huidig moment", addTitle: "Bladwijzer toevoegen", editTitle: "Bladwijzer bewerken", titleLabel: "Titel", titlePlaceholder: "Wat gebeurde hier?", noteLabel: "Notities", colorLabel: "Kleur", delete: "Verwijderen", cancel: "Annuleren", save: "Opslaan", edit: "Bewerken", untitled: "Naamloze bladwijzer", noFolder: "Open een dashcammap om bladwijzers toe te voegen", empty: "Nog geen bladwijzers. Gebruik de bladwijzerknop bij de tijdlijn om een moment te markeren.", count: "{count} bladwijzer(s)", filtered: "{count} van {total} bladwijzers", saveFailed: "Bladwijzers konden niet worden opgeslagen: {error}", savedLocally: "Deze map is alleen-lezen, dus bladwijzers worden alleen op deze computer opgeslagen" },
+            stills: { frameBack: "Vorig frame", frameForward: "Volgend frame", saveStill: "Stilstaand beeld opslaan", title: "Stilstaand beeld opslaan", sourceLabel: "Camera", wholeGrid: "Alle camera's (raster)", captionLabel: "Telemetrieonderschrift toevoegen (tijd, snelheid, versnelling, GPS)", hint: "Opgeslagen als PNG op de oorspronkelijke resolutie van de camera's.", cancel: "Annuleren", save: "PNG opslaan", saveTitle: "Stilstaand beeld opslaan", autopilot: "Autopilot", noVideo: "Open een clip om een stilstaand beeld op te slaan", noFrame: "Het videoframe is nog niet klaar", saved: "Stilstaand beeld opgeslagen: {file}", saveFailed: "Opslaan van stilstaand beeld mislukt: {error}" },
+            evidence: { title: "Bewijspakket", enable: "Bewijspakket maken", enableDesc: "Zip de originele clips, gebeurtenisgegevens en telemetrie samen met de video", note: "Bevat de onbewerkte clip van elke camera voor het gemarkeerde bereik, een rapport met tijdstempels en exportinstellingen en een SHA-256-manifest waarmee iedereen kan controleren dat er niets is gewijzigd.", verify: "Pakket controleren...", verifying: "Bestanden controleren met SHA256SUMS...", verifyOk: "{name}: alle {count} bestanden komen overeen met het manifest", verifyFailed: "{name}: controle MISLUKT - het pakket is gewijzigd", verifyError: "Kan pakket niet controleren: {error}", statusModified: "gewijzigd", statusMissing: "ontbreekt", statusUnlisted: "niet in manifest", noSourceFiles: "Geen bronclips op schijf voor dit bereik", notWithReel: "Bewijspakketten beslaan één doorlopend bereik - zet eerst de Highlight-reel uit", rendering: "Video renderen voor bewijspakket...", telemetry: "Telemetrie decoderen...", hashing: "Hashes berekenen ({current}/{total})...", zipping: "Zip schrijven...", complete: "Bewijspakket opgeslagen ({files} bestanden, {size} MB)" },
+            incidentReport: { title: "Incidentrapport", generate: "Incidentrapport maken", saveTitle: "Incidentrapport opslaan", generating: "Incidentrapport maken…", saved: "Incidentrapport opgeslagen: {file}", failed: "Kan incidentrapport niet maken: {error}", notAvailable: "Incidentrapporten zijn beschikbaar voor Sentry- en opgeslagen gebeurtenissen met een event.json", eventDetails: "Gebeurtenisdetails", eventType: "Type gebeurtenis", reason: "Reden", triggerTime: "Geactiveerd om", triggerCamera: "Activerende camera", location: "Locatie", coordinates: "Coördinaten", sourceFolder: "Bronmap", recording: "Opname", clipCount: "{count} clips", keyFrames: "Sleutelbeelden", trigger: "Activering", noFrames: "Rond de activering konden geen videobeelden worden gelezen", map: "Locatiekaart", mapOffline: "Kaarttegels konden niet worden gedownload; route en positie zijn zonder achtergrond getekend.", noGps: "Voor deze gebeurtenis is geen GPS-positie vastgelegd", telemetry: "Voertuigtelemetrie ({seconds} s rond de activering)", noTelemetry: "Rond de activering is geen telemetrie vastgelegd (normaal bij parkeren)", atTrigger: "Bij activering", speed: "Snelheid", accelerator: "Gaspedaal", brake: "Rem", steering: "Stuurhoek", gear: "Versnelling", autopilot: "Rijassistentie", applied: "Ingetrapt", released: "Losgelaten", footer: "Gemaakt door Sentry Studio op {date} uit de originele TeslaCam-opnamen. Tijden zoals vastgelegd door de auto." },
+            telemetryCharts: { title: "Telemetriegrafieken", toggle: "Telemetriegrafieken", speed: "Snelheid", accelerator: "Gaspedaal", brake: "Rem", steering: "Stuur", lateralG: "Laterale G", longitudinalG: "Longitudinale G", autopilot: "Autopilot", on: "Aan", off: "Uit", dock: "Vastzetten boven de bediening", undock: "Zwevend paneel", resetZoom: "Hele tijdlijn tonen", close: "Sluiten", noCollection: "Selecteer een clip om de telemetrie te tonen", loading: "Telemetrie lezen… {done}/{total}", noData: "Geen telemetrie in deze clips", scanFailed: "Kan telemetrie niet lezen: {error}" },
+            timelineStrip: { setting: "Tijdlijnstrook", settingDesc: "Kleur onder de voortgangsbalk", speed: "Snelheid", autopilot: "Autopilot", off: "Uit", gapMinutes: "{count} min niet opgenomen", gapSeconds: "{count} s niet opgenomen" },
+            motion: { setting: "Bewegingsanalyse", settingDesc: "Sentry- en opgeslagen gebeurtenissen op beweging in elke camera scannen", skipIdleOff: "Stille periodes overslaan", skipIdleOn: "Stille periodes worden overgeslagen (klik om uit te zetten)", skipIdleEnabled: "Periodes zonder beweging worden overgeslagen", skipIdleDisabled: "Alles wordt afgespeeld", analyzing: "Beweging analyseren… {percent}%", analysisFailed: "Bewegingsanalyse mislukt: {error}", noNext: "Geen beweging meer na dit punt", noPrevious: "Geen beweging vóór dit punt", skipped: "{seconds} s zonder beweging overgeslagen" },
+            smartPlayback: { toggle: "Slim afspelen: geparkeerde stukken overslaan, 1x rond remmen/knipperlicht", on: "Slim afspelen staat aan (klik om uit te zetten)", enabled: "Slim afspelen aan", disabled: "Slim afspelen uit", saved: "{time} parkeertijd overgeslagen of versneld", settingsTitle: "Slim afspelen", parkedAction: "Geparkeerde stukken", parkedActionDesc: "Versnelling in P en stilstaand", skip: "Overslaan", fastForward: "Snel vooruit", minParked: "Kortste geparkeerde stuk", fastRate: "Snelheid snel vooruit", slowPad: "1x rond remmen/knipperlicht", off: "Uit", reset: "Slim afspelen herstellen" },
+            multiLayouts: { title: "Camera-indeling", sixDefault: "Standaard (3×2)", quad: "2×2 (vier camera's)", frontFocus: "Grote voorkant + 5", frontBack: "Voor / Achter", pip: "Beeld-in-beeld", builtIn: "Ingebouwd", custom: "Aangepast", manage: "Beheren", newLayout: "Nieuwe indeling…", editLayout: "Indeling bewerken…", defaultName: "Mijn indeling {n}", switched: "Indeling: {name}", saved: "Indeling \"{name}\" opgeslagen", noCameras: "Voeg minstens één camera toe aan de indeling", nameLabel: "Naam", camerasLabel: "Camera's", editorHint: "Sleep om te verplaatsen • Sleep de hoek om te schalen • Kaarten klikken vast aan randen", delete: "Verwijderen", cancel: "Annuleren", save: "Opslaan" },
+            exportPresets: { label: "Voorinstelling", none: "Geen voorinstelling", empty: "Geen opgeslagen voorinstellingen", save: "Opslaan als voorinstelling", rename: "Voorinstelling hernoemen", delete: "Voorinstelling verwijderen", import: "Voorinstellingen importeren", export: "Voorinstellingen naar bestand exporteren", exportTitle: "Exportvoorinstellingen opslaan", fileType: "Exportvoorinstellingen", namePlaceholder: "Naam voorinstelling", confirm: "Opslaan", cancel: "Annuleren", saved: "Voorinstelling \"{name}\" opgeslagen", renamed: "Voorinstelling hernoemd naar \"{name}\"", deleted: "Voorinstelling \"{name}\" verwijderd", applied: "Voorinstelling \"{name}\" toegepast", nameTaken: "Er bestaat al een voorinstelling met de naam \"{name}\"", imported: "{count} voorinstelling(en) geïmporteerd", exported: "{count} voorinstelling(en) geëxporteerd", importFailed: "Kan voorinstellingen niet importeren: {error}", exportFailed: "Kan voorinstellingen niet exporteren: {error}", camerasUnavailable: "Niet in deze clip: {cameras}" },
+            exportMetadata: { title: "Bestandsmetadata", gpsTrack: "Startlocatie insluiten", gpsTrackDesc: "Waar de export begint, voor foto- en kaart-apps", chapters: "Hoofdstukken toevoegen", chaptersDesc: "Markeringen bij elke clip, gebeurtenistrigger en FSD-uitschakeling", clipChapter: "Clip {time}", clipChapterUntimed: "Clip" },
+            webGallery: { open: "Webgalerij", title: "Webgalerij", description: "Exporteer de geselecteerde gebeurtenissen als een map die in elke browser opent, zonder Sentry Studio of internetverbinding. Kopieer hem naar een USB-stick of netwerkshare.", selectAll: "Alles selecteren", selectNone: "Niets selecteren", galleryTitle: "Titel", defaultTitle: "Sentry Studio-galerij", cameras: "Camera's", trim: "Alleen rond het triggermoment exporteren", before: "Seconden ervoor", after: "Seconden erna", cancel: "Annuleren", export: "Galerij exporteren", noLibrary: "Open eerst een dashcammap met Sentry- of opgeslagen gebeurtenissen", noEvents: "Geen Sentry- of opgeslagen gebeurtenissen in deze map", loading: "Gebeurtenissen lezen… {done}/{total}", noMatches: "Geen gebeurtenissen voldoen aan deze filters", selectedCount: "{count} van {total} gebeurtenis(sen) geselecteerd", noSelection: "Selecteer minstens één gebeurtenis", queued: "Webgalerij met {count} gebeurtenis(sen) toegevoegd aan de exportwachtrij: {name}", rendering: "Gebeurtenis {current}/{total}: {camera} renderen", writingPage: "Galerijpagina schrijven...", complete: "Galerij geëxporteerd ({events} gebeurtenis(sen), {size})", skipped: "{count} gebeurtenis(sen) konden niet worden geëxporteerd: {events}", pageEvents: "{count} gebeurtenis(sen)", pageCreated: "Gemaakt op {date}", pageAllEvents: "Alle gebeurtenissen", pagePrevious: "Vorige gebeurtenis", pageNext: "Volgende gebeurtenis", pagePlay: "Afspelen / pauzeren", pageJumpToEvent: "Naar gebeurtenis", pageType: "Type", pageDate: "Datum", pageLocation: "Locatie", pageCoordinates: "Coördinaten", pageCamera: "Triggercamera", pageDuration: "Duur", pageDistance: "Afstand", pageRoute: "Route", pageOpenMap: "Openen in OpenStreetMap", pageEventJson: "event.json downloaden", pageNoRoute: "Geen GPS-gegevens in deze clips" },
+            clipHealth: { open: "Clipstatus", title: "Clipstatus", description: "Vindt clips die leeg, onleesbaar of afgebroken zijn doordat de auto stroom verloor, en clips waarbij een camera ontbreekt. Herstelde clips worden naast het origineel opgeslagen als .repaired.mp4 en in plaats daarvan afgespeeld; het origineel wordt nooit gewijzigd.", scan: "Opnieuw scannen", repairAll: "Alles herstellen", close: "Sluiten", needsFolder: "Kies eerst een dashcammap met de mapknop (gesleepte mappen kunnen niet worden gescand)", reading: "Map lezen…", scanning: "Clips controleren… {done}/{total}", summary: "{files} bestand(en) gecontroleerd: {problems} probleem/problemen in {groups} clipgroep(en)", allGood: "{files} bestand(en) gecontroleerd, geen problemen gevonden", scanFailed: "Scan mislukt: {error}", statusEmpty: "Leeg", statusUnreadable: "Onleesbaar", statusTruncated: "Afgebroken", missingCameras: "Ontbrekende camera's", repair: "Herstellen", repaired: "Hersteld", repairing: "Herstellen {current}/{total}…", repairFailed: "Herstellen mislukt: {error}", repairDone: "{repaired} clip(s) hersteld, {failed} mislukt", showInFolder: "Tonen in map" },
+            storage: { open: "Opslag", title: "Opslag", description: "Bekijk wat ruimte inneemt in deze map en maak die vrij per dag, gebeurtenis of bewaarregel. Er wordt niets verwijderd zonder voorbeeld, en alles gaat naar de systeemprullenbak zodat het nog hersteld kan worden.", needsFolder: "Open eerst een dashcammap om de opslag te bekijken.", reading: "Map lezen…", measuring: "{done} van {total} clips meten…", scanFailed: "Kan de map niet meten: {error}", total: "{size} in {count} dagen en gebeurtenissen", byType: "Per type", byCamera: "Per camera", byDay: "Per dag", other: "Overig", tabUsage: "Gebruik", tabClips: "Clips", tabRules: "Bewaarregels", selectAll: "Alles selecteren", selectNone: "Niets selecteren", cameraCount: "{count} camera's", selectedCount: "{count} geselecteerd · {size}", trashSelected: "Selectie naar prullenbak", rulesDescription: "Regels worden alleen uitgevoerd als je ze bekijkt en bevestigt. Gebeurtenissen blijven als geheel bewaard of worden verwijderd; van recente clips blijven alleen de minuten met een bladwijzer.", ruleDelete: "Verwijderen", ruleKeepCameras: "Alleen camera's bewaren", ruleOlderThan: "ouder dan (dagen)", ruleExceptBookmarked: "behalve met bladwijzer", ruleRemove: "Regel verwijderen", noRules: "Nog geen bewaarregels.", addRule: "Regel toevoegen", previewRules: "Voorbeeld", planSummary: "{files} bestanden ({size}) uit {count} dagen en gebeurtenissen worden naar de prullenbak verplaatst.", planEmpty: "Niets komt overeen; er worden geen bestanden verwijderd.", planWhole: "Alles", planCameras: "Camera's: {cameras}", back: "Terug", confirmTrash: "Naar prullenbak", trashing: "{done} van {total} naar prullenbak verplaatsen…", trashDone: "{count} items ({size}) naar de prullenbak verplaatst.", trashPartial: "{trashed} items naar de prullenbak verplaatst; {failed} niet gelukt ({error}).", trashFailed: "Kan niet naar de prullenbak verplaatsen: {error}", close: "Sluiten" }
         },
         welcome: {
             modalTitle: "Welkom bij Sentry Studio",
@@ -590,13 +815,32 @@ export const translations = {
             eventTypes: { manualSave: "Ręczne Zapisywanie", honk: "Klakson", objectDetected: "Wykryto Obiekt", emergencyBraking: "Hamowanie Awaryjne", accelerationDetected: "Wykryto Przyspieszenie", collisionDetected: "Wykryto Kolizję" },
             map: { recenter: "Wyśrodkuj mapę", hint: "Prawy przycisk myszy i przeciągnij, aby przesunąć" },
             playback: { play: "Odtwórz", pause: "Pauza", skipBack: "Cofnij o 15 sekund", skipForward: "Przewiń o 15 sekund", playbackSpeed: "Prędkość odtwarzania", setStartMarker: "Ustaw punkt początkowy eksportu", setEndMarker: "Ustaw punkt końcowy eksportu", exportVideo: "Eksportuj wideo", supportChat: "Czat Wsparcia", settings: "Ustawienia", toggleDetails: "Przełącz Szczegóły", lateralG: "G Boczne", longitudinalG: "G Podłużne", heading: "Kurs", openExportDetails: "Otwórz szczegóły eksportu" },
-            export: { title: "Eksportuj Wideo", start: "Start", end: "Koniec", inPoint: "Start", outPoint: "Koniec", duration: "Czas trwania", layout: "Układ", quality: "Jakość", overlays: "Nakładki", timestamp: "Znacznik Czasu", dashboard: "Kokpit", cancel: "Anuluj", exportBtn: "Eksportuj", preparing: "Przygotowanie...", exporting: "Eksportowanie...", compact: "Kompaktowy", detailed: "Szczegółowy", teslaMobile: "Tesla Mobile", mobile: "Mobilny", teslaMobilePositionDesc: "Góra lub dół klipu", bottom: "Dół", top: "Góra", medium: "Średni", high: "Wysoki", maximum: "Maksymalny", timestampDesc: "Nagraj datę i godzinę nagrania", dashboardDesc: "Nagraj prędkość, bieg i telemetrię", position: "Pozycja", positionDesc: "Umieszczenie na wideo", style: "Styl", styleDesc: "Styl wizualny kokpitu", size: "Rozmiar", sizeDesc: "Rozmiar kokpitu", blurType: "Metoda Rozmycia", blurTypeDesc: "Wybierz metodę w oparciu o szybkość vs jakość", addBlurZone: "Dodaj Strefę Rozmycia", addBlurZoneDesc: "Ukryj wrażliwe informacje przed udostępnieniem", addZone: "Dodaj Strefę", bottomCenter: "Dół Środek", bottomLeft: "Dół Lewo", bottomRight: "Dół Prawo", topCenter: "Góra Środek", topLeft: "Góra Lewo", topRight: "Góra Prawo", blurSolid: "Jednolity (Szybko)", blurTrue: "Prawdziwe Rozmycie (Wolno)", blurZoneEditor: "Edytor Strefy Rozmycia", blurZoneCount: "{count} strefa/y rozmycia skonfigurowana/e", blurZoneInstructions: "Kliknij i przeciągnij uchwyty narożne, aby zmienić rozmiar. Najedź na krawędzie, aby dodać nowe punkty. Kliknij punkty, aby utworzyć złożone kształty.", saveZone: "Zapisz Strefę", dashboardGpuWarning: "Nakładka kokpitu wymaga kodowania GPU. Nie wykryto kompatybilnego GPU.", dashboardPrerendered: "Kokpit jest wstępnie renderowany dla optymalnej wydajności.", maxQualityWarning: "Maksymalna jakość używa kodowania HEVC, jeśli GPU jest dostępne.", minimap: "Minimapa GPS", minimapDesc: "Pokaż trasę i pozycję na mapie", minimapNoGps: "Nie znaleziono danych GPS w wybranych klipach.", minimapPosition: "Pozycja", minimapPositionDesc: "Umieszczenie w rogu", minimapSize: "Rozmiar", minimapSizeDesc: "Rozmiar minimapy", minimapRenderMode: "Tryb Renderowania", minimapRenderModeDesc: "Szybkość vs jakość", minimapStaticFast: "Mapa Statyczna (Szybko)", minimapLiveSlow: "Mapa na Żywo (Wolno)", shareClip: "Udostępnij Klip", shareClipNew: "NOWE", generateShareableLink: "Generuj Link do Udostępnienia", generateShareableLinkDesc: "Prześlij na serwery Sentry Studio po eksporcie", shareClipInfo: "Twój klip będzie dostępny przez <strong>{hours} godzin</strong> na clip.sentry-six.com", shareClipWarning: "Udostępnianie jest dostępne tylko dla eksportów krótszych niż 5 minut", minimapStaticDesc: "Mapa statyczna: Pobiera kafelki mapy raz, nakłada ścieżkę trasy i znacznik pozycji. Szybki eksport, wymaga internetu.", minimapLiveDesc: "Mapa na żywo: Renderuje każdą klatkę za pomocą Leaflet. Pokazuje aktualizacje mapy w czasie rzeczywistym, ale eksport jest znacznie wolniejszy.", renderingMinimap: "Renderowanie minimapy...", minimapNoGpsDisabled: "Brak danych GPS dla nakładki minimapy. Minimapa zostanie wyłączona.", minimapGpsExtractFailed: "Nie udało się wyodrębnić danych GPS. Minimapa zostanie wyłączona.", frontCamWarning: "Przednia kamera zostanie zmniejszona, aby dopasować się do innych kamer.", output: "Wyjście", checkingFfmpeg: "Sprawdzanie FFmpeg...", ffmpegReady: "FFmpeg gotowy", cpuOnly: "Tylko CPU (brak kodera GPU)", ffmpegRequiredMac: "Wymagany FFmpeg. Uruchom w Terminalu: brew install ffmpeg", ffmpegRequiredWin: "Nie znaleziono FFmpeg. Umieść ffmpeg.exe w folderze ffmpeg_bin.", notAvailable: "Eksport niedostępny (uruchomiony w przeglądarce)", ffmpegError: "Błąd podczas sprawdzania FFmpeg", blurZonesStatus: "{count} strefa/y rozmycia - Nakładka kokpitu wyłączona", blurZonesWarning: "Ostrzeżenie: Strefy rozmycia skonfigurowane dla niewybranch kamer ({cameras}) nie zostaną zastosowane", sizeSmall: "Mały (25%)", sizeMedium: "Średni (35%)", sizeLarge: "Duży (45%)", sizeXLarge: "Bardzo Duży (55%)", minimizeHint: "Możesz zminimalizować to okno, aby kontynuować oglądanie materiału. Eksport będzie kontynuowany w tle.", analyzingSegments: "Analizowanie segmentów...", buildingExport: "Tworzenie eksportu...", exportingWithEncoder: "Eksportowanie z {encoder}...", exportingWithCpu: "Eksportowanie z CPU...", exportingPercent: "Eksportowanie... {percent}%", exportCompleteMB: "Eksport zakończony! ({size} MB)", exportFailedCode: "Eksport nie powiódł się (kod {code})", exportFailedNoSpace: "Eksport nie powiódł się: Brak miejsca na dysku. Zwolnij miejsce na dysku docelowym i spróbuj ponownie.", exportFailedPermission: "Eksport nie powiódł się: Odmowa dostępu. Spróbuj zapisać w innym folderze lub sprawdź uprawnienia folderu.", exportFailedPathNotFound: "Eksport nie powiódł się: Nie znaleziono folderu docelowego. Dysk mógł zostać odłączony. Sprawdź ścieżkę i spróbuj ponownie.", exportFailedReadOnly: "Eksport nie powiódł się: Dysk docelowy jest tylko do odczytu. Usuń ochronę przed zapisem lub wybierz inny dysk.", exportFailedInvalidPath: "Eksport nie powiódł się: Nieprawidłowa ścieżka pliku. Spróbuj krótszej ścieżki lub usuń znaki specjalne z nazwy folderu.", exportFailedGpuMemory: "Eksport nie powiódł się: Brak pamięci GPU. Zamknij inne aplikacje obciążające GPU lub spróbuj niższej jakości.", exportFailedGpuUnavailable: "Eksport nie powiódł się: Koder GPU nie jest już dostępny. Uruchom ponownie aplikację lub sprawdź sterowniki GPU.", exportFailedSourceLost: "Eksport nie powiódł się: Pliki źródłowe stały się niedostępne podczas eksportu. Sprawdź, czy dysk źródłowy jest nadal podłączony.", blurZoneFailed: "Nie udało się zastosować stref rozmycia prywatności. Wyeksportowane wideo NIE jest rozmyte. Zainstaluj ponownie aplikację lub skontaktuj się ze wsparciem.", openFileLocation: "Czy chcesz otworzyć lokalizację pliku?", layoutHint: "Przeciągnij, aby zmienić pozycję • Karty przyciągają do krawędzi", privacy: "Prywatność", blurZoneHint: "Ukryj tablice rejestracyjne lub wrażliwe dane", timelapse: "Poklatkowy", enableTimelapse: "Włącz tryb poklatkowy", enableTimelapseDesc: "Przyspiesz materiał dla skondensowanego przeglądu", timelapseSpeed: "Szybkość", timelapseSpeedDesc: "Mnożnik szybkości odtwarzania", timelapseOverlayNote: "Nakładki deski rozdzielczej, minimapy i znacznika czasu będą zsynchronizowane z prędkością poklatkovą. Dźwięk zostanie usunięty.", timelapseDuration: "Czas trwania → Czas Poklatkowy", shareLinkExpiry: "Link wygaśnie za {hours} godzin", restoreBannerText: "Znaleziono {count} poprzednich stref prywatności", restoreBannerRestore: "Przywróć", restoreBannerDismiss: "Odrzuć", restoreBannerRestored: "Strefy prywatności przywrócone" },
-            settings: { searchPlaceholder: "Szukaj ustawień...", title: "Ustawienia", general: "Ogólne", shortcuts: "Skróty", advanced: "Zaawansowane", displaySection: "Wyświetlanie", playbackOverlays: "Odtwarzanie i Nakładki", storageSection: "Pamięć", aboutUpdates: "Informacje i Aktualizacje", appVersion: "Wersja Aplikacji", systemSecurity: "System i Bezpieczeństwo", secFeature: "Funkcja", secStatus: "Status", secDescription: "Opis", footagePrivacy: "Prywatność Nagrań", localOnly: "Tylko Lokalnie", footagePrivacyDesc: "Klipy z kamery samochodowej nigdy nie opuszczają lokalnego magazynu.", updateReporting: "Raport Aktualizacji", statusActive: "Aktywny", updateReportingDesc: "Przy starcie aplikacja kontaktuje nasze API w celu sprawdzenia bezpieczeństwa i wersji.", deviceHash: "Hash Urządzenia", hashedSha256: "Zahaszowane (SHA-256)", deviceHashDesc: "Bezpieczny, solony ID zapobiegający spamowi API.", learnMore: "Dowiedz się Więcej", hideDetails: "Ukryj Szczegóły", architecture: "Architektura", dashboardStyle: "Styl Deski Rozdzielczej", language: "Język", languageDesc: "Język wyświetlania aplikacji", layout: "Układ", classicSidebar: "Klasyczny Pasek Boczny", classicSidebarDesc: "Zadokowany pasek boczny, który nie zasłania wideo", overlays: "Nakładki", dashboard: "Kokpit", dashboardDesc: "Pokaż prędkość, bieg i dane telemetryczne", gpsMap: "Mapa GPS", gpsMapDesc: "Pokaż mapę trasy z pozycją pojazdu", theme: "Motyw", themeDark: "Ciemny", themeLight: "Jasny", mapStyle: "Styl Mapy", mapStyleLight: "Jasny", mapStyleDark: "Ciemny", dashboardLayout: "Układ Kokpitu", dashboardLayoutDesc: "Styl domyślny lub kompaktowy", default: "Domyślny", acceleratorDisplay: "Wyświetlanie Gazu", acceleratorDisplayDesc: "Styl wizualizacji pedału", solidColor: "Jednolity Kolor (Wł/Wył)", iconBar: "Pasek Ikon (Wypełnienie)", sideBar: "Pasek Boczny", fixedToFrontCamera: "Przymocowany do Przedniej Kamery", fixedToFrontCameraDesc: "Zachowaj kompaktowy kokpit na przedniej kamerze", mirrorCameras: "Lustrzane Kamery", mirrorCamerasDesc: "Lustrzane odbicie kamer tylnej i bocznych (jak w lusterkach)", glassBlur: "Rozmycie Szkła", glassBlurDesc: "Intensywność rozmycia nakładki", metricUnits: "Jednostki Metryczne", metricUnitsDesc: "Używaj kilometrów na godzinę (KM/H)", dateFormat: "Format Daty", dateFormatDesc: "Format wyświetlania dat", globalSetting: "Ustawienie globalne", mdyFormat: "MM/DD/RRRR (USA)", dmyFormat: "DD/MM/RRRR (Międzynarodowy)", ymdFormat: "RRRR-MM-DD (ISO)", timeFormat: "Format czasu", timeFormatDesc: "Zegar 12- lub 24-godzinny", time12h: "12-godzinny (AM/PM)", time24h: "24-godzinny", defaultFolder: "Domyślny Folder Dashcam", defaultFolderDesc: "Automatycznie ładuj ten folder przy uruchomieniu", noFolderSet: "Nie ustawiono folderu", browse: "Przeglądaj", clear: "Wyczyść", about: "O Programie", version: "Wersja", viewChangelog: "Wyświetl Dziennik Zmian", support: "Wsparcie", supportDesc: "Masz problemy? Użyj przycisku Czat Wsparcia na pasku odtwarzania.", openSupportChat: "Otwórz Czat Wsparcia", done: "Gotowe", keyboardShortcuts: "Skróty Klawiszowe", keyboardShortcutsDesc: "Kliknij pole i naciśnij dowolny klawisz", playPause: "Odtwórz / Pauza", skipForward: "Przewiń do Przodu", skipBackward: "Przewiń do Tyłu", skipDuration: "Czas Skoku", toggleDashboard: "Przełącz Kokpit", toggleMap: "Przełącz Mapę", toggleMphKmh: "Przełącz MPH / KMH", toggleClipsPanel: "Przełącz Panel Klipów", setExportMarkerIn: "Znacznik Eksportu Start", setExportMarkerOut: "Znacznik Eksportu Koniec", nextClip: "Następny Klip", prevClip: "Poprzedni Klip", second: "sekunda", seconds: "sekund", updates: "Aktualizacje", disableAutoUpdate: "Wyłącz Automatyczne Aktualizacje", disableAutoUpdateDesc: "Nie sprawdzaj aktualizacji przy uruchomieniu", updateBranch: "Gałąź Aktualizacji", updateBranchDesc: "Main dla stabilnej, Dev-SEI dla beta", mainStable: "Main (Stabilna)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Sprawdź Aktualizacje", checkForUpdatesDesc: "Ręcznie sprawdź nowe wersje", checkNow: "Sprawdź Teraz", checking: "Sprawdzanie...", upToDate: "Aktualny", checkFailed: "Sprawdzanie Nie Powiodło Się", updateFound: "Znaleziono Aktualizację!", eventHighlights: "Wyróżnienia Wydarzeń", sentryCameraGlow: "Blask Kamery Sentry", sentryCameraGlowDesc: "Czerwony blask na aktywowanej kamerze", savedCameraGlow: "Blask Zapisanej Kamery", savedCameraGlowDesc: "Żółty blask na aktywowanej kamerze", cameraLayout: "Układ Kamer", resetCameraOrder: "Resetuj Kolejność Kamer", resetCameraOrderDesc: "Przywróć domyślne pozycje siatki", reset: "Resetuj" },
+            export: { title: "Eksportuj Wideo", start: "Start", end: "Koniec", inPoint: "Start", outPoint: "Koniec", duration: "Czas trwania", layout: "Układ", quality: "Jakość", overlays: "Nakładki", timestamp: "Znacznik Czasu", dashboard: "Kokpit", cancel: "Anuluj", exportBtn: "Eksportuj", preparing: "Przygotowanie...", exporting: "Eksportowanie...", compact: "Kompaktowy", detailed: "Szczegółowy", teslaMobile: "Tesla Mobile", mobile: "Mobilny", teslaMobilePositionDesc: "Góra lub dół klipu", bottom: "Dół", top: "Góra", medium: "Średni", high: "Wysoki", maximum: "Maksymalny", timestampDesc: "Nagraj datę i godzinę nagrania", dashboardDesc: "Nagraj prędkość, bieg i telemetrię", position: "Pozycja", positionDesc: "Umieszczenie na wideo", style: "Styl", styleDesc: "Styl wizualny kokpitu", size: "Rozmiar", sizeDesc: "Rozmiar kokpitu", blurType: "Metoda Rozmycia", blurTypeDesc: "Wybierz metodę w oparciu o szybkość vs jakość", addBlurZone: "Dodaj Strefę Rozmycia", addBlurZoneDesc: "Ukryj wrażliwe informacje przed udostępnieniem", addZone: "Dodaj Strefę", bottomCenter: "Dół Środek", bottomLeft: "Dół Lewo", bottomRight: "Dół Prawo", topCenter: "Góra Środek", topLeft: "Góra Lewo", topRight: "Góra Prawo", blurSolid: "Jednolity (Szybko)", blurTrue: "Prawdziwe Rozmycie (Wolno)", blurZoneEditor: "Edytor Strefy Rozmycia", blurZoneCount: "{count} strefa/y rozmycia skonfigurowana/e", blurZoneInstructions: "Kliknij i przeciągnij uchwyty narożne, aby zmienić rozmiar. Najedź na krawędzie, aby dodać nowe punkty. Kliknij punkty, aby utworzyć złożone kształty.", saveZone: "Zapisz Strefę", dashboardGpuWarning: "Nakładka kokpitu wymaga kodowania GPU. Nie wykryto kompatybilnego GPU.", dashboardPrerendered: "Kokpit jest wstępnie renderowany dla optymalnej wydajności.", maxQualityWarning: "Maksymalna jakość używa kodowania HEVC, jeśli GPU jest dostępne.", minimap: "Minimapa GPS", minimapDesc: "Pokaż trasę i pozycję na mapie", minimapNoGps: "Nie znaleziono danych GPS w wybranych klipach.", minimapPosition: "Pozycja", minimapPositionDesc: "Umieszczenie w rogu", minimapSize: "Rozmiar", minimapSizeDesc: "Rozmiar minimapy", minimapRenderMode: "Tryb Renderowania", minimapRenderModeDesc: "Szybkość vs jakość", minimapStaticFast: "Mapa Statyczna (Szybko)", minimapLiveSlow: "Mapa na Żywo (Wolno)", shareClip: "Udostępnij Klip", shareClipNew: "NOWE", generateShareableLink: "Generuj Link do Udostępnienia", generateShareableLinkDesc: "Prześlij na serwery Sentry Studio po eksporcie", shareClipInfo: "Twój klip będzie dostępny przez <strong>{hours} godzin</strong> na clip.sentry-six.com", shareClipWarning: "Udostępnianie jest dostępne tylko dla eksportów krótszych niż 5 minut", minimapStaticDesc: "Mapa statyczna: Pobiera kafelki mapy raz, nakłada ścieżkę trasy i znacznik pozycji. Szybki eksport, wymaga internetu.", minimapLiveDesc: "Mapa na żywo: Renderuje każdą klatkę za pomocą Leaflet. Pokazuje aktualizacje mapy w czasie rzeczywistym, ale eksport jest znacznie wolniejszy.", renderingMinimap: "Renderowanie minimapy...", minimapNoGpsDisabled: "Brak danych GPS dla nakładki minimapy. Minimapa zostanie wyłączona.", minimapGpsExtractFailed: "Nie udało się wyodrębnić danych GPS. Minimapa zostanie wyłączona.", frontCamWarning: "Przednia kamera zostanie zmniejszona, aby dopasować się do innych kamer.", output: "Wyjście", checkingFfmpeg: "Sprawdzanie FFmpeg...", ffmpegReady: "FFmpeg gotowy", cpuOnly: "Tylko CPU (brak kodera GPU)", ffmpegRequiredMac: "Wymagany FFmpeg. Uruchom w Terminalu: brew install ffmpeg", ffmpegRequiredWin: "Nie znaleziono FFmpeg. Umieść ffmpeg.exe w folderze ffmpeg_bin.", notAvailable: "Eksport niedostępny (uruchomiony w przeglądarce)", ffmpegError: "Błąd podczas sprawdzania FFmpeg", blurZonesStatus: "{count} strefa/y rozmycia - Nakładka kokpitu wyłączona", blurZonesWarning: "Ostrzeżenie: Strefy rozmycia skonfigurowane dla niewybranch kamer ({cameras}) nie zostaną zastosowane", sizeSmall: "Mały (25%)", sizeMedium: "Średni (35%)", sizeLarge: "Duży (45%)", sizeXLarge: "Bardzo Duży (55%)", minimizeHint: "Możesz zminimalizować to okno, aby kontynuować oglądanie materiału. Eksport będzie kontynuowany w tle.", analyzingSegments: "Analizowanie segmentów...", buildingExport: "Tworzenie eksportu...", exportingWithEncoder: "Eksportowanie z {encoder}...", exportingWithCpu: "Eksportowanie z CPU...", exportingPercent: "Eksportowanie... {percent}%", exportCompleteMB: "Eksport zakończony! ({size} MB)", exportFailedCode: "Eksport nie powiódł się (kod {code})", exportFailedNoSpace: "Eksport nie powiódł się: Brak miejsca na dysku. Zwolnij miejsce na dysku docelowym i spróbuj ponownie.", exportFailedPermission: "Eksport nie powiódł się: Odmowa dostępu. Spróbuj zapisać w innym folderze lub sprawdź uprawnienia folderu.", exportFailedPathNotFound: "Eksport nie powiódł się: Nie znaleziono folderu docelowego. Dysk mógł zostać odłączony. Sprawdź ścieżkę i spróbuj ponownie.", exportFailedReadOnly: "Eksport nie powiódł się: Dysk docelowy jest tylko do odczytu. Usuń ochronę przed zapisem lub wybierz inny dysk.", exportFailedInvalidPath: "Eksport nie powiódł się: Nieprawidłowa ścieżka pliku. Spróbuj krótszej ścieżki lub usuń znaki specjalne z nazwy folderu.", exportFailedGpuMemory: "Eksport nie powiódł się: Brak pamięci GPU. Zamknij inne aplikacje obciążające GPU lub spróbuj niższej jakości.", exportFailedGpuUnavailable: "Eksport nie powiódł się: Koder GPU nie jest już dostępny. Uruchom ponownie aplikację lub sprawdź sterowniki GPU.", exportFailedSourceLost: "Eksport nie powiódł się: Pliki źródłowe stały się niedostępne podczas eksportu. Sprawdź, czy dysk źródłowy jest nadal podłączony.", blurZoneFailed: "Nie udało się zastosować stref rozmycia prywatności. Wyeksportowane wideo NIE jest rozmyte. Zainstaluj ponownie aplikację lub skontaktuj się ze wsparciem.", openFileLocation: "Czy chcesz otworzyć lokalizację pliku?", layoutHint: "Przeciągnij, aby zmienić pozycję • Karty przyciągają do krawędzi", privacy: "Prywatność", blurZoneHint: "Ukryj tablice rejestracyjne lub wrażliwe dane", timelapse: "Poklatkowy", enableTimelapse: "Włącz tryb poklatkowy", enableTimelapseDesc: "Przyspiesz materiał dla skondensowanego przeglądu", timelapseSpeed: "Szybkość", timelapseSpeedDesc: "Mnożnik szybkości odtwarzania", timelapseOverlayNote: "Nakładki deski rozdzielczej, minimapy i znacznika czasu będą zsynchronizowane z prędkością poklatkovą. Dźwięk zostanie usunięty.", timelapseDuration: "Czas trwania → Czas Poklatkowy", shareLinkExpiry: "Link wygaśnie za {hours} godzin", restoreBannerText: "Znaleziono {count} poprzednich stref prywatności", restoreBannerRestore: "Przywróć", restoreBannerDismiss: "Odrzuć", restoreBannerRestored: "Strefy prywatności przywrócone", telemetryData: "Dane Telemetrii", telemetryDataDesc: "Prędkość, bieg, pedały, kierownica, kierunkowskazy, stan Autopilota, GPS i przyspieszenie dla każdej klatki w wybranym zakresie. Wideo nie jest ponownie kodowane.", exportTelemetry: "Eksportuj Telemetrię", telemetrySelectFormat: "Wybierz co najmniej jeden format telemetrii", telemetryInProgress: "Eksport już trwa", telemetryNoGps: "Brak sygnału GPS w tym zakresie — ścieżki GPX/KML będą puste", telemetryExported: "Wyeksportowano {count} klatek telemetrii do {files} plików", telemetryExportFailed: "Eksport telemetrii nie powiódł się: {error}", subtitles: "Napisy z telemetrią", subtitleSidecar: "Osobny plik", subtitleEmbedded: "Osadzone", subtitleEmbeddedDesc: "Ścieżka w MP4", subtitlesDesc: "Czas, prędkość, bieg, stan Autopilota i pozycja GPS co sekundę jako ścieżka napisów, którą można włączać i wyłączać. Nic nie jest wypalane w obrazie.", shareClipInfoServer: "Twój klip będzie dostępny przez <strong>{hours}</strong> na {host}" },
+            settings: { searchPlaceholder: "Szukaj ustawień...", title: "Ustawienia", general: "Ogólne", shortcuts: "Skróty", advanced: "Zaawansowane", displaySection: "Wyświetlanie", playbackOverlays: "Odtwarzanie i Nakładki", storageSection: "Pamięć", aboutUpdates: "Informacje i Aktualizacje", appVersion: "Wersja Aplikacji", systemSecurity: "System i Bezpieczeństwo", secFeature: "Funkcja", secStatus: "Status", secDescription: "Opis", footagePrivacy: "Prywatność Nagrań", localOnly: "Tylko Lokalnie", footagePrivacyDesc: "Klipy z kamery samochodowej nigdy nie opuszczają lokalnego magazynu.", updateReporting: "Raport Aktualizacji", statusActive: "Aktywny", updateReportingDesc: "Przy starcie aplikacja kontaktuje nasze API w celu sprawdzenia bezpieczeństwa i wersji.", deviceHash: "Hash Urządzenia", hashedSha256: "Zahaszowane (SHA-256)", deviceHashDesc: "Bezpieczny, solony ID zapobiegający spamowi API.", learnMore: "Dowiedz się Więcej", hideDetails: "Ukryj Szczegóły", architecture: "Architektura", dashboardStyle: "Styl Deski Rozdzielczej", language: "Język", languageDesc: "Język wyświetlania aplikacji", layout: "Układ", classicSidebar: "Klasyczny Pasek Boczny", classicSidebarDesc: "Zadokowany pasek boczny, który nie zasłania wideo", overlays: "Nakładki", dashboard: "Kokpit", dashboardDesc: "Pokaż prędkość, bieg i dane telemetryczne", gpsMap: "Mapa GPS", gpsMapDesc: "Pokaż mapę trasy z pozycją pojazdu", theme: "Motyw", themeDark: "Ciemny", themeLight: "Jasny", mapStyle: "Styl Mapy", mapStyleLight: "Jasny", mapStyleDark: "Ciemny", dashboardLayout: "Układ Kokpitu", dashboardLayoutDesc: "Styl domyślny lub kompaktowy", default: "Domyślny", acceleratorDisplay: "Wyświetlanie Gazu", acceleratorDisplayDesc: "Styl wizualizacji pedału", solidColor: "Jednolity Kolor (Wł/Wył)", iconBar: "Pasek Ikon (Wypełnienie)", sideBar: "Pasek Boczny", fixedToFrontCamera: "Przymocowany do Przedniej Kamery", fixedToFrontCameraDesc: "Zachowaj kompaktowy kokpit na przedniej kamerze", mirrorCameras: "Lustrzane Kamery", mirrorCamerasDesc: "Lustrzane odbicie kamer tylnej i bocznych (jak w lusterkach)", glassBlur: "Rozmycie Szkła", glassBlurDesc: "Intensywność rozmycia nakładki", metricUnits: "Jednostki Metryczne", metricUnitsDesc: "Używaj kilometrów na godzinę (KM/H)", dateFormat: "Format Daty", dateFormatDesc: "Format wyświetlania dat", globalSetting: "Ustawienie globalne", mdyFormat: "MM/DD/RRRR (USA)", dmyFormat: "DD/MM/RRRR (Międzynarodowy)", ymdFormat: "RRRR-MM-DD (ISO)", timeFormat: "Format czasu", timeFormatDesc: "Zegar 12- lub 24-godzinny", time12h: "12-godzinny (AM/PM)", time24h: "24-godzinny", defaultFolder: "Domyślny Folder Dashcam", defaultFolderDesc: "Automatycznie ładuj ten folder przy uruchomieniu", noFolderSet: "Nie ustawiono folderu", browse: "Przeglądaj", clear: "Wyczyść", about: "O Programie", version: "Wersja", viewChangelog: "Wyświetl Dziennik Zmian", support: "Wsparcie", supportDesc: "Masz problemy? Użyj przycisku Czat Wsparcia na pasku odtwarzania.", openSupportChat: "Otwórz Czat Wsparcia", done: "Gotowe", keyboardShortcuts: "Skróty Klawiszowe", keyboardShortcutsDesc: "Kliknij pole i naciśnij dowolny klawisz", playPause: "Odtwórz / Pauza", skipForward: "Przewiń do Przodu", skipBackward: "Przewiń do Tyłu", skipDuration: "Czas Skoku", toggleDashboard: "Przełącz Kokpit", toggleMap: "Przełącz Mapę", toggleMphKmh: "Przełącz MPH / KMH", toggleClipsPanel: "Przełącz Panel Klipów", setExportMarkerIn: "Znacznik Eksportu Start", setExportMarkerOut: "Znacznik Eksportu Koniec", nextClip: "Następny Klip", prevClip: "Poprzedni Klip", second: "sekunda", seconds: "sekund", updates: "Aktualizacje", disableAutoUpdate: "Wyłącz Automatyczne Aktualizacje", disableAutoUpdateDesc: "Nie sprawdzaj aktualizacji przy uruchomieniu", updateBranch: "Gałąź Aktualizacji", updateBranchDesc: "Main dla stabilnej, Dev-SEI dla beta", mainStable: "Main (Stabilna)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Sprawdź Aktualizacje", checkForUpdatesDesc: "Ręcznie sprawdź nowe wersje", checkNow: "Sprawdź Teraz", checking: "Sprawdzanie...", upToDate: "Aktualny", checkFailed: "Sprawdzanie Nie Powiodło Się", updateFound: "Znaleziono Aktualizację!", eventHighlights: "Wyróżnienia Wydarzeń", sentryCameraGlow: "Blask Kamery Sentry", sentryCameraGlowDesc: "Czerwony blask na aktywowanej kamerze", savedCameraGlow: "Blask Zapisanej Kamery", savedCameraGlowDesc: "Żółty blask na aktywowanej kamerze", cameraLayout: "Układ Kamer", resetCameraOrder: "Resetuj Kolejność Kamer", resetCameraOrderDesc: "Przywróć domyślne pozycje siatki", reset: "Resetuj", indexCache: "Pamięć podręczna indeksu biblioteki", indexCacheStatus: "Folderów w pamięci podręcznej: {folders} · {size}", indexCacheEmpty: "Brak folderów w pamięci podręcznej", clearIndexCache: "Wyczyść pamięć podręczną", indexCacheCleared: "Wyczyszczono pamięć podręczną indeksu. Foldery zostaną ponownie przeskanowane przy następnym otwarciu.", indexCacheClearFailed: "Nie udało się wyczyścić pamięci podręcznej indeksu: {error}", rebuildIndex: "Odbuduj indeks", indexRebuilt: "Indeks odbudowany z dysku.", indexRebuildFailed: "Nie udało się odbudować indeksu: {error}", indexRebuildNeedsFolder: "Najpierw otwórz folder kamery, aby odbudować jego indeks.", addBookmark: "Dodaj zakładkę", frameForward: "Następna klatka", frameBackward: "Poprzednia klatka", saveStill: "Zapisz klatkę", toggleTelemetryCharts: "Przełącz wykresy telemetrii", nextMotion: "Następny ruch", prevMotion: "Poprzedni ruch", toggleMotionSkipIdle: "Przełącz pomijanie bezczynności", toggleSmartPlayback: "Przełącz inteligentne odtwarzanie", nextMultiLayout: "Następny układ kamer", prevMultiLayout: "Poprzedni układ kamer", sharingSection: "Udostępnianie klipów", shareServer: "Serwer udostępniania", shareServerSave: "Zapisz", shareServerReset: "Domyślny", shareServerDesc: "Pozostaw puste, aby korzystać z usługi Sentry Studio, lub podaj adres własnego serwera (share-server w repozytorium), aby udostępniane klipy pozostały w Twojej sieci.", shareServerInvalid: "Nie można zapisać serwera", shareServerDefault: "Używana jest usługa Sentry Studio", shareServerSaved: "Klipy będą udostępniane przez {url}" },
             cameras: { front: "Przód", back: "Tył", leftPillar: "Lewa Słupek", rightPillar: "Prawa Słupek", leftRepeater: "Lewy Repeater", rightRepeater: "Prawy Repeater" },
             dashboard: { drive: "Jazda", manual: "Ręczny", noData: "Brak Danych", mph: "MPH", kmh: "KM/H", selfDriving: "Jazda Autonomiczna", autosteer: "Automatyczne Kierowanie", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Najpierw załaduj kolekcję, aby ustawić znaczniki eksportu", startMarkerSet: "Znacznik początkowy ustawiony", endMarkerSet: "Znacznik końcowy ustawiony", exportComplete: "Eksport zakończony!", exportCancelled: "Eksport anulowany", exportFailed: "Eksport nie powiódł się", foundDatesWithClips: "Znaleziono {count} dat z klipami", loadedFilesForDate: "Załadowano {count} plików dla {date}", noDataForDate: "Brak danych dla {date}", noClipsFoundForDate: "Nie znaleziono klipów dla {date}", noDashcamClipsFound: "Nie znaleziono klipów wideo. Wybierz folder zawierający pliki wideo (.mp4, .avi, .mov, .mkv) lub folder dashcam Tesla z RecentClips, SentryClips lub SavedClips.", metadataParserNotReady: "Parser metadanych jeszcze nie zainicjowany—spróbuj ponownie za sekundę.", noSupportedFilesFound: "Nie znaleziono obsługiwanych plików w tym folderze.", failedToLoadVideo: "Nie udało się załadować wideo: {error}", errorSelectingDay: "Błąd wyboru dnia: {error}", failedToOpenFolder: "Nie udało się otworzyć folderu: {error}", failedToInitMetadataParser: "Nie udało się zainicjować parsera metadanych. Upewnij się, że protobuf się ładuje i że nie uruchamiasz przez file://", capturingSnapshot: "Przechwytywanie zrzutu ekranu...", couldNotFindVideoFile: "Nie można znaleźć pliku wideo dla kamery {camera}", unsupportedFileType: "Nieobsługiwany typ pliku dla zrzutu ekranu", failedToCaptureSnapshot: "Nie udało się przechwycić zrzutu ekranu: {error}", blurZoneMinPoints: "Proszę utworzyć prawidłową strefę rozmycia z co najmniej 3 punktami", failedToGenerateMask: "Nie udało się wygenerować obrazu maski", failedToExtractMaskData: "Nie udało się wyodrębnić danych obrazu maski", failedToGetCanvasDimensions: "Nie udało się uzyskać wymiarów płótna", blurZoneSaved: "Strefa rozmycia została pomyślnie zapisana", failedToSaveBlurZone: "Nie udało się zapisać strefy rozmycia: {error}", exportNotAvailable: "Eksport niedostępny", exportRequiresFolder: "Eksport wymaga wybrania folderu za pomocą selektora. Proszę ponownie wybrać folder dashcam.", selectAtLeastOneCamera: "Proszę wybrać co najmniej jedną kamerę", extractingTelemetry: "Ekstrakcja danych telemetrycznych...", noTelemetryData: "Brak dostępnych danych telemetrycznych dla nakładki kokpitu. Kokpit zostanie wyłączony.", failedToExtractTelemetry: "Nie udało się wyodrębnić danych telemetrycznych. Kokpit zostanie wyłączony.", noVideoFilesForExport: "Nie znaleziono plików wideo do eksportu. Upewnij się, że folder został poprawnie wybrany.", exportFailedWithError: "Eksport nie powiódł się: {error}", onlyOneAttachment: "Dozwolony tylko 1 załącznik na wiadomość", fileTooLarge: "Plik \"{filename}\" jest zbyt duży (maks. 100MB)", enterMessageOrAttach: "Proszę wprowadzić wiadomość lub załączyć plik", supportTicketClosed: "Bilet wsparcia zamknięty", newSupportMessages: "Otrzymano {count} nową/e wiadomość/ci wsparcia", cameraOrderReset: "Kolejność kamer przywrócona do domyślnej", collectingDiagnostics: "Zbieranie danych diagnostycznych...", uploadingDiagnostics: "Przesyłanie diagnostyki...", supportIdCopied: "ID Wsparcia: {supportId} - Skopiowano do schowka!", failedToUploadDiagnostics: "Nie udało się przesłać diagnostyki: {error}", uploadFailed: "Przesyłanie nie powiodło się: {error}", supportIdCopiedSimple: "ID Wsparcia skopiowane do schowka!", failedToCopy: "Nie udało się skopiować: {error}", failedToGenerateSupportId: "Nie udało się wygenerować ID Wsparcia: {error}" },
             supportChat: { title: "Czat Wsparcia", needHelp: "Potrzebujesz Pomocy?", welcomeDesc: "Rozpocznij rozmowę z naszym wsparciem. Opisz swój problem, błąd lub opinię, a odpowiemy tak szybko, jak to możliwe.", welcomeNote: "Możesz załączyć zrzuty ekranu/filmy i dane diagnostyczne, aby pomóc nam lepiej zrozumieć Twój problem.", diagnostics: "Diagnostyka", attach: "Załącz", placeholder: "Opisz swój problem lub opinię...", privacyNote: "Dane są automatycznie usuwane po 7 dniach", ticketClosed: "Ten bilet został zamknięty.", createNewTicket: "Utwórz Nowy Bilet Wsparcia", closeTicket: "Zamknij Bilet", minimize: "Minimalizuj", closePanel: "Zamknij Panel", sendMessage: "Wyślij wiadomość", includeDiagnostics: "Dołącz dane diagnostyczne", attachFiles: "Załącz pliki", you: "Ty", support: "Wsparcie" },
-            sharedClips: { title: "Moje Udostępnione Klipy", emptyTitle: "Brak udostępnionych klipów", emptyDesc: "Wyeksportuj klip z włączonym udostępnianiem, aby go tu zobaczyć", clickHint: "Wybierz klip, aby zobaczyć szczegóły", copyLink: "Kopiuj Link", open: "Otwórz", delete: "Usuń", deleteTitle: "Usuń Udostępniony Klip", deleteConfirm: "Czy na pewno chcesz usunąć", deleteWarning: "To trwale usunie klip z serwerów Sentry Studio. Każdy, kto ma link, nie będzie mógł go już wyświetlić ani pobrać.", cancel: "Anuluj", deleteClip: "Usuń Klip" }
+            sharedClips: { title: "Moje Udostępnione Klipy", emptyTitle: "Brak udostępnionych klipów", emptyDesc: "Wyeksportuj klip z włączonym udostępnianiem, aby go tu zobaczyć", clickHint: "Wybierz klip, aby zobaczyć szczegóły", copyLink: "Kopiuj Link", open: "Otwórz", delete: "Usuń", deleteTitle: "Usuń Udostępniony Klip", deleteConfirm: "Czy na pewno chcesz usunąć", deleteWarning: "To trwale usunie klip z serwerów Sentry Studio. Każdy, kto ma link, nie będzie mógł go już wyświetlić ani pobrać.", cancel: "Anuluj", deleteClip: "Usuń Klip", resumeUpload: "Wznów przesyłanie" },
+            exportQueue: { title: "Kolejka eksportu", addToQueue: "Dodaj do kolejki", jobAdded: "Dodano do kolejki eksportu: {name}", jobDone: "Eksport z kolejki zakończony: {name}", jobFailed: "Eksport z kolejki nie powiódł się: {name} ({error})", actionFailed: "Błąd kolejki eksportu: {error}", emptyTitle: "Brak eksportów w kolejce", emptyDesc: "Użyj „Dodaj do kolejki” w oknie eksportu, aby zaplanować kilka eksportów", pausedNote: "Kolejka jest wstrzymana. Bieżący eksport się zakończy, ale nowe zadania nie ruszą do czasu wznowienia.", clearFinished: "Wyczyść zakończone", pauseQueue: "Wstrzymaj kolejkę", resumeQueue: "Wznów kolejkę", moveUp: "Przenieś w górę", moveDown: "Przenieś w dół", pause: "Wstrzymaj", resume: "Wznów", retry: "Ponów", remove: "Usuń", showInFolder: "Pokaż w folderze", statusPending: "Oczekuje", statusRunning: "Eksportowanie", statusPaused: "Wstrzymano", statusFailed: "Niepowodzenie", statusDone: "Gotowe" },
+            incidents: { tab: "Zdarzenia", scan: "Skanuj", rescan: "Skanuj ponownie", selectClip: "Otwórz klip, aby wyszukać zdarzenia", notScanned: "Jeszcze nie przeskanowano", scanning: "Skanowanie telemetrii ({done}/{total})", found: "Znaleziono zdarzeń: {count}", scanFailed: "Skanowanie zdarzeń nie powiodło się: {error}", hardBrake: "Gwałtowne hamowanie", hardAccel: "Gwałtowne przyspieszenie", sharpTurn: "Ostre pokonywanie zakrętu", impact: "Możliwe uderzenie", settingsTitle: "Wykrywanie zdarzeń", resetThresholds: "Resetuj progi" },
+            highlightReel: { title: "Film z najważniejszymi momentami", enable: "Utwórz film z momentami", enableDesc: "Łączy krótkie klipy z kluczowych momentów w jeden film", sourceEvents: "Zdarzenia Wartownika i zapisane", sourceEventsDesc: "Moment wywołania zdarzenia", sourceDisengagements: "Rozłączenia FSD", sourceDisengagementsDesc: "Z danych jazdy SentryUSB", sourceAccelPushes: "Wciśnięcia gazu", sourceAccelPushesDesc: "Wciśnięcia pedału przy włączonym FSD", sourceBraking: "Gwałtowne hamowania", sourceBrakingDesc: "Wykrywane z telemetrii", paddingBefore: "Przed każdym momentem", paddingBeforeDesc: "Nagranie zachowane przed zdarzeniem", paddingAfter: "Po każdym momencie", paddingAfterDesc: "Nagranie zachowane po zdarzeniu", note: "Używa całego wczytanego klipu zamiast znaczników początku/końca. Każdy moment otrzymuje planszę z datą, godziną i miejscem.", sentryEvent: "Zdarzenie Wartownika", savedEvent: "Zapisany klip", disengagement: "Rozłączenie FSD", accelPush: "Wciśnięcie gazu", scanningTelemetry: "Skanowanie telemetrii w poszukiwaniu gwałtownych hamowań…", nothingFound: "Nie znaleziono momentów dla wybranych źródeł", tooManyClips: "Znaleziono {count} momentów; uwzględnione zostanie tylko pierwsze {max}", renderingClip: "Renderowanie momentu {current} z {total}…", stitching: "Łączenie momentów i plansz tytułowych…" },
+            libraryMap: { open: "Mapa biblioteki", title: "Mapa biblioteki", from: "Od", to: "Do", reason: "Powód", allReasons: "Wszystkie powody", drives: "Przejazdy", fit: "Dopasuj do wyników", loading: "Odczytywanie lokalizacji zdarzeń… {done}/{total}", summary: "Zdarzenia: {events} · przejazdy: {drives}", noLocations: "Nic z lokalizacją nie pasuje do tych filtrów", openClip: "Otwórz klip", openDrive: "Otwórz przejazd", noLibrary: "Najpierw otwórz folder kamery lub wczytaj dane przejazdów SentryUSB", mapUnavailable: "Nie udało się wczytać biblioteki map. Sprawdź połączenie z internetem." },
+            search: { tab: "Szukaj", placeholder: "np. reason:honk date:-30d", run: "Szukaj", help: "Składnia zapytań", helpEvents: "Zdarzenia:", helpTime: "Czas:", helpDrives: "Przejazdy:", helpTelemetry: "Telemetria:", helpLogic: "Łączenie:", readingEvents: "Odczytywanie zdarzeń… {done}/{total}", noLibrary: "Otwórz folder kamery, aby go przeszukać", searching: "Wyszukiwanie…", indexingDate: "Indeksowanie {date}…", scanningTelemetry: "Odczytywanie telemetrii… {done}/{total} klipów", found: "Wyniki: {count}", tooManyResults: "Wyświetlono pierwsze {count} wyników — zawęź zapytanie, aby zobaczyć więcej", scanLimited: "Telemetrię odczytano tylko dla {count} najnowszych pasujących klipów; dodaj date:, aby szukać dalej wstecz.", failed: "Wyszukiwanie nie powiodło się: {error}", drive: "Przejazd", sentryEvent: "Zdarzenie trybu Strażnika", savedEvent: "Zapisany klip", recentClips: "Ostatnie klipy", customClips: "Klipy", errorEmptyGroup: "Oczekiwano wyszukiwanego terminu", errorParen: "Niezrównoważone nawiasy", errorUnexpected: "Nieoczekiwany „{token}”", errorMissingValue: "Brak wartości po {field}", errorInvalidValue: "„{value}” nie jest prawidłową wartością dla {field}", errorComparator: "„{cmp}” nie może być użyty z {field}; użyj : lub !=" },
+            bookmarks: { tab: "Zakładki", filter: "Filtruj zakładki…", add: "Dodaj zakładkę w tym momencie", addTitle: "Dodaj zakładkę", editTitle: "Edytuj zakładkę", titleLabel: "Tytuł", titlePlaceholder: "Co się tu wydarzyło?", noteLabel: "Notatki", colorLabel: "Kolor", delete: "Usuń", cancel: "Anuluj", save: "Zapisz", edit: "Edytuj", untitled: "Zakładka bez tytułu", noFolder: "Otwórz folder kamery, aby dodawać zakładki", empty: "Brak zakładek. Użyj przycisku zakładki przy osi czasu, aby oznaczyć moment.", count: "Zakładki: {count}", filtered: "{count} z {total} zakładek", saveFailed: "Nie udało się zapisać zakładek: {error}", savedLocally: "Ten folder jest tylko do odczytu, więc zakładki są zapisywane tylko na tym komputerze" },
+            stills: { frameBack: "Poprzednia klatka", frameForward: "Następna klatka", saveStill: "Zapisz klatkę", title: "Zapisz klatkę", sourceLabel: "Kamera", wholeGrid: "Wszystkie kamery (siatka)", captionLabel: "Dodaj podpis z telemetrią (czas, prędkość, bieg, GPS)", hint: "Zapisywane jako PNG w natywnej rozdzielczości kamer.", cancel: "Anuluj", save: "Zapisz PNG", saveTitle: "Zapisz klatkę", autopilot: "Autopilot", noVideo: "Otwórz klip, aby zapisać klatkę", noFrame: "Klatka wideo nie jest jeszcze gotowa", saved: "Zapisano klatkę: {file}", saveFailed: "Nie udało się zapisać klatki: {error}" },
+            evidence: { title: "Pakiet dowodowy", enable: "Utwórz pakiet dowodowy", enableDesc: "Spakuj oryginalne klipy, dane zdarzenia i telemetrię razem z wideo", note: "Zawiera nienaruszone klipy ze wszystkich kamer dla zaznaczonego zakresu, raport ze znacznikami czasu i ustawieniami eksportu oraz manifest SHA-256, dzięki któremu każdy może sprawdzić, że nic nie zostało zmienione.", verify: "Sprawdź pakiet...", verifying: "Sprawdzanie plików z SHA256SUMS...", verifyOk: "{name}: wszystkie pliki ({count}) zgadzają się z manifestem", verifyFailed: "{name}: weryfikacja NIEUDANA - pakiet został zmieniony", verifyError: "Nie można sprawdzić pakietu: {error}", statusModified: "zmieniony", statusMissing: "brak", statusUnlisted: "brak w manifeście", noSourceFiles: "Brak klipów źródłowych na dysku dla tego zakresu", notWithReel: "Pakiet dowodowy obejmuje jeden ciągły zakres - najpierw wyłącz składankę najważniejszych momentów", rendering: "Renderowanie wideo do pakietu dowodowego...", telemetry: "Dekodowanie telemetrii...", hashing: "Obliczanie skrótów ({current}/{total})...", zipping: "Zapisywanie zip...", complete: "Zapisano pakiet dowodowy ({files} plików, {size} MB)" },
+            incidentReport: { title: "Raport ze zdarzenia", generate: "Utwórz raport ze zdarzenia", saveTitle: "Zapisz raport ze zdarzenia", generating: "Tworzenie raportu ze zdarzenia…", saved: "Zapisano raport ze zdarzenia: {file}", failed: "Nie można utworzyć raportu ze zdarzenia: {error}", notAvailable: "Raporty są dostępne dla zdarzeń Sentry i zapisanych z plikiem event.json", eventDetails: "Szczegóły zdarzenia", eventType: "Typ zdarzenia", reason: "Przyczyna", triggerTime: "Wyzwolono o", triggerCamera: "Kamera wyzwalająca", location: "Lokalizacja", coordinates: "Współrzędne", sourceFolder: "Folder źródłowy", recording: "Nagranie", clipCount: "klipy: {count}", keyFrames: "Klatki kluczowe", trigger: "Wyzwolenie", noFrames: "Nie udało się odczytać klatek wokół wyzwolenia", map: "Mapa lokalizacji", mapOffline: "Nie udało się pobrać kafelków mapy; trasa i pozycja są narysowane bez tła.", noGps: "Dla tego zdarzenia nie zapisano pozycji GPS", telemetry: "Telemetria pojazdu ({seconds} s wokół wyzwolenia)", noTelemetry: "Wokół wyzwolenia nie zapisano telemetrii (typowe podczas postoju)", atTrigger: "W chwili wyzwolenia", speed: "Prędkość", accelerator: "Pedał przyspieszenia", brake: "Hamulec", steering: "Kąt skrętu kierownicy", gear: "Bieg", autopilot: "Wspomaganie kierowcy", applied: "Wciśnięty", released: "Zwolniony", footer: "Wygenerowano w Sentry Studio {date} z oryginalnych nagrań TeslaCam. Czas zgodny z zapisem samochodu." },
+            telemetryCharts: { title: "Wykresy telemetrii", toggle: "Wykresy telemetrii", speed: "Prędkość", accelerator: "Pedał gazu", brake: "Hamulec", steering: "Kierownica", lateralG: "G boczne", longitudinalG: "G wzdłużne", autopilot: "Autopilot", on: "Wł.", off: "Wył.", dock: "Przypnij nad paskiem sterowania", undock: "Panel pływający", resetZoom: "Pokaż całą oś czasu", close: "Zamknij", noCollection: "Wybierz klip, aby wyświetlić telemetrię", loading: "Odczyt telemetrii… {done}/{total}", noData: "Brak telemetrii w tych klipach", scanFailed: "Nie można odczytać telemetrii: {error}" },
+            timelineStrip: { setting: "Pasek osi czasu", settingDesc: "Kolor pod paskiem postępu", speed: "Prędkość", autopilot: "Autopilot", off: "Wyłączony", gapMinutes: "{count} min bez nagrania", gapSeconds: "{count} s bez nagrania" },
+            motion: { setting: "Analiza ruchu", settingDesc: "Wykrywaj ruch na każdej kamerze w zdarzeniach Sentry i zapisanych", skipIdleOff: "Pomijaj okresy bez ruchu", skipIdleOn: "Pomijanie okresów bez ruchu (kliknij, aby wyłączyć)", skipIdleEnabled: "Okresy bez ruchu będą pomijane", skipIdleDisabled: "Odtwarzanie całości", analyzing: "Analiza ruchu… {percent}%", analysisFailed: "Analiza ruchu nie powiodła się: {error}", noNext: "Brak ruchu po tym miejscu", noPrevious: "Brak ruchu przed tym miejscem", skipped: "Pominięto {seconds} s bez ruchu" },
+            smartPlayback: { toggle: "Inteligentne odtwarzanie: pomijaj postoje, 1x przy hamowaniu/kierunkowskazie", on: "Inteligentne odtwarzanie włączone (kliknij, aby wyłączyć)", enabled: "Inteligentne odtwarzanie włączone", disabled: "Inteligentne odtwarzanie wyłączone", saved: "Pominięto lub przewinięto {time} postoju", settingsTitle: "Inteligentne odtwarzanie", parkedAction: "Postoje", parkedActionDesc: "Bieg P i brak ruchu", skip: "Pomiń", fastForward: "Przewijanie", minParked: "Najkrótszy postój", fastRate: "Prędkość przewijania", slowPad: "1x przy hamowaniu/kierunkowskazie", off: "Wył.", reset: "Resetuj inteligentne odtwarzanie" },
+            multiLayouts: { title: "Układ kamer", sixDefault: "Domyślny (3×2)", quad: "2×2 (cztery kamery)", frontFocus: "Duży przód + 5", frontBack: "Przód / Tył", pip: "Obraz w obrazie", builtIn: "Wbudowane", custom: "Własne", manage: "Zarządzaj", newLayout: "Nowy układ…", editLayout: "Edytuj układ…", defaultName: "Mój układ {n}", switched: "Układ: {name}", saved: "Zapisano układ „{name}”", noCameras: "Dodaj do układu co najmniej jedną kamerę", nameLabel: "Nazwa", camerasLabel: "Kamery", editorHint: "Przeciągnij, aby przesunąć • Przeciągnij róg, aby zmienić rozmiar • Karty przyciągają się do krawędzi", delete: "Usuń", cancel: "Anuluj", save: "Zapisz" },
+            exportPresets: { label: "Preset", none: "Brak presetu", empty: "Brak zapisanych presetów", save: "Zapisz jako preset", rename: "Zmień nazwę presetu", delete: "Usuń preset", import: "Importuj presety", export: "Eksportuj presety do pliku", exportTitle: "Zapisz presety eksportu", fileType: "Presety eksportu", namePlaceholder: "Nazwa presetu", confirm: "Zapisz", cancel: "Anuluj", saved: "Zapisano preset „{name}”", renamed: "Zmieniono nazwę presetu na „{name}”", deleted: "Usunięto preset „{name}”", applied: "Zastosowano preset „{name}”", nameTaken: "Preset o nazwie „{name}” już istnieje", imported: "Zaimportowano presety: {count}", exported: "Wyeksportowano presety: {count}", importFailed: "Nie udało się zaimportować presetów: {error}", exportFailed: "Nie udało się wyeksportować presetów: {error}", camerasUnavailable: "Brak w tym klipie: {cameras}" },
+            exportMetadata: { title: "Metadane pliku", gpsTrack: "Osadź miejsce startu", gpsTrackDesc: "Miejsce początku eksportu dla aplikacji do zdjęć i map", chapters: "Dodaj rozdziały", chaptersDesc: "Znaczniki przy każdym klipie, wyzwoleniu zdarzenia i rozłączeniu FSD", clipChapter: "Klip {time}", clipChapterUntimed: "Klip" },
+            webGallery: { open: "Galeria internetowa", title: "Galeria internetowa", description: "Eksportuje wybrane zdarzenia jako folder, który otworzysz w dowolnej przeglądarce, bez Sentry Studio i bez internetu. Skopiuj go na pendrive lub do udziału sieciowego.", selectAll: "Zaznacz wszystko", selectNone: "Odznacz wszystko", galleryTitle: "Tytuł", defaultTitle: "Galeria Sentry Studio", cameras: "Kamery", trim: "Eksportuj tylko wokół momentu zdarzenia", before: "Sekundy przed", after: "Sekundy po", cancel: "Anuluj", export: "Eksportuj galerię", noLibrary: "Najpierw otwórz folder kamery z zdarzeniami Sentry lub zapisanymi", noEvents: "Brak zdarzeń Sentry lub zapisanych w tym folderze", loading: "Odczytywanie zdarzeń… {done}/{total}", noMatches: "Brak zdarzeń pasujących do filtrów", selectedCount: "Wybrano {count} z {total} zdarzeń", noSelection: "Wybierz co najmniej jedno zdarzenie", queued: "Galeria z {count} zdarzeniami dodana do kolejki eksportu: {name}", rendering: "Zdarzenie {current}/{total}: renderowanie {camera}", writingPage: "Zapisywanie strony galerii...", complete: "Galeria wyeksportowana ({events} zdarzeń, {size})", skipped: "Nie udało się wyeksportować {count} zdarzeń: {events}", pageEvents: "Zdarzenia: {count}", pageCreated: "Utworzono {date}", pageAllEvents: "Wszystkie zdarzenia", pagePrevious: "Poprzednie zdarzenie", pageNext: "Następne zdarzenie", pagePlay: "Odtwórz / wstrzymaj", pageJumpToEvent: "Przejdź do zdarzenia", pageType: "Typ", pageDate: "Data", pageLocation: "Miejsce", pageCoordinates: "Współrzędne", pageCamera: "Kamera wyzwalająca", pageDuration: "Czas trwania", pageDistance: "Dystans", pageRoute: "Trasa", pageOpenMap: "Otwórz w OpenStreetMap", pageEventJson: "Pobierz event.json", pageNoRoute: "Brak danych GPS w tych klipach" },
+            clipHealth: { open: "Stan klipów", title: "Stan klipów", description: "Wyszukuje klipy puste, nieczytelne lub urwane z powodu utraty zasilania w samochodzie oraz klipy bez jednej z kamer. Naprawione klipy są zapisywane obok oryginału jako .repaired.mp4 i odtwarzane zamiast niego; oryginał nigdy nie jest zmieniany.", scan: "Skanuj ponownie", repairAll: "Napraw wszystkie", close: "Zamknij", needsFolder: "Najpierw wybierz folder kamery przyciskiem folderu (przeciągniętych folderów nie można skanować)", reading: "Odczytywanie folderu…", scanning: "Sprawdzanie klipów… {done}/{total}", summary: "Sprawdzono plików: {files}. Problemy: {problems} w grupach klipów: {groups}", allGood: "Sprawdzono plików: {files}, brak problemów", scanFailed: "Skanowanie nie powiodło się: {error}", statusEmpty: "Pusty", statusUnreadable: "Nieczytelny", statusTruncated: "Urwany", missingCameras: "Brakujące kamery", repair: "Napraw", repaired: "Naprawiony", repairing: "Naprawianie {current}/{total}…", repairFailed: "Naprawa nie powiodła się: {error}", repairDone: "Naprawiono klipów: {repaired}, nieudane: {failed}", showInFolder: "Pokaż w folderze" },
+            storage: { open: "Pamięć", title: "Pamięć", description: "Zobacz, co zajmuje miejsce w tym folderze, i zwolnij je według dnia, zdarzenia lub reguły przechowywania. Nic nie jest usuwane bez podglądu, a wszystko trafia do kosza systemowego, więc można to przywrócić.", needsFolder: "Najpierw otwórz folder kamery, aby zobaczyć zajętość pamięci.", reading: "Odczyt folderu…", measuring: "Mierzenie {done} z {total} klipów…", scanFailed: "Nie udało się zmierzyć folderu: {error}", total: "{size} w {count} dniach i zdarzeniach", byType: "Według typu", byCamera: "Według kamery", byDay: "Według dnia", other: "Inne", tabUsage: "Zajętość", tabClips: "Klipy", tabRules: "Reguły przechowywania", selectAll: "Zaznacz wszystko", selectNone: "Odznacz wszystko", cameraCount: "Kamery: {count}", selectedCount: "Zaznaczono: {count} · {size}", trashSelected: "Przenieś zaznaczone do kosza", rulesDescription: "Reguły działają tylko po podglądzie i potwierdzeniu. Zdarzenia są zachowywane lub usuwane w całości; z ostatnich klipów zostają tylko minuty z zakładkami.", ruleDelete: "Usuń", ruleKeepCameras: "Zachowaj tylko kamery", ruleOlderThan: "starsze niż (dni)", ruleExceptBookmarked: "chyba że z zakładką", ruleRemove: "Usuń regułę", noRules: "Brak reguł przechowywania.", addRule: "Dodaj regułę", previewRules: "Podgląd", planSummary: "{files} plików ({size}) z {count} dni i zdarzeń zostanie przeniesionych do kosza.", planEmpty: "Nic nie pasuje; żadne pliki nie zostaną usunięte.", planWhole: "Wszystko", planCameras: "Kamery: {cameras}", back: "Wstecz", confirmTrash: "Przenieś do kosza", trashing: "Przenoszenie do kosza {done} z {total}…", trashDone: "Przeniesiono do kosza: {count} ({size}).", trashPartial: "Przeniesiono do kosza: {trashed}; nie udało się: {failed} ({error}).", trashFailed: "Nie udało się przenieść do kosza: {error}", close: "Zamknij" }
         },
         welcome: {
             modalTitle: "Witamy w Sentry Studio",
@@ -635,13 +879,32 @@ export const translations = {
             eventTypes: { manualSave: "Manuel Kaydetme", honk: "Korna", objectDetected: "Nesne Algılandı", emergencyBraking: "Acil Frenleme", accelerationDetected: "Hızlanma Algılandı", collisionDetected: "Çarpışma Algılandı" },
             map: { recenter: "Haritayı yeniden ortala", hint: "Taşımak için sağ tıklayıp sürükleyin" },
             playback: { play: "Oynat", pause: "Duraklat", skipBack: "15 saniye geri", skipForward: "15 saniye ileri", playbackSpeed: "Oynatma hızı", setStartMarker: "Dışa aktarma başlangıç noktasını ayarla", setEndMarker: "Dışa aktarma bitiş noktasını ayarla", exportVideo: "Videoyu dışa aktar", supportChat: "Destek Sohbeti", settings: "Ayarlar", toggleDetails: "Detayları Değiştir", lateralG: "Yanal G", longitudinalG: "Boylamasına G", heading: "Yön", openExportDetails: "Dışa aktarma detaylarını aç" },
-            export: { title: "Video Dışa Aktar", start: "Başlangıç", end: "Bitiş", inPoint: "Başlangıç", outPoint: "Bitiş", duration: "Süre", layout: "Düzen", quality: "Kalite", overlays: "Katmanlar", timestamp: "Zaman Damgası", dashboard: "Gösterge Paneli", cancel: "İptal", exportBtn: "Dışa Aktar", preparing: "Hazırlanıyor...", exporting: "Dışa Aktarılıyor...", compact: "Kompakt", detailed: "Ayrıntılı", teslaMobile: "Tesla Mobile", mobile: "Mobil", teslaMobilePositionDesc: "Klibin üstü veya altı", bottom: "Alt", top: "Üst", medium: "Orta", high: "Yüksek", maximum: "Maksimum", timestampDesc: "Kayıt tarihini ve saatini yaz", dashboardDesc: "Hız, vites ve telemetriyi yaz", position: "Konum", positionDesc: "Videodaki yerleşim", style: "Stil", styleDesc: "Gösterge paneli görsel stili", size: "Boyut", sizeDesc: "Gösterge paneli boyutu", blurType: "Bulanıklık Yöntemi", blurTypeDesc: "Hız vs kaliteye göre yöntem seçin", addBlurZone: "Bulanıklık Bölgesi Ekle", addBlurZoneDesc: "Paylaşmadan önce hassas bilgileri gizle", addZone: "Bölge Ekle", bottomCenter: "Alt Orta", bottomLeft: "Alt Sol", bottomRight: "Alt Sağ", topCenter: "Üst Orta", topLeft: "Üst Sol", topRight: "Üst Sağ", blurSolid: "Düz (Hızlı)", blurTrue: "Gerçek Bulanıklık (Yavaş)", blurZoneEditor: "Bulanıklık Bölgesi Düzenleyici", blurZoneCount: "{count} bulanıklık bölgesi yapılandırıldı", blurZoneInstructions: "Yeniden boyutlandırmak için köşe tutamaçlarını tıklayıp sürükleyin. Yeni noktalar eklemek için kenarların üzerine gelin. Karmaşık şekiller oluşturmak için noktalara tıklayın.", saveZone: "Bölgeyi Kaydet", dashboardGpuWarning: "Gösterge paneli katmanı GPU kodlaması gerektirir. Uyumlu GPU algılanmadı.", dashboardPrerendered: "Gösterge paneli optimum performans için önceden işlendi.", maxQualityWarning: "Maksimum kalite, GPU mevcutsa HEVC kodlaması kullanır.", minimap: "GPS Mini Harita", minimapDesc: "Haritada rota ve konum göster", minimapNoGps: "Seçilen kliplerde GPS verisi bulunamadı.", minimapPosition: "Konum", minimapPositionDesc: "Köşe yerleşimi", minimapSize: "Boyut", minimapSizeDesc: "Mini harita boyutu", minimapRenderMode: "Render Modu", minimapRenderModeDesc: "Hız vs kalite", minimapStaticFast: "Statik Harita (Hızlı)", minimapLiveSlow: "Canlı Harita (Yavaş)", shareClip: "Klibi Paylaş", shareClipNew: "YENİ", generateShareableLink: "Paylaşılabilir Bağlantı Oluştur", generateShareableLinkDesc: "Dışa aktarma sonrası Sentry Studio sunucularına yükle", shareClipInfo: "Klibiniz clip.sentry-six.com adresinde <strong>{hours} saat</strong> boyunca kullanılabilir olacak", shareClipWarning: "Paylaşım yalnızca 5 dakikadan kısa dışa aktarmalar için kullanılabilir", minimapStaticDesc: "Statik harita: Harita karolarını bir kez indirir, rota yolunu ve konum işaretçisini kaplar. Hızlı dışa aktarma, internet gerektirir.", minimapLiveDesc: "Canlı harita: Her kareyi Leaflet ile render eder. Gerçek zamanlı harita güncellemelerini gösterir ancak dışa aktarma çok daha yavaştır.", renderingMinimap: "Mini harita render ediliyor...", minimapNoGpsDisabled: "Mini harita katmanı için GPS verisi mevcut değil. Mini harita devre dışı bırakılacak.", minimapGpsExtractFailed: "GPS verisi çıkarılamadı. Mini harita devre dışı bırakılacak.", frontCamWarning: "Ön kamera diğer kameralara uyması için küçültülecek.", output: "Çıktı", checkingFfmpeg: "FFmpeg kontrol ediliyor...", ffmpegReady: "FFmpeg hazır", cpuOnly: "Yalnızca CPU (GPU kodlayıcı yok)", ffmpegRequiredMac: "FFmpeg gerekli. Terminalde çalıştırın: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg bulunamadı. ffmpeg.exe dosyasını ffmpeg_bin klasörüne yerleştirin.", notAvailable: "Dışa aktarma kullanılamıyor (tarayıcıda çalışıyor)", ffmpegError: "FFmpeg kontrol edilirken hata", blurZonesStatus: "{count} bulanıklık bölgesi - Gösterge paneli katmanı devre dışı", blurZonesWarning: "Uyarı: Seçilmemiş kameralar için yapılandırılmış bulanıklık bölgeleri ({cameras}) uygulanmayacak", sizeSmall: "Küçük (25%)", sizeMedium: "Orta (35%)", sizeLarge: "Büyük (45%)", sizeXLarge: "Çok Büyük (55%)", minimizeHint: "Görüntüleri izlemeye devam etmek için bu pencereyi küçültebilirsiniz. Dışa aktarma arka planda devam edecek.", analyzingSegments: "Segmentler analiz ediliyor...", buildingExport: "Dışa aktarma oluşturuluyor...", exportingWithEncoder: "{encoder} ile dışa aktarılıyor...", exportingWithCpu: "CPU ile dışa aktarılıyor...", exportingPercent: "Dışa aktarılıyor... {percent}%", exportCompleteMB: "Dışa aktarma tamamlandı! ({size} MB)", exportFailedCode: "Dışa aktarma başarısız (kod {code})", exportFailedNoSpace: "Dışa aktarma başarısız: Yetersiz disk alanı. Hedef sürücüde yer açın ve tekrar deneyin.", exportFailedPermission: "Dışa aktarma başarısız: İzin reddedildi. Farklı bir klasöre kaydetmeyi deneyin veya klasör izinlerini kontrol edin.", exportFailedPathNotFound: "Dışa aktarma başarısız: Hedef klasör bulunamadı. Sürücü bağlantısı kesilmiş olabilir. Yolu kontrol edip tekrar deneyin.", exportFailedReadOnly: "Dışa aktarma başarısız: Hedef sürücü salt okunur. Yazma korumasını kaldırın veya farklı bir sürücü seçin.", exportFailedInvalidPath: "Dışa aktarma başarısız: Geçersiz dosya yolu. Daha kısa bir yol deneyin veya klasör adındaki özel karakterleri kaldırın.", exportFailedGpuMemory: "Dışa aktarma başarısız: GPU belleği yetersiz. GPU kullanan diğer uygulamaları kapatın veya daha düşük kalite deneyin.", exportFailedGpuUnavailable: "Dışa aktarma başarısız: GPU kodlayıcı artık kullanılamıyor. Uygulamayı yeniden başlatın veya GPU sürücülerinizi kontrol edin.", exportFailedSourceLost: "Dışa aktarma başarısız: Dışa aktarma sırasında kaynak dosyalara erişilemez hale geldi. Kaynak sürücünün hâlâ bağlı olduğunu kontrol edin.", blurZoneFailed: "Gizlilik bulanıklık bölgeleri uygulanamadı. Dışa aktarılan videonuz bulanıklaştırılmamıştır. Lütfen uygulamayı yeniden yükleyin veya destekle iletişime geçin.", openFileLocation: "Dosya konumunu açmak ister misiniz?", layoutHint: "Yeniden konumlandırmak için sürükle • Kartlar kenarlara yapışır", privacy: "Gizlilik", blurZoneHint: "Plakaları veya hassas bilgileri gizle", timelapse: "Hızlandırılmış", enableTimelapse: "Hızlandırılmış Modu Etkinleştir", enableTimelapseDesc: "Yoğunlaştırılmış bir genel bakış için görüntüleri hızlandır", timelapseSpeed: "Hız", timelapseSpeedDesc: "Oynatma hızı çarpanı", timelapseOverlayNote: "Gösterge paneli, mini harita ve zaman damgası katmanları hızlandırılmış hıza eşitlenecektir. Ses kaldırılır.", timelapseDuration: "Süre → Hızlandırılmış Süre", shareLinkExpiry: "Bağlantı {hours} saat sonra sona erer", restoreBannerText: "{count} önceki gizlilik bölgesi bulundu", restoreBannerRestore: "Geri Yükle", restoreBannerDismiss: "Kapat", restoreBannerRestored: "Gizlilik bölgeleri geri yüklendi" },
-            settings: { searchPlaceholder: "Ayarları ara...", title: "Ayarlar", general: "Genel", shortcuts: "Kısayollar", advanced: "Gelişmiş", displaySection: "Görünüm", playbackOverlays: "Oynatma ve Katmanlar", storageSection: "Depolama", aboutUpdates: "Hakkında ve Güncellemeler", appVersion: "Uygulama Sürümü", systemSecurity: "Sistem ve Güvenlik", secFeature: "Özellik", secStatus: "Durum", secDescription: "Açıklama", footagePrivacy: "Video Gizliliği", localOnly: "Yalnızca Yerel", footagePrivacyDesc: "Dashcam klipleri asla yerel depolamanızdan çıkmaz.", updateReporting: "Güncelleme Raporu", statusActive: "Aktif", updateReportingDesc: "Başlatıldığında uygulama güvenlik ve sürüm kontrolleri için API'mize bağlanır.", deviceHash: "Cihaz Hash'i", hashedSha256: "Hashlenmiş (SHA-256)", deviceHashDesc: "API spam'ını önlemek için güvenli, tuzlanmış bir ID.", learnMore: "Daha Fazla Bilgi", hideDetails: "Detayları Gizle", architecture: "Mimari", dashboardStyle: "Gösterge Paneli Stili", language: "Dil", languageDesc: "Uygulama görüntüleme dili", layout: "Düzen", classicSidebar: "Klasik Kenar Çubuğu", classicSidebarDesc: "Videoyu örtmeyen sabitlenmiş kenar çubuğu", overlays: "Katmanlar", dashboard: "Gösterge Paneli", dashboardDesc: "Hız, vites ve telemetri verilerini göster", gpsMap: "GPS Haritası", gpsMapDesc: "Araç konumu ile rota haritasını göster", theme: "Tema", themeDark: "Koyu", themeLight: "Açık", mapStyle: "Harita Stili", mapStyleLight: "Açık", mapStyleDark: "Koyu", dashboardLayout: "Gösterge Paneli Düzeni", dashboardLayoutDesc: "Varsayılan veya kompakt stil", default: "Varsayılan", acceleratorDisplay: "Gaz Görüntüsü", acceleratorDisplayDesc: "Pedal görsellleştirme stili", solidColor: "Düz Renk (Açık/Kapalı)", iconBar: "Simge Çubuğu (Dolgu)", sideBar: "Kenar Çubuğu", fixedToFrontCamera: "Ön Kameraya Sabitlenmiş", fixedToFrontCameraDesc: "Kompakt gösterge panelini ön kamerada tut", mirrorCameras: "Kameraları Aynala", mirrorCamerasDesc: "Arka ve tekrarlayıcı kameraları aynala (aynalarda görüldüğü gibi)", glassBlur: "Cam Bulanıklığı", glassBlurDesc: "Katman bulanıklık yoğunluğu", metricUnits: "Metrik Birimler", metricUnitsDesc: "Saatte kilometre kullan (KM/H)", dateFormat: "Tarih Biçimi", dateFormatDesc: "Tarihler için görüntüleme biçimi", globalSetting: "Genel ayar", mdyFormat: "AA/GG/YYYY (ABD)", dmyFormat: "GG/AA/YYYY (Uluslararası)", ymdFormat: "YYYY-AA-GG (ISO)", timeFormat: "Saat Formatı", timeFormatDesc: "12 saat veya 24 saat", time12h: "12 saat (AM/PM)", time24h: "24 saat", defaultFolder: "Varsayılan Dashcam Klasörü", defaultFolderDesc: "Başlatmada bu klasörü otomatik yükle", noFolderSet: "Klasör ayarlanmadı", browse: "Gözat", clear: "Temizle", about: "Hakkında", version: "Sürüm", viewChangelog: "Değişiklik Günlüğünü Görüntüle", support: "Destek", supportDesc: "Sorun mu yaşıyorsunuz? Oynatma çubuğundaki Destek Sohbeti düğmesini kullanın.", openSupportChat: "Destek Sohbetini Aç", done: "Tamam", keyboardShortcuts: "Klavye Kısayolları", keyboardShortcutsDesc: "Bir alana tıklayın ve bir tuşa basın", playPause: "Oynat / Duraklat", skipForward: "İleri Atla", skipBackward: "Geri Atla", skipDuration: "Atlama Süresi", toggleDashboard: "Gösterge Panelini Aç/Kapat", toggleMap: "Haritayı Aç/Kapat", toggleMphKmh: "MPH / KMH Değiştir", toggleClipsPanel: "Klipler Panelini Aç/Kapat", setExportMarkerIn: "Dışa Aktarma Başlangıç İşaretçisi", setExportMarkerOut: "Dışa Aktarma Bitiş İşaretçisi", nextClip: "Sonraki Klip", prevClip: "Önceki Klip", second: "saniye", seconds: "saniye", updates: "Güncellemeler", disableAutoUpdate: "Otomatik Güncellemeyi Devre Dışı Bırak", disableAutoUpdateDesc: "Başlatmada güncellemeleri kontrol etme", updateBranch: "Güncelleme Dalı", updateBranchDesc: "Main kararlı için, Dev-SEI beta için", mainStable: "Main (Kararlı)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Güncellemeleri Kontrol Et", checkForUpdatesDesc: "Yeni sürümleri manuel olarak kontrol et", checkNow: "Şimdi Kontrol Et", checking: "Kontrol Ediliyor...", upToDate: "Güncel", checkFailed: "Kontrol Başarısız", updateFound: "Güncelleme Bulundu!", eventHighlights: "Olay Vurguları", sentryCameraGlow: "Sentry Kamera Parlaması", sentryCameraGlowDesc: "Tetiklenen kamerada kırmızı parlama", savedCameraGlow: "Kaydedilen Kamera Parlaması", savedCameraGlowDesc: "Tetiklenen kamerada sarı parlama", cameraLayout: "Kamera Düzeni", resetCameraOrder: "Kamera Sırasını Sıfırla", resetCameraOrderDesc: "Varsayılan ızgara konumlarını geri yükle", reset: "Sıfırla" },
+            export: { title: "Video Dışa Aktar", start: "Başlangıç", end: "Bitiş", inPoint: "Başlangıç", outPoint: "Bitiş", duration: "Süre", layout: "Düzen", quality: "Kalite", overlays: "Katmanlar", timestamp: "Zaman Damgası", dashboard: "Gösterge Paneli", cancel: "İptal", exportBtn: "Dışa Aktar", preparing: "Hazırlanıyor...", exporting: "Dışa Aktarılıyor...", compact: "Kompakt", detailed: "Ayrıntılı", teslaMobile: "Tesla Mobile", mobile: "Mobil", teslaMobilePositionDesc: "Klibin üstü veya altı", bottom: "Alt", top: "Üst", medium: "Orta", high: "Yüksek", maximum: "Maksimum", timestampDesc: "Kayıt tarihini ve saatini yaz", dashboardDesc: "Hız, vites ve telemetriyi yaz", position: "Konum", positionDesc: "Videodaki yerleşim", style: "Stil", styleDesc: "Gösterge paneli görsel stili", size: "Boyut", sizeDesc: "Gösterge paneli boyutu", blurType: "Bulanıklık Yöntemi", blurTypeDesc: "Hız vs kaliteye göre yöntem seçin", addBlurZone: "Bulanıklık Bölgesi Ekle", addBlurZoneDesc: "Paylaşmadan önce hassas bilgileri gizle", addZone: "Bölge Ekle", bottomCenter: "Alt Orta", bottomLeft: "Alt Sol", bottomRight: "Alt Sağ", topCenter: "Üst Orta", topLeft: "Üst Sol", topRight: "Üst Sağ", blurSolid: "Düz (Hızlı)", blurTrue: "Gerçek Bulanıklık (Yavaş)", blurZoneEditor: "Bulanıklık Bölgesi Düzenleyici", blurZoneCount: "{count} bulanıklık bölgesi yapılandırıldı", blurZoneInstructions: "Yeniden boyutlandırmak için köşe tutamaçlarını tıklayıp sürükleyin. Yeni noktalar eklemek için kenarların üzerine gelin. Karmaşık şekiller oluşturmak için noktalara tıklayın.", saveZone: "Bölgeyi Kaydet", dashboardGpuWarning: "Gösterge paneli katmanı GPU kodlaması gerektirir. Uyumlu GPU algılanmadı.", dashboardPrerendered: "Gösterge paneli optimum performans için önceden işlendi.", maxQualityWarning: "Maksimum kalite, GPU mevcutsa HEVC kodlaması kullanır.", minimap: "GPS Mini Harita", minimapDesc: "Haritada rota ve konum göster", minimapNoGps: "Seçilen kliplerde GPS verisi bulunamadı.", minimapPosition: "Konum", minimapPositionDesc: "Köşe yerleşimi", minimapSize: "Boyut", minimapSizeDesc: "Mini harita boyutu", minimapRenderMode: "Render Modu", minimapRenderModeDesc: "Hız vs kalite", minimapStaticFast: "Statik Harita (Hızlı)", minimapLiveSlow: "Canlı Harita (Yavaş)", shareClip: "Klibi Paylaş", shareClipNew: "YENİ", generateShareableLink: "Paylaşılabilir Bağlantı Oluştur", generateShareableLinkDesc: "Dışa aktarma sonrası Sentry Studio sunucularına yükle", shareClipInfo: "Klibiniz clip.sentry-six.com adresinde <strong>{hours} saat</strong> boyunca kullanılabilir olacak", shareClipWarning: "Paylaşım yalnızca 5 dakikadan kısa dışa aktarmalar için kullanılabilir", minimapStaticDesc: "Statik harita: Harita karolarını bir kez indirir, rota yolunu ve konum işaretçisini kaplar. Hızlı dışa aktarma, internet gerektirir.", minimapLiveDesc: "Canlı harita: Her kareyi Leaflet ile render eder. Gerçek zamanlı harita güncellemelerini gösterir ancak dışa aktarma çok daha yavaştır.", renderingMinimap: "Mini harita render ediliyor...", minimapNoGpsDisabled: "Mini harita katmanı için GPS verisi mevcut değil. Mini harita devre dışı bırakılacak.", minimapGpsExtractFailed: "GPS verisi çıkarılamadı. Mini harita devre dışı bırakılacak.", frontCamWarning: "Ön kamera diğer kameralara uyması için küçültülecek.", output: "Çıktı", checkingFfmpeg: "FFmpeg kontrol ediliyor...", ffmpegReady: "FFmpeg hazır", cpuOnly: "Yalnızca CPU (GPU kodlayıcı yok)", ffmpegRequiredMac: "FFmpeg gerekli. Terminalde çalıştırın: brew install ffmpeg", ffmpegRequiredWin: "FFmpeg bulunamadı. ffmpeg.exe dosyasını ffmpeg_bin klasörüne yerleştirin.", notAvailable: "Dışa aktarma kullanılamıyor (tarayıcıda çalışıyor)", ffmpegError: "FFmpeg kontrol edilirken hata", blurZonesStatus: "{count} bulanıklık bölgesi - Gösterge paneli katmanı devre dışı", blurZonesWarning: "Uyarı: Seçilmemiş kameralar için yapılandırılmış bulanıklık bölgeleri ({cameras}) uygulanmayacak", sizeSmall: "Küçük (25%)", sizeMedium: "Orta (35%)", sizeLarge: "Büyük (45%)", sizeXLarge: "Çok Büyük (55%)", minimizeHint: "Görüntüleri izlemeye devam etmek için bu pencereyi küçültebilirsiniz. Dışa aktarma arka planda devam edecek.", analyzingSegments: "Segmentler analiz ediliyor...", buildingExport: "Dışa aktarma oluşturuluyor...", exportingWithEncoder: "{encoder} ile dışa aktarılıyor...", exportingWithCpu: "CPU ile dışa aktarılıyor...", exportingPercent: "Dışa aktarılıyor... {percent}%", exportCompleteMB: "Dışa aktarma tamamlandı! ({size} MB)", exportFailedCode: "Dışa aktarma başarısız (kod {code})", exportFailedNoSpace: "Dışa aktarma başarısız: Yetersiz disk alanı. Hedef sürücüde yer açın ve tekrar deneyin.", exportFailedPermission: "Dışa aktarma başarısız: İzin reddedildi. Farklı bir klasöre kaydetmeyi deneyin veya klasör izinlerini kontrol edin.", exportFailedPathNotFound: "Dışa aktarma başarısız: Hedef klasör bulunamadı. Sürücü bağlantısı kesilmiş olabilir. Yolu kontrol edip tekrar deneyin.", exportFailedReadOnly: "Dışa aktarma başarısız: Hedef sürücü salt okunur. Yazma korumasını kaldırın veya farklı bir sürücü seçin.", exportFailedInvalidPath: "Dışa aktarma başarısız: Geçersiz dosya yolu. Daha kısa bir yol deneyin veya klasör adındaki özel karakterleri kaldırın.", exportFailedGpuMemory: "Dışa aktarma başarısız: GPU belleği yetersiz. GPU kullanan diğer uygulamaları kapatın veya daha düşük kalite deneyin.", exportFailedGpuUnavailable: "Dışa aktarma başarısız: GPU kodlayıcı artık kullanılamıyor. Uygulamayı yeniden başlatın veya GPU sürücülerinizi kontrol edin.", exportFailedSourceLost: "Dışa aktarma başarısız: Dışa aktarma sırasında kaynak dosyalara erişilemez hale geldi. Kaynak sürücünün hâlâ bağlı olduğunu kontrol edin.", blurZoneFailed: "Gizlilik bulanıklık bölgeleri uygulanamadı. Dışa aktarılan videonuz bulanıklaştırılmamıştır. Lütfen uygulamayı yeniden yükleyin veya destekle iletişime geçin.", openFileLocation: "Dosya konumunu açmak ister misiniz?", layoutHint: "Yeniden konumlandırmak için sürükle • Kartlar kenarlara yapışır", privacy: "Gizlilik", blurZoneHint: "Plakaları veya hassas bilgileri gizle", timelapse: "Hızlandırılmış", enableTimelapse: "Hızlandırılmış Modu Etkinleştir", enableTimelapseDesc: "Yoğunlaştırılmış bir genel bakış için görüntüleri hızlandır", timelapseSpeed: "Hız", timelapseSpeedDesc: "Oynatma hızı çarpanı", timelapseOverlayNote: "Gösterge paneli, mini harita ve zaman damgası katmanları hızlandırılmış hıza eşitlenecektir. Ses kaldırılır.", timelapseDuration: "Süre → Hızlandırılmış Süre", shareLinkExpiry: "Bağlantı {hours} saat sonra sona erer", restoreBannerText: "{count} önceki gizlilik bölgesi bulundu", restoreBannerRestore: "Geri Yükle", restoreBannerDismiss: "Kapat", restoreBannerRestored: "Gizlilik bölgeleri geri yüklendi", telemetryData: "Telemetri Verileri", telemetryDataDesc: "Seçili aralık için kare bazında hız, vites, pedallar, direksiyon, sinyaller, Autopilot durumu, GPS ve ivme. Video yeniden kodlanmaz.", exportTelemetry: "Telemetriyi Dışa Aktar", telemetrySelectFormat: "En az bir telemetri formatı seçin", telemetryInProgress: "Zaten devam eden bir dışa aktarma var", telemetryNoGps: "Bu aralıkta GPS konumu yok — GPX/KML izleri boş olacak", telemetryExported: "{count} telemetri karesi {files} dosyaya aktarıldı", telemetryExportFailed: "Telemetri dışa aktarma başarısız: {error}", subtitles: "Telemetri Altyazıları", subtitleSidecar: "Ayrı dosya", subtitleEmbedded: "Gömülü", subtitleEmbeddedDesc: "MP4 içinde iz", subtitlesDesc: "Saat, hız, vites, Autopilot durumu ve GPS konumu saniyede bir, açılıp kapatılabilen bir altyazı izi olarak eklenir. Videoya hiçbir şey işlenmez.", shareClipInfoServer: "Klibiniz {host} adresinde <strong>{hours}</strong> boyunca erişilebilir olacak" },
+            settings: { searchPlaceholder: "Ayarları ara...", title: "Ayarlar", general: "Genel", shortcuts: "Kısayollar", advanced: "Gelişmiş", displaySection: "Görünüm", playbackOverlays: "Oynatma ve Katmanlar", storageSection: "Depolama", aboutUpdates: "Hakkında ve Güncellemeler", appVersion: "Uygulama Sürümü", systemSecurity: "Sistem ve Güvenlik", secFeature: "Özellik", secStatus: "Durum", secDescription: "Açıklama", footagePrivacy: "Video Gizliliği", localOnly: "Yalnızca Yerel", footagePrivacyDesc: "Dashcam klipleri asla yerel depolamanızdan çıkmaz.", updateReporting: "Güncelleme Raporu", statusActive: "Aktif", updateReportingDesc: "Başlatıldığında uygulama güvenlik ve sürüm kontrolleri için API'mize bağlanır.", deviceHash: "Cihaz Hash'i", hashedSha256: "Hashlenmiş (SHA-256)", deviceHashDesc: "API spam'ını önlemek için güvenli, tuzlanmış bir ID.", learnMore: "Daha Fazla Bilgi", hideDetails: "Detayları Gizle", architecture: "Mimari", dashboardStyle: "Gösterge Paneli Stili", language: "Dil", languageDesc: "Uygulama görüntüleme dili", layout: "Düzen", classicSidebar: "Klasik Kenar Çubuğu", classicSidebarDesc: "Videoyu örtmeyen sabitlenmiş kenar çubuğu", overlays: "Katmanlar", dashboard: "Gösterge Paneli", dashboardDesc: "Hız, vites ve telemetri verilerini göster", gpsMap: "GPS Haritası", gpsMapDesc: "Araç konumu ile rota haritasını göster", theme: "Tema", themeDark: "Koyu", themeLight: "Açık", mapStyle: "Harita Stili", mapStyleLight: "Açık", mapStyleDark: "Koyu", dashboardLayout: "Gösterge Paneli Düzeni", dashboardLayoutDesc: "Varsayılan veya kompakt stil", default: "Varsayılan", acceleratorDisplay: "Gaz Görüntüsü", acceleratorDisplayDesc: "Pedal görsellleştirme stili", solidColor: "Düz Renk (Açık/Kapalı)", iconBar: "Simge Çubuğu (Dolgu)", sideBar: "Kenar Çubuğu", fixedToFrontCamera: "Ön Kameraya Sabitlenmiş", fixedToFrontCameraDesc: "Kompakt gösterge panelini ön kamerada tut", mirrorCameras: "Kameraları Aynala", mirrorCamerasDesc: "Arka ve tekrarlayıcı kameraları aynala (aynalarda görüldüğü gibi)", glassBlur: "Cam Bulanıklığı", glassBlurDesc: "Katman bulanıklık yoğunluğu", metricUnits: "Metrik Birimler", metricUnitsDesc: "Saatte kilometre kullan (KM/H)", dateFormat: "Tarih Biçimi", dateFormatDesc: "Tarihler için görüntüleme biçimi", globalSetting: "Genel ayar", mdyFormat: "AA/GG/YYYY (ABD)", dmyFormat: "GG/AA/YYYY (Uluslararası)", ymdFormat: "YYYY-AA-GG (ISO)", timeFormat: "Saat Formatı", timeFormatDesc: "12 saat veya 24 saat", time12h: "12 saat (AM/PM)", time24h: "24 saat", defaultFolder: "Varsayılan Dashcam Klasörü", defaultFolderDesc: "Başlatmada bu klasörü otomatik yükle", noFolderSet: "Klasör ayarlanmadı", browse: "Gözat", clear: "Temizle", about: "Hakkında", version: "Sürüm", viewChangelog: "Değişiklik Günlüğünü Görüntüle", support: "Destek", supportDesc: "Sorun mu yaşıyorsunuz? Oynatma çubuğundaki Destek Sohbeti düğmesini kullanın.", openSupportChat: "Destek Sohbetini Aç", done: "Tamam", keyboardShortcuts: "Klavye Kısayolları", keyboardShortcutsDesc: "Bir alana tıklayın ve bir tuşa basın", playPause: "Oynat / Duraklat", skipForward: "İleri Atla", skipBackward: "Geri Atla", skipDuration: "Atlama Süresi", toggleDashboard: "Gösterge Panelini Aç/Kapat", toggleMap: "Haritayı Aç/Kapat", toggleMphKmh: "MPH / KMH Değiştir", toggleClipsPanel: "Klipler Panelini Aç/Kapat", setExportMarkerIn: "Dışa Aktarma Başlangıç İşaretçisi", setExportMarkerOut: "Dışa Aktarma Bitiş İşaretçisi", nextClip: "Sonraki Klip", prevClip: "Önceki Klip", second: "saniye", seconds: "saniye", updates: "Güncellemeler", disableAutoUpdate: "Otomatik Güncellemeyi Devre Dışı Bırak", disableAutoUpdateDesc: "Başlatmada güncellemeleri kontrol etme", updateBranch: "Güncelleme Dalı", updateBranchDesc: "Main kararlı için, Dev-SEI beta için", mainStable: "Main (Kararlı)", devSeiBeta: "Dev-SEI (Beta)", checkForUpdates: "Güncellemeleri Kontrol Et", checkForUpdatesDesc: "Yeni sürümleri manuel olarak kontrol et", checkNow: "Şimdi Kontrol Et", checking: "Kontrol Ediliyor...", upToDate: "Güncel", checkFailed: "Kontrol Başarısız", updateFound: "Güncelleme Bulundu!", eventHighlights: "Olay Vurguları", sentryCameraGlow: "Sentry Kamera Parlaması", sentryCameraGlowDesc: "Tetiklenen kamerada kırmızı parlama", savedCameraGlow: "Kaydedilen Kamera Parlaması", savedCameraGlowDesc: "Tetiklenen kamerada sarı parlama", cameraLayout: "Kamera Düzeni", resetCameraOrder: "Kamera Sırasını Sıfırla", resetCameraOrderDesc: "Varsayılan ızgara konumlarını geri yükle", reset: "Sıfırla", indexCache: "Kitaplık Dizin Önbelleği", indexCacheStatus: "{folders} klasör önbellekte · {size}", indexCacheEmpty: "Henüz önbelleğe alınmış klasör yok", clearIndexCache: "Önbelleği Temizle", indexCacheCleared: "Dizin önbelleği temizlendi. Klasörler bir sonraki açılışta yeniden taranacak.", indexCacheClearFailed: "Dizin önbelleği temizlenemedi: {error}", rebuildIndex: "Dizini Yeniden Oluştur", indexRebuilt: "Dizin sürücüden yeniden oluşturuldu.", indexRebuildFailed: "Dizin yeniden oluşturulamadı: {error}", indexRebuildNeedsFolder: "Dizinini yeniden oluşturmak için önce bir araç kamerası klasörü açın.", addBookmark: "Yer İmi Ekle", frameForward: "Sonraki kare", frameBackward: "Önceki kare", saveStill: "Kareyi kaydet", toggleTelemetryCharts: "Telemetri grafiklerini aç/kapat", nextMotion: "Sonraki hareket", prevMotion: "Önceki hareket", toggleMotionSkipIdle: "Hareketsiz atlamayı aç/kapat", toggleSmartPlayback: "Akıllı oynatmayı aç/kapat", nextMultiLayout: "Sonraki kamera düzeni", prevMultiLayout: "Önceki kamera düzeni", sharingSection: "Klip Paylaşımı", shareServer: "Paylaşım Sunucusu", shareServerSave: "Kaydet", shareServerReset: "Varsayılan", shareServerDesc: "Barındırılan Sentry Studio hizmetini kullanmak için boş bırakın veya paylaşılan klipleri kendi ağınızda tutmak için kendi sunucunuzun (depodaki share-server) adresini girin.", shareServerInvalid: "Paylaşım sunucusu kaydedilemedi", shareServerDefault: "Barındırılan Sentry Studio hizmeti kullanılıyor", shareServerSaved: "Klipler {url} üzerinden paylaşılacak" },
             cameras: { front: "Ön", back: "Arka", leftPillar: "Sol Direk", rightPillar: "Sağ Direk", leftRepeater: "Sol Tekrarlayıcı", rightRepeater: "Sağ Tekrarlayıcı" },
             dashboard: { drive: "Sürüş", manual: "Manuel", noData: "Veri Yok", mph: "MPH", kmh: "KM/H", selfDriving: "Otonom Sürüş", autosteer: "Otomatik Direksiyon", tacc: "TACC" },
             notifications: { loadCollectionFirst: "Dışa aktarma işaretleyicilerini ayarlamak için önce bir koleksiyon yükleyin", startMarkerSet: "Başlangıç işaretleyicisi ayarlandı", endMarkerSet: "Bitiş işaretleyicisi ayarlandı", exportComplete: "Dışa aktarma tamamlandı!", exportCancelled: "Dışa aktarma iptal edildi", exportFailed: "Dışa aktarma başarısız", foundDatesWithClips: "Klipli {count} tarih bulundu", loadedFilesForDate: "{date} için {count} dosya yüklendi", noDataForDate: "{date} için veri yok", noClipsFoundForDate: "{date} için klip bulunamadı", noDashcamClipsFound: "Video klibi bulunamadı. Video dosyaları (.mp4, .avi, .mov, .mkv) içeren bir klasör veya RecentClips, SentryClips, SavedClips içeren bir Tesla dashcam klasörü seçin.", metadataParserNotReady: "Metadata ayrıştırıcı henüz başlatılmadı—bir saniye sonra tekrar deneyin.", noSupportedFilesFound: "Bu klasörde desteklenen dosya bulunamadı.", failedToLoadVideo: "Video yüklenemedi: {error}", errorSelectingDay: "Gün seçme hatası: {error}", failedToOpenFolder: "Klasör açılamadı: {error}", failedToInitMetadataParser: "Metadata ayrıştırıcı başlatılamadı. Protobuf'un yüklendiğinden ve file:// üzerinden çalıştırmadığınızdan emin olun", capturingSnapshot: "Ekran görüntüsü alınıyor...", couldNotFindVideoFile: "{camera} kamerası için video dosyası bulunamadı", unsupportedFileType: "Ekran görüntüsü için desteklenmeyen dosya türü", failedToCaptureSnapshot: "Ekran görüntüsü alınamadı: {error}", blurZoneMinPoints: "Lütfen en az 3 noktalı geçerli bir bulanıklık bölgesi oluşturun", failedToGenerateMask: "Maske görüntüsü oluşturulamadı", failedToExtractMaskData: "Maske görüntüsü verileri çıkarılamadı", failedToGetCanvasDimensions: "Tuval boyutları alınamadı", blurZoneSaved: "Bulanıklık bölgesi başarıyla kaydedildi", failedToSaveBlurZone: "Bulanıklık bölgesi kaydedilemedi: {error}", exportNotAvailable: "Dışa aktarma kullanılamıyor", exportRequiresFolder: "Dışa aktarma, klasör seçici aracılığıyla bir klasör seçmeyi gerektirir. Lütfen dashcam klasörünüzü yeniden seçin.", selectAtLeastOneCamera: "Lütfen en az bir kamera seçin", extractingTelemetry: "Telemetri verileri çıkarılıyor...", noTelemetryData: "Gösterge paneli katmanı için telemetri verisi yok. Gösterge paneli devre dışı bırakılacak.", failedToExtractTelemetry: "Telemetri verileri çıkarılamadı. Gösterge paneli devre dışı bırakılacak.", noVideoFilesForExport: "Dışa aktarma için video dosyası bulunamadı. Klasörün doğru seçildiğinden emin olun.", exportFailedWithError: "Dışa aktarma başarısız: {error}", onlyOneAttachment: "Mesaj başına yalnızca 1 ek izin veriliyor", fileTooLarge: "\"{filename}\" dosyası çok büyük (maks. 100MB)", enterMessageOrAttach: "Lütfen bir mesaj girin veya dosya ekleyin", supportTicketClosed: "Destek bileti kapatıldı", newSupportMessages: "{count} yeni destek mesajı alındı", cameraOrderReset: "Kamera sırası varsayılana sıfırlandı", collectingDiagnostics: "Tanılama verileri toplanıyor...", uploadingDiagnostics: "Tanılama yükleniyor...", supportIdCopied: "Destek ID: {supportId} - Panoya kopyalandı!", failedToUploadDiagnostics: "Tanılama yüklenemedi: {error}", uploadFailed: "Yükleme başarısız: {error}", supportIdCopiedSimple: "Destek ID panoya kopyalandı!", failedToCopy: "Kopyalanamadı: {error}", failedToGenerateSupportId: "Destek ID oluşturulamadı: {error}" },
             supportChat: { title: "Destek Sohbeti", needHelp: "Yardıma mı İhtiyacınız Var?", welcomeDesc: "Bizimle bir destek görüşmesi başlatın. Sorununuzu, hatanızı veya geri bildiriminizi açıklayın, en kısa sürede yanıt vereceğiz.", welcomeNote: "Sorununuzu daha iyi anlamamıza yardımcı olmak için ekran görüntüleri/videolar ve tanılama verileri ekleyebilirsiniz.", diagnostics: "Tanılama", attach: "Ekle", placeholder: "Sorununuzu veya geri bildiriminizi açıklayın...", privacyNote: "Veriler 7 gün sonra otomatik olarak silinir", ticketClosed: "Bu bilet kapatıldı.", createNewTicket: "Yeni Destek Bileti Oluştur", closeTicket: "Bileti Kapat", minimize: "Küçült", closePanel: "Paneli Kapat", sendMessage: "Mesaj gönder", includeDiagnostics: "Tanılama verilerini dahil et", attachFiles: "Dosya ekle", you: "Sen", support: "Destek" },
-            sharedClips: { title: "Paylaşılan Kliplerim", emptyTitle: "Henüz paylaşılan klip yok", emptyDesc: "Paylaşım etkinleştirilmiş bir klip dışa aktararak burada görün", clickHint: "Ayrıntıları görüntülemek için bir klip seçin", copyLink: "Bağlantıyı Kopyala", open: "Aç", delete: "Sil", deleteTitle: "Paylaşılan Klibi Sil", deleteConfirm: "Silmek istediğinizden emin misiniz", deleteWarning: "Bu, klibi Sentry Studio sunucularından kalıcı olarak kaldıracaktır. Bağlantıya sahip olan kişiler artık görüntüleyemez veya indiremez.", cancel: "İptal", deleteClip: "Klibi Sil" }
+            sharedClips: { title: "Paylaşılan Kliplerim", emptyTitle: "Henüz paylaşılan klip yok", emptyDesc: "Paylaşım etkinleştirilmiş bir klip dışa aktararak burada görün", clickHint: "Ayrıntıları görüntülemek için bir klip seçin", copyLink: "Bağlantıyı Kopyala", open: "Aç", delete: "Sil", deleteTitle: "Paylaşılan Klibi Sil", deleteConfirm: "Silmek istediğinizden emin misiniz", deleteWarning: "Bu, klibi Sentry Studio sunucularından kalıcı olarak kaldıracaktır. Bağlantıya sahip olan kişiler artık görüntüleyemez veya indiremez.", cancel: "İptal", deleteClip: "Klibi Sil", resumeUpload: "Yüklemeyi Sürdür" },
+            exportQueue: { title: "Dışa Aktarma Kuyruğu", addToQueue: "Kuyruğa Ekle", jobAdded: "Dışa aktarma kuyruğuna eklendi: {name}", jobDone: "Kuyruktaki dışa aktarma tamamlandı: {name}", jobFailed: "Kuyruktaki dışa aktarma başarısız: {name} ({error})", actionFailed: "Dışa aktarma kuyruğu hatası: {error}", emptyTitle: "Kuyrukta dışa aktarma yok", emptyDesc: "Birden fazla dışa aktarmayı sıraya koymak için dışa aktarma penceresinde \"Kuyruğa Ekle\"yi kullanın", pausedNote: "Kuyruk duraklatıldı. Geçerli dışa aktarma tamamlanır, ancak devam ettirene kadar yeni iş başlamaz.", clearFinished: "Bitenleri Temizle", pauseQueue: "Kuyruğu Duraklat", resumeQueue: "Kuyruğu Sürdür", moveUp: "Yukarı taşı", moveDown: "Aşağı taşı", pause: "Duraklat", resume: "Sürdür", retry: "Yeniden dene", remove: "Kaldır", showInFolder: "Klasörde göster", statusPending: "Bekliyor", statusRunning: "Dışa aktarılıyor", statusPaused: "Duraklatıldı", statusFailed: "Başarısız", statusDone: "Tamamlandı" },
+            incidents: { tab: "Olaylar", scan: "Tara", rescan: "Yeniden tara", selectClip: "Olayları aramak için bir klip açın", notScanned: "Henüz taranmadı", scanning: "Telemetri taranıyor ({done}/{total})", found: "{count} olay bulundu", scanFailed: "Olay taraması başarısız: {error}", hardBrake: "Sert fren", hardAccel: "Sert hızlanma", sharpTurn: "Keskin viraj", impact: "Olası çarpma", settingsTitle: "Olay Algılama", resetThresholds: "Eşikleri Sıfırla" },
+            highlightReel: { title: "Öne çıkanlar videosu", enable: "Öne çıkanlar videosu oluştur", enableDesc: "Önemli anların etrafındaki kısa klipleri tek videoda birleştirir", sourceEvents: "Nöbetçi ve kaydedilen olaylar", sourceEventsDesc: "Olayın tetiklendiği an", sourceDisengagements: "FSD devreden çıkmaları", sourceDisengagementsDesc: "SentryUSB sürüş verilerinden", sourceAccelPushes: "Gaz pedalı basışları", sourceAccelPushesDesc: "FSD etkinken pedala basma", sourceBraking: "Sert frenler", sourceBrakingDesc: "Telemetriden algılanır", paddingBefore: "Her andan önce", paddingBeforeDesc: "Tetikten önce tutulan görüntü", paddingAfter: "Her andan sonra", paddingAfterDesc: "Tetikten sonra tutulan görüntü", note: "Başlangıç/bitiş işaretçileri yerine yüklenen klibin tamamını kullanır. Her an için tarih, saat ve konum içeren bir başlık kartı eklenir.", sentryEvent: "Nöbetçi olayı", savedEvent: "Kaydedilen klip", disengagement: "FSD devreden çıkması", accelPush: "Gaz pedalı basışı", scanningTelemetry: "Telemetride sert frenler aranıyor…", nothingFound: "Seçilen kaynaklarda öne çıkan an bulunamadı", tooManyClips: "{count} öne çıkan an bulundu; yalnızca ilk {max} tanesi eklenecek", renderingClip: "Öne çıkan an {current}/{total} işleniyor…", stitching: "Öne çıkan anlar ve başlık kartları birleştiriliyor…" },
+            libraryMap: { open: "Kitaplık Haritası", title: "Kitaplık Haritası", from: "Başlangıç", to: "Bitiş", reason: "Neden", allReasons: "Tüm nedenler", drives: "Sürüşler", fit: "Sonuçlara Sığdır", loading: "Olay konumları okunuyor… {done}/{total}", summary: "{events} olay · {drives} sürüş", noLocations: "Bu filtrelerle eşleşen konumlu öğe yok", openClip: "Klibi Aç", openDrive: "Sürüşü Aç", noLibrary: "Önce bir araç kamerası klasörü açın veya SentryUSB sürüş verilerini yükleyin", mapUnavailable: "Harita kitaplığı yüklenemedi. İnternet bağlantınızı kontrol edin." },
+            search: { tab: "Ara", placeholder: "örn. reason:honk date:-30d", run: "Ara", help: "Sorgu söz dizimi", helpEvents: "Olaylar:", helpTime: "Zaman:", helpDrives: "Sürüşler:", helpTelemetry: "Telemetri:", helpLogic: "Birleştir:", readingEvents: "Olaylar okunuyor… {done}/{total}", noLibrary: "Aramak için bir araç kamerası klasörü açın", searching: "Aranıyor…", indexingDate: "{date} dizinleniyor…", scanningTelemetry: "Telemetri okunuyor… {done}/{total} klip", found: "{count} sonuç", tooManyResults: "İlk {count} sonuç gösteriliyor — daha fazlası için sorguyu daraltın", scanLimited: "Telemetri yalnızca en son eşleşen {count} klip için okundu; daha geriye aramak için date: ekleyin.", failed: "Arama başarısız: {error}", drive: "Sürüş", sentryEvent: "Nöbetçi olayı", savedEvent: "Kaydedilen klip", recentClips: "Son klipler", customClips: "Klipler", errorEmptyGroup: "Bir arama terimi bekleniyordu", errorParen: "Parantezler dengeli değil", errorUnexpected: "Beklenmeyen \"{token}\"", errorMissingValue: "{field} sonrasında değer eksik", errorInvalidValue: "\"{value}\", {field} için geçerli bir değer değil", errorComparator: "\"{cmp}\", {field} ile kullanılamaz; : veya != kullanın" },
+            bookmarks: { tab: "Yer İmleri", filter: "Yer imlerini filtrele…", add: "Bu ana yer imi ekle", addTitle: "Yer İmi Ekle", editTitle: "Yer İmini Düzenle", titleLabel: "Başlık", titlePlaceholder: "Burada ne oldu?", noteLabel: "Notlar", colorLabel: "Renk", delete: "Sil", cancel: "İptal", save: "Kaydet", edit: "Düzenle", untitled: "Başlıksız yer imi", noFolder: "Yer imi eklemek için bir araç kamerası klasörü açın", empty: "Henüz yer imi yok. Bir anı işaretlemek için zaman çizelgesinin yanındaki yer imi düğmesini kullanın.", count: "{count} yer imi", filtered: "{total} yer iminden {count}", saveFailed: "Yer imleri kaydedilemedi: {error}", savedLocally: "Bu klasör salt okunur olduğundan yer imleri yalnızca bu bilgisayara kaydedilir" },
+            stills: { frameBack: "Önceki kare", frameForward: "Sonraki kare", saveStill: "Kareyi kaydet", title: "Kareyi kaydet", sourceLabel: "Kamera", wholeGrid: "Tüm kameralar (ızgara)", captionLabel: "Telemetri altyazısı ekle (saat, hız, vites, GPS)", hint: "Kameraların yerel çözünürlüğünde PNG olarak kaydedilir.", cancel: "İptal", save: "PNG kaydet", saveTitle: "Kareyi kaydet", autopilot: "Autopilot", noVideo: "Kare kaydetmek için bir klip açın", noFrame: "Video karesi henüz hazır değil", saved: "Kare kaydedildi: {file}", saveFailed: "Kare kaydedilemedi: {error}" },
+            evidence: { title: "Kanıt paketi", enable: "Kanıt paketi oluştur", enableDesc: "Orijinal klipleri, olay verilerini ve telemetriyi videoyla birlikte zip'le", note: "İşaretli aralık için her kameranın dokunulmamış klibini, zaman damgaları ve dışa aktarma ayarlarını içeren bir raporu ve hiçbir şeyin değiştirilmediğini herkesin doğrulayabileceği bir SHA-256 manifestini içerir.", verify: "Paketi doğrula...", verifying: "Dosyalar SHA256SUMS ile karşılaştırılıyor...", verifyOk: "{name}: {count} dosyanın tümü manifestle eşleşiyor", verifyFailed: "{name}: doğrulama BAŞARISIZ - paket değiştirilmiş", verifyError: "Paket doğrulanamadı: {error}", statusModified: "değiştirilmiş", statusMissing: "eksik", statusUnlisted: "manifestte yok", noSourceFiles: "Bu aralık için diskte kaynak klip yok", notWithReel: "Kanıt paketleri tek bir kesintisiz aralığı kapsar - önce Öne Çıkanlar'ı kapatın", rendering: "Kanıt paketi için video işleniyor...", telemetry: "Telemetri çözülüyor...", hashing: "Dosyaların özeti alınıyor ({current}/{total})...", zipping: "Zip yazılıyor...", complete: "Kanıt paketi kaydedildi ({files} dosya, {size} MB)" },
+            incidentReport: { title: "Olay raporu", generate: "Olay raporu oluştur", saveTitle: "Olay raporunu kaydet", generating: "Olay raporu hazırlanıyor…", saved: "Olay raporu kaydedildi: {file}", failed: "Olay raporu oluşturulamadı: {error}", notAvailable: "Olay raporları event.json içeren Sentry ve kaydedilmiş olaylar için kullanılabilir", eventDetails: "Olay ayrıntıları", eventType: "Olay türü", reason: "Neden", triggerTime: "Tetiklenme zamanı", triggerCamera: "Tetikleyen kamera", location: "Konum", coordinates: "Koordinatlar", sourceFolder: "Kaynak klasör", recording: "Kayıt", clipCount: "{count} klip", keyFrames: "Anahtar kareler", trigger: "Tetiklenme", noFrames: "Tetiklenme çevresinde video karesi okunamadı", map: "Konum haritası", mapOffline: "Harita karoları indirilemedi; rota ve konum arka plansız çizildi.", noGps: "Bu olay için GPS konumu kaydedilmedi", telemetry: "Araç telemetrisi (tetiklenme çevresinde {seconds} sn)", noTelemetry: "Tetiklenme çevresinde telemetri kaydedilmedi (park halindeyken olağan)", atTrigger: "Tetiklenme anında", speed: "Hız", accelerator: "Gaz pedalı", brake: "Fren", steering: "Direksiyon açısı", gear: "Vites", autopilot: "Sürüş desteği", applied: "Basılı", released: "Serbest", footer: "{date} tarihinde Sentry Studio tarafından orijinal TeslaCam kayıtlarından oluşturuldu. Saatler aracın kaydettiği şekildedir." },
+            telemetryCharts: { title: "Telemetri Grafikleri", toggle: "Telemetri grafikleri", speed: "Hız", accelerator: "Gaz pedalı", brake: "Fren", steering: "Direksiyon", lateralG: "Yanal G", longitudinalG: "Boylamsal G", autopilot: "Autopilot", on: "Açık", off: "Kapalı", dock: "Kontrollerin üstüne sabitle", undock: "Yüzen panel", resetZoom: "Tüm zaman çizelgesini göster", close: "Kapat", noCollection: "Telemetrisini çizmek için bir klip seçin", loading: "Telemetri okunuyor… {done}/{total}", noData: "Bu kliplerde telemetri yok", scanFailed: "Telemetri okunamadı: {error}" },
+            timelineStrip: { setting: "Zaman çizelgesi şeridi", settingDesc: "İlerleme çubuğunun altındaki renk", speed: "Hız", autopilot: "Autopilot", off: "Kapalı", gapMinutes: "{count} dk kaydedilmedi", gapSeconds: "{count} sn kaydedilmedi" },
+            motion: { setting: "Hareket analizi", settingDesc: "Sentry ve kaydedilen olaylarda her kamerada hareket ara", skipIdleOff: "Hareketsiz bölümleri atla", skipIdleOn: "Hareketsiz bölümler atlanıyor (kapatmak için tıklayın)", skipIdleEnabled: "Hareketsiz bölümler atlanacak", skipIdleDisabled: "Tümü oynatılıyor", analyzing: "Hareket analiz ediliyor… %{percent}", analysisFailed: "Hareket analizi başarısız: {error}", noNext: "Bu noktadan sonra hareket yok", noPrevious: "Bu noktadan önce hareket yok", skipped: "Hareketsiz {seconds} sn atlandı" },
+            smartPlayback: { toggle: "Akıllı oynatma: park bölümlerini atla, fren/sinyal çevresinde 1x", on: "Akıllı oynatma açık (kapatmak için tıklayın)", enabled: "Akıllı oynatma açık", disabled: "Akıllı oynatma kapalı", saved: "{time} park süresi atlandı veya hızlı geçildi", settingsTitle: "Akıllı oynatma", parkedAction: "Park bölümleri", parkedActionDesc: "Vites P ve hareketsiz", skip: "Atla", fastForward: "Hızlı ileri", minParked: "En kısa park bölümü", fastRate: "Hızlı ileri hızı", slowPad: "Fren/sinyal çevresinde 1x", off: "Kapalı", reset: "Akıllı oynatmayı sıfırla" },
+            multiLayouts: { title: "Kamera düzeni", sixDefault: "Varsayılan (3×2)", quad: "2×2 (dört kamera)", frontFocus: "Büyük ön + 5", frontBack: "Ön / Arka", pip: "Resim içinde resim", builtIn: "Yerleşik", custom: "Özel", manage: "Yönet", newLayout: "Yeni düzen…", editLayout: "Düzeni düzenle…", defaultName: "Düzenim {n}", switched: "Düzen: {name}", saved: "\"{name}\" düzeni kaydedildi", noCameras: "Düzene en az bir kamera ekleyin", nameLabel: "Ad", camerasLabel: "Kameralar", editorHint: "Taşımak için sürükleyin • Boyutlandırmak için köşeyi sürükleyin • Kartlar kenarlara yapışır", delete: "Sil", cancel: "İptal", save: "Kaydet" },
+            exportPresets: { label: "Ön ayar", none: "Ön ayar yok", empty: "Kayıtlı ön ayar yok", save: "Ön ayar olarak kaydet", rename: "Ön ayarı yeniden adlandır", delete: "Ön ayarı sil", import: "Ön ayarları içe aktar", export: "Ön ayarları dosyaya aktar", exportTitle: "Dışa aktarma ön ayarlarını kaydet", fileType: "Dışa aktarma ön ayarları", namePlaceholder: "Ön ayar adı", confirm: "Kaydet", cancel: "İptal", saved: "\"{name}\" ön ayarı kaydedildi", renamed: "Ön ayar \"{name}\" olarak yeniden adlandırıldı", deleted: "\"{name}\" ön ayarı silindi", applied: "\"{name}\" ön ayarı uygulandı", nameTaken: "\"{name}\" adında bir ön ayar zaten var", imported: "{count} ön ayar içe aktarıldı", exported: "{count} ön ayar dışa aktarıldı", importFailed: "Ön ayarlar içe aktarılamadı: {error}", exportFailed: "Ön ayarlar dışa aktarılamadı: {error}", camerasUnavailable: "Bu klipte yok: {cameras}" },
+            exportMetadata: { title: "Dosya Meta Verileri", gpsTrack: "Başlangıç Konumunu Göm", gpsTrackDesc: "Dışa aktarmanın başladığı yer, fotoğraf ve harita uygulamaları için", chapters: "Bölüm Ekle", chaptersDesc: "Her klip, olay tetikleyicisi ve FSD devreden çıkışında işaret", clipChapter: "Klip {time}", clipChapterUntimed: "Klip" },
+            webGallery: { open: "Web Galerisi", title: "Web Galerisi", description: "Seçilen olayları, Sentry Studio veya internet bağlantısı olmadan herhangi bir tarayıcıda açılan bir klasör olarak dışa aktarır. USB belleğe veya paylaşılan klasöre kopyalayın.", selectAll: "Tümünü Seç", selectNone: "Seçimi Kaldır", galleryTitle: "Başlık", defaultTitle: "Sentry Studio Galerisi", cameras: "Kameralar", trim: "Yalnızca olay anının çevresini dışa aktar", before: "Önceki saniye", after: "Sonraki saniye", cancel: "İptal", export: "Galeriyi Dışa Aktar", noLibrary: "Önce Sentry veya kayıtlı olaylar içeren bir araç kamerası klasörü açın", noEvents: "Bu klasörde Sentry veya kayıtlı olay yok", loading: "Olaylar okunuyor… {done}/{total}", noMatches: "Bu filtrelere uyan olay yok", selectedCount: "{total} olaydan {count} tanesi seçildi", noSelection: "En az bir olay seçin", queued: "{count} olaylı web galerisi dışa aktarma kuyruğuna eklendi: {name}", rendering: "Olay {current}/{total}: {camera} işleniyor", writingPage: "Galeri sayfası yazılıyor...", complete: "Galeri dışa aktarıldı ({events} olay, {size})", skipped: "{count} olay dışa aktarılamadı: {events}", pageEvents: "{count} olay", pageCreated: "Oluşturulma: {date}", pageAllEvents: "Tüm olaylar", pagePrevious: "Önceki olay", pageNext: "Sonraki olay", pagePlay: "Oynat / duraklat", pageJumpToEvent: "Olaya git", pageType: "Tür", pageDate: "Tarih", pageLocation: "Konum", pageCoordinates: "Koordinatlar", pageCamera: "Tetikleyen kamera", pageDuration: "Süre", pageDistance: "Mesafe", pageRoute: "Güzergah", pageOpenMap: "OpenStreetMap'te aç", pageEventJson: "event.json dosyasını indir", pageNoRoute: "Bu kliplerde GPS verisi yok" },
+            clipHealth: { open: "Klip Durumu", title: "Klip Durumu", description: "Boş, okunamayan veya araç gücü kesildiği için yarıda kalan klipleri ve bir kamerası eksik klipleri bulur. Onarılan klipler orijinalin yanına .repaired.mp4 olarak kaydedilir ve onun yerine oynatılır; orijinal asla değiştirilmez.", scan: "Yeniden Tara", repairAll: "Tümünü Onar", close: "Kapat", needsFolder: "Önce klasör düğmesiyle bir araç kamerası klasörü seçin (sürüklenen klasörler taranamaz)", reading: "Klasör okunuyor…", scanning: "Klipler kontrol ediliyor… {done}/{total}", summary: "{files} dosya kontrol edildi: {groups} klip grubunda {problems} sorun", allGood: "{files} dosya kontrol edildi, sorun bulunamadı", scanFailed: "Tarama başarısız: {error}", statusEmpty: "Boş", statusUnreadable: "Okunamıyor", statusTruncated: "Yarım kalmış", missingCameras: "Eksik kameralar", repair: "Onar", repaired: "Onarıldı", repairing: "Onarılıyor {current}/{total}…", repairFailed: "Onarım başarısız: {error}", repairDone: "{repaired} klip onarıldı, {failed} başarısız", showInFolder: "Klasörde göster" },
+            storage: { open: "Depolama", title: "Depolama", description: "Bu klasörde neyin yer kapladığını görün ve alanı güne, olaya veya saklama kuralına göre boşaltın. Önizleme olmadan hiçbir şey kaldırılmaz ve her şey sistem çöp kutusuna taşınır, böylece geri yüklenebilir.", needsFolder: "Depolamasını görmek için önce bir araç kamerası klasörü açın.", reading: "Klasör okunuyor…", measuring: "{total} klipten {done} tanesi ölçülüyor…", scanFailed: "Klasör ölçülemedi: {error}", total: "{count} gün ve olayda {size}", byType: "Türe göre", byCamera: "Kameraya göre", byDay: "Güne göre", other: "Diğer", tabUsage: "Kullanım", tabClips: "Klipler", tabRules: "Saklama Kuralları", selectAll: "Tümünü Seç", selectNone: "Seçimi Kaldır", cameraCount: "{count} kamera", selectedCount: "{count} seçildi · {size}", trashSelected: "Seçilenleri Çöpe Taşı", rulesDescription: "Kurallar yalnızca önizleyip onayladığınızda çalışır. Olaylar bütün olarak tutulur veya kaldırılır; son kliplerden yalnızca yer imi olan dakikalar kalır.", ruleDelete: "Sil", ruleKeepCameras: "Yalnızca kameraları tut", ruleOlderThan: "şundan eski (gün)", ruleExceptBookmarked: "yer imi yoksa", ruleRemove: "Kuralı kaldır", noRules: "Henüz saklama kuralı yok.", addRule: "Kural Ekle", previewRules: "Önizle", planSummary: "{count} gün ve olaydan {files} dosya ({size}) çöp kutusuna taşınacak.", planEmpty: "Eşleşen yok; hiçbir dosya kaldırılmayacak.", planWhole: "Tümü", planCameras: "Kameralar: {cameras}", back: "Geri", confirmTrash: "Çöpe Taşı", trashing: "{total} öğeden {done} tanesi çöpe taşınıyor…", trashDone: "{count} öğe ({size}) çöpe taşındı.", trashPartial: "{trashed} öğe çöpe taşındı; {failed} öğe taşınamadı ({error}).", trashFailed: "Çöpe taşınamadı: {error}", close: "Kapat" }
         },
         welcome: {
             modalTitle: "Sentry Studio'e Hoş Geldiniz",
@@ -0,0 +1,445 @@
+/**
+ * Bookmarks & Notes
+ * User bookmarks at moments in any clip: titles, notes and colors, drawn on the playback timeline,
+ * listed in the clip browser's Bookmarks tab and saved per folder in a sidecar file (src/main/bookmarks.js)
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { escapeHtml } from '../lib/utils.js';
+import { parseTimestampKeyToEpochMs } from '../core/clipBrowser.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let seekNativeDayCollectionBySec = null;
+let openCollectionAt = null;
+
+export const BOOKMARK_COLORS = ['#3e9cbf', '#4caf50', '#ffc107', '#ff9800', '#f44336', '#9c27b0'];
+
+// Browser builds (no file paths) keep bookmarks in localStorage per folder name
+const LOCAL_STORAGE_PREFIX = 'bookmarks:';
+
+const store = {
+    rootPath: null,
+    rootName: null,
+    bookmarks: [],
+    location: null,      // 'folder' | 'local' | 'browser' once saved or loaded
+    warnedLocal: false,
+    filter: ''
+};
+
+// Bookmark being edited in the modal (null = closed)
+let editing = null;
+
+/**
+ * Initialize bookmarks module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initBookmarks(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    seekNativeDayCollectionBySec = deps.seekNativeDayCollectionBySec;
+    openCollectionAt = deps.openCollectionAt;
+
+    const addBtn = $('addBookmarkBtn');
+    if (addBtn) addBtn.onclick = (e) => { e.preventDefault(); addBtn.blur(); addBookmarkAtCurrentPosition(); };
+    const panelAddBtn = $('bookmarkPanelAddBtn');
+    if (panelAddBtn) panelAddBtn.onclick = (e) => { e.preventDefault(); panelAddBtn.blur(); addBookmarkAtCurrentPosition(); };
+
+    const filterInput = $('bookmarkFilter');
+    if (filterInput) {
+        filterInput.addEventListener('input', () => {
+            store.filter = filterInput.value.trim().toLowerCase();
+            renderBookmarkList();
+        });
+    }
+
+    const listEl = $('bookmarkList');
+    if (listEl) {
+        listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.bookmark-item');
+            if (!item) return;
+            const bookmark = store.bookmarks.find(b => b.id === item.dataset.id);
+            if (!bookmark) return;
+            if (e.target.closest('.bookmark-item-edit')) openBookmarkEditor(bookmark);
+            else openBookmark(bookmark);
+        });
+    }
+
+    initBookmarkEditor();
+    renderBookmarkList();
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the bookmarks for a newly opened folder
+ * @param {Object} root
+ * @param {string|null} root.rootPath - Folder path (Electron)
+ * @param {string|null} root.rootName - Folder name (browser fallback key)
+ */
+export async function loadFolderBookmarks({ rootPath = null, rootName = null } = {}) {
+    Object.assign(store, { rootPath, rootName, bookmarks: [], location: null, warnedLocal: false });
+    closeBookmarkEditor();
+
+    if (rootPath && window.electronAPI?.loadBookmarks) {
+        const result = await window.electronAPI.loadBookmarks(rootPath);
+        if (store.rootPath !== rootPath) return; // another folder was opened meanwhile
+        if (result?.success) {
+            store.bookmarks = result.bookmarks || [];
+            store.location = result.location;
+        } else {
+            console.warn('[BOOKMARKS] Failed to load:', result?.error);
+        }
+    } else if (rootName) {
+        try {
+            store.bookmarks = JSON.parse(localStorage.getItem(LOCAL_STORAGE_PREFIX + rootName) || '[]');
+            store.location = 'browser';
+        } catch {
+            store.bookmarks = [];
+        }
+    }
+
+    console.log(`[BOOKMARKS] Loaded ${store.bookmarks.length} bookmark(s)`);
+    updateBookmarkMarkers();
+    renderBookmarkList();
+}
+
+async function saveBookmarks() {
+    if (store.rootPath && window.electronAPI?.saveBookmarks) {
+        const result = await window.electronAPI.saveBookmarks(store.rootPath, store.bookmarks);
+        if (!result?.success) {
+            notify(t('ui.bookmarks.saveFailed', { error: result?.error || '' }), { type: 'error' });
+            return;
+        }
+        store.location = result.location;
+        if (result.location === 'local' && !store.warnedLocal) {
+            store.warnedLocal = true;
+            notify(t('ui.bookmarks.savedLocally'), { type: 'warn' });
+        }
+    } else if (store.rootName) {
+        localStorage.setItem(LOCAL_STORAGE_PREFIX + store.rootName, JSON.stringify(store.bookmarks));
+        store.location = 'browser';
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Positions
+// ---------------------------------------------------------------------------
+
+function sameSource(group, bookmark) {
+    if ((group.tag || '').toLowerCase() !== bookmark.tag.toLowerCase()) return false;
+    return !bookmark.eventId || group.eventId === bookmark.eventId;
+}
+
+/**
+ * Position of a bookmark in the active collection, in seconds, or null if it isn't in it
+ * @param {Object} bookmark
+ * @returns {number|null}
+ */
+function getBookmarkTimeSec(bookmark) {
+    const groups = getState?.()?.collection?.active?.groups || [];
+    const segIdx = groups.findIndex(g => g.timestampKey === bookmark.clip && sameSource(g, bookmark));
+    if (segIdx < 0) return null;
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    return (cumStarts[segIdx] ?? segIdx * 60) + bookmark.offsetSec;
+}
+
+/**
+ * Collection key of the day or event collection that holds a bookmark
+ */
+function getBookmarkCollectionKey(bookmark) {
+    const date = bookmark.clip.split('_')[0];
+    switch (bookmark.tag.toLowerCase()) {
+        case 'sentryclips': return `sentry:${date}:${bookmark.eventId}`;
+        case 'savedclips': return `saved:${date}:${bookmark.eventId}`;
+        case 'recentclips': return `recent:${date}`;
+        default: return `custom:${date}`;
+    }
+}
+
+/**
+ * Snapshot of the playback position as a new (unsaved) bookmark
+ * @returns {Object|null}
+ */
+function captureCurrentPosition() {
+    const coll = getState?.()?.collection?.active;
+    const nativeVideo = getNativeVideo?.();
+    const segIdx = nativeVideo?.currentSegmentIdx ?? -1;
+    const group = coll?.groups?.[segIdx];
+    if (!group?.timestampKey) return null;
+
+    const offsetSec = Math.max(0, nativeVideo.master?.currentTime || 0);
+    const clipEpochMs = parseTimestampKeyToEpochMs(group.timestampKey);
+    const now = new Date().toISOString();
+    return {
+        id: `bm-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        title: '',
+        note: '',
+        color: BOOKMARK_COLORS[0],
+        clip: group.timestampKey,
+        tag: group.tag || '',
+        eventId: group.eventId || null,
+        offsetSec: Math.round(offsetSec * 10) / 10,
+        epochMs: clipEpochMs != null ? clipEpochMs + Math.round(offsetSec * 1000) : null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Bookmark the current playback position (opens the editor for title/note/color)
+ */
+export function addBookmarkAtCurrentPosition() {
+    if (!store.rootPath && !store.rootName) {
+        notify(t('ui.bookmarks.noFolder'), { type: 'warn' });
+        return;
+    }
+    const bookmark = captureCurrentPosition();
+    if (!bookmark) {
+        notify(t('ui.notifications.loadCollectionFirst'), { type: 'warn' });
+        return;
+    }
+    openBookmarkEditor(bookmark, true);
+}
+
+/**
+ * Seek to a bookmark, opening its clip first when it isn't in the active collection
+ * @param {Object} bookmark
+ */
+export async function openBookmark(bookmark) {
+    const timeSec = getBookmarkTimeSec(bookmark);
+    if (timeSec != null) {
+        seekNativeDayCollectionBySec?.(timeSec);
+        return;
+    }
+    await openCollectionAt?.({
+        date: bookmark.clip.split('_')[0],
+        collectionKey: getBookmarkCollectionKey(bookmark),
+        clip: bookmark.clip,
+        localSec: bookmark.offsetSec
+    });
+}
+
+/**
+ * All bookmarks for the open folder (newest moment first)
+ * @returns {Array<Object>}
+ */
+export function getBookmarks() {
+    return sortBookmarks(store.bookmarks);
+}
+
+function sortBookmarks(bookmarks) {
+    return [...bookmarks].sort((a, b) => (b.epochMs ?? 0) - (a.epochMs ?? 0));
+}
+
+async function upsertBookmark(bookmark) {
+    const index = store.bookmarks.findIndex(b => b.id === bookmark.id);
+    if (index >= 0) store.bookmarks[index] = bookmark;
+    else store.bookmarks.push(bookmark);
+    updateBookmarkMarkers();
+    renderBookmarkList();
+    await saveBookmarks();
+}
+
+async function deleteBookmark(id) {
+    store.bookmarks = store.bookmarks.filter(b => b.id !== id);
+    updateBookmarkMarkers();
+    renderBookmarkList();
+    await saveBookmarks();
+}
+
+// ---------------------------------------------------------------------------
+// Editor modal
+// ---------------------------------------------------------------------------
+
+function initBookmarkEditor() {
+    const modal = $('bookmarkModal');
+    const swatches = $('bookmarkColorSwatches');
+    if (swatches) {
+        swatches.innerHTML = BOOKMARK_COLORS.map(color =>
+            `<button type="button" class="bookmark-swatch" data-color="${color}" style="background:${color}"></button>`
+        ).join('');
+        swatches.addEventListener('click', (e) => {
+            const swatch = e.target.closest('.bookmark-swatch');
+            if (!swatch || !editing) return;
+            editing.color = swatch.dataset.color;
+            updateSwatchSelection();
+        });
+    }
+
+    const closeBtn = $('closeBookmarkModal');
+    if (closeBtn) closeBtn.onclick = closeBookmarkEditor;
+    const cancelBtn = $('cancelBookmarkBtn');
+    if (cancelBtn) cancelBtn.onclick = closeBookmarkEditor;
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) closeBookmarkEditor();
+        };
+    }
+
+    const saveBtn = $('saveBookmarkBtn');
+    if (saveBtn) {
+        saveBtn.onclick = async (e) => {
+            e.preventDefault();
+            if (!editing) return;
+            const bookmark = {
+                ...editing.bookmark,
+                title: $('bookmarkTitleInput')?.value.trim() || '',
+                note: $('bookmarkNoteInput')?.value.trim() || '',
+                color: editing.color,
+                updatedAt: new Date().toISOString()
+            };
+            closeBookmarkEditor();
+            await upsertBookmark(bookmark);
+        };
+    }
+
+    const deleteBtn = $('deleteBookmarkBtn');
+    if (deleteBtn) {
+        deleteBtn.onclick = async (e) => {
+            e.preventDefault();
+            if (!editing) return;
+            const { id } = editing.bookmark;
+            closeBookmarkEditor();
+            await deleteBookmark(id);
+        };
+    }
+
+    const titleInput = $('bookmarkTitleInput');
+    if (titleInput) {
+        titleInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveBtn?.click();
+        });
+    }
+}
+
+function openBookmarkEditor(bookmark, isNew = false) {
+    editing = { bookmark, color: bookmark.color, isNew };
+    const titleInput = $('bookmarkTitleInput');
+    const noteInput = $('bookmarkNoteInput');
+    if (titleInput) titleInput.value = bookmark.title || '';
+    if (noteInput) noteInput.value = bookmark.note || '';
+    const whenEl = $('bookmarkWhen');
+    if (whenEl) whenEl.textContent = formatBookmarkTime(bookmark);
+    const headingEl = $('bookmarkModalHeading');
+    if (headingEl) headingEl.textContent = t(isNew ? 'ui.bookmarks.addTitle' : 'ui.bookmarks.editTitle');
+    $('deleteBookmarkBtn')?.classList.toggle('hidden', isNew);
+    updateSwatchSelection();
+    $('bookmarkModal')?.classList.remove('hidden');
+    setTimeout(() => titleInput?.focus(), 0);
+}
+
+function closeBookmarkEditor() {
+    editing = null;
+    $('bookmarkModal')?.classList.add('hidden');
+}
+
+function updateSwatchSelection() {
+    document.querySelectorAll('#bookmarkColorSwatches .bookmark-swatch').forEach(el => {
+        el.classList.toggle('selected', el.dataset.color === editing?.color);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function formatBookmarkTime(bookmark) {
+    if (Number.isFinite(bookmark.epochMs)) {
+        return new Date(bookmark.epochMs).toLocaleString(undefined, {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+    return `${bookmark.clip} +${Math.floor(bookmark.offsetSec)}s`;
+}
+
+function bookmarkTitle(bookmark) {
+    return bookmark.title || t('ui.bookmarks.untitled');
+}
+
+function bookmarkSourceLabel(bookmark) {
+    switch (bookmark.tag.toLowerCase()) {
+        case 'sentryclips': return t('ui.clipBrowser.sentry');
+        case 'savedclips': return t('ui.clipBrowser.saved');
+        case 'recentclips': return t('ui.clipBrowser.recent');
+        default: return bookmark.tag;
+    }
+}
+
+/**
+ * Draw bookmark markers on the playback timeline for the active collection
+ */
+export function updateBookmarkMarkers() {
+    const markersContainer = $('timelineMarkers');
+    if (!markersContainer) return;
+    markersContainer.querySelectorAll('.bookmark-timeline-marker').forEach(el => el.remove());
+
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const totalSec = cumStarts[cumStarts.length - 1] || 0;
+    if (!store.bookmarks.length || totalSec <= 0) return;
+
+    for (const bookmark of store.bookmarks) {
+        const timeSec = getBookmarkTimeSec(bookmark);
+        if (timeSec == null) continue;
+        const pct = Math.max(0, Math.min(100, (timeSec / totalSec) * 100));
+
+        const marker = document.createElement('div');
+        marker.className = 'bookmark-timeline-marker';
+        marker.style.left = `${pct}%`;
+        marker.style.setProperty('--bookmark-color', bookmark.color);
+        marker.title = [bookmarkTitle(bookmark), formatBookmarkTime(bookmark), bookmark.note].filter(Boolean).join('\n');
+        marker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            seekNativeDayCollectionBySec?.(timeSec);
+        });
+        marker.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            openBookmarkEditor(bookmark);
+        });
+        markersContainer.appendChild(marker);
+    }
+}
+
+/**
+ * Render the Bookmarks tab in the clip browser
+ */
+export function renderBookmarkList() {
+    const listEl = $('bookmarkList');
+    const statusEl = $('bookmarkStatus');
+    if (!listEl) return;
+
+    const filter = store.filter;
+    const bookmarks = sortBookmarks(store.bookmarks).filter(b => !filter ||
+        `${b.title} ${b.note} ${b.clip}`.toLowerCase().includes(filter));
+
+    if (statusEl) {
+        if (!store.rootPath && !store.rootName) statusEl.textContent = t('ui.bookmarks.noFolder');
+        else if (!store.bookmarks.length) statusEl.textContent = t('ui.bookmarks.empty');
+        else if (filter) statusEl.textContent = t('ui.bookmarks.filtered', { count: bookmarks.length, total: store.bookmarks.length });
+        else statusEl.textContent = t('ui.bookmarks.count', { count: store.bookmarks.length });
+    }
+
+    listEl.innerHTML = bookmarks.map(bookmark => `
+        <div class="bookmark-item" data-id="${escapeHtml(bookmark.id)}">
+            <span class="bookmark-item-dot" style="background:${escapeHtml(bookmark.color)}"></span>
+            <div class="bookmark-item-info">
+                <div class="bookmark-item-title">${escapeHtml(bookmarkTitle(bookmark))}</div>
+                <div class="bookmark-item-meta">${escapeHtml(formatBookmarkTime(bookmark))} · ${escapeHtml(bookmarkSourceLabel(bookmark))}</div>
+                ${bookmark.note ? `<div class="bookmark-item-note">${escapeHtml(bookmark.note)}</div>` : ''}
+            </div>
+            <button class="icon-btn bookmark-item-edit" type="button" title="${escapeHtml(t('ui.bookmarks.edit'))}">
+                <span class="material-symbols-outlined mi-sm">edit</span>
+            </button>
+        </div>`).join('');
+}
@@ -7,8 +7,8 @@ import { notify } from '../ui/notifications.js';
 import { MULTI_LAYOUTS, DEFAULT_MULTI_LAYOUT } from '../lib/multiLayouts.js';
 import { t } from '../lib/i18n.js';
 
-// Custom camera order state
-let customCameraOrder = null;
+// Custom camera order per layout: layoutId -> { slot: camera }
+let customCameraOrders = {};
 
 // Dependencies set via init
 let getMultiCamGrid = null;
@@ -35,11 +35,16 @@ export function initCameraRearrange(deps) {
     updateEventCameraHighlight = deps.updateEventCameraHighlight;
 }
 
+function getActiveLayoutId() {
+    const layoutId = getMulti?.()?.layoutId;
+    return MULTI_LAYOUTS[layoutId] ? layoutId : DEFAULT_MULTI_LAYOUT;
+}
+
 /**
- * Get the current custom camera order
+ * Get the custom camera order of the active layout
  */
 export function getCustomCameraOrder() {
-    return customCameraOrder;
+    return customCameraOrders[getActiveLayoutId()] || null;
 }
 
 
@@ -50,13 +55,15 @@ export async function initCustomCameraOrder() {
     if (window.electronAPI?.getSetting) {
         try {
             const saved = await window.electronAPI.getSetting('customCameraOrder');
-            if (saved) {
-                customCameraOrder = saved;
-                console.log('Loaded custom camera order:', customCameraOrder);
+            if (saved && typeof saved === 'object') {
+                // Older versions saved a single { slot: camera } map for the only (3×2) layout
+                const isLegacy = Object.values(saved).every(v => typeof v === 'string');
+                customCameraOrders = isLegacy ? { [DEFAULT_MULTI_LAYOUT]: saved } : saved;
+                console.log('Loaded custom camera order:', customCameraOrders);
             }
         } catch (e) {
             console.warn('Failed to load custom camera order:', e);
-            customCameraOrder = null;
+            customCameraOrders = {};
         }
     }
 }
@@ -66,18 +73,18 @@ export async function initCustomCameraOrder() {
  */
 export function saveCustomCameraOrder() {
     if (window.electronAPI?.setSetting) {
-        window.electronAPI.setSetting('customCameraOrder', customCameraOrder);
+        window.electronAPI.setSetting('customCameraOrder', customCameraOrders);
     }
 }
 
 /**
- * Reset camera order to default
+ * Reset the active layout's camera order to default
  */
 export function resetCameraOrder() {
     const state = getState?.();
     const nativeVideo = getNativeVideo?.();
     
-    customCameraOrder = null;
+    delete customCameraOrders[getActiveLayoutId()];
     saveCustomCameraOrder();
     updateTileLabels();
     updateEventCameraHighlight?.();
@@ -89,13 +96,23 @@ export function resetCameraOrder() {
     notify(t('ui.notifications.cameraOrderReset'), { type: 'info' });
 }
 
+/**
+ * Drop a layout's saved camera order (the layout was edited or deleted)
+ * @param {string} layoutId - Layout id
+ */
+export function forgetCameraOrder(layoutId) {
+    if (!customCameraOrders[layoutId]) return;
+    delete customCameraOrders[layoutId];
+    saveCustomCameraOrder();
+}
+
 /**
  * Get effective slots with custom camera order applied
  */
 export function getEffectiveSlots() {
-    const multi = getMulti?.();
-    const layout = MULTI_LAYOUTS[multi?.layoutId] || MULTI_LAYOUTS[DEFAULT_MULTI_LAYOUT];
+    const layout = MULTI_LAYOUTS[getActiveLayoutId()];
     const baseSlots = layout?.slots || [];
+    const customCameraOrder = getCustomCameraOrder();
     
     if (!customCameraOrder) {
         return baseSlots;
@@ -220,12 +237,14 @@ export function initCameraDragAndDrop() {
             
             if (!sourceSlotDef || !targetSlotDef) return;
             
-            if (!customCameraOrder) {
-                customCameraOrder = {};
+            const layoutId = getActiveLayoutId();
+            if (!customCameraOrders[layoutId]) {
+                customCameraOrders[layoutId] = {};
                 effectiveSlots.forEach(s => {
-                    customCameraOrder[s.slot] = s.camera;
+                    customCameraOrders[layoutId][s.slot] = s.camera;
                 });
             }
+            const customCameraOrder = customCameraOrders[layoutId];
             
             const sourceCamera = customCameraOrder[draggedSlot];
             const targetCamera = customCameraOrder[targetSlot];
@@ -260,6 +279,35 @@ export function initCameraDragAndDrop() {
     });
 }
 
+/**
+ * Arrange the grid for the active layout: grid size, spanned and floating tiles, unused slots hidden
+ */
+export function applyMultiLayoutGeometry() {
+    const multiCamGrid = getMultiCamGrid?.();
+    if (!multiCamGrid) return;
+    const layout = MULTI_LAYOUTS[getActiveLayoutId()];
+    
+    multiCamGrid.setAttribute('data-columns', layout.columns || 3);
+    multiCamGrid.classList.toggle('free-layout', !!layout.custom);
+    multiCamGrid.style.gridTemplateColumns = `repeat(${layout.columns || 3}, 1fr)`;
+    multiCamGrid.style.gridTemplateRows = `repeat(${layout.rows || 2}, 1fr)`;
+    
+    multiCamGrid.querySelectorAll('.multi-tile').forEach(tile => {
+        const slotDef = layout.slots.find(s => s.slot === tile.getAttribute('data-slot'));
+        tile.classList.toggle('layout-unused', !slotDef);
+        
+        const [row, col, rowSpan = 1, colSpan = 1] = slotDef?.area || [];
+        tile.style.gridArea = row ? `${row} / ${col} / span ${rowSpan} / span ${colSpan}` : '';
+        
+        const rect = slotDef?.rect;
+        tile.classList.toggle('free-tile', !!rect);
+        for (const [prop, key] of [['--tile-x', 'x'], ['--tile-y', 'y'], ['--tile-w', 'w'], ['--tile-h', 'h']]) {
+            if (rect) tile.style.setProperty(prop, rect[key] / 100);
+            else tile.style.removeProperty(prop);
+        }
+    });
+}
+
 /**
  * Update tile labels to match current camera assignments
  */
@@ -0,0 +1,249 @@
+/**
+ * Clip Health
+ * Scans the open folder for clips that are empty, unreadable or cut off (no moov box after the car
+ * lost power) and for clip groups missing a camera, and repairs truncated clips. Repaired copies
+ * are written next to the original as *.repaired.mp4 and replace it in the library (src/main/clipIntegrity.js).
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { escapeHtml, formatSize } from '../lib/utils.js';
+import { cameraLabel } from '../core/teslaCamIndex.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getBaseFolderPath = null;
+let refreshLibrary = null;
+
+const STATUS_KEYS = {
+    empty: 'ui.clipHealth.statusEmpty',
+    unreadable: 'ui.clipHealth.statusUnreadable',
+    truncated: 'ui.clipHealth.statusTruncated'
+};
+
+// Last scan result; repairedPath is set on files repaired since
+const health = {
+    rootPath: null,
+    scanned: false,
+    groups: [],
+    checkedFiles: 0,
+    scanning: false,
+    repairing: false,
+    repairedAny: false
+};
+
+/**
+ * Initialize clip health module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initClipHealth(deps) {
+    getBaseFolderPath = deps.getBaseFolderPath;
+    refreshLibrary = deps.refreshLibrary;
+
+    const openBtn = $('clipHealthBtn');
+    if (openBtn) {
+        openBtn.onclick = (e) => {
+            e.preventDefault();
+            openBtn.blur();
+            openClipHealth();
+        };
+    }
+    const modal = $('clipHealthModal');
+    const closeBtn = $('closeClipHealthModal');
+    if (closeBtn) closeBtn.onclick = closeClipHealth;
+    const doneBtn = $('closeClipHealthBtn');
+    if (doneBtn) doneBtn.onclick = closeClipHealth;
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) closeClipHealth();
+        };
+    }
+
+    const scanBtn = $('clipHealthScanBtn');
+    if (scanBtn) scanBtn.onclick = scanLibrary;
+    const repairAllBtn = $('clipHealthRepairAllBtn');
+    if (repairAllBtn) repairAllBtn.onclick = repairAll;
+
+    const list = $('clipHealthList');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'repair') repairFiles([findFile(btn.dataset.path)].filter(Boolean));
+            else if (btn.dataset.action === 'show') window.electronAPI?.showItemInFolder?.(btn.dataset.path);
+        });
+    }
+}
+
+/**
+ * Open the clip health modal; scans the folder the first time it is opened for it
+ */
+export function openClipHealth() {
+    const rootPath = getBaseFolderPath?.();
+    if (!rootPath || !window.electronAPI?.scanClipIntegrity) {
+        notify(t('ui.clipHealth.needsFolder'), { type: 'warn' });
+        return;
+    }
+
+    $('clipHealthModal')?.classList.remove('hidden');
+    if (health.rootPath !== rootPath || !health.scanned) {
+        Object.assign(health, { rootPath, groups: [], checkedFiles: 0 });
+        scanLibrary();
+    } else {
+        render();
+    }
+}
+
+function closeClipHealth() {
+    $('clipHealthModal')?.classList.add('hidden');
+    if (health.scanning) window.electronAPI?.cancelClipIntegrityScan?.();
+    // Reload the folder so the player picks up repaired clips
+    if (health.repairedAny) {
+        health.repairedAny = false;
+        refreshLibrary?.();
+    }
+}
+
+function setStatus(text) {
+    const statusEl = $('clipHealthStatus');
+    if (statusEl) statusEl.textContent = text;
+}
+
+function getRepairableFiles() {
+    return health.groups.flatMap(g => g.files).filter(f => f.repairable && !f.repairedPath);
+}
+
+function findFile(filePath) {
+    for (const g of health.groups) {
+        const file = g.files.find(f => f.path === filePath);
+        if (file) return file;
+    }
+    return null;
+}
+
+function formatGroupTitle(group) {
+    const type = (group.tag || '').toLowerCase();
+    const typeLabel = type === 'sentryclips' ? t('ui.clipBrowser.sentry')
+        : type === 'savedclips' ? t('ui.clipBrowser.saved')
+        : type === 'recentclips' ? t('ui.clipBrowser.recent')
+        : group.tag;
+    const [day, time = ''] = String(group.timestampKey).split('_');
+    return `${typeLabel} · ${day} ${time.replace(/-/g, ':')}`;
+}
+
+function updateButtons() {
+    const busy = health.scanning || health.repairing;
+    const scanBtn = $('clipHealthScanBtn');
+    if (scanBtn) scanBtn.disabled = busy;
+    const repairAllBtn = $('clipHealthRepairAllBtn');
+    if (repairAllBtn) repairAllBtn.disabled = busy || !getRepairableFiles().length;
+}
+
+/**
+ * Redraw the problem list and summary
+ */
+function render() {
+    const list = $('clipHealthList');
+    if (list) {
+        list.innerHTML = health.groups.map(g => `
+            <div class="clip-health-group">
+                <div class="clip-health-group-title">${escapeHtml(formatGroupTitle(g))}</div>
+                ${g.files.map(f => `
+                    <div class="clip-health-file">
+                        <span class="clip-health-camera">${escapeHtml(cameraLabel(f.camera))}</span>
+                        <span class="clip-health-badge ${f.repairedPath ? 'repaired' : f.status}">${escapeHtml(t(f.repairedPath ? 'ui.clipHealth.repaired' : STATUS_KEYS[f.status]))}</span>
+                        <span class="clip-health-detail" title="${escapeHtml(f.path)}">${escapeHtml([formatSize(f.size), f.detail].filter(Boolean).join(' · '))}</span>
+                        ${f.repairable && !f.repairedPath ? `<button class="btn btn-secondary btn-small" data-action="repair" data-path="${escapeHtml(f.path)}" ${health.repairing ? 'disabled' : ''}>${escapeHtml(t('ui.clipHealth.repair'))}</button>` : ''}
+                        <button class="icon-btn" type="button" data-action="show" data-path="${escapeHtml(f.repairedPath || f.path)}" title="${escapeHtml(t('ui.clipHealth.showInFolder'))}">
+                            <span class="material-symbols-outlined mi-sm">folder_open</span>
+                        </button>
+                    </div>`).join('')}
+                ${g.missingCameras.length ? `
+                    <div class="clip-health-file">
+                        <span class="clip-health-badge missing">${escapeHtml(t('ui.clipHealth.missingCameras'))}</span>
+                        <span class="clip-health-detail">${escapeHtml(g.missingCameras.map(cameraLabel).join(', '))}</span>
+                    </div>` : ''}
+            </div>`).join('');
+    }
+
+    if (!health.scanning && !health.repairing) {
+        const problems = health.groups.reduce((n, g) => n + g.files.length + (g.missingCameras.length ? 1 : 0), 0);
+        setStatus(problems
+            ? t('ui.clipHealth.summary', { files: health.checkedFiles, problems, groups: health.groups.length })
+            : t('ui.clipHealth.allGood', { files: health.checkedFiles }));
+    }
+    updateButtons();
+}
+
+/**
+ * Check every clip in the open folder
+ */
+async function scanLibrary() {
+    const api = window.electronAPI;
+    if (health.scanning || !health.rootPath) return;
+    health.scanning = true;
+    health.groups = [];
+    render();
+    setStatus(t('ui.clipHealth.reading'));
+
+    const onProgress = ({ done, total }) => {
+        if (health.scanning) setStatus(t('ui.clipHealth.scanning', { done, total }));
+    };
+    api.on('integrity:progress', onProgress);
+    try {
+        const result = await api.scanClipIntegrity(health.rootPath);
+        if (!result?.success) throw new Error(result?.error || 'Scan failed');
+        health.groups = result.groups;
+        health.checkedFiles = result.checkedFiles;
+        // A cancelled scan is only partial; scan again next time the modal opens
+        health.scanned = !result.cancelled;
+    } catch (err) {
+        console.error('[CLIP HEALTH] Scan failed:', err);
+        notify(t('ui.clipHealth.scanFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        api.off('integrity:progress', onProgress);
+        health.scanning = false;
+        render();
+    }
+}
+
+/**
+ * Repair truncated clips one at a time
+ * @param {Array<Object>} files - Entries from the scan result
+ */
+async function repairFiles(files) {
+    const api = window.electronAPI;
+    if (health.repairing || !files.length || !api?.repairClip) return;
+    health.repairing = true;
+    render();
+
+    let repaired = 0;
+    const failed = [];
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        setStatus(t('ui.clipHealth.repairing', { current: i + 1, total: files.length }));
+        const result = await api.repairClip(file.path);
+        if (result?.success) {
+            file.repairedPath = result.outputPath;
+            health.repairedAny = true;
+            repaired++;
+        } else {
+            failed.push(result?.error || 'Unknown error');
+        }
+        render();
+    }
+
+    health.repairing = false;
+    render();
+    if (files.length === 1 && failed.length) {
+        notify(t('ui.clipHealth.repairFailed', { error: failed[0] }), { type: 'error' });
+    } else {
+        notify(t('ui.clipHealth.repairDone', { repaired, failed: failed.length }), { type: failed.length ? 'warn' : 'success' });
+    }
+}
+
+function repairAll() {
+    repairFiles(getRepairableFiles());
+}
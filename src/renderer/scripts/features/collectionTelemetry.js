@@ -0,0 +1,174 @@
+/**
+ * Collection Telemetry
+ * Background scan of the active collection's SEI into compact, downsampled samples,
+ * shared by the telemetry charts panel, the timeline heat strip and smart playback
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { extractCollectionSei } from '../core/seiExtractor.js';
+import { toSearchFrame } from '../core/searchQuery.js';
+import { toIncidentSample } from '../core/incidentDetector.js';
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+
+// One sample per interval is plenty for charts and keeps long day collections small
+const SAMPLE_INTERVAL_MS = 100;
+
+// Autopilot state -> display color (1 self-driving, 2 autosteer, 3 TACC), shared by every telemetry view
+export const AUTOPILOT_COLORS = { 1: '#0048ff', 2: '#00d4ff', 3: '#8b5cf6' };
+
+// Only the last scanned collection is kept (compact samples, not full SEI)
+const scan = {
+    collectionId: null,
+    scanning: false,
+    token: 0,
+    done: 0,
+    total: 0,
+    samples: [],
+    times: []            // collection-relative seconds per sample, re-based onto current durations
+};
+
+const listeners = [];
+
+/**
+ * Initialize collection telemetry module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initCollectionTelemetry(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+}
+
+/**
+ * Register a callback for scan progress, completion and collection changes
+ * @param {Function} callback - Called with the scan state
+ */
+export function onCollectionTelemetryChange(callback) {
+    listeners.push(callback);
+}
+
+function emit() {
+    for (const callback of listeners) {
+        try { callback(scan); } catch (err) { console.error('[TELEMETRY] Listener failed:', err); }
+    }
+}
+
+/**
+ * Current scan state. Samples are sorted by time and grow while a scan is running.
+ * @returns {{collectionId: string|null, scanning: boolean, done: number, total: number, samples: Array<Object>, times: Array<number>}}
+ */
+export function getCollectionTelemetry() {
+    return scan;
+}
+
+/**
+ * Compact sample for one SEI frame
+ * @param {Object} frame - Record from extractCollectionSei
+ * @param {number} segmentStartSec - Segment start at scan time
+ */
+function toTelemetrySample(frame, segmentStartSec) {
+    const values = toSearchFrame(frame.sei);
+    const g = toIncidentSample(frame);
+    return {
+        segment: frame.segment,
+        offsetSec: frame.timestampMs / 1000 - segmentStartSec,
+        speed: values.speed,
+        accel: values.accel,
+        brake: values.brake ? 1 : 0,
+        steering: values.steering,
+        latG: g.lat,
+        lonG: g.lon,
+        autopilot: values.autopilot,
+        gear: values.gear,
+        blinker: values.blinkerLeft || values.blinkerRight ? 1 : 0
+    };
+}
+
+/**
+ * Recompute sample times from the current segment offsets (durations are probed after load)
+ */
+function rebaseTimes() {
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    scan.times = scan.samples.map(s => (cumStarts[s.segment] ?? 0) + s.offsetSec);
+}
+
+/**
+ * Start scanning the active collection unless it is already scanned or in progress
+ */
+export function requestCollectionTelemetry() {
+    const coll = getState?.()?.collection?.active;
+    if (!coll || scan.collectionId === coll.id) return;
+    scanTelemetry(coll);
+}
+
+async function scanTelemetry(coll) {
+    const nativeVideo = getNativeVideo?.();
+    const token = ++scan.token;
+    const segmentStarts = (nativeVideo?.cumulativeStarts || []).slice();
+    Object.assign(scan, { collectionId: coll.id, scanning: true, done: 0, total: 0, samples: [], times: [] });
+    emit();
+
+    // Keep one frame per SAMPLE_INTERVAL_MS within each segment; samples are collected as
+    // segments finish so consumers can draw progressively
+    let lastSegment = -1;
+    let lastKeptMs = -Infinity;
+    const mapFrame = (frame) => {
+        if (token !== scan.token) return null;
+        if (frame.segment !== lastSegment) {
+            lastSegment = frame.segment;
+            lastKeptMs = -Infinity;
+        }
+        // A little slack so ~30 fps footage keeps every third frame rather than every fourth
+        if (frame.timestampMs - lastKeptMs < SAMPLE_INTERVAL_MS * 0.9) return null;
+        lastKeptMs = frame.timestampMs;
+        const sample = toTelemetrySample(frame, segmentStarts[frame.segment] ?? 0);
+        const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+        scan.samples.push(sample);
+        scan.times.push((cumStarts[sample.segment] ?? 0) + sample.offsetSec);
+        return null;
+    };
+
+    try {
+        await extractCollectionSei(coll.groups || [], {
+            cumulativeStarts: segmentStarts,
+            segmentDurations: nativeVideo?.segmentDurations || [],
+            isCancelled: () => token !== scan.token,
+            mapFrame,
+            onProgress: (done, total) => {
+                if (token !== scan.token) return;
+                scan.done = done;
+                scan.total = total;
+                emit();
+            }
+        });
+        if (token !== scan.token) return;
+        console.log(`[TELEMETRY] ${coll.id}: ${scan.samples.length} samples`);
+    } catch (err) {
+        if (token !== scan.token) return;
+        console.error('[TELEMETRY] Scan failed:', err);
+        notify(t('ui.telemetryCharts.scanFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        if (token === scan.token) {
+            scan.scanning = false;
+            emit();
+        }
+    }
+}
+
+/**
+ * Sync with the active collection: drop data for other collections and re-base sample times.
+ * Call whenever the collection or its durations change; consumers decide whether to scan.
+ */
+export function refreshCollectionTelemetry() {
+    const activeId = getState?.()?.collection?.active?.id || null;
+    if (activeId !== scan.collectionId) {
+        scan.token++;
+        Object.assign(scan, { collectionId: null, scanning: false, done: 0, total: 0, samples: [], times: [] });
+    } else {
+        rebaseTimes();
+    }
+    emit();
+}
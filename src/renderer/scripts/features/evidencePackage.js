@@ -0,0 +1,178 @@
+/**
+ * Evidence Package
+ * Collects the untouched source clips and event.json files behind the export range so the
+ * exporter can bundle them with the rendered video, telemetry and a SHA-256 manifest,
+ * and checks previously written packages against their manifest
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let getBaseFolderPath = null;
+
+let isVerifying = false;
+
+const STATUS_LABEL_KEYS = {
+    modified: 'ui.evidence.statusModified',
+    missing: 'ui.evidence.statusMissing',
+    unlisted: 'ui.evidence.statusUnlisted'
+};
+
+/**
+ * Initialize evidence package module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initEvidencePackage(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    getBaseFolderPath = deps.getBaseFolderPath;
+}
+
+/**
+ * Whether the export modal is set to write an evidence package instead of a plain video
+ * @returns {boolean}
+ */
+export function isEvidencePackageEnabled() {
+    return $('enableEvidencePackage')?.checked === true;
+}
+
+/**
+ * Resolve a clip file to an absolute path on disk
+ * @param {File} file
+ * @param {string|null} baseFolderPath
+ * @returns {string|null}
+ */
+function resolveFilePath(file, baseFolderPath) {
+    if (file?.path) return file.path;
+    if (file?.webkitRelativePath && baseFolderPath) {
+        return baseFolderPath + '/' + file.webkitRelativePath.split('/').slice(1).join('/');
+    }
+    return null;
+}
+
+/**
+ * Describe the source files of every segment overlapping the range (all cameras, not just the exported ones)
+ * @param {number} startTimeMs - Range start, collection-relative
+ * @param {number} endTimeMs - Range end, collection-relative
+ * @returns {{title: string, clips: Array<Object>, eventFiles: Array<{eventId: string, path: string}>}|null}
+ */
+export function buildEvidencePackage(startTimeMs, endTimeMs) {
+    const collection = getState?.()?.collection?.active;
+    const nativeVideo = getNativeVideo?.();
+    const baseFolderPath = getBaseFolderPath?.() || null;
+    if (!collection) return null;
+
+    const groups = collection.groups || [];
+    const cumStarts = nativeVideo?.cumulativeStarts || [];
+    const clips = [];
+    const eventFiles = [];
+    const seenEvents = new Set();
+
+    for (let i = 0; i < groups.length; i++) {
+        const group = groups[i];
+        const durationSec = nativeVideo?.segmentDurations?.[i] || 60;
+        const startSec = cumStarts[i] ?? i * 60;
+        if (startSec * 1000 >= endTimeMs || (startSec + durationSec) * 1000 <= startTimeMs) continue;
+
+        const files = {};
+        for (const [camera, entry] of group.filesByCamera || []) {
+            const filePath = resolveFilePath(entry?.file, baseFolderPath);
+            if (filePath) files[camera] = filePath;
+        }
+        if (Object.keys(files).length === 0) continue;
+        clips.push({ index: i, timestampKey: group.timestampKey, startSec, durationSec, files });
+
+        const eventPath = resolveFilePath(group.eventJsonFile, baseFolderPath);
+        const eventId = group.eventId || group.timestampKey;
+        if (eventPath && !seenEvents.has(eventPath)) {
+            seenEvents.add(eventPath);
+            eventFiles.push({ eventId, path: eventPath });
+        }
+    }
+
+    if (clips.length === 0) {
+        notify(t('ui.evidence.noSourceFiles'), { type: 'warn' });
+        return null;
+    }
+
+    return { title: collection.label || collection.id || '', clips, eventFiles };
+}
+
+/**
+ * Render a verification result below the Verify button
+ * @param {string} summaryText
+ * @param {{ok: boolean, files: Array<{name: string, status: string}>, unlisted: Array<string>}} result
+ */
+function renderVerifyResult(summaryText, result) {
+    const container = $('evidenceVerifyResult');
+    if (!container) return;
+    container.innerHTML = '';
+    container.classList.remove('hidden');
+    container.classList.toggle('ok', result.ok);
+
+    const summary = document.createElement('div');
+    summary.className = 'evidence-verify-summary';
+    summary.textContent = summaryText;
+    container.appendChild(summary);
+
+    const problems = [
+        ...result.files.filter(f => f.status !== 'ok'),
+        ...result.unlisted.map(f => ({ name: f, status: 'unlisted' }))
+    ];
+    if (problems.length === 0) return;
+
+    const list = document.createElement('ul');
+    list.className = 'evidence-verify-list';
+    for (const file of problems) {
+        const item = document.createElement('li');
+        item.textContent = `${file.name} — ${t(STATUS_LABEL_KEYS[file.status])}`;
+        list.appendChild(item);
+    }
+    container.appendChild(list);
+}
+
+/**
+ * Ask for a package zip and re-check every file in it against its SHA256SUMS manifest
+ */
+export async function verifyEvidencePackage() {
+    if (isVerifying || !window.electronAPI?.verifyEvidencePackage) return;
+
+    const zipPath = await window.electronAPI.openFile([
+        { name: t('ui.evidence.title'), extensions: ['zip'] },
+        { name: 'All Files', extensions: ['*'] }
+    ]);
+    if (!zipPath) return;
+
+    const btn = $('verifyEvidenceBtn');
+    const container = $('evidenceVerifyResult');
+    isVerifying = true;
+    if (btn) btn.disabled = true;
+    if (container) {
+        container.classList.remove('hidden', 'ok');
+        container.textContent = t('ui.evidence.verifying');
+    }
+
+    try {
+        const result = await window.electronAPI.verifyEvidencePackage(zipPath);
+        if (!result?.success) throw new Error(result?.error || 'Unknown error');
+        const name = zipPath.split(/[/\\]/).pop();
+        const summaryText = result.ok
+            ? t('ui.evidence.verifyOk', { name, count: result.files.length })
+            : t('ui.evidence.verifyFailed', { name });
+        renderVerifyResult(summaryText, result);
+        notify(summaryText, { type: result.ok ? 'success' : 'error' });
+    } catch (err) {
+        console.error('[EVIDENCE] Verify failed:', err);
+        if (container) container.textContent = t('ui.evidence.verifyError', { error: err.message });
+        notify(t('ui.evidence.verifyError', { error: err.message }), { type: 'error' });
+    } finally {
+        isVerifying = false;
+        if (btn) btn.disabled = false;
+    }
+}
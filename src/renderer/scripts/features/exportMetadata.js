@@ -0,0 +1,78 @@
+/**
+ * Export Metadata
+ * Options for what gets written into the exported MP4 itself: a GPS track with the start location
+ * (ISO 6709) and chapter markers at clip boundaries, Sentry/Saved triggers and FSD disengagements
+ */
+
+import { t } from '../lib/i18n.js';
+import { getEventChapterPoints } from './highlightReel.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Chapters closer than this to the previous one are merged into it
+const MIN_CHAPTER_GAP_MS = 2000;
+
+/**
+ * Whether the export modal is set to embed the GPS track and start location
+ * @returns {boolean}
+ */
+export function isGpsTrackEnabled() {
+    return $('embedGpsTrack')?.checked === true;
+}
+
+/**
+ * Whether the export modal is set to add chapter markers
+ * @returns {boolean}
+ */
+export function isChaptersEnabled() {
+    return $('embedChapters')?.checked === true;
+}
+
+function formatChapterTime(epochMs) {
+    return new Date(epochMs).toLocaleTimeString([], { hour12: window._timeFormat !== '24h' });
+}
+
+/**
+ * Chapter markers for the export range, in collection time (main converts them to output time)
+ * @param {number} startTimeMs - Export start
+ * @param {number} endTimeMs - Export end
+ * @returns {Array<{timeMs: number, title: string}>}
+ */
+export function buildExportChapters(startTimeMs, endTimeMs) {
+    const { timeline, points } = getEventChapterPoints();
+    const chapters = [];
+
+    // Each source clip (one minute of footage) starts a chapter named after its wall-clock time
+    for (const seg of timeline) {
+        const segEnd = seg.startMs + seg.durationMs;
+        if (segEnd <= startTimeMs || seg.startMs >= endTimeMs) continue;
+        const timeMs = Math.max(seg.startMs, startTimeMs);
+        const epochMs = seg.epochMs != null ? seg.epochMs + (timeMs - seg.startMs) : null;
+        chapters.push({
+            timeMs,
+            title: epochMs != null ? t('ui.exportMetadata.clipChapter', { time: formatChapterTime(epochMs) }) : t('ui.exportMetadata.clipChapterUntimed'),
+            isClip: true
+        });
+    }
+
+    for (const point of points) {
+        if (point.timeMs < startTimeMs || point.timeMs >= endTimeMs) continue;
+        const title = Number.isFinite(point.epochMs) ? `${point.label} · ${formatChapterTime(point.epochMs)}` : point.label;
+        chapters.push({ timeMs: point.timeMs, title, isClip: false });
+    }
+
+    chapters.sort((a, b) => a.timeMs - b.timeMs || a.isClip - b.isClip);
+
+    // An event right at a clip boundary replaces the boundary chapter
+    const merged = [];
+    for (const chapter of chapters) {
+        const last = merged[merged.length - 1];
+        if (last && chapter.timeMs - last.timeMs < MIN_CHAPTER_GAP_MS) {
+            if (last.isClip && !chapter.isClip) merged[merged.length - 1] = { ...chapter, timeMs: last.timeMs };
+            continue;
+        }
+        merged.push(chapter);
+    }
+    return merged.map(({ timeMs, title }) => ({ timeMs, title }));
+}
@@ -0,0 +1,356 @@
+/**
+ * Export Presets
+ * Named, reusable export option sets: quality, cameras and their Layout Lab layout, dashboard,
+ * timestamp and minimap overlays, mirroring, timelapse and telemetry subtitles. Saved in settings (exportPresets),
+ * shared as JSON files (src/main/exportPresets.js) and usable from the CLI with --preset.
+ */
+
+import { t } from '../lib/i18n.js';
+import { notify } from '../ui/notifications.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getUseMetric = null;
+
+let presets = [];
+let activePresetId = null;
+// Preset options without a control in the modal (date/time format, mirroring, units, blur type);
+// null uses the app settings
+let presetOverrides = null;
+let nameMode = null;        // 'create' | 'rename' while the name row is open
+let handlersInitialized = false;
+
+// Modal controls captured by a preset: element id = preset option.
+// includeTimestamp comes before includeDashboard, which disables it when checked.
+const PRESET_CONTROLS = [
+    'includeTimestamp', 'timestampPosition',
+    'includeDashboard', 'dashboardStyle', 'dashboardPosition', 'dashboardPositionTeslaMobile', 'dashboardSize',
+    'includeMinimap', 'minimapPosition', 'minimapSize', 'minimapRenderMode',
+    'enableTimelapse', 'timelapseSpeed',
+    'subtitleSrt', 'subtitleVtt', 'subtitleEmbedded',
+    'embedGpsTrack', 'embedChapters'
+];
+const NUMERIC_CONTROLS = ['timelapseSpeed'];
+
+/**
+ * Initialize export presets with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initExportPresets(deps) {
+    getUseMetric = deps.getUseMetric;
+}
+
+/**
+ * Reload presets and reset the preset bar (called when the export modal opens)
+ */
+export async function refreshExportPresets() {
+    setupPresetHandlers();
+    activePresetId = null;
+    presetOverrides = null;
+    closeNameRow();
+    try {
+        const saved = await window.electronAPI?.getSetting?.('exportPresets');
+        presets = Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        console.warn('[PRESETS] Failed to load export presets:', err);
+        presets = [];
+    }
+    renderPresetSelect();
+}
+
+/**
+ * Options from the applied preset that startExport should use instead of the app settings
+ * @returns {Object|null} { timestampDateFormat, timestampTimeFormat, mirrorCameras, useMetric, blurType }
+ */
+export function getExportPresetOverrides() {
+    return presetOverrides;
+}
+
+async function savePresets() {
+    if (window.electronAPI?.setSetting) {
+        await window.electronAPI.setSetting('exportPresets', presets);
+    }
+}
+
+function getActivePreset() {
+    return presets.find(p => p.id === activePresetId) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Capture / apply
+// ---------------------------------------------------------------------------
+
+/**
+ * Current modal state as preset options
+ */
+async function captureExportOptions() {
+    const options = {};
+    for (const id of PRESET_CONTROLS) {
+        const element = $(id);
+        if (!element) continue;
+        if (element.type === 'checkbox') options[id] = element.checked;
+        else options[id] = NUMERIC_CONTROLS.includes(id) ? parseFloat(element.value) : element.value;
+    }
+
+    options.quality = document.querySelector('input[name="exportQuality"]:checked')?.value || 'high';
+    options.cameras = Array.from(document.querySelectorAll('.option-card input[data-camera]:checked')).map(cb => cb.dataset.camera);
+    try {
+        const layoutLab = await import('../ui/layoutLab.js');
+        options.layoutData = layoutLab.getLayoutData();
+    } catch (err) {
+        console.error('[PRESETS] Failed to get layout data:', err);
+    }
+
+    const overrides = presetOverrides || {};
+    options.timestampDateFormat = overrides.timestampDateFormat || window._dateFormat || 'ymd';
+    options.timestampTimeFormat = overrides.timestampTimeFormat || window._timeFormat || '12h';
+    options.mirrorCameras = overrides.mirrorCameras ?? window._mirrorCameras !== false;
+    options.useMetric = overrides.useMetric ?? getUseMetric?.() ?? false;
+    options.blurType = overrides.blurType || 'trueBlur';
+    return options;
+}
+
+/**
+ * Set the modal controls from preset options. Change events run the modal's own handlers
+ * (option visibility, saving the last-used values, size estimate, Layout Lab cards).
+ */
+async function applyExportOptions(options) {
+    const setValue = (element, value) => {
+        if (!element || value === undefined) return;
+        if (element.type === 'checkbox' || element.type === 'radio') {
+            if (element.disabled || element.checked === !!value) return;
+            element.checked = !!value;
+        } else {
+            if (element.value === String(value)) return;
+            element.value = String(value);
+        }
+        element.dispatchEvent(new Event('change'));
+    };
+
+    for (const id of PRESET_CONTROLS) setValue($(id), options[id]);
+
+    if (options.quality) {
+        setValue(document.querySelector(`input[name="exportQuality"][value="${options.quality}"]`), true);
+    }
+
+    if (Array.isArray(options.cameras)) {
+        const missing = [];
+        document.querySelectorAll('.option-card input[data-camera]').forEach(checkbox => {
+            const camera = checkbox.dataset.camera;
+            const available = checkbox.closest('.option-card')?.style.display !== 'none';
+            if (options.cameras.includes(camera) && !available) missing.push(camera);
+            setValue(checkbox, available && options.cameras.includes(camera));
+        });
+        if (missing.length) {
+            notify(t('ui.exportPresets.camerasUnavailable', { cameras: missing.map(getCameraLabel).join(', ') }), { type: 'warn' });
+        }
+    }
+
+    try {
+        const layoutLab = await import('../ui/layoutLab.js');
+        layoutLab.setLayoutData(options.layoutData || null);
+    } catch (err) {
+        console.error('[PRESETS] Failed to apply layout:', err);
+    }
+
+    presetOverrides = {
+        timestampDateFormat: options.timestampDateFormat,
+        timestampTimeFormat: options.timestampTimeFormat,
+        mirrorCameras: options.mirrorCameras,
+        useMetric: options.useMetric,
+        blurType: options.blurType
+    };
+}
+
+function getCameraLabel(camera) {
+    const keys = {
+        left_pillar: 'ui.cameras.leftPillar',
+        front: 'ui.cameras.front',
+        right_pillar: 'ui.cameras.rightPillar',
+        left_repeater: 'ui.cameras.leftRepeater',
+        back: 'ui.cameras.back',
+        right_repeater: 'ui.cameras.rightRepeater'
+    };
+    return keys[camera] ? t(keys[camera]) : camera;
+}
+
+// ---------------------------------------------------------------------------
+// Preset bar
+// ---------------------------------------------------------------------------
+
+function setupPresetHandlers() {
+    if (handlersInitialized) return;
+    handlersInitialized = true;
+
+    const select = $('exportPresetSelect');
+    if (select) {
+        select.addEventListener('change', async () => {
+            activePresetId = select.value || null;
+            closeNameRow();
+            updatePresetButtons();
+            const preset = getActivePreset();
+            if (preset) {
+                await applyExportOptions(preset.options || {});
+                notify(t('ui.exportPresets.applied', { name: preset.name }), { type: 'info' });
+            } else {
+                presetOverrides = null;
+            }
+            select.blur();
+        });
+    }
+
+    const wire = (id, handler) => {
+        const btn = $(id);
+        if (btn) btn.onclick = (e) => { e.preventDefault(); btn.blur(); handler(); };
+    };
+    wire('saveExportPresetBtn', () => openNameRow('create'));
+    wire('renameExportPresetBtn', () => openNameRow('rename'));
+    wire('deleteExportPresetBtn', deleteActivePreset);
+    wire('importExportPresetsBtn', importPresets);
+    wire('exportExportPresetsBtn', exportPresets);
+    wire('confirmExportPresetNameBtn', confirmName);
+    wire('cancelExportPresetNameBtn', closeNameRow);
+
+    const nameInput = $('exportPresetNameInput');
+    if (nameInput) {
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); confirmName(); }
+            if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); closeNameRow(); }
+        });
+    }
+}
+
+function renderPresetSelect() {
+    const select = $('exportPresetSelect');
+    if (!select) return;
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = presets.length ? t('ui.exportPresets.none') : t('ui.exportPresets.empty');
+    select.appendChild(none);
+    for (const preset of presets) {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        select.appendChild(option);
+    }
+    select.value = getActivePreset() ? activePresetId : '';
+    updatePresetButtons();
+}
+
+function updatePresetButtons() {
+    const hasActive = !!getActivePreset();
+    $('renameExportPresetBtn')?.classList.toggle('hidden', !hasActive);
+    $('deleteExportPresetBtn')?.classList.toggle('hidden', !hasActive);
+    const exportBtn = $('exportExportPresetsBtn');
+    if (exportBtn) exportBtn.disabled = presets.length === 0;
+}
+
+function openNameRow(mode) {
+    const row = $('exportPresetNameRow');
+    const input = $('exportPresetNameInput');
+    if (!row || !input) return;
+    nameMode = mode;
+    input.value = getActivePreset()?.name || '';
+    input.placeholder = t('ui.exportPresets.namePlaceholder');
+    row.classList.remove('hidden');
+    setTimeout(() => { input.focus(); input.select(); }, 0);
+}
+
+function closeNameRow() {
+    nameMode = null;
+    $('exportPresetNameRow')?.classList.add('hidden');
+}
+
+async function confirmName() {
+    const name = $('exportPresetNameInput')?.value.trim().slice(0, 80);
+    if (!name || !nameMode) return;
+    const sameName = presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+
+    if (nameMode === 'rename') {
+        const preset = getActivePreset();
+        if (!preset) return closeNameRow();
+        if (sameName && sameName !== preset) {
+            notify(t('ui.exportPresets.nameTaken', { name }), { type: 'warn' });
+            return;
+        }
+        preset.name = name;
+        notify(t('ui.exportPresets.renamed', { name }), { type: 'success' });
+    } else {
+        // Saving under an existing name updates that preset
+        const options = await captureExportOptions();
+        if (sameName) {
+            sameName.options = options;
+            activePresetId = sameName.id;
+        } else {
+            const preset = { id: `preset_${Date.now()}`, name, options };
+            presets.push(preset);
+            activePresetId = preset.id;
+        }
+        presetOverrides = {
+            timestampDateFormat: options.timestampDateFormat,
+            timestampTimeFormat: options.timestampTimeFormat,
+            mirrorCameras: options.mirrorCameras,
+            useMetric: options.useMetric,
+            blurType: options.blurType
+        };
+        notify(t('ui.exportPresets.saved', { name }), { type: 'success' });
+    }
+
+    closeNameRow();
+    await savePresets();
+    renderPresetSelect();
+}
+
+async function deleteActivePreset() {
+    const preset = getActivePreset();
+    if (!preset) return;
+    presets = presets.filter(p => p !== preset);
+    activePresetId = null;
+    presetOverrides = null;
+    closeNameRow();
+    await savePresets();
+    renderPresetSelect();
+    notify(t('ui.exportPresets.deleted', { name: preset.name }), { type: 'info' });
+}
+
+async function importPresets() {
+    if (!window.electronAPI?.openFile || !window.electronAPI?.importExportPresets) return;
+    const filePath = await window.electronAPI.openFile([{ name: t('ui.exportPresets.fileType'), extensions: ['json'] }]);
+    if (!filePath) return;
+
+    const result = await window.electronAPI.importExportPresets(filePath);
+    if (!result?.success) {
+        notify(t('ui.exportPresets.importFailed', { error: result?.error || 'Unknown error' }), { type: 'error' });
+        return;
+    }
+
+    // Presets with the same id or name are replaced
+    for (const preset of result.presets) {
+        const index = presets.findIndex(p => p.id === preset.id || p.name.toLowerCase() === preset.name.toLowerCase());
+        if (index >= 0) presets[index] = { ...preset, id: presets[index].id };
+        else presets.push(preset);
+    }
+    await savePresets();
+    renderPresetSelect();
+    notify(t('ui.exportPresets.imported', { count: result.presets.length }), { type: 'success' });
+}
+
+async function exportPresets() {
+    if (!presets.length || !window.electronAPI?.saveFile || !window.electronAPI?.exportExportPresets) return;
+    const filePath = await window.electronAPI.saveFile({
+        title: t('ui.exportPresets.exportTitle'),
+        defaultPath: 'SentryStudio-export-presets.json',
+        filters: [{ name: t('ui.exportPresets.fileType'), extensions: ['json'] }]
+    });
+    if (!filePath) return;
+
+    const result = await window.electronAPI.exportExportPresets(filePath, presets);
+    if (result?.success) {
+        notify(t('ui.exportPresets.exported', { count: result.count }), { type: 'success' });
+    } else {
+        notify(t('ui.exportPresets.exportFailed', { error: result?.error || 'Unknown error' }), { type: 'error' });
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Export Queue Panel
+ * Shows queued exports run by the main process and lets the user reorder, pause, retry and remove them
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { escapeHtml } from '../lib/utils.js';
+import { translateMessage } from './exportVideo.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Last snapshot received from the main process
+let queueSnapshot = { paused: false, jobs: [] };
+
+const STATUS_DISPLAY = {
+    pending: { icon: 'schedule', key: 'ui.exportQueue.statusPending' },
+    running: { icon: 'progress_activity', key: 'ui.exportQueue.statusRunning' },
+    paused: { icon: 'pause_circle', key: 'ui.exportQueue.statusPaused' },
+    failed: { icon: 'error', key: 'ui.exportQueue.statusFailed' },
+    done: { icon: 'check_circle', key: 'ui.exportQueue.statusDone' }
+};
+
+/**
+ * Initialize the export queue panel: wire buttons and subscribe to queue updates
+ */
+export function initExportQueue() {
+    if (!window.electronAPI?.getExportQueue) return;
+
+    const modal = $('exportQueueModal');
+    const openBtn = $('exportQueueBtn');
+    const closeBtn = $('closeExportQueueModal');
+
+    if (openBtn) {
+        openBtn.onclick = (e) => {
+            e.preventDefault();
+            openBtn.blur();
+            openExportQueue();
+        };
+    }
+    if (closeBtn) closeBtn.onclick = () => modal?.classList.add('hidden');
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        };
+    }
+
+    const pauseAllBtn = $('exportQueuePauseAllBtn');
+    if (pauseAllBtn) {
+        pauseAllBtn.onclick = () => runQueueAction(() => window.electronAPI.setExportQueuePaused(!queueSnapshot.paused));
+    }
+    const clearBtn = $('exportQueueClearBtn');
+    if (clearBtn) {
+        clearBtn.onclick = () => runQueueAction(() => window.electronAPI.clearFinishedExportJobs());
+    }
+
+    const listEl = $('exportQueueList');
+    if (listEl) listEl.onclick = handleListClick;
+
+    window.electronAPI.on('exportQueue:updated', (snapshot) => {
+        const previous = queueSnapshot;
+        queueSnapshot = snapshot;
+        notifyFinishedJobs(previous, snapshot);
+        renderExportQueue();
+    });
+
+    window.electronAPI.getExportQueue().then(snapshot => {
+        if (snapshot) queueSnapshot = snapshot;
+        renderExportQueue();
+    }).catch(err => console.error('[QUEUE] Failed to load export queue:', err));
+}
+
+/**
+ * Open the export queue modal
+ */
+export function openExportQueue() {
+    const modal = $('exportQueueModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    renderExportQueue();
+}
+
+/**
+ * Run a queue IPC call and adopt the snapshot it returns
+ * @param {Function} action - Returns a promise resolving to {success, error, paused, jobs}
+ */
+async function runQueueAction(action) {
+    try {
+        const result = await action();
+        if (result?.jobs) queueSnapshot = { paused: result.paused, jobs: result.jobs };
+        if (result && !result.success && result.error) {
+            notify(t('ui.exportQueue.actionFailed', { error: result.error }), { type: 'error' });
+        }
+        renderExportQueue();
+    } catch (err) {
+        console.error('[QUEUE] Action failed:', err);
+        notify(t('ui.exportQueue.actionFailed', { error: err.message }), { type: 'error' });
+    }
+}
+
+/**
+ * Handle clicks on the per-job action buttons (event delegation on the list)
+ * @param {MouseEvent} e
+ */
+function handleListClick(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const jobId = btn.closest('[data-job-id]')?.dataset.jobId;
+    if (!jobId) return;
+
+    const api = window.electronAPI;
+    const index = queueSnapshot.jobs.findIndex(j => j.id === jobId);
+    switch (btn.dataset.action) {
+        case 'up': runQueueAction(() => api.moveExportJob(jobId, index - 1)); break;
+        case 'down': runQueueAction(() => api.moveExportJob(jobId, index + 1)); break;
+        case 'pause': runQueueAction(() => api.pauseExportJob(jobId)); break;
+        case 'resume': runQueueAction(() => api.resumeExportJob(jobId)); break;
+        case 'retry': runQueueAction(() => api.retryExportJob(jobId)); break;
+        case 'remove': runQueueAction(() => api.removeExportJob(jobId)); break;
+        case 'reveal': {
+            const job = queueSnapshot.jobs[index];
+            if (job?.outputPath) api.showItemInFolder?.(job.outputPath);
+            break;
+        }
+    }
+}
+
+/**
+ * Toast when a job finishes while the user is elsewhere in the app
+ */
+function notifyFinishedJobs(previous, next) {
+    for (const job of next.jobs) {
+        const before = previous.jobs.find(j => j.id === job.id);
+        if (!before || before.status !== 'running') continue;
+        if (job.status === 'done') {
+            notify(t('ui.exportQueue.jobDone', { name: job.label }), { type: 'success' });
+        } else if (job.status === 'failed') {
+            notify(t('ui.exportQueue.jobFailed', { name: job.label, error: translateMessage(job.error) }), { type: 'error' });
+        }
+    }
+}
+
+function actionButton(action, icon, titleKey, disabled = false) {
+    return `<button class="btn btn-secondary btn-small export-queue-action" data-action="${action}" title="${escapeHtml(t(titleKey))}"${disabled ? ' disabled' : ''}>
+                <span class="material-symbols-outlined mi-sm">${icon}</span>
+            </button>`;
+}
+
+/**
+ * Render the job list, header controls and the toolbar badge
+ */
+export function renderExportQueue() {
+    const { jobs, paused } = queueSnapshot;
+    const activeCount = jobs.filter(j => j.status === 'pending' || j.status === 'running').length;
+
+    const badge = $('exportQueueBadge');
+    if (badge) {
+        badge.textContent = String(activeCount);
+        badge.classList.toggle('hidden', activeCount === 0);
+    }
+
+    const pauseAllBtn = $('exportQueuePauseAllBtn');
+    if (pauseAllBtn) {
+        pauseAllBtn.innerHTML = paused
+            ? `<span class="material-symbols-outlined mi-sm">play_arrow</span> ${escapeHtml(t('ui.exportQueue.resumeQueue'))}`
+            : `<span class="material-symbols-outlined mi-sm">pause</span> ${escapeHtml(t('ui.exportQueue.pauseQueue'))}`;
+    }
+    const clearBtn = $('exportQueueClearBtn');
+    if (clearBtn) clearBtn.disabled = !jobs.some(j => j.status === 'done');
+
+    const pausedNote = $('exportQueuePausedNote');
+    if (pausedNote) pausedNote.classList.toggle('hidden', !paused);
+
+    const emptyEl = $('exportQueueEmpty');
+    const listEl = $('exportQueueList');
+    if (!listEl) return;
+    if (emptyEl) emptyEl.classList.toggle('hidden', jobs.length > 0);
+
+    listEl.innerHTML = jobs.map((job, i) => {
+        const progress = Math.max(0, Math.min(100, Math.round(job.progress || 0)));
+        const display = STATUS_DISPLAY[job.status] || STATUS_DISPLAY.pending;
+        let detail = t(display.key);
+        if (job.status === 'running') {
+            detail = translateMessage(job.message) || `${detail} ${progress}%`;
+        } else if (job.status === 'failed' && job.error) {
+            detail = `${detail}: ${translateMessage(job.error)}`;
+        }
+
+        const buttons = [
+            actionButton('up', 'arrow_upward', 'ui.exportQueue.moveUp', i === 0),
+            actionButton('down', 'arrow_downward', 'ui.exportQueue.moveDown', i === jobs.length - 1)
+        ];
+        if (job.status === 'pending' || job.status === 'running') {
+            buttons.push(actionButton('pause', 'pause', 'ui.exportQueue.pause'));
+        } else if (job.status === 'paused') {
+            buttons.push(actionButton('resume', 'play_arrow', 'ui.exportQueue.resume'));
+        } else if (job.status === 'failed') {
+            buttons.push(actionButton('retry', 'refresh', 'ui.exportQueue.retry'));
+        } else if (job.status === 'done') {
+            buttons.push(actionButton('reveal', 'folder_open', 'ui.exportQueue.showInFolder'));
+        }
+        buttons.push(actionButton('remove', 'close', 'ui.exportQueue.remove'));
+
+        return `
+        <div class="export-queue-item ${job.status}" data-job-id="${escapeHtml(job.id)}">
+            <span class="material-symbols-outlined export-queue-status-icon">${display.icon}</span>
+            <div class="export-queue-info">
+                <div class="export-queue-name" title="${escapeHtml(job.outputPath || job.label)}">${escapeHtml(job.label)}</div>
+                <div class="export-queue-detail">${escapeHtml(detail)}</div>
+                ${job.status === 'running' ? `<div class="export-queue-bar"><div class="export-queue-bar-fill" style="width: ${progress}%"></div></div>` : ''}
+            </div>
+            <div class="export-queue-actions">${buttons.join('')}</div>
+        </div>`;
+    }).join('');
+}
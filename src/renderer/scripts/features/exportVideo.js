@@ -6,9 +6,13 @@
 import { notify } from '../ui/notifications.js';
 import { formatTimeHMS } from '../ui/timeDisplay.js';
 import { initBlurZoneEditor, getNormalizedCoordinates, resetBlurZoneEditor, generateMaskImage, getCanvasDimensions } from '../ui/blurZoneEditor.js';
-import { filePathToUrl } from '../lib/utils.js';
+import { filePathToUrl, escapeHtml } from '../lib/utils.js';
 import { parseTimestampKeyToEpochMs } from '../core/clipBrowser.js';
 import { t, getCurrentLanguage, onLanguageChange } from '../lib/i18n.js';
+import { isHighlightReelEnabled, buildHighlightReel } from './highlightReel.js';
+import { isEvidencePackageEnabled, buildEvidencePackage } from './evidencePackage.js';
+import { isGpsTrackEnabled, isChaptersEnabled, buildExportChapters } from './exportMetadata.js';
+import { initExportPresets, refreshExportPresets, getExportPresetOverrides } from './exportPresets.js';
 
 // Export state
 export const exportState = {
@@ -34,6 +38,8 @@ export const exportState = {
 
 // Cached share config (expiration hours from server)
 let _shareExpirationHours = 72; // default fallback
+let _shareViewerHost = null; // host of a self-hosted share server (null for the hosted service)
+let _pausedShareCode = null; // upload that stopped part-way; the Share button resumes it instead of starting over
 
 async function fetchShareConfig() {
     try {
@@ -41,6 +47,7 @@ async function fetchShareConfig() {
         if (config?.expirationHours) {
             _shareExpirationHours = config.expirationHours;
         }
+        _shareViewerHost = config?.viewerHost || null;
     } catch { /* use default */ }
     updateShareExpirationDisplay();
 }
@@ -73,7 +80,9 @@ function updateShareExpirationDisplay() {
     const hours = getSelectedExpirationHours();
     const infoText = $('shareClipInfoText');
     if (infoText) {
-        infoText.innerHTML = t('ui.export.shareClipInfo', { hours: formatDuration(hours) });
+        infoText.innerHTML = _shareViewerHost
+            ? t('ui.export.shareClipInfoServer', { hours: formatDuration(hours), host: escapeHtml(_shareViewerHost) })
+            : t('ui.export.shareClipInfo', { hours: formatDuration(hours) });
     }
     const expiryText = $('shareLinkExpiryText');
     if (expiryText) {
@@ -106,6 +115,7 @@ export function initExportModule(deps) {
     getProgressBar = deps.getProgressBar;
     getFindSeiAtTime = deps.getFindSeiAtTime;
     getUseMetric = deps.getUseMetric;
+    initExportPresets({ getUseMetric });
 }
 
 // Export overlay settings keys
@@ -122,6 +132,19 @@ const EXPORT_OVERLAY_SETTINGS = {
     minimapRenderMode: 'exportMinimapRenderMode',
     enableTimelapse: 'exportEnableTimelapse',
     timelapseSpeed: 'exportTimelapseSpeed',
+    subtitleSrt: 'exportSubtitleSrt',
+    subtitleVtt: 'exportSubtitleVtt',
+    subtitleEmbedded: 'exportSubtitleEmbedded',
+    embedGpsTrack: 'exportEmbedGpsTrack',
+    embedChapters: 'exportEmbedChapters',
+    enableHighlightReel: 'exportEnableHighlightReel',
+    reelSourceEvents: 'exportReelSourceEvents',
+    reelSourceDisengagements: 'exportReelSourceDisengagements',
+    reelSourceAccelPushes: 'exportReelSourceAccelPushes',
+    reelSourceBraking: 'exportReelSourceBraking',
+    reelPaddingBefore: 'exportReelPaddingBefore',
+    reelPaddingAfter: 'exportReelPaddingAfter',
+    enableEvidencePackage: 'exportEnableEvidencePackage',
 };
 
 // Default values for export overlay settings
@@ -137,7 +160,20 @@ const EXPORT_OVERLAY_DEFAULTS = {
     minimapSize: 'small',
     minimapRenderMode: 'ass',
     enableTimelapse: false,
-    timelapseSpeed: '8'
+    timelapseSpeed: '8',
+    subtitleSrt: false,
+    subtitleVtt: false,
+    subtitleEmbedded: false,
+    embedGpsTrack: false,
+    embedChapters: false,
+    enableHighlightReel: false,
+    reelSourceEvents: true,
+    reelSourceDisengagements: true,
+    reelSourceAccelPushes: false,
+    reelSourceBraking: true,
+    reelPaddingBefore: '10',
+    reelPaddingAfter: '5',
+    enableEvidencePackage: false
 };
 
 /**
@@ -210,6 +246,13 @@ async function loadExportOverlaySettings() {
         }
     }
 
+    // Highlight reel options visibility
+    const reelCheckbox = $('enableHighlightReel');
+    const reelOptions = $('highlightReelOptions');
+    if (reelCheckbox && reelOptions) {
+        reelOptions.classList.toggle('hidden', !reelCheckbox.checked);
+    }
+
     // Update duration display now that all settings (including timelapse) are loaded
     updateExportRangeDisplay();
 }
@@ -269,6 +312,11 @@ function setupExportOverlaySaveHandlers() {
                 updateTimelapseDurationEstimate();
                 // Update header duration display and share link eligibility
                 updateExportRangeDisplay();
+            } else if (elementId === 'enableHighlightReel') {
+                const reelOptions = $('highlightReelOptions');
+                if (reelOptions) {
+                    reelOptions.classList.toggle('hidden', !element.checked);
+                }
             }
         });
     }
@@ -704,6 +752,47 @@ export function updateExportButtonState() {
     if (exportBtn) exportBtn.disabled = !hasCollection;
 }
 
+/**
+ * Get the selected export range in collection-relative milliseconds
+ * Falls back to the whole collection when markers are not set
+ * @returns {{startTimeMs: number, endTimeMs: number, totalSec: number}}
+ */
+export function getExportRangeMs() {
+    const nativeVideo = getNativeVideo?.();
+    const totalSec = nativeVideo?.cumulativeStarts?.[nativeVideo.cumulativeStarts.length - 1] || 60;
+    const startPct = exportState.startMarkerPct ?? 0;
+    const endPct = exportState.endMarkerPct ?? 100;
+
+    return {
+        startTimeMs: (Math.min(startPct, endPct) / 100) * totalSec * 1000,
+        endTimeMs: (Math.max(startPct, endPct) / 100) * totalSec * 1000,
+        totalSec
+    };
+}
+
+/**
+ * Build the default export file name (without extension) from the clip's wall-clock start time
+ * @param {number} startTimeMs - Range start in collection-relative milliseconds
+ * @returns {string|null} e.g. "tesla_SentryClips_2025-01-01_12-30", or null if the start time is unknown
+ */
+export function getExportBaseName(startTimeMs) {
+    const state = getState?.();
+    const exportGroups = state?.collection?.active?.groups || [];
+    const firstTsKey = exportGroups[0]?.timestampKey || '';
+    const firstEpochMs = parseTimestampKeyToEpochMs(firstTsKey);
+    if (!firstEpochMs) return null;
+
+    const clipStartDate = new Date(firstEpochMs + startTimeMs);
+    const y = clipStartDate.getFullYear();
+    const mo = String(clipStartDate.getMonth() + 1).padStart(2, '0');
+    const d = String(clipStartDate.getDate()).padStart(2, '0');
+    const h = String(clipStartDate.getHours()).padStart(2, '0');
+    const mi = String(clipStartDate.getMinutes()).padStart(2, '0');
+    const dateTime = `${y}-${mo}-${d}_${h}-${mi}`;
+    const safeName = exportState.safeName || 'export';
+    return `tesla_${safeName}_${dateTime}`;
+}
+
 /**
  * Open the export modal
  */
@@ -736,6 +825,9 @@ export function openExportModal() {
     // Load saved export overlay settings
     loadExportOverlaySettings();
 
+    // Preset bar starts on "No preset" with the last-used options
+    refreshExportPresets();
+
     // Initialize dismissible NEW badges
     initFeatureBadges();
 
@@ -808,6 +900,8 @@ export function openExportModal() {
 
     const startBtn = $('startExportBtn');
     if (startBtn) startBtn.disabled = false;
+    const queueBtn = $('addToExportQueueBtn');
+    if (queueBtn) queueBtn.disabled = false;
 
     // Ensure close button is enabled when modal opens
     const closeBtn = $('closeExportModal');
@@ -979,7 +1073,7 @@ function hideFloatingProgress() {
  * @param {string|Object} message - Either a plain string or { key: string, params?: Object }
  * @returns {string} The translated message
  */
-function translateMessage(message) {
+export function translateMessage(message) {
     if (!message) return '';
     if (typeof message === 'string') return message;
     if (typeof message === 'object' && message.key) {
@@ -1652,12 +1746,18 @@ export async function checkFFmpegAvailability() {
         statusEl.innerHTML = `<span class="status-icon" style="color: #f44336;">✗</span><span class="status-text">${t('ui.export.ffmpegError')}</span>`;
         if (startBtn) startBtn.disabled = true;
     }
+
+    // Queueing is available whenever a direct export would be
+    const queueBtn = $('addToExportQueueBtn');
+    if (queueBtn && startBtn) queueBtn.disabled = startBtn.disabled;
 }
 
 /**
  * Start the export process
+ * @param {Object} [options]
+ * @param {boolean} [options.queue=false] - Add the export to the export queue instead of running it now
  */
-export async function startExport() {
+export async function startExport({ queue = false } = {}) {
     // Guard against duplicate exports (e.g. user clicks while SEI extraction is in progress)
     if (exportState.isExporting) {
         notify(t('ui.notifications.exportAlreadyInProgress') || 'Export already in progress', { type: 'warn' });
@@ -1668,7 +1768,7 @@ export async function startExport() {
     const nativeVideo = getNativeVideo?.();
     const baseFolderPath = getBaseFolderPath?.();
 
-    if (!state?.collection?.active || !window.electronAPI?.startExport) {
+    if (!state?.collection?.active || !window.electronAPI?.startExport || (queue && !window.electronAPI?.addExportJob)) {
         notify(t('ui.notifications.exportNotAvailable'), { type: 'error' });
         return;
     }
@@ -1715,7 +1815,9 @@ export async function startExport() {
     } catch (e) { /* ignore save errors */ }
 
     const hasBlurZones = exportState.blurZones.length > 0;
-    const blurType = 'trueBlur';
+    // Options the applied preset sets without a modal control (null: app settings)
+    const presetOverrides = getExportPresetOverrides() || {};
+    const blurType = presetOverrides.blurType || exportState.blurType || 'trueBlur';
     const includeDashboardCheckbox = $('includeDashboard');
     let includeDashboard = includeDashboardCheckbox?.checked ?? false;
 
@@ -1750,35 +1852,53 @@ export async function startExport() {
     const includeTimestampCheckbox = $('includeTimestamp');
     const includeTimestamp = includeTimestampCheckbox?.checked ?? false;
     const timestampPosition = $('timestampPosition')?.value || 'bottom-center';
-    const timestampDateFormat = window._dateFormat || 'ymd'; // Use global date format setting
-    const timestampTimeFormat = window._timeFormat || '12h'; // Use global time format setting (12h/24h)
+    const timestampDateFormat = presetOverrides.timestampDateFormat || window._dateFormat || 'ymd'; // Use global date format setting
+    const timestampTimeFormat = presetOverrides.timestampTimeFormat || window._timeFormat || '12h'; // Use global time format setting (12h/24h)
 
     // Timelapse settings
     const enableTimelapseCheckbox = $('enableTimelapse');
     const enableTimelapse = enableTimelapseCheckbox?.checked ?? false;
     const timelapseSpeed = parseFloat($('timelapseSpeed')?.value) || 8;
 
-    const totalSec = nativeVideo?.cumulativeStarts?.[nativeVideo.cumulativeStarts.length - 1] || 60;
-    const startPct = exportState.startMarkerPct ?? 0;
-    const endPct = exportState.endMarkerPct ?? 100;
+    // Telemetry subtitle track formats (soft subtitles, nothing burned in)
+    const subtitleFormats = [
+        $('subtitleSrt')?.checked && 'srt',
+        $('subtitleVtt')?.checked && 'vtt',
+        $('subtitleEmbedded')?.checked && 'embedded'
+    ].filter(Boolean);
+
+    // MP4 metadata: GPS track + start location, chapter markers
+    const embedGpsTrack = isGpsTrackEnabled();
+    const embedChapters = isChaptersEnabled();
+
+    let { startTimeMs, endTimeMs } = getExportRangeMs();
 
-    const startTimeMs = (Math.min(startPct, endPct) / 100) * totalSec * 1000;
-    const endTimeMs = (Math.max(startPct, endPct) / 100) * totalSec * 1000;
+    // Evidence packages document one continuous range, so they can't be combined with a reel
+    const evidenceEnabled = isEvidencePackageEnabled();
+    if (evidenceEnabled && isHighlightReelEnabled()) {
+        notify(t('ui.evidence.notWithReel'), { type: 'warn' });
+        return;
+    }
+
+    // Highlight reel: clip windows around points of interest replace the marked range
+    let reelClips = null;
+    if (isHighlightReelEnabled()) {
+        const reel = await buildHighlightReel();
+        if (!reel) return;
+        reelClips = reel.clips;
+        ({ startTimeMs, endTimeMs } = reel);
+    }
 
     // Calculate filename from the clip's actual start time (accounting for trim markers)
-    const exportGroups = state.collection.active?.groups || [];
-    const firstTsKey = exportGroups[0]?.timestampKey || '';
-    const firstEpochMs = parseTimestampKeyToEpochMs(firstTsKey);
-    if (firstEpochMs) {
-        const clipStartDate = new Date(firstEpochMs + startTimeMs);
-        const y = clipStartDate.getFullYear();
-        const mo = String(clipStartDate.getMonth() + 1).padStart(2, '0');
-        const d = String(clipStartDate.getDate()).padStart(2, '0');
-        const h = String(clipStartDate.getHours()).padStart(2, '0');
-        const mi = String(clipStartDate.getMinutes()).padStart(2, '0');
-        const dateTime = `${y}-${mo}-${d}_${h}-${mi}`;
-        const safeName = exportState.safeName || 'export';
-        filename = `tesla_${safeName}_${dateTime}.mp4`;
+    const baseName = getExportBaseName(startTimeMs);
+    if (baseName) filename = reelClips ? `${baseName}_highlights.mp4` : `${baseName}.mp4`;
+
+    // Evidence package: original clips + event.json + telemetry + rendered video in one zip
+    let evidencePackage = null;
+    if (evidenceEnabled) {
+        evidencePackage = buildEvidencePackage(startTimeMs, endTimeMs);
+        if (!evidencePackage) return;
+        filename = filename.replace(/\.mp4$/, '_evidence.zip');
     }
 
     // Open file dialog FIRST for instant response, before any heavy processing
@@ -1786,7 +1906,13 @@ export async function startExport() {
     const defaultPath = lastExportFolder ? `${lastExportFolder}/${filename}` : filename;
     const outputPath = await window.electronAPI.saveFile({
         title: 'Save Tesla Export',
-        defaultPath: defaultPath
+        defaultPath: defaultPath,
+        ...(evidencePackage && {
+            filters: [
+                { name: t('ui.evidence.title'), extensions: ['zip'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        })
     });
 
     if (!outputPath) {
@@ -1801,12 +1927,14 @@ export async function startExport() {
     // Lock export state and disable button BEFORE SEI extraction to prevent duplicate exports
     // This is critical for NAS/network files where SEI extraction can take minutes
     const startBtn = $('startExportBtn');
+    const queueBtn = $('addToExportQueueBtn');
     const progressEl = $('exportProgress');
     const exportProgressBar = $('exportProgressBar');
     const progressText = $('exportProgressText');
 
     exportState.isExporting = true;
     if (startBtn) startBtn.disabled = true;
+    if (queueBtn) queueBtn.disabled = true;
 
     // Switch close button to minimize icon during export
     const closeBtn = $('closeExportModal');
@@ -1815,13 +1943,13 @@ export async function startExport() {
         closeBtn.title = t('ui.supportChat.minimize') || 'Minimize';
     }
 
-    // Only extract SEI data if dashboard or minimap is enabled - skip entirely if both disabled to save RAM
+    // Only extract SEI data if dashboard, minimap, subtitles or the GPS track are enabled - skip entirely otherwise to save RAM
     // Extract SEI data one segment at a time to avoid loading all files into memory simultaneously
     // This happens AFTER file dialog so user gets instant feedback
     let seiData = null;
     let mapPath = []; // GPS path for minimap
 
-    if (includeDashboard || includeMinimap) {
+    if (includeDashboard || includeMinimap || subtitleFormats.length || embedGpsTrack) {
         try {
             // Show persistent progress bar during SEI extraction (not just a toast)
             if (progressEl) progressEl.classList.remove('hidden');
@@ -1831,6 +1959,11 @@ export async function startExport() {
             const cumStarts = nativeVideo?.cumulativeStarts || [];
             const groups = state.collection.active.groups || [];
             const allSeiData = [];
+
+            // Highlight reels only need telemetry around their clips
+            const inExportRange = (segStartMs, segEndMs) => reelClips
+                ? reelClips.some(c => segEndMs > c.startTimeMs && segStartMs < c.endTimeMs)
+                : segEndMs > startTimeMs && segStartMs < endTimeMs;
             const allMapPath = []; // Collect GPS coordinates
 
             if (!window.DashcamMP4 || !window.DashcamHelpers) {
@@ -1856,7 +1989,7 @@ export async function startExport() {
                 const segStartMs = (cumStarts[i] || 0) * 1000;
                 const segDurationMs = (nativeVideo?.segmentDurations?.[i] || 60) * 1000;
                 const segEndMs = segStartMs + segDurationMs;
-                if (segEndMs > startTimeMs && segStartMs < endTimeMs) {
+                if (inExportRange(segStartMs, segEndMs)) {
                     segmentsInRange.push(i);
                 }
             }
@@ -1877,7 +2010,7 @@ export async function startExport() {
                 const segDurationMs = (nativeVideo?.segmentDurations?.[i] || 60) * 1000;
                 const segEndMs = segStartMs + segDurationMs;
 
-                if (segEndMs > startTimeMs && segStartMs < endTimeMs) {
+                if (inExportRange(segStartMs, segEndMs)) {
                     // Update progress bar for SEI extraction
                     const segIdx = segmentsInRange.indexOf(i);
                     const seiPct = totalSegsToProcess > 0 ? Math.round(((segIdx + 1) / totalSegsToProcess) * 100) : 0;
@@ -1949,7 +2082,7 @@ export async function startExport() {
                 mapPath = allMapPath;
                 console.log(`[MINIMAP] GPS data available: ${mapPath.length} points`);
             } else {
-                if (includeDashboard) {
+                if (includeDashboard || subtitleFormats.length || embedGpsTrack) {
                     notify(t('ui.notifications.noTelemetryData'), { type: 'warn' });
                 }
                 if (includeMinimap && allMapPath.length === 0) {
@@ -1959,7 +2092,7 @@ export async function startExport() {
                 mapPath = [];
             }
         } catch (err) {
-            if (includeDashboard) {
+            if (includeDashboard || subtitleFormats.length || embedGpsTrack) {
                 notify(t('ui.notifications.failedToExtractTelemetry'), { type: 'warn' });
             }
             if (includeMinimap) {
@@ -2017,6 +2150,7 @@ export async function startExport() {
         exportState.isExporting = false;
         resetCloseButton();
         if (startBtn) startBtn.disabled = false;
+        if (queueBtn) queueBtn.disabled = false;
         if (progressEl) progressEl.classList.add('hidden');
         return;
     }
@@ -2025,12 +2159,14 @@ export async function startExport() {
     if (exportProgressBar) exportProgressBar.style.width = '0%';
     if (progressText) progressText.textContent = t('ui.export.preparing');
 
-    // Show hint during export
-    const minimizeHint = $('exportMinimizeHint');
-    if (minimizeHint) minimizeHint.classList.remove('hidden');
-
     const exportId = `export_${Date.now()}`;
-    exportState.currentExportId = exportId;
+    if (!queue) {
+        // Show hint during export
+        const minimizeHint = $('exportMinimizeHint');
+        if (minimizeHint) minimizeHint.classList.remove('hidden');
+
+        exportState.currentExportId = exportId;
+    }
 
     // Get dashboard and minimap progress elements
     const dashboardProgressEl = $('dashboardProgress');
@@ -2044,7 +2180,8 @@ export async function startExport() {
     if (dashboardProgressEl) dashboardProgressEl.classList.add('hidden');
     if (minimapProgressEl) minimapProgressEl.classList.add('hidden');
 
-    if (window.electronAPI?.on) {
+    // Queued exports report through the export queue panel instead
+    if (!queue && window.electronAPI?.on) {
         // Remove any stale listeners from previous exports to prevent ghost handlers
         window.electronAPI.removeAllListeners?.('export:progress');
         window.electronAPI.on('export:progress', (receivedExportId, progress) => {
@@ -2128,6 +2265,7 @@ export async function startExport() {
                     if (progressText) progressText.textContent = translatedMessage;
                     notify(translatedMessage, { type: 'error' });
                     if (startBtn) startBtn.disabled = false;
+                    if (queueBtn) queueBtn.disabled = false;
 
                     // Show modal on error so user sees what happened
                     const modal = $('exportModal');
@@ -2146,6 +2284,8 @@ export async function startExport() {
         exportState.currentExportId = null;
         resetCloseButton();
         if (startBtn) startBtn.disabled = false;
+        if (queueBtn) queueBtn.disabled = false;
+        if (progressEl) progressEl.classList.add('hidden');
         return;
     }
 
@@ -2162,7 +2302,7 @@ export async function startExport() {
             includeDashboard: includeDashboard && seiData !== null && seiData.length > 0,
             seiData: seiData || [], // Empty array if dashboard disabled - no RAM used
             layoutData: layoutData || null,
-            useMetric: getUseMetric?.() ?? false, // Pass metric setting for dashboard overlay
+            useMetric: presetOverrides.useMetric ?? getUseMetric?.() ?? false, // Pass metric setting for dashboard overlay
             glassBlur: parseInt(document.documentElement.style.getPropertyValue('--glass-blur') || '7', 10), // Glass blur setting
             dashboardStyle, // Style: standard (full layout) or compact (streamlined)
             dashboardPosition, // Position: bottom-center, bottom-left, bottom-right, top-center, etc.
@@ -2175,11 +2315,11 @@ export async function startExport() {
             timestampTimeFormat, // Time format: 12h (AM/PM), 24h
             // Blur zone data - filter to only selected cameras, send all zones
             blurZones: exportState.blurZones.filter(z => cameras.includes(z.camera)),
-            blurType: 'trueBlur',
+            blurType,
             // Language for dashboard text translations (Gear, Autopilot states, etc.)
             language: getCurrentLanguage(),
             // Mirror cameras setting (back and repeaters)
-            mirrorCameras: window._mirrorCameras !== false,
+            mirrorCameras: presetOverrides.mirrorCameras ?? window._mirrorCameras !== false,
             // Minimap settings
             includeMinimap: includeMinimap && mapPath.length > 0,
             minimapPosition,
@@ -2187,13 +2327,38 @@ export async function startExport() {
             minimapRenderMode, // 'ass' (fast, vector) or 'leaflet' (slow, map tiles)
             minimapDarkMode, // Dark mode CSS filter for map tiles
             mapPath,
-            // Time-lapse settings
-            enableTimelapse,
-            timelapseSpeed // Speed multiplier (0.5, 2, 4, 8, 16, 32, 64)
+            // Time-lapse settings (not applied to highlight reels)
+            enableTimelapse: enableTimelapse && !reelClips,
+            timelapseSpeed, // Speed multiplier (0.5, 2, 4, 8, 16, 32, 64)
+            // Telemetry subtitle track; reels are stitched from separately rendered clips, so none there
+            subtitleFormats: reelClips ? [] : subtitleFormats,
+            // MP4 GPS track and chapters (same reason: not for reels)
+            embedGpsTrack: embedGpsTrack && !reelClips,
+            embedChapters: embedChapters && !reelClips,
+            chapters: embedChapters && !reelClips ? buildExportChapters(startTimeMs, endTimeMs) : [],
+            // Highlight reel clip windows and title cards (null for a normal export)
+            highlightClips: reelClips,
+            // Source files to bundle into an evidence package (null for a normal export)
+            evidencePackage
         };
 
         console.log(`[MINIMAP] Export data: includeMinimap=${exportData.includeMinimap}, mapPath.length=${mapPath.length}, position=${minimapPosition}, size=${minimapSize}, renderMode=${minimapRenderMode}`);
 
+        if (queue) {
+            const label = outputPath.split(/[/\\]/).pop();
+            const result = await window.electronAPI.addExportJob({ label, exportData });
+            if (!result?.success) throw new Error(result?.error || 'Unknown error');
+
+            // Release the modal right away so the next range can be queued
+            exportState.isExporting = false;
+            resetCloseButton();
+            if (startBtn) startBtn.disabled = false;
+            if (queueBtn) queueBtn.disabled = false;
+            if (progressEl) progressEl.classList.add('hidden');
+            notify(t('ui.exportQueue.jobAdded', { name: label }), { type: 'success' });
+            return;
+        }
+
         await window.electronAPI.startExport(exportId, exportData);
     } catch (err) {
         console.error('Export error:', err);
@@ -2203,6 +2368,8 @@ export async function startExport() {
         exportState.cancelled = false; // Reset cancellation flag
         resetCloseButton();
         if (startBtn) startBtn.disabled = false;
+        if (queueBtn) queueBtn.disabled = false;
+        if (queue && progressEl) progressEl.classList.add('hidden');
     }
 }
 
@@ -2248,9 +2415,11 @@ export async function cancelExport() {
 
     const progressEl = $('exportProgress');
     const startBtn = $('startExportBtn');
+    const queueBtn = $('addToExportQueueBtn');
 
     if (progressEl) progressEl.classList.add('hidden');
     if (startBtn) startBtn.disabled = false;
+    if (queueBtn) queueBtn.disabled = false;
 
     // Restore modal body/footer if completion panel was showing
     const completePanel = $('exportCompletePanel');
@@ -2389,11 +2558,15 @@ function showExportCompletePanel(outputPath, message) {
     if (shareUploadProgress) shareUploadProgress.classList.add('hidden');
     if (shareLinkResult) shareLinkResult.classList.add('hidden');
     if (shareError) shareError.classList.add('hidden');
+    _pausedShareCode = null;
 
-    // Load video preview of exported clip
+    // Load video preview of exported clip (evidence packages are zips, nothing to preview)
+    const isZip = /\.zip$/i.test(outputPath);
     const previewContainer = $('exportPreviewContainer');
     const previewVideo = $('exportPreviewVideo');
-    if (previewContainer && previewVideo) {
+    if (previewContainer && isZip) {
+        previewContainer.classList.add('hidden');
+    } else if (previewContainer && previewVideo) {
         try {
             previewVideo.src = filePathToUrl(outputPath);
             previewContainer.classList.remove('hidden');
@@ -2423,7 +2596,7 @@ function showExportCompletePanel(outputPath, message) {
         shareBtn.style.opacity = '';
         shareBtn.style.cursor = '';
         shareBtn.classList.remove('hidden');
-        shareBtn.classList.toggle('hidden', wasMaxQuality);
+        shareBtn.classList.toggle('hidden', wasMaxQuality || isZip);
         // Update button label — find the text node after the SVG
         const textNodes = [...shareBtn.childNodes].filter(n => n.nodeType === 3 && n.textContent.trim());
         const label = wasShareSelected && !wasMaxQuality ? 'Confirm & Upload' : 'Share Clip';
@@ -2518,20 +2691,28 @@ async function uploadShareClip(filePath) {
     if (shareUploadProgressBar) shareUploadProgressBar.style.width = '0%';
     if (shareUploadProgressText) shareUploadProgressText.textContent = 'Reserving share link...';
 
+    // A paused upload picks up where it stopped (the link was already reserved)
+    const resumeCode = _pausedShareCode;
+    _pausedShareCode = null;
+
     // Reserve a share code first so we can show the link immediately
     let reserveCode = null;
-    try {
-        const reservation = await window.electronAPI?.reserveShareCode?.(expirationHours);
-        if (reservation?.code && reservation?.url) {
-            reserveCode = reservation.code;
-            // Show the link immediately while upload continues
-            if (shareLinkResult) shareLinkResult.classList.remove('hidden');
-            if (shareLinkInput) shareLinkInput.value = reservation.url;
-            if (shareUploadProgressText) shareUploadProgressText.textContent = 'Uploading to Sentry Studio...';
+    if (resumeCode) {
+        if (shareUploadProgressText) shareUploadProgressText.textContent = 'Resuming upload...';
+    } else {
+        try {
+            const reservation = await window.electronAPI?.reserveShareCode?.(expirationHours);
+            if (reservation?.code && reservation?.url) {
+                reserveCode = reservation.code;
+                // Show the link immediately while upload continues
+                if (shareLinkResult) shareLinkResult.classList.remove('hidden');
+                if (shareLinkInput) shareLinkInput.value = reservation.url;
+                if (shareUploadProgressText) shareUploadProgressText.textContent = `Uploading to ${_shareViewerHost || 'Sentry Studio'}...`;
+            }
+        } catch (err) {
+            console.warn('[SHARE] Reserve failed, falling back to direct upload:', err.message);
+            if (shareUploadProgressText) shareUploadProgressText.textContent = `Uploading to ${_shareViewerHost || 'Sentry Studio'}...`;
         }
-    } catch (err) {
-        console.warn('[SHARE] Reserve failed, falling back to direct upload:', err.message);
-        if (shareUploadProgressText) shareUploadProgressText.textContent = 'Uploading to Sentry Studio...';
     }
 
     // Listen for progress updates
@@ -2543,6 +2724,10 @@ async function uploadShareClip(filePath) {
             if (shareUploadProgressText) {
                 shareUploadProgressText.textContent = `Uploading... ${uploadedMB} / ${totalMB} MB (${progress.percentage}%)`;
             }
+        } else if (progress.type === 'retrying') {
+            if (shareUploadProgressText) {
+                shareUploadProgressText.textContent = `Connection problem, retrying in ${Math.ceil(progress.delayMs / 1000)}s (attempt ${progress.attempt}/${progress.maxAttempts})...`;
+            }
         } else if (progress.type === 'complete') {
             // Upload succeeded - show link (update if not already shown from reservation)
             if (shareUploadProgress) shareUploadProgress.classList.add('hidden');
@@ -2564,7 +2749,12 @@ async function uploadShareClip(filePath) {
             // Upload failed
             if (shareUploadProgress) shareUploadProgress.classList.add('hidden');
             if (shareError) shareError.classList.remove('hidden');
-            if (shareErrorText) shareErrorText.textContent = `Upload failed: ${progress.error}`;
+            if (shareErrorText) {
+                shareErrorText.textContent = progress.resumable
+                    ? `Upload paused: ${progress.error}. Share again to resume, or resume later from My Shared Clips.`
+                    : `Upload failed: ${progress.error}`;
+            }
+            _pausedShareCode = progress.resumable ? progress.code : null;
             // Hide the pre-shown link on error
             if (shareLinkResult) shareLinkResult.classList.add('hidden');
 
@@ -2591,16 +2781,21 @@ async function uploadShareClip(filePath) {
     }
 
     try {
-        await window.electronAPI.uploadShareClip(filePath, {
-            reserveCode,
-            expirationHours
-        });
+        if (resumeCode) {
+            await window.electronAPI.resumeShareUpload(resumeCode);
+        } else {
+            await window.electronAPI.uploadShareClip(filePath, {
+                reserveCode,
+                expirationHours
+            });
+        }
     } catch (err) {
         console.error('[SHARE] Upload failed:', err);
-        // Error is handled by the progress handler
+        // Error is normally shown by the progress handler already
+        const errorShown = shareError && !shareError.classList.contains('hidden');
         if (shareUploadProgress) shareUploadProgress.classList.add('hidden');
         if (shareError) shareError.classList.remove('hidden');
-        if (shareErrorText) shareErrorText.textContent = `Upload failed: ${err.message || 'Unknown error'}`;
+        if (shareErrorText && !errorShown) shareErrorText.textContent = `Upload failed: ${err.message || 'Unknown error'}`;
         if (doneBtn) {
             doneBtn.disabled = false;
             doneBtn.style.opacity = '';
@@ -2657,12 +2852,8 @@ export async function renderSharedClipsList() {
     const now = Date.now();
 
     listEl.innerHTML = clips.map(clip => {
-        const expiresAt = new Date(clip.expiresAt).getTime();
-        const isExpired = expiresAt <= now;
-        const remainingMs = expiresAt - now;
         const sizeMB = clip.fileSize ? (clip.fileSize / 1048576).toFixed(1) : '?';
-        const statusClass = isExpired ? 'expired' : 'active';
-        const statusText = isExpired ? 'Expired' : formatTimeLeft(remainingMs);
+        const { statusClass, statusText } = getSharedClipStatus(clip, now);
         const displayName = clip.fileName || clip.code;
 
         return `
@@ -2702,9 +2893,9 @@ export async function renderSharedClipsList() {
             _selectedClipData = clip;
 
             // Populate detail panel
-            const expiresAt = new Date(clip.expiresAt).getTime();
-            const isExpired = expiresAt <= now;
-            const remainingMs = expiresAt - now;
+            const isPending = Boolean(clip.upload);
+            const isExpired = !isPending && new Date(clip.expiresAt).getTime() <= now;
+            const { statusClass, statusText } = getSharedClipStatus(clip, now);
             const sizeMB = clip.fileSize ? (clip.fileSize / 1048576).toFixed(1) : '?';
 
             const nameEl = document.getElementById('sharedClipDetailName');
@@ -2714,16 +2905,17 @@ export async function renderSharedClipsList() {
             const copyBtn = document.getElementById('sharedClipCopyBtn');
             const openBtn = document.getElementById('sharedClipOpenBtn');
             const deleteBtn = document.getElementById('sharedClipDeleteBtn');
+            const resumeBtn = document.getElementById('sharedClipResumeBtn');
 
             if (nameEl) nameEl.textContent = clip.fileName || clip.code;
             if (sizeEl) sizeEl.textContent = `${sizeMB} MB`;
             if (statusEl) {
-                statusEl.textContent = isExpired ? 'Expired' : formatTimeLeft(remainingMs);
-                statusEl.className = `shared-clip-status ${isExpired ? 'expired' : 'active'}`;
+                statusEl.textContent = statusText;
+                statusEl.className = `shared-clip-status ${statusClass}`;
             }
 
             // Load video preview (first frame) from server
-            if (previewVideo && clip.url && !isExpired) {
+            if (previewVideo && clip.url && !isExpired && !isPending) {
                 const videoUrl = clip.url.replace(/\/([^/]+)$/, '/video/$1');
                 previewVideo.src = videoUrl + '#t=0.5';
                 previewVideo.load();
@@ -2731,9 +2923,13 @@ export async function renderSharedClipsList() {
                 previewVideo.removeAttribute('src');
             }
 
-            // Show/hide buttons based on expired state
-            if (copyBtn) copyBtn.style.display = isExpired ? 'none' : '';
-            if (openBtn) openBtn.style.display = isExpired ? 'none' : '';
+            // Show/hide buttons based on expired/paused state (the link only works once the upload finishes)
+            if (copyBtn) copyBtn.style.display = isExpired || isPending ? 'none' : '';
+            if (openBtn) openBtn.style.display = isExpired || isPending ? 'none' : '';
+            if (resumeBtn) {
+                resumeBtn.style.display = isPending ? '' : 'none';
+                resumeBtn.disabled = false;
+            }
             if (deleteBtn) {
                 deleteBtn.innerHTML = `<span class="material-symbols-outlined mi-sm">delete</span> <span data-i18n="ui.sharedClips.delete">${t('ui.sharedClips.delete')}</span>`;
             }
@@ -2748,12 +2944,70 @@ export async function renderSharedClipsList() {
 }
 
 /**
- * Wire up the detail panel action buttons (copy, open, delete)
+ * Status badge for a shared clip: time left, expired, or paused upload progress
+ */
+function getSharedClipStatus(clip, now) {
+    if (clip.upload) {
+        const pct = clip.fileSize ? Math.floor((clip.upload.offset / clip.fileSize) * 100) : 0;
+        return { statusClass: 'paused', statusText: `Paused · ${pct}%` };
+    }
+    const remainingMs = new Date(clip.expiresAt).getTime() - now;
+    return remainingMs <= 0
+        ? { statusClass: 'expired', statusText: 'Expired' }
+        : { statusClass: 'active', statusText: formatTimeLeft(remainingMs) };
+}
+
+/**
+ * Wire up the detail panel action buttons (resume, copy, open, delete)
  */
 function _wireDetailButtons(listEl, emptyEl, layoutEl) {
     const copyBtn = document.getElementById('sharedClipCopyBtn');
     const openBtn = document.getElementById('sharedClipOpenBtn');
     const deleteBtn = document.getElementById('sharedClipDeleteBtn');
+    const resumeBtn = document.getElementById('sharedClipResumeBtn');
+
+    if (resumeBtn) {
+        resumeBtn.onclick = async () => {
+            const clip = _selectedClipData;
+            if (!clip?.upload) return;
+            resumeBtn.disabled = true;
+
+            // Progress goes to the detail status and the list row
+            const setStatus = (text, statusClass = 'paused') => {
+                const targets = [
+                    document.getElementById('sharedClipDetailStatus'),
+                    listEl?.querySelector(`.shared-clip-item[data-code="${clip.code}"] .shared-clip-status`)
+                ];
+                targets.forEach(el => {
+                    if (!el) return;
+                    el.textContent = text;
+                    el.className = `shared-clip-status ${statusClass}`;
+                });
+            };
+            const progressHandler = (progress) => {
+                if (progress.code && progress.code !== clip.code) return;
+                if (progress.type === 'progress') {
+                    setStatus(`Uploading · ${progress.percentage}%`, 'active');
+                } else if (progress.type === 'retrying') {
+                    setStatus(`Retrying in ${Math.ceil(progress.delayMs / 1000)}s`);
+                }
+            };
+            window.electronAPI?.on?.('share:progress', progressHandler);
+
+            try {
+                await window.electronAPI.resumeShareUpload(clip.code);
+                notify('Clip shared successfully!', { type: 'success' });
+                renderSharedClipsList();
+            } catch (err) {
+                console.error('[SHARE] Resume failed:', err);
+                notify(`Could not finish the upload: ${err.message?.replace(/^Error invoking remote method '[^']+': (Error: )?/, '') || 'Unknown error'}`, { type: 'error' });
+                // Refresh to show the saved offset (or drop an upload the server no longer has)
+                renderSharedClipsList();
+            } finally {
+                window.electronAPI?.off?.('share:progress', progressHandler);
+            }
+        };
+    }
 
     if (copyBtn) {
         copyBtn.onclick = () => {
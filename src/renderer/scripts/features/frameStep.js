@@ -0,0 +1,435 @@
+/**
+ * Frame Stepping & Stills
+ * Frame-by-frame stepping through the synced native videos using the clip's own stts frame
+ * durations, and full-resolution PNG stills of one camera or the whole grid
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { STILL_OPTIONS_KEY } from '../lib/storageKeys.js';
+import { parseTimestampKeyToEpochMs } from '../core/clipBrowser.js';
+import { findSeiAtTime, hasValidGps } from '../core/seiExtractor.js';
+import { cameraLabel } from '../core/teslaCamIndex.js';
+import { formatStamp } from '../lib/utils.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let getProgressBar = null;
+let getPlayer = null;
+let getCameraVideos = null;
+let getGridColumns = null;
+let getUseMetric = null;
+let pause = null;
+let seekNativeDayCollectionBySec = null;
+let showCollectionAtMs = null;
+let showFrame = null;
+
+// Tesla cameras record at ~36 fps; used until the segment's stts durations are parsed
+const FALLBACK_FRAME_MS = 1000 / 36;
+const SEEK_TIMEOUT_MS = 3000;
+const MPS_TO_KMH = 3.6;
+const MPS_TO_MPH = 2.23694;
+const GEAR_LETTERS = ['P', 'D', 'R', 'N'];
+
+// Frame start times are derived once per durations array
+let frameStartsFor = null;
+let frameStarts = [];
+
+let isSavingStill = false;
+
+/**
+ * Initialize frame stepping and stills with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initFrameStep(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    getProgressBar = deps.getProgressBar;
+    getPlayer = deps.getPlayer;
+    getCameraVideos = deps.getCameraVideos;
+    getGridColumns = deps.getGridColumns;
+    getUseMetric = deps.getUseMetric;
+    pause = deps.pause;
+    seekNativeDayCollectionBySec = deps.seekNativeDayCollectionBySec;
+    showCollectionAtMs = deps.showCollectionAtMs;
+    showFrame = deps.showFrame;
+
+    const bind = (id, handler) => {
+        const btn = $(id);
+        if (btn) btn.onclick = (e) => { e.preventDefault(); btn.blur(); handler(); };
+    };
+    bind('frameBackBtn', () => stepFrame(-1));
+    bind('frameForwardBtn', () => stepFrame(1));
+    bind('saveStillBtn', openStillModal);
+    bind('closeStillModal', closeStillModal);
+    bind('cancelStillBtn', closeStillModal);
+    bind('confirmStillBtn', () => {
+        const options = {
+            source: $('stillSourceSelect')?.value || 'grid',
+            caption: !!$('stillCaptionToggle')?.checked
+        };
+        saveStillOptions(options);
+        closeStillModal();
+        saveStill(options);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Frame stepping
+// ---------------------------------------------------------------------------
+
+/**
+ * Start time (ms) of every frame in the current master segment
+ * @param {Array<number>} durations - Per-frame durations in ms
+ * @returns {Array<number>}
+ */
+function getFrameStarts(durations) {
+    if (durations !== frameStartsFor) {
+        frameStartsFor = durations;
+        frameStarts = [];
+        let runningMs = 0;
+        for (const ms of durations || []) {
+            frameStarts.push(runningMs);
+            runningMs += ms;
+        }
+    }
+    return frameStarts;
+}
+
+/**
+ * Move every loaded camera to exactly the same time (syncMultiVideos tolerates drift, stills can't)
+ * @param {number} timeSec - Target time within the segment
+ */
+function seekAllVideos(timeSec) {
+    const nativeVideo = getNativeVideo?.();
+    const videos = new Set([nativeVideo?.master, ...(getCameraVideos?.() || []).map(s => s.video)]);
+    videos.forEach(vid => {
+        if (vid?.src && vid.readyState >= 1) vid.currentTime = timeSec;
+    });
+}
+
+/**
+ * Step one frame in native video mode, crossing into the neighbouring segment at either end
+ * @param {number} direction - 1 = next frame, -1 = previous frame
+ */
+function stepNativeFrame(direction) {
+    const state = getState?.();
+    const nativeVideo = getNativeVideo?.();
+    const vid = nativeVideo?.master;
+    if (!vid?.src || vid.readyState < 1) return;
+    // A segment switch is still loading; the next keypress will step from where it lands
+    if (nativeVideo.isSeeking || nativeVideo.isTransitioning) return;
+
+    const starts = getFrameStarts(nativeVideo.frameDurations);
+    const durations = nativeVideo.frameDurations || [];
+    const durationMs = (vid.duration || 0) * 1000;
+    const currentMs = vid.currentTime * 1000;
+
+    // Frame containing the current time (+0.5ms so a seek that landed on a frame boundary counts as that frame)
+    let frameIdx;
+    let frameCount;
+    if (starts.length) {
+        let lo = 0, hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= currentMs + 0.5) lo = mid;
+            else hi = mid - 1;
+        }
+        frameIdx = lo;
+        frameCount = starts.length;
+    } else {
+        frameIdx = Math.floor((currentMs + 0.5) / FALLBACK_FRAME_MS);
+        frameCount = Math.max(1, Math.ceil(durationMs / FALLBACK_FRAME_MS));
+    }
+
+    const target = frameIdx + direction;
+    const frameStart = i => starts.length ? starts[i] : i * FALLBACK_FRAME_MS;
+    const frameDuration = i => starts.length ? durations[i] : FALLBACK_FRAME_MS;
+
+    const segIdx = nativeVideo.currentSegmentIdx >= 0 ? nativeVideo.currentSegmentIdx : 0;
+    const segmentCount = state?.collection?.active?.groups?.length || 1;
+    const cumStart = nativeVideo.cumulativeStarts?.[segIdx] || 0;
+
+    if (target < 0) {
+        // Last frame of the previous segment (its durations aren't parsed yet, so aim mid-frame)
+        if (state?.collection?.active && segIdx > 0) {
+            seekNativeDayCollectionBySec?.(Math.max(0, cumStart - FALLBACK_FRAME_MS / 2000));
+        }
+        return;
+    }
+
+    if (target >= frameCount || (durationMs && frameStart(target) >= durationMs)) {
+        if (state?.collection?.active && segIdx < segmentCount - 1) {
+            const nextStart = nativeVideo.cumulativeStarts?.[segIdx + 1];
+            if (Number.isFinite(nextStart)) seekNativeDayCollectionBySec?.(nextStart + FALLBACK_FRAME_MS / 2000);
+        }
+        return;
+    }
+
+    // Land mid-frame: seeking to the exact start can round back into the previous frame
+    const targetMs = frameStart(target) + frameDuration(target) / 2;
+    seekAllVideos(targetMs / 1000);
+}
+
+/**
+ * Step forward or backward by a single video frame (pauses playback)
+ * @param {number} direction - 1 = next frame, -1 = previous frame
+ */
+export function stepFrame(direction) {
+    const state = getState?.();
+    const progressBar = getProgressBar?.();
+    const player = getPlayer?.();
+
+    pause?.();
+
+    if (state?.ui?.nativeVideoMode) {
+        stepNativeFrame(direction);
+        return;
+    }
+
+    // WebCodecs collection mode
+    if (state?.collection?.active) {
+        const currentMs = +progressBar?.value || 0;
+        const newMs = Math.max(0, Math.min(state.collection.active.durationMs, currentMs + direction * FALLBACK_FRAME_MS));
+        if (progressBar) progressBar.value = Math.floor(newMs);
+        showCollectionAtMs?.(newMs);
+    } else if (player?.frames?.length) {
+        // Clip mode: frames are individually addressable already
+        const currentIdx = +progressBar?.value || 0;
+        const newIdx = Math.max(0, Math.min(player.frames.length - 1, currentIdx + direction));
+        if (progressBar) progressBar.value = newIdx;
+        showFrame?.(newIdx);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Stills
+// ---------------------------------------------------------------------------
+
+function loadStillOptions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STILL_OPTIONS_KEY) || 'null');
+        return { source: saved?.source || 'grid', caption: saved?.caption !== false };
+    } catch {
+        return { source: 'grid', caption: true };
+    }
+}
+
+function saveStillOptions(options) {
+    try {
+        localStorage.setItem(STILL_OPTIONS_KEY, JSON.stringify(options));
+    } catch { /* storage full or disabled */ }
+}
+
+/**
+ * Open the still options dialog for the cameras currently on screen
+ */
+export function openStillModal() {
+    const modal = $('stillModal');
+    const select = $('stillSourceSelect');
+    const sources = (getCameraVideos?.() || []).filter(s => s.video?.src);
+    if (!modal || !select) return;
+    if (!sources.length) {
+        notify(t('ui.stills.noVideo'), { type: 'warn' });
+        return;
+    }
+
+    const options = loadStillOptions();
+    const values = sources.length > 1 ? ['grid', ...sources.map(s => s.camera)] : sources.map(s => s.camera);
+    select.innerHTML = '';
+    for (const value of values) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = value === 'grid' ? t('ui.stills.wholeGrid') : cameraLabel(value);
+        select.appendChild(opt);
+    }
+    select.value = values.includes(options.source) ? options.source : values[0];
+
+    const captionToggle = $('stillCaptionToggle');
+    if (captionToggle) captionToggle.checked = options.caption;
+
+    modal.classList.remove('hidden');
+}
+
+function closeStillModal() {
+    $('stillModal')?.classList.add('hidden');
+}
+
+/**
+ * Resolve once a video has finished seeking to timeSec and has that frame decoded
+ */
+function alignVideo(vid, timeSec) {
+    return new Promise(resolve => {
+        if (Math.abs(vid.currentTime - timeSec) > 0.001) vid.currentTime = timeSec;
+        if (!vid.seeking && vid.readyState >= 2) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            clearTimeout(timer);
+            vid.removeEventListener('seeked', done);
+            resolve();
+        };
+        const timer = setTimeout(done, SEEK_TIMEOUT_MS);
+        vid.addEventListener('seeked', done);
+    });
+}
+
+/**
+ * One-line caption: recording time, camera, speed, gear, GPS and Autopilot state
+ */
+function buildCaption({ epochMs, camera, sei }) {
+    const parts = [];
+    if (epochMs != null) parts.push(formatStamp(epochMs, { ms: true }));
+    if (camera) parts.push(cameraLabel(camera));
+    if (sei) {
+        const get = (camel, snake) => sei[camel] ?? sei[snake];
+        const mps = Math.abs(Number(get('vehicleSpeedMps', 'vehicle_speed_mps')) || 0);
+        const useMetric = !!getUseMetric?.();
+        const speed = Math.round(mps * (useMetric ? MPS_TO_KMH : MPS_TO_MPH));
+        parts.push(`${speed} ${t('ui.dashboard.' + (useMetric ? 'kmh' : 'mph'))}`);
+        const gear = GEAR_LETTERS[get('gearState', 'gear_state')];
+        if (gear) parts.push(gear);
+        if (hasValidGps(sei)) {
+            const lat = Number(get('latitudeDeg', 'latitude_deg'));
+            const lon = Number(get('longitudeDeg', 'longitude_deg'));
+            parts.push(`${lat.toFixed(5)}, ${lon.toFixed(5)}`);
+        }
+        if (Number(get('autopilotState', 'autopilot_state')) > 0) parts.push(t('ui.stills.autopilot'));
+    }
+    return parts.join('  ·  ');
+}
+
+/**
+ * Draw the selected camera(s) at their native resolution, plus an optional caption bar
+ * below the footage (never over it, so nothing like a plate gets covered)
+ */
+function renderStill(sources, { grid, caption, captionText }) {
+    const columns = grid ? Math.max(1, Math.min(getGridColumns?.() || 3, sources.length)) : 1;
+    const rows = Math.ceil(sources.length / columns);
+    // Cells fit the largest camera so no camera is scaled down
+    const cellW = Math.max(...sources.map(s => s.video.videoWidth));
+    const cellH = Math.max(...sources.map(s => s.video.videoHeight));
+    const width = cellW * columns;
+    const fontPx = Math.max(16, Math.round(width / 90));
+    const captionH = caption ? Math.round(fontPx * 2.2) : 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = cellH * rows + captionH;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    sources.forEach(({ camera, video }, i) => {
+        const x = (i % columns) * cellW;
+        const y = Math.floor(i / columns) * cellH;
+        const scale = Math.min(cellW / video.videoWidth, cellH / video.videoHeight);
+        const w = Math.round(video.videoWidth * scale);
+        const h = Math.round(video.videoHeight * scale);
+        ctx.drawImage(video, x + Math.round((cellW - w) / 2), y + Math.round((cellH - h) / 2), w, h);
+
+        if (caption && grid) {
+            const label = cameraLabel(camera);
+            ctx.font = `600 ${fontPx}px sans-serif`;
+            const padding = Math.round(fontPx * 0.4);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x, y, ctx.measureText(label).width + padding * 2, fontPx + padding * 2);
+            ctx.fillStyle = '#fff';
+            ctx.textBaseline = 'top';
+            ctx.fillText(label, x + padding, y + padding);
+        }
+    });
+
+    if (caption) {
+        ctx.font = `${fontPx}px sans-serif`;
+        ctx.fillStyle = '#fff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(captionText, Math.round(fontPx * 0.6), cellH * rows + captionH / 2, width - fontPx * 1.2);
+    }
+
+    return canvas;
+}
+
+/**
+ * Save a full-resolution PNG of the paused frame
+ * @param {Object} [options] - { source: camera name or 'grid', caption: boolean }; defaults to the last used options
+ */
+export async function saveStill(options = loadStillOptions()) {
+    if (isSavingStill) return;
+    const state = getState?.();
+    const nativeVideo = getNativeVideo?.();
+    const master = nativeVideo?.master;
+    const available = (getCameraVideos?.() || []).filter(s => s.video?.src && s.video.readyState >= 1);
+    if (!state?.ui?.nativeVideoMode || !master?.src || !available.length) {
+        notify(t('ui.stills.noVideo'), { type: 'warn' });
+        return;
+    }
+
+    isSavingStill = true;
+    try {
+        pause?.();
+        const grid = options.source === 'grid' && available.length > 1;
+        let sources = grid ? available : available.filter(s => s.camera === options.source);
+        if (!sources.length) sources = [available.find(s => s.video === master) || available[0]];
+
+        const timeSec = master.currentTime;
+        await Promise.all(sources.map(s => alignVideo(s.video, timeSec)));
+        sources = sources.filter(s => s.video.readyState >= 2 && s.video.videoWidth > 0);
+        if (!sources.length) throw new Error(t('ui.stills.noFrame'));
+
+        const group = state.collection?.active?.groups?.[nativeVideo.currentSegmentIdx];
+        const clipEpochMs = group?.timestampKey ? parseTimestampKeyToEpochMs(group.timestampKey) : null;
+        const epochMs = clipEpochMs != null ? clipEpochMs + Math.round(timeSec * 1000) : null;
+        const sei = findSeiAtTime(nativeVideo.seiData, timeSec * 1000);
+        const captionText = buildCaption({ epochMs, camera: grid ? null : sources[0].camera, sei });
+
+        const canvas = renderStill(sources, { grid, caption: options.caption, captionText });
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error(t('ui.stills.noFrame'));
+
+        const stamp = formatStamp(epochMs ?? Date.now(), { ms: true, partSep: '_', timeSep: '-', msSep: '-' });
+        const fileName = `tesla_still_${grid ? 'grid' : sources[0].camera}_${stamp}.png`;
+
+        if (window.electronAPI?.saveFile && window.electronAPI?.saveStill) {
+            const filePath = await window.electronAPI.saveFile({
+                title: t('ui.stills.saveTitle'),
+                defaultPath: fileName,
+                filters: [
+                    { name: 'PNG Images', extensions: ['png'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+            if (!filePath) return;
+
+            const sourceFiles = sources
+                .map(s => group?.filesByCamera?.get(s.camera)?.file?.name)
+                .filter(Boolean);
+            const result = await window.electronAPI.saveStill(filePath, new Uint8Array(await blob.arrayBuffer()), {
+                title: fileName,
+                description: captionText,
+                source: `${sourceFiles.join(', ')} @ ${timeSec.toFixed(3)}s`,
+                creationTime: epochMs != null ? new Date(epochMs).toISOString() : ''
+            });
+            if (!result?.success) throw new Error(result?.error || 'Unknown error');
+            notify(t('ui.stills.saved', { file: filePath.split(/[\\/]/).pop() }), { type: 'success' });
+        } else {
+            // Browser build: plain download
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    } catch (err) {
+        console.error('[STILLS] Failed to save still:', err);
+        notify(t('ui.stills.saveFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        isSavingStill = false;
+    }
+}
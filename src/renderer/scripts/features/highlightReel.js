@@ -0,0 +1,252 @@
+/**
+ * Highlight Reel
+ * Finds points of interest in the active collection (Sentry/Saved event triggers, FSD disengagements,
+ * accelerator pushes and hard braking) and turns them into clip windows with title cards for the exporter
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { getSegmentTimeline, epochToCollectionMs, collectionMsToEpoch } from '../core/segmentTimeline.js';
+import { getCollectionIncidents } from './incidents.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let getEventMetaByKey = null;
+
+const MAX_REEL_CLIPS = 60;
+
+const POINT_LABEL_KEYS = {
+    sentry: 'ui.highlightReel.sentryEvent',
+    saved: 'ui.highlightReel.savedEvent',
+    disengagement: 'ui.highlightReel.disengagement',
+    accel_push: 'ui.highlightReel.accelPush',
+    hardBrake: 'ui.incidents.hardBrake'
+};
+
+/**
+ * Initialize highlight reel module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initHighlightReel(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    getEventMetaByKey = deps.getEventMetaByKey;
+}
+
+/**
+ * Whether the export modal is set to build a highlight reel instead of exporting the marked range
+ * @returns {boolean}
+ */
+export function isHighlightReelEnabled() {
+    return $('enableHighlightReel')?.checked === true;
+}
+
+/**
+ * Read the reel options from the export modal
+ * @returns {{events: boolean, disengagements: boolean, accelPushes: boolean, braking: boolean, beforeSec: number, afterSec: number}}
+ */
+function getHighlightReelOptions() {
+    return {
+        events: $('reelSourceEvents')?.checked ?? true,
+        disengagements: $('reelSourceDisengagements')?.checked ?? true,
+        accelPushes: $('reelSourceAccelPushes')?.checked ?? false,
+        braking: $('reelSourceBraking')?.checked ?? true,
+        beforeSec: parseFloat($('reelPaddingBefore')?.value) || 10,
+        afterSec: parseFloat($('reelPaddingAfter')?.value) || 5
+    };
+}
+
+function formatCoordinates(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return '';
+    if (Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001) return '';
+    return `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+}
+
+/**
+ * Sentry/Saved event.json trigger times in the active collection
+ */
+function collectEventPoints(coll, timeline) {
+    const metas = new Set();
+    for (const g of coll.groups || []) {
+        if (g.eventMeta) metas.add(g.eventMeta);
+    }
+    if (metas.size === 0 && coll.tag && coll.eventId) {
+        const meta = getEventMetaByKey?.()?.get(`${coll.tag}/${coll.eventId}`);
+        if (meta) metas.add(meta);
+    }
+
+    const type = (coll.tag || '').toLowerCase() === 'savedclips' ? 'saved' : 'sentry';
+    const points = [];
+    for (const meta of metas) {
+        const epochMs = Date.parse(meta.timestamp);
+        if (!Number.isFinite(epochMs)) continue;
+        const timeMs = epochToCollectionMs(epochMs, timeline);
+        if (timeMs == null) continue;
+        const location = [meta.street, meta.city].filter(Boolean).join(', ')
+            || formatCoordinates(parseFloat(meta.est_lat), parseFloat(meta.est_lon));
+        points.push({ type, timeMs, epochMs, location });
+    }
+    return points;
+}
+
+/**
+ * FSD disengagements and accelerator pushes from the SentryUSB drives overlapping the collection
+ */
+function collectFsdPoints(options, timeline) {
+    const drives = getState?.()?.sentryUsb?.drives || [];
+    const points = [];
+    for (const drive of drives) {
+        for (const ev of drive.fsdEvents || []) {
+            if (!Number.isFinite(ev.timeMs)) continue;
+            if (ev.type === 'disengagement' && !options.disengagements) continue;
+            if (ev.type === 'accel_push' && !options.accelPushes) continue;
+            const timeMs = epochToCollectionMs(ev.timeMs, timeline);
+            if (timeMs == null) continue;
+            points.push({ type: ev.type, timeMs, epochMs: ev.timeMs, location: formatCoordinates(ev.lat, ev.lng) });
+        }
+    }
+    return points;
+}
+
+/**
+ * Hard-braking incidents from the telemetry scan
+ */
+async function collectBrakePoints(timeline) {
+    const incidents = await getCollectionIncidents();
+    return incidents
+        .filter(incident => incident.type === 'hardBrake')
+        .map(incident => {
+            const timeMs = incident.timeSec * 1000;
+            return {
+                type: 'hardBrake',
+                timeMs,
+                epochMs: incident.peakEpochMs ?? collectionMsToEpoch(timeMs, timeline),
+                location: ''
+            };
+        });
+}
+
+/**
+ * Merge padded windows around each point; overlapping windows become one clip
+ * @param {Array} points - Sorted by timeMs
+ * @param {Object} options - { beforeSec, afterSec }
+ * @param {number} totalMs - Collection length
+ * @returns {Array<{startTimeMs: number, endTimeMs: number, points: Array}>}
+ */
+function buildWindows(points, options, totalMs) {
+    const windows = [];
+    for (const point of points) {
+        const startTimeMs = Math.max(0, point.timeMs - options.beforeSec * 1000);
+        const endTimeMs = Math.min(totalMs, point.timeMs + options.afterSec * 1000);
+        if (endTimeMs <= startTimeMs) continue;
+
+        const last = windows[windows.length - 1];
+        if (last && startTimeMs <= last.endTimeMs) {
+            last.endTimeMs = Math.max(last.endTimeMs, endTimeMs);
+            last.points.push(point);
+        } else {
+            windows.push({ startTimeMs, endTimeMs, points: [point] });
+        }
+    }
+    return windows;
+}
+
+function formatReelDateTime(epochMs) {
+    const d = new Date(epochMs);
+    const y = d.getFullYear();
+    const mo = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    const dateFormat = window._dateFormat || 'ymd';
+    const date = dateFormat === 'mdy' ? `${mo}/${day}/${y}` : dateFormat === 'dmy' ? `${day}/${mo}/${y}` : `${y}-${mo}-${day}`;
+
+    const m = String(d.getMinutes()).padStart(2, '0');
+    const s = String(d.getSeconds()).padStart(2, '0');
+    if (window._timeFormat === '24h') {
+        return `${date} ${String(d.getHours()).padStart(2, '0')}:${m}:${s}`;
+    }
+    const ampm = d.getHours() >= 12 ? 'PM' : 'AM';
+    return `${date} ${d.getHours() % 12 || 12}:${m}:${s} ${ampm}`;
+}
+
+/**
+ * Title card text for one reel clip: what happened, when, and where
+ * @returns {string[]} Lines, first one is the heading
+ */
+function buildTitleLines(clipWindow) {
+    const { points } = clipWindow;
+    const labels = [...new Set(points.map(p => t(POINT_LABEL_KEYS[p.type])))];
+    const first = points.find(p => Number.isFinite(p.epochMs)) || points[0];
+    const location = points.find(p => p.location)?.location || '';
+    return [
+        labels.join(' · '),
+        Number.isFinite(first?.epochMs) ? formatReelDateTime(first.epochMs) : '',
+        location
+    ].filter(Boolean);
+}
+
+/**
+ * Sentry/Saved event triggers and FSD disengagements in the active collection, labelled,
+ * with the segment timeline (also used for the chapter markers of exported MP4s)
+ * @returns {{timeline: Array, points: Array<{type: string, timeMs: number, epochMs: number, label: string}>}}
+ */
+export function getEventChapterPoints() {
+    const coll = getState?.()?.collection?.active;
+    const timeline = getSegmentTimeline(coll?.groups, getNativeVideo?.());
+    if (!coll) return { timeline, points: [] };
+
+    const points = [
+        ...collectEventPoints(coll, timeline),
+        ...collectFsdPoints({ disengagements: true, accelPushes: false }, timeline)
+    ];
+    points.sort((a, b) => a.timeMs - b.timeMs);
+    return { timeline, points: points.map(p => ({ ...p, label: t(POINT_LABEL_KEYS[p.type]) })) };
+}
+
+/**
+ * Collect the points of interest selected in the export modal and build the reel clips
+ * @returns {Promise<{clips: Array<{startTimeMs: number, endTimeMs: number, titleLines: string[]}>, startTimeMs: number, endTimeMs: number}|null>}
+ *          null (after notifying) when nothing was found
+ */
+export async function buildHighlightReel() {
+    const coll = getState?.()?.collection?.active;
+    if (!coll) return null;
+
+    const options = getHighlightReelOptions();
+    const nativeVideo = getNativeVideo?.();
+    const timeline = getSegmentTimeline(coll.groups, nativeVideo);
+    const totalMs = (nativeVideo?.cumulativeStarts?.[nativeVideo.cumulativeStarts.length - 1] || 60) * 1000;
+
+    const points = [];
+    if (options.events) points.push(...collectEventPoints(coll, timeline));
+    if (options.disengagements || options.accelPushes) points.push(...collectFsdPoints(options, timeline));
+    if (options.braking) {
+        notify(t('ui.highlightReel.scanningTelemetry'), { type: 'info' });
+        points.push(...await collectBrakePoints(timeline));
+    }
+    points.sort((a, b) => a.timeMs - b.timeMs);
+
+    let windows = buildWindows(points, options, totalMs);
+    console.log(`[REEL] ${points.length} point(s) of interest -> ${windows.length} clip(s)`);
+    if (windows.length === 0) {
+        notify(t('ui.highlightReel.nothingFound'), { type: 'warn' });
+        return null;
+    }
+    if (windows.length > MAX_REEL_CLIPS) {
+        notify(t('ui.highlightReel.tooManyClips', { count: windows.length, max: MAX_REEL_CLIPS }), { type: 'warn' });
+        windows = windows.slice(0, MAX_REEL_CLIPS);
+    }
+
+    return {
+        clips: windows.map(w => ({
+            startTimeMs: w.startTimeMs,
+            endTimeMs: w.endTimeMs,
+            titleLines: buildTitleLines(w)
+        })),
+        startTimeMs: windows[0].startTimeMs,
+        endTimeMs: windows[windows.length - 1].endTimeMs
+    };
+}
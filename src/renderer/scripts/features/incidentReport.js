@@ -0,0 +1,633 @@
+/**
+ * Incident Report
+ * One-click report for a Sentry/Saved event: the event.json details, key-frame stills from every
+ * camera around the trigger, a location/route map and a speed/pedal/steering chart, saved as a
+ * self-contained HTML file or printed to PDF
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t, getCurrentLanguage } from '../lib/i18n.js';
+import { escapeHtml, loadDetachedVideo, formatStamp } from '../lib/utils.js';
+import { getSegmentTimeline, epochToCollectionMs } from '../core/segmentTimeline.js';
+import { extractCollectionSei, hasValidGps } from '../core/seiExtractor.js';
+import { toSearchFrame } from '../core/searchQuery.js';
+import { cameraLabel } from '../core/teslaCamIndex.js';
+import { EVENT_CAMERA_NAMES } from '../core/libraryEvents.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let getEventMetaByKey = null;
+let formatEventReason = null;
+let getUseMetric = null;
+
+// Stills are taken this many seconds around the trigger
+const KEY_FRAME_OFFSETS_SEC = [-5, 0, 5];
+// The chart covers this many seconds either side of the trigger
+const CHART_WINDOW_SEC = 15;
+const CAMERA_ORDER = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+const STILL_WIDTH = 640;
+const STILL_QUALITY = 0.82;
+const VIDEO_TIMEOUT_MS = 8000;
+
+const MAP_WIDTH = 720;
+const MAP_HEIGHT = 360;
+const MAP_MAX_ZOOM = 17;
+const MAP_PADDING_PX = 40;
+const TILE_SIZE = 256;
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_TIMEOUT_MS = 8000;
+
+const CHART_WIDTH = 720;
+const CHART_PANEL_HEIGHT = 96;
+const MPS_TO_KMH = 3.6;
+const MPS_TO_MPH = 2.23694;
+const GEAR_LETTERS = ['P', 'D', 'R', 'N'];
+
+let isGenerating = false;
+
+/**
+ * Initialize incident report module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initIncidentReport(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    getEventMetaByKey = deps.getEventMetaByKey;
+    formatEventReason = deps.formatEventReason;
+    getUseMetric = deps.getUseMetric;
+
+    const btn = $('incidentReportBtn');
+    if (btn) btn.onclick = (e) => { e.preventDefault(); generateIncidentReport(); };
+}
+
+/**
+ * event.json metadata of the active collection (only Sentry/Saved events have one)
+ */
+function getEventMeta(coll) {
+    for (const g of coll?.groups || []) {
+        if (g.eventMeta) return g.eventMeta;
+    }
+    if (coll?.tag && coll?.eventId) return getEventMetaByKey?.()?.get(`${coll.tag}/${coll.eventId}`) || null;
+    return null;
+}
+
+function getEventType(coll) {
+    const tag = (coll?.tag || '').toLowerCase();
+    if (tag === 'sentryclips') return 'sentry';
+    if (tag === 'savedclips') return 'saved';
+    return null;
+}
+
+/**
+ * Show the report button only for Sentry/Saved events with a known trigger time
+ */
+export function updateIncidentReportButton() {
+    const btn = $('incidentReportBtn');
+    if (!btn) return;
+    const coll = getState?.()?.collection?.active;
+    const available = !!getEventType(coll) && Number.isFinite(Date.parse(getEventMeta(coll)?.timestamp));
+    btn.classList.toggle('hidden', !available);
+}
+
+function segmentIndexAt(timeMs, timeline) {
+    for (let i = timeline.length - 1; i >= 0; i--) {
+        if (timeMs >= timeline[i].startMs) return i;
+    }
+    return 0;
+}
+
+function formatOffset(sec) {
+    if (sec === 0) return t('ui.incidentReport.trigger');
+    return `${sec > 0 ? '+' : '−'}${Math.abs(sec)} s`;
+}
+
+// ----------------------------------------------------------------
+// Key-frame stills
+// ----------------------------------------------------------------
+
+/**
+ * Seek a video and grab the frame as a scaled-down JPEG data URL
+ */
+function captureFrame(video, timeSec) {
+    return new Promise(resolve => {
+        const draw = () => {
+            clearTimeout(timer);
+            video.onseeked = null;
+            if (!video.videoWidth) {
+                resolve(null);
+                return;
+            }
+            const width = Math.min(STILL_WIDTH, video.videoWidth);
+            const height = Math.round(video.videoHeight * (width / video.videoWidth));
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+            resolve(canvas.toDataURL('image/jpeg', STILL_QUALITY));
+        };
+        const timer = setTimeout(draw, VIDEO_TIMEOUT_MS);
+        video.onseeked = draw;
+        video.currentTime = Math.max(0, Math.min(timeSec, (video.duration || timeSec) - 0.05));
+    });
+}
+
+/**
+ * Stills of every camera at each key-frame offset; clips are opened one at a time
+ * @returns {Promise<Array<{offsetSec: number, epochMs: number|null, frames: Object<string, string>}>>}
+ */
+async function captureKeyFrames(groups, timeline, triggerMs) {
+    const last = timeline[timeline.length - 1];
+    const totalMs = last ? last.startMs + last.durationMs : 0;
+    const moments = KEY_FRAME_OFFSETS_SEC.map(offsetSec => {
+        const timeMs = Math.max(0, Math.min(totalMs - 1, triggerMs + offsetSec * 1000));
+        const segIdx = segmentIndexAt(timeMs, timeline);
+        const seg = timeline[segIdx];
+        return {
+            offsetSec,
+            segIdx,
+            clipSec: (timeMs - seg.startMs) / 1000,
+            epochMs: seg.epochMs != null ? seg.epochMs + (timeMs - seg.startMs) : null,
+            frames: {}
+        };
+    });
+
+    const segIndices = [...new Set(moments.map(m => m.segIdx))];
+    const jobs = segIndices.flatMap(segIdx => CAMERA_ORDER
+        .filter(camera => groups[segIdx]?.filesByCamera?.get(camera)?.file)
+        .map(camera => ({ segIdx, camera })));
+
+    for (const { segIdx, camera } of jobs) {
+        const loaded = await loadDetachedVideo(groups[segIdx].filesByCamera.get(camera).file, VIDEO_TIMEOUT_MS);
+        if (!loaded) continue;
+        try {
+            for (const moment of moments.filter(m => m.segIdx === segIdx)) {
+                const still = await captureFrame(loaded.video, moment.clipSec);
+                if (still) moment.frames[camera] = still;
+            }
+        } finally {
+            loaded.release();
+        }
+    }
+    return moments;
+}
+
+// ----------------------------------------------------------------
+// Static map
+// ----------------------------------------------------------------
+
+function projectToWorld(lat, lon, zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const sin = Math.sin(lat * Math.PI / 180);
+    return {
+        x: (lon + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+}
+
+function loadTile(z, x, y) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        const timer = setTimeout(() => { img.src = ''; resolve(null); }, TILE_TIMEOUT_MS);
+        img.onload = () => { clearTimeout(timer); resolve(img); };
+        img.onerror = () => { clearTimeout(timer); resolve(null); };
+        img.src = TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    });
+}
+
+/**
+ * Draw the route and event position over OpenStreetMap tiles (plain background when offline)
+ * @param {Array<[number, number]>} route - [lat, lon] points in time order
+ * @param {{lat: number, lon: number}|null} eventPoint - Position at the trigger
+ * @returns {Promise<{dataUrl: string, hasTiles: boolean}|null>}
+ */
+async function renderMapImage(route, eventPoint) {
+    const points = eventPoint ? [...route, [eventPoint.lat, eventPoint.lon]] : route;
+    if (points.length === 0) return null;
+
+    // Highest zoom where every point fits inside the padded canvas
+    let zoom = MAP_MAX_ZOOM;
+    for (; zoom > 2; zoom--) {
+        const projected = points.map(([lat, lon]) => projectToWorld(lat, lon, zoom));
+        const spanX = Math.max(...projected.map(p => p.x)) - Math.min(...projected.map(p => p.x));
+        const spanY = Math.max(...projected.map(p => p.y)) - Math.min(...projected.map(p => p.y));
+        if (spanX <= MAP_WIDTH - MAP_PADDING_PX * 2 && spanY <= MAP_HEIGHT - MAP_PADDING_PX * 2) break;
+    }
+
+    const projected = points.map(([lat, lon]) => projectToWorld(lat, lon, zoom));
+    const centerX = (Math.max(...projected.map(p => p.x)) + Math.min(...projected.map(p => p.x))) / 2;
+    const centerY = (Math.max(...projected.map(p => p.y)) + Math.min(...projected.map(p => p.y))) / 2;
+    const originX = centerX - MAP_WIDTH / 2;
+    const originY = centerY - MAP_HEIGHT / 2;
+    const toCanvas = ([lat, lon]) => {
+        const p = projectToWorld(lat, lon, zoom);
+        return { x: p.x - originX, y: p.y - originY };
+    };
+
+    const draw = (tiles) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = MAP_WIDTH;
+        canvas.height = MAP_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#e9eef2';
+        ctx.fillRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
+        for (const tile of tiles) ctx.drawImage(tile.img, tile.x * TILE_SIZE - originX, tile.y * TILE_SIZE - originY);
+
+        if (route.length > 1) {
+            ctx.strokeStyle = '#1565c0';
+            ctx.lineWidth = 4;
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            route.forEach((point, i) => {
+                const { x, y } = toCanvas(point);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            const start = toCanvas(route[0]);
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#1565c0';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(start.x, start.y, 6, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        if (eventPoint) {
+            const { x, y } = toCanvas([eventPoint.lat, eventPoint.lon]);
+            ctx.fillStyle = '#d32f2f';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(x, y, 9, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        if (tiles.length) {
+            const attribution = '© OpenStreetMap contributors';
+            ctx.font = '11px sans-serif';
+            const w = ctx.measureText(attribution).width + 8;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillRect(MAP_WIDTH - w, MAP_HEIGHT - 16, w, 16);
+            ctx.fillStyle = '#333333';
+            ctx.fillText(attribution, MAP_WIDTH - w + 4, MAP_HEIGHT - 4);
+        }
+        return canvas.toDataURL('image/png');
+    };
+
+    const tileCount = Math.pow(2, zoom);
+    const requests = [];
+    for (let ty = Math.floor(originY / TILE_SIZE); ty <= Math.floor((originY + MAP_HEIGHT) / TILE_SIZE); ty++) {
+        for (let tx = Math.floor(originX / TILE_SIZE); tx <= Math.floor((originX + MAP_WIDTH) / TILE_SIZE); tx++) {
+            if (ty < 0 || ty >= tileCount) continue;
+            const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+            requests.push(loadTile(zoom, wrappedX, ty).then(img => img && { img, x: tx, y: ty }));
+        }
+    }
+    const tiles = (await Promise.all(requests)).filter(Boolean);
+
+    try {
+        return { dataUrl: draw(tiles), hasTiles: tiles.length > 0 };
+    } catch (err) {
+        // Tiles served without CORS headers taint the canvas; fall back to the bare route
+        console.warn('[REPORT] Map tiles could not be embedded:', err);
+        return { dataUrl: draw([]), hasTiles: false };
+    }
+}
+
+// ----------------------------------------------------------------
+// Telemetry chart
+// ----------------------------------------------------------------
+
+/**
+ * Stacked SVG line charts (speed, accelerator with brake bands, steering) around the trigger
+ * @param {Array} samples - { offsetSec, speed, accel, brake, steering }
+ */
+function buildChartSvg(samples, useMetric) {
+    const left = 52;
+    const right = 12;
+    const plotW = CHART_WIDTH - left - right;
+    const gap = 18;
+    const axisH = 22;
+    const xOf = sec => left + ((sec + CHART_WINDOW_SEC) / (CHART_WINDOW_SEC * 2)) * plotW;
+
+    const speedUnit = t('ui.dashboard.' + (useMetric ? 'kmh' : 'mph'));
+    const speedFactor = useMetric ? MPS_TO_KMH : MPS_TO_MPH;
+    const speeds = samples.map(s => s.speed * speedFactor);
+    const maxSpeed = Math.max(10, Math.ceil(Math.max(...speeds) / 10) * 10);
+    const maxSteer = Math.max(45, Math.ceil(Math.max(...samples.map(s => Math.abs(s.steering))) / 45) * 45);
+
+    const panels = [
+        { label: `${t('ui.incidentReport.speed')} (${speedUnit})`, min: 0, max: maxSpeed, values: speeds, color: '#1565c0' },
+        { label: `${t('ui.incidentReport.accelerator')} (%)`, min: 0, max: 100, values: samples.map(s => s.accel), color: '#2e7d32', brake: true },
+        { label: `${t('ui.incidentReport.steering')} (°)`, min: -maxSteer, max: maxSteer, values: samples.map(s => s.steering), color: '#6a1b9a', zeroLine: true }
+    ];
+
+    const height = panels.length * (CHART_PANEL_HEIGHT + gap) + axisH;
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${height}" width="100%" font-family="sans-serif" font-size="10">`];
+
+    panels.forEach((panel, p) => {
+        const top = p * (CHART_PANEL_HEIGHT + gap) + gap - 4;
+        const yOf = v => top + CHART_PANEL_HEIGHT - ((v - panel.min) / (panel.max - panel.min)) * CHART_PANEL_HEIGHT;
+        parts.push(`<text x="${left}" y="${top - 4}" font-size="11" font-weight="600" fill="#333">${escapeHtml(panel.label)}</text>`);
+        parts.push(`<rect x="${left}" y="${top}" width="${plotW}" height="${CHART_PANEL_HEIGHT}" fill="#fafafa" stroke="#ccc"/>`);
+
+        // Brake-applied bands behind the accelerator trace
+        if (panel.brake) {
+            let bandStart = null;
+            samples.forEach((s, i) => {
+                if (s.brake && bandStart === null) bandStart = s.offsetSec;
+                const ends = bandStart !== null && (!s.brake || i === samples.length - 1);
+                if (ends) {
+                    const x1 = xOf(bandStart);
+                    const x2 = Math.max(x1 + 1, xOf(s.offsetSec));
+                    parts.push(`<rect x="${x1.toFixed(1)}" y="${top}" width="${(x2 - x1).toFixed(1)}" height="${CHART_PANEL_HEIGHT}" fill="#d32f2f" fill-opacity="0.18"/>`);
+                    bandStart = null;
+                }
+            });
+            parts.push(`<rect x="${left + plotW - 92}" y="${top + 6}" width="10" height="10" fill="#d32f2f" fill-opacity="0.35"/>`);
+            parts.push(`<text x="${left + plotW - 78}" y="${top + 15}" fill="#555">${escapeHtml(t('ui.incidentReport.brake'))}</text>`);
+        }
+
+        for (const v of [panel.min, (panel.min + panel.max) / 2, panel.max]) {
+            parts.push(`<text x="${left - 6}" y="${(yOf(v) + 3).toFixed(1)}" text-anchor="end" fill="#666">${Math.round(v)}</text>`);
+        }
+        if (panel.zeroLine) {
+            parts.push(`<line x1="${left}" x2="${left + plotW}" y1="${yOf(0).toFixed(1)}" y2="${yOf(0).toFixed(1)}" stroke="#bbb" stroke-dasharray="2,3"/>`);
+        }
+
+        const points = samples.map((s, i) => `${xOf(s.offsetSec).toFixed(1)},${yOf(Math.max(panel.min, Math.min(panel.max, panel.values[i]))).toFixed(1)}`);
+        if (points.length > 1) {
+            parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${panel.color}" stroke-width="1.6" stroke-linejoin="round"/>`);
+        }
+        parts.push(`<line x1="${xOf(0).toFixed(1)}" x2="${xOf(0).toFixed(1)}" y1="${top}" y2="${top + CHART_PANEL_HEIGHT}" stroke="#d32f2f" stroke-width="1.5" stroke-dasharray="4,3"/>`);
+    });
+
+    const axisY = panels.length * (CHART_PANEL_HEIGHT + gap) + 10;
+    for (let sec = -CHART_WINDOW_SEC; sec <= CHART_WINDOW_SEC; sec += 5) {
+        const label = sec === 0 ? t('ui.incidentReport.trigger') : `${sec > 0 ? '+' : ''}${sec} s`;
+        parts.push(`<text x="${xOf(sec).toFixed(1)}" y="${axisY}" text-anchor="middle" fill="${sec === 0 ? '#d32f2f' : '#666'}">${escapeHtml(label)}</text>`);
+    }
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+// ----------------------------------------------------------------
+// Report document
+// ----------------------------------------------------------------
+
+const REPORT_CSS = `
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #222; margin: 0; padding: 24px; background: #fff; font-size: 12px; line-height: 1.45; }
+    .report { max-width: 960px; margin: 0 auto; }
+    header { border-bottom: 3px solid #d32f2f; padding-bottom: 10px; margin-bottom: 16px; }
+    header.saved { border-color: #1565c0; }
+    h1 { font-size: 22px; margin: 0 0 2px; }
+    h2 { font-size: 15px; margin: 22px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #ddd; }
+    .subtitle { color: #555; font-size: 14px; }
+    table.details { border-collapse: collapse; width: 100%; }
+    table.details th { text-align: left; width: 190px; color: #555; font-weight: 600; padding: 4px 8px 4px 0; vertical-align: top; }
+    table.details td { padding: 4px 0; }
+    .muted { color: #777; }
+    .frames { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+    .moment { break-inside: avoid; page-break-inside: avoid; margin-bottom: 12px; }
+    .moment h3 { font-size: 13px; margin: 10px 0 6px; }
+    .moment.trigger h3 { color: #d32f2f; }
+    figure { margin: 0; }
+    figure img { width: 100%; display: block; border: 1px solid #ccc; background: #000; }
+    figcaption { font-size: 10px; color: #555; margin-top: 2px; }
+    .map img { width: 100%; max-width: ${MAP_WIDTH}px; border: 1px solid #ccc; display: block; }
+    .chart, .map { break-inside: avoid; page-break-inside: avoid; }
+    footer { margin-top: 28px; padding-top: 8px; border-top: 1px solid #ddd; color: #777; font-size: 10px; }
+    @page { margin: 14mm; }
+    @media print { body { padding: 0; } h2 { break-after: avoid; page-break-after: avoid; } }
+`;
+
+function detailRows(rows) {
+    return rows
+        .filter(([, value]) => value !== '' && value != null)
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`)
+        .join('');
+}
+
+/**
+ * Assemble the self-contained report document
+ */
+function buildReportHtml(report) {
+    const { eventType, meta, reasonLabel, triggerEpochMs, coll, clipRange, moments, map, chartSvg, atTrigger, useMetric } = report;
+    const typeLabel = t(eventType === 'sentry' ? 'ui.highlightReel.sentryEvent' : 'ui.highlightReel.savedEvent');
+    const triggerCamera = EVENT_CAMERA_NAMES[String(meta.camera)];
+    const lat = parseFloat(meta.est_lat);
+    const lon = parseFloat(meta.est_lon);
+    const hasCoords = Number.isFinite(lat) && Number.isFinite(lon) && !(Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001);
+    const coords = hasCoords
+        ? `<a href="https://www.openstreetmap.org/?mlat=${lat}&amp;mlon=${lon}#map=17/${lat}/${lon}">${lat.toFixed(5)}, ${lon.toFixed(5)}</a>`
+        : '';
+
+    const eventRows = detailRows([
+        [t('ui.incidentReport.eventType'), escapeHtml(typeLabel)],
+        [t('ui.incidentReport.reason'), `${escapeHtml(reasonLabel)}${meta.reason ? ` <span class="muted">(${escapeHtml(meta.reason)})</span>` : ''}`],
+        [t('ui.incidentReport.triggerTime'), escapeHtml(formatStamp(triggerEpochMs))],
+        [t('ui.incidentReport.triggerCamera'), triggerCamera ? escapeHtml(cameraLabel(triggerCamera)) : ''],
+        [t('ui.incidentReport.location'), escapeHtml([meta.street, meta.city].filter(Boolean).join(', '))],
+        [t('ui.incidentReport.coordinates'), coords],
+        [t('ui.incidentReport.sourceFolder'), escapeHtml([coll.tag, coll.eventId].filter(Boolean).join('/'))],
+        [t('ui.incidentReport.recording'), escapeHtml(clipRange)]
+    ]);
+
+    let triggerRows = '';
+    if (atTrigger) {
+        const speed = Math.round(atTrigger.speed * (useMetric ? MPS_TO_KMH : MPS_TO_MPH));
+        const apKeys = { 1: 'ui.dashboard.selfDriving', 2: 'ui.dashboard.autosteer', 3: 'ui.dashboard.tacc' };
+        triggerRows = detailRows([
+            [t('ui.incidentReport.speed'), `${speed} ${escapeHtml(t('ui.dashboard.' + (useMetric ? 'kmh' : 'mph')))}`],
+            [t('ui.incidentReport.gear'), escapeHtml(GEAR_LETTERS[atTrigger.gear] || '')],
+            [t('ui.incidentReport.brake'), escapeHtml(t(atTrigger.brake ? 'ui.incidentReport.applied' : 'ui.incidentReport.released'))],
+            [t('ui.incidentReport.accelerator'), `${Math.round(atTrigger.accel)}%`],
+            [t('ui.incidentReport.steering'), `${Math.round(atTrigger.steering)}°`],
+            [t('ui.incidentReport.autopilot'), escapeHtml(t(apKeys[atTrigger.autopilot] || 'ui.dashboard.manual'))]
+        ]);
+    }
+
+    const momentsHtml = moments.map(moment => {
+        const figures = CAMERA_ORDER
+            .filter(camera => moment.frames[camera])
+            .map(camera => `<figure><img src="${moment.frames[camera]}" alt="${escapeHtml(cameraLabel(camera))}"><figcaption>${escapeHtml(cameraLabel(camera))}${camera === triggerCamera ? ` — ${escapeHtml(t('ui.incidentReport.triggerCamera'))}` : ''}</figcaption></figure>`)
+            .join('');
+        if (!figures) return '';
+        return `<div class="moment${moment.offsetSec === 0 ? ' trigger' : ''}">
+            <h3>${escapeHtml(formatOffset(moment.offsetSec))} <span class="muted">${escapeHtml(formatStamp(moment.epochMs))}</span></h3>
+            <div class="frames">${figures}</div>
+        </div>`;
+    }).join('');
+
+    const mapHtml = map
+        ? `<div class="map"><img src="${map.dataUrl}" alt="${escapeHtml(t('ui.incidentReport.map'))}">${map.hasTiles ? '' : `<p class="muted">${escapeHtml(t('ui.incidentReport.mapOffline'))}</p>`}</div>`
+        : `<p class="muted">${escapeHtml(t('ui.incidentReport.noGps'))}</p>`;
+
+    const title = `${t('ui.incidentReport.title')} — ${reasonLabel} — ${formatStamp(triggerEpochMs)}`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(getCurrentLanguage?.() || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="generator" content="Sentry Studio">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<div class="report">
+    <header class="${eventType}">
+        <h1>${escapeHtml(t('ui.incidentReport.title'))}</h1>
+        <div class="subtitle">${escapeHtml(typeLabel)} · ${escapeHtml(reasonLabel)} · ${escapeHtml(formatStamp(triggerEpochMs))}</div>
+    </header>
+
+    <h2>${escapeHtml(t('ui.incidentReport.eventDetails'))}</h2>
+    <table class="details">${eventRows}</table>
+
+    <h2>${escapeHtml(t('ui.incidentReport.keyFrames'))}</h2>
+    ${momentsHtml || `<p class="muted">${escapeHtml(t('ui.incidentReport.noFrames'))}</p>`}
+
+    <h2>${escapeHtml(t('ui.incidentReport.map'))}</h2>
+    ${mapHtml}
+
+    <h2>${escapeHtml(t('ui.incidentReport.telemetry', { seconds: CHART_WINDOW_SEC * 2 }))}</h2>
+    ${chartSvg
+        ? `<div class="chart">${chartSvg}</div>${triggerRows ? `<h3>${escapeHtml(t('ui.incidentReport.atTrigger'))}</h3><table class="details">${triggerRows}</table>` : ''}`
+        : `<p class="muted">${escapeHtml(t('ui.incidentReport.noTelemetry'))}</p>`}
+
+    <footer>${escapeHtml(t('ui.incidentReport.footer', { date: formatStamp(Date.now()) }))}</footer>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the incident report for the active Sentry/Saved event and save it as HTML or PDF
+ */
+export async function generateIncidentReport() {
+    if (isGenerating) return;
+
+    const state = getState?.();
+    const nativeVideo = getNativeVideo?.();
+    const coll = state?.collection?.active;
+    const eventType = getEventType(coll);
+    const meta = getEventMeta(coll);
+    const triggerEpochMs = Date.parse(meta?.timestamp);
+    if (!eventType || !Number.isFinite(triggerEpochMs)) {
+        notify(t('ui.incidentReport.notAvailable'), { type: 'warn' });
+        return;
+    }
+
+    const stamp = formatStamp(triggerEpochMs).replace(/:/g, '-').replace(' ', '_');
+    const fileName = `incident_report_${eventType}_${stamp}`;
+    let outputPath = null;
+    if (window.electronAPI?.saveFile && window.electronAPI?.saveIncidentReport) {
+        const lastExportFolder = await window.electronAPI.getSetting?.('lastExportFolder');
+        outputPath = await window.electronAPI.saveFile({
+            title: t('ui.incidentReport.saveTitle'),
+            defaultPath: lastExportFolder ? `${lastExportFolder}/${fileName}.pdf` : `${fileName}.pdf`,
+            filters: [
+                { name: 'PDF', extensions: ['pdf'] },
+                { name: 'HTML', extensions: ['html'] }
+            ]
+        });
+        if (!outputPath) return;
+    }
+
+    const btn = $('incidentReportBtn');
+    isGenerating = true;
+    if (btn) btn.disabled = true;
+    notify(t('ui.incidentReport.generating'), { type: 'info' });
+
+    try {
+        const groups = coll.groups || [];
+        const timeline = getSegmentTimeline(groups, nativeVideo);
+        const triggerMs = epochToCollectionMs(triggerEpochMs, timeline, { clamp: true });
+        const useMetric = !!getUseMetric?.();
+
+        // Telemetry around the trigger (reduced per frame so long clips stay light)
+        const samples = await extractCollectionSei(groups, {
+            cumulativeStarts: nativeVideo?.cumulativeStarts || [],
+            segmentDurations: nativeVideo?.segmentDurations || [],
+            startMs: triggerMs - CHART_WINDOW_SEC * 1000,
+            endMs: triggerMs + CHART_WINDOW_SEC * 1000,
+            mapFrame: record => ({
+                offsetSec: (record.timestampMs - triggerMs) / 1000,
+                gps: hasValidGps(record.sei)
+                    ? [Number(record.sei.latitudeDeg ?? record.sei.latitude_deg), Number(record.sei.longitudeDeg ?? record.sei.longitude_deg)]
+                    : null,
+                ...toSearchFrame(record.sei)
+            })
+        }).catch(err => {
+            console.warn('[REPORT] Telemetry unavailable:', err);
+            return [];
+        });
+        samples.sort((a, b) => a.offsetSec - b.offsetSec);
+
+        const atTrigger = samples.length
+            ? samples.reduce((best, s) => Math.abs(s.offsetSec) < Math.abs(best.offsetSec) ? s : best)
+            : null;
+        const route = samples.filter(s => s.gps).map(s => s.gps);
+        const lat = parseFloat(meta.est_lat);
+        const lon = parseFloat(meta.est_lon);
+        const eventPoint = atTrigger?.gps
+            ? { lat: atTrigger.gps[0], lon: atTrigger.gps[1] }
+            : (Number.isFinite(lat) && Number.isFinite(lon) && !(Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001) ? { lat, lon } : null);
+
+        const moments = await captureKeyFrames(groups, timeline, triggerMs);
+        const map = await renderMapImage(route, eventPoint);
+
+        const firstEpoch = timeline[0]?.epochMs;
+        const lastSeg = timeline[timeline.length - 1];
+        const clipRange = firstEpoch != null && lastSeg?.epochMs != null
+            ? `${formatStamp(firstEpoch)} – ${formatStamp(lastSeg.epochMs + lastSeg.durationMs).slice(11)} (${t('ui.incidentReport.clipCount', { count: groups.length })})`
+            : '';
+
+        const html = buildReportHtml({
+            eventType,
+            meta,
+            reasonLabel: meta.reason ? (formatEventReason?.(meta.reason) || meta.reason) : t(eventType === 'sentry' ? 'ui.highlightReel.sentryEvent' : 'ui.highlightReel.savedEvent'),
+            triggerEpochMs,
+            coll,
+            clipRange,
+            moments,
+            map,
+            chartSvg: samples.length > 1 ? buildChartSvg(samples, useMetric) : null,
+            atTrigger,
+            useMetric
+        });
+
+        if (outputPath) {
+            // US-style locales print on Letter paper, everyone else on A4
+            const pageSize = /^en-(US|CA)$|^es-MX$/i.test(navigator.language || '') ? 'Letter' : 'A4';
+            const result = await window.electronAPI.saveIncidentReport(outputPath, html, { pageSize });
+            if (!result?.success) throw new Error(result?.error || 'Unknown error');
+            notify(t('ui.incidentReport.saved', { file: outputPath.split(/[\\/]/).pop() }), { type: 'success' });
+            window.electronAPI.showItemInFolder?.(outputPath);
+        } else {
+            // Browser build: download the HTML (print it to PDF from the browser)
+            const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${fileName}.html`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    } catch (err) {
+        console.error('[REPORT] Failed to build incident report:', err);
+        notify(t('ui.incidentReport.failed', { error: err.message }), { type: 'error' });
+    } finally {
+        isGenerating = false;
+        if (btn) btn.disabled = false;
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * Driving Incidents
+ * Scans the active collection's telemetry for hard braking, hard acceleration, sharp cornering
+ * and possible impacts, then shows them as timeline markers and in the clip browser's Incidents tab
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { escapeHtml, formatSpeed } from '../lib/utils.js';
+import { extractCollectionSei } from '../core/seiExtractor.js';
+import { DEFAULT_INCIDENT_THRESHOLDS, detectIncidents, toIncidentSample } from '../core/incidentDetector.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let seekNativeDayCollectionBySec = null;
+let getUseMetric = null;
+
+let thresholds = { ...DEFAULT_INCIDENT_THRESHOLDS };
+let panelVisible = false;
+
+// Only the last scanned collection is kept (compact samples, not full SEI)
+const scan = {
+    collectionId: null,
+    scanning: false,
+    token: 0,
+    done: 0,
+    total: 0,
+    samples: [],
+    segmentStarts: [],   // cumulativeStarts at scan time, to re-base onto probed durations
+    incidents: []
+};
+
+const INCIDENT_DISPLAY = {
+    hardBrake: { icon: 'trending_down', key: 'ui.incidents.hardBrake' },
+    hardAccel: { icon: 'trending_up', key: 'ui.incidents.hardAccel' },
+    sharpTurn: { icon: 'turn_sharp_right', key: 'ui.incidents.sharpTurn' },
+    impact: { icon: 'car_crash', key: 'ui.incidents.impact' }
+};
+
+// Settings sliders: input id -> threshold key
+const THRESHOLD_INPUTS = {
+    settingsIncidentBrake: 'hardBrakeG',
+    settingsIncidentAccel: 'hardAccelG',
+    settingsIncidentCornering: 'corneringG',
+    settingsIncidentImpact: 'impactG'
+};
+
+/**
+ * Initialize incidents module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initIncidents(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    seekNativeDayCollectionBySec = deps.seekNativeDayCollectionBySec;
+    getUseMetric = deps.getUseMetric;
+
+    const scanBtn = $('incidentScanBtn');
+    if (scanBtn) scanBtn.onclick = (e) => { e.preventDefault(); scanIncidents(); };
+
+    const listEl = $('incidentList');
+    if (listEl) {
+        listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.incident-item');
+            if (item) seekToIncident(scan.incidents[Number(item.dataset.index)]);
+        });
+    }
+
+    initIncidentSettings();
+}
+
+/**
+ * Load thresholds from settings and wire the Settings > Incident Detection sliders
+ */
+function initIncidentSettings() {
+    const applyToInputs = () => {
+        for (const [id, key] of Object.entries(THRESHOLD_INPUTS)) {
+            const input = $(id);
+            if (input) input.value = thresholds[key];
+            const valueEl = $(`${id}Value`);
+            if (valueEl) valueEl.textContent = `${Number(thresholds[key]).toFixed(2)} G`;
+        }
+    };
+
+    if (window.electronAPI?.getSetting) {
+        window.electronAPI.getSetting('incidentThresholds').then(saved => {
+            if (saved && typeof saved === 'object') thresholds = { ...DEFAULT_INCIDENT_THRESHOLDS, ...saved };
+            applyToInputs();
+            redetect();
+        });
+    } else {
+        applyToInputs();
+    }
+
+    for (const [id, key] of Object.entries(THRESHOLD_INPUTS)) {
+        const input = $(id);
+        if (!input) continue;
+        input.addEventListener('input', () => {
+            thresholds[key] = parseFloat(input.value);
+            const valueEl = $(`${id}Value`);
+            if (valueEl) valueEl.textContent = `${thresholds[key].toFixed(2)} G`;
+        });
+        input.addEventListener('change', async () => {
+            if (window.electronAPI?.setSetting) {
+                await window.electronAPI.setSetting('incidentThresholds', thresholds);
+            }
+            redetect();
+            input.blur();
+        });
+    }
+
+    const resetBtn = $('resetIncidentThresholdsBtn');
+    if (resetBtn) {
+        resetBtn.onclick = async (e) => {
+            e.preventDefault();
+            thresholds = { ...DEFAULT_INCIDENT_THRESHOLDS };
+            applyToInputs();
+            if (window.electronAPI?.setSetting) {
+                await window.electronAPI.setSetting('incidentThresholds', thresholds);
+            }
+            redetect();
+            resetBtn.blur();
+        };
+    }
+}
+
+/**
+ * Re-run detection on the cached samples (after a threshold change)
+ */
+function redetect() {
+    if (!scan.samples.length) return;
+    scan.incidents = detectIncidents(scan.samples, thresholds);
+    updateIncidentTimelineMarkers();
+    renderIncidentList();
+}
+
+/**
+ * Collection-relative position of an incident in seconds, using the current segment durations
+ * @param {Object} incident - From detectIncidents
+ * @returns {number}
+ */
+function getIncidentTimeSec(incident) {
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const scanStartSec = scan.segmentStarts[incident.segment] ?? 0;
+    const currentStartSec = cumStarts[incident.segment] ?? scanStartSec;
+    return (incident.peakMs / 1000) - scanStartSec + currentStartSec;
+}
+
+function seekToIncident(incident) {
+    if (!incident) return;
+    const state = getState?.();
+    if (!state?.ui?.nativeVideoMode || !state?.collection?.active) return;
+    // Start a couple of seconds early so the lead-up is visible
+    seekNativeDayCollectionBySec?.(Math.max(0, getIncidentTimeSec(incident) - 2));
+}
+
+/**
+ * Extract telemetry for the whole active collection and detect incidents
+ */
+export async function scanIncidents() {
+    const state = getState?.();
+    const nativeVideo = getNativeVideo?.();
+    const coll = state?.collection?.active;
+    if (!coll) {
+        notify(t('ui.notifications.loadCollectionFirst'), { type: 'warn' });
+        return;
+    }
+
+    const token = ++scan.token;
+    const segmentStarts = (nativeVideo?.cumulativeStarts || []).slice();
+    Object.assign(scan, {
+        collectionId: coll.id,
+        scanning: true,
+        done: 0,
+        total: 0,
+        samples: [],
+        segmentStarts,
+        incidents: []
+    });
+    updateIncidentTimelineMarkers();
+    renderIncidentList();
+
+    try {
+        const samples = await extractCollectionSei(coll.groups || [], {
+            cumulativeStarts: segmentStarts,
+            segmentDurations: nativeVideo?.segmentDurations || [],
+            isCancelled: () => token !== scan.token,
+            mapFrame: toIncidentSample,
+            onProgress: (done, total) => {
+                if (token !== scan.token) return;
+                scan.done = done;
+                scan.total = total;
+                renderIncidentList();
+            }
+        });
+        if (token !== scan.token) return;
+
+        samples.sort((a, b) => a.t - b.t);
+        scan.samples = samples;
+        scan.incidents = detectIncidents(samples, thresholds);
+        console.log(`[INCIDENTS] ${coll.id}: ${scan.incidents.length} incident(s) in ${samples.length} frames`);
+        if (samples.length === 0) notify(t('ui.notifications.noTelemetryData'), { type: 'warn' });
+    } catch (err) {
+        if (token !== scan.token) return;
+        console.error('[INCIDENTS] Scan failed:', err);
+        notify(t('ui.incidents.scanFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        if (token === scan.token) {
+            scan.scanning = false;
+            updateIncidentTimelineMarkers();
+            renderIncidentList();
+        }
+    }
+}
+
+/**
+ * Incidents for the active collection, scanning first if they have not been detected yet
+ * @returns {Promise<Array>} Incidents from detectIncidents with an added collection-relative timeSec
+ */
+export async function getCollectionIncidents() {
+    const activeId = getState?.()?.collection?.active?.id || null;
+    if (!activeId) return [];
+    if (scan.collectionId !== activeId || scan.scanning) await scanIncidents();
+    if (scan.collectionId !== activeId) return [];
+    return scan.incidents.map(incident => ({ ...incident, timeSec: getIncidentTimeSec(incident) }));
+}
+
+/**
+ * Sync with the active collection: drop results for other collections and
+ * auto-scan when the Incidents tab is open. Call whenever the collection or its durations change.
+ */
+export function refreshIncidents() {
+    const activeId = getState?.()?.collection?.active?.id || null;
+    if (activeId !== scan.collectionId) {
+        scan.token++;
+        Object.assign(scan, { collectionId: null, scanning: false, samples: [], segmentStarts: [], incidents: [] });
+        if (activeId && panelVisible) {
+            scanIncidents();
+            return;
+        }
+    }
+    updateIncidentTimelineMarkers();
+    renderIncidentList();
+}
+
+/**
+ * Tell the module whether the clip browser's Incidents tab is showing
+ * @param {boolean} visible
+ */
+export function setIncidentsPanelVisible(visible) {
+    panelVisible = visible;
+    if (visible) refreshIncidents();
+}
+
+/**
+ * Draw incident markers on the playback timeline
+ */
+export function updateIncidentTimelineMarkers() {
+    const markersContainer = $('timelineMarkers');
+    if (!markersContainer) return;
+    markersContainer.querySelectorAll('.incident-timeline-marker').forEach(el => el.remove());
+
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const totalSec = cumStarts[cumStarts.length - 1] || 0;
+    if (!scan.incidents.length || totalSec <= 0) return;
+
+    scan.incidents.forEach((incident, index) => {
+        const display = INCIDENT_DISPLAY[incident.type];
+        const pct = Math.max(0, Math.min(100, (getIncidentTimeSec(incident) / totalSec) * 100));
+
+        const marker = document.createElement('div');
+        marker.className = `incident-timeline-marker ${incident.type}`;
+        marker.style.left = `${pct}%`;
+        marker.innerHTML = `<span class="material-symbols-outlined">${display.icon}</span>`;
+        marker.title = `${t(display.key)} · ${incident.peakG.toFixed(2)} G\n${formatIncidentTime(incident)}`;
+        marker.dataset.index = String(index);
+        marker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            seekToIncident(incident);
+        });
+        markersContainer.appendChild(marker);
+    });
+}
+
+function formatIncidentTime(incident) {
+    if (Number.isFinite(incident.peakEpochMs)) {
+        return new Date(incident.peakEpochMs).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+    const sec = Math.floor(getIncidentTimeSec(incident));
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Render the Incidents tab in the clip browser
+ */
+export function renderIncidentList() {
+    const listEl = $('incidentList');
+    const statusEl = $('incidentScanStatus');
+    const scanBtn = $('incidentScanBtn');
+    if (!listEl) return;
+
+    const hasCollection = !!getState?.()?.collection?.active;
+    if (scanBtn) {
+        scanBtn.disabled = !hasCollection || scan.scanning;
+        scanBtn.textContent = scan.collectionId && !scan.scanning ? t('ui.incidents.rescan') : t('ui.incidents.scan');
+    }
+
+    if (statusEl) {
+        if (!hasCollection) statusEl.textContent = t('ui.incidents.selectClip');
+        else if (scan.scanning) statusEl.textContent = t('ui.incidents.scanning', { done: scan.done, total: scan.total || '…' });
+        else if (!scan.collectionId) statusEl.textContent = t('ui.incidents.notScanned');
+        else statusEl.textContent = t('ui.incidents.found', { count: scan.incidents.length });
+    }
+
+    listEl.innerHTML = scan.incidents.map((incident, index) => {
+        const display = INCIDENT_DISPLAY[incident.type];
+        return `
+        <div class="incident-item ${incident.type}" data-index="${index}">
+            <span class="material-symbols-outlined incident-item-icon">${display.icon}</span>
+            <div class="incident-item-info">
+                <div class="incident-item-title">${escapeHtml(t(display.key))}</div>
+                <div class="incident-item-meta">${escapeHtml(formatIncidentTime(incident))} · ${escapeHtml(formatSpeed(incident.speedMps, getUseMetric?.()))}</div>
+            </div>
+            <span class="incident-item-g">${incident.peakG.toFixed(2)} G</span>
+        </div>`;
+    }).join('');
+}
@@ -0,0 +1,355 @@
+/**
+ * Library Map
+ * Library-wide map of every Sentry/Saved event (event.json est_lat/est_lon) and every SentryUSB
+ * drive route, with marker clustering, date/type/reason filters and click-to-open
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { escapeHtml } from '../lib/utils.js';
+import { getLibraryEvents } from '../core/libraryEvents.js';
+import { formatDriveDistance, formatDriveDuration } from '../core/driveGrouper.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getFolderStructure = null;
+let getEventMetaByKey = null;
+let getUseMetric = null;
+let formatEventReason = null;
+let openEventCollection = null;
+let selectDriveCollection = null;
+
+let libraryMap = null;
+let eventLayer = null;
+let routeLayer = null;
+
+// Located events for the current folder (reloaded when a different folder is opened)
+const library = {
+    folderStructure: null,
+    events: []
+};
+
+const CLUSTER_CELL_PX = 56;
+const MAX_ROUTE_POINTS = 400;
+const ROUTE_COLOR = '#3b82f6';
+const EVENT_COLORS = { sentry: '#ef4444', saved: '#f59e0b' };
+
+/**
+ * Initialize library map module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initLibraryMap(deps) {
+    getState = deps.getState;
+    getFolderStructure = deps.getFolderStructure;
+    getEventMetaByKey = deps.getEventMetaByKey;
+    getUseMetric = deps.getUseMetric;
+    formatEventReason = deps.formatEventReason;
+    openEventCollection = deps.openEventCollection;
+    selectDriveCollection = deps.selectDriveCollection;
+
+    const modal = $('libraryMapModal');
+    const openBtn = $('libraryMapBtn');
+    if (openBtn) {
+        openBtn.onclick = (e) => {
+            e.preventDefault();
+            openBtn.blur();
+            openLibraryMap();
+        };
+    }
+    const closeBtn = $('closeLibraryMapModal');
+    if (closeBtn) closeBtn.onclick = closeLibraryMap;
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) closeLibraryMap();
+        };
+    }
+
+    for (const id of ['libraryMapFrom', 'libraryMapTo', 'libraryMapReason', 'libraryMapShowSentry', 'libraryMapShowSaved', 'libraryMapShowDrives']) {
+        const el = $(id);
+        if (el) el.addEventListener('change', renderLibraryMap);
+    }
+
+    const fitBtn = $('libraryMapFitBtn');
+    if (fitBtn) fitBtn.onclick = (e) => { e.preventDefault(); fitToVisible(); fitBtn.blur(); };
+}
+
+/**
+ * Open the library map, collecting event locations on first use for this folder
+ */
+export async function openLibraryMap() {
+    const folderStructure = getFolderStructure?.();
+    const drives = getState?.()?.sentryUsb?.drives || [];
+    if (!folderStructure?.dateHandles?.size && !drives.length) {
+        notify(t('ui.libraryMap.noLibrary'), { type: 'warn' });
+        return;
+    }
+    if (!window.L) {
+        notify(t('ui.libraryMap.mapUnavailable'), { type: 'error' });
+        return;
+    }
+
+    $('libraryMapModal')?.classList.remove('hidden');
+    ensureMap();
+    // The container had no size while the modal was hidden
+    setTimeout(() => libraryMap?.invalidateSize(), 0);
+
+    if (library.folderStructure !== folderStructure) {
+        library.folderStructure = folderStructure;
+        const events = await getLibraryEvents(folderStructure, {
+            eventMetaByKey: getEventMetaByKey?.(),
+            onProgress: (done, total) => setStatus(t('ui.libraryMap.loading', { done, total }))
+        });
+        library.events = events.filter(e => e.lat != null && e.lon != null);
+        console.log(`[LIBRARY MAP] ${library.events.length} of ${events.length} event(s) have a location`);
+    }
+    populateReasonFilter();
+    renderLibraryMap();
+    fitToVisible();
+}
+
+function closeLibraryMap() {
+    $('libraryMapModal')?.classList.add('hidden');
+}
+
+function ensureMap() {
+    if (libraryMap) {
+        applyDarkMode();
+        return;
+    }
+    libraryMap = L.map('libraryMap', { zoomControl: true, attributionControl: true }).setView([20, 0], 2);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        subdomains: 'abc',
+        attribution: '&copy; OpenStreetMap contributors'
+    }).addTo(libraryMap);
+    routeLayer = L.layerGroup().addTo(libraryMap);
+    eventLayer = L.layerGroup().addTo(libraryMap);
+    // Clusters depend on the zoom level
+    libraryMap.on('zoomend', renderEventMarkers);
+    applyDarkMode();
+}
+
+function applyDarkMode() {
+    const tilePane = $('libraryMap')?.querySelector('.leaflet-tile-pane');
+    if (tilePane) {
+        tilePane.style.filter = window._mapDarkMode
+            ? 'invert(100%) hue-rotate(180deg) brightness(0.85) contrast(1.2)'
+            : '';
+    }
+}
+
+function setStatus(text) {
+    const statusEl = $('libraryMapStatus');
+    if (statusEl) statusEl.textContent = text;
+}
+
+function populateReasonFilter() {
+    const select = $('libraryMapReason');
+    if (!select) return;
+    const current = select.value;
+    const reasons = [...new Set(library.events.map(e => e.reason).filter(Boolean))].sort();
+    select.innerHTML = `<option value="">${escapeHtml(t('ui.libraryMap.allReasons'))}</option>` +
+        reasons.map(r => `<option value="${escapeHtml(r)}">${escapeHtml(formatEventReason?.(r) || r)}</option>`).join('');
+    if (reasons.includes(current)) select.value = current;
+}
+
+/**
+ * Current filter values from the modal toolbar
+ */
+function getFilters() {
+    return {
+        from: $('libraryMapFrom')?.value || '',
+        to: $('libraryMapTo')?.value || '',
+        reason: $('libraryMapReason')?.value || '',
+        sentry: $('libraryMapShowSentry')?.checked ?? true,
+        saved: $('libraryMapShowSaved')?.checked ?? true,
+        drives: $('libraryMapShowDrives')?.checked ?? true
+    };
+}
+
+function inDateRange(date, filters) {
+    if (filters.from && date < filters.from) return false;
+    if (filters.to && date > filters.to) return false;
+    return true;
+}
+
+function getVisibleEvents(filters = getFilters()) {
+    return library.events.filter(e =>
+        filters[e.type] &&
+        inDateRange(e.date, filters) &&
+        (!filters.reason || e.reason === filters.reason));
+}
+
+function getVisibleDrives(filters = getFilters()) {
+    if (!filters.drives) return [];
+    return (getState?.()?.sentryUsb?.drives || []).filter(d => d.points?.length > 1 && inDateRange(d.date, filters));
+}
+
+/**
+ * Redraw routes and event markers for the current filters
+ */
+export function renderLibraryMap() {
+    if (!libraryMap) return;
+    const filters = getFilters();
+    const events = getVisibleEvents(filters);
+    const drives = getVisibleDrives(filters);
+
+    routeLayer.clearLayers();
+    for (const drive of drives) {
+        const step = Math.max(1, Math.ceil(drive.points.length / MAX_ROUTE_POINTS));
+        const latLngs = drive.points.filter((_, i) => i % step === 0).map(p => [p[0], p[1]]);
+        const line = L.polyline(latLngs, { color: ROUTE_COLOR, weight: 3, opacity: 0.6 });
+        line.bindPopup(() => buildDrivePopup(drive));
+        line.on('mouseover', () => line.setStyle({ opacity: 1, weight: 5 }));
+        line.on('mouseout', () => line.setStyle({ opacity: 0.6, weight: 3 }));
+        routeLayer.addLayer(line);
+    }
+
+    renderEventMarkers();
+    setStatus(t('ui.libraryMap.summary', { events: events.length, drives: drives.length }));
+}
+
+/**
+ * Group events that land within the same screen cell at the current zoom
+ */
+function clusterEvents(events) {
+    const zoom = libraryMap.getZoom();
+    const cells = new Map();
+    for (const event of events) {
+        const point = libraryMap.project([event.lat, event.lon], zoom);
+        const key = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(event);
+    }
+    return [...cells.values()];
+}
+
+function renderEventMarkers() {
+    if (!libraryMap || !eventLayer) return;
+    eventLayer.clearLayers();
+
+    for (const members of clusterEvents(getVisibleEvents())) {
+        const lat = members.reduce((sum, e) => sum + e.lat, 0) / members.length;
+        const lon = members.reduce((sum, e) => sum + e.lon, 0) / members.length;
+
+        if (members.length === 1) {
+            const event = members[0];
+            const marker = L.marker([event.lat, event.lon], {
+                icon: L.divIcon({
+                    className: 'library-map-event-icon',
+                    html: `<div class="library-map-event ${event.type}" style="background:${EVENT_COLORS[event.type]}"></div>`,
+                    iconSize: [14, 14],
+                    iconAnchor: [7, 7]
+                })
+            });
+            marker.bindPopup(() => buildEventPopup([event]));
+            eventLayer.addLayer(marker);
+            continue;
+        }
+
+        const size = members.length < 10 ? 28 : members.length < 100 ? 34 : 40;
+        const marker = L.marker([lat, lon], {
+            icon: L.divIcon({
+                className: 'library-map-cluster-icon',
+                html: `<div class="library-map-cluster">${members.length}</div>`,
+                iconSize: [size, size],
+                iconAnchor: [size / 2, size / 2]
+            })
+        });
+        marker.on('click', () => {
+            const bounds = L.latLngBounds(members.map(e => [e.lat, e.lon]));
+            // Events at (almost) the same spot never split up - list them instead
+            if (libraryMap.getZoom() >= libraryMap.getMaxZoom() - 1 || bounds.getNorthEast().distanceTo(bounds.getSouthWest()) < 30) {
+                marker.bindPopup(buildEventPopup(members), { maxHeight: 300 }).openPopup();
+            } else {
+                libraryMap.fitBounds(bounds.pad(0.3));
+            }
+        });
+        eventLayer.addLayer(marker);
+    }
+}
+
+function formatEventDateTime(epochMs) {
+    if (!Number.isFinite(epochMs)) return '';
+    return new Date(epochMs).toLocaleString(undefined, {
+        year: 'numeric', month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', hour12: window._timeFormat !== '24h'
+    });
+}
+
+/**
+ * Popup listing one or more events, each with an Open button
+ * @returns {HTMLElement}
+ */
+function buildEventPopup(events) {
+    const container = document.createElement('div');
+    container.className = 'library-map-popup';
+    const sorted = [...events].sort((a, b) => (b.epochMs || 0) - (a.epochMs || 0));
+    container.innerHTML = sorted.map((event, index) => {
+        const typeLabel = event.type === 'sentry' ? t('ui.clipBrowser.sentry') : t('ui.clipBrowser.saved');
+        const place = [event.street, event.city].filter(Boolean).join(', ');
+        return `
+        <div class="library-map-popup-item">
+            <div class="library-map-popup-title">
+                <span class="library-map-popup-dot" style="background:${EVENT_COLORS[event.type]}"></span>
+                ${escapeHtml(typeLabel)} · ${escapeHtml(formatEventDateTime(event.epochMs))}
+            </div>
+            ${event.reason ? `<div class="library-map-popup-meta">${escapeHtml(formatEventReason?.(event.reason) || event.reason)}</div>` : ''}
+            ${place ? `<div class="library-map-popup-meta">${escapeHtml(place)}</div>` : ''}
+            <button class="btn btn-secondary btn-small" data-index="${index}">${escapeHtml(t('ui.libraryMap.openClip'))}</button>
+        </div>`;
+    }).join('');
+    container.addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-index]');
+        if (!btn) return;
+        const event = sorted[Number(btn.dataset.index)];
+        closeLibraryMap();
+        await openEventCollection?.(event);
+    });
+    return container;
+}
+
+/**
+ * Popup for a drive route with an Open button
+ * @returns {HTMLElement}
+ */
+function buildDrivePopup(drive) {
+    const container = document.createElement('div');
+    container.className = 'library-map-popup';
+    container.innerHTML = `
+        <div class="library-map-popup-item">
+            <div class="library-map-popup-title">
+                <span class="library-map-popup-dot" style="background:${ROUTE_COLOR}"></span>
+                ${escapeHtml(formatEventDateTime(drive.startMs))}
+            </div>
+            <div class="library-map-popup-meta">${escapeHtml(formatDriveDistance(drive, getUseMetric?.()))} · ${escapeHtml(formatDriveDuration(drive.durationMs))}</div>
+            <button class="btn btn-secondary btn-small">${escapeHtml(t('ui.libraryMap.openDrive'))}</button>
+        </div>`;
+    container.querySelector('button').onclick = async () => {
+        closeLibraryMap();
+        await selectDriveCollection?.(drive);
+    };
+    return container;
+}
+
+/**
+ * Zoom the map to everything that passes the filters
+ */
+function fitToVisible() {
+    if (!libraryMap) return;
+    const filters = getFilters();
+    const latLngs = getVisibleEvents(filters).map(e => [e.lat, e.lon]);
+    for (const drive of getVisibleDrives(filters)) {
+        latLngs.push([drive.points[0][0], drive.points[0][1]]);
+        const last = drive.points[drive.points.length - 1];
+        latLngs.push([last[0], last[1]]);
+    }
+    if (latLngs.length === 0) {
+        setStatus(t('ui.libraryMap.noLocations'));
+        return;
+    }
+    libraryMap.fitBounds(L.latLngBounds(latLngs).pad(0.1), { maxZoom: 16 });
+}
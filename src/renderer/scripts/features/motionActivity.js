@@ -0,0 +1,473 @@
+/**
+ * Motion Activity
+ * Background frame-difference analysis of Sentry/Saved events: every camera is decoded at low
+ * resolution once per second and scored by how much of the picture changed. The scores drive an
+ * activity strip above the progress bar, jumping between motion, skipping idle stretches during
+ * playback and outlining the tiles of cameras that currently see motion.
+ */
+
+import { t } from '../lib/i18n.js';
+import { notify } from '../ui/notifications.js';
+import { loadDetachedVideo, seekDetachedVideo } from '../lib/utils.js';
+import { parseTimestampKeyToEpochMs } from '../core/clipBrowser.js';
+import { getEffectiveSlots } from './cameraRearrange.js';
+import { MOTION_SKIP_IDLE_KEY } from '../lib/storageKeys.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let getEventMetaByKey = null;
+let seekNativeDayCollectionBySec = null;
+
+const CAMERAS = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+const SAMPLE_INTERVAL_SEC = 1;
+const ANALYSIS_WIDTH = 64;
+// Luma change (0-255) for a pixel to count as moved; below this is compression noise and sensor grain
+const PIXEL_DELTA = 24;
+// Fraction of changed pixels for a camera to count as seeing motion (~12 pixels of a 64x48 frame)
+const ACTIVE_SCORE = 0.004;
+// Motion is padded on both sides, and idle stretches shorter than this are not worth skipping
+const ACTIVITY_PAD_SEC = 2;
+const MIN_IDLE_SEC = 6;
+// The trigger moment from event.json is always treated as activity
+const TRIGGER_PAD_SEC = 3;
+const START_DELAY_MS = 2000;
+const VIDEO_TIMEOUT_MS = 8000;
+// Analyzed events kept in memory so switching back and forth doesn't re-decode everything
+const MAX_CACHED = 8;
+
+const STRIP_ACTIVE_COLOR = 'rgba(245, 158, 11, 0.95)';
+const STRIP_IDLE_COLOR = 'rgba(148, 163, 184, 0.35)';
+
+let enabled = true;
+let skipIdle = false;
+
+// Analysis of the active collection
+const analysis = {
+    collectionId: null,
+    token: 0,
+    analyzing: false,
+    done: 0,
+    total: 0,
+    segments: []         // per finished clip: {scores: {camera: Float32Array}} (index = second within the clip)
+};
+
+// Completed analyses by collection id (insertion order = age)
+const cache = new Map();
+
+// Derived from the analysis on every change
+let activity = null;     // Float32Array, strongest camera score per collection second (NaN = not analyzed)
+let activeRanges = [];   // [{start, end}] collection seconds with motion (padded and merged)
+let idleRanges = [];     // [{start, end}] analyzed stretches without motion, long enough to skip
+let triggerSec = null;
+let playheadSec = 0;
+let lastSkipTarget = -1;
+
+/**
+ * Initialize motion activity module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initMotionActivity(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    getEventMetaByKey = deps.getEventMetaByKey;
+    seekNativeDayCollectionBySec = deps.seekNativeDayCollectionBySec;
+
+    try {
+        skipIdle = localStorage.getItem(MOTION_SKIP_IDLE_KEY) === '1';
+    } catch { /* ignore */ }
+
+    const btn = $('motionSkipBtn');
+    if (btn) btn.onclick = (e) => { e.preventDefault(); toggleMotionSkipIdle(); };
+
+    const strip = $('timelineMotionStrip');
+    if (strip && typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(() => drawStrip()).observe(strip);
+    }
+
+    initEnabledSetting();
+}
+
+/**
+ * Load and wire Settings > Motion Analysis
+ */
+function initEnabledSetting() {
+    const toggle = $('settingsMotionAnalysis');
+    const apply = (value) => {
+        enabled = value !== false;
+        if (toggle) toggle.checked = enabled;
+        refreshMotionActivity();
+    };
+
+    if (window.electronAPI?.getSetting) {
+        window.electronAPI.getSetting('motionAnalysis').then(apply);
+    } else {
+        apply(true);
+    }
+
+    if (toggle) {
+        toggle.addEventListener('change', async () => {
+            apply(toggle.checked);
+            if (window.electronAPI?.setSetting) {
+                await window.electronAPI.setSetting('motionAnalysis', enabled);
+            }
+            toggle.blur();
+        });
+    }
+}
+
+function isEventCollection(coll) {
+    const tag = (coll?.tag || '').toLowerCase();
+    return tag === 'sentryclips' || tag === 'savedclips';
+}
+
+/**
+ * Sync with the active collection: start (or restore) the analysis of a Sentry/Saved event and
+ * re-derive ranges. Call whenever the collection or its durations change.
+ */
+export function refreshMotionActivity() {
+    const coll = getState?.()?.collection?.active || null;
+    const wanted = enabled && isEventCollection(coll) ? coll.id : null;
+
+    if (wanted !== analysis.collectionId) {
+        analysis.token++;
+        const cached = wanted ? cache.get(wanted) : null;
+        Object.assign(analysis, {
+            collectionId: wanted,
+            analyzing: false,
+            done: cached ? cached.length : 0,
+            total: cached ? cached.length : 0,
+            segments: cached || []
+        });
+        lastSkipTarget = -1;
+        clearTileHighlights();
+        if (wanted && !cached) analyzeCollection(coll, analysis.token);
+    }
+
+    triggerSec = wanted ? findTriggerSec(coll) : null;
+    rebuild();
+}
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Downscale the current frame into a grayscale buffer
+ */
+function grabLuma(video, ctx, width, height) {
+    ctx.drawImage(video, 0, 0, width, height);
+    const rgba = ctx.getImageData(0, 0, width, height).data;
+    const luma = new Uint8Array(width * height);
+    for (let i = 0, p = 0; p < luma.length; i += 4, p++) {
+        luma[p] = (rgba[i] * 77 + rgba[i + 1] * 150 + rgba[i + 2] * 29) >> 8;
+    }
+    return luma;
+}
+
+/**
+ * Fraction of pixels whose brightness changed noticeably between two frames
+ */
+function diffScore(prev, next) {
+    let changed = 0;
+    for (let i = 0; i < next.length; i++) {
+        if (Math.abs(next[i] - prev[i]) > PIXEL_DELTA) changed++;
+    }
+    return changed / next.length;
+}
+
+/**
+ * Score one camera of one clip at SAMPLE_INTERVAL_SEC steps
+ * @returns {Promise<Float32Array|null>} Score per second (the first second repeats the second's)
+ */
+async function analyzeClip(file, token) {
+    const loaded = await loadDetachedVideo(file, VIDEO_TIMEOUT_MS);
+    if (!loaded) return null;
+    try {
+        const { video } = loaded;
+        if (!video.videoWidth || !Number.isFinite(video.duration)) return null;
+        const width = ANALYSIS_WIDTH;
+        const height = Math.max(1, Math.round(ANALYSIS_WIDTH * (video.videoHeight / video.videoWidth)));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        const scores = new Float32Array(Math.ceil(video.duration / SAMPLE_INTERVAL_SEC));
+        let prev = null;
+        for (let k = 0; k < scores.length; k++) {
+            await seekDetachedVideo(video, k * SAMPLE_INTERVAL_SEC, VIDEO_TIMEOUT_MS);
+            if (token !== analysis.token) return null;
+            const luma = grabLuma(video, ctx, width, height);
+            if (prev) scores[k] = diffScore(prev, luma);
+            prev = luma;
+        }
+        if (scores.length > 1) scores[0] = scores[1];
+        return scores;
+    } finally {
+        loaded.release();
+    }
+}
+
+/**
+ * Analyze every camera of every clip, one video at a time, in timeline order so results
+ * become usable from the start of the event while the rest is still decoding
+ */
+async function analyzeCollection(coll, token) {
+    await new Promise(resolve => setTimeout(resolve, START_DELAY_MS));
+    if (token !== analysis.token) return;
+
+    const groups = coll.groups || [];
+    analysis.analyzing = true;
+    analysis.total = groups.length;
+    updateButton();
+
+    try {
+        for (let i = 0; i < groups.length; i++) {
+            const scores = {};
+            for (const camera of CAMERAS) {
+                const file = groups[i].filesByCamera?.get(camera)?.file;
+                if (!file) continue;
+                const cameraScores = await analyzeClip(file, token);
+                if (token !== analysis.token) return;
+                if (!cameraScores) continue;
+                scores[camera] = cameraScores;
+            }
+            analysis.segments.push({ scores });
+            analysis.done = i + 1;
+            rebuild();
+        }
+        console.log(`[MOTION] ${coll.id}: ${activeRanges.length} active range(s), ${idleRanges.length} idle range(s)`);
+        cache.set(coll.id, analysis.segments);
+        if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    } catch (err) {
+        if (token !== analysis.token) return;
+        console.error('[MOTION] Analysis failed:', err);
+        notify(t('ui.motion.analysisFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        if (token === analysis.token) {
+            analysis.analyzing = false;
+            updateButton();
+        }
+    }
+}
+
+// ============================================
+// RANGES
+// ============================================
+
+/**
+ * Collection position of the event.json trigger, if known
+ */
+function findTriggerSec(coll) {
+    let meta = null;
+    for (const g of coll.groups || []) {
+        if (g.eventMeta) { meta = g.eventMeta; break; }
+    }
+    if (!meta && coll.tag && coll.eventId) meta = getEventMetaByKey?.()?.get(`${coll.tag}/${coll.eventId}`);
+    const eventEpoch = Date.parse(meta?.timestamp);
+    if (!Number.isFinite(eventEpoch)) return null;
+
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const groups = coll.groups || [];
+    for (let i = groups.length - 1; i >= 0; i--) {
+        const epoch = parseTimestampKeyToEpochMs(groups[i].timestampKey);
+        if (epoch != null && epoch <= eventEpoch) return (cumStarts[i] ?? 0) + (eventEpoch - epoch) / 1000;
+    }
+    return null;
+}
+
+/**
+ * Re-derive the per-second activity and the active/idle ranges, then redraw
+ */
+function rebuild() {
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const totalSec = cumStarts[cumStarts.length - 1] || 0;
+    activeRanges = [];
+    idleRanges = [];
+    activity = null;
+
+    if (analysis.collectionId && totalSec > 0) {
+        activity = new Float32Array(Math.ceil(totalSec)).fill(NaN);
+        analysis.segments.forEach((segment, i) => {
+            const start = Math.round(cumStarts[i] ?? 0);
+            for (const scores of Object.values(segment.scores)) {
+                for (let k = 0; k < scores.length && start + k < activity.length; k++) {
+                    const current = activity[start + k];
+                    activity[start + k] = Number.isNaN(current) ? scores[k] : Math.max(current, scores[k]);
+                }
+            }
+        });
+
+        // Only finished clips count; seconds no camera could be decoded for are treated as motion
+        const analyzedUntil = Math.min(totalSec, cumStarts[analysis.segments.length] ?? totalSec);
+        const complete = analysis.segments.length >= (getState?.()?.collection?.active?.groups?.length || 0);
+        const isActive = (sec) => !(activity[sec] < ACTIVE_SCORE)
+            || (triggerSec != null && Math.abs(sec - triggerSec) <= TRIGGER_PAD_SEC);
+
+        for (let sec = 0; sec < analyzedUntil; sec++) {
+            if (!isActive(sec)) continue;
+            const start = Math.max(0, sec - ACTIVITY_PAD_SEC);
+            const end = Math.min(totalSec, sec + 1 + ACTIVITY_PAD_SEC);
+            const last = activeRanges[activeRanges.length - 1];
+            if (last && start - last.end < MIN_IDLE_SEC) last.end = Math.max(last.end, end);
+            else activeRanges.push({ start, end });
+        }
+
+        // Idle stretches between motion; one running into unanalyzed time waits until its end is known
+        let cursor = 0;
+        for (const range of [...activeRanges, { start: analyzedUntil, end: analyzedUntil }]) {
+            const isTail = range.start === analyzedUntil;
+            if (range.start - cursor >= MIN_IDLE_SEC && (!isTail || complete)) {
+                idleRanges.push({ start: cursor, end: range.start });
+            }
+            cursor = Math.max(cursor, range.end);
+        }
+    }
+
+    drawStrip();
+    updateButton();
+}
+
+// ============================================
+// TIMELINE STRIP
+// ============================================
+
+/**
+ * Redraw the activity strip above the progress bar
+ */
+function drawStrip() {
+    const canvas = $('timelineMotionStrip');
+    if (!canvas) return;
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const totalSec = cumStarts[cumStarts.length - 1] || 0;
+
+    const visible = !!activity && totalSec > 0;
+    canvas.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width <= 0 || height <= 0) return;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Analyzed idle time is a faint track, motion is drawn over it
+    const analyzedUntil = Math.min(totalSec, cumStarts[analysis.segments.length] ?? totalSec);
+    ctx.fillStyle = STRIP_IDLE_COLOR;
+    ctx.fillRect(0, 0, (analyzedUntil / totalSec) * width, height);
+
+    ctx.fillStyle = STRIP_ACTIVE_COLOR;
+    for (let sec = 0; sec < activity.length; sec++) {
+        if (!(activity[sec] >= ACTIVE_SCORE)) continue;
+        const x = (sec / totalSec) * width;
+        ctx.fillRect(x, 0, Math.max(1, width / totalSec), height);
+    }
+}
+
+// ============================================
+// CONTROLS
+// ============================================
+
+/**
+ * Show the skip-idle button for analyzed (or analyzing) events and reflect its state
+ */
+function updateButton() {
+    const btn = $('motionSkipBtn');
+    if (!btn) return;
+    btn.classList.toggle('hidden', !analysis.collectionId);
+    btn.classList.toggle('active', skipIdle);
+    btn.classList.toggle('analyzing', analysis.analyzing);
+
+    const label = t(skipIdle ? 'ui.motion.skipIdleOn' : 'ui.motion.skipIdleOff');
+    btn.title = analysis.analyzing && analysis.total
+        ? `${label}\n${t('ui.motion.analyzing', { percent: Math.round((analysis.done / analysis.total) * 100) })}`
+        : label;
+}
+
+/**
+ * Toggle skipping idle stretches during playback
+ */
+export function toggleMotionSkipIdle() {
+    skipIdle = !skipIdle;
+    try {
+        localStorage.setItem(MOTION_SKIP_IDLE_KEY, skipIdle ? '1' : '0');
+    } catch { /* ignore */ }
+    lastSkipTarget = -1;
+    updateButton();
+    notify(t(skipIdle ? 'ui.motion.skipIdleEnabled' : 'ui.motion.skipIdleDisabled'), { type: 'info' });
+}
+
+/**
+ * Jump to the start of the next (or previous) stretch of motion
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+export function jumpToMotion(direction) {
+    if (!analysis.collectionId) return;
+    const target = direction > 0
+        ? activeRanges.find(r => r.start > playheadSec + 0.5)
+        : [...activeRanges].reverse().find(r => r.start < playheadSec - 1);
+    if (!target) {
+        notify(t(direction > 0 ? 'ui.motion.noNext' : 'ui.motion.noPrevious'), { type: 'info' });
+        return;
+    }
+    lastSkipTarget = -1;
+    seekNativeDayCollectionBySec?.(target.start);
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+function clearTileHighlights() {
+    document.querySelectorAll('.multi-tile.motion-active').forEach(el => el.classList.remove('motion-active'));
+}
+
+/**
+ * Outline the tiles whose camera sees motion at the playhead
+ */
+function updateTileHighlights(sec) {
+    const nativeVideo = getNativeVideo?.();
+    const segIdx = nativeVideo?.currentSegmentIdx >= 0 ? nativeVideo.currentSegmentIdx : 0;
+    const segment = analysis.segments[segIdx];
+    const local = Math.floor(sec - (nativeVideo?.cumulativeStarts?.[segIdx] || 0));
+
+    const moving = new Set();
+    if (segment) {
+        for (const [camera, scores] of Object.entries(segment.scores)) {
+            if (scores[local] >= ACTIVE_SCORE) moving.add(camera);
+        }
+    }
+
+    for (const { slot, camera } of getEffectiveSlots()) {
+        const tile = document.querySelector(`.multi-tile[data-slot="${slot}"]`);
+        tile?.classList.toggle('motion-active', moving.has(camera));
+    }
+}
+
+/**
+ * Called from the playback time update with the collection position
+ * @param {number} currentSec - Seconds from the start of the collection
+ */
+export function updateMotionActivityPlayhead(currentSec) {
+    playheadSec = currentSec;
+    if (!analysis.collectionId) return;
+    updateTileHighlights(currentSec);
+
+    const nativeVideo = getNativeVideo?.();
+    if (!skipIdle || !nativeVideo?.playing || nativeVideo.isSeeking) return;
+    const idle = idleRanges.find(r => currentSec >= r.start && currentSec < r.end - 1);
+    if (!idle || idle.end === lastSkipTarget) return;
+
+    lastSkipTarget = idle.end;
+    console.log(`[MOTION] Skipping idle ${currentSec.toFixed(1)}s -> ${idle.end.toFixed(1)}s`);
+    seekNativeDayCollectionBySec?.(idle.end);
+    notify(t('ui.motion.skipped', { seconds: Math.round(idle.end - currentSec) }), { type: 'info' });
+}
@@ -0,0 +1,421 @@
+/**
+ * Multi-Cam Layout Editor
+ * Fills the playback layout picker with built-in and custom layouts, cycles layouts from keybinds,
+ * and lets users design their own playback grids on a snapping canvas (like the export Layout Lab)
+ */
+
+import { t, onLanguageChange } from '../lib/i18n.js';
+import { notify } from '../ui/notifications.js';
+import { MULTI_LAYOUTS, BUILTIN_MULTI_LAYOUTS, CUSTOM_LAYOUT_PREFIX, TILE_SLOTS, setCustomMultiLayouts } from '../lib/multiLayouts.js';
+import { MULTI_LAYOUT_KEY } from '../lib/storageKeys.js';
+import { forgetCameraOrder } from './cameraRearrange.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getMulti = null;
+let setMultiLayout = null;
+
+// Saved custom layouts: [{ id, name, slots: [{ slot, camera, rect: { x, y, w, h } }] }], rects in percent of the view
+let customLayouts = [];
+
+const CAMERAS = ['left_pillar', 'front', 'right_pillar', 'left_repeater', 'back', 'right_repeater'];
+const CAMERA_LABEL_KEYS = {
+    left_pillar: 'ui.cameras.leftPillar',
+    front: 'ui.cameras.front',
+    right_pillar: 'ui.cameras.rightPillar',
+    left_repeater: 'ui.cameras.leftRepeater',
+    back: 'ui.cameras.back',
+    right_repeater: 'ui.cameras.rightRepeater'
+};
+
+// Picker entries that open the editor instead of switching layouts
+const NEW_LAYOUT_OPTION = '__new';
+const EDIT_LAYOUT_OPTION = '__edit';
+
+const SNAP_PCT = 2;        // Edges within this distance (percent of the canvas) snap together
+const MIN_SIZE_PCT = 10;
+
+// Layout being edited in the modal (null = closed): { id, cameras: Map camera -> rect }
+let editing = null;
+
+/**
+ * Initialize the layout editor with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initMultiLayoutEditor(deps) {
+    getMulti = deps.getMulti;
+    setMultiLayout = deps.setMultiLayout;
+
+    const select = $('multiLayoutSelect');
+    if (select) {
+        select.onchange = () => {
+            const value = select.value;
+            if (value === NEW_LAYOUT_OPTION) openGridEditor(null);
+            else if (value === EDIT_LAYOUT_OPTION) openGridEditor(getActiveLayoutId());
+            else selectLayout(value);
+            // Editor entries are actions, not selections
+            select.value = getActiveLayoutId();
+            select.blur();
+        };
+    }
+
+    initGridEditorModal();
+    onLanguageChange(() => renderLayoutOptions());
+    renderLayoutOptions();
+    loadCustomLayouts();
+}
+
+function getActiveLayoutId() {
+    const layoutId = getMulti?.()?.layoutId;
+    return MULTI_LAYOUTS[layoutId] ? layoutId : BUILTIN_MULTI_LAYOUTS[0];
+}
+
+function getLayoutName(layoutId) {
+    const layout = MULTI_LAYOUTS[layoutId];
+    if (!layout) return layoutId;
+    return layout.nameKey ? t(layout.nameKey) : layout.name;
+}
+
+async function loadCustomLayouts() {
+    if (!window.electronAPI?.getSetting) return;
+    try {
+        const saved = await window.electronAPI.getSetting('customMultiLayouts');
+        customLayouts = Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        console.warn('[LAYOUTS] Failed to load custom layouts:', err);
+        customLayouts = [];
+    }
+    setCustomMultiLayouts(customLayouts);
+
+    // A custom layout saved as the last choice can only be restored once it is loaded
+    const savedId = localStorage.getItem(MULTI_LAYOUT_KEY);
+    if (savedId?.startsWith(CUSTOM_LAYOUT_PREFIX) && MULTI_LAYOUTS[savedId] && getMulti?.()?.layoutId !== savedId) {
+        setMultiLayout?.(savedId);
+    }
+    renderLayoutOptions();
+}
+
+async function saveCustomLayouts() {
+    setCustomMultiLayouts(customLayouts);
+    if (window.electronAPI?.setSetting) {
+        await window.electronAPI.setSetting('customMultiLayouts', customLayouts);
+    }
+}
+
+function selectLayout(layoutId) {
+    setMultiLayout?.(layoutId);
+    renderLayoutOptions();
+}
+
+/**
+ * Switch to the next/previous layout (built-in first, then custom)
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+export function cycleMultiLayout(direction) {
+    const ids = Object.keys(MULTI_LAYOUTS);
+    const index = ids.indexOf(getActiveLayoutId());
+    const next = ids[(index + direction + ids.length) % ids.length];
+    selectLayout(next);
+    notify(t('ui.multiLayouts.switched', { name: getLayoutName(next) }), { type: 'info' });
+}
+
+/**
+ * Rebuild the layout picker: built-in layouts, custom layouts and editor actions
+ */
+function renderLayoutOptions() {
+    const select = $('multiLayoutSelect');
+    if (!select) return;
+    const activeId = getActiveLayoutId();
+
+    const addGroup = (label, entries) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const [value, text] of entries) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            group.appendChild(option);
+        }
+        select.appendChild(group);
+    };
+
+    select.innerHTML = '';
+    addGroup(t('ui.multiLayouts.builtIn'), BUILTIN_MULTI_LAYOUTS.map(id => [id, getLayoutName(id)]));
+    if (customLayouts.length) {
+        addGroup(t('ui.multiLayouts.custom'), customLayouts.filter(l => MULTI_LAYOUTS[l.id]).map(l => [l.id, l.name]));
+    }
+    const actions = [[NEW_LAYOUT_OPTION, t('ui.multiLayouts.newLayout')]];
+    if (MULTI_LAYOUTS[activeId]?.custom) actions.push([EDIT_LAYOUT_OPTION, t('ui.multiLayouts.editLayout')]);
+    addGroup(t('ui.multiLayouts.manage'), actions);
+
+    select.value = activeId;
+}
+
+// ---------------------------------------------------------------------------
+// Editor modal
+// ---------------------------------------------------------------------------
+
+function initGridEditorModal() {
+    const modal = $('gridEditorModal');
+    const closeBtn = $('closeGridEditorModal');
+    if (closeBtn) closeBtn.onclick = closeGridEditor;
+    const cancelBtn = $('cancelGridLayoutBtn');
+    if (cancelBtn) cancelBtn.onclick = closeGridEditor;
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) closeGridEditor();
+        };
+    }
+
+    const chips = $('gridEditorCameras');
+    if (chips) {
+        chips.addEventListener('click', (e) => {
+            const chip = e.target.closest('.grid-editor-chip');
+            if (!chip || !editing) return;
+            const camera = chip.dataset.camera;
+            if (editing.cameras.has(camera)) editing.cameras.delete(camera);
+            else editing.cameras.set(camera, defaultRect(camera));
+            renderEditor();
+        });
+    }
+
+    const saveBtn = $('saveGridLayoutBtn');
+    if (saveBtn) {
+        saveBtn.onclick = async (e) => {
+            e.preventDefault();
+            await saveEditedLayout();
+        };
+    }
+
+    const deleteBtn = $('deleteGridLayoutBtn');
+    if (deleteBtn) {
+        deleteBtn.onclick = async (e) => {
+            e.preventDefault();
+            if (!editing?.id) return;
+            const { id } = editing;
+            closeGridEditor();
+            customLayouts = customLayouts.filter(l => l.id !== id);
+            forgetCameraOrder(id);
+            await saveCustomLayouts();
+            if (getMulti?.()?.layoutId === id) setMultiLayout?.(BUILTIN_MULTI_LAYOUTS[0]);
+            renderLayoutOptions();
+        };
+    }
+
+    const nameInput = $('gridEditorName');
+    if (nameInput) {
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveBtn?.click();
+        });
+    }
+}
+
+/**
+ * Open the editor for a custom layout, or for a new one (starts as the default 3×2 grid)
+ * @param {string|null} layoutId - Custom layout id, null for a new layout
+ */
+function openGridEditor(layoutId) {
+    const existing = customLayouts.find(l => l.id === layoutId) || null;
+    const cameras = new Map();
+    if (existing) {
+        for (const s of existing.slots) cameras.set(s.camera, { ...s.rect });
+    } else {
+        for (const camera of CAMERAS) cameras.set(camera, defaultRect(camera));
+    }
+    editing = { id: existing?.id || null, cameras };
+
+    const nameInput = $('gridEditorName');
+    if (nameInput) nameInput.value = existing?.name || t('ui.multiLayouts.defaultName', { n: customLayouts.length + 1 });
+    const headingEl = $('gridEditorHeading');
+    if (headingEl) headingEl.textContent = t(existing ? 'ui.multiLayouts.editLayout' : 'ui.multiLayouts.newLayout');
+    $('deleteGridLayoutBtn')?.classList.toggle('hidden', !existing);
+
+    $('gridEditorModal')?.classList.remove('hidden');
+    renderEditor();
+    setTimeout(() => nameInput?.focus(), 0);
+}
+
+function closeGridEditor() {
+    editing = null;
+    $('gridEditorModal')?.classList.add('hidden');
+}
+
+async function saveEditedLayout() {
+    if (!editing) return;
+    if (!editing.cameras.size) {
+        notify(t('ui.multiLayouts.noCameras'), { type: 'warn' });
+        return;
+    }
+
+    // Smaller tiles take later slots so they stack above larger tiles they overlap
+    const cards = [...editing.cameras.entries()].sort(([, a], [, b]) => b.w * b.h - a.w * a.h);
+    const layout = {
+        id: editing.id || `${CUSTOM_LAYOUT_PREFIX}${Date.now()}`,
+        name: $('gridEditorName')?.value.trim() || t('ui.multiLayouts.defaultName', { n: customLayouts.length + 1 }),
+        slots: cards.map(([camera, rect], i) => ({ slot: TILE_SLOTS[i], camera, rect: { ...rect } }))
+    };
+
+    const index = customLayouts.findIndex(l => l.id === layout.id);
+    if (index >= 0) customLayouts[index] = layout;
+    else customLayouts.push(layout);
+    // Slots were reassigned, so a drag-rearranged order no longer applies
+    forgetCameraOrder(layout.id);
+
+    closeGridEditor();
+    await saveCustomLayouts();
+    selectLayout(layout.id);
+    notify(t('ui.multiLayouts.saved', { name: layout.name }), { type: 'success' });
+}
+
+/**
+ * Position of a camera in the default 3×2 grid, in percent
+ */
+function defaultRect(camera) {
+    const index = Math.max(0, CAMERAS.indexOf(camera));
+    const w = Math.round(10000 / 3) / 100;
+    return { x: (index % 3) * w, y: Math.floor(index / 3) * 50, w, h: 50 };
+}
+
+function renderEditor() {
+    if (!editing) return;
+
+    const chips = $('gridEditorCameras');
+    if (chips) {
+        chips.innerHTML = '';
+        for (const camera of CAMERAS) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'grid-editor-chip';
+            chip.dataset.camera = camera;
+            chip.classList.toggle('active', editing.cameras.has(camera));
+            chip.textContent = t(CAMERA_LABEL_KEYS[camera]);
+            chips.appendChild(chip);
+        }
+    }
+
+    const canvas = $('gridEditorCanvas');
+    if (!canvas) return;
+    canvas.innerHTML = '';
+    for (const camera of editing.cameras.keys()) {
+        const card = document.createElement('div');
+        card.className = 'layout-card';
+        card.dataset.camera = camera;
+
+        const label = document.createElement('div');
+        label.className = 'card-label';
+        label.textContent = t(CAMERA_LABEL_KEYS[camera]);
+        card.appendChild(label);
+
+        const handle = document.createElement('div');
+        handle.className = 'grid-editor-resize';
+        card.appendChild(handle);
+
+        positionCard(card, editing.cameras.get(camera));
+        makeEditable(card, camera, canvas);
+        canvas.appendChild(card);
+    }
+}
+
+function positionCard(card, rect) {
+    card.style.left = `${rect.x}%`;
+    card.style.top = `${rect.y}%`;
+    card.style.width = `${rect.w}%`;
+    card.style.height = `${rect.h}%`;
+}
+
+/**
+ * Edges a moving card can snap to: canvas edges and center, and other cards' edges
+ */
+function snapTargets(camera, axis) {
+    const targets = [0, 50, 100];
+    for (const [other, rect] of editing.cameras.entries()) {
+        if (other === camera) continue;
+        const start = axis === 'x' ? rect.x : rect.y;
+        const size = axis === 'x' ? rect.w : rect.h;
+        targets.push(start, start + size);
+    }
+    return targets;
+}
+
+function nearest(value, targets) {
+    let best = null;
+    for (const target of targets) {
+        const distance = Math.abs(value - target);
+        if (distance < SNAP_PCT && (best == null || distance < Math.abs(value - best))) best = target;
+    }
+    return best;
+}
+
+/**
+ * Snap a card's start or end edge on one axis; otherwise round to whole percent
+ * @returns {{value: number, snapped: boolean}} New start position
+ */
+function snapPosition(camera, axis, start, size) {
+    const targets = snapTargets(camera, axis);
+    const startSnap = nearest(start, targets);
+    if (startSnap != null) return { value: startSnap, snapped: true };
+    const endSnap = nearest(start + size, targets);
+    if (endSnap != null) return { value: endSnap - size, snapped: true };
+    return { value: Math.round(start), snapped: false };
+}
+
+function snapEdge(camera, axis, end) {
+    const snap = nearest(end, snapTargets(camera, axis));
+    return snap != null ? { value: snap, snapped: true } : { value: Math.round(end), snapped: false };
+}
+
+/**
+ * Drag to move, drag the corner handle to resize; positions are kept in percent of the canvas
+ */
+function makeEditable(card, camera, canvas) {
+    const handle = card.querySelector('.grid-editor-resize');
+
+    const handleMouseDown = (e) => {
+        if (!editing) return;
+        e.preventDefault();
+        const resizing = e.target === handle;
+        const bounds = canvas.getBoundingClientRect();
+        const startX = e.clientX;
+        const startY = e.clientY;
+        const initial = { ...editing.cameras.get(camera) };
+        card.classList.add('dragging');
+
+        const handleMouseMove = (ev) => {
+            const rect = editing?.cameras.get(camera);
+            if (!rect) return;
+            const dx = (ev.clientX - startX) / bounds.width * 100;
+            const dy = (ev.clientY - startY) / bounds.height * 100;
+            let snapped;
+
+            if (resizing) {
+                const right = snapEdge(camera, 'x', initial.x + initial.w + dx);
+                const bottom = snapEdge(camera, 'y', initial.y + initial.h + dy);
+                rect.w = Math.min(100 - initial.x, Math.max(MIN_SIZE_PCT, right.value - initial.x));
+                rect.h = Math.min(100 - initial.y, Math.max(MIN_SIZE_PCT, bottom.value - initial.y));
+                snapped = right.snapped || bottom.snapped;
+            } else {
+                const x = snapPosition(camera, 'x', initial.x + dx, initial.w);
+                const y = snapPosition(camera, 'y', initial.y + dy, initial.h);
+                rect.x = Math.min(100 - initial.w, Math.max(0, x.value));
+                rect.y = Math.min(100 - initial.h, Math.max(0, y.value));
+                snapped = x.snapped || y.snapped;
+            }
+
+            card.classList.toggle('snapping', snapped);
+            positionCard(card, rect);
+        };
+
+        const handleMouseUp = () => {
+            card.classList.remove('dragging', 'snapping');
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+        };
+
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', handleMouseUp);
+    };
+
+    card.addEventListener('mousedown', handleMouseDown);
+}
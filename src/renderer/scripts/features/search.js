@@ -0,0 +1,451 @@
+/**
+ * Library Search
+ * Clip browser Search tab: runs a query (see core/searchQuery.js) over every event, clip day,
+ * drive and bookmark in the open library, reading telemetry only for clips the metadata can't rule out,
+ * and jumps to the matching moment when a result is clicked
+ */
+
+import { t } from '../lib/i18n.js';
+import { escapeHtml } from '../lib/utils.js';
+import { getLibraryEvents } from '../core/libraryEvents.js';
+import { parseTimestampKeyToEpochMs } from '../core/clipBrowser.js';
+import { extractCollectionSei } from '../core/seiExtractor.js';
+import { formatDriveDistance, formatDriveDuration } from '../core/driveGrouper.js';
+import { parseSearchQuery, evaluateSearch, toSearchFrame, SearchQueryError } from '../core/searchQuery.js';
+import { getBookmarks, openBookmark } from './bookmarks.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getFolderStructure = null;
+let getEventMetaByKey = null;
+let getUseMetric = null;
+let formatEventReason = null;
+let getCollectionsForDate = null;
+let openCollectionAt = null;
+let selectDriveCollection = null;
+
+// Telemetry reads a whole clip file per segment; cap the work for broad queries
+const MAX_SCAN_SEGMENTS = 300;
+const MAX_RESULTS = 200;
+// Matching frames closer than this are reported as one result
+const SPAN_GAP_MS = 2000;
+
+const search = {
+    token: 0,
+    running: false,
+    query: '',
+    status: '',
+    statusIsError: false,
+    results: []
+};
+
+const RESULT_ICONS = {
+    sentry: 'shield',
+    saved: 'bookmark',
+    recent: 'videocam',
+    custom: 'folder',
+    drive: 'route',
+    bookmark: 'bookmark_added'
+};
+
+/**
+ * Initialize search module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initSearch(deps) {
+    getState = deps.getState;
+    getFolderStructure = deps.getFolderStructure;
+    getEventMetaByKey = deps.getEventMetaByKey;
+    getUseMetric = deps.getUseMetric;
+    formatEventReason = deps.formatEventReason;
+    getCollectionsForDate = deps.getCollectionsForDate;
+    openCollectionAt = deps.openCollectionAt;
+    selectDriveCollection = deps.selectDriveCollection;
+
+    const input = $('searchInput');
+    if (input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                runSearch(input.value);
+            } else if (e.key === 'Escape') {
+                input.blur();
+            }
+        });
+    }
+
+    const runBtn = $('searchRunBtn');
+    if (runBtn) runBtn.onclick = (e) => { e.preventDefault(); runSearch(input?.value || ''); };
+
+    const helpBtn = $('searchHelpBtn');
+    const helpEl = $('searchHelp');
+    if (helpBtn && helpEl) {
+        helpBtn.onclick = (e) => {
+            e.preventDefault();
+            helpEl.classList.toggle('hidden');
+            helpBtn.blur();
+        };
+        // Clicking an example runs it
+        helpEl.addEventListener('click', (e) => {
+            const example = e.target.closest('code');
+            if (!example || !input) return;
+            input.value = example.textContent;
+            runSearch(input.value);
+        });
+    }
+
+    const listEl = $('searchResults');
+    if (listEl) {
+        listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) openResult(search.results[Number(item.dataset.index)]);
+        });
+    }
+
+    renderSearchResults();
+}
+
+/**
+ * Focus the query box (called when the Search tab opens)
+ */
+export function focusSearch() {
+    $('searchInput')?.focus();
+}
+
+/**
+ * Drop results when a different folder is opened
+ */
+export function resetSearch() {
+    search.token++;
+    Object.assign(search, { running: false, query: '', status: '', statusIsError: false, results: [] });
+    renderSearchResults();
+}
+
+// ---------------------------------------------------------------------------
+// Records
+// ---------------------------------------------------------------------------
+
+function eventRecord(event) {
+    const reasonLabel = event.reason ? formatEventReason?.(event.reason) || '' : '';
+    return {
+        kind: 'event',
+        type: event.type,
+        date: event.date,
+        epochMs: event.epochMs,
+        collectionKey: event.collectionKey,
+        reason: event.reason,
+        reasonLabel,
+        city: event.city,
+        street: event.street,
+        camera: event.camera,
+        text: [event.type, event.reason, event.reason.replace(/_/g, ' '), reasonLabel, event.city, event.street]
+            .join(' ').toLowerCase()
+    };
+}
+
+function clipRecords(folderStructure) {
+    const records = [];
+    for (const [date, dateData] of folderStructure?.dateHandles || []) {
+        if (date === 'Unknown') continue;
+        if (dateData.recent) {
+            records.push({ kind: 'clip', type: 'recent', date, epochMs: null, collectionKey: `recent:${date}`, text: 'recent' });
+        }
+        if (dateData.loose) {
+            records.push({ kind: 'clip', type: 'custom', date, epochMs: null, collectionKey: `custom:${date}`, text: 'custom' });
+        }
+    }
+    return records;
+}
+
+function driveRecord(drive) {
+    return {
+        kind: 'drive',
+        type: 'drive',
+        date: drive.date,
+        epochMs: drive.startMs,
+        drive,
+        text: ['drive', ...(drive.tags || [])].join(' ').toLowerCase()
+    };
+}
+
+function bookmarkRecord(bookmark) {
+    return {
+        kind: 'bookmark',
+        type: 'bookmark',
+        date: bookmark.clip.split('_')[0],
+        epochMs: bookmark.epochMs,
+        bookmark,
+        text: ['bookmark', bookmark.title, bookmark.note].join(' ').toLowerCase()
+    };
+}
+
+async function collectRecords(token) {
+    const state = getState?.();
+    const folderStructure = getFolderStructure?.();
+    const events = await getLibraryEvents(folderStructure, {
+        eventMetaByKey: getEventMetaByKey?.(),
+        onProgress: (done, total) => {
+            if (token !== search.token) return;
+            setStatus(t('ui.search.readingEvents', { done, total }));
+        }
+    });
+    return [
+        ...events.map(eventRecord),
+        ...clipRecords(folderStructure),
+        ...(state?.sentryUsb?.drives || []).map(driveRecord),
+        ...getBookmarks().map(bookmarkRecord)
+    ];
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse and run a query, replacing any search in progress
+ * @param {string} query
+ */
+export async function runSearch(query) {
+    const token = ++search.token;
+    search.query = query.trim();
+    search.results = [];
+
+    let ast;
+    try {
+        ast = parseSearchQuery(search.query, { useMetric: !!getUseMetric?.() });
+    } catch (err) {
+        if (!(err instanceof SearchQueryError)) throw err;
+        search.running = false;
+        setStatus(t(err.i18nKey, err.params), true);
+        return;
+    }
+    if (!ast) {
+        search.running = false;
+        setStatus('');
+        return;
+    }
+    if (!getFolderStructure?.()) {
+        search.running = false;
+        setStatus(t('ui.search.noLibrary'));
+        return;
+    }
+
+    search.running = true;
+    setStatus(t('ui.search.searching'));
+    const isStale = () => token !== search.token;
+
+    try {
+        const records = await collectRecords(token);
+        if (isStale()) return;
+
+        // Pass 1: decide what the metadata alone can
+        const undecided = [];
+        for (const record of records) {
+            const match = evaluateSearch(ast, { record, epochMs: record.epochMs });
+            if (match === true) addResult({ record, segment: null, localSec: 0, epochMs: record.epochMs });
+            else if (match === null) undecided.push(record);
+        }
+        renderSearchResults();
+
+        // Pass 2: per segment (clip start time), queueing telemetry reads for what is still open
+        undecided.sort((a, b) => (b.epochMs ?? Date.parse(b.date)) - (a.epochMs ?? Date.parse(a.date)));
+        const scanQueue = [];
+        let skippedSegments = 0;
+        const collectionsByDate = new Map();
+        for (const record of undecided) {
+            if (isStale() || search.results.length >= MAX_RESULTS) break;
+            if (!collectionsByDate.has(record.date)) {
+                setStatus(t('ui.search.indexingDate', { date: record.date }));
+                collectionsByDate.set(record.date, await getCollectionsForDate?.(record.date) || new Map());
+                if (isStale()) return;
+            }
+            const coll = collectionsByDate.get(record.date).get(record.collectionKey);
+            const groups = coll?.groups || [];
+
+            let segmentHit = null;
+            for (let i = 0; i < groups.length; i++) {
+                const epochMs = parseTimestampKeyToEpochMs(groups[i].timestampKey);
+                const match = evaluateSearch(ast, { record, epochMs });
+                if (match === true) {
+                    // Consecutive matching segments are one result
+                    if (segmentHit && segmentHit.lastSegment === i - 1) {
+                        segmentHit.lastSegment = i;
+                        segmentHit.durationSec += 60;
+                    } else {
+                        segmentHit = { record, segment: i, lastSegment: i, localSec: 0, epochMs, durationSec: 60 };
+                        addResult(segmentHit);
+                    }
+                } else if (match === null) {
+                    if (scanQueue.length < MAX_SCAN_SEGMENTS) scanQueue.push({ record, segment: i, group: groups[i] });
+                    else skippedSegments++;
+                }
+            }
+        }
+        renderSearchResults();
+
+        // Pass 3: read telemetry frame by frame
+        for (let n = 0; n < scanQueue.length; n++) {
+            if (isStale() || search.results.length >= MAX_RESULTS) break;
+            setStatus(t('ui.search.scanningTelemetry', { done: n, total: scanQueue.length }));
+            const { record, segment, group } = scanQueue[n];
+            const frames = await extractCollectionSei([group], {
+                cumulativeStarts: [0],
+                isCancelled: isStale,
+                mapFrame: (frame) => evaluateSearch(ast, { record, epochMs: frame.epochMs, frame: toSearchFrame(frame.sei) }) === true
+                    ? { timestampMs: frame.timestampMs, epochMs: frame.epochMs }
+                    : null
+            });
+            if (isStale()) return;
+            for (const span of mergeFrameSpans(frames)) {
+                addResult({
+                    record,
+                    segment,
+                    localSec: span.startMs / 1000,
+                    epochMs: span.epochMs,
+                    durationSec: (span.endMs - span.startMs) / 1000
+                });
+            }
+            if (frames.length) renderSearchResults();
+        }
+
+        search.running = false;
+        const count = search.results.length;
+        let status = count >= MAX_RESULTS
+            ? t('ui.search.tooManyResults', { count })
+            : t('ui.search.found', { count });
+        if (skippedSegments > 0) status += ` ${t('ui.search.scanLimited', { count: MAX_SCAN_SEGMENTS })}`;
+        setStatus(status);
+        console.log(`[SEARCH] "${search.query}": ${count} result(s), ${scanQueue.length} segment(s) scanned`);
+    } catch (err) {
+        if (isStale()) return;
+        console.error('[SEARCH] Search failed:', err);
+        search.running = false;
+        setStatus(t('ui.search.failed', { error: err.message }), true);
+    }
+}
+
+/**
+ * Group matching frames into [start, end] spans
+ * @param {Array<{timestampMs: number, epochMs: number|null}>} frames
+ * @returns {Array<{startMs: number, endMs: number, epochMs: number|null}>}
+ */
+function mergeFrameSpans(frames) {
+    const spans = [];
+    for (const frame of frames) {
+        const last = spans[spans.length - 1];
+        if (last && frame.timestampMs - last.endMs <= SPAN_GAP_MS) {
+            last.endMs = frame.timestampMs;
+        } else {
+            spans.push({ startMs: frame.timestampMs, endMs: frame.timestampMs, epochMs: frame.epochMs });
+        }
+    }
+    return spans;
+}
+
+function addResult(result) {
+    if (search.results.length >= MAX_RESULTS) return;
+    search.results.push(result);
+}
+
+function setStatus(text, isError = false) {
+    search.status = text;
+    search.statusIsError = isError;
+    renderSearchResults();
+}
+
+/**
+ * Open a result: load its date and collection, then seek to the match
+ * @param {Object} result
+ */
+function openResult(result) {
+    if (!result) return;
+    const { record } = result;
+    if (record.kind === 'drive') {
+        selectDriveCollection?.(record.drive);
+        return;
+    }
+    if (record.kind === 'bookmark') {
+        openBookmark(record.bookmark);
+        return;
+    }
+    openCollectionAt?.({
+        date: record.date,
+        collectionKey: record.collectionKey,
+        segment: result.segment,
+        // Start a little before the match so it can be seen coming
+        localSec: Math.max(0, result.localSec - 2)
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function formatResultTime(epochMs, date) {
+    if (!Number.isFinite(epochMs)) return date;
+    return new Date(epochMs).toLocaleString(undefined, {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
+
+function describeResult(result) {
+    const { record } = result;
+    if (record.kind === 'drive') {
+        const drive = record.drive;
+        const stats = [formatDriveDistance(drive, getUseMetric?.()), formatDriveDuration(drive.durationMs)];
+        if (Number.isFinite(drive.fsdPercent)) stats.push(`FSD ${Math.round(drive.fsdPercent)}%`);
+        return { title: t('ui.search.drive'), meta: formatResultTime(record.epochMs, record.date), detail: stats.join(' · ') };
+    }
+    if (record.kind === 'bookmark') {
+        const { bookmark } = record;
+        return {
+            title: bookmark.title || t('ui.bookmarks.untitled'),
+            meta: formatResultTime(record.epochMs, record.date),
+            detail: bookmark.note.split('\n')[0]
+        };
+    }
+    if (record.kind === 'event') {
+        const title = record.reasonLabel || t(record.type === 'sentry' ? 'ui.search.sentryEvent' : 'ui.search.savedEvent');
+        const place = [record.street, record.city].filter(Boolean).join(', ');
+        return { title, meta: formatResultTime(result.epochMs ?? record.epochMs, record.date), detail: place };
+    }
+    return {
+        title: t(record.type === 'recent' ? 'ui.search.recentClips' : 'ui.search.customClips'),
+        meta: formatResultTime(result.epochMs, record.date),
+        detail: ''
+    };
+}
+
+/**
+ * Render the Search tab status and results
+ */
+export function renderSearchResults() {
+    const listEl = $('searchResults');
+    const statusEl = $('searchStatus');
+    const runBtn = $('searchRunBtn');
+    if (runBtn) runBtn.classList.toggle('running', search.running);
+    if (statusEl) {
+        statusEl.textContent = search.status;
+        statusEl.classList.toggle('error', !!search.statusIsError);
+    }
+    if (!listEl) return;
+
+    listEl.innerHTML = search.results.map((result, index) => {
+        const { title, meta, detail } = describeResult(result);
+        const icon = RESULT_ICONS[result.record.type] || 'movie';
+        const badge = result.durationSec > 0 ? `${Math.max(1, Math.round(result.durationSec))}s` : '';
+        return `
+        <div class="search-result ${result.record.type}" data-index="${index}">
+            <span class="material-symbols-outlined search-result-icon">${icon}</span>
+            <div class="search-result-info">
+                <div class="search-result-title">${escapeHtml(title)}</div>
+                <div class="search-result-meta">${escapeHtml(meta)}</div>
+                ${detail ? `<div class="search-result-meta">${escapeHtml(detail)}</div>` : ''}
+            </div>
+            ${badge ? `<span class="search-result-badge">${escapeHtml(badge)}</span>` : ''}
+        </div>`;
+    }).join('');
+}
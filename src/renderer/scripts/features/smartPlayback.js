@@ -0,0 +1,286 @@
+/**
+ * Smart Playback
+ * For drives (RecentClips and other non-event collections): skips or fast-forwards stretches where
+ * the car sits parked, drops to 1x around brake and blinker use, and shows how much time was saved.
+ * Works from the shared collection telemetry scan.
+ */
+
+import { t } from '../lib/i18n.js';
+import { notify } from '../ui/notifications.js';
+import { formatTimeHMS } from '../ui/timeDisplay.js';
+import { SMART_PLAYBACK_KEY } from '../lib/storageKeys.js';
+import { DEFAULT_SMART_PLAYBACK, PARKED_ACTIONS, planSmartPlayback } from '../core/smartPlaybackPlanner.js';
+import { getCollectionTelemetry, onCollectionTelemetryChange, requestCollectionTelemetry } from './collectionTelemetry.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let seekNativeDayCollectionBySec = null;
+let setVideoPlaybackRate = null;
+
+let options = { ...DEFAULT_SMART_PLAYBACK };
+let enabled = false;
+
+// Settings sliders: input id -> option key and value suffix
+const OPTION_INPUTS = {
+    settingsSmartMinParked: { key: 'minParkedSec', format: v => `${v} s` },
+    settingsSmartFastRate: { key: 'fastRate', format: v => `${v}x` },
+    settingsSmartSlowPad: { key: 'slowPadSec', format: v => (v > 0 ? `${v} s` : t('ui.smartPlayback.off')) }
+};
+
+// Plan and session state for the active collection
+const plan = {
+    collectionId: null,
+    sampleCount: -1,
+    parked: [],
+    attention: []
+};
+let mode = 'normal';     // 'normal' | 'fast' | 'slow' — what smart playback is doing right now
+let savedSec = 0;        // Collection time not watched at normal speed (skipped, or saved by fast-forward)
+let lastSec = null;
+let lastSkipTarget = -1;
+
+/**
+ * Initialize smart playback module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initSmartPlayback(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    seekNativeDayCollectionBySec = deps.seekNativeDayCollectionBySec;
+    setVideoPlaybackRate = deps.setVideoPlaybackRate;
+
+    try {
+        enabled = localStorage.getItem(SMART_PLAYBACK_KEY) === '1';
+    } catch { /* ignore */ }
+
+    const btn = $('smartPlaybackBtn');
+    if (btn) btn.onclick = (e) => { e.preventDefault(); toggleSmartPlayback(); btn.blur(); };
+
+    initSmartPlaybackSettings();
+    onCollectionTelemetryChange(onTelemetryChange);
+}
+
+/**
+ * Load options from settings and wire Settings > Smart Playback
+ */
+function initSmartPlaybackSettings() {
+    const actionSelect = $('settingsSmartParkedAction');
+    const applyToInputs = () => {
+        if (actionSelect) actionSelect.value = options.parkedAction;
+        for (const [id, { key, format }] of Object.entries(OPTION_INPUTS)) {
+            const input = $(id);
+            if (input) input.value = options[key];
+            const valueEl = $(`${id}Value`);
+            if (valueEl) valueEl.textContent = format(options[key]);
+        }
+    };
+    const save = async () => {
+        if (window.electronAPI?.setSetting) {
+            await window.electronAPI.setSetting('smartPlayback', options);
+        }
+        replan(true);
+    };
+
+    if (window.electronAPI?.getSetting) {
+        window.electronAPI.getSetting('smartPlayback').then(saved => {
+            if (saved && typeof saved === 'object') options = { ...DEFAULT_SMART_PLAYBACK, ...saved };
+            if (!PARKED_ACTIONS.includes(options.parkedAction)) options.parkedAction = DEFAULT_SMART_PLAYBACK.parkedAction;
+            applyToInputs();
+            replan(true);
+        });
+    } else {
+        applyToInputs();
+    }
+
+    if (actionSelect) {
+        actionSelect.addEventListener('change', async () => {
+            options.parkedAction = PARKED_ACTIONS.includes(actionSelect.value) ? actionSelect.value : DEFAULT_SMART_PLAYBACK.parkedAction;
+            await save();
+            actionSelect.blur();
+        });
+    }
+
+    for (const [id, { key, format }] of Object.entries(OPTION_INPUTS)) {
+        const input = $(id);
+        if (!input) continue;
+        input.addEventListener('input', () => {
+            options[key] = parseFloat(input.value);
+            const valueEl = $(`${id}Value`);
+            if (valueEl) valueEl.textContent = format(options[key]);
+        });
+        input.addEventListener('change', async () => {
+            await save();
+            input.blur();
+        });
+    }
+
+    const resetBtn = $('resetSmartPlaybackBtn');
+    if (resetBtn) {
+        resetBtn.onclick = async (e) => {
+            e.preventDefault();
+            options = { ...DEFAULT_SMART_PLAYBACK };
+            applyToInputs();
+            await save();
+            resetBtn.blur();
+        };
+    }
+}
+
+/**
+ * Smart playback only applies to drives; Sentry/Saved events are parked by nature
+ */
+function isApplicable(coll) {
+    if (!coll) return false;
+    const tag = (coll.tag || '').toLowerCase();
+    return tag !== 'sentryclips' && tag !== 'savedclips';
+}
+
+/**
+ * Collection loaded/changed, durations probed or telemetry progressed
+ */
+function onTelemetryChange() {
+    const coll = getState?.()?.collection?.active || null;
+    if (enabled && isApplicable(coll)) requestCollectionTelemetry();
+
+    if ((coll?.id || null) !== plan.collectionId) {
+        plan.collectionId = coll?.id || null;
+        plan.sampleCount = -1;
+        savedSec = 0;
+        lastSec = null;
+        lastSkipTarget = -1;
+        setMode('normal');
+    }
+    replan(false);
+}
+
+/**
+ * Rebuild parked/attention ranges when samples were added, times re-based or options changed
+ * @param {boolean} force - Replan even if the sample count is unchanged
+ */
+function replan(force) {
+    const coll = getState?.()?.collection?.active;
+    const telemetry = getCollectionTelemetry();
+    if (!coll || telemetry.collectionId !== coll.id) {
+        Object.assign(plan, { sampleCount: -1, parked: [], attention: [] });
+    } else if (force || telemetry.samples.length !== plan.sampleCount || !telemetry.scanning) {
+        const result = planSmartPlayback(telemetry.samples, telemetry.times, options);
+        Object.assign(plan, { sampleCount: telemetry.samples.length, parked: result.parked, attention: result.attention });
+    }
+    updateIndicator();
+}
+
+/**
+ * Toggle smart playback
+ */
+export function toggleSmartPlayback() {
+    enabled = !enabled;
+    try {
+        localStorage.setItem(SMART_PLAYBACK_KEY, enabled ? '1' : '0');
+    } catch { /* ignore */ }
+    if (!enabled) setMode('normal');
+    onTelemetryChange();
+    notify(t(enabled ? 'ui.smartPlayback.enabled' : 'ui.smartPlayback.disabled'), { type: 'info' });
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/**
+ * Switch the playback rate for a mode; 'normal' restores the user's chosen speed
+ */
+function setMode(next) {
+    const userRate = getState?.()?.ui?.playbackRate || 1;
+    const rate = next === 'fast' ? Math.max(userRate, options.fastRate)
+        : next === 'slow' ? Math.min(userRate, 1)
+        : userRate;
+    const master = getNativeVideo?.()?.master;
+    // Loading a segment re-applies the user's speed, so compare against the element, not the last mode
+    if (next !== mode || (master && master.playbackRate !== rate)) {
+        setVideoPlaybackRate?.(rate);
+    }
+    if (next !== mode) {
+        mode = next;
+        updateIndicator();
+    }
+}
+
+function rangeAt(ranges, sec) {
+    return ranges.find(r => sec >= r.start && sec < r.end) || null;
+}
+
+/**
+ * Called from the playback time update with the collection position
+ * @param {number} currentSec - Seconds from the start of the collection
+ */
+export function updateSmartPlayback(currentSec) {
+    const coll = getState?.()?.collection?.active;
+    const nativeVideo = getNativeVideo?.();
+    if (!enabled || !isApplicable(coll)) {
+        lastSec = null;
+        return;
+    }
+
+    // Time saved by fast-forwarding since the last update (seeks and scrubs are ignored)
+    if (mode === 'fast' && lastSec != null && currentSec > lastSec && currentSec - lastSec < 5) {
+        const rate = nativeVideo?.master?.playbackRate || 1;
+        savedSec += (currentSec - lastSec) * (1 - 1 / rate);
+        updateIndicator();
+    }
+    lastSec = currentSec;
+
+    if (!nativeVideo?.playing || nativeVideo.isSeeking) return;
+
+    const parked = rangeAt(plan.parked, currentSec);
+    if (parked && parked.end - currentSec > 0.5) {
+        if (options.parkedAction === 'skip') {
+            if (parked.end === lastSkipTarget) return;
+            lastSkipTarget = parked.end;
+            savedSec += parked.end - currentSec;
+            lastSec = null;
+            console.log(`[SMART] Skipping parked ${currentSec.toFixed(1)}s -> ${parked.end.toFixed(1)}s`);
+            setMode('normal');
+            seekNativeDayCollectionBySec?.(parked.end);
+            return;
+        }
+        setMode('fast');
+        return;
+    }
+
+    setMode(rangeAt(plan.attention, currentSec) ? 'slow' : 'normal');
+}
+
+// ============================================
+// INDICATOR
+// ============================================
+
+/**
+ * Button state plus a short status: current override speed and time saved so far
+ */
+function updateIndicator() {
+    const coll = getState?.()?.collection?.active;
+    const applicable = isApplicable(coll);
+    const btn = $('smartPlaybackBtn');
+    if (btn) {
+        btn.classList.toggle('hidden', !!coll && !applicable);
+        btn.classList.toggle('active', enabled);
+        btn.title = t(enabled ? 'ui.smartPlayback.on' : 'ui.smartPlayback.toggle');
+    }
+
+    const status = $('smartPlaybackStatus');
+    if (!status) return;
+    const parts = [];
+    if (mode === 'fast') parts.push(`${getNativeVideo?.()?.master?.playbackRate || options.fastRate}x`);
+    if (mode === 'slow') parts.push('1x');
+    if (savedSec >= 1) parts.push(`−${formatTimeHMS(savedSec)}`);
+    const visible = enabled && applicable && parts.length > 0;
+    status.classList.toggle('hidden', !visible);
+    status.classList.toggle('slow', mode === 'slow');
+    if (!visible) return;
+    status.textContent = parts.join(' · ');
+    status.title = savedSec >= 1 ? t('ui.smartPlayback.saved', { time: formatTimeHMS(savedSec) }) : '';
+}
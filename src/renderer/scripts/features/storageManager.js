@@ -0,0 +1,601 @@
+/**
+ * Storage Manager
+ * Disk usage of the open folder by clip type, day and camera, bulk removal of selected days/events,
+ * and retention rules ("RecentClips older than 30 days unless bookmarked", "only front+back for
+ * Sentry older than a week"). Rules never run on their own: they build a preview, and confirming it
+ * moves everything to the system trash in one batch (src/main/storageManager.js).
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t, getCurrentLanguage } from '../lib/i18n.js';
+import { escapeHtml, formatSize } from '../lib/utils.js';
+import { cameraLabel } from '../core/teslaCamIndex.js';
+import { getBookmarks } from './bookmarks.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getBaseFolderPath = null;
+let releaseCollection = null;
+let refreshLibrary = null;
+
+const TYPES = [
+    { id: 'recent', key: 'ui.clipBrowser.recent' },
+    { id: 'sentry', key: 'ui.clipBrowser.sentry' },
+    { id: 'saved', key: 'ui.clipBrowser.saved' },
+    { id: 'other', key: 'ui.storage.other' }
+];
+const RULE_TYPES = ['recent', 'sentry', 'saved'];
+const CAMERAS = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+const DEFAULT_RULES = [
+    { type: 'recent', action: 'delete', olderThanDays: 30, cameras: [], exceptBookmarked: true },
+    { type: 'sentry', action: 'keepCameras', olderThanDays: 7, cameras: ['front', 'back'], exceptBookmarked: true }
+];
+
+const storage = {
+    rootPath: null,
+    scanned: false,
+    entries: [],
+    selected: new Set(),   // entry ids ticked on the Clips tab
+    rules: [],
+    plan: null,            // preview shown before moving to trash
+    busy: false,
+    changed: false         // something was trashed; reload the library on close
+};
+
+/**
+ * Initialize storage manager module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initStorageManager(deps) {
+    getBaseFolderPath = deps.getBaseFolderPath;
+    releaseCollection = deps.releaseCollection;
+    refreshLibrary = deps.refreshLibrary;
+
+    const openBtn = $('storageBtn');
+    if (openBtn) {
+        openBtn.onclick = (e) => {
+            e.preventDefault();
+            openBtn.blur();
+            openStorageManager();
+        };
+    }
+    const modal = $('storageModal');
+    const closeBtn = $('closeStorageModal');
+    if (closeBtn) closeBtn.onclick = closeStorageManager;
+    const doneBtn = $('closeStorageBtn');
+    if (doneBtn) doneBtn.onclick = closeStorageManager;
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) closeStorageManager();
+        };
+    }
+
+    document.querySelectorAll('#storageTabBar .clip-drive-tab').forEach(tab => {
+        tab.onclick = () => showTab(tab.dataset.panel);
+    });
+
+    for (const id of ['storageShowRecent', 'storageShowSentry', 'storageShowSaved', 'storageShowOther']) {
+        const el = $(id);
+        if (el) el.addEventListener('change', renderEntryList);
+    }
+    const selectAllBtn = $('storageSelectAll');
+    if (selectAllBtn) selectAllBtn.onclick = () => setVisibleSelected(true);
+    const selectNoneBtn = $('storageSelectNone');
+    if (selectNoneBtn) selectNoneBtn.onclick = () => setVisibleSelected(false);
+    const list = $('storageList');
+    if (list) {
+        list.addEventListener('change', (e) => {
+            const id = e.target?.dataset?.id;
+            if (!id) return;
+            if (e.target.checked) storage.selected.add(id);
+            else storage.selected.delete(id);
+            updateSelectionStatus();
+        });
+    }
+    const trashSelectedBtn = $('storageTrashSelectedBtn');
+    if (trashSelectedBtn) trashSelectedBtn.onclick = () => showPlan(buildSelectionPlan());
+
+    const rulesEl = $('storageRules');
+    if (rulesEl) {
+        rulesEl.addEventListener('change', onRuleChange);
+        rulesEl.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.storage-rule-remove');
+            if (!removeBtn) return;
+            storage.rules.splice(Number(removeBtn.closest('.storage-rule').dataset.index), 1);
+            saveRules();
+            renderRules();
+        });
+    }
+    const addRuleBtn = $('storageAddRuleBtn');
+    if (addRuleBtn) {
+        addRuleBtn.onclick = () => {
+            storage.rules.push({ type: 'recent', action: 'delete', olderThanDays: 30, cameras: ['front', 'back'], exceptBookmarked: true });
+            saveRules();
+            renderRules();
+        };
+    }
+    const previewRulesBtn = $('storagePreviewRulesBtn');
+    if (previewRulesBtn) previewRulesBtn.onclick = () => showPlan(buildRulesPlan(storage.rules));
+
+    const planBackBtn = $('storagePlanBackBtn');
+    if (planBackBtn) planBackBtn.onclick = () => showPlan(null);
+    const planConfirmBtn = $('storagePlanConfirmBtn');
+    if (planConfirmBtn) planConfirmBtn.onclick = trashPlan;
+}
+
+/**
+ * Open the storage view; measures the folder the first time it is opened for it
+ */
+export async function openStorageManager() {
+    const rootPath = getBaseFolderPath?.();
+    if (!rootPath || !window.electronAPI?.scanStorage) {
+        notify(t('ui.storage.needsFolder'), { type: 'warn' });
+        return;
+    }
+
+    $('storageModal')?.classList.remove('hidden');
+    await loadRules();
+    showPlan(null);
+    if (storage.rootPath !== rootPath || !storage.scanned) {
+        Object.assign(storage, { rootPath, entries: [], scanned: false });
+        storage.selected.clear();
+        await scanStorage();
+    } else {
+        renderAll();
+    }
+}
+
+function closeStorageManager() {
+    $('storageModal')?.classList.add('hidden');
+    if (storage.changed) {
+        storage.changed = false;
+        refreshLibrary?.();
+    }
+}
+
+function showTab(panel) {
+    document.querySelectorAll('#storageTabBar .clip-drive-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.panel === panel);
+    });
+    document.querySelectorAll('#storageModal .storage-panel').forEach(el => {
+        el.classList.toggle('hidden', el.dataset.panel !== panel);
+    });
+}
+
+function setStatus(text) {
+    const statusEl = $('storageStatus');
+    if (statusEl) statusEl.textContent = text;
+}
+
+function typeLabel(type) {
+    const entry = TYPES.find(ty => ty.id === type);
+    return entry ? t(entry.key) : type;
+}
+
+function formatDay(day) {
+    const [Y, M, D] = String(day).split('-').map(Number);
+    if (!Y || !M || !D) return day;
+    return new Date(Y, M - 1, D).toLocaleDateString(getCurrentLanguage(), { dateStyle: 'medium' });
+}
+
+function entryLabel(entry) {
+    const time = entry.eventId?.split('_')[1]?.replace(/-/g, ':');
+    return [typeLabel(entry.type), formatDay(entry.day), time].filter(Boolean).join(' · ');
+}
+
+// ---------------------------------------------------------------------------
+// Measuring
+// ---------------------------------------------------------------------------
+
+async function scanStorage() {
+    const api = window.electronAPI;
+    storage.busy = true;
+    renderAll();
+    setStatus(t('ui.storage.reading'));
+
+    const onProgress = ({ phase, done, total }) => {
+        if (phase === 'scan') setStatus(t('ui.storage.measuring', { done, total }));
+    };
+    api.on('storage:progress', onProgress);
+    try {
+        const result = await api.scanStorage(storage.rootPath);
+        if (!result?.success) throw new Error(result?.error || 'Scan failed');
+        storage.entries = result.entries.sort((a, b) => b.day.localeCompare(a.day) || a.id.localeCompare(b.id));
+        storage.scanned = true;
+        for (const id of [...storage.selected]) {
+            if (!storage.entries.some(e => e.id === id)) storage.selected.delete(id);
+        }
+    } catch (err) {
+        console.error('[STORAGE] Scan failed:', err);
+        notify(t('ui.storage.scanFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        api.off('storage:progress', onProgress);
+        storage.busy = false;
+        renderAll();
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Usage tab
+// ---------------------------------------------------------------------------
+
+function renderBars(rows, total) {
+    const max = Math.max(1, ...rows.map(r => r.bytes));
+    return rows.map(r => `
+        <div class="storage-bar-row">
+            <span class="storage-bar-label">${escapeHtml(r.label)}</span>
+            <span class="storage-bar"><span class="storage-bar-fill ${r.className || ''}" style="width: ${(r.bytes / max * 100).toFixed(1)}%"></span></span>
+            <span class="storage-bar-value">${escapeHtml(formatSize(r.bytes))}${total ? ` · ${Math.round(r.bytes / total * 100)}%` : ''}</span>
+        </div>`).join('');
+}
+
+function renderUsage() {
+    const el = $('storageUsage');
+    if (!el) return;
+    const total = storage.entries.reduce((n, e) => n + e.bytes, 0);
+
+    const byType = TYPES
+        .map(ty => ({ label: t(ty.key), className: ty.id, bytes: storage.entries.filter(e => e.type === ty.id).reduce((n, e) => n + e.bytes, 0) }))
+        .filter(r => r.bytes > 0);
+
+    const cameraBytes = new Map();
+    for (const e of storage.entries) {
+        for (const f of e.files) cameraBytes.set(f.camera, (cameraBytes.get(f.camera) || 0) + f.size);
+    }
+    const byCamera = [...cameraBytes.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([camera, bytes]) => ({ label: cameraLabel(camera), bytes }));
+
+    const days = new Map();
+    for (const e of storage.entries) {
+        if (!days.has(e.day)) days.set(e.day, { recent: 0, sentry: 0, saved: 0, other: 0, total: 0 });
+        const d = days.get(e.day);
+        d[e.type] += e.bytes;
+        d.total += e.bytes;
+    }
+    const maxDay = Math.max(1, ...[...days.values()].map(d => d.total));
+
+    el.innerHTML = `
+        <div class="storage-total">${escapeHtml(t('ui.storage.total', { size: formatSize(total), count: storage.entries.length }))}</div>
+        <div class="storage-usage-columns">
+            <div>
+                <h3>${escapeHtml(t('ui.storage.byType'))}</h3>
+                ${renderBars(byType, total)}
+            </div>
+            <div>
+                <h3>${escapeHtml(t('ui.storage.byCamera'))}</h3>
+                ${renderBars(byCamera, total)}
+            </div>
+        </div>
+        <h3>${escapeHtml(t('ui.storage.byDay'))}</h3>
+        <div class="storage-days">
+            ${[...days.entries()].map(([day, d]) => `
+                <div class="storage-bar-row">
+                    <span class="storage-bar-label">${escapeHtml(formatDay(day))}</span>
+                    <span class="storage-bar">${TYPES.filter(ty => d[ty.id] > 0).map(ty => `<span class="storage-bar-fill ${ty.id}" style="width: ${(d[ty.id] / maxDay * 100).toFixed(1)}%" title="${escapeHtml(`${t(ty.key)}: ${formatSize(d[ty.id])}`)}"></span>`).join('')}</span>
+                    <span class="storage-bar-value">${escapeHtml(formatSize(d.total))}</span>
+                </div>`).join('')}
+        </div>`;
+}
+
+// ---------------------------------------------------------------------------
+// Clips tab (bulk selection)
+// ---------------------------------------------------------------------------
+
+function getVisibleEntries() {
+    const show = {
+        recent: $('storageShowRecent')?.checked ?? true,
+        sentry: $('storageShowSentry')?.checked ?? true,
+        saved: $('storageShowSaved')?.checked ?? true,
+        other: $('storageShowOther')?.checked ?? true
+    };
+    return storage.entries.filter(e => show[e.type]);
+}
+
+function renderEntryList() {
+    const list = $('storageList');
+    if (!list) return;
+    const bookmarks = getBookmarkIndex();
+    list.innerHTML = getVisibleEntries().map(e => `
+        <label class="storage-item">
+            <input type="checkbox" data-id="${escapeHtml(e.id)}" ${storage.selected.has(e.id) ? 'checked' : ''}>
+            <span class="library-map-dot ${e.type}"></span>
+            <span class="storage-item-label">${escapeHtml(entryLabel(e))}</span>
+            <span class="storage-item-cameras">${escapeHtml(t('ui.storage.cameraCount', { count: new Set(e.files.map(f => f.camera)).size }))}</span>
+            <span class="storage-item-bookmark">${isBookmarked(e, bookmarks) ? '<span class="material-symbols-outlined mi-sm">bookmark</span>' : ''}</span>
+            <span class="storage-item-size">${escapeHtml(formatSize(e.bytes))}</span>
+        </label>`).join('');
+    updateSelectionStatus();
+}
+
+function setVisibleSelected(selected) {
+    for (const e of getVisibleEntries()) {
+        if (selected) storage.selected.add(e.id);
+        else storage.selected.delete(e.id);
+    }
+    renderEntryList();
+}
+
+function updateSelectionStatus() {
+    const selected = storage.entries.filter(e => storage.selected.has(e.id));
+    const bytes = selected.reduce((n, e) => n + e.bytes, 0);
+    const el = $('storageSelectionStatus');
+    if (el) el.textContent = t('ui.storage.selectedCount', { count: selected.length, size: formatSize(bytes) });
+    const btn = $('storageTrashSelectedBtn');
+    if (btn) btn.disabled = storage.busy || !selected.length;
+}
+
+// ---------------------------------------------------------------------------
+// Retention rules
+// ---------------------------------------------------------------------------
+
+function sanitizeRule(raw) {
+    return {
+        type: RULE_TYPES.includes(raw?.type) ? raw.type : 'recent',
+        action: raw?.action === 'keepCameras' ? 'keepCameras' : 'delete',
+        olderThanDays: Math.max(0, Math.round(Number(raw?.olderThanDays)) || 0),
+        cameras: Array.isArray(raw?.cameras) ? raw.cameras.filter(c => CAMERAS.includes(c)) : [],
+        exceptBookmarked: raw?.exceptBookmarked !== false
+    };
+}
+
+async function loadRules() {
+    let saved = null;
+    try {
+        saved = await window.electronAPI?.getSetting?.('storageRetentionRules');
+    } catch { /* defaults */ }
+    storage.rules = (Array.isArray(saved) ? saved : DEFAULT_RULES).map(sanitizeRule);
+}
+
+function saveRules() {
+    window.electronAPI?.setSetting?.('storageRetentionRules', storage.rules);
+}
+
+function onRuleChange(e) {
+    const row = e.target.closest('.storage-rule');
+    if (!row) return;
+    const rule = storage.rules[Number(row.dataset.index)];
+    if (!rule) return;
+    const field = e.target.dataset.field;
+    if (field === 'camera') {
+        rule.cameras = Array.from(row.querySelectorAll('input[data-field="camera"]:checked')).map(cb => cb.dataset.camera);
+    } else if (field === 'olderThanDays') {
+        rule.olderThanDays = Math.max(0, Math.round(Number(e.target.value)) || 0);
+    } else if (field === 'exceptBookmarked') {
+        rule.exceptBookmarked = e.target.checked;
+    } else if (field === 'type' || field === 'action') {
+        rule[field] = e.target.value;
+        renderRules();
+    }
+    saveRules();
+}
+
+function renderRules() {
+    const el = $('storageRules');
+    if (!el) return;
+    el.innerHTML = storage.rules.map((rule, i) => `
+        <div class="storage-rule" data-index="${i}">
+            <select data-field="type">
+                ${RULE_TYPES.map(type => `<option value="${type}" ${rule.type === type ? 'selected' : ''}>${escapeHtml(typeLabel(type))}</option>`).join('')}
+            </select>
+            <select data-field="action">
+                <option value="delete" ${rule.action === 'delete' ? 'selected' : ''}>${escapeHtml(t('ui.storage.ruleDelete'))}</option>
+                <option value="keepCameras" ${rule.action === 'keepCameras' ? 'selected' : ''}>${escapeHtml(t('ui.storage.ruleKeepCameras'))}</option>
+            </select>
+            <label class="library-map-field">
+                <span>${escapeHtml(t('ui.storage.ruleOlderThan'))}</span>
+                <input type="number" class="text-input" data-field="olderThanDays" min="0" max="3650" value="${rule.olderThanDays}">
+            </label>
+            <label class="library-map-check">
+                <input type="checkbox" data-field="exceptBookmarked" ${rule.exceptBookmarked ? 'checked' : ''}>
+                <span>${escapeHtml(t('ui.storage.ruleExceptBookmarked'))}</span>
+            </label>
+            <button class="icon-btn storage-rule-remove" type="button" title="${escapeHtml(t('ui.storage.ruleRemove'))}">
+                <span class="material-symbols-outlined mi-sm">close</span>
+            </button>
+            ${rule.action === 'keepCameras' ? `
+                <div class="storage-rule-cameras">
+                    ${CAMERAS.map(camera => `
+                        <label class="library-map-check">
+                            <input type="checkbox" data-field="camera" data-camera="${camera}" ${rule.cameras.includes(camera) ? 'checked' : ''}>
+                            <span>${escapeHtml(cameraLabel(camera))}</span>
+                        </label>`).join('')}
+                </div>` : ''}
+        </div>`).join('') || `<div class="web-gallery-empty">${escapeHtml(t('ui.storage.noRules'))}</div>`;
+
+    const previewBtn = $('storagePreviewRulesBtn');
+    if (previewBtn) previewBtn.disabled = storage.busy || !storage.rules.length;
+}
+
+// ---------------------------------------------------------------------------
+// Plans (what a confirmation moves to the trash)
+// ---------------------------------------------------------------------------
+
+/**
+ * Bookmarked events and clip timestamps of the open folder (see features/bookmarks.js)
+ */
+function getBookmarkIndex() {
+    const events = new Set();
+    const clips = new Set();
+    for (const b of getBookmarks()) {
+        const tag = (b.tag || '').toLowerCase();
+        if (b.eventId) events.add(`${tag}/${b.eventId}`);
+        clips.add(`${tag}/${b.clip}`);
+    }
+    return { events, clips };
+}
+
+function isBookmarked(entry, bookmarks) {
+    const tag = (entry.tag || '').toLowerCase();
+    if (entry.eventId) return bookmarks.events.has(`${tag}/${entry.eventId}`);
+    return entry.files.some(f => bookmarks.clips.has(`${tag}/${f.timestampKey}`));
+}
+
+/**
+ * Local date N days ago as YYYY-MM-DD (entries on earlier days are older than N days)
+ */
+function cutoffDay(days) {
+    const d = new Date();
+    d.setDate(d.getDate() - days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Plan item removing a whole entry: its event folder, or every clip of a RecentClips day
+ */
+function wholeEntryItem(entry) {
+    const items = [...entry.files, ...entry.assets];
+    return {
+        entry,
+        whole: true,
+        paths: entry.folderPath ? [entry.folderPath] : items.map(f => f.path),
+        bytes: entry.bytes,
+        fileCount: items.length,
+        cameras: []
+    };
+}
+
+function filesItem(entry, files) {
+    return {
+        entry,
+        whole: false,
+        paths: files.map(f => f.path),
+        bytes: files.reduce((n, f) => n + f.size, 0),
+        fileCount: files.length,
+        cameras: [...new Set(files.map(f => f.camera))]
+    };
+}
+
+function finishPlan(items) {
+    const nonEmpty = items.filter(item => item.paths.length);
+    return {
+        items: nonEmpty,
+        paths: nonEmpty.flatMap(item => item.paths),
+        bytes: nonEmpty.reduce((n, item) => n + item.bytes, 0),
+        fileCount: nonEmpty.reduce((n, item) => n + item.fileCount, 0)
+    };
+}
+
+function buildSelectionPlan() {
+    return finishPlan(storage.entries.filter(e => storage.selected.has(e.id)).map(wholeEntryItem));
+}
+
+/**
+ * Apply retention rules to the measured entries. Several rules on one entry combine:
+ * a whole-entry delete wins, otherwise the clips each rule removes are merged.
+ * @param {Array<Object>} rules
+ * @returns {{items, paths, bytes, fileCount}}
+ */
+function buildRulesPlan(rules) {
+    const bookmarks = getBookmarkIndex();
+    const items = [];
+
+    for (const entry of storage.entries) {
+        const tag = (entry.tag || '').toLowerCase();
+        const entryBookmarked = isBookmarked(entry, bookmarks);
+        let whole = false;
+        const files = new Map();
+
+        for (const rule of rules) {
+            if (rule.type !== entry.type || !(entry.day < cutoffDay(rule.olderThanDays))) continue;
+            // Events are kept or removed as a unit; RecentClips keep only the bookmarked clips
+            if (rule.exceptBookmarked && entry.eventId && entryBookmarked) continue;
+            const candidates = entry.files.filter(f => !(rule.exceptBookmarked && bookmarks.clips.has(`${tag}/${f.timestampKey}`)));
+
+            if (rule.action === 'delete') {
+                if (candidates.length === entry.files.length && entry.eventId) whole = true;
+                else candidates.forEach(f => files.set(f.path, f));
+            } else {
+                candidates.filter(f => !rule.cameras.includes(f.camera)).forEach(f => files.set(f.path, f));
+            }
+        }
+
+        if (whole) items.push(wholeEntryItem(entry));
+        else if (files.size) items.push(filesItem(entry, [...files.values()]));
+    }
+    return finishPlan(items);
+}
+
+/**
+ * Show a plan for confirmation (null returns to the tabs)
+ */
+function showPlan(plan) {
+    storage.plan = plan;
+    $('storagePlan')?.classList.toggle('hidden', !plan);
+    $('storageTabs')?.classList.toggle('hidden', !!plan);
+    if (!plan) return;
+
+    const summary = $('storagePlanSummary');
+    if (summary) {
+        summary.textContent = plan.items.length
+            ? t('ui.storage.planSummary', { files: plan.fileCount, size: formatSize(plan.bytes), count: plan.items.length })
+            : t('ui.storage.planEmpty');
+    }
+    const list = $('storagePlanList');
+    if (list) {
+        list.innerHTML = plan.items.map(item => `
+            <div class="storage-item">
+                <span class="library-map-dot ${item.entry.type}"></span>
+                <span class="storage-item-label">${escapeHtml(entryLabel(item.entry))}</span>
+                <span class="storage-item-cameras">${escapeHtml(item.whole
+                    ? t('ui.storage.planWhole')
+                    : t('ui.storage.planCameras', { cameras: item.cameras.map(cameraLabel).join(', ') }))}</span>
+                <span class="storage-item-size">${escapeHtml(formatSize(item.bytes))}</span>
+            </div>`).join('');
+    }
+    const confirmBtn = $('storagePlanConfirmBtn');
+    if (confirmBtn) confirmBtn.disabled = storage.busy || !plan.items.length;
+}
+
+/**
+ * Move the previewed plan to the trash in one batch
+ */
+async function trashPlan() {
+    const api = window.electronAPI;
+    const plan = storage.plan;
+    if (!plan?.paths.length || storage.busy || !api?.trashStorageItems) return;
+
+    storage.busy = true;
+    showPlan(plan);
+    updateSelectionStatus();
+
+    // The player holds file handles on the clips it has open
+    for (const item of plan.items) releaseCollection?.(item.entry.id);
+
+    const onProgress = ({ phase, done, total }) => {
+        if (phase === 'trash') setStatus(t('ui.storage.trashing', { done, total }));
+    };
+    api.on('storage:progress', onProgress);
+    try {
+        const result = await api.trashStorageItems(storage.rootPath, plan.paths);
+        if (!result?.success) throw new Error(result?.error || 'Failed');
+        if (result.trashed.length) storage.changed = true;
+        for (const item of plan.items) storage.selected.delete(item.entry.id);
+        if (result.failed.length) {
+            notify(t('ui.storage.trashPartial', { trashed: result.trashed.length, failed: result.failed.length, error: result.failed[0].error }), { type: 'warn' });
+        } else {
+            notify(t('ui.storage.trashDone', { count: result.trashed.length, size: formatSize(plan.bytes) }), { type: 'success' });
+        }
+    } catch (err) {
+        console.error('[STORAGE] Trash failed:', err);
+        notify(t('ui.storage.trashFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        api.off('storage:progress', onProgress);
+        storage.busy = false;
+    }
+
+    showPlan(null);
+    await scanStorage();
+}
+
+function renderAll() {
+    renderUsage();
+    renderEntryList();
+    renderRules();
+    if (!storage.busy) {
+        const total = storage.entries.reduce((n, e) => n + e.bytes, 0);
+        setStatus(storage.scanned ? t('ui.storage.total', { size: formatSize(total), count: storage.entries.length }) : '');
+    }
+}
@@ -0,0 +1,659 @@
+/**
+ * Telemetry Charts
+ * Plots speed, pedals, steering, G-forces and Autopilot state over the whole active collection
+ * in a floating (or docked) panel, with a playhead synced to playback, click-to-seek and time-axis zoom
+ */
+
+import { t, onLanguageChange } from '../lib/i18n.js';
+import { TELEMETRY_CHARTS_KEY } from '../lib/storageKeys.js';
+import { AUTOPILOT_COLORS, getCollectionTelemetry, onCollectionTelemetryChange, requestCollectionTelemetry } from './collectionTelemetry.js';
+import { resetPanelPosition } from '../ui/draggablePanels.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let seekNativeDayCollectionBySec = null;
+let getUseMetric = null;
+
+const MIN_VIEW_SEC = 10;
+const ZOOM_STEP = 1.25;
+const LABEL_WIDTH = 118;
+const AXIS_HEIGHT = 18;
+const BAND_LANE_HEIGHT = 14;
+const LANE_GAP = 6;
+
+const AUTOPILOT_LABEL_KEYS = { 0: 'ui.dashboard.manual', 1: 'ui.dashboard.selfDriving', 2: 'ui.dashboard.autosteer', 3: 'ui.dashboard.tacc' };
+
+// Series in lane order. 'line' series get a scaled lane, 'band' series a thin on/off strip
+const SERIES = [
+    { id: 'speed', key: 'ui.telemetryCharts.speed', kind: 'line', color: '#3b82f6' },
+    { id: 'accel', key: 'ui.telemetryCharts.accelerator', kind: 'line', color: '#22c55e' },
+    { id: 'brake', key: 'ui.telemetryCharts.brake', kind: 'band', color: '#ef4444' },
+    { id: 'steering', key: 'ui.telemetryCharts.steering', kind: 'line', color: '#a855f7' },
+    { id: 'latG', key: 'ui.telemetryCharts.lateralG', kind: 'line', color: '#f59e0b' },
+    { id: 'lonG', key: 'ui.telemetryCharts.longitudinalG', kind: 'line', color: '#06b6d4' },
+    { id: 'autopilot', key: 'ui.telemetryCharts.autopilot', kind: 'band', color: '#0048ff' }
+];
+const DEFAULT_SERIES = ['speed', 'accel', 'brake', 'steering', 'autopilot'];
+
+let options = loadOptions();
+
+// Shared with the timeline heat strip (see collectionTelemetry.js)
+const scan = getCollectionTelemetry();
+let shownCollectionId = null;
+
+// Visible time range in seconds (null = whole collection)
+let view = null;
+let playheadSec = 0;
+let hoverSec = null;
+let baseLayer = null;    // offscreen canvas with everything except the playhead/hover line
+let baseDirty = true;
+let lastUseMetric = null;
+
+/**
+ * Initialize telemetry charts module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initTelemetryCharts(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    seekNativeDayCollectionBySec = deps.seekNativeDayCollectionBySec;
+    getUseMetric = deps.getUseMetric;
+
+    const panel = $('telemetryChartsPanel');
+    const canvas = $('telemetryChartsCanvas');
+    if (!panel || !canvas) return;
+
+    const toggleBtn = $('telemetryChartsBtn');
+    if (toggleBtn) toggleBtn.onclick = (e) => { e.preventDefault(); toggleTelemetryCharts(); toggleBtn.blur(); };
+
+    const closeBtn = $('telemetryChartsCloseBtn');
+    if (closeBtn) closeBtn.onclick = (e) => { e.preventDefault(); setChartsVisible(false); };
+
+    const dockBtn = $('telemetryChartsDockBtn');
+    if (dockBtn) dockBtn.onclick = (e) => { e.preventDefault(); setDocked(!options.docked); dockBtn.blur(); };
+
+    const zoomResetBtn = $('telemetryChartsZoomResetBtn');
+    if (zoomResetBtn) zoomResetBtn.onclick = (e) => { e.preventDefault(); setView(null); zoomResetBtn.blur(); };
+
+    // Docked panels stay put: swallow mousedown before the draggable-panel handler sees it
+    panel.addEventListener('mousedown', (e) => {
+        if (options.docked) e.stopPropagation();
+    }, true);
+
+    $('telemetryChartsSeries')?.addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-series]');
+        if (!input) return;
+        const selected = new Set(options.series);
+        if (input.checked) selected.add(input.dataset.series);
+        else selected.delete(input.dataset.series);
+        options.series = SERIES.map(s => s.id).filter(id => selected.has(id));
+        saveOptions();
+        invalidate();
+        input.blur();
+    });
+
+    initCanvasInteraction(canvas);
+
+    if (typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(() => invalidate()).observe(canvas);
+    }
+
+    onCollectionTelemetryChange(onTelemetryChange);
+
+    onLanguageChange(() => {
+        renderSeriesToggles();
+        renderStatus();
+        invalidate();
+    });
+
+    renderSeriesToggles();
+    applyPanelState();
+}
+
+// ============================================
+// OPTIONS
+// ============================================
+
+function loadOptions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TELEMETRY_CHARTS_KEY) || 'null');
+        const known = new Set(SERIES.map(s => s.id));
+        return {
+            visible: saved?.visible === true,
+            docked: saved?.docked === true,
+            series: Array.isArray(saved?.series) ? saved.series.filter(id => known.has(id)) : DEFAULT_SERIES.slice()
+        };
+    } catch {
+        return { visible: false, docked: false, series: DEFAULT_SERIES.slice() };
+    }
+}
+
+function saveOptions() {
+    try {
+        localStorage.setItem(TELEMETRY_CHARTS_KEY, JSON.stringify(options));
+    } catch { /* storage full or disabled */ }
+}
+
+// ============================================
+// PANEL STATE
+// ============================================
+
+/**
+ * Show or hide the charts panel (keybind and controls-bar button)
+ */
+export function toggleTelemetryCharts() {
+    setChartsVisible(!options.visible);
+}
+
+function setChartsVisible(visible) {
+    options.visible = visible;
+    saveOptions();
+    applyPanelState();
+    if (visible) onTelemetryChange();
+}
+
+function setDocked(docked) {
+    options.docked = docked;
+    saveOptions();
+    applyPanelState();
+}
+
+function applyPanelState() {
+    const panel = $('telemetryChartsPanel');
+    if (!panel) return;
+    panel.classList.toggle('hidden', !options.visible);
+    panel.classList.toggle('docked', options.docked);
+    if (options.docked) resetPanelPosition(panel);
+
+    $('telemetryChartsBtn')?.classList.toggle('active', options.visible);
+
+    const dockBtn = $('telemetryChartsDockBtn');
+    if (dockBtn) {
+        const key = options.docked ? 'ui.telemetryCharts.undock' : 'ui.telemetryCharts.dock';
+        dockBtn.title = t(key);
+        dockBtn.dataset.i18nTitle = key;
+        const icon = dockBtn.querySelector('.material-symbols-outlined');
+        if (icon) icon.textContent = options.docked ? 'open_in_new' : 'dock_to_bottom';
+    }
+    invalidate();
+}
+
+function renderSeriesToggles() {
+    const container = $('telemetryChartsSeries');
+    if (!container) return;
+    container.innerHTML = '';
+    for (const series of SERIES) {
+        const label = document.createElement('label');
+        label.className = 'telemetry-charts-series-toggle';
+        label.style.setProperty('--series-color', series.color);
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.series = series.id;
+        input.checked = options.series.includes(series.id);
+
+        const name = document.createElement('span');
+        name.textContent = t(series.key);
+
+        label.append(input, name);
+        container.appendChild(label);
+    }
+}
+
+function renderStatus() {
+    const statusEl = $('telemetryChartsStatus');
+    if (!statusEl) return;
+    if (!getState?.()?.collection?.active) statusEl.textContent = t('ui.telemetryCharts.noCollection');
+    else if (scan.scanning) statusEl.textContent = t('ui.telemetryCharts.loading', { done: scan.done, total: scan.total || '…' });
+    else if (scan.collectionId && scan.samples.length === 0) statusEl.textContent = t('ui.telemetryCharts.noData');
+    else statusEl.textContent = '';
+}
+
+// ============================================
+// DATA
+// ============================================
+
+/**
+ * Follow the shared collection telemetry: reset the view for a new collection and
+ * request a scan while the panel is open
+ */
+function onTelemetryChange() {
+    const activeId = getState?.()?.collection?.active?.id || null;
+    if (activeId !== shownCollectionId) {
+        shownCollectionId = activeId;
+        view = null;
+        playheadSec = 0;
+        $('telemetryChartsZoomResetBtn')?.classList.add('hidden');
+    }
+    if (activeId && options.visible) requestCollectionTelemetry();
+    renderStatus();
+    invalidate();
+}
+
+/**
+ * Move the playhead (called from the master video's timeupdate)
+ * @param {number} currentSec - Collection-relative position
+ */
+export function updateTelemetryChartsPlayhead(currentSec) {
+    const previous = playheadSec;
+    playheadSec = currentSec;
+    if (!options.visible || !scan.samples.length) return;
+
+    // Follow playback when zoomed in and the playhead runs off the visible range
+    if (view && previous >= view.start && previous <= view.end && (currentSec > view.end || currentSec < view.start)) {
+        const span = view.end - view.start;
+        setView({ start: currentSec - span * 0.1, end: currentSec + span * 0.9 });
+        return;
+    }
+    drawOverlay();
+}
+
+// ============================================
+// INTERACTION
+// ============================================
+
+function getTotalSec() {
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    return cumStarts[cumStarts.length - 1] || scan.times[scan.times.length - 1] || 0;
+}
+
+function getView() {
+    return view || { start: 0, end: getTotalSec() };
+}
+
+/**
+ * Set the visible range, clamped to the collection (null shows everything)
+ */
+function setView(range) {
+    const totalSec = getTotalSec();
+    if (!range || totalSec <= 0) {
+        view = null;
+    } else {
+        const span = Math.min(totalSec, Math.max(MIN_VIEW_SEC, range.end - range.start));
+        const start = Math.max(0, Math.min(totalSec - span, range.start));
+        view = span >= totalSec ? null : { start, end: start + span };
+    }
+    $('telemetryChartsZoomResetBtn')?.classList.toggle('hidden', !view);
+    invalidate();
+}
+
+function plotBounds(canvas) {
+    return { left: LABEL_WIDTH, right: canvas.clientWidth - 8 };
+}
+
+function secAtX(canvas, x) {
+    const { left, right } = plotBounds(canvas);
+    const { start, end } = getView();
+    const ratio = Math.max(0, Math.min(1, (x - left) / Math.max(1, right - left)));
+    return start + ratio * (end - start);
+}
+
+function initCanvasInteraction(canvas) {
+    let drag = null;
+
+    canvas.addEventListener('wheel', (e) => {
+        if (!scan.samples.length) return;
+        e.preventDefault();
+        const x = e.offsetX;
+        const { left, right } = plotBounds(canvas);
+        const { start, end } = getView();
+        const anchor = secAtX(canvas, x);
+        const ratio = Math.max(0, Math.min(1, (x - left) / Math.max(1, right - left)));
+        const span = (end - start) * (e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+        setView({ start: anchor - ratio * span, end: anchor - ratio * span + span });
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        // Keep the draggable-panel handler from moving the whole panel
+        e.stopPropagation();
+        e.preventDefault();
+        drag = { startX: e.clientX, view: getView(), moved: false };
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.startX;
+        if (Math.abs(dx) > 3) drag.moved = true;
+        if (!drag.moved || !view) return;
+        const { left, right } = plotBounds(canvas);
+        const secPerPx = (drag.view.end - drag.view.start) / Math.max(1, right - left);
+        setView({ start: drag.view.start - dx * secPerPx, end: drag.view.end - dx * secPerPx });
+    });
+
+    document.addEventListener('mouseup', (e) => {
+        if (!drag) return;
+        const wasClick = !drag.moved;
+        drag = null;
+        if (!wasClick || !scan.samples.length) return;
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        if (x < LABEL_WIDTH) return;
+        const state = getState?.();
+        if (!state?.ui?.nativeVideoMode || !state?.collection?.active) return;
+        seekNativeDayCollectionBySec?.(secAtX(canvas, x));
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+        hoverSec = e.offsetX >= LABEL_WIDTH ? secAtX(canvas, e.offsetX) : null;
+        drawOverlay();
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+        hoverSec = null;
+        drawOverlay();
+    });
+
+    canvas.addEventListener('dblclick', (e) => {
+        e.preventDefault();
+        setView(null);
+    });
+}
+
+// ============================================
+// DRAWING
+// ============================================
+
+function invalidate() {
+    baseDirty = true;
+    drawOverlay();
+}
+
+function cssVar(name, fallback) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+}
+
+function formatAxisTime(sec) {
+    const s = Math.max(0, Math.round(sec));
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const ss = String(s % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/**
+ * Lane layout for the selected series
+ */
+function layoutLanes(height) {
+    const selected = SERIES.filter(s => options.series.includes(s.id));
+    const bands = selected.filter(s => s.kind === 'band').length;
+    const lines = selected.length - bands;
+    const available = height - AXIS_HEIGHT - 4 - bands * BAND_LANE_HEIGHT - Math.max(0, selected.length - 1) * LANE_GAP;
+    const lineHeight = lines > 0 ? Math.max(26, available / lines) : 0;
+
+    let y = 4;
+    return selected.map(series => {
+        const laneHeight = series.kind === 'band' ? BAND_LANE_HEIGHT : lineHeight;
+        const lane = { series, top: y, height: laneHeight };
+        y += laneHeight + LANE_GAP;
+        return lane;
+    });
+}
+
+/**
+ * Value range and display conversion for a line series
+ */
+function seriesScale(id, samples) {
+    const useMetric = !!getUseMetric?.();
+    const maxAbs = (key) => samples.reduce((max, s) => Math.max(max, Math.abs(s[key])), 0);
+    switch (id) {
+        case 'speed': {
+            const factor = useMetric ? 3.6 : 2.23694;
+            const max = Math.max(10, Math.ceil(maxAbs('speed') * factor / 10) * 10);
+            return { min: 0, max, factor, unit: useMetric ? 'km/h' : 'mph', digits: 0 };
+        }
+        case 'accel':
+            return { min: 0, max: 100, factor: 1, unit: '%', digits: 0 };
+        case 'steering': {
+            const max = Math.max(30, Math.ceil(maxAbs('steering') / 30) * 30);
+            return { min: -max, max, factor: 1, unit: '°', digits: 0, zeroLine: true };
+        }
+        default: {
+            const max = Math.max(0.5, Math.ceil(maxAbs(id) * 4) / 4);
+            return { min: -max, max, factor: 1, unit: 'G', digits: 2, zeroLine: true };
+        }
+    }
+}
+
+/**
+ * Index of the last sample at or before a time (binary search over scan.times)
+ */
+function sampleIndexAt(sec) {
+    const times = scan.times;
+    let lo = 0, hi = times.length - 1, found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] <= sec) { found = mid; lo = mid + 1; }
+        else hi = mid - 1;
+    }
+    return found;
+}
+
+function drawBase(canvas, width, height, dpr) {
+    if (!baseLayer) baseLayer = document.createElement('canvas');
+    baseLayer.width = canvas.width;
+    baseLayer.height = canvas.height;
+    const ctx = baseLayer.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const textColor = cssVar('--text-muted', 'rgba(255,255,255,0.5)');
+    const gridColor = cssVar('--border-color', 'rgba(255,255,255,0.1)');
+    const { left, right } = plotBounds(canvas);
+    const plotW = Math.max(1, right - left);
+    const { start, end } = getView();
+    const span = Math.max(0.001, end - start);
+    const xOf = sec => left + ((sec - start) / span) * plotW;
+
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    const lanes = layoutLanes(height);
+    const samples = scan.samples;
+    const times = scan.times;
+    const first = Math.max(0, sampleIndexAt(start));
+    const last = Math.min(samples.length - 1, sampleIndexAt(end) + 1);
+    // Gaps longer than this (missing SEI, segment boundaries without overlap) break the line
+    const gapSec = 1;
+
+    for (const lane of lanes) {
+        const { series, top, height: laneHeight } = lane;
+        ctx.strokeStyle = gridColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left + 0.5, top + 0.5, plotW - 1, laneHeight - 1);
+        if (!samples.length) continue;
+
+        if (series.kind === 'band') {
+            // Runs of the same non-zero value become filled spans
+            let runStart = null;
+            let runValue = 0;
+            const flush = (endSec) => {
+                if (runStart === null || !runValue) return;
+                ctx.fillStyle = series.id === 'autopilot' ? (AUTOPILOT_COLORS[runValue] || series.color) : series.color;
+                const x1 = xOf(runStart);
+                ctx.fillRect(x1, top + 2, Math.max(1, xOf(endSec) - x1), laneHeight - 4);
+            };
+            for (let i = first; i <= last; i++) {
+                const value = samples[i][series.id];
+                const broken = i > first && times[i] - times[i - 1] > gapSec;
+                if (value !== runValue || broken) {
+                    flush(broken ? times[i - 1] : times[i]);
+                    runStart = times[i];
+                    runValue = value;
+                }
+            }
+            flush(times[last] ?? end);
+            continue;
+        }
+
+        const scale = seriesScale(series.id, samples);
+        const yOf = v => top + laneHeight - 2 - ((v * scale.factor - scale.min) / (scale.max - scale.min)) * (laneHeight - 4);
+
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'right';
+        ctx.fillText(`${scale.max}`, left - 4, top + 6);
+        ctx.fillText(`${scale.min}`, left - 4, top + laneHeight - 6);
+        ctx.textAlign = 'left';
+
+        if (scale.zeroLine) {
+            ctx.strokeStyle = gridColor;
+            ctx.beginPath();
+            ctx.moveTo(left, Math.round(yOf(0)) + 0.5);
+            ctx.lineTo(right, Math.round(yOf(0)) + 0.5);
+            ctx.stroke();
+        }
+
+        // Min/max per pixel column keeps spikes visible when zoomed out
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, plotW, laneHeight);
+        ctx.clip();
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 1.4;
+        ctx.beginPath();
+        let column = null, colMin = 0, colMax = 0, penDown = false;
+        const flushColumn = () => {
+            if (column === null) return;
+            const yMin = yOf(colMin), yMax = yOf(colMax);
+            if (!penDown) { ctx.moveTo(column, yMin); penDown = true; }
+            else ctx.lineTo(column, yMin);
+            if (yMax !== yMin) ctx.lineTo(column, yMax);
+        };
+        for (let i = first; i <= last; i++) {
+            if (i > first && times[i] - times[i - 1] > gapSec) {
+                flushColumn();
+                column = null;
+                penDown = false;
+            }
+            const x = Math.round(xOf(times[i]));
+            const value = samples[i][series.id];
+            if (x !== column) {
+                flushColumn();
+                column = x;
+                colMin = colMax = value;
+            } else {
+                colMin = Math.min(colMin, value);
+                colMax = Math.max(colMax, value);
+            }
+        }
+        flushColumn();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Time axis
+    const axisY = height - AXIS_HEIGHT / 2;
+    const targetTicks = Math.max(2, Math.floor(plotW / 90));
+    const steps = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+    const step = steps.find(s => span / s <= targetTicks) || 3600;
+    ctx.fillStyle = textColor;
+    ctx.textAlign = 'center';
+    for (let sec = Math.ceil(start / step) * step; sec <= end; sec += step) {
+        const x = xOf(sec);
+        ctx.fillText(formatAxisTime(sec), x, axisY);
+        ctx.strokeStyle = gridColor;
+        ctx.beginPath();
+        ctx.moveTo(Math.round(x) + 0.5, height - AXIS_HEIGHT);
+        ctx.lineTo(Math.round(x) + 0.5, height - AXIS_HEIGHT + 3);
+        ctx.stroke();
+    }
+    ctx.textAlign = 'left';
+
+    baseDirty = false;
+    return lanes;
+}
+
+/**
+ * Value label for a series at a sample
+ */
+function formatValue(series, sample) {
+    if (series.id === 'brake') return sample.brake ? t('ui.telemetryCharts.on') : t('ui.telemetryCharts.off');
+    if (series.id === 'autopilot') return t(AUTOPILOT_LABEL_KEYS[sample.autopilot] || AUTOPILOT_LABEL_KEYS[0]);
+    const scale = seriesScale(series.id, [sample]);
+    return `${(sample[series.id] * scale.factor).toFixed(scale.digits)} ${scale.unit}`;
+}
+
+/**
+ * Composite the cached chart with the playhead, hover line and the values under them
+ */
+function drawOverlay() {
+    const canvas = $('telemetryChartsCanvas');
+    if (!canvas || !options.visible) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width <= 0 || height <= 0) return;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+        baseDirty = true;
+    }
+    const useMetric = !!getUseMetric?.();
+    if (useMetric !== lastUseMetric) {
+        lastUseMetric = useMetric;
+        baseDirty = true;
+    }
+    if (baseDirty) drawBase(canvas, width, height, dpr);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(baseLayer, 0, 0);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    if (!scan.samples.length) {
+        drawLaneLabels(height, null);
+        return;
+    }
+
+    const { left, right } = plotBounds(canvas);
+    const { start, end } = getView();
+    const xOf = sec => left + ((sec - start) / Math.max(0.001, end - start)) * (right - left);
+    const plotBottom = height - AXIS_HEIGHT;
+
+    const drawLine = (sec, color, dashed) => {
+        if (sec < start || sec > end) return;
+        const x = Math.round(xOf(sec)) + 0.5;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(dashed ? [3, 3] : []);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, plotBottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+    if (hoverSec !== null) drawLine(hoverSec, cssVar('--text-muted', 'rgba(255,255,255,0.5)'), true);
+    drawLine(playheadSec, cssVar('--accent-color', '#00d4ff'), false);
+
+    drawLaneLabels(height, scan.samples[sampleIndexAt(hoverSec ?? playheadSec)]);
+}
+
+/**
+ * Lane names with the value at the hover position (or the playhead)
+ */
+function drawLaneLabels(height, sample) {
+    const ctx = $('telemetryChartsCanvas').getContext('2d');
+    const textColor = cssVar('--text-muted', 'rgba(255,255,255,0.5)');
+    const valueColor = cssVar('--text-color', '#f0f0f5');
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    for (const { series, top, height: laneHeight } of layoutLanes(height)) {
+        const name = t(series.key);
+        if (series.kind === 'band') {
+            ctx.fillStyle = textColor;
+            ctx.fillText(sample ? `${name}: ${formatValue(series, sample)}` : name, 8, top + laneHeight / 2, LABEL_WIDTH - 14);
+            continue;
+        }
+        ctx.fillStyle = textColor;
+        ctx.fillText(name, 8, top + 8, LABEL_WIDTH - 44);
+        if (!sample) continue;
+        ctx.fillStyle = valueColor;
+        ctx.fillText(formatValue(series, sample), 8, top + 20, LABEL_WIDTH - 44);
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Telemetry Data Export
+ * Writes the per-frame SEI telemetry of the export range to CSV, GPX and KML
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t } from '../lib/i18n.js';
+import { extractCollectionSei } from '../core/seiExtractor.js';
+import { exportState, getExportRangeMs, getExportBaseName } from './exportVideo.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+
+let isExportingTelemetry = false;
+
+/**
+ * Initialize telemetry export module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initTelemetryExport(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+}
+
+/**
+ * Get the telemetry formats checked in the export modal
+ * @returns {Array<string>} Any of 'csv', 'gpx', 'kml'
+ */
+function getSelectedTelemetryFormats() {
+    return Array.from(document.querySelectorAll('input[data-telemetry-format]:checked'))
+        .map(cb => cb.dataset.telemetryFormat);
+}
+
+/**
+ * Extract SEI for the current export range and write it to the selected telemetry formats
+ */
+export async function startTelemetryExport() {
+    if (isExportingTelemetry || exportState.isExporting) {
+        notify(t('ui.export.telemetryInProgress'), { type: 'warn' });
+        return;
+    }
+
+    const state = getState?.();
+    const nativeVideo = getNativeVideo?.();
+    if (!state?.collection?.active || !window.electronAPI?.exportTelemetry) {
+        notify(t('ui.notifications.exportNotAvailable'), { type: 'error' });
+        return;
+    }
+
+    const formats = getSelectedTelemetryFormats();
+    if (formats.length === 0) {
+        notify(t('ui.export.telemetrySelectFormat'), { type: 'warn' });
+        return;
+    }
+
+    const { startTimeMs, endTimeMs } = getExportRangeMs();
+    const baseName = getExportBaseName(startTimeMs) || `tesla_export_${new Date().toISOString().slice(0, 10)}`;
+    const filename = `${baseName}_telemetry.${formats[0]}`;
+
+    const lastExportFolder = await window.electronAPI.getSetting('lastExportFolder');
+    const outputPath = await window.electronAPI.saveFile({
+        title: t('ui.export.exportTelemetry'),
+        defaultPath: lastExportFolder ? `${lastExportFolder}/${filename}` : filename,
+        filters: [
+            { name: formats.map(f => f.toUpperCase()).join(' / '), extensions: formats },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    });
+    if (!outputPath) return;
+
+    const exportDir = outputPath.replace(/[/\\][^/\\]*$/, '');
+    if (exportDir) window.electronAPI.setSetting('lastExportFolder', exportDir);
+
+    const btn = $('exportTelemetryBtn');
+    const progressEl = $('exportProgress');
+    const progressBar = $('exportProgressBar');
+    const progressText = $('exportProgressText');
+
+    isExportingTelemetry = true;
+    if (btn) btn.disabled = true;
+    if (progressEl) progressEl.classList.remove('hidden');
+    if (progressBar) progressBar.style.width = '0%';
+    if (progressText) progressText.textContent = t('ui.notifications.extractingTelemetry');
+
+    try {
+        const frames = await extractCollectionSei(state.collection.active.groups || [], {
+            cumulativeStarts: nativeVideo?.cumulativeStarts || [],
+            segmentDurations: nativeVideo?.segmentDurations || [],
+            startMs: startTimeMs,
+            endMs: endTimeMs,
+            onProgress: (done, total) => {
+                const pct = total > 0 ? Math.round((done / total) * 100) : 0;
+                if (progressBar) progressBar.style.width = `${pct}%`;
+                if (progressText) progressText.textContent = `${t('ui.notifications.extractingTelemetry')} (${done}/${total})`;
+            }
+        });
+
+        if (frames.length === 0) {
+            notify(t('ui.notifications.noTelemetryData'), { type: 'warn' });
+            return;
+        }
+
+        const result = await window.electronAPI.exportTelemetry(outputPath, frames, {
+            formats,
+            name: state.collection.active.label || baseName
+        });
+        if (!result?.success) throw new Error(result?.error || 'Unknown error');
+
+        if (formats.some(f => f !== 'csv') && result.gpsPoints === 0) {
+            notify(t('ui.export.telemetryNoGps'), { type: 'warn' });
+        }
+        notify(t('ui.export.telemetryExported', { count: result.frameCount, files: result.files.length }), { type: 'success' });
+        window.electronAPI.showItemInFolder?.(result.files[0]);
+    } catch (err) {
+        console.error('[TELEMETRY] Export failed:', err);
+        notify(t('ui.export.telemetryExportFailed', { error: err.message }), { type: 'error' });
+    } finally {
+        isExportingTelemetry = false;
+        if (btn) btn.disabled = false;
+        if (progressEl) progressEl.classList.add('hidden');
+        if (progressBar) progressBar.style.width = '0%';
+    }
+}
@@ -0,0 +1,467 @@
+/**
+ * Timeline Strip
+ * Colored strip under the progress bar (speed or Autopilot state across the collection, with breaks
+ * where recording stopped) and hover previews with a front-camera thumbnail and the wall-clock time.
+ * Thumbnails are grabbed into a sprite sheet in the background after a collection loads, and each
+ * clip's tiles are kept in the index cache so reopening the collection doesn't decode the video again.
+ */
+
+import { t } from '../lib/i18n.js';
+import { loadDetachedVideo, seekDetachedVideo, formatSpeed } from '../lib/utils.js';
+import { getCachedThumbnails, setCachedThumbnails } from '../core/indexCache.js';
+import { parseTimestampKeyToEpochMs } from '../core/clipBrowser.js';
+import { formatTimeHMS, formatClockTime } from '../ui/timeDisplay.js';
+import { AUTOPILOT_COLORS, getCollectionTelemetry, onCollectionTelemetryChange, requestCollectionTelemetry } from './collectionTelemetry.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getState = null;
+let getNativeVideo = null;
+let getUseMetric = null;
+
+const STRIP_MODES = ['speed', 'autopilot', 'off'];
+// Speed at which the heat ramp tops out (~130 km/h / 80 mph)
+const SPEED_SCALE_MPS = 36;
+const SPEED_RAMP = [[0, [59, 130, 246]], [0.4, [34, 197, 94]], [0.7, [245, 158, 11]], [1, [239, 68, 68]]];
+const IDLE_COLOR = 'rgba(148, 163, 184, 0.55)';
+const TRACK_COLOR = 'rgba(148, 163, 184, 0.2)';
+// Wall-clock jumps between consecutive clips longer than this are drawn as a break
+const GAP_THRESHOLD_MS = 5000;
+const GAP_HOVER_PX = 4;
+
+const THUMB_WIDTH = 128;
+const MAX_THUMBS = 240;
+const MIN_THUMB_INTERVAL_SEC = 5;
+const SPRITE_COLUMNS = 16;
+const THUMB_START_DELAY_MS = 1500;
+const VIDEO_TIMEOUT_MS = 8000;
+const THUMB_JPEG_QUALITY = 0.7;
+
+let mode = 'speed';
+let gaps = [];           // [{sec, missingMs}] at collection-relative positions
+
+// Thumbnail sprite sheet for the active collection
+const sprite = {
+    collectionId: null,
+    token: 0,
+    canvas: null,
+    tileWidth: 0,
+    tileHeight: 0,
+    capacity: 0,
+    intervalSec: 0,
+    tiles: []            // [{segment, offsetSec}] in timeline order; tile n sits at cell n of the sheet
+};
+
+/**
+ * Initialize timeline strip module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initTimelineStrip(deps) {
+    getState = deps.getState;
+    getNativeVideo = deps.getNativeVideo;
+    getUseMetric = deps.getUseMetric;
+
+    const container = $('progressBar')?.closest('.timeline-container');
+    if (container) {
+        container.addEventListener('mousemove', (e) => showPreview(e.clientX));
+        container.addEventListener('mouseleave', hidePreview);
+    }
+
+    const strip = $('timelineHeatStrip');
+    if (strip && typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(() => drawStrip()).observe(strip);
+    }
+
+    initModeSetting();
+    onCollectionTelemetryChange(onTelemetryChange);
+}
+
+/**
+ * Load the strip mode and wire Settings > Timeline Strip
+ */
+function initModeSetting() {
+    const select = $('settingsTimelineStrip');
+    const apply = (value) => {
+        mode = STRIP_MODES.includes(value) ? value : 'speed';
+        if (select) select.value = mode;
+        onTelemetryChange();
+    };
+
+    if (window.electronAPI?.getSetting) {
+        window.electronAPI.getSetting('timelineStrip').then(apply);
+    } else {
+        apply(mode);
+    }
+
+    if (select) {
+        select.addEventListener('change', async () => {
+            apply(select.value);
+            if (window.electronAPI?.setSetting) {
+                await window.electronAPI.setSetting('timelineStrip', mode);
+            }
+            select.blur();
+        });
+    }
+}
+
+/**
+ * Collection loaded/changed, durations probed or telemetry progressed
+ */
+function onTelemetryChange() {
+    const coll = getState?.()?.collection?.active || null;
+    if (coll && mode !== 'off') requestCollectionTelemetry();
+
+    if ((coll?.id || null) !== sprite.collectionId) {
+        sprite.token++;
+        Object.assign(sprite, { collectionId: coll?.id || null, canvas: null, tileWidth: 0, tileHeight: 0, capacity: 0, intervalSec: 0, tiles: [] });
+        hidePreview();
+        if (coll) generateThumbnails(coll, sprite.token);
+    }
+    drawStrip();
+}
+
+// ============================================
+// HEAT STRIP
+// ============================================
+
+function speedColor(mps) {
+    if (mps < 0.5) return IDLE_COLOR;
+    const x = Math.min(1, mps / SPEED_SCALE_MPS);
+    let i = 1;
+    while (i < SPEED_RAMP.length - 1 && x > SPEED_RAMP[i][0]) i++;
+    const [x0, c0] = SPEED_RAMP[i - 1];
+    const [x1, c1] = SPEED_RAMP[i];
+    const f = (x - x0) / (x1 - x0);
+    const rgb = c0.map((v, k) => Math.round(v + (c1[k] - v) * f));
+    return `rgb(${rgb.join(', ')})`;
+}
+
+function autopilotColor(state) {
+    return AUTOPILOT_COLORS[state] || IDLE_COLOR;
+}
+
+/**
+ * Positions where the wall clock jumps between consecutive clips
+ * @returns {Array<{sec: number, missingMs: number}>}
+ */
+function findGaps(groups, cumStarts, durations) {
+    const result = [];
+    for (let i = 1; i < groups.length; i++) {
+        const prevEpoch = parseTimestampKeyToEpochMs(groups[i - 1].timestampKey);
+        const epoch = parseTimestampKeyToEpochMs(groups[i].timestampKey);
+        if (prevEpoch == null || epoch == null) continue;
+        const missingMs = epoch - (prevEpoch + (durations[i - 1] || 60) * 1000);
+        if (missingMs > GAP_THRESHOLD_MS) result.push({ sec: cumStarts[i] ?? 0, missingMs });
+    }
+    return result;
+}
+
+/**
+ * Redraw the strip from the shared telemetry samples
+ */
+function drawStrip() {
+    const canvas = $('timelineHeatStrip');
+    if (!canvas) return;
+    const coll = getState?.()?.collection?.active;
+    const nativeVideo = getNativeVideo?.();
+    const cumStarts = nativeVideo?.cumulativeStarts || [];
+    const totalSec = cumStarts[cumStarts.length - 1] || 0;
+
+    gaps = coll && totalSec > 0 ? findGaps(coll.groups || [], cumStarts, nativeVideo?.segmentDurations || []) : [];
+
+    const visible = mode !== 'off' && !!coll && totalSec > 0;
+    canvas.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width <= 0 || height <= 0) return;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = TRACK_COLOR;
+    ctx.fillRect(0, 0, width, height);
+
+    // One value per CSS pixel: fastest speed, or any Autopilot engagement, wins the column
+    const telemetry = getCollectionTelemetry();
+    if (telemetry.collectionId === coll.id && telemetry.samples.length) {
+        const columns = Math.max(1, Math.floor(width));
+        const values = new Float32Array(columns).fill(-1);
+        const key = mode === 'autopilot' ? 'autopilot' : 'speed';
+        for (let i = 0; i < telemetry.samples.length; i++) {
+            const col = Math.min(columns - 1, Math.max(0, Math.floor((telemetry.times[i] / totalSec) * columns)));
+            values[col] = Math.max(values[col], telemetry.samples[i][key]);
+        }
+        for (let col = 0; col < columns; col++) {
+            if (values[col] < 0) continue;
+            ctx.fillStyle = mode === 'autopilot' ? autopilotColor(values[col]) : speedColor(values[col]);
+            ctx.fillRect(col, 0, 1, height);
+        }
+    }
+
+    for (const gap of gaps) {
+        const x = (gap.sec / totalSec) * width;
+        ctx.clearRect(x - 1.5, 0, 3, height);
+    }
+}
+
+// ============================================
+// THUMBNAILS
+// ============================================
+
+function pickThumbFile(group) {
+    const entry = group?.filesByCamera?.get('front') || group?.filesByCamera?.values().next().value;
+    return entry?.file || null;
+}
+
+/**
+ * Draw one tile into the next sprite cell
+ * @param {CanvasImageSource} source - Video at the grabbed frame, or a cached strip
+ * @param {number} sourceWidth - Width of the frame (or strip tile)
+ * @param {number} sourceHeight - Height of the frame (or strip tile)
+ * @param {number} [sourceX=0] - Left edge of the tile in the source
+ */
+function addTile(source, sourceWidth, sourceHeight, segment, offsetSec, sourceX = 0) {
+    if (!sourceWidth) return false;
+    if (!sprite.canvas) {
+        sprite.tileWidth = THUMB_WIDTH;
+        sprite.tileHeight = Math.round(THUMB_WIDTH * (sourceHeight / sourceWidth));
+        sprite.canvas = document.createElement('canvas');
+        sprite.canvas.width = SPRITE_COLUMNS * sprite.tileWidth;
+        sprite.canvas.height = Math.ceil(sprite.capacity / SPRITE_COLUMNS) * sprite.tileHeight;
+    }
+    const index = sprite.tiles.length;
+    if (index >= sprite.capacity) return false;
+    const x = (index % SPRITE_COLUMNS) * sprite.tileWidth;
+    const y = Math.floor(index / SPRITE_COLUMNS) * sprite.tileHeight;
+    sprite.canvas.getContext('2d').drawImage(source, sourceX, 0, sourceWidth, sourceHeight, x, y, sprite.tileWidth, sprite.tileHeight);
+    sprite.tiles.push({ segment, offsetSec });
+    return true;
+}
+
+function loadImage(src) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
+
+/**
+ * Fill this clip's tiles from the index cache when they were grabbed with the same spacing
+ * @returns {Promise<number|null>} Clip duration in seconds, or null on a cache miss
+ */
+async function addCachedTiles(filePath, segment, firstOffsetSec) {
+    const cached = await getCachedThumbnails(filePath);
+    if (!cached || cached.tileWidth !== THUMB_WIDTH || !Number.isFinite(cached.durationSec) ||
+        Math.abs(cached.intervalSec - sprite.intervalSec) > 0.01 || Math.abs(cached.firstOffsetSec - firstOffsetSec) > 0.01) {
+        return null;
+    }
+    const img = await loadImage(cached.dataUrl);
+    if (!img) return null;
+    for (let n = 0; n < cached.count; n++) {
+        addTile(img, cached.tileWidth, cached.tileHeight, segment, firstOffsetSec + n * sprite.intervalSec, n * cached.tileWidth);
+    }
+    return cached.durationSec;
+}
+
+/**
+ * Store the tiles just grabbed from one clip as a single JPEG strip
+ */
+function cacheClipTiles(filePath, firstTile, firstOffsetSec, durationSec) {
+    const count = sprite.tiles.length - firstTile;
+    if (!filePath || count <= 0 || !sprite.canvas) return;
+    const strip = document.createElement('canvas');
+    strip.width = count * sprite.tileWidth;
+    strip.height = sprite.tileHeight;
+    const ctx = strip.getContext('2d');
+    for (let n = 0; n < count; n++) {
+        const index = firstTile + n;
+        const x = (index % SPRITE_COLUMNS) * sprite.tileWidth;
+        const y = Math.floor(index / SPRITE_COLUMNS) * sprite.tileHeight;
+        ctx.drawImage(sprite.canvas, x, y, sprite.tileWidth, sprite.tileHeight, n * sprite.tileWidth, 0, sprite.tileWidth, sprite.tileHeight);
+    }
+    setCachedThumbnails(filePath, {
+        intervalSec: sprite.intervalSec,
+        firstOffsetSec,
+        durationSec,
+        tileWidth: sprite.tileWidth,
+        tileHeight: sprite.tileHeight,
+        count
+    }, strip.toDataURL('image/jpeg', THUMB_JPEG_QUALITY));
+}
+
+/**
+ * First grab position at or past the end of a clip (same stepping as the grab loop)
+ */
+function nextOffset(firstOffset, duration) {
+    let offset = firstOffset;
+    while (offset < duration) offset += sprite.intervalSec;
+    return offset;
+}
+
+/**
+ * Grab front-camera frames at a fixed interval across the collection, one clip at a time
+ */
+async function generateThumbnails(coll, token) {
+    await new Promise(resolve => setTimeout(resolve, THUMB_START_DELAY_MS));
+    if (token !== sprite.token) return;
+
+    const groups = coll.groups || [];
+    const durations = getNativeVideo?.()?.segmentDurations || [];
+    const estimatedSec = groups.reduce((sum, _group, i) => sum + (durations[i] || 60), 0);
+    sprite.intervalSec = Math.max(MIN_THUMB_INTERVAL_SEC, estimatedSec / MAX_THUMBS);
+    // Real durations can run a little past the estimate
+    sprite.capacity = Math.ceil(MAX_THUMBS * 1.1);
+
+    let untilNext = 0;
+    for (let i = 0; i < groups.length; i++) {
+        if (token !== sprite.token || sprite.tiles.length >= sprite.capacity) return;
+        const file = pickThumbFile(groups[i]);
+        const filePath = file?.path || null;
+        const firstOffset = untilNext;
+
+        const cachedDuration = filePath ? await addCachedTiles(filePath, i, firstOffset) : null;
+        if (token !== sprite.token) return;
+        if (cachedDuration !== null) {
+            untilNext = nextOffset(firstOffset, cachedDuration) - cachedDuration;
+            continue;
+        }
+
+        const loaded = file ? await loadDetachedVideo(file, VIDEO_TIMEOUT_MS) : null;
+        if (token !== sprite.token) {
+            loaded?.release();
+            return;
+        }
+        const duration = loaded?.video.duration || durations[i] || 60;
+        const firstTile = sprite.tiles.length;
+
+        let offset = firstOffset;
+        try {
+            for (; offset < duration; offset += sprite.intervalSec) {
+                if (!loaded) continue;
+                await seekDetachedVideo(loaded.video, offset, VIDEO_TIMEOUT_MS);
+                if (token !== sprite.token) return;
+                addTile(loaded.video, loaded.video.videoWidth, loaded.video.videoHeight, i, offset);
+            }
+        } finally {
+            loaded?.release();
+        }
+        // Only complete clips are cached (a full sheet stops partway)
+        if (loaded && sprite.tiles.length < sprite.capacity) cacheClipTiles(filePath, firstTile, firstOffset, duration);
+        untilNext = offset - duration;
+    }
+    console.log(`[TIMELINE] ${coll.id}: ${sprite.tiles.length} thumbnails every ${sprite.intervalSec.toFixed(1)}s`);
+}
+
+/**
+ * Sprite cell nearest to a collection position, if one was grabbed close enough
+ * @returns {number} Tile index, or -1
+ */
+function tileIndexAt(sec) {
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const tiles = sprite.tiles;
+    if (!tiles.length) return -1;
+    const timeOf = (tile) => (cumStarts[tile.segment] ?? 0) + tile.offsetSec;
+
+    let lo = 0, hi = tiles.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (timeOf(tiles[mid]) < sec) lo = mid + 1;
+        else hi = mid;
+    }
+    let best = lo;
+    if (lo > 0 && Math.abs(timeOf(tiles[lo - 1]) - sec) <= Math.abs(timeOf(tiles[lo]) - sec)) best = lo - 1;
+    return Math.abs(timeOf(tiles[best]) - sec) <= sprite.intervalSec ? best : -1;
+}
+
+// ============================================
+// HOVER PREVIEW
+// ============================================
+
+function hidePreview() {
+    $('timelinePreview')?.classList.add('hidden');
+}
+
+function formatGap(missingMs) {
+    const minutes = Math.round(missingMs / 60000);
+    return minutes >= 1
+        ? t('ui.timelineStrip.gapMinutes', { count: minutes })
+        : t('ui.timelineStrip.gapSeconds', { count: Math.round(missingMs / 1000) });
+}
+
+/**
+ * Show the preview above the progress bar for a pointer position
+ * @param {number} clientX
+ */
+function showPreview(clientX) {
+    const preview = $('timelinePreview');
+    const progressBar = $('progressBar');
+    const state = getState?.();
+    const coll = state?.collection?.active;
+    const cumStarts = getNativeVideo?.()?.cumulativeStarts || [];
+    const totalSec = cumStarts[cumStarts.length - 1] || 0;
+    if (!preview || !progressBar || progressBar.disabled || !coll || !state.ui?.nativeVideoMode || totalSec <= 0) {
+        hidePreview();
+        return;
+    }
+
+    const rect = progressBar.getBoundingClientRect();
+    const x = Math.max(0, Math.min(rect.width, clientX - rect.left));
+    const sec = (x / rect.width) * totalSec;
+
+    let segIdx = 0;
+    while (segIdx < cumStarts.length - 2 && sec >= cumStarts[segIdx + 1]) segIdx++;
+    const epochMs = parseTimestampKeyToEpochMs(coll.groups?.[segIdx]?.timestampKey);
+    const localSec = sec - (cumStarts[segIdx] || 0);
+
+    $('timelinePreviewTime').textContent = epochMs != null ? formatClockTime(epochMs + localSec * 1000) : formatTimeHMS(sec);
+
+    const details = [formatTimeHMS(sec)];
+    const telemetry = getCollectionTelemetry();
+    if (telemetry.collectionId === coll.id && telemetry.samples.length) {
+        const i = nearestSampleIndex(telemetry.times, sec);
+        if (i >= 0 && Math.abs(telemetry.times[i] - sec) < 2) details.push(formatSpeed(telemetry.samples[i].speed, getUseMetric?.()));
+    }
+    const gap = gaps.find(g => Math.abs((g.sec / totalSec) * rect.width - x) <= GAP_HOVER_PX);
+    if (gap) details.push(formatGap(gap.missingMs));
+    $('timelinePreviewDetails').textContent = details.join(' · ');
+
+    const thumb = $('timelinePreviewThumb');
+    const tile = tileIndexAt(sec);
+    if (thumb) {
+        thumb.classList.toggle('hidden', tile < 0);
+        if (tile >= 0) {
+            if (thumb.width !== sprite.tileWidth || thumb.height !== sprite.tileHeight) {
+                thumb.width = sprite.tileWidth;
+                thumb.height = sprite.tileHeight;
+            }
+            const sx = (tile % SPRITE_COLUMNS) * sprite.tileWidth;
+            const sy = Math.floor(tile / SPRITE_COLUMNS) * sprite.tileHeight;
+            thumb.getContext('2d').drawImage(sprite.canvas, sx, sy, sprite.tileWidth, sprite.tileHeight, 0, 0, sprite.tileWidth, sprite.tileHeight);
+        }
+    }
+
+    // Centered on the pointer, kept inside the window
+    preview.classList.remove('hidden');
+    const half = preview.offsetWidth / 2;
+    const centerX = Math.max(half + 8, Math.min(window.innerWidth - half - 8, rect.left + x));
+    preview.style.left = `${centerX - preview.offsetParent.getBoundingClientRect().left}px`;
+}
+
+function nearestSampleIndex(times, sec) {
+    let lo = 0, hi = times.length - 1;
+    if (hi < 0) return -1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < sec) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo > 0 && Math.abs(times[lo - 1] - sec) <= Math.abs(times[lo] - sec) ? lo - 1 : lo;
+}
@@ -0,0 +1,352 @@
+/**
+ * Web Gallery
+ * Exports a selection of Sentry/Saved events as a folder anyone can open in a browser, offline:
+ * index.html with a synchronized multi-camera viewer, per-camera clips, thumbnails, event.json
+ * and route maps. Rendering runs as an export queue job (src/main/webGallery.js).
+ */
+
+import { notify } from '../ui/notifications.js';
+import { t, getCurrentLanguage } from '../lib/i18n.js';
+import { escapeHtml } from '../lib/utils.js';
+import { getLibraryEvents } from '../core/libraryEvents.js';
+import { openExportQueue } from './exportQueue.js';
+
+// DOM helper
+const $ = id => document.getElementById(id);
+
+// Dependencies set via init
+let getFolderStructure = null;
+let getEventMetaByKey = null;
+let getUseMetric = null;
+let formatEventReason = null;
+
+const CAMERAS = [
+    { id: 'front', key: 'ui.cameras.front' },
+    { id: 'back', key: 'ui.cameras.back' },
+    { id: 'left_repeater', key: 'ui.cameras.leftRepeater' },
+    { id: 'right_repeater', key: 'ui.cameras.rightRepeater' },
+    { id: 'left_pillar', key: 'ui.cameras.leftPillar' },
+    { id: 'right_pillar', key: 'ui.cameras.rightPillar' }
+];
+const QUALITIES = ['mobile', 'medium', 'high'];
+const DEFAULT_OPTIONS = {
+    cameras: CAMERAS.map(c => c.id),
+    quality: 'medium',
+    trim: false,
+    beforeSec: 30,
+    afterSec: 15
+};
+
+// Events of the current folder and which of them are ticked (by collectionKey)
+const gallery = {
+    folderStructure: null,
+    events: [],
+    selected: new Set()
+};
+
+/**
+ * Initialize web gallery module with dependencies
+ * @param {Object} deps - Dependencies
+ */
+export function initWebGallery(deps) {
+    getFolderStructure = deps.getFolderStructure;
+    getEventMetaByKey = deps.getEventMetaByKey;
+    getUseMetric = deps.getUseMetric;
+    formatEventReason = deps.formatEventReason;
+
+    const openBtn = $('webGalleryBtn');
+    if (openBtn) {
+        openBtn.onclick = (e) => {
+            e.preventDefault();
+            openBtn.blur();
+            openWebGallery();
+        };
+    }
+    const modal = $('webGalleryModal');
+    const closeBtn = $('closeWebGalleryModal');
+    if (closeBtn) closeBtn.onclick = closeWebGallery;
+    const cancelBtn = $('cancelWebGalleryBtn');
+    if (cancelBtn) cancelBtn.onclick = closeWebGallery;
+    if (modal) {
+        modal.onclick = (e) => {
+            if (e.target === modal) closeWebGallery();
+        };
+    }
+
+    for (const id of ['webGalleryFrom', 'webGalleryTo', 'webGalleryShowSentry', 'webGalleryShowSaved']) {
+        const el = $(id);
+        if (el) el.addEventListener('change', renderEventList);
+    }
+    const selectAllBtn = $('webGallerySelectAll');
+    if (selectAllBtn) selectAllBtn.onclick = () => setVisibleSelected(true);
+    const selectNoneBtn = $('webGallerySelectNone');
+    if (selectNoneBtn) selectNoneBtn.onclick = () => setVisibleSelected(false);
+
+    const list = $('webGalleryList');
+    if (list) {
+        list.addEventListener('change', (e) => {
+            const key = e.target?.dataset?.key;
+            if (!key) return;
+            if (e.target.checked) gallery.selected.add(key);
+            else gallery.selected.delete(key);
+            updateSelectionStatus();
+        });
+    }
+
+    const trimToggle = $('webGalleryTrim');
+    if (trimToggle) trimToggle.addEventListener('change', updateTrimFields);
+
+    const exportBtn = $('startWebGalleryBtn');
+    if (exportBtn) exportBtn.onclick = exportWebGallery;
+}
+
+/**
+ * Open the gallery modal, reading the library's events on first use for this folder
+ */
+export async function openWebGallery() {
+    const folderStructure = getFolderStructure?.();
+    if (!folderStructure?.dateHandles?.size) {
+        notify(t('ui.webGallery.noLibrary'), { type: 'warn' });
+        return;
+    }
+
+    $('webGalleryModal')?.classList.remove('hidden');
+    await loadOptions();
+
+    if (gallery.folderStructure !== folderStructure) {
+        gallery.folderStructure = folderStructure;
+        gallery.events = [];
+        gallery.selected.clear();
+        const list = $('webGalleryList');
+        if (list) list.innerHTML = '';
+        setStatus('');
+        const events = await getLibraryEvents(folderStructure, {
+            eventMetaByKey: getEventMetaByKey?.(),
+            onProgress: (done, total) => setStatus(t('ui.webGallery.loading', { done, total }))
+        });
+        gallery.events = events.slice().sort((a, b) => (b.epochMs || 0) - (a.epochMs || 0));
+    }
+    renderEventList();
+}
+
+function closeWebGallery() {
+    $('webGalleryModal')?.classList.add('hidden');
+}
+
+function setStatus(text) {
+    const statusEl = $('webGalleryStatus');
+    if (statusEl) statusEl.textContent = text;
+}
+
+async function loadOptions() {
+    let saved = null;
+    try {
+        saved = await window.electronAPI?.getSetting?.('webGalleryOptions');
+    } catch { /* defaults */ }
+    const options = { ...DEFAULT_OPTIONS, ...saved };
+
+    const cameraBox = $('webGalleryCameras');
+    if (cameraBox) {
+        cameraBox.innerHTML = CAMERAS.map(c => `
+            <label class="library-map-check">
+                <input type="checkbox" data-camera="${c.id}" ${options.cameras.includes(c.id) ? 'checked' : ''}>
+                <span>${escapeHtml(t(c.key))}</span>
+            </label>`).join('');
+    }
+    const quality = $('webGalleryQuality');
+    if (quality) quality.value = QUALITIES.includes(options.quality) ? options.quality : DEFAULT_OPTIONS.quality;
+    const trim = $('webGalleryTrim');
+    if (trim) trim.checked = !!options.trim;
+    const before = $('webGalleryBefore');
+    if (before) before.value = options.beforeSec;
+    const after = $('webGalleryAfter');
+    if (after) after.value = options.afterSec;
+    const title = $('webGalleryTitle');
+    if (title && !title.value) title.value = t('ui.webGallery.defaultTitle');
+    updateTrimFields();
+}
+
+function readOptions() {
+    return {
+        cameras: Array.from(document.querySelectorAll('#webGalleryCameras input[data-camera]:checked')).map(cb => cb.dataset.camera),
+        quality: $('webGalleryQuality')?.value || DEFAULT_OPTIONS.quality,
+        trim: $('webGalleryTrim')?.checked === true,
+        beforeSec: Math.max(1, parseFloat($('webGalleryBefore')?.value) || DEFAULT_OPTIONS.beforeSec),
+        afterSec: Math.max(0, parseFloat($('webGalleryAfter')?.value) || 0)
+    };
+}
+
+function updateTrimFields() {
+    const fields = $('webGalleryTrimFields');
+    if (fields) fields.classList.toggle('hidden', $('webGalleryTrim')?.checked !== true);
+}
+
+function getVisibleEvents() {
+    const from = $('webGalleryFrom')?.value || '';
+    const to = $('webGalleryTo')?.value || '';
+    const types = {
+        sentry: $('webGalleryShowSentry')?.checked ?? true,
+        saved: $('webGalleryShowSaved')?.checked ?? true
+    };
+    return gallery.events.filter(e => types[e.type] && (!from || e.date >= from) && (!to || e.date <= to));
+}
+
+function formatWhen(event) {
+    if (!event.epochMs) return event.eventId;
+    return new Date(event.epochMs).toLocaleString(getCurrentLanguage(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function formatPlace(event) {
+    return [event.street, event.city].filter(Boolean).join(', ');
+}
+
+/**
+ * Redraw the event checklist for the current filters
+ */
+function renderEventList() {
+    const list = $('webGalleryList');
+    if (!list) return;
+    const events = getVisibleEvents();
+    if (!events.length) {
+        list.innerHTML = gallery.events.length ? `<div class="web-gallery-empty">${escapeHtml(t('ui.webGallery.noMatches'))}</div>` : '';
+        updateSelectionStatus();
+        return;
+    }
+    list.innerHTML = events.map(e => `
+        <label class="web-gallery-item">
+            <input type="checkbox" data-key="${escapeHtml(e.collectionKey)}" ${gallery.selected.has(e.collectionKey) ? 'checked' : ''}>
+            <span class="library-map-dot ${e.type}"></span>
+            <span class="web-gallery-item-when">${escapeHtml(formatWhen(e))}</span>
+            <span class="web-gallery-item-reason">${escapeHtml(e.reason ? formatEventReason?.(e.reason) || e.reason : '')}</span>
+            <span class="web-gallery-item-place">${escapeHtml(formatPlace(e))}</span>
+        </label>`).join('');
+    updateSelectionStatus();
+}
+
+function setVisibleSelected(selected) {
+    for (const e of getVisibleEvents()) {
+        if (selected) gallery.selected.add(e.collectionKey);
+        else gallery.selected.delete(e.collectionKey);
+    }
+    renderEventList();
+}
+
+function getSelectedEvents() {
+    return getVisibleEvents().filter(e => gallery.selected.has(e.collectionKey));
+}
+
+function updateSelectionStatus() {
+    const count = getSelectedEvents().length;
+    setStatus(gallery.events.length
+        ? t('ui.webGallery.selectedCount', { count, total: getVisibleEvents().length })
+        : t('ui.webGallery.noEvents'));
+    const exportBtn = $('startWebGalleryBtn');
+    if (exportBtn) exportBtn.disabled = count === 0;
+}
+
+/**
+ * Text for the generated page, in the app's language
+ */
+function buildPageLabels() {
+    return {
+        events: t('ui.webGallery.pageEvents'),
+        created: t('ui.webGallery.pageCreated'),
+        allEvents: t('ui.webGallery.pageAllEvents'),
+        previous: t('ui.webGallery.pagePrevious'),
+        next: t('ui.webGallery.pageNext'),
+        play: t('ui.webGallery.pagePlay'),
+        jumpToEvent: t('ui.webGallery.pageJumpToEvent'),
+        sentry: t('ui.clipBrowser.sentry'),
+        saved: t('ui.clipBrowser.saved'),
+        type: t('ui.webGallery.pageType'),
+        date: t('ui.webGallery.pageDate'),
+        reason: t('ui.libraryMap.reason'),
+        location: t('ui.webGallery.pageLocation'),
+        coordinates: t('ui.webGallery.pageCoordinates'),
+        camera: t('ui.webGallery.pageCamera'),
+        duration: t('ui.webGallery.pageDuration'),
+        distance: t('ui.webGallery.pageDistance'),
+        route: t('ui.webGallery.pageRoute'),
+        openMap: t('ui.webGallery.pageOpenMap'),
+        eventJson: t('ui.webGallery.pageEventJson'),
+        noRoute: t('ui.webGallery.pageNoRoute'),
+        cameras: Object.fromEntries(CAMERAS.map(c => [c.id, t(c.key)]))
+    };
+}
+
+function joinPath(dirPath, name) {
+    const sep = dirPath.includes('\\') ? '\\' : '/';
+    return dirPath.endsWith(sep) ? dirPath + name : dirPath + sep + name;
+}
+
+/**
+ * Pick a folder, then queue the gallery export into a new subfolder of it
+ */
+async function exportWebGallery() {
+    const api = window.electronAPI;
+    if (!api?.addExportJob || !api?.openFolder) {
+        notify(t('ui.notifications.exportNotAvailable'), { type: 'error' });
+        return;
+    }
+
+    const options = readOptions();
+    if (!options.cameras.length) {
+        notify(t('ui.notifications.selectAtLeastOneCamera'), { type: 'warn' });
+        return;
+    }
+
+    // Event folders on disk (directory handles outside Electron have no path to render from)
+    const dateHandles = gallery.folderStructure?.dateHandles;
+    const events = getSelectedEvents()
+        .map(e => ({ event: e, folderPath: dateHandles?.get(e.date)?.[e.type]?.get(e.eventId)?.path }))
+        .filter(e => e.folderPath);
+    if (!events.length) {
+        notify(t('ui.webGallery.noSelection'), { type: 'warn' });
+        return;
+    }
+
+    const lastExportFolder = await api.getSetting?.('lastExportFolder');
+    const parentFolder = await api.openFolder(lastExportFolder || undefined);
+    if (!parentFolder) return;
+    api.setSetting?.('lastExportFolder', parentFolder);
+    api.setSetting?.('webGalleryOptions', options);
+
+    const title = $('webGalleryTitle')?.value.trim() || t('ui.webGallery.defaultTitle');
+    const baseName = `${title.replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^_+|_+$/g, '') || 'gallery'}_${new Date().toISOString().slice(0, 10)}`;
+    let outputPath = joinPath(parentFolder, baseName);
+    for (let n = 2; await api.exists?.(outputPath); n++) outputPath = joinPath(parentFolder, `${baseName}_${n}`);
+
+    const exportData = {
+        outputPath,
+        cameras: options.cameras,
+        quality: options.quality,
+        useMetric: getUseMetric?.() ?? false,
+        mirrorCameras: window._mirrorCameras !== false,
+        language: getCurrentLanguage(),
+        webGallery: {
+            title,
+            labels: buildPageLabels(),
+            trim: options.trim ? { beforeSec: options.beforeSec, afterSec: options.afterSec } : null,
+            events: events.map(({ event, folderPath }) => ({
+                type: event.type,
+                eventId: event.eventId,
+                folderPath,
+                reasonLabel: event.reason ? formatEventReason?.(event.reason) || event.reason : '',
+                meta: event
+            }))
+        }
+    };
+
+    try {
+        const label = outputPath.split(/[/\\]/).pop();
+        const result = await api.addExportJob({ label, exportData });
+        if (!result?.success) throw new Error(result?.error || 'Unknown error');
+        console.log(`[GALLERY] Queued ${events.length} event(s) to ${outputPath}`);
+        notify(t('ui.webGallery.queued', { count: events.length, name: label }), { type: 'success' });
+        closeWebGallery();
+        openExportQueue();
+    } catch (err) {
+        console.error('[GALLERY] Failed to queue gallery export:', err);
+        notify(t('ui.notifications.exportFailedWithError', { error: err.message }), { type: 'error' });
+    }
+}
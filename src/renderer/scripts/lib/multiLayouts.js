@@ -1,12 +1,18 @@
-// Multi-cam layout preset.
-// 6-cam layout uses slots: tl, tc, tr, bl, bc, br (3×2 grid).
-// Users can drag cameras to rearrange them (custom order saved in settings).
+// Multi-cam layout presets.
+// Layouts place up to six tiles, reusing the slots tl, tc, tr, bl, bc, br (each slot owns a video element).
+// Grid layouts size the grid with columns × rows; a slot can span cells with area [row, col, rowSpan, colSpan].
+// A slot with rect {x, y, w, h} (percent of the view) floats over the grid instead (picture-in-picture, custom layouts).
+// Users can drag cameras to rearrange them (custom order saved per layout in settings).
+
+export const TILE_SLOTS = ['tl', 'tc', 'tr', 'bl', 'bc', 'br'];
 
 export const MULTI_LAYOUTS = {
   // Default 6-camera layout (3×2 grid)
   six_default: {
     name: 'Default',
+    nameKey: 'ui.multiLayouts.sixDefault',
     columns: 3,
+    rows: 2,
     slots: [
       { slot: 'tl', camera: 'left_pillar', label: 'Left Pillar' },
       { slot: 'tc', camera: 'front', label: 'Front' },
@@ -15,7 +21,86 @@ export const MULTI_LAYOUTS = {
       { slot: 'bc', camera: 'back', label: 'Back' },
       { slot: 'br', camera: 'right_repeater', label: 'Right Repeater' }
     ]
+  },
+
+  // 2×2 for four-camera cars (HW3: no B-pillar cameras)
+  quad: {
+    name: '2×2',
+    nameKey: 'ui.multiLayouts.quad',
+    columns: 2,
+    rows: 2,
+    slots: [
+      { slot: 'tl', camera: 'front', label: 'Front' },
+      { slot: 'tr', camera: 'back', label: 'Back' },
+      { slot: 'bl', camera: 'left_repeater', label: 'Left Repeater' },
+      { slot: 'br', camera: 'right_repeater', label: 'Right Repeater' }
+    ]
+  },
+
+  // Large front with the other five around it
+  front_focus: {
+    name: 'Front + 5',
+    nameKey: 'ui.multiLayouts.frontFocus',
+    columns: 3,
+    rows: 3,
+    slots: [
+      { slot: 'tc', camera: 'front', label: 'Front', area: [1, 1, 2, 2] },
+      { slot: 'tl', camera: 'left_pillar', label: 'Left Pillar', area: [1, 3] },
+      { slot: 'tr', camera: 'right_pillar', label: 'Right Pillar', area: [2, 3] },
+      { slot: 'bl', camera: 'left_repeater', label: 'Left Repeater', area: [3, 1] },
+      { slot: 'bc', camera: 'back', label: 'Back', area: [3, 2] },
+      { slot: 'br', camera: 'right_repeater', label: 'Right Repeater', area: [3, 3] }
+    ]
+  },
+
+  // Front over back
+  front_back: {
+    name: 'Front / Back',
+    nameKey: 'ui.multiLayouts.frontBack',
+    columns: 1,
+    rows: 2,
+    slots: [
+      { slot: 'tc', camera: 'front', label: 'Front' },
+      { slot: 'bc', camera: 'back', label: 'Back' }
+    ]
+  },
+
+  // Full front with the back camera inset where a rear-view mirror would be
+  pip: {
+    name: 'Picture-in-Picture',
+    nameKey: 'ui.multiLayouts.pip',
+    columns: 1,
+    rows: 1,
+    slots: [
+      { slot: 'tc', camera: 'front', label: 'Front' },
+      { slot: 'bc', camera: 'back', label: 'Back', rect: { x: 36, y: 3, w: 28, h: 28 } }
+    ]
   }
 };
 
 export const DEFAULT_MULTI_LAYOUT = 'six_default';
+export const BUILTIN_MULTI_LAYOUTS = Object.keys(MULTI_LAYOUTS);
+export const CUSTOM_LAYOUT_PREFIX = 'custom_';
+
+/**
+ * Replace the user-designed layouts (ids start with CUSTOM_LAYOUT_PREFIX) in MULTI_LAYOUTS
+ * @param {Array<{id: string, name: string, slots: Array}>} layouts - Saved custom layouts
+ */
+export function setCustomMultiLayouts(layouts) {
+  for (const id of Object.keys(MULTI_LAYOUTS)) {
+    if (id.startsWith(CUSTOM_LAYOUT_PREFIX)) delete MULTI_LAYOUTS[id];
+  }
+  for (const layout of layouts || []) {
+    if (!layout?.id?.startsWith(CUSTOM_LAYOUT_PREFIX) || !Array.isArray(layout.slots) || !layout.slots.length) continue;
+    MULTI_LAYOUTS[layout.id] = {
+      name: layout.name || 'Custom',
+      custom: true,
+      // Stills and other grid consumers still want a column count
+      columns: Math.min(3, layout.slots.length),
+      rows: 1,
+      slots: layout.slots
+        .filter(s => TILE_SLOTS.includes(s.slot) && s.rect)
+        .map(s => ({ slot: s.slot, camera: s.camera, label: s.camera, rect: { ...s.rect } }))
+    };
+  }
+}
@@ -5,6 +5,10 @@ export const MULTI_LAYOUT_KEY = 'teslareplay.ui.multiLayout';
 export const MULTI_ENABLED_KEY = 'teslareplay.ui.multiEnabled';
 export const SENTRY_CAMERA_HIGHLIGHT_KEY = 'teslareplay.ui.sentryCameraHighlight';
 export const SAVED_CAMERA_HIGHLIGHT_KEY = 'teslareplay.ui.savedCameraHighlight';
+export const STILL_OPTIONS_KEY = 'teslareplay.ui.stillOptions';
+export const TELEMETRY_CHARTS_KEY = 'teslareplay.ui.telemetryCharts';
+export const MOTION_SKIP_IDLE_KEY = 'teslareplay.ui.motionSkipIdle';
+export const SMART_PLAYBACK_KEY = 'teslareplay.ui.smartPlayback';
 
 // SentryUSB integration - drive data file path (stored in file-based settings, not localStorage)
 export const SENTRYUSB_DATA_PATH_SETTING = 'sentryUsbDataPath';
@@ -33,3 +33,107 @@ export function filePathToUrl(filePath) {
     : `file:///${encoded}`;
 }
 
+/**
+ * Speed in the user's preferred unit, e.g. "72 km/h" or "45 mph"
+ * @param {number} mps - Speed in meters per second
+ * @param {boolean} useMetric
+ * @returns {string}
+ */
+export function formatSpeed(mps, useMetric) {
+  return useMetric
+    ? `${Math.round(mps * 3.6)} km/h`
+    : `${Math.round(mps * 2.23694)} mph`;
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * Local wall-clock time (clip timestamps are local to the car), e.g. 2025-01-03 14:22:05
+ * @param {number} epochMs
+ * @param {{ms?: boolean, dateSep?: string, partSep?: string, timeSep?: string, msSep?: string}} [options]
+ *   ms appends milliseconds (14:22:05.412); the separators allow file-name-safe stamps
+ * @returns {string} Empty string when epochMs is not a number
+ */
+export function formatStamp(epochMs, { ms = false, dateSep = '-', partSep = ' ', timeSep = ':', msSep = '.' } = {}) {
+  if (!Number.isFinite(epochMs)) return '';
+  const d = new Date(epochMs);
+  const stamp = `${d.getFullYear()}${dateSep}${pad(d.getMonth() + 1)}${dateSep}${pad(d.getDate())}` +
+    `${partSep}${pad(d.getHours())}${timeSep}${pad(d.getMinutes())}${timeSep}${pad(d.getSeconds())}`;
+  return ms ? `${stamp}${msSep}${pad(d.getMilliseconds(), 3)}` : stamp;
+}
+
+/**
+ * Load a clip into a detached, muted video element (for grabbing frames off-screen).
+ * Resolves null if the file has no usable source or fails to load in time.
+ * @param {File|{path: string}} file - Clip file (File object or entry with an absolute path)
+ * @param {number} [timeoutMs=8000] - Give up after this long
+ * @returns {Promise<{video: HTMLVideoElement, release: Function}|null>} Call release() when done
+ */
+export function loadDetachedVideo(file, timeoutMs = 8000) {
+  return new Promise(resolve => {
+    const objectUrl = file?.path ? null : (file instanceof File ? URL.createObjectURL(file) : null);
+    const src = file?.path ? filePathToUrl(file.path) : objectUrl;
+    if (!src) {
+      resolve(null);
+      return;
+    }
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    const release = () => {
+      video.removeAttribute('src');
+      video.load();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+    const finish = (ok) => {
+      clearTimeout(timer);
+      video.onloadeddata = null;
+      video.onerror = null;
+      if (ok) {
+        resolve({ video, release });
+      } else {
+        release();
+        resolve(null);
+      }
+    };
+    const timer = setTimeout(() => finish(false), timeoutMs);
+    video.onloadeddata = () => finish(true);
+    video.onerror = () => finish(false);
+    video.src = src;
+  });
+}
+
+/**
+ * Seek a detached video and wait for the frame (resolves on timeout too, so a stuck decoder can't stall a loop)
+ * @param {HTMLVideoElement} video - Video from loadDetachedVideo
+ * @param {number} timeSec - Target time, clamped to the clip
+ * @param {number} [timeoutMs=8000] - Give up after this long
+ * @returns {Promise<void>}
+ */
+export function seekDetachedVideo(video, timeSec, timeoutMs = 8000) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      video.onseeked = null;
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    video.onseeked = done;
+    video.currentTime = Math.max(0, Math.min(timeSec, (video.duration || timeSec) - 0.05));
+  });
+}
+
+/**
+ * Format a byte count for display (B, KB, MB or GB)
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
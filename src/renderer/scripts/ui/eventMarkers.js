@@ -4,6 +4,7 @@
  */
 
 import { getEffectiveSlots } from '../features/cameraRearrange.js';
+import { EVENT_CAMERA_NAMES } from '../core/libraryEvents.js';
 import { t } from '../lib/i18n.js';
 
 // DOM helper
@@ -150,16 +151,8 @@ export function updateEventCameraHighlight() {
     
     if (!eventMeta?.camera && eventMeta?.camera !== 0) return;
     
-    // Camera mapping based on Tesla camera indices
-    const cameraIndexToName = {
-        '0': 'front', '1': 'front', '2': 'front',
-        '3': 'left_pillar', '4': 'right_pillar',
-        '5': 'left_repeater', '6': 'right_repeater',
-        '7': 'back'
-    };
-    
     const cameraValue = String(eventMeta.camera);
-    const cameraName = cameraIndexToName[cameraValue];
+    const cameraName = EVENT_CAMERA_NAMES[cameraValue];
     
     if (cameraName) {
         const effectiveSlots = getEffectiveSlots();
@@ -24,7 +24,8 @@ export const layoutState = {
     canvasWidth: 0,     // Canvas width (set on init, 16:9 aspect ratio)
     canvasHeight: 0,    // Canvas height
     snapThreshold: 10,  // Pixels threshold for snapping
-    availableCameras: null // Set of available cameras (null = all cameras available)
+    availableCameras: null, // Set of available cameras (null = all cameras available)
+    pendingLayout: null    // Saved layout (export preset) to apply on the next canvas update
 };
 
 /**
@@ -232,6 +233,20 @@ function updateCanvas() {
         }
     });
     
+    // Restore positions from an export preset, scaled from the canvas size they were saved at
+    const pending = layoutState.pendingLayout;
+    if (pending) {
+        layoutState.pendingLayout = null;
+        const scaleX = pending.canvasWidth > 0 ? layoutState.canvasWidth / pending.canvasWidth : 1;
+        const scaleY = pending.canvasHeight > 0 ? layoutState.canvasHeight / pending.canvasHeight : 1;
+        for (const [camera, layout] of layoutState.cameras.entries()) {
+            const saved = pending.cameras[camera];
+            if (!saved) continue;
+            layout.x = Math.round(saved.x * scaleX);
+            layout.y = Math.round(saved.y * scaleY);
+        }
+    }
+    
     updateCanvasPositions();
 }
 
@@ -531,6 +546,16 @@ function detectSnap(camera, x, y, width, height) {
     return { x: snappedX, y: snappedY, snapped };
 }
 
+/**
+ * Apply saved card positions (from getLayoutData) to the checked cameras
+ * Applied immediately when the canvas is ready, otherwise once it is laid out
+ * @param {Object|null} layoutData - { cameras: { camera: { x, y, width, height } }, canvasWidth, canvasHeight }
+ */
+export function setLayoutData(layoutData) {
+    layoutState.pendingLayout = layoutData?.cameras ? layoutData : null;
+    if (layoutState.canvasWidth > 0) updateCanvas();
+}
+
 /**
  * Get layout data for export (positions and sizes for each camera)
  */
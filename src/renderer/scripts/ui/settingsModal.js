@@ -6,6 +6,7 @@
 import { initKeybindSettings } from '../lib/keybinds.js';
 import { getCurrentLanguage, setLanguage, getAvailableLanguages, onLanguageChange, t } from '../lib/i18n.js';
 import { initFeatureBadges } from '../features/exportVideo.js';
+import { refreshIndexCacheStatus } from '../core/indexCache.js';
 
 
 /**
@@ -159,6 +160,8 @@ export function initSettingsModal() {
                     });
                 }
 
+                refreshIndexCacheStatus();
+
                 settingsModal.classList.remove('hidden');
             }
             settingsBtn.blur();
@@ -568,6 +571,9 @@ export function initSettingsModal() {
         };
     }
 
+    // Share server (hosted service or self-hosted)
+    initShareServerSetting();
+
     // Initialize keybind settings
     initKeybindSettings();
 
@@ -859,6 +865,62 @@ export function initSettingsModal() {
     }
 }
 
+/**
+ * Share server setting: where exported clips are uploaded when sharing
+ */
+function initShareServerSetting() {
+    const input = $('shareServerUrl');
+    const saveBtn = $('saveShareServerBtn');
+    const resetBtn = $('resetShareServerBtn');
+    const status = $('shareServerStatus');
+    if (!input || !window.electronAPI?.getShareServer) return;
+
+    const showStatus = (text, type) => {
+        if (!status) return;
+        status.textContent = text;
+        status.className = `folder-status${type ? ` ${type}` : ''}`;
+        setTimeout(() => {
+            status.textContent = '';
+            status.className = 'folder-status';
+        }, 5000);
+    };
+
+    // The hosted service shows as an empty field (placeholder)
+    window.electronAPI.getShareServer().then(server => {
+        if (server && !server.isDefault) input.value = server.url;
+    });
+
+    const save = async (value) => {
+        const result = await window.electronAPI.setShareServer(value);
+        if (!result?.success) {
+            showStatus(`${t('ui.settings.shareServerInvalid')}: ${result?.error || ''}`, 'error');
+            return;
+        }
+        const server = await window.electronAPI.getShareServer();
+        input.value = server.isDefault ? '' : server.url;
+        showStatus(server.isDefault ? t('ui.settings.shareServerDefault') : t('ui.settings.shareServerSaved', { url: server.url }), 'success');
+    };
+
+    if (saveBtn) {
+        saveBtn.onclick = async (e) => {
+            e.preventDefault();
+            await save(input.value.trim());
+            saveBtn.blur();
+        };
+    }
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveBtn?.click();
+    });
+
+    if (resetBtn) {
+        resetBtn.onclick = async (e) => {
+            e.preventDefault();
+            await save(null);
+            resetBtn.blur();
+        };
+    }
+}
+
 /**
  * Initialize Developer Settings Modal
  */
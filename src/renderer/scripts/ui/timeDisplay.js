@@ -62,6 +62,16 @@ function formatTimeWithPreference(hours, minutes, seconds, timeFormat) {
     }
 }
 
+/**
+ * Format a wall-clock time using the user's 12h/24h preference
+ * @param {number} epochMs - Local timestamp
+ * @returns {string} Formatted time string
+ */
+export function formatClockTime(epochMs) {
+    const d = new Date(epochMs);
+    return formatTimeWithPreference(d.getHours(), d.getMinutes(), d.getSeconds(), window._timeFormat || '12h');
+}
+
 /**
  * Update the recording time display from segment timestamp
  * @param {Object} opts - Options